@@ -3,19 +3,23 @@ import Header from './components/Header'
 import Navigation from './components/Navigation'
 import LoginScreen from './components/LoginScreen'
 import { PartsProvider } from './context/PartsContext'
+import { PurchasingProvider } from './context/PurchasingContext'
 import { InvoiceProvider } from './context/InvoiceContext'
 import { CustomerProvider } from './context/CustomerContext'
+import { VehicleProvider } from './context/VehicleContext'
 import { TransactionProvider } from './context/TransactionContext'
 import { DataJoinProvider } from './context/DataJoinContext'
 import { RepairOrderProvider } from './context/RepairOrderContext'
 import { EmployeeProvider } from './context/EmployeeContext'
-import { onAuthStateChanged } from 'firebase/auth'
-import { auth } from './firebaseConfig'
+import { AuthProvider, useAuth } from './context/AuthContext'
+import AccessControl from './utils/AccessControl'
 
 // Lazy load components for better performance
 const PartsManagement = lazy(() => import('./components/PartsManagement'))
 const InvoiceGeneration = lazy(() => import('./components/InvoiceGeneration'))
 const InvoiceHistory = lazy(() => import('./components/InvoiceHistory'))
+const PurchasingManagement = lazy(() => import('./components/PurchasingManagement'))
+const StockTakeManagement = lazy(() => import('./components/StockTakeManagement'))
 
 //  NEW CUSTOMER FLOW COMPONENTS (Lazy loaded)
 const CustomerDatabase = lazy(() => import('./components/CustomerDatabase'))
@@ -24,6 +28,7 @@ const CustomerInvoiceCreation = lazy(() => import('./components/CustomerInvoiceC
 const AccountingDashboard = lazy(() => import('./components/AccountingDashboard'))
 const MechanicCommissionDashboard = lazy(() => import('./components/MechanicCommissionDashboard'))
 const CarStatus = lazy(() => import('./components/CarStatus'))
+const PublicRepairStatus = lazy(() => import('./components/PublicRepairStatus'))
 
 // HR COMPONENTS (Lazy loaded)
 const HRDashboard = lazy(() => import('./components/HRDashboard'))
@@ -42,30 +47,16 @@ const LoadingSpinner = () => (
 )
 
 // Main App Content Component (after authentication)
-function App() {
+function AppContent() {
   const [activeSection, setActiveSection] = useState('parts')
-  const [user, setUser] = useState(null)
-  const [loading, setLoading] = useState(true)
+  const { user, loading, role, canAccessSection, logout } = useAuth()
 
+  // Land on a section the staff role may open
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
-      setUser(user)
-      setLoading(false)
-      console.log('🔐 Auth state changed:', user ? 'Logged in' : 'Logged out')
-    })
-
-    return unsubscribe
-  }, [])
-
-  const handleLogout = async () => {
-    try {
-      const { signOut } = await import('firebase/auth')
-      await signOut(auth)
-      console.log('👋 Staff logged out')
-    } catch (error) {
-      console.error('❌ Logout error:', error)
+    if (role && !canAccessSection(activeSection)) {
+      setActiveSection(AccessControl.getDefaultSection(role))
     }
-  }
+  }, [role])
 
   if (loading) {
     return (
@@ -82,7 +73,30 @@ function App() {
     return <LoginScreen onLoginSuccess={() => console.log('Login successful!')} />
   }
 
+  if (!role) {
+    return (
+      <div className="min-h-screen bg-primary-white">
+        <Header onLogout={logout} />
+        <div className="container mx-auto max-w-xl px-4 py-12 text-center">
+          <h2 className="text-xl font-semibold text-primary-black mb-2">Account Not Linked</h2>
+          <p className="text-black-75">
+            {user.email} is not linked to an active employee record. Ask a manager to add this email to your employee profile.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
   const renderActiveSection = () => {
+    if (!canAccessSection(activeSection)) {
+      return (
+        <div className="bg-primary-white rounded-lg border border-black-10 p-8 text-center">
+          <h2 className="text-lg font-semibold text-primary-black mb-2">Access Restricted</h2>
+          <p className="text-black-75">Your role does not have access to this section.</p>
+        </div>
+      )
+    }
+
     switch (activeSection) {
       // EXISTING SECTIONS (PRESERVED EXACTLY)
       case 'parts':
@@ -91,6 +105,10 @@ function App() {
         return <InvoiceGeneration setActiveSection={setActiveSection} />
       case 'history':
         return <InvoiceHistory />
+      case 'purchasing':
+        return <PurchasingManagement />
+      case 'stock-take':
+        return <StockTakeManagement />
       
       // NEW CUSTOMER FLOW SECTIONS
       case 'customers':
@@ -104,7 +122,7 @@ function App() {
       case 'mechanic-commissions':
         return <MechanicCommissionDashboard />
       case 'car-status':
-        return <CarStatus />
+        return <CarStatus setActiveSection={setActiveSection} />
       
       // HR SECTIONS
       case 'hr-dashboard':
@@ -129,29 +147,51 @@ function App() {
     <PartsProvider>
       <InvoiceProvider>
         <CustomerProvider>
-          <TransactionProvider>
-            <RepairOrderProvider>
-              <EmployeeProvider>
-                <DataJoinProvider>
-                  <div className="min-h-screen bg-primary-white">
-                    <Header onLogout={handleLogout} />
-                    <Navigation activeSection={activeSection} setActiveSection={setActiveSection} />
-                    <main className="container mx-auto px-2 sm:px-4 lg:px-6 py-4 sm:py-6 lg:py-8 max-w-7xl">
-                      <Suspense fallback={<LoadingSpinner />}>
-                        <div className="fade-in">
-                          {renderActiveSection()}
-                        </div>
-                      </Suspense>
-                    </main>
-                  </div>
-                </DataJoinProvider>
-              </EmployeeProvider>
-            </RepairOrderProvider>
-          </TransactionProvider>
+          <VehicleProvider>
+            <TransactionProvider>
+              <RepairOrderProvider>
+                <EmployeeProvider>
+                  <DataJoinProvider>
+                    <PurchasingProvider>
+                      <div className="min-h-screen bg-primary-white">
+                        <Header onLogout={logout} />
+                        <Navigation activeSection={activeSection} setActiveSection={setActiveSection} />
+                        <main className="container mx-auto px-2 sm:px-4 lg:px-6 py-4 sm:py-6 lg:py-8 max-w-7xl">
+                          <Suspense fallback={<LoadingSpinner />}>
+                            <div className="fade-in">
+                              {renderActiveSection()}
+                            </div>
+                          </Suspense>
+                        </main>
+                      </div>
+                    </PurchasingProvider>
+                  </DataJoinProvider>
+                </EmployeeProvider>
+              </RepairOrderProvider>
+            </TransactionProvider>
+          </VehicleProvider>
         </CustomerProvider>
       </InvoiceProvider>
     </PartsProvider>
   )
 }
 
+function App() {
+  // Customer tracking links (?track=<token>) open the public repair status page - no staff login
+  const trackingToken = new URLSearchParams(window.location.search).get('track')
+  if (trackingToken) {
+    return (
+      <Suspense fallback={<LoadingSpinner />}>
+        <PublicRepairStatus token={trackingToken} />
+      </Suspense>
+    )
+  }
+
+  return (
+    <AuthProvider>
+      <AppContent />
+    </AuthProvider>
+  )
+}
+
 export default App
\ No newline at end of file
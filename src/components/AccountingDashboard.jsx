@@ -1,8 +1,21 @@
 import { useState, useEffect } from 'react'
-import { collection, getDocs, query, orderBy, onSnapshot, updateDoc, doc, addDoc, Timestamp } from 'firebase/firestore'
+import { collection, getDocs, query, orderBy, onSnapshot } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import { recordInvoicePayment, getAllCreditNotes } from '../utils/FirebaseDataUtils'
+import PaymentLedger, { PAYMENT_STATUS_LABELS } from '../utils/PaymentLedger'
+import TaxEngine from '../utils/TaxEngine'
+import PaymentLedgerTable from './PaymentLedgerTable'
+import TaxSettingsModal from './TaxSettingsModal'
+import NumberingSettingsModal from './NumberingSettingsModal'
+import MarginReport from './MarginReport'
+import { useTaxSettings } from '../hooks/useTaxSettings'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
 
 function AccountingDashboard() {
+  const { can } = useAuth()
+  const { settings: taxSettings, saveSettings: saveTaxSettings } = useTaxSettings()
+  const canRecordPayment = can(PERMISSIONS.PAYMENT_RECORD)
   const [selectedTimeframe, setSelectedTimeframe] = useState('month')
   const [showPaymentModal, setShowPaymentModal] = useState(false)
   const [selectedInvoice, setSelectedInvoice] = useState(null)
@@ -10,6 +23,8 @@ function AccountingDashboard() {
   const [selectedTransaction, setSelectedTransaction] = useState(null)
   const [showViewInvoiceModal, setShowViewInvoiceModal] = useState(false)
   const [selectedInvoiceForView, setSelectedInvoiceForView] = useState(null)
+  const [showTaxSettingsModal, setShowTaxSettingsModal] = useState(false)
+  const [showNumberingModal, setShowNumberingModal] = useState(false)
   const [paymentData, setPaymentData] = useState({
     amount: 0,
     paymentMethod: 'cash',
@@ -20,6 +35,7 @@ function AccountingDashboard() {
   // Direct Firestore state
   const [customerInvoices, setCustomerInvoices] = useState([])
   const [transactions, setTransactions] = useState([])
+  const [creditNotes, setCreditNotes] = useState([])
   const [isLoading, setIsLoading] = useState(true)
 
   // Load invoices from Firestore in real-time
@@ -69,49 +85,50 @@ function AccountingDashboard() {
     loadTransactions()
   }, [])
 
+  // Load credit notes
+  useEffect(() => {
+    getAllCreditNotes()
+      .then(setCreditNotes)
+      .catch(error => console.error('❌ Error loading credit notes:', error))
+  }, [])
+
+  const pendingInvoices = customerInvoices.filter(inv => ['pending', 'partially_paid'].includes(inv.paymentStatus))
+  const paidInvoices = customerInvoices.filter(inv => inv.paymentStatus === 'paid')
+
+  const getInvoicePayments = (invoiceId) => transactions.filter(txn => txn.invoiceId === invoiceId)
+  const getInvoiceCreditNotes = (invoiceId) => creditNotes.filter(creditNote => creditNote.invoiceId === invoiceId)
+
   // Calculate accounting summary
   const accountingSummary = {
-    totalRevenue: customerInvoices.filter(inv => inv.paymentStatus === 'paid').reduce((sum, inv) => sum + (inv.total || 0), 0),
-    totalPendingAmount: customerInvoices.filter(inv => inv.paymentStatus === 'pending').reduce((sum, inv) => sum + (inv.total || 0), 0),
+    totalRevenue: paidInvoices.reduce((sum, inv) => sum + (inv.total || 0) - PaymentLedger.getCreditedAmount(inv), 0),
+    totalPendingAmount: pendingInvoices.reduce((sum, inv) => sum + PaymentLedger.getOutstandingBalance(inv), 0),
     averageInvoiceValue: customerInvoices.length > 0 ? customerInvoices.reduce((sum, inv) => sum + (inv.total || 0), 0) / customerInvoices.length : 0,
     invoiceCount: customerInvoices.length,
-    paidInvoiceCount: customerInvoices.filter(inv => inv.paymentStatus === 'paid').length,
-    pendingInvoiceCount: customerInvoices.filter(inv => inv.paymentStatus === 'pending').length
+    paidInvoiceCount: paidInvoices.length,
+    pendingInvoiceCount: pendingInvoices.length
   }
 
-  const pendingInvoices = customerInvoices.filter(inv => inv.paymentStatus === 'pending')
-  const paidInvoices = customerInvoices.filter(inv => inv.paymentStatus === 'paid')
+  const taxSummary = TaxEngine.summarizeTax(customerInvoices)
 
   const handlePaymentSubmit = async (e) => {
     e.preventDefault()
     
     if (!selectedInvoice) return
+
+    if (!canRecordPayment) {
+      alert('Your role is not allowed to record payments.')
+      return
+    }
+
+    const validation = PaymentLedger.validatePayment(selectedInvoice, paymentData.amount)
+    if (!validation.isValid) {
+      alert(validation.error)
+      return
+    }
     
     try {
-      // Create transaction record
-      const transactionData = {
-        invoiceId: selectedInvoice.id,
-        invoiceNumber: selectedInvoice.invoiceNumber,
-        customerId: selectedInvoice.customerId,
-        customerName: selectedInvoice.customerName,
-        amount: paymentData.amount,
-        paymentMethod: paymentData.paymentMethod,
-        referenceNumber: paymentData.referenceNumber,
-        notes: paymentData.notes,
-        paymentDate: Timestamp.now(),
-        status: 'completed',
-        transactionNumber: `TXN-${Date.now()}`
-      }
-      
-      await addDoc(collection(db, 'transactions'), transactionData)
-      
-      // Update invoice payment status
-      const invoiceRef = doc(db, 'customer_invoices', selectedInvoice.id)
-      await updateDoc(invoiceRef, {
-        paymentStatus: 'paid',
-        paidAmount: paymentData.amount,
-        paidDate: Timestamp.now()
-      })
+      // Records the transaction and updates the invoice's running balance atomically
+      const result = await recordInvoicePayment(selectedInvoice.id, paymentData)
       
       // Reset and close modal
       setShowPaymentModal(false)
@@ -123,7 +140,9 @@ function AccountingDashboard() {
         notes: ''
       })
       
-      alert('Payment recorded successfully!')
+      alert(result.paymentStatus === 'paid'
+        ? `Payment recorded successfully! Receipt ${result.receiptNumber}. Invoice is now fully paid.`
+        : `Payment recorded successfully! Receipt ${result.receiptNumber}. Outstanding balance: ${formatCurrency(result.outstandingBalance)}`)
       
       // Reload transactions
       const transactionsRef = collection(db, 'transactions')
@@ -145,7 +164,7 @@ function AccountingDashboard() {
   const openPaymentModal = (invoice) => {
     setSelectedInvoice(invoice)
     setPaymentData({
-      amount: invoice.total || 0,
+      amount: PaymentLedger.getOutstandingBalance(invoice),
       paymentMethod: 'cash',
       referenceNumber: '',
       notes: ''
@@ -207,6 +226,22 @@ function AccountingDashboard() {
           </p>
         </div>
         <div className="flex gap-2">
+          {can(PERMISSIONS.TAX_SETTINGS_MANAGE) && (
+            <button
+              onClick={() => setShowTaxSettingsModal(true)}
+              className="px-3 py-2 border border-black-25 rounded-lg text-sm hover:bg-black-5"
+            >
+              {taxSettings.enabled ? 'Tax Settings' : 'Tax Settings (Off)'}
+            </button>
+          )}
+          {can(PERMISSIONS.NUMBERING_MANAGE) && (
+            <button
+              onClick={() => setShowNumberingModal(true)}
+              className="px-3 py-2 border border-black-25 rounded-lg text-sm hover:bg-black-5"
+            >
+              Numbering
+            </button>
+          )}
           <select
             value={selectedTimeframe}
             onChange={(e) => setSelectedTimeframe(e.target.value)}
@@ -303,6 +338,53 @@ function AccountingDashboard() {
         </div>
       </div>
 
+      {/* Tax Summary */}
+      {taxSummary.length > 0 && (
+        <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
+          <div className="p-4 sm:p-6 border-b border-black-10">
+            <h3 className="text-lg font-semibold text-primary-black">Tax Summary</h3>
+            <p className="text-black-75 text-sm">Tax charged on customer invoices by tax code</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-black-5">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">Tax Code</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">Rate</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">Invoices</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-black-50 uppercase tracking-wider">Taxable Amount</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-black-50 uppercase tracking-wider">Tax Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {taxSummary.map(row => (
+                  <tr key={`${row.code}@${row.rate}`}>
+                    <td className="px-4 py-3 text-sm text-primary-black">{row.code} - {row.label}</td>
+                    <td className="px-4 py-3 text-sm text-black-75">{row.rate}%</td>
+                    <td className="px-4 py-3 text-sm text-black-75">{row.documentCount}</td>
+                    <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(row.taxableAmount)}</td>
+                    <td className="px-4 py-3 text-sm text-right font-medium text-primary-black">{formatCurrency(row.taxAmount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-black-5">
+                <tr>
+                  <td colSpan={4} className="px-4 py-3 text-sm font-semibold text-primary-black">Total Tax</td>
+                  <td className="px-4 py-3 text-sm text-right font-bold text-primary-black">
+                    {formatCurrency(taxSummary.reduce((sum, row) => sum + row.taxAmount, 0))}
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Gross Margin */}
+      {customerInvoices.length > 0 && (
+        <MarginReport invoices={customerInvoices.filter(inv => inv.paymentStatus !== 'void')} formatCurrency={formatCurrency} />
+      )}
+
       {/* Pending Invoices Section */}
       <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
         <div className="p-4 sm:p-6 border-b border-black-10">
@@ -323,6 +405,7 @@ function AccountingDashboard() {
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Customer</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Mechanic</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Outstanding</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Due Date</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Days Overdue</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-black-50 uppercase">Actions</th>
@@ -358,6 +441,14 @@ function AccountingDashboard() {
                       <td className="px-4 py-4 text-sm font-medium text-primary-black">
                         {formatCurrency(invoice.total)}
                       </td>
+                      <td className="px-4 py-4 text-sm">
+                        <div className="font-medium text-primary-black">{formatCurrency(PaymentLedger.getOutstandingBalance(invoice))}</div>
+                        {invoice.paymentStatus === 'partially_paid' && (
+                          <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                            {PAYMENT_STATUS_LABELS.partially_paid}
+                          </span>
+                        )}
+                      </td>
                       <td className="px-4 py-4 text-sm text-primary-black">
                         {formatDate(invoice.dueDate)}
                       </td>
@@ -368,14 +459,25 @@ function AccountingDashboard() {
                           <span className="text-primary-black">On time</span>
                         )}
                       </td>
-                      <td className="px-4 py-4 text-sm">
+                      <td className="px-4 py-4 text-sm space-x-2">
                         <button
-                          onClick={() => openPaymentModal(invoice)}
-                          className="text-primary-red hover:text-red-dark font-medium"
-                          title="Record Payment"
+                          onClick={() => viewInvoice(invoice)}
+                          className="text-blue-600 hover:text-blue-800 font-medium"
                         >
-                          Record Payment
+                          View
                         </button>
+                        {canRecordPayment && (
+                          <>
+                            <span className="text-black-25">|</span>
+                            <button
+                              onClick={() => openPaymentModal(invoice)}
+                              className="text-primary-red hover:text-red-dark font-medium"
+                              title="Record Payment"
+                            >
+                              Record Payment
+                            </button>
+                          </>
+                        )}
                       </td>
                     </tr>
                   )
@@ -421,8 +523,9 @@ function AccountingDashboard() {
                     <td className="px-4 py-4 text-sm text-primary-black">
                       {transaction.customerName}
                     </td>
-                    <td className="px-4 py-4 text-sm font-medium text-primary-black">
+                    <td className={`px-4 py-4 text-sm font-medium ${transaction.amount < 0 ? 'text-primary-red' : 'text-primary-black'}`}>
                       {formatCurrency(transaction.amount)}
+                      {transaction.type === 'refund' && <div className="text-xs text-black-50">Refund</div>}
                     </td>
                     <td className="px-4 py-4 text-sm text-primary-black capitalize">
                       {transaction.paymentMethod}
@@ -474,8 +577,12 @@ function AccountingDashboard() {
               <div>
                 <p className="text-sm text-black-75">Invoice: {selectedInvoice.invoiceNumber}</p>
                 <p className="text-sm text-black-75">Customer: {selectedInvoice.customerName}</p>
+                <p className="text-sm text-black-75">Invoice Total: {formatCurrency(PaymentLedger.getInvoiceTotal(selectedInvoice))}</p>
+                {(Number(selectedInvoice.paidAmount) || 0) > 0 && (
+                  <p className="text-sm text-black-75">Paid to Date: {formatCurrency(selectedInvoice.paidAmount)}</p>
+                )}
                 <p className="text-lg font-semibold text-primary-black">
-                  Amount Due: {formatCurrency(selectedInvoice.total)}
+                  Amount Due: {formatCurrency(PaymentLedger.getOutstandingBalance(selectedInvoice))}
                 </p>
               </div>
 
@@ -484,6 +591,8 @@ function AccountingDashboard() {
                 <input
                   type="number"
                   step="0.01"
+                  min="0.01"
+                  max={PaymentLedger.getOutstandingBalance(selectedInvoice)}
                   value={paymentData.amount}
                   onChange={(e) => setPaymentData({ ...paymentData, amount: parseFloat(e.target.value) || 0 })}
                   className="w-full px-3 py-2 border border-black-25 rounded-lg focus:ring-2 focus:ring-primary-red focus:border-primary-red"
@@ -653,7 +762,7 @@ function AccountingDashboard() {
       {/* View Invoice Modal */}
       {showViewInvoiceModal && selectedInvoiceForView && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-96 overflow-y-auto">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
             <div className="flex justify-between items-center mb-6">
               <h3 className="text-xl font-semibold text-primary-black">Invoice Details</h3>
               <button
@@ -677,13 +786,16 @@ function AccountingDashboard() {
                   <p><span className="font-medium">Status:</span> 
                     <span className={`ml-2 px-2 py-1 rounded text-xs ${
                       selectedInvoiceForView.paymentStatus === 'paid' ? 'bg-green-100 text-green-800' :
+                      selectedInvoiceForView.paymentStatus === 'partially_paid' ? 'bg-blue-100 text-blue-800' :
                       selectedInvoiceForView.paymentStatus === 'overdue' ? 'bg-red-100 text-red-800' :
+                      selectedInvoiceForView.paymentStatus === 'credited' ? 'bg-purple-100 text-purple-800' :
                       'bg-yellow-100 text-yellow-800'
                     }`}>
-                      {selectedInvoiceForView.paymentStatus?.charAt(0).toUpperCase() + selectedInvoiceForView.paymentStatus?.slice(1) || 'Draft'}
+                      {PAYMENT_STATUS_LABELS[selectedInvoiceForView.paymentStatus] || 'Draft'}
                     </span>
                   </p>
                   <p><span className="font-medium">Total Amount:</span> {formatCurrency(selectedInvoiceForView.total)}</p>
+                  <p><span className="font-medium">Outstanding:</span> {formatCurrency(PaymentLedger.getOutstandingBalance(selectedInvoiceForView))}</p>
                 </div>
 
                 <h4 className="font-semibold text-primary-black mt-6 mb-3">Mechanic In-charge</h4>
@@ -766,6 +878,20 @@ function AccountingDashboard() {
               </div>
             )}
 
+            {/* Payment Ledger */}
+            <div className="mt-6">
+              <h4 className="font-semibold text-primary-black mb-3">Payment Ledger</h4>
+              <PaymentLedgerTable
+                ledger={PaymentLedger.buildLedger(
+                  selectedInvoiceForView,
+                  getInvoicePayments(selectedInvoiceForView.id),
+                  getInvoiceCreditNotes(selectedInvoiceForView.id)
+                )}
+                formatCurrency={formatCurrency}
+                formatDate={formatDate}
+              />
+            </div>
+
             {/* Action Buttons */}
             <div className="mt-6 flex justify-end space-x-3">
               <button
@@ -774,7 +900,7 @@ function AccountingDashboard() {
               >
                 Close
               </button>
-              {selectedInvoiceForView.paymentStatus === 'pending' && (
+              {canRecordPayment && ['pending', 'partially_paid'].includes(selectedInvoiceForView.paymentStatus) && (
                 <button
                   onClick={() => {
                     setShowViewInvoiceModal(false)
@@ -782,7 +908,7 @@ function AccountingDashboard() {
                   }}
                   className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
                 >
-                  Mark as Paid
+                  Record Payment
                 </button>
               )}
             </div>
@@ -790,6 +916,20 @@ function AccountingDashboard() {
         </div>
       )}
 
+      {/* Tax Settings Modal */}
+      {showTaxSettingsModal && (
+        <TaxSettingsModal
+          settings={taxSettings}
+          onSave={saveTaxSettings}
+          onClose={() => setShowTaxSettingsModal(false)}
+        />
+      )}
+
+      {/* Numbering Settings Modal */}
+      {showNumberingModal && (
+        <NumberingSettingsModal onClose={() => setShowNumberingModal(false)} />
+      )}
+
     </div>
   )
 }
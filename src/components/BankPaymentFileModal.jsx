@@ -0,0 +1,220 @@
+/**
+ * Bank Payment File Modal
+ * Export an approved pay run as a bulk-payment upload file, with the count,
+ * total and checksums to verify against the bank portal. Commission is paid
+ * inside each payslip's net pay
+ */
+
+import { useState, useEffect } from 'react'
+import { useEmployee } from '../context/EmployeeContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import useBankPaymentSettings from '../hooks/useBankPaymentSettings'
+import BankPayments, { PAYMENT_FIELDS, SUMMARY_FIELDS } from '../utils/BankPayments'
+
+function BankPaymentFileModal({ title, items, reference, onClose }) {
+  const { employees } = useEmployee()
+  const { can, requirePermission } = useAuth()
+  const { settings, loading, saveSettings } = useBankPaymentSettings()
+
+  const [templateId, setTemplateId] = useState(settings.defaultTemplateId)
+  const [companyName, setCompanyName] = useState('')
+  const [companyAccount, setCompanyAccount] = useState('')
+  const [customTemplatesText, setCustomTemplatesText] = useState('[]')
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [paymentDate, setPaymentDate] = useState(() => new Date().toISOString().split('T')[0])
+  const [exported, setExported] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Start from the saved settings once they load
+  useEffect(() => {
+    if (loading) return
+    setTemplateId(settings.defaultTemplateId)
+    setCompanyName(settings.companyName)
+    setCompanyAccount(settings.companyAccount)
+    setCustomTemplatesText(JSON.stringify(settings.customTemplates, null, 2))
+  }, [loading])
+
+  const templates = BankPayments.getTemplates(settings)
+  const template = templates.find(candidate => candidate.id === templateId) || templates[0]
+  const { payments, errors, skipped } = BankPayments.buildPayments(items, employees)
+  const summary = BankPayments.summarize(payments)
+
+  const handleSaveSettings = async () => {
+    setIsSaving(true)
+    try {
+      requirePermission(PERMISSIONS.PAYROLL_MANAGE, 'change bank payment settings')
+      let customTemplates
+      try {
+        customTemplates = JSON.parse(customTemplatesText || '[]')
+      } catch (parseError) {
+        throw new Error(`Custom templates are not valid JSON: ${parseError.message}`)
+      }
+      if (!Array.isArray(customTemplates)) {
+        throw new Error('Custom templates must be a list')
+      }
+      await saveSettings({ companyName, companyAccount, defaultTemplateId: template.id, customTemplates })
+      alert('✅ Bank payment settings saved')
+    } catch (error) {
+      alert(`Error saving bank payment settings:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleExport = () => {
+    try {
+      const file = BankPayments.generateFile(template, payments, { companyName, companyAccount, paymentDate, reference })
+      BankPayments.download(file)
+      setExported({ filename: file.filename, ...file.summary })
+    } catch (error) {
+      alert(`Error creating bank file:\n${error.message}`)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Bank Payment File</h2>
+              <p className="text-sm text-black-50">{title}</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* File options */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">File Template</label>
+              <select value={template.id} onChange={(e) => setTemplateId(e.target.value)} className="input-field">
+                {templates.map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Payment Date</label>
+              <input type="date" value={paymentDate} onChange={(e) => setPaymentDate(e.target.value)} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Company Name</label>
+              <input type="text" value={companyName} onChange={(e) => setCompanyName(e.target.value)} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Company Account Number</label>
+              <input type="text" value={companyAccount} onChange={(e) => setCompanyAccount(e.target.value)} className="input-field" />
+            </div>
+          </div>
+
+          {/* Payments */}
+          <div className="border border-black-10 rounded-lg overflow-hidden">
+            <table className="min-w-full divide-y divide-black-10 text-sm">
+              <thead className="bg-black-10">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-black-75 uppercase">Beneficiary</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-black-75 uppercase">Bank</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-black-75 uppercase">Account</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-black-75 uppercase">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {payments.map(payment => (
+                  <tr key={payment.employeeId}>
+                    <td className="px-4 py-2">{payment.beneficiaryName}</td>
+                    <td className="px-4 py-2">{payment.bankName || '-'}</td>
+                    <td className="px-4 py-2 font-mono">{payment.accountNumber}</td>
+                    <td className="px-4 py-2 text-right">RM{(payment.amountCents / 100).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="px-4 py-3 bg-black-10 text-sm text-black-75 flex flex-wrap justify-between gap-2">
+              <span>{summary.count} payment(s)</span>
+              <span>Total RM{summary.totalAmount}</span>
+              <span>Account hash total {summary.hashTotal}</span>
+            </div>
+          </div>
+
+          {skipped.length > 0 && (
+            <p className="text-xs text-black-50">
+              Not included: {skipped.map(item => `${item.name} (${item.reason})`).join(', ')}
+            </p>
+          )}
+
+          {errors.length > 0 && (
+            <div className="bg-red-10 border border-primary-red rounded-lg p-4 text-sm text-primary-red">
+              <p className="font-medium mb-1">Fix these in Employee Management before exporting:</p>
+              <ul className="list-disc ml-5">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {exported && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+              <p className="font-medium">{exported.filename}</p>
+              <p>
+                {exported.count} payment(s) · total RM{exported.totalAmount} · hash total {exported.hashTotal} · CRC-32 {exported.checksum}
+              </p>
+              <p className="text-xs mt-1">Check the count and total against the portal's summary after uploading.</p>
+            </div>
+          )}
+
+          {/* Custom templates */}
+          {can(PERMISSIONS.PAYROLL_MANAGE) && (
+            <div>
+              <button onClick={() => setShowTemplates(!showTemplates)} className="text-sm text-primary-red hover:text-red-dark">
+                {showTemplates ? 'Hide custom templates' : 'Custom templates'}
+              </button>
+              {showTemplates && (
+                <div className="mt-2 space-y-2">
+                  <p className="text-xs text-black-50">
+                    A list of templates, each with id, name, format ("csv" or "fixed") and fields. Detail fields: {Object.keys(PAYMENT_FIELDS).join(', ')}.
+                    Header and trailer fields: {Object.keys(SUMMARY_FIELDS).join(', ')}. Fixed-width fields need a width.
+                  </p>
+                  <textarea
+                    value={customTemplatesText}
+                    onChange={(e) => setCustomTemplatesText(e.target.value)}
+                    rows={8}
+                    className="input-field font-mono text-xs"
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-between gap-2 pt-2">
+            {can(PERMISSIONS.PAYROLL_MANAGE) ? (
+              <button onClick={handleSaveSettings} disabled={isSaving || loading} className="btn-secondary disabled:opacity-50">
+                {isSaving ? 'Saving...' : 'Save as Default'}
+              </button>
+            ) : <span />}
+            <div className="flex gap-2">
+              <button onClick={onClose} className="btn-secondary">Close</button>
+              <button
+                onClick={handleExport}
+                disabled={errors.length > 0 || payments.length === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                Download File
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BankPaymentFileModal
@@ -1,10 +1,18 @@
 import { useState, useEffect } from 'react'
 import { useRepairOrder, STATUS_LABELS, STATUS_COLORS, REPAIR_STATUSES } from '../context/RepairOrderContext'
+import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import JobCards, { STATUS_SEQUENCE } from '../utils/JobCards'
 import { collection, onSnapshot, query, orderBy } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import JobCardModal from './JobCardModal'
 
-function CarStatus() {
+function CarStatus({ setActiveSection }) {
   const [selectedStatus, setSelectedStatus] = useState('all')
+  const [showJobCardModal, setShowJobCardModal] = useState(false)
+  const [expandedOrderId, setExpandedOrderId] = useState(null)
+  const [busyOrderId, setBusyOrderId] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
   const [bykiStatusData, setBykiStatusData] = useState([])
   const [isLoadingBykiStatus, setIsLoadingBykiStatus] = useState(true)
@@ -16,8 +24,17 @@ function CarStatus() {
     orderError,
     statusCounts,
     getOrdersByStatus,
-    formatDate
+    formatDate,
+    createJobCard,
+    updateJobStatus,
+    createQuotationFromJob,
+    createInvoiceFromJob,
+    shareJobStatus,
+    updateJobEstimate
   } = useRepairOrder()
+  const { parts = [] } = usePartsContext()
+  const { can } = useAuth()
+  const canUpdateStatus = can(PERMISSIONS.REPAIR_STATUS_UPDATE)
 
   // Firestore connection to byki_status collection
   useEffect(() => {
@@ -86,20 +103,117 @@ function CarStatus() {
 
   const filteredOrders = getFilteredOrders()
 
-  // Get progress percentage for status
-  const getStatusProgress = (status) => {
-    const statusOrder = [
-      REPAIR_STATUSES.NOT_STARTED,
-      REPAIR_STATUSES.UNDER_INSPECTION,
-      REPAIR_STATUSES.INSPECTION_COMPLETED,
-      REPAIR_STATUSES.REPAIR_ONGOING,
-      REPAIR_STATUSES.READY_FOR_PICKUP
-    ]
-    
-    const index = statusOrder.indexOf(status)
-    return ((index + 1) / statusOrder.length) * 100
+  const handleCreateJobCard = async (jobData, photoFiles) => {
+    try {
+      const { jobNumber } = await createJobCard(jobData, photoFiles)
+      setShowJobCardModal(false)
+      alert(`Job card ${jobNumber} created.`)
+    } catch (error) {
+      console.error('❌ Error creating job card:', error)
+      alert(`Error creating job card:\n${error.message}`)
+    }
+  }
+
+  const handleStatusChange = async (order, status) => {
+    const isRollback = STATUS_SEQUENCE.indexOf(status) < STATUS_SEQUENCE.indexOf(order.repairStatus)
+    const note = isRollback ? window.prompt(`Reason for moving back to "${STATUS_LABELS[status]}"?`) : ''
+    if (note === null) return
+
+    setBusyOrderId(order.id)
+    try {
+      await updateJobStatus(order.id, status, note)
+    } catch (error) {
+      alert(`Error updating status:\n${error.message}`)
+    } finally {
+      setBusyOrderId(null)
+    }
+  }
+
+  const handleCreateQuotation = async (order) => {
+    setBusyOrderId(order.id)
+    try {
+      const { quotationNumber } = await createQuotationFromJob(order.id)
+      if (window.confirm(`Quotation ${quotationNumber} created. Open Quotations to add parts and labour?`)) {
+        setActiveSection?.('quotation')
+      }
+    } catch (error) {
+      alert(`Error creating quotation:\n${error.message}`)
+    } finally {
+      setBusyOrderId(null)
+    }
+  }
+
+  const handleCreateInvoice = async (order) => {
+    const message = order.quotationId
+      ? `Convert quotation ${order.quotationNumber || ''} into the invoice for this job?`
+      : 'Create a pending invoice for this job? Parts and labour are added by editing it.'
+    if (!window.confirm(message)) return
+
+    setBusyOrderId(order.id)
+    try {
+      await createInvoiceFromJob(order, parts)
+      if (window.confirm('Invoice created. Open Customer Invoicing?')) {
+        setActiveSection?.('customer-invoicing')
+      }
+    } catch (error) {
+      alert(`Error creating invoice:\n${error.message}`)
+    } finally {
+      setBusyOrderId(null)
+    }
+  }
+
+  // Copy the customer's tracking link - works without a staff login
+  const handleShareStatus = async (order) => {
+    setBusyOrderId(order.id)
+    try {
+      const url = await shareJobStatus(order.id)
+      try {
+        await navigator.clipboard.writeText(url)
+        alert(`Tracking link copied. Send it to ${order.customerName || 'the customer'}:\n${url}`)
+      } catch (clipboardError) {
+        window.prompt('Copy the tracking link for the customer:', url)
+      }
+    } catch (error) {
+      alert(`Error sharing repair status:\n${error.message}`)
+    } finally {
+      setBusyOrderId(null)
+    }
+  }
+
+  const handleEstimateChange = async (order, value) => {
+    setBusyOrderId(order.id)
+    try {
+      await updateJobEstimate(order.id, value ? new Date(`${value}T00:00:00`) : null)
+    } catch (error) {
+      alert(`Error updating estimated completion:\n${error.message}`)
+    } finally {
+      setBusyOrderId(null)
+    }
   }
 
+  // yyyy-mm-dd for the date input
+  const toDateInputValue = (date) => {
+    if (!date) return ''
+    const value = date.toDate ? date.toDate() : new Date(date)
+    const month = String(value.getMonth() + 1).padStart(2, '0')
+    const day = String(value.getDate()).padStart(2, '0')
+    return `${value.getFullYear()}-${month}-${day}`
+  }
+
+  const formatDateTime = (date) => {
+    if (!date) return 'N/A'
+    const value = date.toDate ? date.toDate() : new Date(date)
+    return value.toLocaleString()
+  }
+
+  const formatDay = (date) => {
+    const value = date.toDate ? date.toDate() : new Date(date)
+    return value.toLocaleDateString()
+  }
+
+  // Get progress percentage for status - shared with the public tracking page
+  const getStatusProgress = (status) => JobCards.getStatusProgress(status)
+
   if (isLoadingOrders) {
     return (
       <div className="space-y-6">
@@ -138,6 +252,14 @@ function CarStatus() {
           </p>
         </div>
         <div className="flex gap-2">
+          {canUpdateStatus && (
+            <button
+              onClick={() => setShowJobCardModal(true)}
+              className="btn-primary px-4 py-2 rounded-lg"
+            >
+              New Job Card
+            </button>
+          )}
           <select
             value={selectedStatus}
             onChange={(e) => setSelectedStatus(e.target.value)}
@@ -277,6 +399,14 @@ function CarStatus() {
                   <div className="flex-1">
                     <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 mb-3">
                       <div>
+                        {order.jobNumber && (
+                          <p className="text-xs font-mono text-primary-red">{order.jobNumber}</p>
+                        )}
+                        {order.warrantyClaim && (
+                          <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-purple-100 text-purple-700">
+                            Warranty claim · {order.warrantyClaim.invoiceNumber}
+                          </span>
+                        )}
                         <h4 className="text-lg font-semibold text-primary-black">
                           {order.customerName || 'Unknown Customer'}
                         </h4>
@@ -298,11 +428,93 @@ function CarStatus() {
                       </div>
                     )}
 
+                    {/* Check-in details */}
+                    {(order.mileage != null || order.fuelLevel || order.assignedMechanicName) && (
+                      <div className="flex flex-wrap gap-4 mb-3 text-sm text-black-75">
+                        {order.mileage != null && <p><span className="font-medium">Mileage:</span> {order.mileage.toLocaleString()} km</p>}
+                        {order.fuelLevel && <p><span className="font-medium">Fuel:</span> {order.fuelLevel}</p>}
+                        {order.assignedMechanicName && <p><span className="font-medium">Mechanic:</span> {order.assignedMechanicName}</p>}
+                      </div>
+                    )}
+
+                    {order.photos?.length > 0 && (
+                      <div className="flex gap-2 mb-3">
+                        {order.photos.map(photo => (
+                          <a key={photo.path} href={photo.url} target="_blank" rel="noopener noreferrer">
+                            <img src={photo.url} alt={photo.name} className="w-16 h-16 object-cover rounded border border-black-10" />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Dates */}
                     <div className="flex flex-col sm:flex-row gap-4 text-sm text-black-50">
                       <p>Created: {formatDate(order.dateCreated)}</p>
                       <p>Last Updated: {formatDate(order.lastUpdated)}</p>
+                      {order.quotationNumber && <p>Quotation: {order.quotationNumber}</p>}
+                      {order.invoiceNumber && <p>Invoice: {order.invoiceNumber}</p>}
                     </div>
+
+                    {/* Job actions */}
+                    <div className="flex flex-wrap gap-3 mt-3 text-sm">
+                      {canUpdateStatus && JobCards.getAllowedTransitions(order.repairStatus).map(status => (
+                        <button
+                          key={status}
+                          onClick={() => handleStatusChange(order, status)}
+                          disabled={busyOrderId === order.id}
+                          className="text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+                        >
+                          {STATUS_SEQUENCE.indexOf(status) > STATUS_SEQUENCE.indexOf(order.repairStatus) ? '→' : '←'} {STATUS_LABELS[status]}
+                        </button>
+                      ))}
+                      {can(PERMISSIONS.QUOTATION_MANAGE) && !order.warrantyClaim && !order.quotationId && !order.invoiceId && (
+                        <button
+                          onClick={() => handleCreateQuotation(order)}
+                          disabled={busyOrderId === order.id}
+                          className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                        >
+                          Create Quotation
+                        </button>
+                      )}
+                      {can(PERMISSIONS.INVOICE_CREATE) && !order.invoiceId && (
+                        <button
+                          onClick={() => handleCreateInvoice(order)}
+                          disabled={busyOrderId === order.id}
+                          className="text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                        >
+                          Create Invoice
+                        </button>
+                      )}
+                      {canUpdateStatus && (
+                        <button
+                          onClick={() => handleShareStatus(order)}
+                          disabled={busyOrderId === order.id}
+                          className="text-purple-600 hover:text-purple-800 font-medium disabled:opacity-50"
+                        >
+                          {order.trackingToken ? 'Copy Tracking Link' : 'Share With Customer'}
+                        </button>
+                      )}
+                      {order.statusHistory?.length > 0 && (
+                        <button
+                          onClick={() => setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}
+                          className="text-black-50 hover:text-black-75"
+                        >
+                          {expandedOrderId === order.id ? 'Hide History' : 'History'}
+                        </button>
+                      )}
+                    </div>
+
+                    {expandedOrderId === order.id && (
+                      <ul className="mt-3 space-y-1 text-xs text-black-75 border-l-2 border-black-10 pl-3">
+                        {order.statusHistory.map((entry, index) => (
+                          <li key={index}>
+                            <span className="font-medium">{STATUS_LABELS[entry.status] || entry.status}</span>
+                            {' '}- {formatDateTime(entry.changedAt)} by {entry.changedBy}
+                            {entry.note && <span className="text-black-50"> ({entry.note})</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
 
                   {/* Status and Progress */}
@@ -324,6 +536,24 @@ function CarStatus() {
                           {Math.round(getStatusProgress(order.repairStatus))}% Complete
                         </p>
                       </div>
+
+                      {/* Estimated completion - shown on the customer's tracking page */}
+                      <div className="mt-3 text-xs text-black-50">
+                        <label className="block mb-1">Estimated Completion</label>
+                        {canUpdateStatus ? (
+                          <input
+                            type="date"
+                            value={toDateInputValue(order.estimatedCompletion)}
+                            onChange={(e) => handleEstimateChange(order, e.target.value)}
+                            disabled={busyOrderId === order.id}
+                            className="px-2 py-1 border rounded text-sm text-primary-black"
+                          />
+                        ) : (
+                          <p className="text-sm text-black-75">
+                            {order.estimatedCompletion ? formatDay(order.estimatedCompletion) : 'Not set'}
+                          </p>
+                        )}
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -332,6 +562,13 @@ function CarStatus() {
           </div>
         )}
       </div>
+
+      {showJobCardModal && (
+        <JobCardModal
+          onCreate={handleCreateJobCard}
+          onClose={() => setShowJobCardModal(false)}
+        />
+      )}
     </div>
   )
 }
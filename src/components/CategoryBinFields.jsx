@@ -0,0 +1,49 @@
+/**
+ * Category and Bin Fields
+ * Part category and shelf/bin inputs for the part forms - stock-takes are counted by either
+ */
+
+import { usePartsContext } from '../context/PartsContext'
+
+function CategoryBinFields({ formData, onChange, labelClassName = 'block text-sm font-medium text-primary-black mb-2' }) {
+  const { parts } = usePartsContext()
+
+  // Suggest values already in use so counts don't split over spelling differences
+  const categories = [...new Set(parts.map(part => part.category).filter(Boolean))].sort()
+  const bins = [...new Set(parts.map(part => part.binLocation).filter(Boolean))].sort()
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <div>
+        <label className={labelClassName}>Category</label>
+        <input
+          type="text"
+          list="part-category-options"
+          value={formData.category || ''}
+          onChange={(e) => onChange('category', e.target.value)}
+          className="input-field w-full"
+          placeholder="e.g., Fluids"
+        />
+        <datalist id="part-category-options">
+          {categories.map(category => <option key={category} value={category} />)}
+        </datalist>
+      </div>
+      <div>
+        <label className={labelClassName}>Bin / Shelf</label>
+        <input
+          type="text"
+          list="part-bin-options"
+          value={formData.binLocation || ''}
+          onChange={(e) => onChange('binLocation', e.target.value)}
+          className="input-field w-full"
+          placeholder="e.g., A-03"
+        />
+        <datalist id="part-bin-options">
+          {bins.map(bin => <option key={bin} value={bin} />)}
+        </datalist>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryBinFields
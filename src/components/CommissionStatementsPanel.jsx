@@ -0,0 +1,308 @@
+/**
+ * Commission Statements Panel
+ * Monthly statements per mechanic: generate drafts, approve, record payment
+ * and download the statement PDF. Mechanics linked to an employee are paid
+ * their approved statements through payroll. The rest have no bank details on
+ * file, so their approved statements are exported as a payout list, paid by
+ * hand and recorded here
+ */
+
+import { useState, useEffect, Fragment } from 'react'
+import { collection, query, where, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import { useAuth } from '../context/AuthContext'
+import { useEmployee } from '../context/EmployeeContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import {
+  generateCommissionStatements,
+  approveCommissionStatement,
+  updateCommissionStatementStatus
+} from '../utils/FirebaseDataUtils'
+import PDFGenerator from '../utils/PDFGenerator'
+import Spreadsheet from '../utils/Spreadsheet'
+import CommissionStatements, {
+  COMMISSION_STATEMENTS_COLLECTION,
+  STATEMENT_STATUSES,
+  STATEMENT_STATUS_LABELS
+} from '../utils/CommissionStatements'
+
+const STATUS_COLORS = {
+  [STATEMENT_STATUSES.DRAFT]: 'bg-blue-100 text-blue-800',
+  [STATEMENT_STATUSES.APPROVED]: 'bg-yellow-100 text-yellow-800',
+  [STATEMENT_STATUSES.PAID]: 'bg-green-100 text-green-800'
+}
+
+function CommissionStatementsPanel() {
+  const { can, requirePermission, staffName, employee } = useAuth()
+  const { employees } = useEmployee()
+  const [period, setPeriod] = useState(() => CommissionStatements.getPeriodKey(new Date()))
+  const [statements, setStatements] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [expandedId, setExpandedId] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canGenerate = can(PERMISSIONS.COMMISSION_VIEW)
+  const canApprove = can(PERMISSIONS.COMMISSION_APPROVE)
+  const actor = { name: staffName, id: employee?.id || null }
+
+  useEffect(() => {
+    setIsLoading(true)
+    const statementsQuery = query(collection(db, COMMISSION_STATEMENTS_COLLECTION), where('period', '==', period))
+    const unsubscribe = onSnapshot(statementsQuery, (snapshot) => {
+      setStatements(snapshot.docs
+        .map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() }))
+        .sort((a, b) => a.mechanicName.localeCompare(b.mechanicName)))
+      setIsLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading commission statements:', error)
+      setIsLoading(false)
+    })
+    return () => unsubscribe()
+  }, [period])
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ms-MY', {
+      style: 'currency',
+      currency: 'MYR'
+    }).format(amount || 0)
+  }
+
+  const runAction = async (action, errorMessage) => {
+    setIsSaving(true)
+    try {
+      return await action()
+    } catch (error) {
+      alert(`${errorMessage}:\n${error.message}`)
+      return null
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleGenerate = async () => {
+    const result = await runAction(() => {
+      requirePermission(PERMISSIONS.COMMISSION_VIEW, 'generate commission statements')
+      return generateCommissionStatements(period, actor)
+    }, 'Error generating statements')
+    if (result) {
+      alert(
+        `${CommissionStatements.getPeriodLabel(period)}: ${result.saved} draft statement(s) saved` +
+        (result.locked > 0 ? `\n${result.locked} approved or paid statement(s) left unchanged` : '') +
+        (result.removed > 0 ? `\n${result.removed} empty draft(s) removed` : '')
+      )
+    }
+  }
+
+  const handleApprove = async (statement) => {
+    if (!window.confirm(`Approve ${statement.mechanicName}'s statement for ${CommissionStatements.getPeriodLabel(period)}? It is recalculated first to include recent credits and edits.`)) return
+    const summary = await runAction(() => {
+      requirePermission(PERMISSIONS.COMMISSION_APPROVE, 'approve commission statements')
+      return approveCommissionStatement(statement.id, actor)
+    }, 'Error approving statement')
+    if (summary) {
+      alert(`✅ Approved ${formatCurrency(summary.total)} for ${statement.mechanicName}`)
+    }
+  }
+
+  const handleSendBack = async (statement) => {
+    const reason = window.prompt('Reason for sending this statement back to draft:')
+    if (!reason?.trim()) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.COMMISSION_APPROVE, 'send back commission statements')
+      return updateCommissionStatementStatus(statement.id, STATEMENT_STATUSES.DRAFT, actor, { reason: reason.trim() })
+    }, 'Error sending back statement')
+  }
+
+  const handleMarkPaid = async (statement) => {
+    const paymentReference = window.prompt(
+      `Record payment of ${formatCurrency(statement.summary?.total)} to ${statement.mechanicName}. ` +
+      'The statement is locked once paid.\n\nPayment reference (optional):'
+    )
+    if (paymentReference === null) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.COMMISSION_APPROVE, 'record commission payments')
+      return updateCommissionStatementStatus(statement.id, STATEMENT_STATUSES.PAID, actor, { paymentReference: paymentReference.trim() })
+    }, 'Error recording payment')
+  }
+
+  const handleDownload = (statement) => {
+    try {
+      PDFGenerator.downloadCommissionStatementPDF(statement)
+    } catch (error) {
+      alert(`Error generating statement PDF:\n${error.message}`)
+    }
+  }
+
+  const handleExportPayouts = () => {
+    try {
+      Spreadsheet.download(CommissionStatements.toPayoutRows(outsidePayroll), `commission-payouts-${period}.csv`)
+    } catch (error) {
+      alert(`Error exporting payout list:\n${error.message}`)
+    }
+  }
+
+  const periodTotal = statements.reduce((sum, statement) => sum + (statement.summary?.total || 0), 0)
+
+  const isPaidThroughPayroll = (statement) => CommissionStatements.isPaidThroughPayroll(statement, employees)
+  const outsidePayroll = CommissionStatements.getStatementsOutsidePayroll(statements, employees)
+
+  return (
+    <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-black-10 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-primary-black">Commission Statements</h3>
+          <p className="text-sm text-black-50">
+            Approved statements are settled; credits and edits after that go on a later statement as adjustments
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="month"
+            value={period}
+            onChange={(e) => e.target.value && setPeriod(e.target.value)}
+            className="input-field w-auto"
+          />
+          {canGenerate && (
+            <button onClick={handleGenerate} disabled={isSaving} className="btn-primary whitespace-nowrap disabled:opacity-50">
+              {statements.length > 0 ? 'Refresh Drafts' : 'Generate'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!isLoading && canApprove && outsidePayroll.length > 0 && (
+        <div className="mx-4 sm:mx-6 mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-sm text-black-75">
+            {outsidePayroll.length} approved statement(s) totalling {formatCurrency(outsidePayroll.reduce((sum, statement) => sum + (statement.summary?.total || 0), 0))} are
+            for mechanics with no employee record, so payroll can't pay them. Pay them by hand and mark them paid,
+            or link the mechanic to an employee before the next pay run.
+          </p>
+          <button onClick={handleExportPayouts} className="btn-secondary whitespace-nowrap">
+            Export Payout List
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="loading-spinner mr-3"></div>
+          <span className="text-black-75">Loading statements...</span>
+        </div>
+      ) : statements.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-black-50">No statements for {CommissionStatements.getPeriodLabel(period)} yet.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-black-10">
+            <thead className="bg-black-10">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-black-75 uppercase tracking-wider">Mechanic</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-black-75 uppercase tracking-wider">Commission</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-black-75 uppercase tracking-wider">Adjustments</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-black-75 uppercase tracking-wider">Payable</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-black-75 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-black-75 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-black-10">
+              {statements.map(statement => (
+                <Fragment key={statement.id}>
+                  <tr>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium text-primary-black">{statement.mechanicName}</div>
+                      <div className="text-xs text-black-50">{statement.summary?.invoiceCount || 0} invoice(s)</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">{formatCurrency(statement.summary?.commissionTotal)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-right text-sm ${(statement.summary?.adjustmentTotal || 0) < 0 ? 'text-primary-red' : ''}`}>
+                      {formatCurrency(statement.summary?.adjustmentTotal)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right font-bold text-primary-black">{formatCurrency(statement.summary?.total)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_COLORS[statement.status]}`}>
+                        {STATEMENT_STATUS_LABELS[statement.status]}
+                      </span>
+                      {statement.status === STATEMENT_STATUSES.DRAFT && statement.returnReason && (
+                        <div className="text-xs text-black-50 mt-1">Sent back: {statement.returnReason}</div>
+                      )}
+                      {statement.status === STATEMENT_STATUSES.APPROVED && (statement.payRunId ? (
+                        <div className="text-xs text-black-50 mt-1">In the {statement.payRunId} pay run</div>
+                      ) : isPaidThroughPayroll(statement) ? (
+                        <div className="text-xs text-black-50 mt-1">Paid with the next pay run</div>
+                      ) : (
+                        <div className="text-xs text-black-50 mt-1">No employee record - pay by hand</div>
+                      ))}
+                      {statement.status === STATEMENT_STATUSES.PAID && statement.paymentReference && (
+                        <div className="text-xs text-black-50 mt-1">Ref {statement.paymentReference}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setExpandedId(expandedId === statement.id ? null : statement.id)}
+                          className="text-primary-red hover:text-red-dark"
+                        >
+                          {expandedId === statement.id ? 'Hide' : 'View'}
+                        </button>
+                        <button onClick={() => handleDownload(statement)} className="text-primary-red hover:text-red-dark">PDF</button>
+                        {canApprove && statement.status === STATEMENT_STATUSES.DRAFT && (
+                          <button onClick={() => handleApprove(statement)} disabled={isSaving} className="text-primary-red hover:text-red-dark font-medium">
+                            Approve
+                          </button>
+                        )}
+                        {canApprove && statement.status === STATEMENT_STATUSES.APPROVED && !statement.payRunId && (
+                          <>
+                            <button onClick={() => handleSendBack(statement)} disabled={isSaving} className="text-black-75 hover:text-primary-black">
+                              Send Back
+                            </button>
+                            {!isPaidThroughPayroll(statement) && (
+                              <button onClick={() => handleMarkPaid(statement)} disabled={isSaving} className="text-primary-red hover:text-red-dark font-medium">
+                                Mark Paid
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                  {expandedId === statement.id && (
+                    <tr>
+                      <td colSpan={6} className="px-6 py-4 bg-black-5">
+                        <table className="w-full text-sm">
+                          <tbody>
+                            {statement.lines.map((line, index) => (
+                              <tr key={`${line.invoiceId}-${index}`}>
+                                <td className="py-1 pr-4 text-black-75">{new Date(line.invoiceDate).toLocaleDateString('en-MY')}</td>
+                                <td className="py-1 pr-4 font-mono">{line.invoiceNumber}</td>
+                                <td className="py-1 pr-4">
+                                  {line.customerName}
+                                  {line.adjustment && (
+                                    <span className="ml-2 text-xs text-primary-red">
+                                      Adjustment ({line.adjustmentReason}) - previously {formatCurrency(line.previouslySettled)}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="py-1 pr-4 text-black-75">{line.type === 'team' ? `Team ${line.percentage}%` : 'Individual'}</td>
+                                <td className={`py-1 text-right font-medium ${line.amount < 0 ? 'text-primary-red' : ''}`}>{formatCurrency(line.amount)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          <div className="px-6 py-3 text-right text-sm text-black-75 border-t border-black-10">
+            Total for {CommissionStatements.getPeriodLabel(period)}: <span className="font-bold text-primary-black">{formatCurrency(periodTotal)}</span>
+          </div>
+        </div>
+      )}
+
+    </div>
+  )
+}
+
+export default CommissionStatementsPanel
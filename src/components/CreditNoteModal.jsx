@@ -0,0 +1,262 @@
+/**
+ * Credit Note Modal
+ * Credit some or all lines of an issued invoice, with optional return to stock
+ */
+
+import { useState } from 'react'
+import CreditNotes, { CREDIT_LINE_TYPES } from '../utils/CreditNotes'
+
+const REFUND_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'check', label: 'Check' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'bank_transfer', label: 'Bank Transfer' }
+]
+
+const lineKey = (line) => `${line.lineType}:${line.sourceIndex}`
+
+function CreditNoteModal({ invoice, creditNotes = [], onIssue, onClose, formatCurrency }) {
+  const [selections, setSelections] = useState({})
+  const [reason, setReason] = useState('')
+  const [refundMethod, setRefundMethod] = useState('cash')
+  const [referenceNumber, setReferenceNumber] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const creditableLines = CreditNotes.getCreditableLines(invoice, creditNotes)
+  const lines = CreditNotes.buildLines(creditableLines, selections)
+  const totals = CreditNotes.calculateTotals(invoice, lines)
+  const settlement = CreditNotes.calculateSettlement(invoice, totals.total)
+
+  const updateSelection = (line, field, value) => {
+    const key = lineKey(line)
+    setSelections({ ...selections, [key]: { ...selections[key], [field]: value } })
+  }
+
+  // Select everything still creditable - a full reversal of the invoice
+  const creditAll = () => {
+    setSelections(Object.fromEntries(creditableLines.map(line => [
+      lineKey(line),
+      line.lineType === CREDIT_LINE_TYPES.PART
+        ? { quantity: line.remainingQuantity, returnToStock: !!line.partId }
+        : { amount: line.remainingAmount }
+    ])))
+  }
+
+  const handleIssue = async () => {
+    const errors = CreditNotes.validate(invoice, creditableLines, lines, reason)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+
+    const confirmMessage = settlement.refundAmount > 0
+      ? `Issue credit note for ${formatCurrency(totals.total)} and refund ${formatCurrency(settlement.refundAmount)} to the customer?`
+      : `Issue credit note for ${formatCurrency(totals.total)}?`
+    if (!window.confirm(confirmMessage)) return
+
+    setIsSaving(true)
+    try {
+      await onIssue({ lines, reason, refundMethod, referenceNumber })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Issue Credit Note</h2>
+              <p className="text-sm text-black-50">
+                {invoice.invoiceNumber} - {invoice.customerName}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-medium text-primary-black">Lines to Credit</h3>
+              <button
+                onClick={creditAll}
+                className="text-sm text-primary-red hover:text-red-dark font-medium"
+              >
+                Credit Everything
+              </button>
+            </div>
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Item</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-black-50 uppercase">Invoiced</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-black-50 uppercase">Credit</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-black-50 uppercase">Return to Stock</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {creditableLines.map(line => {
+                  const selection = selections[lineKey(line)] || {}
+                  const isPart = line.lineType === CREDIT_LINE_TYPES.PART
+                  const remaining = isPart ? line.remainingQuantity : line.remainingAmount
+
+                  return (
+                    <tr key={lineKey(line)} className={remaining > 0 ? '' : 'opacity-50'}>
+                      <td className="px-3 py-2 text-primary-black">
+                        {line.description || (isPart ? 'Part' : 'Labor')}
+                        {line.sku && <span className="block text-xs text-black-50">{line.sku}</span>}
+                      </td>
+                      <td className="px-3 py-2 text-right text-black-75">
+                        {isPart
+                          ? `${line.quantity} x ${formatCurrency(line.unitPrice)}`
+                          : formatCurrency(line.amount)}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {isPart ? (
+                          <input
+                            type="number"
+                            value={selection.quantity ?? ''}
+                            onChange={(e) => updateSelection(line, 'quantity', e.target.value)}
+                            className="w-20 px-2 py-1 border rounded text-right"
+                            min="0"
+                            max={remaining}
+                            placeholder="0"
+                            disabled={remaining === 0}
+                          />
+                        ) : (
+                          <input
+                            type="number"
+                            value={selection.amount ?? ''}
+                            onChange={(e) => updateSelection(line, 'amount', e.target.value)}
+                            className="w-28 px-2 py-1 border rounded text-right"
+                            min="0"
+                            max={remaining}
+                            step="0.01"
+                            placeholder="0.00"
+                            disabled={remaining === 0}
+                          />
+                        )}
+                        <span className="block text-xs text-black-50">
+                          {isPart ? `${remaining} left` : `${formatCurrency(remaining)} left`}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-center">
+                        {isPart && line.partId ? (
+                          <input
+                            type="checkbox"
+                            checked={!!selection.returnToStock}
+                            onChange={(e) => updateSelection(line, 'returnToStock', e.target.checked)}
+                            disabled={remaining === 0}
+                          />
+                        ) : (
+                          <span className="text-xs text-black-50">-</span>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Reason</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 border rounded"
+              rows={2}
+              placeholder="e.g. Part returned unused, goodwill adjustment"
+            />
+          </div>
+
+          <div className="bg-black-5 rounded-lg p-4 space-y-1 text-sm">
+            <div className="flex justify-between">
+              <span>Subtotal</span>
+              <span>{formatCurrency(totals.subtotal)}</span>
+            </div>
+            {totals.discountAmount > 0 && (
+              <div className="flex justify-between">
+                <span>Discount ({totals.discount}%)</span>
+                <span>-{formatCurrency(totals.discountAmount)}</span>
+              </div>
+            )}
+            {totals.taxBreakdown.map(entry => (
+              <div key={`${entry.code}@${entry.rate}`} className="flex justify-between">
+                <span>{entry.label} ({entry.rate}%){totals.pricesIncludeTax ? ' - included' : ''}</span>
+                <span>{formatCurrency(entry.taxAmount)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between font-semibold border-t border-black-10 pt-1">
+              <span>Total Credit</span>
+              <span>{formatCurrency(totals.total)}</span>
+            </div>
+            <div className="flex justify-between text-black-75">
+              <span>Outstanding after credit</span>
+              <span>{formatCurrency(settlement.outstandingBalance)}</span>
+            </div>
+            <div className="flex justify-between font-semibold text-primary-red">
+              <span>Refund to customer</span>
+              <span>{formatCurrency(settlement.refundAmount)}</span>
+            </div>
+          </div>
+
+          {settlement.refundAmount > 0 && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-black-75 mb-1">Refund Method</label>
+                <select
+                  value={refundMethod}
+                  onChange={(e) => setRefundMethod(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                >
+                  {REFUND_METHODS.map(method => (
+                    <option key={method.value} value={method.value}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-black-75 mb-1">Reference</label>
+                <input
+                  type="text"
+                  value={referenceNumber}
+                  onChange={(e) => setReferenceNumber(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            <button
+              onClick={handleIssue}
+              disabled={isSaving || lines.length === 0}
+              className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+            >
+              {isSaving ? 'Issuing...' : 'Issue Credit Note'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CreditNoteModal
@@ -4,6 +4,10 @@ import { useDataJoin } from '../context/DataJoinContext'
 import { collection, getDocs, query, where, orderBy } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 import { createCustomer } from '../utils/FirebaseDataUtils'
+import { useVehicle } from '../context/VehicleContext'
+import { GEARBOX_LABELS } from '../utils/Vehicles'
+import VehicleModal from './VehicleModal'
+import VehicleDetailModal from './VehicleDetailModal'
 
 function CustomerDatabase({ setActiveSection }) {
   const [searchTerm, setSearchTerm] = useState('')
@@ -23,6 +27,11 @@ function CustomerDatabase({ setActiveSection }) {
     address: ''
   })
   const [isSaving, setIsSaving] = useState(false)
+
+  // Vehicle registry
+  const [showVehicleModal, setShowVehicleModal] = useState(false)
+  const [vehicleModalCustomerId, setVehicleModalCustomerId] = useState('')
+  const [selectedVehicleId, setSelectedVehicleId] = useState(null)
   
   const { 
     customers, 
@@ -37,10 +46,25 @@ function CustomerDatabase({ setActiveSection }) {
     searchJoinedData 
   } = useDataJoin()
 
-  // Filter customers based on search term
-  const filteredCustomers = searchTerm 
-    ? searchJoinedData(searchTerm)
-    : joinedCustomerData
+  const { vehicles, searchVehicles, getCustomerVehicles } = useVehicle()
+
+  // Vehicles matching the search - plate, VIN, make/model or owner
+  const filteredVehicles = searchTerm ? searchVehicles(searchTerm) : vehicles
+
+  // Filter customers based on search term (a plate or VIN search also finds the owner)
+  const getFilteredCustomers = () => {
+    if (!searchTerm) return joinedCustomerData
+
+    const matches = searchJoinedData(searchTerm)
+    const matchedIds = new Set(matches.map(customer => customer.id))
+    const vehicleOwnerIds = new Set(filteredVehicles.map(vehicle => vehicle.customerId).filter(Boolean))
+    return [
+      ...matches,
+      ...joinedCustomerData.filter(customer => vehicleOwnerIds.has(customer.id) && !matchedIds.has(customer.id))
+    ]
+  }
+
+  const filteredCustomers = getFilteredCustomers()
 
   // Fetch past customers from customer_invoices collection
   const fetchPastCustomers = async () => {
@@ -152,6 +176,11 @@ function CustomerDatabase({ setActiveSection }) {
     setShowCustomerModal(true)
   }
 
+  const openVehicleModal = (customerId = '') => {
+    setVehicleModalCustomerId(customerId)
+    setShowVehicleModal(true)
+  }
+
   const handleCreateInvoice = (customer) => {
     selectCustomer(customer)
     setActiveSection('customer-invoicing')
@@ -239,6 +268,12 @@ function CustomerDatabase({ setActiveSection }) {
           >
             Add Customer
           </button>
+          <button
+            onClick={() => openVehicleModal()}
+            className="px-4 py-2 text-sm font-medium bg-white text-primary-black hover:bg-black-5 border-r border-black-10"
+          >
+            Add Vehicle
+          </button>
           <button
             onClick={() => setActiveSection('quotation')}
             className="px-4 py-2 text-sm font-medium bg-white text-primary-black hover:bg-black-5 border-r border-black-10"
@@ -260,7 +295,7 @@ function CustomerDatabase({ setActiveSection }) {
           <div className="flex-1">
             <input
               type="text"
-              placeholder="Search customers by name, phone, email, or address..."
+              placeholder="Search customers by name, phone or email, or vehicles by plate, VIN or model..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full px-4 py-3 border border-black-25 rounded-lg focus:ring-2 focus:ring-primary-red focus:border-primary-red"
@@ -310,7 +345,11 @@ function CustomerDatabase({ setActiveSection }) {
               </thead>
               <tbody className="bg-primary-white divide-y divide-black-10">
                 {filteredCustomers.map((customer) => (
-                  <tr key={customer.id} className="hover:bg-black-5">
+                  <tr
+                    key={customer.id}
+                    onClick={() => handleCustomerSelect(customer)}
+                    className="hover:bg-black-5 cursor-pointer"
+                  >
                     <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-primary-black">
@@ -358,6 +397,74 @@ function CustomerDatabase({ setActiveSection }) {
         )}
       </div>
 
+      {/* Vehicles Section */}
+      <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
+        <div className="p-4 sm:p-6 border-b border-black-10">
+          <h3 className="text-lg font-semibold text-primary-black">Vehicles</h3>
+          <p className="text-black-75 text-sm">
+            {filteredVehicles.length} of {vehicles.length} registered vehicles
+          </p>
+        </div>
+
+        {filteredVehicles.length === 0 ? (
+          <div className="p-8 text-center">
+            <p className="text-black-50">
+              {searchTerm ? 'No vehicles found matching your search.' : 'No vehicles registered yet.'}
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto max-h-96">
+            <table className="w-full">
+              <thead className="bg-black-5 border-b border-black-10">
+                <tr>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">
+                    Plate
+                  </th>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">
+                    Vehicle
+                  </th>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">
+                    Gearbox
+                  </th>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">
+                    Mileage
+                  </th>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-black-50 uppercase tracking-wider">
+                    Owner
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-primary-white divide-y divide-black-10">
+                {filteredVehicles.map((vehicle) => (
+                  <tr
+                    key={vehicle.id}
+                    onClick={() => setSelectedVehicleId(vehicle.id)}
+                    className="hover:bg-black-5 cursor-pointer"
+                  >
+                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-primary-black">{vehicle.plate}</div>
+                      {vehicle.vin && <div className="text-xs font-mono text-black-50">{vehicle.vin}</div>}
+                    </td>
+                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-primary-black">
+                      {vehicle.make} {vehicle.model} {vehicle.year}
+                    </td>
+                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-black-75">
+                      {GEARBOX_LABELS[vehicle.gearboxType] || '-'}
+                    </td>
+                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-black-75">
+                      {vehicle.currentMileage != null ? `${vehicle.currentMileage.toLocaleString()} km` : '-'}
+                    </td>
+                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-primary-black">
+                      {vehicle.customerName || <span className="text-black-50">No owner</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Past Customers Section */}
       <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
         <div className="p-4 sm:p-6 border-b border-black-10">
@@ -500,6 +607,38 @@ function CustomerDatabase({ setActiveSection }) {
                 </div>
               </div>
 
+              {/* Vehicles */}
+              <div className="mb-6">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-lg font-medium text-primary-black">Vehicles</h3>
+                  <button
+                    onClick={() => openVehicleModal(selectedCustomer.id)}
+                    className="text-sm text-primary-red hover:text-red-dark font-medium"
+                  >
+                    Add Vehicle
+                  </button>
+                </div>
+                {getCustomerVehicles(selectedCustomer.id).length === 0 ? (
+                  <p className="text-sm text-black-50">No vehicles registered for this customer</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {getCustomerVehicles(selectedCustomer.id).map((vehicle) => (
+                      <button
+                        key={vehicle.id}
+                        onClick={() => setSelectedVehicleId(vehicle.id)}
+                        className="bg-black-5 p-3 rounded-lg text-left hover:bg-black-10"
+                      >
+                        <p className="font-medium">{vehicle.plate}</p>
+                        <p className="text-sm text-black-75">{vehicle.make} {vehicle.model} {vehicle.year}</p>
+                        {vehicle.currentMileage != null && (
+                          <p className="text-sm text-black-75">{vehicle.currentMileage.toLocaleString()} km</p>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               {/* Mechanics Worked */}
               {selectedCustomer.mechanicsWorked && selectedCustomer.mechanicsWorked.length > 0 && (
                 <div className="mb-6">
@@ -798,6 +937,20 @@ function CustomerDatabase({ setActiveSection }) {
           </div>
         </div>
       )}
+
+      {showVehicleModal && (
+        <VehicleModal
+          defaultCustomerId={vehicleModalCustomerId}
+          onClose={() => setShowVehicleModal(false)}
+        />
+      )}
+
+      {selectedVehicleId && (
+        <VehicleDetailModal
+          vehicleId={selectedVehicleId}
+          onClose={() => setSelectedVehicleId(null)}
+        />
+      )}
     </div>
   )
 }
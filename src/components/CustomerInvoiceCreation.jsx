@@ -1,10 +1,28 @@
 import React, { useState, useEffect } from 'react'
 import { useCustomer } from '../context/CustomerContext'
 import { useTransaction } from '../context/TransactionContext'
-import { createCustomerInvoice, updateCustomerInvoice } from '../utils/FirebaseDataUtils'
-import { collection, query, orderBy, onSnapshot, getDocs, deleteDoc, doc } from 'firebase/firestore'
+import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { useRepairOrder } from '../context/RepairOrderContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useTaxSettings } from '../hooks/useTaxSettings'
+import { useBarcodeScanner } from '../hooks/useBarcodeScanner'
+import { createCustomerInvoice, saveCustomerInvoiceEdit, voidCustomerInvoice, getInvoicePayments, getInvoiceCreditNotes } from '../utils/FirebaseDataUtils'
+import { collection, query, orderBy, onSnapshot, getDocs } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 import PDFGenerator from '../utils/PDFGenerator'
+import PaymentLedger, { PAYMENT_STATUS_LABELS } from '../utils/PaymentLedger'
+import TaxEngine from '../utils/TaxEngine'
+import Costing from '../utils/Costing'
+import Warranty from '../utils/Warranty'
+import Barcode from '../utils/Barcode'
+import InvoiceEditValidator from '../utils/InvoiceEditValidator'
+import PartsSelector from './PartsSelector'
+import PaymentLedgerTable from './PaymentLedgerTable'
+import CreditNoteModal from './CreditNoteModal'
+import TaxCodeSelect from './TaxCodeSelect'
+import WarrantyFields from './WarrantyFields'
+import WarrantyClaimPanel from './WarrantyClaimPanel'
 
 function CustomerInvoiceCreation({ setActiveSection }) {
   console.log('🔍 CustomerInvoiceCreation component mounting...')
@@ -15,11 +33,15 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   const [customerSearchTerm, setCustomerSearchTerm] = useState('')
   const [showViewInvoiceModal, setShowViewInvoiceModal] = useState(false)
   const [selectedInvoiceForView, setSelectedInvoiceForView] = useState(null)
+  const [selectedInvoicePayments, setSelectedInvoicePayments] = useState([])
+  const [selectedInvoiceCreditNotes, setSelectedInvoiceCreditNotes] = useState([])
+  const [showCreditNoteModal, setShowCreditNoteModal] = useState(false)
   const [showEditInvoiceModal, setShowEditInvoiceModal] = useState(false)
   const [selectedInvoiceForEdit, setSelectedInvoiceForEdit] = useState(null)
   
   // Invoice form states
   const [manualParts, setManualParts] = useState([])
+  const [showPartsPicker, setShowPartsPicker] = useState(false)
   const [laborCharges, setLaborCharges] = useState([])
   const [selectedMechanic, setSelectedMechanic] = useState(null)
   const [mechanics, setMechanics] = useState([])
@@ -30,6 +52,10 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   const [discount, setDiscount] = useState(0)
   const [deposit, setDeposit] = useState(0)
   const [notes, setNotes] = useState('')
+  const [pricesIncludeTax, setPricesIncludeTax] = useState(null) // null = follow tax settings
+  const [warranty, setWarranty] = useState({ warrantyMonths: '', warrantyMileage: '', terms: '' })
+  const [serviceMileage, setServiceMileage] = useState('')
+  const [warrantyClaim, setWarrantyClaim] = useState(null) // set on invoices for warranty-claim jobs
   
   // DirectLending states
   const [useDirectLending, setUseDirectLending] = useState(false)
@@ -41,7 +67,6 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   const [commissionAmount, setCommissionAmount] = useState(0)
   
   // Supplier cost for commission calculation
-  const [totalPartsSupplierCost, setTotalPartsSupplierCost] = useState(0)
   
   // Commission distribution
   const [commissionDistributionType, setCommissionDistributionType] = useState('individual') // 'individual' or 'team'
@@ -58,7 +83,14 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   const [isSaving, setIsSaving] = useState(false)
 
   const { customers = [] } = useCustomer() || {}
-  const { recordPayment } = useTransaction() || {}
+  const { recordPayment, issueCreditNote } = useTransaction() || {}
+  const { can, staffName, employee } = useAuth()
+  const { openWarrantyClaim } = useRepairOrder() || {}
+  const { parts = [] } = usePartsContext()
+  const { settings: taxSettings } = useTaxSettings()
+
+  // Tax column shows while tax is on, or when editing a document that already carries tax
+  const showTaxColumn = taxSettings.enabled || [...manualParts, ...laborCharges].some(row => row.taxCode)
 
   console.log('📊 Context data loaded:', { 
     customersCount: customers?.length
@@ -170,9 +202,65 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     return filtered
   }
 
-  const viewInvoice = (invoice) => {
+  const viewInvoice = async (invoice) => {
     setSelectedInvoiceForView(invoice)
+    setSelectedInvoicePayments([])
+    setSelectedInvoiceCreditNotes([])
     setShowViewInvoiceModal(true)
+
+    try {
+      const [payments, creditNotes] = await Promise.all([
+        getInvoicePayments(invoice.id),
+        getInvoiceCreditNotes(invoice.id)
+      ])
+      setSelectedInvoicePayments(payments)
+      setSelectedInvoiceCreditNotes(creditNotes)
+    } catch (error) {
+      console.error('❌ Error loading invoice payments:', error)
+    }
+  }
+
+  const handleIssueCreditNote = async (creditNoteData) => {
+    try {
+      const result = await issueCreditNote(selectedInvoiceForView.id, {
+        ...creditNoteData,
+        issuedBy: staffName
+      })
+
+      setShowCreditNoteModal(false)
+      await viewInvoice({
+        ...selectedInvoiceForView,
+        creditedAmount: result.creditedAmount,
+        paidAmount: result.paidAmount,
+        outstandingBalance: result.outstandingBalance,
+        paymentStatus: result.paymentStatus
+      })
+
+      alert(result.refundAmount > 0
+        ? `Credit note ${result.creditNoteNumber} issued.\nRefund ${formatCurrency(result.refundAmount)} to the customer.`
+        : `Credit note ${result.creditNoteNumber} issued.`)
+    } catch (error) {
+      console.error('❌ Error issuing credit note:', error)
+      alert(`Error issuing credit note:\n${error.message}`)
+    }
+  }
+
+  const handleOpenWarrantyClaim = async (claimData) => {
+    try {
+      const result = await openWarrantyClaim(selectedInvoiceForView.id, claimData)
+      setSelectedInvoiceForView({
+        ...selectedInvoiceForView,
+        warrantyClaims: [...(selectedInvoiceForView.warrantyClaims || []), { jobId: result.id, jobNumber: result.jobNumber }]
+      })
+
+      if (window.confirm(`Warranty claim job ${result.jobNumber} opened at no charge.\n\nGo to Car Status now?`)) {
+        setShowViewInvoiceModal(false)
+        setActiveSection('car-status')
+      }
+    } catch (error) {
+      console.error('❌ Error opening warranty claim:', error)
+      alert(`Error opening warranty claim:\n${error.message}`)
+    }
   }
 
   const editInvoice = (invoice) => {
@@ -186,7 +274,7 @@ function CustomerInvoiceCreation({ setActiveSection }) {
       phone: invoice.customerPhone,
       email: invoice.customerEmail
     })
-    setManualParts(invoice.partsOrdered || [])
+    setManualParts(Costing.getCostedLines(invoice))
     setLaborCharges(invoice.laborCharges || [])
     setWorkDescription(invoice.workDescription || '')
     setVehicleInfo(invoice.vehicleInfo || { make: '', model: '', year: '', plate: '' })
@@ -197,11 +285,13 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     setUseDirectLending(invoice.useDirectLending || false)
     setDirectLendingAmount(invoice.directLendingAmount || 0)
     setNotes(invoice.notes || '')
+    setPricesIncludeTax(!!invoice.pricesIncludeTax)
+    setWarranty(invoice.warranty || { warrantyMonths: '', warrantyMileage: '', terms: '' })
+    setServiceMileage(invoice.serviceMileage ?? '')
+    setWarrantyClaim(invoice.warrantyClaim || null)
     setSelectedMechanic(invoice.mechanicId ? mechanics.find(m => m.id === invoice.mechanicId) : null)
     setCommissionType(invoice.commissionType || 'percentage')
     setCommissionValue(invoice.commissionValue || 0)
-    // Load supplier cost and commission distribution
-    setTotalPartsSupplierCost(invoice.partsSupplierCost || 0)
     
     // Handle commission distribution - find the mechanic object if we have an ID
     const mechanicId = invoice.selectedMechanicForCommission
@@ -218,9 +308,13 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     console.log('🔴 setShowEditInvoiceModal(true) CALLED - Modal should open!')
   }
 
-  const downloadInvoice = (invoice) => {
+  const downloadInvoice = async (invoice) => {
     try {
       console.log('📥 Downloading invoice:', invoice)
+      const [payments, creditNotes] = await Promise.all([
+        getInvoicePayments(invoice.id),
+        getInvoiceCreditNotes(invoice.id)
+      ])
       
       // Add customer info for proper PDF generation
       const pdfData = {
@@ -255,7 +349,10 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         vehicleInfo: invoice.vehicleInfo || {},
         useDirectLending: invoice.useDirectLending || false,
         directLendingAmount: Number(invoice.directLendingAmount) || 0,
-        customerPayableAmount: Number(invoice.customerPayableAmount) || 0
+        customerPayableAmount: Number(invoice.customerPayableAmount) || 0,
+        payments,
+        creditNotes,
+        outstandingBalance: PaymentLedger.getOutstandingBalance(invoice, payments)
       }
       
       console.log('📄 PDF Data prepared:', pdfData)
@@ -267,23 +364,40 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     }
   }
 
-  const deleteInvoice = async (invoice) => {
-    const confirmDelete = window.confirm(
-      `Are you sure you want to delete invoice ${invoice.invoiceNumber}?\n\n` +
+  const voidInvoice = async (invoice) => {
+    if (!can(PERMISSIONS.INVOICE_DELETE)) {
+      alert('Your role is not allowed to void invoices.')
+      return
+    }
+
+    const blocker = PaymentLedger.getVoidBlocker(invoice)
+    if (blocker) {
+      alert(`Invoice ${invoice.invoiceNumber} can't be voided.\n\n${blocker}.`)
+      return
+    }
+
+    const reason = window.prompt(
+      `Void invoice ${invoice.invoiceNumber}?\n\n` +
       `Customer: ${invoice.customerName}\n` +
       `Amount: ${formatCurrency(invoice.customerTotal || invoice.total)}\n\n` +
-      `This action cannot be undone.`
+      `The invoice keeps its number and is marked Void. Parts picked from inventory will be returned to stock.\n` +
+      `This action cannot be undone.\n\n` +
+      `Reason for voiding:`
     )
 
-    if (!confirmDelete) return
+    if (reason === null) return
+    if (!reason.trim()) {
+      alert('Please enter a reason for voiding the invoice.')
+      return
+    }
 
     try {
-      await deleteDoc(doc(db, 'customer_invoices', invoice.id))
-      console.log('✅ Invoice deleted successfully:', invoice.id)
-      alert('Invoice deleted successfully!')
+      await voidCustomerInvoice(invoice, reason.trim(), { name: staffName, id: employee?.id || null })
+      console.log('✅ Invoice voided:', invoice.id)
+      alert(`Invoice ${invoice.invoiceNumber} voided.`)
     } catch (error) {
-      console.error('❌ Error deleting invoice:', error)
-      alert('Error deleting invoice. Please try again.')
+      console.error('❌ Error voiding invoice:', error)
+      alert(`Error voiding invoice:\n${error.message}`)
     }
   }
 
@@ -299,6 +413,10 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     setDiscount(0)
     setDeposit(0)
     setNotes('')
+    setPricesIncludeTax(null)
+    setWarranty({ warrantyMonths: '', warrantyMileage: '', terms: '' })
+    setServiceMileage('')
+    setWarrantyClaim(null)
     setUseDirectLending(false)
     setDirectLendingAmount(0)
     setCommissionType('percentage')
@@ -307,11 +425,13 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   }
 
   const calculateTotals = () => {
-    const partsTotal = manualParts.reduce((sum, part) => sum + (part.total || 0), 0)
-    const laborTotal = laborCharges.reduce((sum, labor) => sum + (labor.amount || 0), 0)
-    const subtotal = partsTotal + laborTotal
-    const discountAmount = (subtotal * discount) / 100
-    const total = subtotal - discountAmount
+    const { partsTotal, laborTotal, subtotal, discountAmount, taxBreakdown, taxTotal, total } = TaxEngine.calculateTotals({
+      partsOrdered: manualParts,
+      laborCharges,
+      discount,
+      pricesIncludeTax: pricesIncludeTax ?? taxSettings.pricesIncludeTax,
+      settings: taxSettings
+    })
     const depositAmount = Number(deposit) || 0
     const balanceDue = total - depositAmount
     
@@ -320,8 +440,8 @@ function CustomerInvoiceCreation({ setActiveSection }) {
     const customerPayableAmount = useDirectLending ? balanceDue - directLending : balanceDue
     
     // NEW: Calculate commission based on parts revenue + labour
-    // Parts Revenue = Customer Price - Supplier Cost
-    const supplierCost = Number(totalPartsSupplierCost) || 0
+    // Parts Revenue = Customer Price - Supplier Cost (from the cost on each part line)
+    const supplierCost = Costing.getPartsCost(manualParts)
     const partsRevenue = partsTotal - supplierCost
     const commissionBase = partsRevenue + laborTotal // Parts revenue + labour (no discount deduction)
     
@@ -332,11 +452,14 @@ function CustomerInvoiceCreation({ setActiveSection }) {
       calcCommission = commissionValue
     }
     
-    return { 
+    const totals = { 
       partsTotal, 
       laborTotal, 
       subtotal, 
       discountAmount, 
+      taxBreakdown,
+      taxTotal,
+      pricesIncludeTax: pricesIncludeTax ?? taxSettings.pricesIncludeTax,
       total, 
       deposit: depositAmount, 
       balanceDue, 
@@ -347,28 +470,95 @@ function CustomerInvoiceCreation({ setActiveSection }) {
       commissionBase,
       commission: calcCommission 
     }
+    return warrantyClaim ? Warranty.applyClaimBilling(totals) : totals
   }
 
   // Update commission amount when values change
   useEffect(() => {
     const totals = calculateTotals()
     setCommissionAmount(totals.commission)
-  }, [commissionType, commissionValue, manualParts, laborCharges, discount, deposit, useDirectLending, directLendingAmount, totalPartsSupplierCost])
+  }, [commissionType, commissionValue, manualParts, laborCharges, discount, deposit, useDirectLending, directLendingAmount])
 
   const addManualPart = () => {
     setManualParts([...manualParts, {
+      partId: null, // Free-text row, not linked to inventory
       sku: '',
       partName: '',
       quantity: 1,
       pricePerUnit: 0,
-      total: 0
+      total: 0,
+      unitCost: '',
+      ...TaxEngine.getDefaultLineTax(taxSettings, 'parts')
     }])
   }
 
+  // Adds to the part's existing row if it is already on the invoice
+  const withInventoryPart = (rows, part, quantity) => {
+    const existingIndex = rows.findIndex(row => row.partId === part.id)
+
+    if (existingIndex >= 0) {
+      const updatedParts = [...rows]
+      const row = updatedParts[existingIndex]
+      const newQuantity = (parseFloat(row.quantity) || 0) + quantity
+      updatedParts[existingIndex] = {
+        ...row,
+        quantity: newQuantity,
+        total: newQuantity * (parseFloat(row.pricePerUnit) || 0)
+      }
+      return updatedParts
+    }
+    return [...rows, {
+      partId: part.id,
+      sku: part.kodProduk,
+      partName: part.namaProduk,
+      quantity,
+      pricePerUnit: part.harga,
+      total: part.harga * quantity,
+      unitCost: Costing.getPartCost(part),
+      ...TaxEngine.getDefaultLineTax(taxSettings, 'parts')
+    }]
+  }
+
+  const addInventoryPart = (part, quantity = 1) => {
+    setManualParts(rows => withInventoryPart(rows, part, quantity))
+  }
+
+  // A scanned part code adds one unit of that part
+  const addScannedPart = (code) => {
+    const part = Barcode.findPartByCode(parts, code)
+    if (!part) {
+      alert(`No part with code ${code.trim()}`)
+      return
+    }
+    // Stock in transit between locations can't be sold yet
+    const stockCheck = InvoiceEditValidator.validateStockAvailable(part.id, 1, parts)
+    if (!stockCheck.isValid) {
+      alert(`${part.kodProduk} - ${stockCheck.errors[0].message}`)
+      return
+    }
+    addInventoryPart(part, 1)
+  }
+
+  useBarcodeScanner(addScannedPart, (viewMode === 'create' || showEditInvoiceModal) && !showPartsPicker)
+
+  // Enter in a custom row's SKU cell (typed or scanned) turns it into the matching inventory part
+  const handleSkuKeyDown = (e, index) => {
+    if (e.key !== 'Enter') return
+    e.preventDefault()
+    const part = Barcode.findPartByCode(parts, e.target.value)
+    if (!part) return
+    const quantity = parseFloat(manualParts[index].quantity) || 1
+    setManualParts(rows => withInventoryPart(rows.filter((_, i) => i !== index), part, quantity))
+  }
+
   const updateManualPart = (index, field, value) => {
     const updatedParts = [...manualParts]
     updatedParts[index][field] = value
     
+    if (field === 'taxCode') {
+      Object.assign(updatedParts[index], TaxEngine.getLineTax(taxSettings, value))
+    }
+
     if (field === 'quantity' || field === 'pricePerUnit') {
       const qty = field === 'quantity' ? (parseFloat(value) || 0) : updatedParts[index].quantity
       const price = field === 'pricePerUnit' ? (parseFloat(value) || 0) : updatedParts[index].pricePerUnit
@@ -383,12 +573,15 @@ function CustomerInvoiceCreation({ setActiveSection }) {
   }
 
   const addLaborCharge = () => {
-    setLaborCharges([...laborCharges, { sku: '', description: '', amount: 0 }])
+    setLaborCharges([...laborCharges, { sku: '', description: '', amount: 0, ...TaxEngine.getDefaultLineTax(taxSettings, 'labor') }])
   }
 
   const updateLaborCharge = (index, field, value) => {
     const updatedLabor = [...laborCharges]
     updatedLabor[index][field] = value
+    if (field === 'taxCode') {
+      Object.assign(updatedLabor[index], TaxEngine.getLineTax(taxSettings, value))
+    }
     setLaborCharges(updatedLabor)
   }
 
@@ -417,7 +610,7 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         customerEmail: selectedCustomer.email || '',
         mechanicId: selectedMechanic?.id || null,
         mechanicName: selectedMechanic?.name || null,
-        partsOrdered: manualParts,
+        partsOrdered: Costing.snapshotLineCosts(manualParts, parts),
         laborCharges: laborCharges,
         workDescription: workDescription,
         vehicleInfo: vehicleInfo,
@@ -426,6 +619,9 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         subtotal: totals.subtotal,
         discount: discount,
         discountAmount: totals.discountAmount,
+        taxBreakdown: totals.taxBreakdown,
+        taxTotal: totals.taxTotal,
+        pricesIncludeTax: totals.pricesIncludeTax,
         deposit: totals.deposit,
         balanceDue: totals.balanceDue,
         useDirectLending: useDirectLending,
@@ -433,6 +629,9 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         customerPayableAmount: totals.customerPayableAmount,
         customerTotal: totals.total,
         total: totals.total,
+        warranty: warranty,
+        serviceMileage: serviceMileage === '' ? null : Number(serviceMileage),
+        warrantyCost: totals.warrantyCost ?? null,
         paymentStatus: paymentStatus,
         paymentTerms: paymentTerms,
         notes: notes,
@@ -468,13 +667,13 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         dueDate: new Date(Date.now() + paymentTerms * 24 * 60 * 60 * 1000)
       }
 
-      await createCustomerInvoice(invoiceData)
+      await createCustomerInvoice(invoiceData, parts)
       alert('Invoice created successfully!')
       resetForm()
       setViewMode('list')
     } catch (error) {
       console.error('Error creating invoice:', error)
-      alert('Error creating invoice. Please try again.')
+      alert(`Error creating invoice: ${error.message}`)
     } finally {
       setIsSaving(false)
     }
@@ -493,7 +692,7 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         customerEmail: selectedCustomer?.email || selectedInvoiceForEdit.customerEmail || '',
         mechanicId: selectedMechanic?.id || null,
         mechanicName: selectedMechanic?.name || null,
-        partsOrdered: manualParts,
+        partsOrdered: Costing.snapshotLineCosts(manualParts, parts),
         laborCharges: laborCharges,
         workDescription: workDescription,
         vehicleInfo: vehicleInfo,
@@ -502,6 +701,9 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         subtotal: totals.subtotal,
         discount: discount,
         discountAmount: totals.discountAmount,
+        taxBreakdown: totals.taxBreakdown,
+        taxTotal: totals.taxTotal,
+        pricesIncludeTax: totals.pricesIncludeTax,
         deposit: totals.deposit,
         balanceDue: totals.balanceDue,
         useDirectLending: useDirectLending,
@@ -509,7 +711,10 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         customerPayableAmount: totals.customerPayableAmount,
         customerTotal: totals.total,
         total: totals.total,
-        paymentStatus: paymentStatus,
+        warranty: warranty,
+        serviceMileage: serviceMileage === '' ? null : Number(serviceMileage),
+        warrantyCost: totals.warrantyCost ?? null,
+        paymentStatus: warrantyClaim ? 'paid' : paymentStatus,
         paymentTerms: paymentTerms,
         notes: notes,
         // Commission data (internal only)
@@ -549,13 +754,13 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         })()
       }
 
-      await updateCustomerInvoice(selectedInvoiceForEdit.id, updatedData)
+      await saveCustomerInvoiceEdit(selectedInvoiceForEdit, updatedData, parts)
       alert('Invoice updated successfully!')
       setShowEditInvoiceModal(false)
       resetForm()
     } catch (error) {
       console.error('Error updating invoice:', error)
-      alert('Error updating invoice. Please try again.')
+      alert(`Error updating invoice: ${error.message}`)
     } finally {
       setIsSaving(false)
     }
@@ -629,8 +834,11 @@ function CustomerInvoiceCreation({ setActiveSection }) {
               >
                 <option value="all">All Status</option>
                 <option value="pending">Pending</option>
+                <option value="partially_paid">Partially Paid</option>
                 <option value="paid">Paid</option>
                 <option value="overdue">Overdue</option>
+                <option value="credited">Credited</option>
+                <option value="void">Void</option>
               </select>
             </div>
           </div>
@@ -701,10 +909,12 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                           <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                             invoice.paymentStatus === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                             invoice.paymentStatus === 'paid' ? 'bg-green-100 text-green-800' :
+                            invoice.paymentStatus === 'partially_paid' ? 'bg-blue-100 text-blue-800' :
                             invoice.paymentStatus === 'overdue' ? 'bg-red-100 text-red-800' :
+                            invoice.paymentStatus === 'credited' ? 'bg-purple-100 text-purple-800' :
                             'bg-black-10 text-black-75'
                           }`}>
-                            {invoice.paymentStatus?.charAt(0).toUpperCase() + invoice.paymentStatus?.slice(1) || 'Draft'}
+                            {PAYMENT_STATUS_LABELS[invoice.paymentStatus] || 'Draft'}
                           </span>
                         </td>
                         <td className="px-4 py-4 text-sm">
@@ -715,24 +925,28 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                             >
                               View
                             </button>
-                            <button
-                              onClick={() => editInvoice(invoice)}
-                              className="text-green-600 hover:text-green-800 font-medium"
-                            >
-                              Edit
-                            </button>
+                            {invoice.paymentStatus !== 'void' && (
+                              <button
+                                onClick={() => editInvoice(invoice)}
+                                className="text-green-600 hover:text-green-800 font-medium"
+                              >
+                                Edit
+                              </button>
+                            )}
                             <button
                               onClick={() => downloadInvoice(invoice)}
                               className="text-primary-red hover:text-red-dark font-medium"
                             >
                               Download
                             </button>
-                            <button
-                              onClick={() => deleteInvoice(invoice)}
-                              className="text-red-600 hover:text-red-800 font-medium"
-                            >
-                              Delete
-                            </button>
+                            {can(PERMISSIONS.INVOICE_DELETE) && invoice.paymentStatus !== 'void' && (
+                              <button
+                                onClick={() => voidInvoice(invoice)}
+                                className="text-red-600 hover:text-red-800 font-medium"
+                              >
+                                Void
+                              </button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -842,13 +1056,24 @@ function CustomerInvoiceCreation({ setActiveSection }) {
           {/* Parts */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <div className="flex justify-between items-center mb-4">
-              <h3 className="text-lg font-semibold">Parts</h3>
-              <button
-                onClick={addManualPart}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-              >
-                + Add Part
-              </button>
+              <div>
+                <h3 className="text-lg font-semibold">Parts</h3>
+                <p className="text-xs text-gray-500">Scan a part barcode to add it</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setShowPartsPicker(true)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  + From Inventory
+                </button>
+                <button
+                  onClick={addManualPart}
+                  className="px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50"
+                >
+                  + Custom Item
+                </button>
+              </div>
             </div>
             {manualParts.length > 0 ? (
               <div className="overflow-x-auto">
@@ -859,6 +1084,10 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Part Name</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Quantity</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Price (RM)</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Unit Cost (RM)</th>
+                      {showTaxColumn && (
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Tax</th>
+                      )}
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Total</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Action</th>
                     </tr>
@@ -866,24 +1095,39 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                   <tbody className="divide-y">
                     {manualParts.map((part, index) => (
                       <tr key={index}>
-                        <td className="px-4 py-2">
-                          <input
-                            type="text"
-                            value={part.sku}
-                            onChange={(e) => updateManualPart(index, 'sku', e.target.value)}
-                            placeholder="SKU"
-                            className="w-24 px-2 py-1 border rounded"
-                          />
-                        </td>
-                        <td className="px-4 py-2">
-                          <input
-                            type="text"
-                            value={part.partName}
-                            onChange={(e) => updateManualPart(index, 'partName', e.target.value)}
-                            placeholder="Part Name"
-                            className="w-full px-2 py-1 border rounded"
-                          />
-                        </td>
+                        {part.partId ? (
+                          <>
+                            <td className="px-4 py-2 text-sm font-medium">{part.sku}</td>
+                            <td className="px-4 py-2 text-sm">
+                              {part.partName}
+                              <span className="ml-2 px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-800">
+                                Stock: {parts.find(p => p.id === part.partId)?.unitStock ?? 'N/A'}
+                              </span>
+                            </td>
+                          </>
+                        ) : (
+                          <>
+                            <td className="px-4 py-2">
+                              <input
+                                type="text"
+                                value={part.sku}
+                                onChange={(e) => updateManualPart(index, 'sku', e.target.value)}
+                                onKeyDown={(e) => handleSkuKeyDown(e, index)}
+                                placeholder="SKU"
+                                className="w-24 px-2 py-1 border rounded"
+                              />
+                            </td>
+                            <td className="px-4 py-2">
+                              <input
+                                type="text"
+                                value={part.partName}
+                                onChange={(e) => updateManualPart(index, 'partName', e.target.value)}
+                                placeholder="Part Name"
+                                className="w-full px-2 py-1 border rounded"
+                              />
+                            </td>
+                          </>
+                        )}
                         <td className="px-4 py-2">
                           <input
                             type="number"
@@ -903,6 +1147,27 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                             min="0"
                           />
                         </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            value={part.unitCost ?? ''}
+                            onChange={(e) => updateManualPart(index, 'unitCost', e.target.value)}
+                            className={`w-24 px-2 py-1 border rounded ${part.unitCost === '' || part.unitCost == null ? 'border-orange-400' : ''}`}
+                            placeholder="Not costed"
+                            step="0.01"
+                            min="0"
+                          />
+                        </td>
+                        {showTaxColumn && (
+                          <td className="px-4 py-2">
+                            <TaxCodeSelect
+                              settings={taxSettings}
+                              value={part.taxCode}
+                              rate={part.taxRate}
+                              onChange={(code) => updateManualPart(index, 'taxCode', code)}
+                            />
+                          </td>
+                        )}
                         <td className="px-4 py-2 font-medium">{formatCurrency(part.total)}</td>
                         <td className="px-4 py-2">
                           <button
@@ -918,7 +1183,7 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                 </table>
               </div>
             ) : (
-              <p className="text-gray-500 text-center py-4">No parts added yet. Click "Add Part" to begin.</p>
+              <p className="text-gray-500 text-center py-4">No parts added yet. Pick from inventory or add a custom item.</p>
             )}
           </div>
 
@@ -969,6 +1234,18 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                         placeholder="0.00"
                       />
                     </div>
+                    {showTaxColumn && (
+                      <div className="w-36">
+                        <label className="block text-xs text-gray-600 mb-1">Tax</label>
+                        <TaxCodeSelect
+                          settings={taxSettings}
+                          value={labor.taxCode}
+                          rate={labor.taxRate}
+                          onChange={(code) => updateLaborCharge(index, 'taxCode', code)}
+                          className="w-full px-3 py-2 border rounded"
+                        />
+                      </div>
+                    )}
                     <button
                       onClick={() => removeLaborCharge(index)}
                       className="px-3 py-2 text-red-600 hover:text-red-800"
@@ -983,6 +1260,17 @@ function CustomerInvoiceCreation({ setActiveSection }) {
             )}
           </div>
 
+          <WarrantyFields
+            warranty={warranty}
+            serviceMileage={serviceMileage}
+            onWarrantyChange={setWarranty}
+            onServiceMileageChange={setServiceMileage}
+            partsOrdered={manualParts}
+            laborCharges={laborCharges}
+            onPartChange={updateManualPart}
+            onLaborChange={updateLaborCharge}
+          />
+
           {/* Invoice Summary */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <h3 className="text-lg font-semibold mb-4">Invoice Summary</h3>
@@ -1100,23 +1388,21 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                     Mechanic Commission (Internal - Not shown on customer invoice)
                   </h4>
 
-                  {/* Supplier Cost Input */}
+                  {/* Supplier Cost (from part line costs) */}
                   <div className="bg-white border border-orange-300 rounded-lg p-3">
-                    <label className="block text-xs font-medium text-gray-700 mb-2">
-                      Total Parts Cost (Supplier) *
-                    </label>
-                    <input
-                      type="number"
-                      value={totalPartsSupplierCost}
-                      onChange={(e) => setTotalPartsSupplierCost(parseFloat(e.target.value) || 0)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
-                      placeholder="Enter total supplier cost for all parts"
-                      min="0"
-                      step="0.01"
-                    />
-                    <p className="text-xs text-gray-500 mt-1">
-                      Enter the total cost you paid to suppliers for all parts in this invoice
-                    </p>
+                    <div className="flex justify-between items-center">
+                      <span className="text-xs font-medium text-gray-700">Total Parts Cost (Supplier)</span>
+                      <span className="text-sm font-semibold">{formatCurrency(Costing.getPartsCost(manualParts))}</span>
+                    </div>
+                    {Costing.countUncostedLines(manualParts) > 0 ? (
+                      <p className="text-xs text-orange-700 mt-1">
+                        {Costing.countUncostedLines(manualParts)} part line(s) have no cost yet - enter their unit cost above or the commission base will be overstated
+                      </p>
+                    ) : (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Taken from each part's average cost when it was added - adjust a line's unit cost to override
+                      </p>
+                    )}
                   </div>
 
                   {/* Commission Type Selection */}
@@ -1374,6 +1660,12 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                     <span className="font-medium">-{formatCurrency(calculateTotals().discountAmount)}</span>
                   </div>
                 )}
+                {calculateTotals().taxBreakdown.map(entry => (
+                  <div key={`${entry.code}@${entry.rate}`} className="flex justify-between text-sm">
+                    <span>{entry.label} ({entry.rate}%){calculateTotals().pricesIncludeTax ? ' - included' : ''}:</span>
+                    <span className="font-medium">{formatCurrency(entry.taxAmount)}</span>
+                  </div>
+                ))}
                 <div className="flex justify-between text-lg font-bold border-t pt-2">
                   <span>Total:</span>
                   <span className="text-red-600">{formatCurrency(calculateTotals().total)}</span>
@@ -1455,16 +1747,36 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                   <p><span className="font-medium">Status:</span> 
                     <span className={`ml-2 px-2 py-1 rounded text-xs ${
                       selectedInvoiceForView.paymentStatus === 'paid' ? 'bg-green-100 text-green-800' :
+                      selectedInvoiceForView.paymentStatus === 'partially_paid' ? 'bg-blue-100 text-blue-800' :
                       selectedInvoiceForView.paymentStatus === 'overdue' ? 'bg-red-100 text-red-800' :
+                      selectedInvoiceForView.paymentStatus === 'credited' ? 'bg-purple-100 text-purple-800' :
                       'bg-yellow-100 text-yellow-800'
                     }`}>
-                      {selectedInvoiceForView.paymentStatus?.charAt(0).toUpperCase() + selectedInvoiceForView.paymentStatus?.slice(1)}
+                      {PAYMENT_STATUS_LABELS[selectedInvoiceForView.paymentStatus] || selectedInvoiceForView.paymentStatus}
                     </span>
                   </p>
                   <p><span className="font-medium">Total Amount:</span> {formatCurrency(selectedInvoiceForView.customerTotal || selectedInvoiceForView.total)}</p>
+                  {(selectedInvoiceForView.taxBreakdown || []).map(entry => (
+                    <p key={`${entry.code}@${entry.rate}`}>
+                      <span className="font-medium">{entry.label} ({entry.rate}%){selectedInvoiceForView.pricesIncludeTax ? ' - included' : ''}:</span> {formatCurrency(entry.taxAmount)}
+                    </p>
+                  ))}
                 </div>
               </div>
 
+              {selectedInvoiceForView.warrantyClaim && (
+                <div className="bg-purple-50 border border-purple-200 rounded-lg p-4 text-sm">
+                  <p className="font-semibold text-purple-800">
+                    Warranty claim on {selectedInvoiceForView.warrantyClaim.invoiceNumber || 'an earlier invoice'} - no charge to the customer
+                  </p>
+                  {selectedInvoiceForView.warrantyCost && (
+                    <p className="text-purple-700 mt-1">
+                      Work value {formatCurrency(selectedInvoiceForView.warrantyCost.billableValue)}, cost to the workshop {formatCurrency(selectedInvoiceForView.warrantyCost.total)}
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Customer Info */}
               <div className="bg-blue-50 rounded-lg p-4">
                 <h3 className="font-medium text-gray-900 mb-2">Customer Information</h3>
@@ -1504,6 +1816,53 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                   </div>
                 </div>
               )}
+
+              {/* Credit Notes */}
+              {selectedInvoiceCreditNotes.length > 0 && (
+                <div className="bg-purple-50 rounded-lg p-4">
+                  <h3 className="font-medium text-gray-900 mb-2">Credit Notes</h3>
+                  <div className="space-y-2 text-sm">
+                    {selectedInvoiceCreditNotes.map(creditNote => (
+                      <div key={creditNote.id} className="flex justify-between items-start">
+                        <div>
+                          <span className="font-medium">{creditNote.creditNoteNumber}</span>
+                          <span className="text-gray-500"> - {formatDate(creditNote.dateCreated)} - {creditNote.reason}</span>
+                          {creditNote.refundAmount > 0 && (
+                            <span className="block text-xs text-gray-500">Refunded {formatCurrency(creditNote.refundAmount)}</span>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          <span>-{formatCurrency(creditNote.total)}</span>
+                          <button
+                            onClick={() => PDFGenerator.downloadCreditNotePDF(creditNote)}
+                            className="text-primary-red hover:text-red-dark font-medium"
+                          >
+                            PDF
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {!selectedInvoiceForView.warrantyClaim && (
+                <WarrantyClaimPanel
+                  invoice={selectedInvoiceForView}
+                  canOpenClaim={can(PERMISSIONS.REPAIR_STATUS_UPDATE) && !!openWarrantyClaim}
+                  onOpenClaim={handleOpenWarrantyClaim}
+                />
+              )}
+
+              {/* Payment Ledger */}
+              <div>
+                <h3 className="font-medium text-gray-900 mb-2">Payment Ledger</h3>
+                <PaymentLedgerTable
+                  ledger={PaymentLedger.buildLedger(selectedInvoiceForView, selectedInvoicePayments, selectedInvoiceCreditNotes)}
+                  formatCurrency={formatCurrency}
+                  formatDate={formatDate}
+                />
+              </div>
             </div>
             
             <div className="mt-6 flex justify-end space-x-3">
@@ -1513,6 +1872,14 @@ function CustomerInvoiceCreation({ setActiveSection }) {
               >
                 Close
               </button>
+              {can(PERMISSIONS.CREDIT_NOTE_ISSUE) && !['credited', 'void'].includes(selectedInvoiceForView.paymentStatus) && (
+                <button
+                  onClick={() => setShowCreditNoteModal(true)}
+                  className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700"
+                >
+                  Issue Credit Note
+                </button>
+              )}
               <button 
                 onClick={() => {
                   downloadInvoice(selectedInvoiceForView)
@@ -1527,6 +1894,17 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         </div>
       )}
 
+      {/* Credit Note Modal */}
+      {showCreditNoteModal && selectedInvoiceForView && (
+        <CreditNoteModal
+          invoice={selectedInvoiceForView}
+          creditNotes={selectedInvoiceCreditNotes}
+          onIssue={handleIssueCreditNote}
+          onClose={() => setShowCreditNoteModal(false)}
+          formatCurrency={formatCurrency}
+        />
+      )}
+
       {/* Edit Invoice Modal */}
       {showEditInvoiceModal && selectedInvoiceForEdit ? (
         <>
@@ -1617,13 +1995,24 @@ function CustomerInvoiceCreation({ setActiveSection }) {
               {/* Parts */}
               <div>
                 <div className="flex justify-between items-center mb-3">
-                  <h3 className="font-semibold">Parts</h3>
-                  <button
-                    onClick={addManualPart}
-                    className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
-                  >
-                    + Add Part
-                  </button>
+                  <div>
+                    <h3 className="font-semibold">Parts</h3>
+                    <p className="text-xs text-gray-500">Scan a part barcode to add it</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setShowPartsPicker(true)}
+                      className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+                    >
+                      + From Inventory
+                    </button>
+                    <button
+                      onClick={addManualPart}
+                      className="px-3 py-1 border border-blue-600 text-blue-600 rounded text-sm hover:bg-blue-50"
+                    >
+                      + Custom Item
+                    </button>
+                  </div>
                 </div>
                 {manualParts.length > 0 ? (
                   <div className="overflow-x-auto border rounded-lg">
@@ -1634,6 +2023,8 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                           <th className="px-3 py-2 text-left">Part Name</th>
                           <th className="px-3 py-2 text-left">Qty</th>
                           <th className="px-3 py-2 text-left">Price</th>
+                          <th className="px-3 py-2 text-left">Cost</th>
+                          {showTaxColumn && <th className="px-3 py-2 text-left">Tax</th>}
                           <th className="px-3 py-2 text-left">Total</th>
                           <th className="px-3 py-2 text-left">Action</th>
                         </tr>
@@ -1641,24 +2032,37 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                       <tbody className="divide-y">
                         {manualParts.map((part, index) => (
                           <tr key={index}>
-                            <td className="px-3 py-2">
-                              <input
-                                type="text"
-                                value={part.sku}
-                                onChange={(e) => updateManualPart(index, 'sku', e.target.value)}
-                                placeholder="SKU"
-                                className="w-20 px-2 py-1 border rounded text-xs"
-                              />
-                            </td>
-                            <td className="px-3 py-2">
-                              <input
-                                type="text"
-                                value={part.partName}
-                                onChange={(e) => updateManualPart(index, 'partName', e.target.value)}
-                                placeholder="Part Name"
-                                className="w-full px-2 py-1 border rounded text-xs"
-                              />
-                            </td>
+                            {part.partId ? (
+                              <>
+                                <td className="px-3 py-2 text-xs font-medium">{part.sku}</td>
+                                <td className="px-3 py-2 text-xs">
+                                  {part.partName}
+                                  <span className="ml-2 px-2 py-0.5 rounded bg-blue-100 text-blue-800">Inventory</span>
+                                </td>
+                              </>
+                            ) : (
+                              <>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="text"
+                                    value={part.sku}
+                                    onChange={(e) => updateManualPart(index, 'sku', e.target.value)}
+                                    onKeyDown={(e) => handleSkuKeyDown(e, index)}
+                                    placeholder="SKU"
+                                    className="w-20 px-2 py-1 border rounded text-xs"
+                                  />
+                                </td>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="text"
+                                    value={part.partName}
+                                    onChange={(e) => updateManualPart(index, 'partName', e.target.value)}
+                                    placeholder="Part Name"
+                                    className="w-full px-2 py-1 border rounded text-xs"
+                                  />
+                                </td>
+                              </>
+                            )}
                             <td className="px-3 py-2">
                               <input
                                 type="number"
@@ -1677,6 +2081,27 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                                 step="0.01"
                               />
                             </td>
+                            <td className="px-3 py-2">
+                              <input
+                                type="number"
+                                value={part.unitCost ?? ''}
+                                onChange={(e) => updateManualPart(index, 'unitCost', e.target.value)}
+                                className={`w-20 px-2 py-1 border rounded ${part.unitCost === '' || part.unitCost == null ? 'border-orange-400' : ''}`}
+                                placeholder="-"
+                                step="0.01"
+                              />
+                            </td>
+                            {showTaxColumn && (
+                              <td className="px-3 py-2">
+                                <TaxCodeSelect
+                                  settings={taxSettings}
+                                  value={part.taxCode}
+                                  rate={part.taxRate}
+                                  onChange={(code) => updateManualPart(index, 'taxCode', code)}
+                                  className="px-2 py-1 border rounded text-xs"
+                                />
+                              </td>
+                            )}
                             <td className="px-3 py-2">{formatCurrency(part.total)}</td>
                             <td className="px-3 py-2">
                               <button
@@ -1734,6 +2159,14 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                           step="0.01"
                           min="0"
                         />
+                        {showTaxColumn && (
+                          <TaxCodeSelect
+                            settings={taxSettings}
+                            value={labor.taxCode}
+                            rate={labor.taxRate}
+                            onChange={(code) => updateLaborCharge(index, 'taxCode', code)}
+                          />
+                        )}
                         <button
                           onClick={() => removeLaborCharge(index)}
                           className="px-2 py-1 text-red-600 hover:text-red-800"
@@ -1748,6 +2181,28 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                 )}
               </div>
 
+              {warrantyClaim && (
+                <div className="bg-purple-50 border border-purple-200 p-4 rounded-lg text-sm">
+                  <p className="font-semibold text-purple-800">
+                    Warranty claim on {warrantyClaim.invoiceNumber || 'an earlier invoice'} - no charge to the customer
+                  </p>
+                  <p className="text-purple-700 mt-1">
+                    Work value {formatCurrency(calculateTotals().warrantyCost.billableValue)}, cost to the workshop {formatCurrency(calculateTotals().warrantyCost.total)}
+                  </p>
+                </div>
+              )}
+
+              <WarrantyFields
+                warranty={warranty}
+                serviceMileage={serviceMileage}
+                onWarrantyChange={setWarranty}
+                onServiceMileageChange={setServiceMileage}
+                partsOrdered={manualParts}
+                laborCharges={laborCharges}
+                onPartChange={updateManualPart}
+                onLaborChange={updateLaborCharge}
+              />
+
               {/* Payment Details */}
               <div>
                 <h3 className="font-semibold mb-3">Payment Details</h3>
@@ -1770,6 +2225,7 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                     >
                       <option value="pending">Pending</option>
                       <option value="paid">Paid</option>
+                      <option value="partially_paid" disabled>Partially Paid</option>
                       <option value="overdue">Overdue</option>
                     </select>
                   </div>
@@ -1904,6 +2360,12 @@ function CustomerInvoiceCreation({ setActiveSection }) {
                       <span>-{formatCurrency(calculateTotals().discountAmount)}</span>
                     </div>
                   )}
+                  {calculateTotals().taxBreakdown.map(entry => (
+                    <div key={`${entry.code}@${entry.rate}`} className="flex justify-between text-sm">
+                      <span>{entry.label} ({entry.rate}%){calculateTotals().pricesIncludeTax ? ' - included' : ''}:</span>
+                      <span>{formatCurrency(entry.taxAmount)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between text-lg font-bold border-t pt-2">
                     <span>Total:</span>
                     <span className="text-red-600">{formatCurrency(calculateTotals().total)}</span>
@@ -1962,6 +2424,40 @@ function CustomerInvoiceCreation({ setActiveSection }) {
         console.log('🔴 EDIT MODAL NOT SHOWN - showEditInvoiceModal:', showEditInvoiceModal, 'selectedInvoiceForEdit:', selectedInvoiceForEdit?.id || 'null')
       )}
 
+      {/* Inventory Parts Picker Modal */}
+      {showPartsPicker && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">Add Parts from Inventory</h2>
+              <button 
+                onClick={() => setShowPartsPicker(false)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <PartsSelector
+              onAddPart={addInventoryPart}
+              selectedParts={manualParts.filter(row => row.partId).map(row => ({
+                partId: row.partId,
+                quantity: parseFloat(row.quantity) || 0
+              }))}
+            />
+            <div className="mt-4 flex justify-end">
+              <button
+                onClick={() => setShowPartsPicker(false)}
+                className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Customer Selection Modal */}
       {showCustomerModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1,5 +1,10 @@
 import { useState } from 'react'
 import { usePartsContext } from '../context/PartsContext'
+import ReorderFields from './ReorderFields'
+import CategoryBinFields from './CategoryBinFields'
+import PartImagesField from './PartImagesField'
+import PartImages from '../utils/PartImages'
+import { preparePartImages, deletePartImageFiles } from '../utils/FirebaseDataUtils'
 
 function EditPartModal({ part, onClose }) {
   const { updatePart } = usePartsContext()
@@ -7,13 +12,18 @@ function EditPartModal({ part, onClose }) {
     kodProduk: part.kodProduk,
     namaProduk: part.namaProduk,
     harga: part.harga.toString(),
+    averageCost: part.averageCost ?? '',
     supplier: part.supplier,
-    gambar: part.gambar || '',
+    images: PartImages.getImages(part),
     specification: part.specification || '',
-    unitStock: part.unitStock.toString()
+    unitStock: part.unitStock.toString(),
+    category: part.category || '',
+    binLocation: part.binLocation || '',
+    reorderPoint: part.reorderPoint ?? '',
+    reorderQuantity: part.reorderQuantity ?? '',
+    preferredSupplierId: part.preferredSupplierId || ''
   })
-  const [selectedFile, setSelectedFile] = useState(null)
-  const [imagePreview, setImagePreview] = useState('')
+  const [pendingFiles, setPendingFiles] = useState([])
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
 
@@ -23,6 +33,7 @@ function EditPartModal({ part, onClose }) {
     if (!formData.kodProduk.trim()) newErrors.kodProduk = 'Product code is required'
     if (!formData.namaProduk.trim()) newErrors.namaProduk = 'Product name is required'
     if (!formData.harga || parseFloat(formData.harga) <= 0) newErrors.harga = 'Valid price is required'
+    if (formData.averageCost !== '' && parseFloat(formData.averageCost) < 0) newErrors.averageCost = 'Cost cannot be negative'
     if (!formData.supplier.trim()) newErrors.supplier = 'Supplier is required'
     if (!formData.unitStock || parseInt(formData.unitStock) < 0) newErrors.unitStock = 'Valid stock count is required'
 
@@ -38,11 +49,15 @@ function EditPartModal({ part, onClose }) {
     setIsSubmitting(true)
     
     try {
+      const images = await preparePartImages(part.id, formData.images, pendingFiles)
       await updatePart(part.id, {
         ...formData,
+        images,
         harga: parseFloat(formData.harga),
         unitStock: parseInt(formData.unitStock)
       })
+      // Only once the part no longer points at them
+      await deletePartImageFiles(PartImages.getRemovedPaths(part.images || [], images))
       onClose()
     } catch (error) {
       console.error('Error updating part:', error)
@@ -59,43 +74,6 @@ function EditPartModal({ part, onClose }) {
     }
   }
 
-  const handleFileSelect = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      // Validate file type
-      if (!file.type.startsWith('image/')) {
-        alert('Please select a valid image file')
-        return
-      }
-
-      // Validate file size (max 5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        alert('File size must be less than 5MB')
-        return
-      }
-
-      setSelectedFile(file)
-      
-      // Create preview URL
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const imageUrl = e.target.result
-        setImagePreview(imageUrl)
-        setFormData({ ...formData, gambar: imageUrl })
-      }
-      reader.readAsDataURL(file)
-    }
-  }
-
-  const clearImage = () => {
-    setSelectedFile(null)
-    setImagePreview('')
-    setFormData({ ...formData, gambar: '' })
-    // Reset file input
-    const fileInput = document.getElementById('edit-image-upload')
-    if (fileInput) fileInput.value = ''
-  }
-
   return (
     <div className="fixed inset-0 bg-black-50 flex items-center justify-center p-4 z-50">
       <div className="bg-primary-white rounded-lg shadow-card w-full max-w-2xl max-h-[90vh] overflow-y-auto">
@@ -148,6 +126,27 @@ function EditPartModal({ part, onClose }) {
             </div>
           </div>
 
+          <div>
+            <label className="block text-small font-medium text-primary-black mb-2">
+              Cost Price (RM)
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              inputMode="decimal"
+              value={formData.averageCost}
+              onChange={(e) => handleChange('averageCost', e.target.value)}
+              className={`input-field w-full ${errors.averageCost ? 'border-primary-red' : ''}`}
+              placeholder="0.00"
+            />
+            {errors.averageCost ? (
+              <p className="text-primary-red text-small mt-1">{errors.averageCost}</p>
+            ) : (
+              <p className="text-black-50 text-small mt-1">Weighted average across goods receipts - change it only to correct a wrong cost</p>
+            )}
+          </div>
+
           <div>
             <label className="block text-small font-medium text-primary-black mb-2">
               Product Name *
@@ -199,85 +198,18 @@ function EditPartModal({ part, onClose }) {
             </div>
           </div>
 
-          <div>
-            <label className="block text-small font-medium text-primary-black mb-2">
-              Product Image (Optional)
-            </label>
-            
-            {/* Image Preview */}
-            {(imagePreview || formData.gambar) && (
-              <div className="mb-4">
-                <div className="relative inline-block">
-                  <img 
-                    src={imagePreview || formData.gambar} 
-                    alt="Product preview" 
-                    className="w-24 h-24 object-cover border border-black-25 rounded"
-                    onError={(e) => {
-                      e.target.style.display = 'none'
-                      e.target.nextSibling.style.display = 'block'
-                    }}
-                  />
-                  <div className="w-24 h-24 bg-black-10 border border-black-25 rounded flex items-center justify-center text-black-50 text-sm" style={{display: 'none'}}>
-                    Invalid Image
-                  </div>
-                  <button
-                    type="button"
-                    onClick={clearImage}
-                    className="absolute -top-2 -right-2 w-6 h-6 bg-primary-red text-primary-white rounded-full text-sm hover:bg-red-700 flex items-center justify-center"
-                  >
-                    ×
-                  </button>
-                </div>
-              </div>
-            )}
-
-            {/* File Upload Option */}
-            <div className="space-y-3">
-              <div>
-                <input
-                  type="file"
-                  id="edit-image-upload"
-                  accept="image/*"
-                  onChange={handleFileSelect}
-                  className="hidden"
-                />
-                <label 
-                  htmlFor="edit-image-upload"
-                  className="inline-flex items-center px-4 py-2 border border-black-25 rounded-md text-sm font-medium text-primary-black bg-primary-white hover:bg-black-5 cursor-pointer transition-colors"
-                >
-                  📁 Upload from Device
-                </label>
-                <p className="text-xs text-black-75 mt-1">
-                  Max 5MB • JPG, PNG, GIF supported
-                </p>
-              </div>
+          <CategoryBinFields formData={formData} onChange={handleChange} labelClassName="block text-small font-medium text-primary-black mb-2" />
 
-              <div className="flex items-center gap-3">
-                <div className="flex-1 h-px bg-black-25"></div>
-                <span className="text-sm text-black-50">OR</span>
-                <div className="flex-1 h-px bg-black-25"></div>
-              </div>
+          <ReorderFields formData={formData} onChange={handleChange} labelClassName="block text-small font-medium text-primary-black mb-2" />
 
-              <div>
-                <input
-                  type="url"
-                  value={selectedFile ? '' : formData.gambar}
-                  onChange={(e) => {
-                    if (!selectedFile) {
-                      handleChange('gambar', e.target.value)
-                      setImagePreview('')
-                    }
-                  }}
-                  disabled={!!selectedFile}
-                  className={`input-field w-full ${selectedFile ? 'bg-black-5 text-black-50' : ''}`}
-                  placeholder="https://example.com/image.jpg"
-                />
-                <p className="text-xs text-black-75 mt-1">
-                  Provide a URL to an image of the part
-                </p>
-              </div>
-            </div>
-          </div>
+          <PartImagesField
+            images={formData.images}
+            onImagesChange={(images) => handleChange('images', images)}
+            pendingFiles={pendingFiles}
+            onPendingChange={setPendingFiles}
+            labelClassName="block text-small font-medium text-primary-black mb-2"
+            inputId="edit-image-upload"
+          />
 
           <div>
             <label className="block text-small font-medium text-primary-black mb-2">
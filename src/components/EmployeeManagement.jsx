@@ -1,14 +1,19 @@
 import { useState } from 'react'
 import { useEmployee } from '../context/EmployeeContext'
+import { DEFAULT_STATUTORY_PROFILE, RESIDENCY_LABELS } from '../utils/StatutoryDeductions'
+import BankPayments, { MALAYSIAN_BANKS } from '../utils/BankPayments'
 
 function EmployeeManagement() {
   const {
     employees,
+    employeesWithExposedFields,
     employeeLoading,
     addEmployee,
     updateEmployee,
     deleteEmployee,
+    secureEmployeeRecords,
     getActiveEmployees,
+    mechanics,
     EMPLOYEE_ROLES,
     EMPLOYEE_DEPARTMENTS
   } = useEmployee()
@@ -18,6 +23,7 @@ function EmployeeManagement() {
   const [searchTerm, setSearchTerm] = useState('')
   const [filterDepartment, setFilterDepartment] = useState('all')
   const [loading, setLoading] = useState(false)
+  const [isSecuring, setIsSecuring] = useState(false)
 
   // Form state
   const [formData, setFormData] = useState({
@@ -29,6 +35,12 @@ function EmployeeManagement() {
     department: '',
     hourlyRate: '',
     salary: '',
+    mechanicId: '',
+    statutory: { ...DEFAULT_STATUTORY_PROFILE },
+    bankCode: '',
+    bankAccount: '',
+    bankAccountName: '',
+    idNumber: '',
     startDate: '',
     address: '',
     emergencyContact: '',
@@ -46,6 +58,12 @@ function EmployeeManagement() {
       department: '',
       hourlyRate: '',
       salary: '',
+      mechanicId: '',
+      statutory: { ...DEFAULT_STATUTORY_PROFILE },
+      bankCode: '',
+      bankAccount: '',
+      bankAccountName: '',
+      idNumber: '',
       startDate: '',
       address: '',
       emergencyContact: '',
@@ -63,6 +81,17 @@ function EmployeeManagement() {
         ...formData,
         hourlyRate: formData.hourlyRate ? parseFloat(formData.hourlyRate) : null,
         salary: formData.salary ? parseFloat(formData.salary) : null,
+        mechanicId: formData.mechanicId || null,
+        statutory: {
+          ...formData.statutory,
+          epfEmployeeRate: formData.statutory.epfEmployeeRate ? parseFloat(formData.statutory.epfEmployeeRate) : null,
+          children: parseInt(formData.statutory.children, 10) || 0
+        },
+        bankCode: formData.bankCode || null,
+        bankName: BankPayments.getBank(formData.bankCode)?.name || null,
+        bankAccount: BankPayments.normalizeAccountNumber(formData.bankAccount) || null,
+        bankAccountName: formData.bankAccountName.trim(),
+        idNumber: formData.idNumber.trim(),
         startDate: formData.startDate || new Date().toISOString().split('T')[0]
       }
 
@@ -83,6 +112,20 @@ function EmployeeManagement() {
     }
   }
 
+  const handleSecureRecords = async () => {
+    if (!window.confirm(`Move salary, bank and IC details of ${employeesWithExposedFields.length} employee(s) into restricted records?`)) return
+
+    setIsSecuring(true)
+    try {
+      const moved = await secureEmployeeRecords()
+      alert(`✅ Details moved for ${moved} employee(s)`)
+    } catch (error) {
+      alert(`Error moving salary details:\n${error.message}`)
+    } finally {
+      setIsSecuring(false)
+    }
+  }
+
   const handleEdit = (employee) => {
     setSelectedEmployee(employee)
     setFormData({
@@ -94,6 +137,16 @@ function EmployeeManagement() {
       department: employee.department || '',
       hourlyRate: employee.hourlyRate?.toString() || '',
       salary: employee.salary?.toString() || '',
+      mechanicId: employee.mechanicId || '',
+      statutory: {
+        ...DEFAULT_STATUTORY_PROFILE,
+        ...(employee.statutory || {}),
+        epfEmployeeRate: employee.statutory?.epfEmployeeRate?.toString() || ''
+      },
+      bankCode: employee.bankCode || '',
+      bankAccount: employee.bankAccount || '',
+      bankAccountName: employee.bankAccountName || '',
+      idNumber: employee.idNumber || '',
       startDate: employee.startDate || '',
       address: employee.address || '',
       emergencyContact: employee.emergencyContact || '',
@@ -114,6 +167,15 @@ function EmployeeManagement() {
     }
   }
 
+  const setStatutory = (field, value) => {
+    setFormData({ ...formData, statutory: { ...formData.statutory, [field]: value } })
+  }
+
+  // A mechanic's commission can only go to one employee's payroll
+  const linkableMechanics = mechanics.filter(mechanic =>
+    !employees.some(employee => employee.mechanicId === mechanic.id && employee.id !== selectedEmployee?.id)
+  )
+
   // Filter employees
   const activeEmployees = getActiveEmployees()
   const filteredEmployees = activeEmployees.filter(employee => {
@@ -159,6 +221,21 @@ function EmployeeManagement() {
         </div>
       </div>
 
+      {employeesWithExposedFields.length > 0 && (
+        <div className="px-4 py-3 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <div className="text-sm text-yellow-800">
+            {employeesWithExposedFields.length} employee record(s) still hold salary, bank or IC details where every staff login can read them.
+          </div>
+          <button
+            onClick={handleSecureRecords}
+            disabled={isSecuring}
+            className="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+          >
+            {isSecuring ? 'Moving...' : 'Restrict Details'}
+          </button>
+        </div>
+      )}
+
       {/* Add/Edit Form */}
       {showAddForm && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -200,6 +277,7 @@ function EmployeeManagement() {
                   onChange={(e) => setFormData({...formData, email: e.target.value})}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 />
+                <p className="text-xs text-gray-500 mt-1">Staff sign in with this email; their role controls which sections they can access.</p>
               </div>
 
               <div>
@@ -270,6 +348,21 @@ function EmployeeManagement() {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Linked Mechanic</label>
+                <select
+                  value={formData.mechanicId}
+                  onChange={(e) => setFormData({...formData, mechanicId: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Not a commission mechanic</option>
+                  {linkableMechanics.map(mechanic => (
+                    <option key={mechanic.id} value={mechanic.id}>{mechanic.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">This mechanic's approved commission statements are paid through payroll</p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
                 <input
@@ -302,6 +395,137 @@ function EmployeeManagement() {
               </div>
             </div>
 
+            {/* Statutory Deductions */}
+            <div className="border-t border-gray-200 pt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-1">Statutory Deductions</h3>
+              <p className="text-xs text-gray-500 mb-3">Used for EPF, SOCSO, EIS and PCB. Age bands use the date of birth.</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
+                  <input
+                    type="date"
+                    value={formData.statutory.dateOfBirth}
+                    onChange={(e) => setStatutory('dateOfBirth', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Residency</label>
+                  <select
+                    value={formData.statutory.residency}
+                    onChange={(e) => setStatutory('residency', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(RESIDENCY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tax Residence</label>
+                  <select
+                    value={formData.statutory.taxResident ? 'resident' : 'non_resident'}
+                    onChange={(e) => setStatutory('taxResident', e.target.value === 'resident')}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="resident">Resident</option>
+                    <option value="non_resident">Non-resident (flat rate)</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Voluntary EPF Rate (%)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    value={formData.statutory.epfEmployeeRate}
+                    onChange={(e) => setStatutory('epfEmployeeRate', e.target.value)}
+                    placeholder="Statutory rate"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Children (tax relief)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.statutory.children}
+                    onChange={(e) => setStatutory('children', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div className="flex items-end">
+                  <label className="flex items-center text-sm text-gray-700 py-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.statutory.spouseRelief}
+                      onChange={(e) => setStatutory('spouseRelief', e.target.checked)}
+                      className="mr-2"
+                    />
+                    Spouse relief (spouse not working)
+                  </label>
+                </div>
+              </div>
+            </div>
+
+            {/* Bank Details */}
+            <div className="border-t border-gray-200 pt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-1">Bank Details</h3>
+              <p className="text-xs text-gray-500 mb-3">Salary and commission are paid here through the bank payment file.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+                  <select
+                    value={formData.bankCode}
+                    onChange={(e) => setFormData({...formData, bankCode: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Select Bank</option>
+                    {MALAYSIAN_BANKS.map(bank => (
+                      <option key={bank.code} value={bank.code}>{bank.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Account Number</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.bankAccount}
+                    onChange={(e) => setFormData({...formData, bankAccount: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Account Holder Name</label>
+                  <input
+                    type="text"
+                    value={formData.bankAccountName}
+                    onChange={(e) => setFormData({...formData, bankAccountName: e.target.value})}
+                    placeholder="As registered with the bank"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">IC / Passport Number</label>
+                  <input
+                    type="text"
+                    value={formData.idNumber}
+                    onChange={(e) => setFormData({...formData, idNumber: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+            </div>
+
             {/* Address */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
@@ -125,7 +125,11 @@ function InvoiceGeneration({ setActiveSection }) {
       
       // Update stock levels
       for (const item of selectedParts) {
-        await updateStock(item.partId, item.quantity)
+        await updateStock(item.partId, item.quantity, {
+          invoiceId: newInvoice.id,
+          invoiceNumber: newInvoice.invoiceNumber,
+          collectionName: 'invoices'
+        })
       }
 
       setGeneratedInvoice(newInvoice)
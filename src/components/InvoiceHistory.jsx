@@ -1,6 +1,5 @@
 import { useState } from 'react'
 import { useInvoiceContext } from '../context/InvoiceContext'
-import { usePartsContext } from '../context/PartsContext'
 import InvoicePreview from './InvoicePreview'
 import SimpleEditInvoiceModal from './SimpleEditInvoiceModal'
 import PDFGenerator from '../utils/PDFGenerator'
@@ -14,9 +13,8 @@ function InvoiceHistory() {
     calculateInvoiceStats, 
     loading, 
     error, 
-    deleteInvoice
+    voidInvoice
   } = useInvoiceContext()
-  const { parts } = usePartsContext()
   
   console.log('🔴 INVOICES COUNT:', invoices?.length || 0)
   console.log('🔴 INVOICES DATA:', invoices)
@@ -24,7 +22,7 @@ function InvoiceHistory() {
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedInvoice, setSelectedInvoice] = useState(null)
   const [editingInvoice, setEditingInvoice] = useState(null)
-  const [deletingInvoiceId, setDeletingInvoiceId] = useState(null)
+  const [voidingInvoiceId, setVoidingInvoiceId] = useState(null)
   
   console.log('🔴 editingInvoice STATE:', editingInvoice?.id || 'null')
   const [dateFilter, setDateFilter] = useState({
@@ -81,25 +79,29 @@ function InvoiceHistory() {
       })
     : displayedInvoices
 
-  // Handle invoice deletion
-  const handleDeleteInvoice = async (invoice) => {
-    const confirmMessage = `Are you sure you want to delete invoice ${invoice.invoiceNumber}?\n\nThis will:\n- Remove the invoice permanently\n- Restore stock for all items\n- Cannot be undone\n\nTotal: RM ${invoice.totalAmount.toFixed(2)}`
-    
-    if (!window.confirm(confirmMessage)) return
+  // Handle invoice voiding - the invoice keeps its number so the sequence has no gaps
+  const handleVoidInvoice = async (invoice) => {
+    const reason = window.prompt(`Void invoice ${invoice.invoiceNumber}?\n\nThis will:\n- Mark the invoice Void (it keeps its number)\n- Restore stock for all items\n- Cannot be undone\n\nTotal: RM ${invoice.totalAmount.toFixed(2)}\n\nReason for voiding:`)
 
-    setDeletingInvoiceId(invoice.id)
+    if (reason === null) return
+    if (!reason.trim()) {
+      alert('Please enter a reason for voiding the invoice.')
+      return
+    }
+
+    setVoidingInvoiceId(invoice.id)
     try {
-      const result = await deleteInvoice(invoice.id, parts)
+      const result = await voidInvoice(invoice.id, reason.trim())
       if (result.success) {
-        alert(`Invoice ${invoice.invoiceNumber} deleted successfully!\n\nStock has been restored for all items.`)
+        alert(`Invoice ${invoice.invoiceNumber} voided.\n\nStock has been restored for all items.`)
       } else {
-        alert(`Failed to delete invoice: ${result.error}`)
+        alert(`Failed to void invoice: ${result.error}`)
       }
     } catch (error) {
-      console.error('Delete failed:', error)
-      alert(`Error deleting invoice: ${error.message}`)
+      console.error('Void failed:', error)
+      alert(`Error voiding invoice: ${error.message}`)
     } finally {
-      setDeletingInvoiceId(null)
+      setVoidingInvoiceId(null)
     }
   }
 
@@ -240,6 +242,9 @@ function InvoiceHistory() {
                     <tr key={invoice.id} className="border-b border-black-10 hover:bg-black-10 transition-colors">
                       <td className="table-cell">
                         <div className="font-semibold">{invoice.invoiceNumber}</div>
+                        {invoice.paymentStatus === 'void' && (
+                          <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-black-10 text-black-75">Void</span>
+                        )}
                       </td>
                       <td className="table-cell">
                         <div className="text-small">{formatDate(invoice.dateCreated)}</div>
@@ -277,13 +282,15 @@ function InvoiceHistory() {
                           >
                             View
                           </button>
-                          <button
-                            onClick={() => handleEditClick(invoice)}
-                            className="btn-secondary text-small py-1 px-3 min-h-[44px] sm:min-h-auto"
-                            title="Edit invoice and adjust stock"
-                          >
-                            Edit
-                          </button>
+                          {invoice.paymentStatus !== 'void' && (
+                            <button
+                              onClick={() => handleEditClick(invoice)}
+                              className="btn-secondary text-small py-1 px-3 min-h-[44px] sm:min-h-auto"
+                              title="Edit invoice and adjust stock"
+                            >
+                              Edit
+                            </button>
+                          )}
                           <button
                             onClick={() => downloadPDF(invoice)}
                             className="btn-tertiary text-small py-1 px-3 min-h-[44px] sm:min-h-auto"
@@ -291,14 +298,16 @@ function InvoiceHistory() {
                           >
                             PDF
                           </button>
-                          <button
-                            onClick={() => handleDeleteInvoice(invoice)}
-                            className="btn-danger text-small py-1 px-3 min-h-[44px] sm:min-h-auto"
-                            disabled={deletingInvoiceId === invoice.id}
-                            title="Delete invoice and restore stock"
-                          >
-                            {deletingInvoiceId === invoice.id ? 'Deleting...' : 'Delete'}
-                          </button>
+                          {invoice.paymentStatus !== 'void' && (
+                            <button
+                              onClick={() => handleVoidInvoice(invoice)}
+                              className="btn-danger text-small py-1 px-3 min-h-[44px] sm:min-h-auto"
+                              disabled={voidingInvoiceId === invoice.id}
+                              title="Void invoice and restore stock"
+                            >
+                              {voidingInvoiceId === invoice.id ? 'Voiding...' : 'Void'}
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
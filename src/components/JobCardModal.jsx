@@ -0,0 +1,275 @@
+/**
+ * Job Card Modal
+ * Vehicle check-in: customer, vehicle, complaint, mileage, fuel level, photos and mechanic
+ */
+
+import { useState, useEffect } from 'react'
+import { collection, getDocs } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import { useCustomer } from '../context/CustomerContext'
+import { useVehicle } from '../context/VehicleContext'
+import JobCards, { FUEL_LEVELS } from '../utils/JobCards'
+
+const emptyForm = {
+  customerId: '',
+  customerName: '',
+  customerPhone: '',
+  customerEmail: '',
+  vehicleInfo: { make: '', model: '', year: '', licensePlate: '' },
+  issueDescription: '',
+  mileage: '',
+  fuelLevel: '1/2',
+  assignedMechanicId: '',
+  assignedMechanicName: ''
+}
+
+function JobCardModal({ onCreate, onClose }) {
+  const { customers = [] } = useCustomer() || {}
+  const { getCustomerVehicles, findVehicleByPlate } = useVehicle()
+  const [formData, setFormData] = useState(emptyForm)
+  const [photoFiles, setPhotoFiles] = useState([])
+  const [mechanics, setMechanics] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    getDocs(collection(db, 'mechanics'))
+      .then(snapshot => setMechanics(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))))
+      .catch(error => console.error('Error loading mechanics:', error))
+  }, [])
+
+  const selectCustomer = (customerId) => {
+    const customer = customers.find(c => c.id === customerId)
+    setFormData({
+      ...formData,
+      customerId: customer?.id || '',
+      customerName: customer?.name || '',
+      customerPhone: customer?.phone || '',
+      customerEmail: customer?.email || ''
+    })
+  }
+
+  const selectMechanic = (mechanicId) => {
+    const mechanic = mechanics.find(m => m.id === mechanicId)
+    setFormData({
+      ...formData,
+      assignedMechanicId: mechanic?.id || '',
+      assignedMechanicName: mechanic?.name || ''
+    })
+  }
+
+  const updateVehicle = (field, value) => {
+    setFormData({ ...formData, vehicleInfo: { ...formData.vehicleInfo, [field]: value } })
+  }
+
+  // Fill the vehicle from the registry
+  const selectRegisteredVehicle = (vehicle) => {
+    setFormData({
+      ...formData,
+      vehicleInfo: {
+        make: vehicle.make || '',
+        model: vehicle.model || '',
+        year: vehicle.year || '',
+        licensePlate: vehicle.plate
+      }
+    })
+  }
+
+  const customerVehicles = formData.customerId ? getCustomerVehicles(formData.customerId) : []
+  const registeredVehicle = findVehicleByPlate(formData.vehicleInfo.licensePlate)
+
+  const handleCreate = async () => {
+    const errors = JobCards.validate(formData)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await onCreate(formData, photoFiles)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">Vehicle Check-In</h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Customer</label>
+            <select
+              value={formData.customerId}
+              onChange={(e) => selectCustomer(e.target.value)}
+              className="w-full px-3 py-2 border rounded"
+            >
+              <option value="">Select customer...</option>
+              {customers.map(customer => (
+                <option key={customer.id} value={customer.id}>
+                  {customer.name}{customer.phone ? ` - ${customer.phone}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <h3 className="font-medium text-primary-black mb-2">Vehicle</h3>
+            {customerVehicles.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {customerVehicles.map(vehicle => (
+                  <button
+                    key={vehicle.id}
+                    type="button"
+                    onClick={() => selectRegisteredVehicle(vehicle)}
+                    className="px-3 py-1 border border-black-20 rounded text-sm hover:bg-black-5"
+                  >
+                    {vehicle.plate} - {vehicle.make} {vehicle.model}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="text"
+                placeholder="License Plate"
+                value={formData.vehicleInfo.licensePlate}
+                onChange={(e) => updateVehicle('licensePlate', e.target.value.toUpperCase())}
+                className="px-3 py-2 border rounded"
+              />
+              <input
+                type="text"
+                placeholder="Year"
+                value={formData.vehicleInfo.year}
+                onChange={(e) => updateVehicle('year', e.target.value)}
+                className="px-3 py-2 border rounded"
+              />
+              <input
+                type="text"
+                placeholder="Make"
+                value={formData.vehicleInfo.make}
+                onChange={(e) => updateVehicle('make', e.target.value)}
+                className="px-3 py-2 border rounded"
+              />
+              <input
+                type="text"
+                placeholder="Model"
+                value={formData.vehicleInfo.model}
+                onChange={(e) => updateVehicle('model', e.target.value)}
+                className="px-3 py-2 border rounded"
+              />
+            </div>
+            {registeredVehicle ? (
+              <p className="text-xs text-black-50 mt-1">
+                Registered vehicle{registeredVehicle.customerName ? ` - owner ${registeredVehicle.customerName}` : ''}
+                {registeredVehicle.currentMileage != null && `, last reading ${registeredVehicle.currentMileage.toLocaleString()} km`}
+              </p>
+            ) : formData.vehicleInfo.licensePlate && (
+              <p className="text-xs text-black-50 mt-1">New plate - it will be added to the vehicle registry</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Customer Complaint</label>
+            <textarea
+              value={formData.issueDescription}
+              onChange={(e) => setFormData({ ...formData, issueDescription: e.target.value })}
+              className="w-full px-3 py-2 border rounded"
+              rows={3}
+              placeholder="e.g. Gearbox slipping from 2nd to 3rd, noise when reversing"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Mileage (km)</label>
+              <input
+                type="number"
+                value={formData.mileage}
+                onChange={(e) => setFormData({ ...formData, mileage: e.target.value })}
+                className="w-full px-3 py-2 border rounded"
+                min="0"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Fuel Level</label>
+              <div className="flex gap-1">
+                {FUEL_LEVELS.map(level => (
+                  <button
+                    key={level}
+                    type="button"
+                    onClick={() => setFormData({ ...formData, fuelLevel: level })}
+                    className={`flex-1 px-2 py-2 border rounded text-sm ${
+                      formData.fuelLevel === level ? 'bg-primary-red text-white border-primary-red' : 'hover:bg-black-5'
+                    }`}
+                  >
+                    {level}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Assigned Mechanic</label>
+            <select
+              value={formData.assignedMechanicId}
+              onChange={(e) => selectMechanic(e.target.value)}
+              className="w-full px-3 py-2 border rounded"
+            >
+              <option value="">Not assigned yet</option>
+              {mechanics.map(mechanic => (
+                <option key={mechanic.id} value={mechanic.id}>{mechanic.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Check-In Photos</label>
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => setPhotoFiles(Array.from(e.target.files || []))}
+              className="w-full text-sm"
+            />
+            {photoFiles.length > 0 && (
+              <p className="text-xs text-black-50 mt-1">{photoFiles.length} photo(s) selected</p>
+            )}
+          </div>
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            <button
+              onClick={handleCreate}
+              disabled={isSaving}
+              className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+            >
+              {isSaving ? 'Checking In...' : 'Create Job Card'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JobCardModal
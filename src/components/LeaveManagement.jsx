@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { useEmployee } from '../context/EmployeeContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
 import { addDoc, collection, updateDoc, doc, query, where, getDocs } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 
@@ -10,6 +12,7 @@ function LeaveManagement() {
     LEAVE_TYPES,
     EMPLOYEE_ROLES
   } = useEmployee()
+  const { can, employee: currentEmployee, user } = useAuth()
 
   const [activeTab, setActiveTab] = useState('requests')
   const [showLeaveForm, setShowLeaveForm] = useState(false)
@@ -168,13 +171,18 @@ function LeaveManagement() {
 
   // Update leave request status
   const handleStatusUpdate = async (requestId, newStatus, adminNotes = '') => {
+    if (!can(PERMISSIONS.LEAVE_APPROVE)) {
+      alert('Your role is not allowed to approve or reject leave requests.')
+      return
+    }
+
     setLoading(true)
     try {
       await updateDoc(doc(db, 'leave_requests', requestId), {
         status: newStatus,
         adminNotes,
         reviewedDate: new Date().toISOString(),
-        reviewedBy: 'admin' // In a real system, this would be the current user
+        reviewedBy: currentEmployee ? `${currentEmployee.firstName || ''} ${currentEmployee.lastName || ''}`.trim() : (user?.email || 'admin')
       })
       
       await fetchLeaveRequests()
@@ -524,7 +532,7 @@ function LeaveManagement() {
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                            {request.status === 'pending' && (
+                            {request.status === 'pending' && can(PERMISSIONS.LEAVE_APPROVE) && (
                               <div className="flex justify-end space-x-2">
                                 <button
                                   onClick={() => handleStatusUpdate(request.id, 'approved')}
@@ -0,0 +1,162 @@
+/**
+ * Margin Report
+ * Gross margin of customer invoices by month, by part and by invoice,
+ * using the part costs snapshotted on each invoice line
+ */
+
+import { useState } from 'react'
+import Costing from '../utils/Costing'
+
+const VIEWS = [
+  { id: 'period', label: 'By Month' },
+  { id: 'part', label: 'By Part' },
+  { id: 'invoice', label: 'By Invoice' }
+]
+
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number)
+  return new Date(year, month - 1, 1).toLocaleDateString('en-MY', { month: 'long', year: 'numeric' })
+}
+
+const formatMargin = (marginPercent) => (marginPercent == null ? '-' : `${marginPercent}%`)
+
+const headerClass = 'px-4 py-3 text-xs font-medium text-black-50 uppercase tracking-wider'
+
+function MarginReport({ invoices, formatCurrency }) {
+  const [view, setView] = useState('period')
+
+  const periods = Costing.summarizeByPeriod(invoices)
+  const uncostedLines = periods.reduce((sum, row) => sum + row.uncostedLines, 0)
+
+  const renderRows = () => {
+    if (view === 'part') {
+      return (
+        <>
+          <thead className="bg-black-5">
+            <tr>
+              <th className={`${headerClass} text-left`}>Part</th>
+              <th className={`${headerClass} text-right`}>Qty Sold</th>
+              <th className={`${headerClass} text-right`}>Revenue</th>
+              <th className={`${headerClass} text-right`}>Cost</th>
+              <th className={`${headerClass} text-right`}>Gross Profit</th>
+              <th className={`${headerClass} text-right`}>Margin</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-black-10">
+            {Costing.summarizeByPart(invoices).map(row => (
+              <tr key={row.key}>
+                <td className="px-4 py-3 text-sm text-primary-black">
+                  {row.partName || 'Unnamed item'}
+                  {row.sku && <span className="block text-xs text-black-50">{row.sku}</span>}
+                  {row.uncostedLines > 0 && <span className="block text-xs text-orange-700">{row.uncostedLines} line(s) without cost</span>}
+                </td>
+                <td className="px-4 py-3 text-sm text-right text-black-75">{row.quantity}</td>
+                <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(row.revenue)}</td>
+                <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(row.cost)}</td>
+                <td className="px-4 py-3 text-sm text-right font-medium text-primary-black">{formatCurrency(row.grossProfit)}</td>
+                <td className="px-4 py-3 text-sm text-right text-black-75">{formatMargin(row.marginPercent)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </>
+      )
+    }
+
+    if (view === 'invoice') {
+      return (
+        <>
+          <thead className="bg-black-5">
+            <tr>
+              <th className={`${headerClass} text-left`}>Invoice</th>
+              <th className={`${headerClass} text-right`}>Revenue</th>
+              <th className={`${headerClass} text-right`}>Parts Cost</th>
+              <th className={`${headerClass} text-right`}>Gross Profit</th>
+              <th className={`${headerClass} text-right`}>Margin</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-black-10">
+            {invoices.map(invoice => {
+              const margin = Costing.calculateInvoiceMargin(invoice)
+              return (
+                <tr key={invoice.id}>
+                  <td className="px-4 py-3 text-sm text-primary-black">
+                    {invoice.invoiceNumber}
+                    <span className="block text-xs text-black-50">
+                      {invoice.customerName}{invoice.warrantyClaim ? ' · Warranty claim' : ''}
+                    </span>
+                    {margin.uncostedLines > 0 && <span className="block text-xs text-orange-700">{margin.uncostedLines} line(s) without cost</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(margin.revenue)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(margin.partsCost)}</td>
+                  <td className={`px-4 py-3 text-sm text-right font-medium ${margin.grossProfit < 0 ? 'text-primary-red' : 'text-primary-black'}`}>{formatCurrency(margin.grossProfit)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-black-75">{formatMargin(margin.marginPercent)}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </>
+      )
+    }
+
+    return (
+      <>
+        <thead className="bg-black-5">
+          <tr>
+            <th className={`${headerClass} text-left`}>Month</th>
+            <th className={`${headerClass} text-right`}>Invoices</th>
+            <th className={`${headerClass} text-right`}>Revenue</th>
+            <th className={`${headerClass} text-right`}>Parts Cost</th>
+            <th className={`${headerClass} text-right`}>Gross Profit</th>
+            <th className={`${headerClass} text-right`}>Margin</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-black-10">
+          {periods.map(row => (
+            <tr key={row.period}>
+              <td className="px-4 py-3 text-sm text-primary-black">{formatPeriod(row.period)}</td>
+              <td className="px-4 py-3 text-sm text-right text-black-75">{row.invoiceCount}</td>
+              <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(row.revenue)}</td>
+              <td className="px-4 py-3 text-sm text-right text-black-75">{formatCurrency(row.partsCost)}</td>
+              <td className="px-4 py-3 text-sm text-right font-medium text-primary-black">{formatCurrency(row.grossProfit)}</td>
+              <td className="px-4 py-3 text-sm text-right text-black-75">{formatMargin(row.marginPercent)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </>
+    )
+  }
+
+  return (
+    <div className="bg-primary-white rounded-lg border border-black-10 overflow-hidden">
+      <div className="p-4 sm:p-6 border-b border-black-10 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-primary-black">Gross Margin</h3>
+          <p className="text-black-75 text-sm">Revenue net of discount and tax, less the part costs on each invoice</p>
+          {uncostedLines > 0 && (
+            <p className="text-orange-700 text-xs mt-1">
+              {uncostedLines} invoice line(s) have no cost recorded, so margins are overstated
+            </p>
+          )}
+        </div>
+        <div className="flex gap-1">
+          {VIEWS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setView(option.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm ${view === option.id ? 'bg-primary-red text-primary-white' : 'border border-black-25 hover:bg-black-5'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          {renderRows()}
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default MarginReport
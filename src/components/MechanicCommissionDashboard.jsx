@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { collection, getDocs, query, where, orderBy } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import CommissionStatementsPanel from './CommissionStatementsPanel'
 
 function MechanicCommissionDashboard() {
   const [mechanicCommissions, setMechanicCommissions] = useState([])
@@ -417,6 +418,9 @@ function MechanicCommissionDashboard() {
         )}
       </div>
 
+      {/* Monthly Statements */}
+      <CommissionStatementsPanel />
+
       {/* Details Modal */}
       {showDetails && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1,15 +1,19 @@
 import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
 
 function Navigation({ activeSection, setActiveSection }) {
   const [openDropdown, setOpenDropdown] = useState(null)
+  const { canAccessSection } = useAuth()
 
-  const navigationGroups = [
+  const allNavigationGroups = [
     {
       title: 'Spare Parts',
       sections: [
         { id: 'parts', label: 'Parts' },
         { id: 'invoice', label: 'Invoice' },
-        { id: 'history', label: 'History' }
+        { id: 'history', label: 'History' },
+        { id: 'purchasing', label: 'Purchasing' },
+        { id: 'stock-take', label: 'Stock-Take' }
       ]
     },
     {
@@ -36,6 +40,11 @@ function Navigation({ activeSection, setActiveSection }) {
     }
   ]
 
+  // Only show the sections the staff role may open
+  const navigationGroups = allNavigationGroups
+    .map(group => ({ ...group, sections: group.sections.filter(section => canAccessSection(section.id)) }))
+    .filter(group => group.sections.length > 0)
+
   const getActiveGroupAndSection = () => {
     for (const group of navigationGroups) {
       const activeItem = group.sections.find(section => section.id === activeSection)
@@ -0,0 +1,151 @@
+/**
+ * Numbering Settings Modal
+ * Owner/manager configuration of document number prefixes
+ */
+
+import { useState, useEffect } from 'react'
+import DocumentNumbering, { DOCUMENT_TYPES } from '../utils/DocumentNumbering'
+
+const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPES.INVOICE]: 'Invoices',
+  [DOCUMENT_TYPES.QUOTATION]: 'Quotations',
+  [DOCUMENT_TYPES.RECEIPT]: 'Receipts',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'Credit Notes',
+  [DOCUMENT_TYPES.JOB_CARD]: 'Job Cards',
+  [DOCUMENT_TYPES.PURCHASE_ORDER]: 'Purchase Orders',
+  [DOCUMENT_TYPES.GOODS_RECEIPT]: 'Goods Receipts',
+  [DOCUMENT_TYPES.STOCK_TAKE]: 'Stock-Takes',
+  [DOCUMENT_TYPES.STOCK_TRANSFER]: 'Stock Transfers'
+}
+
+function NumberingSettingsModal({ onClose }) {
+  const [formData, setFormData] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    // Load once - later edits by others should not overwrite the open form
+    const unsubscribe = DocumentNumbering.subscribeToSettings((settings) => {
+      setFormData(prev => prev || settings)
+    })
+    return unsubscribe
+  }, [])
+
+  const updateField = (type, field, value) => {
+    setFormData({ ...formData, [type]: { ...formData[type], [field]: value } })
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      await DocumentNumbering.saveSettings(formData)
+      alert('Numbering settings saved successfully!')
+      onClose()
+    } catch (error) {
+      console.error('❌ Error saving numbering settings:', error)
+      alert(`Error saving numbering settings:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const year = new Date().getFullYear()
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">Document Numbering</h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {!formData ? (
+          <div className="p-6 text-center text-black-50">Loading...</div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Document</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Prefix</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Digits</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Start At</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Example</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {Object.values(DOCUMENT_TYPES).map(type => (
+                  <tr key={type}>
+                    <td className="px-3 py-2 font-medium text-primary-black">{DOCUMENT_TYPE_LABELS[type]}</td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={formData[type].prefix}
+                        onChange={(e) => updateField(type, 'prefix', e.target.value.toUpperCase())}
+                        className="w-20 px-2 py-1 border rounded"
+                        maxLength={6}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        value={formData[type].padding}
+                        onChange={(e) => updateField(type, 'padding', e.target.value)}
+                        className="w-16 px-2 py-1 border rounded"
+                        min="3"
+                        max="8"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        value={formData[type].startNumber}
+                        onChange={(e) => updateField(type, 'startNumber', e.target.value)}
+                        className="w-20 px-2 py-1 border rounded"
+                        min="1"
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-black-75 font-mono text-xs">
+                      {DocumentNumbering.formatNumber(formData[type], year, parseInt(formData[type].startNumber) || 1)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <p className="text-xs text-black-50">
+              Numbers restart every year. "Start At" is only used while this year's sequence is below it,
+              e.g. to continue from numbers issued before this system was used.
+            </p>
+
+            <div className="flex gap-3 pt-4 border-t border-black-10">
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Settings'}
+              </button>
+              <button
+                onClick={onClose}
+                className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default NumberingSettingsModal
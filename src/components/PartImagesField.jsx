@@ -0,0 +1,154 @@
+/**
+ * Part Images Field
+ * Image picker shared by the add and edit part forms. Saved images and newly chosen
+ * files are shown together; files are only uploaded when the form is saved
+ */
+
+import { useState, useEffect } from 'react'
+import { MAX_IMAGES_PER_PART, MAX_UPLOAD_BYTES } from '../utils/PartImages'
+
+function PartImagesField({ images, onImagesChange, pendingFiles, onPendingChange, labelClassName = 'block text-sm font-medium text-primary-black mb-2', inputId = 'part-images-upload' }) {
+  const [imageUrl, setImageUrl] = useState('')
+  const [previews, setPreviews] = useState([])
+
+  // Object URLs for the chosen files, released when the files change or the form closes
+  useEffect(() => {
+    const urls = pendingFiles.map(file => URL.createObjectURL(file))
+    setPreviews(urls)
+    return () => urls.forEach(url => URL.revokeObjectURL(url))
+  }, [pendingFiles])
+
+  const totalImages = images.length + pendingFiles.length
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files)
+    e.target.value = ''
+    const accepted = []
+    for (const file of files) {
+      if (!file.type.startsWith('image/')) {
+        alert(`${file.name} is not an image`)
+      } else if (file.size > MAX_UPLOAD_BYTES) {
+        alert(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`)
+      } else {
+        accepted.push(file)
+      }
+    }
+    const room = MAX_IMAGES_PER_PART - totalImages
+    if (accepted.length > room) {
+      alert(`A part can have up to ${MAX_IMAGES_PER_PART} images - ${accepted.length - room} file(s) were not added`)
+    }
+    onPendingChange([...pendingFiles, ...accepted.slice(0, Math.max(0, room))])
+  }
+
+  const addImageUrl = () => {
+    const url = imageUrl.trim()
+    if (!/^https?:\/\//.test(url)) {
+      alert('Enter an image link starting with http:// or https://')
+      return
+    }
+    if (totalImages >= MAX_IMAGES_PER_PART) {
+      alert(`A part can have up to ${MAX_IMAGES_PER_PART} images`)
+      return
+    }
+    onImagesChange([...images, { url, thumbnailUrl: url, path: null, thumbnailPath: null, name: 'link' }])
+    setImageUrl('')
+  }
+
+  const makeMain = (index) => {
+    onImagesChange([images[index], ...images.filter((_, i) => i !== index)])
+  }
+
+  return (
+    <div>
+      <label className={labelClassName}>
+        Product Images <span className="text-black-50">(Optional, up to {MAX_IMAGES_PER_PART})</span>
+      </label>
+
+      {totalImages > 0 && (
+        <div className="flex flex-wrap gap-3 mb-4">
+          {images.map((image, index) => (
+            <div key={image.path || image.url} className="relative">
+              <img
+                src={image.thumbnailUrl || image.url}
+                alt={`Product ${index + 1}`}
+                className={`w-24 h-24 object-cover rounded border ${index === 0 ? 'border-primary-red' : 'border-black-25'}`}
+              />
+              {index === 0 ? (
+                <span className="absolute bottom-1 left-1 px-1 rounded text-xs bg-primary-red text-primary-white">Main</span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => makeMain(index)}
+                  className="absolute bottom-1 left-1 px-1 rounded text-xs bg-primary-white border border-black-25 hover:bg-black-5"
+                >
+                  Make main
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onImagesChange(images.filter((_, i) => i !== index))}
+                className="absolute -top-2 -right-2 w-6 h-6 bg-primary-red text-primary-white rounded-full text-sm hover:bg-red-700 flex items-center justify-center"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          {pendingFiles.map((file, index) => (
+            <div key={`${file.name}-${index}`} className="relative">
+              <img
+                src={previews[index]}
+                alt={file.name}
+                className={`w-24 h-24 object-cover rounded border border-dashed ${images.length === 0 && index === 0 ? 'border-primary-red' : 'border-black-25'}`}
+              />
+              <span className="absolute bottom-1 left-1 px-1 rounded text-xs bg-black-75 text-primary-white">Uploads on save</span>
+              <button
+                type="button"
+                onClick={() => onPendingChange(pendingFiles.filter((_, i) => i !== index))}
+                className="absolute -top-2 -right-2 w-6 h-6 bg-primary-red text-primary-white rounded-full text-sm hover:bg-red-700 flex items-center justify-center"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <div>
+          <input
+            type="file"
+            id={inputId}
+            accept="image/*"
+            multiple
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+          <label
+            htmlFor={inputId}
+            className={`inline-flex items-center px-4 py-2 border border-black-25 rounded-md text-sm font-medium text-primary-black bg-primary-white hover:bg-black-5 cursor-pointer transition-colors ${totalImages >= MAX_IMAGES_PER_PART ? 'opacity-50 pointer-events-none' : ''}`}
+          >
+            Upload from Device
+          </label>
+          <p className="text-xs text-black-75 mt-1">
+            JPG, PNG, GIF • Resized and stored with a thumbnail when the part is saved
+          </p>
+        </div>
+
+        <div className="flex gap-2">
+          <input
+            type="url"
+            value={imageUrl}
+            onChange={(e) => setImageUrl(e.target.value)}
+            className="input-field flex-1"
+            placeholder="https://example.com/image.jpg"
+          />
+          <button type="button" onClick={addImageUrl} className="btn-secondary">
+            Add Link
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PartImagesField
@@ -0,0 +1,136 @@
+/**
+ * Part Labels Modal
+ * Choose how many barcode labels to print for each part and download them as a label sheet PDF
+ */
+
+import { useState } from 'react'
+import PDFGenerator from '../utils/PDFGenerator'
+import Barcode from '../utils/Barcode'
+
+const LABELS_PER_SHEET = 24
+
+function PartLabelsModal({ parts, onClose }) {
+  const [copies, setCopies] = useState(() => Object.fromEntries(parts.map(part => [part.id, 1])))
+  const [startPosition, setStartPosition] = useState(1)
+
+  const printable = parts.filter(part => Barcode.isEncodable(part.kodProduk))
+  const unprintable = parts.filter(part => !Barcode.isEncodable(part.kodProduk))
+  const labels = printable
+    .map(part => ({ part, copies: parseInt(copies[part.id]) || 0 }))
+    .filter(label => label.copies > 0)
+  const labelCount = labels.reduce((sum, label) => sum + label.copies, 0)
+  const sheetCount = Math.ceil((labelCount + startPosition - 1) / LABELS_PER_SHEET)
+
+  const setAllCopies = (getCopies) => {
+    setCopies(Object.fromEntries(printable.map(part => [part.id, getCopies(part)])))
+  }
+
+  const handleDownload = () => {
+    try {
+      PDFGenerator.downloadPartLabelsPDF(labels, startPosition - 1)
+    } catch (error) {
+      alert(`Error generating labels:\n${error.message}`)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Print Part Labels</h2>
+              <p className="text-sm text-black-50">A4 sheets of 3 x 8 labels (63.5 x 33.9 mm) with a Code 128 barcode of the part code</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Start at label</label>
+              <select
+                value={startPosition}
+                onChange={(e) => setStartPosition(Number(e.target.value))}
+                className="input-field w-24"
+              >
+                {Array.from({ length: LABELS_PER_SHEET }, (_, i) => i + 1).map(position => (
+                  <option key={position} value={position}>{position}</option>
+                ))}
+              </select>
+            </div>
+            <button onClick={() => setAllCopies(() => 1)} className="btn-secondary text-sm">1 Each</button>
+            <button onClick={() => setAllCopies(part => Math.max(0, Number(part.unitStock) || 0))} className="btn-secondary text-sm">
+              One per Unit in Stock
+            </button>
+          </div>
+          <p className="text-xs text-black-50">Use a later start position to finish a partly used sheet.</p>
+
+          {unprintable.length > 0 && (
+            <p className="text-sm text-primary-red">
+              {unprintable.length} part(s) skipped - their codes contain characters a barcode cannot hold: {unprintable.map(part => part.kodProduk || '(no code)').join(', ')}
+            </p>
+          )}
+
+          <div className="border border-black-10 rounded max-h-80 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-black-5 sticky top-0">
+                <tr className="text-left text-black-75">
+                  <th className="px-3 py-2">Part</th>
+                  <th className="px-3 py-2 text-right">Stock</th>
+                  <th className="px-3 py-2 text-right">Labels</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {printable.map(part => (
+                  <tr key={part.id}>
+                    <td className="px-3 py-2">
+                      <span className="font-medium">{part.kodProduk}</span>
+                      <span className="block text-xs text-black-50">{part.namaProduk}</span>
+                    </td>
+                    <td className="px-3 py-2 text-right text-black-75">{part.unitStock}</td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={copies[part.id] ?? 0}
+                        onChange={(e) => setCopies({ ...copies, [part.id]: e.target.value })}
+                        className="input-field w-20 text-right"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between items-center">
+            <span className="text-sm text-black-75">
+              {labelCount} label(s) on {sheetCount} sheet(s)
+            </span>
+            <div className="flex gap-2">
+              <button onClick={onClose} className="btn-secondary">Cancel</button>
+              <button
+                onClick={handleDownload}
+                disabled={labelCount === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                Download Labels PDF
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PartLabelsModal
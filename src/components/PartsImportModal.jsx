@@ -0,0 +1,234 @@
+/**
+ * Parts Import Modal
+ * Upload a CSV or .xlsx price list, map its columns, review a dry run of what
+ * will be created or updated, then import the valid rows
+ */
+
+import { useState } from 'react'
+import { usePartsContext } from '../context/PartsContext'
+import Spreadsheet from '../utils/Spreadsheet'
+import PartsImport, { IMPORT_FIELDS, IMPORT_ACTIONS } from '../utils/PartsImport'
+
+const ACTION_STYLES = {
+  [IMPORT_ACTIONS.CREATE]: { label: 'New', className: 'bg-green-100 text-green-800' },
+  [IMPORT_ACTIONS.UPDATE]: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  [IMPORT_ACTIONS.UNCHANGED]: { label: 'No change', className: 'bg-gray-100 text-gray-800' },
+  [IMPORT_ACTIONS.ERROR]: { label: 'Error', className: 'bg-red-100 text-red-800' }
+}
+
+const FIELD_LABELS = Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, field.label]))
+
+function PartsImportModal({ onClose }) {
+  const { parts, importParts } = usePartsContext()
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [actionFilter, setActionFilter] = useState('all')
+  const [isReading, setIsReading] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setIsReading(true)
+    try {
+      const [headerRow = [], ...dataRows] = await Spreadsheet.readFile(file)
+      if (dataRows.length === 0) {
+        throw new Error('The sheet has no rows below the header')
+      }
+      setFileName(file.name)
+      setHeaders(headerRow)
+      setRows(dataRows)
+      setMapping(PartsImport.guessMapping(headerRow))
+    } catch (error) {
+      alert(`Could not read ${file.name}:\n${error.message}`)
+    } finally {
+      setIsReading(false)
+      e.target.value = ''
+    }
+  }
+
+  // Part code is the upsert key - everything else can be left unmapped
+  const codeMapped = mapping.kodProduk >= 0
+  const preview = rows.length > 0 && codeMapped
+    ? PartsImport.buildPreview(rows, mapping, parts)
+    : null
+  const visibleRows = preview
+    ? preview.rows.filter(row => actionFilter === 'all' || row.action === actionFilter)
+    : []
+  const importCount = preview ? preview.summary[IMPORT_ACTIONS.CREATE] + preview.summary[IMPORT_ACTIONS.UPDATE] : 0
+
+  const handleImport = async () => {
+    const { summary } = preview
+    if (!window.confirm(
+      `Import ${fileName}?\n\n` +
+      `${summary[IMPORT_ACTIONS.CREATE]} new part(s)\n` +
+      `${summary[IMPORT_ACTIONS.UPDATE]} part(s) updated\n` +
+      `${summary[IMPORT_ACTIONS.ERROR]} row(s) with errors will be skipped`
+    )) return
+
+    setIsImporting(true)
+    try {
+      const { created, updated } = await importParts(preview.rows)
+      alert(`✅ Import complete: ${created} created, ${updated} updated`)
+      onClose()
+    } catch (error) {
+      alert(`Error importing parts:\n${error.message}`)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Import Parts</h2>
+              <p className="text-sm text-black-50">
+                Rows are matched to existing parts by part code. Blank cells keep the current value.
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Spreadsheet (.csv or .xlsx)</label>
+            <input
+              type="file"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={handleFile}
+              disabled={isReading || isImporting}
+              className="input-field"
+            />
+            {isReading && <p className="text-sm text-black-50 mt-1">Reading file...</p>}
+            {fileName && !isReading && (
+              <p className="text-sm text-black-50 mt-1">{fileName}: {rows.length} row(s)</p>
+            )}
+          </div>
+
+          {headers.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-primary-black mb-2">Column Mapping</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-black-75 mb-1">
+                      {field.label} {field.key === 'kodProduk' && <span className="text-primary-red">*</span>}
+                    </label>
+                    <select
+                      value={mapping[field.key] ?? -1}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: Number(e.target.value) })}
+                      className="input-field w-full"
+                    >
+                      <option value={-1}>Not imported</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-black-50 mt-2">
+                Part name and price are required for new parts. Stock, when mapped, replaces the current stock and is recorded in the stock ledger.
+              </p>
+            </div>
+          )}
+
+          {!codeMapped && headers.length > 0 && (
+            <p className="text-sm text-primary-red">Map the part code column to preview the import.</p>
+          )}
+
+          {preview && (
+            <div>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {['all', IMPORT_ACTIONS.CREATE, IMPORT_ACTIONS.UPDATE, IMPORT_ACTIONS.UNCHANGED, IMPORT_ACTIONS.ERROR].map(action => (
+                  <button
+                    key={action}
+                    onClick={() => setActionFilter(action)}
+                    className={`px-3 py-1 rounded text-sm transition-colors duration-200 ${
+                      actionFilter === action
+                        ? 'bg-primary-black text-primary-white'
+                        : 'bg-black-10 text-primary-black hover:bg-black-25'
+                    }`}
+                  >
+                    {action === 'all' ? 'All' : ACTION_STYLES[action].label} ({action === 'all' ? preview.summary.total : preview.summary[action]})
+                  </button>
+                ))}
+              </div>
+
+              <div className="border border-black-10 rounded max-h-80 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-black-5 sticky top-0">
+                    <tr className="text-left text-black-75">
+                      <th className="px-3 py-2">Row</th>
+                      <th className="px-3 py-2">Part</th>
+                      <th className="px-3 py-2">Result</th>
+                      <th className="px-3 py-2">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-black-10">
+                    {visibleRows.map(row => (
+                      <tr key={row.rowNumber} className={row.action === IMPORT_ACTIONS.ERROR ? 'bg-red-50' : ''}>
+                        <td className="px-3 py-2 text-black-50">{row.rowNumber}</td>
+                        <td className="px-3 py-2">
+                          <span className="font-medium">{row.code || '-'}</span>
+                          <span className="block text-xs text-black-50">{row.partName}</span>
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-1 rounded text-xs ${ACTION_STYLES[row.action].className}`}>
+                            {ACTION_STYLES[row.action].label}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-xs">
+                          {row.errors.map(error => (
+                            <div key={error} className="text-primary-red">{error}</div>
+                          ))}
+                          {row.action === IMPORT_ACTIONS.UPDATE && row.changes.map(change => (
+                            <div key={change.field} className="text-black-75">
+                              {FIELD_LABELS[change.field]}: {String(change.from) || '(blank)'} → {String(change.to)}
+                            </div>
+                          ))}
+                          {row.action === IMPORT_ACTIONS.UNCHANGED && (
+                            <span className="text-black-50">Already matches part {row.code}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {visibleRows.length === 0 && (
+                  <p className="text-center text-black-50 py-4">No rows</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-2 justify-end">
+            <button onClick={onClose} className="btn-secondary">Cancel</button>
+            <button
+              onClick={handleImport}
+              disabled={!preview || importCount === 0 || isImporting}
+              className="btn-primary disabled:opacity-50"
+            >
+              {isImporting ? 'Importing...' : `Import ${importCount} Row(s)`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PartsImportModal
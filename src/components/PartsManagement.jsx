@@ -1,22 +1,81 @@
 import { useState } from 'react'
 import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { migratePartImages } from '../utils/FirebaseDataUtils'
 import PartsTable from './PartsTable'
 import AddPartForm from './AddPartForm'
 import EditPartModal from './EditPartModal'
+import StockMovementsModal from './StockMovementsModal'
+import StockLedgerCheckModal from './StockLedgerCheckModal'
+import PartsImportModal from './PartsImportModal'
+import PartLabelsModal from './PartLabelsModal'
+import StockLocationsModal from './StockLocationsModal'
+import StockTransfersModal from './StockTransfersModal'
+import { useStockLocations } from '../hooks/useStockLocations'
+import Spreadsheet from '../utils/Spreadsheet'
+import PartsImport from '../utils/PartsImport'
+import PartImages from '../utils/PartImages'
+import StockLocations from '../utils/StockLocations'
 
 function PartsManagement() {
   const { parts, searchParts, getLowStockParts, loading, error, retryConnection, isRetrying } = usePartsContext()
   const [showAddForm, setShowAddForm] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [editingPart, setEditingPart] = useState(null)
+  const [historyPart, setHistoryPart] = useState(null)
+  const [showLedgerCheck, setShowLedgerCheck] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [labelParts, setLabelParts] = useState(null)
   const [viewMode, setViewMode] = useState('all') // 'all', 'low-stock'
+  const [migrationProgress, setMigrationProgress] = useState(null)
+  const [locationFilter, setLocationFilter] = useState('all') // 'all' or a location id
+  const [showLocations, setShowLocations] = useState(false)
+  const [showTransfers, setShowTransfers] = useState(false)
+  const { settings: locationSettings, saveSettings: saveLocationSettings } = useStockLocations()
+  const { can, requirePermission } = useAuth()
 
-  const displayedParts = viewMode === 'low-stock' 
+  const stockLocationId = locationFilter !== 'all' && locationSettings.locations.some(location => location.id === locationFilter)
+    ? locationFilter
+    : null
+
+  // A location filter shows only the parts stocked there
+  const displayedParts = (viewMode === 'low-stock' 
     ? getLowStockParts() 
-    : searchParts(searchQuery)
+    : searchParts(searchQuery))
+    .filter(part => !stockLocationId || StockLocations.getLocationStock(part, stockLocationId) !== 0)
 
   const lowStockCount = getLowStockParts().length
 
+  // Exports exactly what the table is showing, in the layout the import reads back
+  const exportParts = (extension) => {
+    const label = viewMode === 'low-stock' ? 'low-stock' : 'parts'
+    Spreadsheet.download(PartsImport.toExportRows(displayedParts), `${label}-${new Date().toISOString().slice(0, 10)}.${extension}`)
+  }
+
+  const partsToMigrate = PartImages.getPartsToMigrate(parts)
+
+  const handleMigrateImages = async () => {
+    try {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'move part images')
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+    if (!window.confirm(`Move ${partsToMigrate.length} part image(s) out of the parts records into file storage? This can take a few minutes.`)) return
+
+    setMigrationProgress({ done: 0, total: partsToMigrate.length })
+    try {
+      const result = await migratePartImages(parts, (done, total) => setMigrationProgress({ done, total }))
+      const failedList = result.failed.map(failure => `${failure.partName}: ${failure.error}`).join('\n')
+      alert(`${result.migrated} image(s) moved to storage.${result.failed.length > 0 ? `\n\n${result.failed.length} failed - run it again to retry:\n${failedList}` : ''}`)
+    } catch (error) {
+      alert(`Error moving images:\n${error.message}`)
+    } finally {
+      setMigrationProgress(null)
+    }
+  }
+
   // Show loading only if we have no data and not retrying
   if (loading && parts.length === 0 && !isRetrying) {
     return (
@@ -83,6 +142,21 @@ function PartsManagement() {
         </div>
       )}
 
+      {partsToMigrate.length > 0 && can(PERMISSIONS.PARTS_MANAGE) && (
+        <div className="mb-4 px-4 py-3 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <div className="text-sm text-yellow-800">
+            {partsToMigrate.length} part(s) still keep their image inside the part record, which slows down loading.
+          </div>
+          <button
+            onClick={handleMigrateImages}
+            disabled={!!migrationProgress}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            {migrationProgress ? `Moving ${migrationProgress.done}/${migrationProgress.total}...` : 'Move Images to Storage'}
+          </button>
+        </div>
+      )}
+
       {/* Section Header - Mobile Optimized */}
       <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
         <div>
@@ -91,13 +165,41 @@ function PartsManagement() {
             Manage your parts inventory and stock levels
           </p>
         </div>
-        <button
-          onClick={() => setShowAddForm(true)}
-          className="btn-primary mobile-full sm:w-auto"
-        >
-          <span className="sm:hidden">+ Add Part</span>
-          <span className="hidden sm:inline">Add New Part</span>
-        </button>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setShowImport(true)}
+            className="btn-secondary flex-1 sm:flex-none"
+          >
+            Import
+          </button>
+          <button
+            onClick={() => setShowTransfers(true)}
+            className="btn-secondary flex-1 sm:flex-none"
+          >
+            Transfers
+          </button>
+          {can(PERMISSIONS.PARTS_MANAGE) && (
+            <button
+              onClick={() => setShowLocations(true)}
+              className="btn-secondary flex-1 sm:flex-none"
+            >
+              Locations
+            </button>
+          )}
+          <button
+            onClick={() => setShowLedgerCheck(true)}
+            className="btn-secondary flex-1 sm:flex-none"
+          >
+            Check Ledger
+          </button>
+          <button
+            onClick={() => setShowAddForm(true)}
+            className="btn-primary mobile-full sm:w-auto"
+          >
+            <span className="sm:hidden">+ Add Part</span>
+            <span className="hidden sm:inline">Add New Part</span>
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards - Mobile Responsive Grid */}
@@ -136,6 +238,18 @@ function PartsManagement() {
           />
         </div>
         <div className="flex gap-2">
+          {StockLocations.hasMultipleLocations(locationSettings) && (
+            <select
+              value={stockLocationId || 'all'}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              className="input-field w-auto"
+            >
+              <option value="all">All Locations</option>
+              {locationSettings.locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          )}
           <button
             onClick={() => setViewMode('all')}
             className={`px-3 py-2 sm:px-4 rounded transition-colors duration-200 flex-1 sm:flex-none text-sm sm:text-base ${
@@ -160,10 +274,39 @@ function PartsManagement() {
         </div>
       </div>
 
+      <div className="flex justify-end gap-2 text-sm">
+        <span className="text-black-50 self-center">Export {displayedParts.length} shown:</span>
+        <button
+          onClick={() => exportParts('csv')}
+          disabled={displayedParts.length === 0}
+          className="text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+        >
+          CSV
+        </button>
+        <button
+          onClick={() => exportParts('xlsx')}
+          disabled={displayedParts.length === 0}
+          className="text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+        >
+          Excel
+        </button>
+        <span className="text-black-25">|</span>
+        <button
+          onClick={() => setLabelParts(displayedParts)}
+          disabled={displayedParts.length === 0}
+          className="text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+        >
+          Print Labels
+        </button>
+      </div>
+
       {/* Parts Table - Mobile Responsive */}
       <PartsTable 
         parts={displayedParts} 
         onEditPart={setEditingPart}
+        onViewHistory={setHistoryPart}
+        locationSettings={locationSettings}
+        stockLocationId={stockLocationId}
       />
 
       {/* Add Part Form Modal */}
@@ -180,6 +323,47 @@ function PartsManagement() {
           onClose={() => setEditingPart(null)}
         />
       )}
+
+      {/* Stock History Modal */}
+      {historyPart && (
+        <StockMovementsModal
+          part={historyPart}
+          onClose={() => setHistoryPart(null)}
+        />
+      )}
+
+      {/* Stock Ledger Check Modal */}
+      {showLedgerCheck && (
+        <StockLedgerCheckModal onClose={() => setShowLedgerCheck(false)} />
+      )}
+
+      {/* Stock Locations Modal */}
+      {showLocations && (
+        <StockLocationsModal
+          settings={locationSettings}
+          onSave={(updatedSettings) => saveLocationSettings(updatedSettings, parts)}
+          onClose={() => setShowLocations(false)}
+        />
+      )}
+
+      {/* Stock Transfers Modal */}
+      {showTransfers && (
+        <StockTransfersModal
+          parts={parts}
+          locationSettings={locationSettings}
+          onClose={() => setShowTransfers(false)}
+        />
+      )}
+
+      {/* Parts Import Modal */}
+      {showImport && (
+        <PartsImportModal onClose={() => setShowImport(false)} />
+      )}
+
+      {/* Part Labels Modal */}
+      {labelParts && (
+        <PartLabelsModal parts={labelParts} onClose={() => setLabelParts(null)} />
+      )}
     </div>
   )
 }
@@ -1,10 +1,14 @@
 import { useState } from 'react'
 import { usePartsContext } from '../context/PartsContext'
+import { useBarcodeScanner } from '../hooks/useBarcodeScanner'
+import Barcode from '../utils/Barcode'
+import StockLocations from '../utils/StockLocations'
 
 function PartsSelector({ onAddPart, selectedParts }) {
   const { parts, searchParts } = usePartsContext()
   const [searchQuery, setSearchQuery] = useState('')
   const [quantities, setQuantities] = useState({})
+  const [scanResult, setScanResult] = useState(null) // { ok, message } for the last scanned code
 
   const displayedParts = searchParts(searchQuery)
   
@@ -30,7 +34,34 @@ function PartsSelector({ onAddPart, selectedParts }) {
   const getAvailableStock = (part) => {
     const selectedItem = selectedParts.find(item => item.partId === part.id)
     const alreadySelected = selectedItem ? selectedItem.quantity : 0
-    return part.unitStock - alreadySelected
+    // Stock in transit between locations can't be sold yet
+    return StockLocations.getAvailableStock(part) - alreadySelected
+  }
+
+  // A scanned code adds one unit straight away
+  const addScannedCode = (code) => {
+    const part = Barcode.findPartByCode(parts, code)
+    if (!part) {
+      setScanResult({ ok: false, message: `No part with code ${code.trim()}` })
+      return
+    }
+    if (getAvailableStock(part) <= 0) {
+      setScanResult({ ok: false, message: `${part.kodProduk} - ${part.namaProduk} is out of stock` })
+      return
+    }
+    onAddPart(part, 1)
+    setSearchQuery('')
+    setScanResult({ ok: true, message: `Added ${part.kodProduk} - ${part.namaProduk}` })
+  }
+
+  useBarcodeScanner(addScannedCode)
+
+  // Scanners type into the focused search box and press Enter
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter' && searchQuery.trim()) {
+      e.preventDefault()
+      addScannedCode(searchQuery)
+    }
   }
 
   if (parts.length === 0) {
@@ -49,11 +80,18 @@ function PartsSelector({ onAddPart, selectedParts }) {
       <div>
         <input
           type="text"
-          placeholder="Search parts..."
+          placeholder="Search or scan part code..."
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={handleSearchKeyDown}
           className="input-field w-full"
+          autoFocus
         />
+        {scanResult && (
+          <p className={`text-small mt-1 ${scanResult.ok ? 'text-green-700' : 'text-primary-red'}`}>
+            {scanResult.message}
+          </p>
+        )}
       </div>
 
       <div className="card max-h-96 overflow-y-auto">
@@ -1,6 +1,8 @@
 import { usePartsContext } from '../context/PartsContext'
+import Replenishment from '../utils/Replenishment'
+import StockLocations from '../utils/StockLocations'
 
-function PartsTable({ parts, onEditPart }) {
+function PartsTable({ parts, onEditPart, onViewHistory, locationSettings = null, stockLocationId = null }) {
   const { deletePart } = usePartsContext()
 
   const handleDelete = async (part) => {
@@ -14,12 +16,25 @@ function PartsTable({ parts, onEditPart }) {
     }
   }
 
-  const getStockStatus = (stock) => {
-    if (stock <= 0) return { label: 'Out', fullLabel: 'Out of Stock', className: 'bg-primary-red text-primary-white' }
-    if (stock <= 10) return { label: 'Low', fullLabel: 'Low Stock', className: 'bg-red-light text-primary-white' }
+  const getStockStatus = (part) => {
+    if (part.unitStock <= 0) return { label: 'Out', fullLabel: 'Out of Stock', className: 'bg-primary-red text-primary-white' }
+    if (Replenishment.isLowStock(part)) return { label: 'Low', fullLabel: 'Low Stock', className: 'bg-red-light text-primary-white' }
     return { label: 'OK', fullLabel: 'In Stock', className: 'bg-primary-black text-primary-white' }
   }
 
+  // One location's stock when filtered by location, otherwise the total
+  const getShownStock = (part) => (stockLocationId ? StockLocations.getLocationStock(part, stockLocationId) : part.unitStock)
+
+  const getLocationBreakdown = (part) => {
+    if (stockLocationId || !StockLocations.hasMultipleLocations(locationSettings)) return ''
+    const entries = StockLocations.getStockByLocation(part, locationSettings)
+      .filter(entry => entry.quantity !== 0)
+      .map(entry => `${entry.name} ${entry.quantity}`)
+    const inTransit = StockLocations.getInTransit(part)
+    if (inTransit > 0) entries.push(`${inTransit} in transit`)
+    return entries.join(' · ')
+  }
+
   if (parts.length === 0) {
     return (
       <div className="card text-center py-8 sm:py-12">
@@ -36,7 +51,7 @@ function PartsTable({ parts, onEditPart }) {
       {/* Mobile Card View - Stack on small screens */}
       <div className="lg:hidden space-y-3">
         {parts.map((part) => {
-          const stockStatus = getStockStatus(part.unitStock)
+          const stockStatus = getStockStatus(part)
           return (
             <div key={part.id} className="card p-4">
               <div className="flex items-start gap-3">
@@ -61,7 +76,10 @@ function PartsTable({ parts, onEditPart }) {
                     </div>
                     <div className="text-right flex-shrink-0">
                       <div className="font-semibold text-sm sm:text-base">RM{part.harga.toFixed(2)}</div>
-                      <div className="text-xs text-black-75">Stock: {part.unitStock}</div>
+                      <div className="text-xs text-black-75">Stock: {getShownStock(part)}</div>
+                      {getLocationBreakdown(part) && (
+                        <div className="text-xs text-black-50">{getLocationBreakdown(part)}</div>
+                      )}
                     </div>
                   </div>
                   
@@ -71,6 +89,12 @@ function PartsTable({ parts, onEditPart }) {
                       <span className="hidden sm:inline">{stockStatus.fullLabel}</span>
                     </span>
                     <div className="flex gap-2">
+                      <button
+                        onClick={() => onViewHistory(part)}
+                        className="text-primary-black hover:bg-black-10 px-2 py-1 rounded transition-colors text-xs sm:text-sm"
+                      >
+                        History
+                      </button>
                       <button
                         onClick={() => onEditPart(part)}
                         className="bg-black-10 text-primary-black px-3 py-1 rounded text-xs sm:text-sm font-medium hover:bg-black-25 transition-colors"
@@ -110,7 +134,7 @@ function PartsTable({ parts, onEditPart }) {
             </thead>
             <tbody>
               {parts.map((part) => {
-                const stockStatus = getStockStatus(part.unitStock)
+                const stockStatus = getStockStatus(part)
                 return (
                   <tr key={part.id} className="border-b border-black-10 hover:bg-black-10 transition-colors">
                     <td className="table-cell">
@@ -147,7 +171,10 @@ function PartsTable({ parts, onEditPart }) {
                       <div className="font-semibold">RM{part.harga.toFixed(2)}</div>
                     </td>
                     <td className="table-cell text-center">
-                      <div className="font-semibold">{part.unitStock}</div>
+                      <div className="font-semibold">{getShownStock(part)}</div>
+                      {getLocationBreakdown(part) && (
+                        <div className="text-xs text-black-50">{getLocationBreakdown(part)}</div>
+                      )}
                     </td>
                     <td className="table-cell text-center">
                       <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${stockStatus.className}`}>
@@ -156,6 +183,12 @@ function PartsTable({ parts, onEditPart }) {
                     </td>
                     <td className="table-cell text-center">
                       <div className="flex justify-center gap-2">
+                        <button
+                          onClick={() => onViewHistory(part)}
+                          className="text-primary-black hover:bg-black-10 px-2 py-1 rounded transition-colors text-sm"
+                        >
+                          History
+                        </button>
                         <button
                           onClick={() => onEditPart(part)}
                           className="bg-black-10 text-primary-black px-3 py-1 rounded text-sm font-medium hover:bg-black-25 transition-colors"
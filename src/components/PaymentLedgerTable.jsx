@@ -0,0 +1,51 @@
+/**
+ * Payment Ledger Table Component
+ * Running balance of an invoice: total, deposit, DirectLending, payments and credit notes
+ */
+
+function PaymentLedgerTable({ ledger, formatCurrency, formatDate }) {
+  if (!ledger || ledger.length === 0) {
+    return null
+  }
+
+  const closingBalance = ledger[ledger.length - 1].balance
+  const hasPayments = ledger.some(entry => ['payment', 'refund', 'credit'].includes(entry.type))
+
+  return (
+    <div className="border border-black-10 rounded-lg overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-black-5">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Date</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Description</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-black-50 uppercase">Amount</th>
+            <th className="px-3 py-2 text-right text-xs font-medium text-black-50 uppercase">Balance</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-black-10">
+          {ledger.map((entry, index) => (
+            <tr key={index}>
+              <td className="px-3 py-2 text-black-75">{formatDate(entry.date)}</td>
+              <td className="px-3 py-2 text-primary-black capitalize">
+                {entry.description}
+                {entry.reference && <span className="block text-xs text-black-50 normal-case">{entry.reference}</span>}
+              </td>
+              <td className={`px-3 py-2 text-right ${entry.amount < 0 ? 'text-green-600' : 'text-primary-black'}`}>
+                {entry.amount < 0 ? `-${formatCurrency(Math.abs(entry.amount))}` : formatCurrency(entry.amount)}
+              </td>
+              <td className="px-3 py-2 text-right font-medium text-primary-black">{formatCurrency(entry.balance)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex justify-between px-3 py-2 bg-black-5 text-sm font-semibold">
+        <span>{hasPayments ? 'Outstanding Balance' : 'Amount Due'}</span>
+        <span className={closingBalance > 0 ? 'text-primary-red' : 'text-green-600'}>
+          {formatCurrency(Math.max(0, closingBalance))}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentLedgerTable
@@ -1,82 +1,101 @@
 import { useState } from 'react'
 import { useEmployee } from '../context/EmployeeContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { SOCSO_CATEGORIES } from '../utils/StatutoryDeductions'
+import CommissionStatements from '../utils/CommissionStatements'
+import PayRuns, { PAY_RUN_STATUSES, PAY_RUN_STATUS_LABELS } from '../utils/PayRuns'
+import PDFGenerator from '../utils/PDFGenerator'
+import BankPaymentFileModal from './BankPaymentFileModal'
+
+const STATUS_COLORS = {
+  [PAY_RUN_STATUSES.DRAFT]: 'bg-blue-100 text-blue-800',
+  [PAY_RUN_STATUSES.REVIEWED]: 'bg-yellow-100 text-yellow-800',
+  [PAY_RUN_STATUSES.APPROVED]: 'bg-purple-100 text-purple-800',
+  [PAY_RUN_STATUSES.PAID]: 'bg-green-100 text-green-800'
+}
 
 function PayrollManagement() {
   const {
-    employees,
-    attendanceRecords,
     payrollRecords,
+    payRuns,
     getActiveEmployees,
-    calculatePayroll,
-    EMPLOYEE_ROLES
+    getLinkedMechanic,
+    createPayRun,
+    reviewPayRun,
+    approvePayRun,
+    sendBackPayRun,
+    markPayRunPaid
   } = useEmployee()
+  const { can } = useAuth()
 
-  const [selectedPeriod, setSelectedPeriod] = useState('current')
-  const [payPeriodStart, setPayPeriodStart] = useState('')
-  const [payPeriodEnd, setPayPeriodEnd] = useState('')
-  const [selectedEmployeeId, setSelectedEmployeeId] = useState('')
-  const [generatedPayroll, setGeneratedPayroll] = useState(null)
-  const [activeTab, setActiveTab] = useState('generate')
+  const [selectedPeriod, setSelectedPeriod] = useState(() => PayRuns.getCurrentPeriod())
+  const [activeTab, setActiveTab] = useState('run')
+  const [isSaving, setIsSaving] = useState(false)
+  const [showBankFile, setShowBankFile] = useState(false)
 
   const activeEmployees = getActiveEmployees()
+  const canManage = can(PERMISSIONS.PAYROLL_MANAGE)
+  const canApprove = can(PERMISSIONS.PAYROLL_APPROVE)
+
+  const { start: payPeriodStart, end: payPeriodEnd } = PayRuns.getMonthPeriod(selectedPeriod)
+  const payRun = payRuns.find(run => run.id === PayRuns.getPayRunId(selectedPeriod)) || null
+  const payslips = payrollRecords
+    .filter(payslip => payRun && payslip.payRunId === payRun.id)
+    .sort((a, b) => a.employeeName.localeCompare(b.employeeName))
+  const summary = payRun?.summary || PayRuns.summarize(payslips)
 
-  // Get current pay period (bi-weekly)
-  const getCurrentPayPeriod = () => {
-    const today = new Date()
-    const startOfYear = new Date(today.getFullYear(), 0, 1)
-    const daysSinceStart = Math.floor((today - startOfYear) / (24 * 60 * 60 * 1000))
-    const currentPeriod = Math.floor(daysSinceStart / 14)
-    
-    const periodStart = new Date(startOfYear)
-    periodStart.setDate(periodStart.getDate() + (currentPeriod * 14))
-    
-    const periodEnd = new Date(periodStart)
-    periodEnd.setDate(periodEnd.getDate() + 13)
-    
-    return {
-      start: periodStart.toISOString().split('T')[0],
-      end: periodEnd.toISOString().split('T')[0]
+  const runAction = async (action, errorMessage) => {
+    setIsSaving(true)
+    try {
+      return await action()
+    } catch (error) {
+      alert(`${errorMessage}:\n${error.message}`)
+      return null
+    } finally {
+      setIsSaving(false)
     }
   }
 
-  const handleGeneratePayroll = () => {
-    if (!selectedEmployeeId || !payPeriodStart || !payPeriodEnd) {
-      alert('Please select an employee and pay period')
-      return
+  const handleCalculate = async () => {
+    if (payRun && !window.confirm('Recalculate this draft pay run? Its payslips are replaced with current attendance, salaries and commission.')) return
+    const result = await runAction(() => createPayRun(selectedPeriod), 'Error calculating pay run')
+    if (result) {
+      alert(`✅ ${PayRuns.getPeriodLabel(selectedPeriod)}: ${result.employeeCount} payslip(s), net pay $${result.netPay.toFixed(2)}`)
     }
+  }
 
-    const payrollData = calculatePayroll(selectedEmployeeId, payPeriodStart, payPeriodEnd)
-    if (payrollData) {
-      setGeneratedPayroll({
-        ...payrollData,
-        employee: employees.find(emp => emp.id === selectedEmployeeId)
-      })
-    }
+  const handleReview = () => runAction(() => reviewPayRun(payRun.id), 'Error marking pay run reviewed')
+
+  const handleApprove = async () => {
+    if (!window.confirm(`Approve the ${PayRuns.getPeriodLabel(selectedPeriod)} pay run? Approved payslips are locked and cannot be recalculated.`)) return
+    await runAction(() => approvePayRun(payRun.id), 'Error approving pay run')
   }
 
-  const handleGenerateAllPayroll = () => {
-    if (!payPeriodStart || !payPeriodEnd) {
-      alert('Please select a pay period')
-      return
-    }
+  const handleSendBack = async () => {
+    const reason = window.prompt('Reason for sending this pay run back to draft:')
+    if (!reason?.trim()) return
+    await runAction(() => sendBackPayRun(payRun.id, reason.trim()), 'Error sending back pay run')
+  }
 
-    const allPayrollData = activeEmployees.map(employee => {
-      const payrollData = calculatePayroll(employee.id, payPeriodStart, payPeriodEnd)
-      return {
-        ...payrollData,
-        employee
-      }
-    }).filter(data => data.totalHours > 0) // Only include employees who worked
+  const handleMarkPaid = async () => {
+    const paymentReference = window.prompt(`Record payment of $${summary.netPay.toFixed(2)} net pay.\n\nPayment reference (optional):`)
+    if (paymentReference === null) return
+    await runAction(() => markPayRunPaid(payRun.id, paymentReference.trim()), 'Error recording payment')
+  }
 
-    setGeneratedPayroll(allPayrollData)
+  const handleDownloadPayslip = (payslip) => {
+    try {
+      PDFGenerator.downloadPayslipPDF(payslip)
+    } catch (error) {
+      alert(`Error generating payslip PDF:\n${error.message}`)
+    }
   }
 
-  // Initialize current pay period on component mount
-  useState(() => {
-    const currentPeriod = getCurrentPayPeriod()
-    setPayPeriodStart(currentPeriod.start)
-    setPayPeriodEnd(currentPeriod.end)
-  }, [])
+  const openPayRun = (period) => {
+    setSelectedPeriod(period)
+    setActiveTab('run')
+  }
 
   return (
     <div className="space-y-6">
@@ -86,11 +105,11 @@ function PayrollManagement() {
           <div>
             <h1 className="text-2xl font-bold text-gray-900">Payroll Management</h1>
             <p className="text-gray-600 mt-1">
-              Generate payroll, manage compensation, and track payments
+              Run monthly payroll, approve payslips, and track payments
             </p>
           </div>
           <div className="text-right">
-            <div className="text-sm text-gray-500">Current Pay Period</div>
+            <div className="text-sm text-gray-500">Pay Period</div>
             <div className="text-lg font-semibold text-gray-900">
               {payPeriodStart} to {payPeriodEnd}
             </div>
@@ -103,14 +122,14 @@ function PayrollManagement() {
         <div className="border-b border-gray-200">
           <nav className="flex space-x-8 px-6" aria-label="Tabs">
             <button
-              onClick={() => setActiveTab('generate')}
+              onClick={() => setActiveTab('run')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'generate'
+                activeTab === 'run'
                   ? 'border-blue-500 text-blue-600'
                   : 'border-transparent text-gray-500 hover:text-gray-700'
               }`}
             >
-              Generate Payroll
+              Pay Run
             </button>
             <button
               onClick={() => setActiveTab('history')}
@@ -136,95 +155,101 @@ function PayrollManagement() {
         </div>
 
         <div className="p-6">
-          {/* Generate Payroll Tab */}
-          {activeTab === 'generate' && (
+          {/* Pay Run Tab */}
+          {activeTab === 'run' && (
             <div className="space-y-6">
-              {/* Payroll Generation Controls */}
+              {/* Pay Run Controls */}
               <div className="bg-gray-50 rounded-lg p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Payroll Generation</h3>
-                
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Pay Period Start</label>
-                    <input
-                      type="date"
-                      value={payPeriodStart}
-                      onChange={(e) => setPayPeriodStart(e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Pay Period End</label>
-                    <input
-                      type="date"
-                      value={payPeriodEnd}
-                      onChange={(e) => setPayPeriodEnd(e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Employee (Optional)</label>
-                    <select
-                      value={selectedEmployeeId}
-                      onChange={(e) => setSelectedEmployeeId(e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    >
-                      <option value="">All Employees</option>
-                      {activeEmployees.map((employee) => (
-                        <option key={employee.id} value={employee.id}>
-                          {employee.firstName} {employee.lastName}
-                        </option>
-                      ))}
-                    </select>
+                <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+                  <div className="flex items-end gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+                      <input
+                        type="month"
+                        value={selectedPeriod}
+                        onChange={(e) => e.target.value && setSelectedPeriod(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    {payRun && (
+                      <div className="pb-2">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[payRun.status]}`}>
+                          {PAY_RUN_STATUS_LABELS[payRun.status]}
+                        </span>
+                        {PayRuns.isLocked(payRun.status) && (
+                          <span className="ml-2 text-xs text-gray-500">Locked - approved by {payRun.approvedBy}</span>
+                        )}
+                        {payRun.status === PAY_RUN_STATUSES.DRAFT && payRun.returnReason && (
+                          <span className="ml-2 text-xs text-gray-500">Sent back: {payRun.returnReason}</span>
+                        )}
+                      </div>
+                    )}
                   </div>
 
-                  <div className="flex items-end">
-                    <button
-                      onClick={selectedEmployeeId ? handleGeneratePayroll : handleGenerateAllPayroll}
-                      className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
-                    >
-                      Generate Payroll
-                    </button>
+                  <div className="flex flex-wrap gap-2">
+                    {canManage && (!payRun || payRun.status === PAY_RUN_STATUSES.DRAFT) && (
+                      <button
+                        onClick={handleCalculate}
+                        disabled={isSaving}
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50"
+                      >
+                        {payRun ? 'Recalculate' : 'Create Pay Run'}
+                      </button>
+                    )}
+                    {canManage && payRun?.status === PAY_RUN_STATUSES.DRAFT && payslips.length > 0 && (
+                      <button
+                        onClick={handleReview}
+                        disabled={isSaving}
+                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                      >
+                        Mark Reviewed
+                      </button>
+                    )}
+                    {canApprove && payRun?.status === PAY_RUN_STATUSES.REVIEWED && (
+                      <>
+                        <button
+                          onClick={handleSendBack}
+                          disabled={isSaving}
+                          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                        >
+                          Send Back
+                        </button>
+                        <button
+                          onClick={handleApprove}
+                          disabled={isSaving}
+                          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                      </>
+                    )}
+                    {canApprove && PayRuns.isLocked(payRun?.status) && (
+                      <button
+                        onClick={() => setShowBankFile(true)}
+                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Bank File
+                      </button>
+                    )}
+                    {canApprove && payRun?.status === PAY_RUN_STATUSES.APPROVED && (
+                      <button
+                        onClick={handleMarkPaid}
+                        disabled={isSaving}
+                        className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50"
+                      >
+                        Mark Paid
+                      </button>
+                    )}
                   </div>
                 </div>
-
-                {/* Quick Period Selectors */}
-                <div className="flex space-x-2">
-                  <button
-                    onClick={() => {
-                      const currentPeriod = getCurrentPayPeriod()
-                      setPayPeriodStart(currentPeriod.start)
-                      setPayPeriodEnd(currentPeriod.end)
-                    }}
-                    className="px-3 py-1 bg-blue-100 text-blue-700 rounded text-sm font-medium hover:bg-blue-200 transition-colors"
-                  >
-                    Current Period
-                  </button>
-                  <button
-                    onClick={() => {
-                      const currentPeriod = getCurrentPayPeriod()
-                      const prevStart = new Date(currentPeriod.start)
-                      prevStart.setDate(prevStart.getDate() - 14)
-                      const prevEnd = new Date(currentPeriod.end)
-                      prevEnd.setDate(prevEnd.getDate() - 14)
-                      setPayPeriodStart(prevStart.toISOString().split('T')[0])
-                      setPayPeriodEnd(prevEnd.toISOString().split('T')[0])
-                    }}
-                    className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm font-medium hover:bg-gray-200 transition-colors"
-                  >
-                    Previous Period
-                  </button>
-                </div>
               </div>
 
-              {/* Generated Payroll Results */}
-              {generatedPayroll && (
+              {/* Payslips */}
+              {payRun ? (
                 <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
                   <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
                     <h3 className="text-lg font-semibold text-gray-900">
-                      Payroll Results: {payPeriodStart} to {payPeriodEnd}
+                      Payslips: {PayRuns.getPeriodLabel(selectedPeriod)}
                     </h3>
                   </div>
 
@@ -250,36 +275,55 @@ function PayrollManagement() {
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Gross Pay
                           </th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Deductions
+                          </th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Net Pay
                           </th>
+                          <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Payslip
+                          </th>
                         </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
-                        {Array.isArray(generatedPayroll) ? (
-                          generatedPayroll.map((payroll) => (
-                            <PayrollRow key={payroll.employeeId} payroll={payroll} />
-                          ))
-                        ) : (
-                          <PayrollRow payroll={generatedPayroll} />
-                        )}
+                        {payslips.map((payslip) => (
+                          <PayrollRow key={payslip.id} payroll={payslip} onDownload={handleDownloadPayslip} />
+                        ))}
                       </tbody>
                     </table>
                   </div>
 
+                  {/* Commission Earnings */}
+                  <CommissionEarnings payrolls={payslips} />
+
+                  {/* Statutory Deductions */}
+                  <StatutoryBreakdown payrolls={payslips} />
+
                   {/* Summary */}
-                  {Array.isArray(generatedPayroll) && (
-                    <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
-                      <div className="flex justify-between items-center">
-                        <div className="text-sm text-gray-600">
-                          Total employees: {generatedPayroll.length}
-                        </div>
+                  <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
+                    <div className="flex justify-between items-center">
+                      <div className="text-sm text-gray-600">
+                        Total employees: {summary.employeeCount}
+                      </div>
+                      <div className="text-right">
                         <div className="text-lg font-semibold text-gray-900">
-                          Total Gross Pay: ${generatedPayroll.reduce((sum, p) => sum + p.grossPay, 0).toFixed(2)}
+                          Total Gross Pay: ${summary.grossPay.toFixed(2)}
+                        </div>
+                        <div className="text-sm text-gray-600">
+                          Net Pay: ${summary.netPay.toFixed(2)}
+                          {' · '}Employer Contributions: ${summary.employerContributions.toFixed(2)}
                         </div>
                       </div>
                     </div>
-                  )}
+                  </div>
+                </div>
+              ) : (
+                <div className="bg-gray-50 rounded-lg p-8 text-center">
+                  <h3 className="text-sm font-medium text-gray-900">No pay run for {PayRuns.getPeriodLabel(selectedPeriod)}</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Create the pay run to calculate a payslip for each active employee.
+                  </p>
                 </div>
               )}
             </div>
@@ -292,18 +336,71 @@ function PayrollManagement() {
                 <h3 className="text-lg font-semibold text-gray-900">Payroll History</h3>
               </div>
 
-              <div className="bg-gray-50 rounded-lg p-8 text-center">
-                <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                <h3 className="mt-2 text-sm font-medium text-gray-900">No payroll history</h3>
-                <p className="mt-1 text-sm text-gray-500">
-                  Payroll records will appear here once you start generating payroll.
-                </p>
-              </div>
+              {payRuns.length === 0 ? (
+                <div className="bg-gray-50 rounded-lg p-8 text-center">
+                  <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">No payroll history</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Pay runs will appear here once you start running payroll.
+                  </p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employees</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gross Pay</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Net Pay</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employer Contributions</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {payRuns.map((run) => (
+                        <tr key={run.id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{PayRuns.getPeriodLabel(run.period)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[run.status]}`}>
+                              {PAY_RUN_STATUS_LABELS[run.status]}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{run.summary?.employeeCount || 0}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${(run.summary?.grossPay || 0).toFixed(2)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${(run.summary?.netPay || 0).toFixed(2)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${(run.summary?.employerContributions || 0).toFixed(2)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <button onClick={() => openPayRun(run.period)} className="text-blue-600 hover:text-blue-900">
+                              Open
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           )}
 
+          {showBankFile && payRun && (
+            <BankPaymentFileModal
+              title={`Net pay for ${PayRuns.getPeriodLabel(payRun.period)}, commission included`}
+              items={payslips.map(payslip => ({
+                employeeId: payslip.employeeId,
+                name: payslip.employeeName,
+                amount: payslip.netPay,
+                reference: `SALARY ${payRun.period}`
+              }))}
+              reference={`PAY-${payRun.period}`}
+              onClose={() => setShowBankFile(false)}
+            />
+          )}
+
           {/* Rates & Settings Tab */}
           {activeTab === 'rates' && (
             <div className="space-y-6">
@@ -326,7 +423,7 @@ function PayrollManagement() {
                         Annual Salary
                       </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Commission Eligible
+                        Commission Mechanic
                       </th>
                       <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Actions
@@ -361,12 +458,13 @@ function PayrollManagement() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                            employee.role === EMPLOYEE_ROLES.MECHANIC || employee.role === EMPLOYEE_ROLES.SERVICE_ADVISOR
+                            employee.mechanicId
                               ? 'bg-green-100 text-green-800'
                               : 'bg-gray-100 text-gray-800'
                           }`}>
-                            {employee.role === EMPLOYEE_ROLES.MECHANIC || employee.role === EMPLOYEE_ROLES.SERVICE_ADVISOR
-                              ? 'Yes' : 'No'
+                            {employee.mechanicId
+                              ? getLinkedMechanic(employee)?.name || 'Unknown mechanic'
+                              : 'Not linked'
                             }
                           </span>
                         </td>
@@ -389,22 +487,22 @@ function PayrollManagement() {
 }
 
 // PayrollRow Component
-function PayrollRow({ payroll }) {
+function PayrollRow({ payroll, onDownload }) {
   return (
     <tr>
       <td className="px-6 py-4 whitespace-nowrap">
         <div className="flex items-center">
           <div className="w-8 h-8 bg-gray-100 rounded-full flex items-center justify-center">
             <span className="text-sm font-medium text-gray-600">
-              {payroll.employee?.firstName?.[0]}{payroll.employee?.lastName?.[0]}
+              {payroll.employeeName?.split(' ').map(name => name[0]).slice(0, 2).join('')}
             </span>
           </div>
           <div className="ml-3">
             <div className="text-sm font-medium text-gray-900">
-              {payroll.employee?.firstName} {payroll.employee?.lastName}
+              {payroll.employeeName}
             </div>
             <div className="text-sm text-gray-500 capitalize">
-              {payroll.employee?.role?.replace('_', ' ')}
+              {payroll.role?.replace('_', ' ')}
             </div>
           </div>
         </div>
@@ -425,15 +523,122 @@ function PayrollRow({ payroll }) {
       </td>
       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
         ${payroll.commission?.toFixed(2)}
+        {payroll.commissionLines?.length > 0 && (
+          <div className="text-xs text-gray-500">
+            ({payroll.commissionLines.length} statement{payroll.commissionLines.length === 1 ? '' : 's'})
+          </div>
+        )}
       </td>
       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
         ${payroll.grossPay?.toFixed(2)}
       </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-red-600">
+        -${payroll.deductions?.employeeTotal.toFixed(2)}
+      </td>
       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-green-600">
         ${payroll.netPay?.toFixed(2)}
       </td>
+      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+        <button onClick={() => onDownload(payroll)} className="text-blue-600 hover:text-blue-900">
+          PDF
+        </button>
+      </td>
     </tr>
   )
 }
 
+// CommissionEarnings Component - commission as its own earnings line, per approved statement
+function CommissionEarnings({ payrolls }) {
+  const earners = payrolls.filter(payroll => payroll.commissionLines?.length > 0)
+  if (earners.length === 0) return null
+
+  return (
+    <div className="px-6 py-4 border-t border-gray-200">
+      <h4 className="text-sm font-semibold text-gray-900 mb-3">Commission Earnings</h4>
+      <div className="space-y-4">
+        {earners.map(payroll => (
+          <div key={payroll.employeeId}>
+            <div className="flex justify-between text-sm font-medium text-gray-900">
+              <span>{payroll.employeeName}</span>
+              <span>${payroll.commission.toFixed(2)}</span>
+            </div>
+            <table className="w-full text-xs text-gray-600 mt-1">
+              <tbody>
+                {payroll.commissionLines.map(line => (
+                  <tr key={line.statementId}>
+                    <td className="py-1 pr-4">{CommissionStatements.getPeriodLabel(line.period)} statement</td>
+                    <td className="py-1 pr-4">{line.invoiceCount} invoice{line.invoiceCount === 1 ? '' : 's'}</td>
+                    <td className="py-1 pr-4">{line.adjustmentTotal !== 0 ? `Adjustments $${line.adjustmentTotal.toFixed(2)}` : ''}</td>
+                    <td className="py-1 text-right">${line.amount.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// StatutoryBreakdown Component - employee and employer EPF, SOCSO, EIS and PCB per employee
+function StatutoryBreakdown({ payrolls }) {
+  const rows = payrolls.filter(payroll => payroll.deductions)
+  if (rows.length === 0) return null
+
+  const pair = (employee, employer) => (
+    <>
+      ${employee.toFixed(2)}
+      <div className="text-gray-400">Employer ${employer.toFixed(2)}</div>
+    </>
+  )
+
+  return (
+    <div className="px-6 py-4 border-t border-gray-200">
+      <h4 className="text-sm font-semibold text-gray-900 mb-3">Statutory Deductions</h4>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs text-gray-600">
+          <thead>
+            <tr className="text-left text-gray-500 uppercase">
+              <th className="py-2 pr-4">Employee</th>
+              <th className="py-2 pr-4">EPF</th>
+              <th className="py-2 pr-4">SOCSO</th>
+              <th className="py-2 pr-4">EIS</th>
+              <th className="py-2 pr-4">PCB</th>
+              <th className="py-2 pr-4">Employee Total</th>
+              <th className="py-2">Employer Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map(({ employeeId, employeeName, deductions }) => (
+              <tr key={employeeId} className="align-top">
+                <td className="py-2 pr-4">
+                  <div className="font-medium text-gray-900">{employeeName}</div>
+                  <div className="text-gray-400">
+                    Rates {deductions.rateVersion}{deductions.age !== null ? ` · age ${deductions.age}` : ' · no date of birth'}
+                  </div>
+                </td>
+                <td className="py-2 pr-4">
+                  {pair(deductions.epf.employee, deductions.epf.employer)}
+                  <div className="text-gray-400">{deductions.epf.employeeRate}% / {deductions.epf.employerRate}%</div>
+                </td>
+                <td className="py-2 pr-4">
+                  {pair(deductions.socso.employee, deductions.socso.employer)}
+                  <div className="text-gray-400">
+                    {deductions.socso.category === SOCSO_CATEGORIES.FIRST ? 'Injury & invalidity' : 'Injury only'}
+                  </div>
+                </td>
+                <td className="py-2 pr-4">{pair(deductions.eis.employee, deductions.eis.employer)}</td>
+                <td className="py-2 pr-4">${deductions.pcb.amount.toFixed(2)}</td>
+                <td className="py-2 pr-4 font-medium text-gray-900">${deductions.employeeTotal.toFixed(2)}</td>
+                <td className="py-2 font-medium text-gray-900">${deductions.employerTotal.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
 export default PayrollManagement
\ No newline at end of file
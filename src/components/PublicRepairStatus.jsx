@@ -0,0 +1,195 @@
+/**
+ * Public Repair Status
+ * Customer-facing, read-only view of one job opened from a shared tracking link.
+ * Reads only repair_tracking/{token} - no staff login and no other customer data.
+ */
+
+import { useState, useEffect } from 'react'
+import { doc, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import { STATUS_LABELS, STATUS_COLORS } from '../context/RepairOrderContext'
+import { STATUS_SEQUENCE } from '../utils/JobCards'
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+function PublicRepairStatus({ token }) {
+  const [tracking, setTracking] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Live updates so the page moves as the workshop updates the job
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, 'repair_tracking', token), (snapshot) => {
+      setTracking(snapshot.exists() ? snapshot.data() : null)
+      setIsLoading(false)
+    }, (listenerError) => {
+      console.error('❌ Error loading repair status:', listenerError)
+      setError('This tracking link is not available.')
+      setIsLoading(false)
+    })
+
+    return () => unsubscribe()
+  }, [token])
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ms-MY', {
+      style: 'currency',
+      currency: 'MYR'
+    }).format(amount || 0)
+  }
+
+  // When each stage was reached (the latest time, if the job went back and forth)
+  const reachedAt = {}
+  ;(tracking?.statusHistory || []).forEach(entry => {
+    reachedAt[entry.status] = entry.changedAt
+  })
+
+  const currentIndex = tracking ? STATUS_SEQUENCE.indexOf(tracking.repairStatus) : -1
+  const quotation = tracking?.quotation
+
+  return (
+    <div className="min-h-screen bg-primary-white">
+      <header className="bg-primary-black text-primary-white py-4 sm:py-6 px-4 shadow-subtle">
+        <div className="container mx-auto max-w-2xl">
+          <h1 className="text-lg sm:text-2xl font-bold tracking-tight">One X Transmission</h1>
+          <p className="text-black-75 mt-1 text-sm">Repair Status</p>
+        </div>
+      </header>
+
+      <main className="container mx-auto max-w-2xl px-4 py-6 space-y-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="loading-spinner"></div>
+            <span className="ml-3 text-black-75">Loading...</span>
+          </div>
+        ) : error || !tracking ? (
+          <div className="bg-primary-white rounded-lg border border-black-10 p-8 text-center">
+            <h2 className="text-lg font-semibold text-primary-black mb-2">Link Not Found</h2>
+            <p className="text-black-75">
+              {error || 'This tracking link is not valid. Please contact the workshop for an updated link.'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="bg-primary-white rounded-lg border border-black-10 p-6">
+              {tracking.customerFirstName && (
+                <p className="text-black-75 mb-2">Hi {tracking.customerFirstName},</p>
+              )}
+              <p className="text-xs font-mono text-primary-red">{tracking.jobNumber}</p>
+              <h2 className="text-xl font-semibold text-primary-black">
+                {tracking.vehicle?.make} {tracking.vehicle?.model} {tracking.vehicle?.year}
+              </h2>
+              {tracking.vehicle?.licensePlate && (
+                <p className="text-sm text-black-50">License Plate: {tracking.vehicle.licensePlate}</p>
+              )}
+
+              <div className="mt-6 text-center">
+                <span className={`inline-flex px-3 py-2 text-sm font-semibold rounded-full ${STATUS_COLORS[tracking.repairStatus]}`}>
+                  {STATUS_LABELS[tracking.repairStatus] || 'Unknown Status'}
+                </span>
+                <div className="mt-3">
+                  <div className="w-full bg-black-10 rounded-full h-3">
+                    <div
+                      className="bg-primary-red h-3 rounded-full transition-all duration-300"
+                      style={{ width: `${tracking.progress}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-xs text-black-50 mt-1">{Math.round(tracking.progress)}% Complete</p>
+                </div>
+              </div>
+
+              <div className="mt-6 grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-black-50">Checked In</p>
+                  <p className="font-medium text-primary-black">
+                    {tracking.checkedInAt ? toDate(tracking.checkedInAt).toLocaleDateString() : 'N/A'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-black-50">Estimated Completion</p>
+                  <p className="font-medium text-primary-black">
+                    {tracking.estimatedCompletion
+                      ? toDate(tracking.estimatedCompletion).toLocaleDateString()
+                      : 'To be confirmed'}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Stages */}
+            <div className="bg-primary-white rounded-lg border border-black-10 p-6">
+              <h3 className="font-semibold text-primary-black mb-4">Progress</h3>
+              <ol className="space-y-3">
+                {STATUS_SEQUENCE.map((status, index) => {
+                  const isDone = index <= currentIndex
+                  return (
+                    <li key={status} className="flex items-start gap-3">
+                      <span className={`mt-1 w-3 h-3 rounded-full flex-shrink-0 ${isDone ? 'bg-primary-red' : 'bg-black-10'}`}></span>
+                      <div>
+                        <p className={isDone ? 'font-medium text-primary-black' : 'text-black-50'}>
+                          {STATUS_LABELS[status]}
+                        </p>
+                        {isDone && reachedAt[status] && (
+                          <p className="text-xs text-black-50">{toDate(reachedAt[status]).toLocaleString()}</p>
+                        )}
+                      </div>
+                    </li>
+                  )
+                })}
+              </ol>
+            </div>
+
+            {/* Approved quotation */}
+            {quotation && (
+              <div className="bg-primary-white rounded-lg border border-black-10 p-6">
+                <h3 className="font-semibold text-primary-black">Approved Quotation</h3>
+                <p className="text-sm text-black-50 mb-4">{quotation.quotationNumber}</p>
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-black-10">
+                    {quotation.lines.map((line, index) => (
+                      <tr key={index}>
+                        <td className="py-2 text-primary-black">
+                          {line.description}
+                          {line.quantity > 1 && <span className="text-black-50"> x {line.quantity}</span>}
+                        </td>
+                        <td className="py-2 text-right text-black-75">{formatCurrency(line.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-4 pt-3 border-t border-black-10 space-y-1 text-sm">
+                  <div className="flex justify-between">
+                    <span>Subtotal</span>
+                    <span>{formatCurrency(quotation.subtotal)}</span>
+                  </div>
+                  {quotation.discountAmount > 0 && (
+                    <div className="flex justify-between">
+                      <span>Discount</span>
+                      <span>-{formatCurrency(quotation.discountAmount)}</span>
+                    </div>
+                  )}
+                  {quotation.taxTotal > 0 && (
+                    <div className="flex justify-between">
+                      <span>Tax</span>
+                      <span>{formatCurrency(quotation.taxTotal)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between font-semibold">
+                    <span>Total</span>
+                    <span>{formatCurrency(quotation.total)}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <p className="text-xs text-center text-black-50">
+              This page updates automatically. Please call the workshop if you have any questions.
+            </p>
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default PublicRepairStatus
@@ -0,0 +1,363 @@
+/**
+ * Purchase Order Detail Modal
+ * Order lines, goods receiving (partial deliveries) and supplier invoice matching
+ */
+
+import { useState } from 'react'
+import { usePurchasing } from '../context/PurchasingContext'
+import Purchasing, { PO_STATUSES, PO_STATUS_LABELS, SUPPLIER_INVOICE_STATUSES } from '../utils/Purchasing'
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+const emptyInvoice = { invoiceNumber: '', invoiceDate: '', dueDate: '', amount: '' }
+
+function PurchaseOrderDetailModal({ purchaseOrderId, onEdit, onClose, formatCurrency }) {
+  const {
+    purchaseOrders,
+    markOrdered,
+    cancelPurchaseOrder,
+    receiveGoods,
+    postReceiptStock,
+    recordSupplierInvoice,
+    getPurchaseOrderReceipts,
+    getPurchaseOrderInvoices
+  } = usePurchasing()
+  const [receiving, setReceiving] = useState({})
+  const [deliveryReference, setDeliveryReference] = useState('')
+  const [invoiceForm, setInvoiceForm] = useState(emptyInvoice)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const po = purchaseOrders.find(order => order.id === purchaseOrderId)
+  if (!po) return null
+
+  const receipts = getPurchaseOrderReceipts(po.id)
+  const invoices = getPurchaseOrderInvoices(po.id)
+  const canReceive = Purchasing.canReceive(po)
+  const invoiceMatch = Purchasing.matchSupplierInvoice(po, invoiceForm.amount)
+
+  const formatDate = (date) => (date ? toDate(date).toLocaleDateString() : 'N/A')
+
+  const runAction = async (action, errorLabel) => {
+    setIsSaving(true)
+    try {
+      await action()
+    } catch (error) {
+      alert(`${errorLabel}:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const updateReceiving = (lineIndex, field, value) => {
+    setReceiving({ ...receiving, [lineIndex]: { ...receiving[lineIndex], [field]: value } })
+  }
+
+  // Fill every line with what is still outstanding - a complete delivery
+  const receiveAll = () => {
+    setReceiving(Object.fromEntries(po.lines.map((line, index) => [
+      index,
+      { ...receiving[index], quantity: Purchasing.getOutstandingQuantity(line) }
+    ])))
+  }
+
+  const handleReceive = () => runAction(async () => {
+    const lines = Object.entries(receiving).map(([lineIndex, entry]) => ({
+      lineIndex: Number(lineIndex),
+      quantity: entry.quantity,
+      unitCost: entry.unitCost
+    }))
+    const receipt = await receiveGoods(po.id, { lines, deliveryReference })
+    setReceiving({})
+    setDeliveryReference('')
+    alert(`${receipt.receiptNumber} recorded - stock updated for ${receipt.lines.length} part(s)`)
+  }, 'Error receiving goods')
+
+  const handleRecordInvoice = () => runAction(async () => {
+    if (invoiceMatch.status === SUPPLIER_INVOICE_STATUSES.VARIANCE &&
+        !window.confirm(`This invoice is ${formatCurrency(Math.abs(invoiceMatch.variance))} ${invoiceMatch.variance > 0 ? 'more' : 'less'} than the goods received and not yet invoiced (${formatCurrency(invoiceMatch.uninvoicedValue)}).\n\nRecord it anyway?`)) {
+      return
+    }
+    await recordSupplierInvoice(po.id, invoiceForm)
+    setInvoiceForm(emptyInvoice)
+  }, 'Error recording supplier invoice')
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">{po.poNumber}</h2>
+              <p className="text-sm text-black-50">
+                {po.supplierName} - {PO_STATUS_LABELS[po.status] || po.status}
+                {po.expectedDate && ` - expected ${formatDate(po.expectedDate)}`}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Order lines, with receiving inputs while goods are outstanding */}
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-medium text-primary-black">Lines</h3>
+              {canReceive && (
+                <button
+                  onClick={receiveAll}
+                  className="text-sm text-primary-red hover:text-red-dark font-medium"
+                >
+                  Receive Everything Outstanding
+                </button>
+              )}
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-black-75 border-b border-black-10">
+                  <th className="py-2">Part</th>
+                  <th className="py-2 text-right">Ordered</th>
+                  <th className="py-2 text-right">Received</th>
+                  <th className="py-2 text-right">Unit Cost</th>
+                  {canReceive && <th className="py-2 pl-4">Receive Now</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {po.lines.map((line, index) => {
+                  const outstanding = Purchasing.getOutstandingQuantity(line)
+                  return (
+                    <tr key={index} className="border-b border-black-10">
+                      <td className="py-2">
+                        <span className="font-medium">{line.partName}</span>
+                        <span className="block text-xs text-black-50">{line.sku}</span>
+                      </td>
+                      <td className="py-2 text-right">{line.quantity}</td>
+                      <td className={`py-2 text-right ${outstanding === 0 ? 'text-green-600' : ''}`}>
+                        {line.receivedQuantity || 0}
+                      </td>
+                      <td className="py-2 text-right">{formatCurrency(line.unitCost)}</td>
+                      {canReceive && (
+                        <td className="py-2 pl-4">
+                          {outstanding > 0 ? (
+                            <div className="flex gap-2">
+                              <input
+                                type="number"
+                                value={receiving[index]?.quantity ?? ''}
+                                onChange={(e) => updateReceiving(index, 'quantity', e.target.value)}
+                                className="w-20 px-2 py-1 border rounded"
+                                placeholder={`≤ ${outstanding}`}
+                                min="0"
+                                max={outstanding}
+                              />
+                              <input
+                                type="number"
+                                value={receiving[index]?.unitCost ?? ''}
+                                onChange={(e) => updateReceiving(index, 'unitCost', e.target.value)}
+                                className="w-24 px-2 py-1 border rounded"
+                                placeholder={String(line.unitCost)}
+                                min="0"
+                                step="0.01"
+                                title="Actual unit cost on this delivery - leave empty for the PO cost"
+                              />
+                            </div>
+                          ) : (
+                            <span className="text-green-600">Complete</span>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+            <div className="flex justify-end gap-6 text-sm mt-2">
+              <span>Ordered: <span className="font-medium">{formatCurrency(po.total)}</span></span>
+              <span>Received: <span className="font-medium">{formatCurrency(po.receivedValue)}</span></span>
+              <span>Invoiced: <span className="font-medium">{formatCurrency(po.invoicedAmount)}</span></span>
+            </div>
+
+            {canReceive && (
+              <div className="flex gap-2 mt-3">
+                <input
+                  type="text"
+                  value={deliveryReference}
+                  onChange={(e) => setDeliveryReference(e.target.value)}
+                  className="flex-1 px-3 py-2 border rounded text-sm"
+                  placeholder="Delivery order / DO number"
+                />
+                <button
+                  onClick={handleReceive}
+                  disabled={isSaving || Object.keys(receiving).length === 0}
+                  className="btn-primary px-4 py-2 rounded text-sm disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : 'Record Goods Receipt'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Goods receipts */}
+          <div>
+            <h3 className="font-medium text-primary-black mb-2">Goods Receipts</h3>
+            {receipts.length === 0 ? (
+              <p className="text-sm text-black-50">Nothing received yet</p>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {receipts.map(receipt => (
+                  <li key={receipt.id} className="border-b border-black-10 pb-2">
+                    <div className="flex justify-between">
+                      <span>
+                        <span className="font-medium">{receipt.receiptNumber}</span>
+                        <span className="text-black-50"> - {formatDate(receipt.dateReceived)}{receipt.deliveryReference && ` - DO ${receipt.deliveryReference}`} - {receipt.receivedBy}</span>
+                      </span>
+                      <span className="flex items-center gap-3">
+                        {formatCurrency(receipt.total)}
+                        {!receipt.stockPosted && (
+                          <button
+                            onClick={() => runAction(() => postReceiptStock(receipt), 'Error posting stock')}
+                            disabled={isSaving}
+                            className="text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+                          >
+                            Post Stock
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    <p className="text-xs text-black-50">
+                      {receipt.lines.map(line => `${line.partName} × ${line.quantity} @ ${formatCurrency(line.unitCost)}`).join(', ')}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Supplier invoices */}
+          <div>
+            <h3 className="font-medium text-primary-black mb-2">Supplier Invoices</h3>
+            {invoices.length > 0 && (
+              <ul className="space-y-1 text-sm mb-3">
+                {invoices.map(invoice => (
+                  <li key={invoice.id} className="flex justify-between border-b border-black-10 py-1">
+                    <span>
+                      <span className="font-medium">{invoice.invoiceNumber}</span>
+                      <span className="text-black-50"> - {formatDate(invoice.invoiceDate)}{invoice.dueDate && `, due ${formatDate(invoice.dueDate)}`}</span>
+                    </span>
+                    <span className="flex items-center gap-3">
+                      {formatCurrency(invoice.amount)}
+                      <span className={`px-2 py-0.5 rounded text-xs ${
+                        invoice.matchStatus === SUPPLIER_INVOICE_STATUSES.MATCHED ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {invoice.matchStatus === SUPPLIER_INVOICE_STATUSES.MATCHED ? 'Matched' : `Variance ${formatCurrency(invoice.variance)}`}
+                      </span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {po.status !== PO_STATUSES.DRAFT && po.status !== PO_STATUSES.CANCELLED && (
+              <div className="bg-black-5 rounded-lg p-3">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  <input
+                    type="text"
+                    value={invoiceForm.invoiceNumber}
+                    onChange={(e) => setInvoiceForm({ ...invoiceForm, invoiceNumber: e.target.value })}
+                    className="px-2 py-1 border rounded text-sm"
+                    placeholder="Supplier invoice no."
+                  />
+                  <input
+                    type="date"
+                    value={invoiceForm.invoiceDate}
+                    onChange={(e) => setInvoiceForm({ ...invoiceForm, invoiceDate: e.target.value })}
+                    className="px-2 py-1 border rounded text-sm"
+                    title="Invoice date"
+                  />
+                  <input
+                    type="date"
+                    value={invoiceForm.dueDate}
+                    onChange={(e) => setInvoiceForm({ ...invoiceForm, dueDate: e.target.value })}
+                    className="px-2 py-1 border rounded text-sm"
+                    title="Due date"
+                  />
+                  <input
+                    type="number"
+                    value={invoiceForm.amount}
+                    onChange={(e) => setInvoiceForm({ ...invoiceForm, amount: e.target.value })}
+                    className="px-2 py-1 border rounded text-sm"
+                    placeholder="Amount"
+                    min="0"
+                    step="0.01"
+                  />
+                </div>
+                <div className="flex justify-between items-center mt-2 text-sm">
+                  <span className="text-black-75">
+                    Received, not yet invoiced: {formatCurrency(invoiceMatch.uninvoicedValue)}
+                    {invoiceForm.amount !== '' && invoiceMatch.status === SUPPLIER_INVOICE_STATUSES.VARIANCE && (
+                      <span className="text-yellow-700"> - variance {formatCurrency(invoiceMatch.variance)}</span>
+                    )}
+                  </span>
+                  <button
+                    onClick={handleRecordInvoice}
+                    disabled={isSaving}
+                    className="px-4 py-1 border border-black-20 rounded hover:bg-white disabled:opacity-50"
+                  >
+                    Record Invoice
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-between pt-4 border-t border-black-10">
+            <div className="flex gap-3">
+              {po.status === PO_STATUSES.DRAFT && (
+                <>
+                  <button
+                    onClick={() => onEdit(po)}
+                    className="px-4 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => runAction(() => markOrdered(po.id), 'Error updating purchase order')}
+                    disabled={isSaving}
+                    className="btn-primary px-4 py-2 rounded-lg disabled:opacity-50"
+                  >
+                    Mark Ordered
+                  </button>
+                </>
+              )}
+              {[PO_STATUSES.DRAFT, PO_STATUSES.ORDERED].includes(po.status) && !(po.receivedValue > 0) && (
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Cancel ${po.poNumber}?`)) {
+                      runAction(() => cancelPurchaseOrder(po.id), 'Error cancelling purchase order')
+                    }
+                  }}
+                  disabled={isSaving}
+                  className="px-4 py-2 text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Cancel Order
+                </button>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrderDetailModal
@@ -0,0 +1,279 @@
+/**
+ * Purchase Order Modal
+ * Create a purchase order for inventory parts, or edit a draft
+ */
+
+import { useState } from 'react'
+import { usePartsContext } from '../context/PartsContext'
+import { usePurchasing } from '../context/PurchasingContext'
+import Purchasing, { PO_STATUSES } from '../utils/Purchasing'
+
+const toDateInputValue = (value) => {
+  if (!value) return ''
+  const date = value.toDate ? value.toDate() : new Date(value)
+  return date.toISOString().slice(0, 10)
+}
+
+function PurchaseOrderModal({ purchaseOrder = null, onClose, formatCurrency }) {
+  const { parts } = usePartsContext()
+  const { suppliers, createPurchaseOrder, updatePurchaseOrder } = usePurchasing()
+  const [supplierId, setSupplierId] = useState(purchaseOrder?.supplierId || '')
+  const [lines, setLines] = useState(purchaseOrder?.lines || [])
+  const [expectedDate, setExpectedDate] = useState(toDateInputValue(purchaseOrder?.expectedDate))
+  const [notes, setNotes] = useState(purchaseOrder?.notes || '')
+  const [partSearch, setPartSearch] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const isEditing = !!purchaseOrder
+  const supplier = suppliers.find(s => s.id === supplierId)
+
+  // Parts from the chosen supplier first - part.supplier is still free text
+  const matchingParts = partSearch.trim()
+    ? parts
+        .filter(part =>
+          part.kodProduk?.toLowerCase().includes(partSearch.toLowerCase()) ||
+          part.namaProduk?.toLowerCase().includes(partSearch.toLowerCase())
+        )
+        .sort((a, b) => Number(b.supplier === supplier?.name) - Number(a.supplier === supplier?.name))
+        .slice(0, 8)
+    : []
+
+  const addPart = (part) => {
+    if (lines.some(line => line.partId === part.id)) {
+      alert(`${part.namaProduk} is already on this order`)
+      return
+    }
+    setLines([...lines, {
+      partId: part.id,
+      sku: part.kodProduk,
+      partName: part.namaProduk,
+      quantity: 1,
+      unitCost: part.lastCostPrice ?? ''
+    }])
+    setPartSearch('')
+  }
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => i === index ? { ...line, [field]: value } : line))
+  }
+
+  const removeLine = (index) => {
+    setLines(lines.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async (status) => {
+    const poData = {
+      supplierId,
+      supplierName: supplier?.name || '',
+      lines,
+      expectedDate: expectedDate ? new Date(expectedDate) : null,
+      notes,
+      status
+    }
+
+    const errors = Purchasing.validatePurchaseOrder(poData)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      if (isEditing) {
+        await updatePurchaseOrder(purchaseOrder.id, poData)
+      } else {
+        const { poNumber } = await createPurchaseOrder(poData)
+        alert(`Purchase order ${poNumber} created`)
+      }
+      onClose()
+    } catch (error) {
+      alert(`Error saving purchase order:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">
+              {isEditing ? `Edit ${purchaseOrder.poNumber}` : 'New Purchase Order'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Supplier *</label>
+              <select
+                value={supplierId}
+                onChange={(e) => setSupplierId(e.target.value)}
+                className="w-full px-3 py-2 border rounded"
+              >
+                <option value="">Select supplier...</option>
+                {suppliers.map(s => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Expected Delivery</label>
+              <input
+                type="date"
+                value={expectedDate}
+                onChange={(e) => setExpectedDate(e.target.value)}
+                className="w-full px-3 py-2 border rounded"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Add Part</label>
+            <input
+              type="text"
+              value={partSearch}
+              onChange={(e) => setPartSearch(e.target.value)}
+              className="w-full px-3 py-2 border rounded"
+              placeholder="Search by code or name..."
+            />
+            {matchingParts.length > 0 && (
+              <div className="border border-black-10 rounded mt-1 divide-y divide-black-10">
+                {matchingParts.map(part => (
+                  <button
+                    key={part.id}
+                    onClick={() => addPart(part)}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-black-5 flex justify-between"
+                  >
+                    <span>{part.kodProduk} - {part.namaProduk}</span>
+                    <span className="text-black-50">{part.supplier} · {part.unitStock} in stock</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {lines.length === 0 ? (
+            <p className="text-sm text-black-50 text-center py-4">No parts on this order yet</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-black-75 border-b border-black-10">
+                  <th className="py-2">Part</th>
+                  <th className="py-2 w-24">Qty</th>
+                  <th className="py-2 w-32">Unit Cost</th>
+                  <th className="py-2 w-28 text-right">Total</th>
+                  <th className="py-2 w-16"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => (
+                  <tr key={line.partId} className="border-b border-black-10">
+                    <td className="py-2">
+                      <span className="font-medium">{line.partName}</span>
+                      <span className="block text-xs text-black-50">{line.sku}</span>
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                        className="w-20 px-2 py-1 border rounded"
+                        min="1"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        value={line.unitCost}
+                        onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                        className="w-28 px-2 py-1 border rounded"
+                        min="0"
+                        step="0.01"
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      {formatCurrency((Number(line.quantity) || 0) * (Number(line.unitCost) || 0))}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => removeLine(index)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan={3} className="py-2 text-right font-semibold">Order Total:</td>
+                  <td className="py-2 text-right font-semibold">{formatCurrency(Purchasing.calculateTotal(lines))}</td>
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="w-full px-3 py-2 border rounded"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            {isEditing ? (
+              <button
+                onClick={() => handleSave(PO_STATUSES.DRAFT)}
+                disabled={isSaving}
+                className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Changes'}
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => handleSave(PO_STATUSES.ORDERED)}
+                  disabled={isSaving}
+                  className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : 'Create & Mark Ordered'}
+                </button>
+                <button
+                  onClick={() => handleSave(PO_STATUSES.DRAFT)}
+                  disabled={isSaving}
+                  className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5 disabled:opacity-50"
+                >
+                  Save Draft
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrderModal
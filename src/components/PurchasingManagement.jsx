@@ -0,0 +1,319 @@
+/**
+ * Purchasing Management
+ * Suppliers, purchase orders, goods receiving and supplier invoices
+ */
+
+import { useState } from 'react'
+import { usePurchasing } from '../context/PurchasingContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { PO_STATUSES, PO_STATUS_LABELS, SUPPLIER_INVOICE_STATUSES } from '../utils/Purchasing'
+import SupplierModal from './SupplierModal'
+import PurchaseOrderModal from './PurchaseOrderModal'
+import PurchaseOrderDetailModal from './PurchaseOrderDetailModal'
+import ReplenishmentPanel from './ReplenishmentPanel'
+
+const STATUS_COLORS = {
+  [PO_STATUSES.DRAFT]: 'bg-gray-100 text-gray-800',
+  [PO_STATUSES.ORDERED]: 'bg-blue-100 text-blue-800',
+  [PO_STATUSES.PARTIALLY_RECEIVED]: 'bg-yellow-100 text-yellow-800',
+  [PO_STATUSES.RECEIVED]: 'bg-green-100 text-green-800',
+  [PO_STATUSES.CANCELLED]: 'bg-red-100 text-red-800'
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+function PurchasingManagement() {
+  const { suppliers, purchaseOrders, supplierInvoices, purchasingError } = usePurchasing()
+  const { can } = useAuth()
+  const [activeTab, setActiveTab] = useState('orders') // 'orders', 'replenishment', 'suppliers', 'invoices'
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [searchQuery, setSearchQuery] = useState('')
+  const [editingSupplier, setEditingSupplier] = useState(null) // supplier, or {} for a new one
+  const [editingOrder, setEditingOrder] = useState(null) // purchase order, or {} for a new one
+  const [selectedOrderId, setSelectedOrderId] = useState(null)
+
+  const canManage = can(PERMISSIONS.PURCHASING_MANAGE)
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ms-MY', {
+      style: 'currency',
+      currency: 'MYR'
+    }).format(amount || 0)
+  }
+
+  const formatDate = (date) => (date ? toDate(date).toLocaleDateString() : 'N/A')
+
+  const query = searchQuery.trim().toLowerCase()
+  const filteredOrders = purchaseOrders.filter(po => {
+    if (statusFilter === 'open' && [PO_STATUSES.RECEIVED, PO_STATUSES.CANCELLED].includes(po.status)) return false
+    if (statusFilter !== 'open' && statusFilter !== 'all' && po.status !== statusFilter) return false
+    if (!query) return true
+    return po.poNumber?.toLowerCase().includes(query) ||
+      po.supplierName?.toLowerCase().includes(query) ||
+      (po.lines || []).some(line => line.partName?.toLowerCase().includes(query) || line.sku?.toLowerCase().includes(query))
+  })
+
+  const awaitingDelivery = purchaseOrders.filter(po => [PO_STATUSES.ORDERED, PO_STATUSES.PARTIALLY_RECEIVED].includes(po.status))
+  const uninvoicedValue = purchaseOrders.reduce((sum, po) => sum + Math.max(0, (po.receivedValue || 0) - (po.invoicedAmount || 0)), 0)
+  const varianceCount = supplierInvoices.filter(invoice => invoice.matchStatus === SUPPLIER_INVOICE_STATUSES.VARIANCE).length
+
+  return (
+    <div className="touch-spacing">
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="section-title">Purchasing</h2>
+          <p className="text-black-75 text-sm sm:text-base hidden sm:block">
+            Order parts from suppliers and receive them into stock
+          </p>
+        </div>
+        {canManage && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setEditingSupplier({})}
+              className="px-4 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Add Supplier
+            </button>
+            <button
+              onClick={() => setEditingOrder({})}
+              disabled={suppliers.length === 0}
+              className="btn-primary disabled:opacity-50"
+              title={suppliers.length === 0 ? 'Add a supplier first' : ''}
+            >
+              New Purchase Order
+            </button>
+          </div>
+        )}
+      </div>
+
+      {purchasingError && (
+        <div className="px-4 py-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {purchasingError}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4">
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Suppliers</div>
+          <div className="text-xl sm:text-2xl font-bold text-primary-black">{suppliers.length}</div>
+        </div>
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Awaiting Delivery</div>
+          <div className="text-xl sm:text-2xl font-bold text-primary-black">{awaitingDelivery.length}</div>
+        </div>
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Received, Not Invoiced</div>
+          <div className="text-lg sm:text-2xl font-bold text-primary-black">{formatCurrency(uninvoicedValue)}</div>
+        </div>
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Invoice Variances</div>
+          <div className="text-xl sm:text-2xl font-bold text-primary-red">{varianceCount}</div>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        {[
+          { id: 'orders', label: 'Purchase Orders' },
+          { id: 'replenishment', label: 'Replenishment' },
+          { id: 'suppliers', label: 'Suppliers' },
+          { id: 'invoices', label: 'Supplier Invoices' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 rounded text-sm transition-colors duration-200 ${
+              activeTab === tab.id
+                ? 'bg-primary-black text-primary-white'
+                : 'bg-black-10 text-primary-black hover:bg-black-25'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'orders' && (
+        <div className="card p-0 overflow-hidden">
+          <div className="flex flex-col gap-3 sm:flex-row p-4 border-b border-black-10">
+            <input
+              type="text"
+              placeholder="Search PO number, supplier or part..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="input-field flex-1"
+            />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border rounded"
+            >
+              <option value="open">Open</option>
+              <option value="all">All</option>
+              {Object.entries(PO_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {filteredOrders.length === 0 ? (
+            <p className="text-center text-black-50 py-8">No purchase orders</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr className="text-left text-black-75">
+                  <th className="px-4 py-3">PO #</th>
+                  <th className="px-4 py-3">Supplier</th>
+                  <th className="px-4 py-3">Date</th>
+                  <th className="px-4 py-3">Status</th>
+                  <th className="px-4 py-3 text-right">Total</th>
+                  <th className="px-4 py-3 text-right">Received</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {filteredOrders.map(po => (
+                  <tr
+                    key={po.id}
+                    onClick={() => setSelectedOrderId(po.id)}
+                    className="hover:bg-black-5 cursor-pointer"
+                  >
+                    <td className="px-4 py-3 font-medium">{po.poNumber}</td>
+                    <td className="px-4 py-3">{po.supplierName}</td>
+                    <td className="px-4 py-3">{formatDate(po.dateCreated)}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded text-xs ${STATUS_COLORS[po.status] || ''}`}>
+                        {PO_STATUS_LABELS[po.status] || po.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(po.total)}</td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(po.receivedValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'replenishment' && (
+        <ReplenishmentPanel canManage={canManage} formatCurrency={formatCurrency} />
+      )}
+
+      {activeTab === 'suppliers' && (
+        <div className="card p-0 overflow-hidden">
+          {suppliers.length === 0 ? (
+            <p className="text-center text-black-50 py-8">No suppliers yet</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr className="text-left text-black-75">
+                  <th className="px-4 py-3">Name</th>
+                  <th className="px-4 py-3">Contact</th>
+                  <th className="px-4 py-3">Terms</th>
+                  <th className="px-4 py-3 text-right">Open Orders</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {suppliers.map(supplier => (
+                  <tr key={supplier.id}>
+                    <td className="px-4 py-3 font-medium">{supplier.name}</td>
+                    <td className="px-4 py-3">
+                      {supplier.contactPerson}
+                      <span className="block text-xs text-black-50">{[supplier.phone, supplier.email].filter(Boolean).join(' · ')}</span>
+                    </td>
+                    <td className="px-4 py-3">{supplier.paymentTermsDays ? `${supplier.paymentTermsDays} days` : 'Cash'}</td>
+                    <td className="px-4 py-3 text-right">
+                      {awaitingDelivery.filter(po => po.supplierId === supplier.id).length}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {canManage && (
+                        <button
+                          onClick={() => setEditingSupplier(supplier)}
+                          className="text-primary-red hover:text-red-dark font-medium"
+                        >
+                          Edit
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'invoices' && (
+        <div className="card p-0 overflow-hidden">
+          {supplierInvoices.length === 0 ? (
+            <p className="text-center text-black-50 py-8">No supplier invoices recorded</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr className="text-left text-black-75">
+                  <th className="px-4 py-3">Invoice #</th>
+                  <th className="px-4 py-3">Supplier</th>
+                  <th className="px-4 py-3">PO #</th>
+                  <th className="px-4 py-3">Due</th>
+                  <th className="px-4 py-3 text-right">Amount</th>
+                  <th className="px-4 py-3">Match</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {supplierInvoices.map(invoice => (
+                  <tr
+                    key={invoice.id}
+                    onClick={() => setSelectedOrderId(invoice.purchaseOrderId)}
+                    className="hover:bg-black-5 cursor-pointer"
+                  >
+                    <td className="px-4 py-3 font-medium">{invoice.invoiceNumber}</td>
+                    <td className="px-4 py-3">{invoice.supplierName}</td>
+                    <td className="px-4 py-3">{invoice.poNumber}</td>
+                    <td className="px-4 py-3">{formatDate(invoice.dueDate)}</td>
+                    <td className="px-4 py-3 text-right">{formatCurrency(invoice.amount)}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded text-xs ${
+                        invoice.matchStatus === SUPPLIER_INVOICE_STATUSES.MATCHED ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {invoice.matchStatus === SUPPLIER_INVOICE_STATUSES.MATCHED ? 'Matched' : `Variance ${formatCurrency(invoice.variance)}`}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {editingSupplier && (
+        <SupplierModal
+          supplier={editingSupplier.id ? editingSupplier : null}
+          onClose={() => setEditingSupplier(null)}
+        />
+      )}
+
+      {editingOrder && (
+        <PurchaseOrderModal
+          purchaseOrder={editingOrder.id ? editingOrder : null}
+          onClose={() => setEditingOrder(null)}
+          formatCurrency={formatCurrency}
+        />
+      )}
+
+      {selectedOrderId && (
+        <PurchaseOrderDetailModal
+          purchaseOrderId={selectedOrderId}
+          onEdit={(po) => {
+            setSelectedOrderId(null)
+            setEditingOrder(po)
+          }}
+          onClose={() => setSelectedOrderId(null)}
+          formatCurrency={formatCurrency}
+        />
+      )}
+    </div>
+  )
+}
+
+export default PurchasingManagement
@@ -1,9 +1,15 @@
 import React, { useState, useEffect } from 'react'
 import { useCustomer } from '../context/CustomerContext'
-import { createQuotation, updateQuotation } from '../utils/FirebaseDataUtils'
+import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useTaxSettings } from '../hooks/useTaxSettings'
+import { createQuotation, updateQuotation, updateQuotationStatus, convertQuotationToInvoice } from '../utils/FirebaseDataUtils'
 import { collection, query, orderBy, onSnapshot } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 import PDFGenerator from '../utils/PDFGenerator'
+import TaxEngine from '../utils/TaxEngine'
+import TaxCodeSelect from './TaxCodeSelect'
 
 function QuotationCreation({ setActiveSection }) {
   console.log('🔍 QuotationCreation component mounting...')
@@ -25,6 +31,7 @@ function QuotationCreation({ setActiveSection }) {
   const [validityDays, setValidityDays] = useState(30)
   const [discount, setDiscount] = useState(0)
   const [notes, setNotes] = useState('')
+  const [pricesIncludeTax, setPricesIncludeTax] = useState(null) // null = follow tax settings
   const [terms, setTerms] = useState('Quote valid for 30 days. Prices subject to change.')
   
   const [quotationHistory, setQuotationHistory] = useState([])
@@ -32,8 +39,15 @@ function QuotationCreation({ setActiveSection }) {
   const [searchQuery, setSearchQuery] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [isSaving, setIsSaving] = useState(false)
+  const [isConverting, setIsConverting] = useState(false)
 
   const { customers = [] } = useCustomer() || {}
+  const { parts = [] } = usePartsContext()
+  const { can } = useAuth()
+  const { settings: taxSettings } = useTaxSettings()
+
+  // Tax column shows while tax is on, or when editing a quotation that already carries tax
+  const showTaxColumn = taxSettings.enabled || [...manualParts, ...laborCharges].some(row => row.taxCode)
 
   console.log('📊 Context data loaded:', { 
     customersCount: customers?.length
@@ -89,13 +103,18 @@ function QuotationCreation({ setActiveSection }) {
       partName: '',
       quantity: 1,
       pricePerUnit: 0,
-      total: 0
+      total: 0,
+      ...TaxEngine.getDefaultLineTax(taxSettings, 'parts')
     }])
   }
 
   const updateManualPart = (index, field, value) => {
     const updated = [...manualParts]
     updated[index][field] = value
+
+    if (field === 'taxCode') {
+      Object.assign(updated[index], TaxEngine.getLineTax(taxSettings, value))
+    }
     
     // Auto-calculate total
     if (field === 'quantity' || field === 'pricePerUnit') {
@@ -114,13 +133,17 @@ function QuotationCreation({ setActiveSection }) {
     setLaborCharges([...laborCharges, {
       sku: '',
       description: '',
-      amount: 0
+      amount: 0,
+      ...TaxEngine.getDefaultLineTax(taxSettings, 'labor')
     }])
   }
 
   const updateLaborCharge = (index, field, value) => {
     const updated = [...laborCharges]
     updated[index][field] = value
+    if (field === 'taxCode') {
+      Object.assign(updated[index], TaxEngine.getLineTax(taxSettings, value))
+    }
     setLaborCharges(updated)
   }
 
@@ -129,13 +152,13 @@ function QuotationCreation({ setActiveSection }) {
   }
 
   const calculateTotals = () => {
-    const partsTotal = manualParts.reduce((sum, part) => sum + (part.total || 0), 0)
-    const laborTotal = laborCharges.reduce((sum, labor) => sum + (labor.amount || 0), 0)
-    const subtotal = partsTotal + laborTotal
-    const discountAmount = (subtotal * discount) / 100
-    const total = subtotal - discountAmount
-    
-    return { partsTotal, laborTotal, subtotal, discountAmount, total }
+    return TaxEngine.calculateTotals({
+      partsOrdered: manualParts,
+      laborCharges,
+      discount,
+      pricesIncludeTax: pricesIncludeTax ?? taxSettings.pricesIncludeTax,
+      settings: taxSettings
+    })
   }
 
   const handleCreateQuotation = async () => {
@@ -175,6 +198,9 @@ function QuotationCreation({ setActiveSection }) {
         subtotal: totals.subtotal,
         discount,
         discountAmount: totals.discountAmount,
+        taxBreakdown: totals.taxBreakdown,
+        taxTotal: totals.taxTotal,
+        pricesIncludeTax: totals.pricesIncludeTax,
         total: totals.total,
         
         validUntil: validUntilDate,
@@ -220,6 +246,9 @@ function QuotationCreation({ setActiveSection }) {
         subtotal: totals.subtotal,
         discount,
         discountAmount: totals.discountAmount,
+        taxBreakdown: totals.taxBreakdown,
+        taxTotal: totals.taxTotal,
+        pricesIncludeTax: totals.pricesIncludeTax,
         total: totals.total,
         
         validUntil: validUntilDate
@@ -249,9 +278,42 @@ function QuotationCreation({ setActiveSection }) {
     setValidityDays(30)
     setDiscount(0)
     setNotes('')
+    setPricesIncludeTax(null)
     setTerms('Quote valid for 30 days. Prices subject to change.')
   }
 
+  const handleStatusChange = async (quotation, status) => {
+    try {
+      await updateQuotationStatus(quotation.id, status)
+      setSelectedQuotationForView(prev => prev?.id === quotation.id ? { ...prev, status } : prev)
+    } catch (error) {
+      console.error('Error updating quotation status:', error)
+      alert('Error updating quotation status. Please try again.')
+    }
+  }
+
+  const handleConvertToInvoice = async (quotation) => {
+    if (!confirm(`Convert quotation ${quotation.quotationNumber} into a customer invoice?`)) {
+      return
+    }
+
+    setIsConverting(true)
+    try {
+      await convertQuotationToInvoice(quotation.id, parts)
+      setShowViewQuotationModal(false)
+      setSelectedQuotationForView(null)
+      alert('Quotation converted to invoice successfully!')
+      if (setActiveSection) {
+        setActiveSection('customer-invoicing')
+      }
+    } catch (error) {
+      console.error('Error converting quotation:', error)
+      alert(`Error converting quotation: ${error.message}`)
+    } finally {
+      setIsConverting(false)
+    }
+  }
+
   const openViewModal = (quotation) => {
     setSelectedQuotationForView(quotation)
     setShowViewQuotationModal(true)
@@ -267,6 +329,7 @@ function QuotationCreation({ setActiveSection }) {
     setVehicleInfo(quotation.vehicleInfo || { make: '', model: '', year: '', plate: '' })
     setDiscount(quotation.discount || 0)
     setNotes(quotation.notes || '')
+    setPricesIncludeTax(!!quotation.pricesIncludeTax)
     setTerms(quotation.terms || 'Quote valid for 30 days. Prices subject to change.')
     
     // Calculate validity days
@@ -419,6 +482,7 @@ function QuotationCreation({ setActiveSection }) {
                 <option value="accepted">Accepted</option>
                 <option value="rejected">Rejected</option>
                 <option value="expired">Expired</option>
+                <option value="converted">Converted</option>
               </select>
             </div>
           </div>
@@ -475,10 +539,14 @@ function QuotationCreation({ setActiveSection }) {
                             quotation.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                             quotation.status === 'accepted' ? 'bg-green-100 text-green-800' :
                             quotation.status === 'rejected' ? 'bg-red-100 text-red-800' :
+                            quotation.status === 'converted' ? 'bg-blue-100 text-blue-800' :
                             'bg-gray-100 text-gray-800'
                           }`}>
                             {quotation.status?.charAt(0).toUpperCase() + quotation.status?.slice(1)}
                           </span>
+                          {quotation.convertedInvoiceNumber && (
+                            <div className="text-xs text-black-50 mt-1">{quotation.convertedInvoiceNumber}</div>
+                          )}
                         </td>
                         <td className="px-4 py-4 text-sm">
                           <div className="flex items-center space-x-2">
@@ -488,13 +556,17 @@ function QuotationCreation({ setActiveSection }) {
                             >
                               View
                             </button>
-                            <span className="text-black-25">|</span>
-                            <button
-                              onClick={() => openEditModal(quotation)}
-                              className="text-orange-600 hover:text-orange-800 font-medium"
-                            >
-                              Edit
-                            </button>
+                            {quotation.status !== 'converted' && (
+                              <>
+                                <span className="text-black-25">|</span>
+                                <button
+                                  onClick={() => openEditModal(quotation)}
+                                  className="text-orange-600 hover:text-orange-800 font-medium"
+                                >
+                                  Edit
+                                </button>
+                              </>
+                            )}
                             <span className="text-black-25">|</span>
                             <button
                               onClick={() => downloadPDF(quotation)}
@@ -619,6 +691,9 @@ function QuotationCreation({ setActiveSection }) {
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Part Name</th>
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Quantity</th>
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Price per Unit</th>
+                          {showTaxColumn && (
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Tax</th>
+                          )}
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Total</th>
                           <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Action</th>
                         </tr>
@@ -662,6 +737,16 @@ function QuotationCreation({ setActiveSection }) {
                                 step="0.01"
                               />
                             </td>
+                            {showTaxColumn && (
+                              <td className="px-3 py-2">
+                                <TaxCodeSelect
+                                  settings={taxSettings}
+                                  value={part.taxCode}
+                                  rate={part.taxRate}
+                                  onChange={(code) => updateManualPart(index, 'taxCode', code)}
+                                />
+                              </td>
+                            )}
                             <td className="px-3 py-2">{formatCurrency(part.total)}</td>
                             <td className="px-3 py-2">
                               <button
@@ -728,6 +813,18 @@ function QuotationCreation({ setActiveSection }) {
                             placeholder="0.00"
                           />
                         </div>
+                        {showTaxColumn && (
+                          <div className="w-36">
+                            <label className="block text-xs text-gray-600 mb-1">Tax</label>
+                            <TaxCodeSelect
+                              settings={taxSettings}
+                              value={labor.taxCode}
+                              rate={labor.taxRate}
+                              onChange={(code) => updateLaborCharge(index, 'taxCode', code)}
+                              className="w-full px-3 py-2 border rounded"
+                            />
+                          </div>
+                        )}
                         <button
                           onClick={() => removeLaborCharge(index)}
                           className="px-3 py-2 text-red-600 hover:text-red-800"
@@ -809,6 +906,12 @@ function QuotationCreation({ setActiveSection }) {
                       <span>-{formatCurrency(totals.discountAmount)}</span>
                     </div>
                   )}
+                  {totals.taxBreakdown.map(entry => (
+                    <div key={`${entry.code}@${entry.rate}`} className="flex justify-between text-sm">
+                      <span>{entry.label} ({entry.rate}%){totals.pricesIncludeTax ? ' - included' : ''}:</span>
+                      <span className="font-medium">{formatCurrency(entry.taxAmount)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between text-xl font-bold border-t-2 pt-2 mt-2">
                     <span>Total:</span>
                     <span className="text-blue-600">{formatCurrency(totals.total)}</span>
@@ -917,11 +1020,15 @@ function QuotationCreation({ setActiveSection }) {
                       <span className={`ml-2 px-2 py-1 rounded text-xs ${
                         selectedQuotationForView.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                         selectedQuotationForView.status === 'accepted' ? 'bg-green-100 text-green-800' :
+                        selectedQuotationForView.status === 'converted' ? 'bg-blue-100 text-blue-800' :
                         'bg-red-100 text-red-800'
                       }`}>
                         {selectedQuotationForView.status?.charAt(0).toUpperCase() + selectedQuotationForView.status?.slice(1)}
                       </span>
                     </p>
+                    {selectedQuotationForView.convertedInvoiceNumber && (
+                      <p><span className="font-medium">Invoice #:</span> {selectedQuotationForView.convertedInvoiceNumber}</p>
+                    )}
                   </div>
                 </div>
 
@@ -992,6 +1099,12 @@ function QuotationCreation({ setActiveSection }) {
                       <span>-{formatCurrency(selectedQuotationForView.discountAmount)}</span>
                     </div>
                   )}
+                  {(selectedQuotationForView.taxBreakdown || []).map(entry => (
+                    <div key={`${entry.code}@${entry.rate}`} className="flex justify-between">
+                      <span className="text-black-75">{entry.label} ({entry.rate}%){selectedQuotationForView.pricesIncludeTax ? ' - included' : ''}:</span>
+                      <span className="font-medium">{formatCurrency(entry.taxAmount)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between text-lg font-bold border-t pt-2">
                     <span className="text-primary-black">Total:</span>
                     <span className="text-primary-red">{formatCurrency(selectedQuotationForView.total)}</span>
@@ -1017,6 +1130,31 @@ function QuotationCreation({ setActiveSection }) {
                 >
                   Close
                 </button>
+                {selectedQuotationForView.status === 'pending' && (
+                  <>
+                    <button
+                      onClick={() => handleStatusChange(selectedQuotationForView, 'rejected')}
+                      className="px-4 py-2 border border-primary-red text-primary-red rounded-lg hover:bg-red-10"
+                    >
+                      Mark Rejected
+                    </button>
+                    <button
+                      onClick={() => handleStatusChange(selectedQuotationForView, 'accepted')}
+                      className="px-4 py-2 border border-green-600 text-green-600 rounded-lg hover:bg-green-50"
+                    >
+                      Mark Accepted
+                    </button>
+                  </>
+                )}
+                {selectedQuotationForView.status === 'accepted' && can(PERMISSIONS.INVOICE_CREATE) && (
+                  <button
+                    onClick={() => handleConvertToInvoice(selectedQuotationForView)}
+                    disabled={isConverting}
+                    className="px-4 py-2 bg-primary-red text-white rounded-lg hover:bg-red-dark disabled:opacity-50"
+                  >
+                    {isConverting ? 'Converting...' : 'Convert to Invoice'}
+                  </button>
+                )}
                 <button
                   onClick={() => {
                     setShowViewQuotationModal(false)
@@ -1125,7 +1263,7 @@ function QuotationCreation({ setActiveSection }) {
                           className="w-full px-2 py-1 text-sm border rounded"
                         />
                       </div>
-                      <div className="col-span-4">
+                      <div className={showTaxColumn ? 'col-span-2' : 'col-span-4'}>
                         <input
                           type="text"
                           value={part.partName}
@@ -1150,6 +1288,17 @@ function QuotationCreation({ setActiveSection }) {
                           className="w-full px-2 py-1 text-sm border rounded"
                         />
                       </div>
+                      {showTaxColumn && (
+                        <div className="col-span-2">
+                          <TaxCodeSelect
+                            settings={taxSettings}
+                            value={part.taxCode}
+                            rate={part.taxRate}
+                            onChange={(code) => updateManualPart(index, 'taxCode', code)}
+                            className="w-full px-2 py-1 text-sm border rounded"
+                          />
+                        </div>
+                      )}
                       <div className="col-span-1 text-center text-sm font-semibold">
                         {formatCurrency(part.total)}
                       </div>
@@ -1189,7 +1338,7 @@ function QuotationCreation({ setActiveSection }) {
                           className="w-full px-2 py-1 text-sm border rounded"
                         />
                       </div>
-                      <div className="col-span-7">
+                      <div className={showTaxColumn ? 'col-span-5' : 'col-span-7'}>
                         <input
                           type="text"
                           value={labor.description}
@@ -1206,6 +1355,17 @@ function QuotationCreation({ setActiveSection }) {
                           className="w-full px-2 py-1 text-sm border rounded"
                         />
                       </div>
+                      {showTaxColumn && (
+                        <div className="col-span-2">
+                          <TaxCodeSelect
+                            settings={taxSettings}
+                            value={labor.taxCode}
+                            rate={labor.taxRate}
+                            onChange={(code) => updateLaborCharge(index, 'taxCode', code)}
+                            className="w-full px-2 py-1 text-sm border rounded"
+                          />
+                        </div>
+                      )}
                       <div className="col-span-1">
                         <button
                           onClick={() => removeLaborCharge(index)}
@@ -1239,6 +1399,12 @@ function QuotationCreation({ setActiveSection }) {
                       <span className="font-medium">(-{formatCurrency(totals.discountAmount)})</span>
                     </div>
                   </div>
+                  {totals.taxBreakdown.map(entry => (
+                    <div key={`${entry.code}@${entry.rate}`} className="flex justify-between">
+                      <span>{entry.label} ({entry.rate}%){totals.pricesIncludeTax ? ' - included' : ''}:</span>
+                      <span className="font-medium">{formatCurrency(entry.taxAmount)}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between text-lg font-bold border-t pt-2">
                     <span>Total:</span>
                     <span className="text-primary-red">{formatCurrency(totals.total)}</span>
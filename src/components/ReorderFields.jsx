@@ -0,0 +1,55 @@
+/**
+ * Reorder Fields
+ * Reorder point, reorder quantity and preferred supplier inputs for the part forms
+ */
+
+import { usePurchasing } from '../context/PurchasingContext'
+import { DEFAULT_REORDER_POINT } from '../utils/Replenishment'
+
+function ReorderFields({ formData, onChange, labelClassName = 'block text-sm font-medium text-primary-black mb-2' }) {
+  const { suppliers } = usePurchasing()
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+      <div>
+        <label className={labelClassName}>Reorder Point</label>
+        <input
+          type="number"
+          min="0"
+          inputMode="numeric"
+          value={formData.reorderPoint ?? ''}
+          onChange={(e) => onChange('reorderPoint', e.target.value)}
+          className="input-field w-full"
+          placeholder={String(DEFAULT_REORDER_POINT)}
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Reorder Quantity</label>
+        <input
+          type="number"
+          min="0"
+          inputMode="numeric"
+          value={formData.reorderQuantity ?? ''}
+          onChange={(e) => onChange('reorderQuantity', e.target.value)}
+          className="input-field w-full"
+          placeholder="From usage"
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Preferred Supplier</label>
+        <select
+          value={formData.preferredSupplierId || ''}
+          onChange={(e) => onChange('preferredSupplierId', e.target.value)}
+          className="input-field w-full"
+        >
+          <option value="">Match by supplier name</option>
+          {suppliers.map(supplier => (
+            <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  )
+}
+
+export default ReorderFields
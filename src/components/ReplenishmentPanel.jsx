@@ -0,0 +1,166 @@
+/**
+ * Replenishment Panel
+ * Parts at or below their reorder point, grouped by supplier, turned into
+ * draft purchase orders or exported as CSV
+ */
+
+import { useState } from 'react'
+import { usePartsContext } from '../context/PartsContext'
+import { useInvoiceContext } from '../context/InvoiceContext'
+import { useTransaction } from '../context/TransactionContext'
+import { usePurchasing } from '../context/PurchasingContext'
+import Replenishment, { VELOCITY_WINDOW_DAYS } from '../utils/Replenishment'
+import { PO_STATUSES } from '../utils/Purchasing'
+
+function ReplenishmentPanel({ canManage, formatCurrency }) {
+  const { parts } = usePartsContext()
+  const { invoices = [] } = useInvoiceContext()
+  const { customerInvoices = [] } = useTransaction() || {}
+  const { suppliers, purchaseOrders, createPurchaseOrder } = usePurchasing()
+  const [quantities, setQuantities] = useState({}) // partId -> quantity edited by hand
+  const [isSaving, setIsSaving] = useState(false)
+
+  const groups = Replenishment.buildReplenishmentList({
+    parts,
+    sales: Replenishment.buildSalesHistory({ invoices, customerInvoices }),
+    purchaseOrders,
+    suppliers
+  }).map(group => {
+    const lines = group.lines.map(line => ({ ...line, quantity: quantities[line.partId] ?? line.quantity }))
+    return { ...group, lines, total: lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * line.unitCost, 0) }
+  })
+
+  const createDrafts = async (selectedGroups) => {
+    const orderable = selectedGroups.filter(group => group.supplierId)
+    if (orderable.length === 0) {
+      alert('Set a preferred supplier on these parts before ordering')
+      return
+    }
+    if (!window.confirm(`Create ${orderable.length} draft purchase order(s)?\n\nUnit costs come from each part's last goods receipt - check them before marking the orders as sent.`)) return
+
+    setIsSaving(true)
+    const created = []
+    try {
+      for (const group of orderable) {
+        const { poNumber } = await createPurchaseOrder({
+          supplierId: group.supplierId,
+          supplierName: group.supplierName,
+          lines: group.lines.filter(line => Number(line.quantity) > 0),
+          notes: 'Created from replenishment suggestions',
+          status: PO_STATUSES.DRAFT
+        })
+        created.push(poNumber)
+      }
+      setQuantities({})
+      alert(`Draft purchase orders created: ${created.join(', ')}`)
+    } catch (error) {
+      alert(`${created.length > 0 ? `Created ${created.join(', ')} before an error:\n` : 'Error creating purchase orders:\n'}${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const exportCsv = () => {
+    const blob = new Blob([Replenishment.toCsv(groups)], { type: 'text/csv;charset=utf-8' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `replenishment-${new Date().toISOString().slice(0, 10)}.csv`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div className="card text-center py-8">
+        <p className="text-black-50">Every part is above its reorder point, counting stock already on order.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <p className="text-sm text-black-75">
+          Usage is averaged over the last {VELOCITY_WINDOW_DAYS} days of parts and customer invoices. Open purchase orders count as stock.
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={exportCsv}
+            className="px-4 py-2 border border-black-20 rounded-lg hover:bg-black-5 text-sm"
+          >
+            Export CSV
+          </button>
+          {canManage && (
+            <button
+              onClick={() => createDrafts(groups)}
+              disabled={isSaving}
+              className="btn-primary text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Creating...' : 'Create All Draft POs'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {groups.map(group => (
+        <div key={group.supplierId || 'unassigned'} className="card p-0 overflow-hidden">
+          <div className="flex justify-between items-center px-4 py-3 bg-black-5">
+            <div>
+              <h3 className="font-semibold text-primary-black">{group.supplierName}</h3>
+              <p className="text-xs text-black-50">{group.lines.length} part(s) - est. {formatCurrency(group.total)}</p>
+            </div>
+            {canManage && group.supplierId && (
+              <button
+                onClick={() => createDrafts([group])}
+                disabled={isSaving}
+                className="text-sm text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+              >
+                Create Draft PO
+              </button>
+            )}
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-black-75 border-b border-black-10">
+                <th className="px-4 py-2">Part</th>
+                <th className="px-4 py-2 text-right">Stock</th>
+                <th className="px-4 py-2 text-right">Reorder At</th>
+                <th className="px-4 py-2 text-right">On Order</th>
+                <th className="px-4 py-2 text-right">Per Day</th>
+                <th className="px-4 py-2 text-right">Days Left</th>
+                <th className="px-4 py-2 text-right">Order Qty</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-black-10">
+              {group.lines.map(line => (
+                <tr key={line.partId}>
+                  <td className="px-4 py-2">
+                    <span className="font-medium">{line.partName}</span>
+                    <span className="block text-xs text-black-50">{line.sku}</span>
+                  </td>
+                  <td className={`px-4 py-2 text-right ${line.unitStock <= 0 ? 'text-primary-red font-semibold' : ''}`}>{line.unitStock}</td>
+                  <td className="px-4 py-2 text-right">{line.reorderPoint}</td>
+                  <td className="px-4 py-2 text-right">{line.onOrder || '-'}</td>
+                  <td className="px-4 py-2 text-right">{line.perDay || '-'}</td>
+                  <td className="px-4 py-2 text-right">{line.daysLeft ?? '-'}</td>
+                  <td className="px-4 py-2 text-right">
+                    <input
+                      type="number"
+                      value={line.quantity}
+                      onChange={(e) => setQuantities({ ...quantities, [line.partId]: e.target.value })}
+                      className="w-20 px-2 py-1 border rounded text-right"
+                      min="0"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ReplenishmentPanel
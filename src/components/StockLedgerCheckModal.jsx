@@ -0,0 +1,181 @@
+/**
+ * Stock Ledger Check Modal
+ * Rebuilds stock from the ledger and lists parts whose stored stock disagrees,
+ * plus parts that have no ledger history yet
+ */
+
+import { useState, useEffect } from 'react'
+import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { getAllStockMovements } from '../utils/FirebaseDataUtils'
+import StockLedger, { MOVEMENT_TYPES } from '../utils/StockLedger'
+
+function StockLedgerCheckModal({ onClose }) {
+  const { parts, recordLedgerAdjustments } = usePartsContext()
+  const { can } = useAuth()
+  const [movements, setMovements] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canManage = can(PERMISSIONS.PARTS_MANAGE)
+
+  const loadMovements = async () => {
+    setIsLoading(true)
+    try {
+      setMovements(await getAllStockMovements())
+    } catch (error) {
+      alert(`Error loading stock ledger:\n${error.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadMovements()
+  }, [])
+
+  const { drifted, untracked } = StockLedger.detectDrift(parts, movements)
+
+  const saveAdjustments = async (adjustments, message) => {
+    if (!window.confirm(message)) return
+    setIsSaving(true)
+    try {
+      await recordLedgerAdjustments(adjustments)
+      await loadMovements()
+    } catch (error) {
+      alert(`Error updating stock ledger:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const recordOpeningBalances = () => saveAdjustments(
+    untracked.map(part => StockLedger.buildOpeningMovement(part)),
+    `Record the current stock of ${untracked.length} part(s) as their opening balance?`
+  )
+
+  // The ledger gets a correcting entry; the stored stock stays as it is until a physical count says otherwise
+  const acceptRecordedStock = (row) => saveAdjustments(
+    [StockLedger.buildMovement({
+      partId: row.partId,
+      partName: row.partName,
+      stockBefore: row.ledgerStock,
+      stockAfter: row.recordedStock,
+      reason: 'ledger_correction',
+      type: MOVEMENT_TYPES.ADJUSTMENT
+    })],
+    `Record an adjustment of ${row.drift > 0 ? '+' : ''}${row.drift} for ${row.partName} so the ledger matches the recorded stock of ${row.recordedStock}?`
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Stock Ledger Check</h2>
+              <p className="text-sm text-black-50">Stock rebuilt from {movements.length} recorded movement(s)</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="loading-spinner mr-3"></div>
+              <span className="text-black-75">Rebuilding stock from the ledger...</span>
+            </div>
+          ) : (
+            <>
+              <div>
+                <h3 className="font-semibold text-primary-black mb-2">Drift ({drifted.length})</h3>
+                {drifted.length === 0 ? (
+                  <p className="text-sm text-black-50">Every tracked part matches its ledger.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-black-75 border-b border-black-10">
+                        <th className="py-2">Part</th>
+                        <th className="py-2 text-right">Recorded</th>
+                        <th className="py-2 text-right">Ledger</th>
+                        <th className="py-2 text-right">Drift</th>
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-black-10">
+                      {drifted.map(row => (
+                        <tr key={row.partId}>
+                          <td className="py-2">
+                            <span className="font-medium">{row.partName}</span>
+                            <span className="block text-xs text-black-50">{row.sku}</span>
+                          </td>
+                          <td className="py-2 text-right">{row.recordedStock}</td>
+                          <td className="py-2 text-right">{row.ledgerStock}</td>
+                          <td className="py-2 text-right font-semibold text-primary-red">{row.drift > 0 ? `+${row.drift}` : row.drift}</td>
+                          <td className="py-2 text-right">
+                            {canManage && (
+                              <button
+                                onClick={() => acceptRecordedStock(row)}
+                                disabled={isSaving}
+                                className="text-sm text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+                              >
+                                Accept Recorded
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-semibold text-primary-black">No Ledger History ({untracked.length})</h3>
+                  {canManage && untracked.length > 0 && (
+                    <button
+                      onClick={recordOpeningBalances}
+                      disabled={isSaving}
+                      className="btn-primary text-sm disabled:opacity-50"
+                    >
+                      {isSaving ? 'Saving...' : 'Record Opening Balances'}
+                    </button>
+                  )}
+                </div>
+                {untracked.length === 0 ? (
+                  <p className="text-sm text-black-50">Every part with stock has ledger history.</p>
+                ) : (
+                  <>
+                    <p className="text-xs text-black-50 mb-2">
+                      Stock held before the ledger started. Recording it as an opening balance lets later movements rebuild it.
+                    </p>
+                    <ul className="text-sm divide-y divide-black-10 border border-black-10 rounded max-h-48 overflow-y-auto">
+                      {untracked.map(part => (
+                        <li key={part.id} className="px-3 py-2 flex justify-between">
+                          <span>{part.kodProduk} - {part.namaProduk}</span>
+                          <span className="text-black-50">{part.unitStock} in stock</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StockLedgerCheckModal
@@ -0,0 +1,110 @@
+/**
+ * Stock Locations Modal
+ * Name the places stock is kept. The main location holds whatever the others don't,
+ * so it can be renamed but not removed
+ */
+
+import { useState } from 'react'
+import StockLocations, { MAIN_LOCATION_ID } from '../utils/StockLocations'
+
+function StockLocationsModal({ settings, onSave, onClose }) {
+  const [locations, setLocations] = useState(() => settings.locations.map(location => ({ ...location })))
+  const [newName, setNewName] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const renameLocation = (index, name) => {
+    setLocations(locations.map((location, i) => (i === index ? { ...location, name } : location)))
+  }
+
+  const addLocation = () => {
+    const name = newName.trim()
+    if (!name) return
+    setLocations([...locations, { id: StockLocations.createLocationId(name, locations), name }])
+    setNewName('')
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      await onSave({ locations })
+      onClose()
+    } catch (error) {
+      console.error('❌ Error saving stock locations:', error)
+      alert(`Error saving stock locations:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Stock Locations</h2>
+              <p className="text-sm text-black-50">Sales, deliveries and stock-takes use the main location</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="space-y-2">
+            {locations.map((location, index) => (
+              <div key={location.id} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={location.name}
+                  onChange={(e) => renameLocation(index, e.target.value)}
+                  className="input-field flex-1"
+                />
+                {location.id === MAIN_LOCATION_ID ? (
+                  <span className="w-20 text-center text-xs text-black-50">Main</span>
+                ) : (
+                  <button
+                    onClick={() => setLocations(locations.filter((_, i) => i !== index))}
+                    className="w-20 text-primary-red hover:bg-red-10 px-2 py-1 rounded transition-colors text-sm"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addLocation()}
+              className="input-field flex-1"
+              placeholder="e.g. Store Room"
+            />
+            <button onClick={addLocation} disabled={!newName.trim()} className="btn-secondary disabled:opacity-50">
+              Add Location
+            </button>
+          </div>
+          <p className="text-xs text-black-50">A location can only be removed once its stock has been transferred out.</p>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <button onClick={onClose} className="btn-secondary">Cancel</button>
+            <button onClick={handleSave} disabled={isSaving} className="btn-primary disabled:opacity-50">
+              {isSaving ? 'Saving...' : 'Save Locations'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StockLocationsModal
@@ -0,0 +1,135 @@
+/**
+ * Stock Movements Modal
+ * Ledger history of one part, with the stock rebuilt from it next to the stored stock
+ */
+
+import { useState, useEffect } from 'react'
+import { getPartStockMovements } from '../utils/FirebaseDataUtils'
+import StockLedger, { MOVEMENT_TYPE_LABELS } from '../utils/StockLedger'
+
+const formatDateTime = (value) => {
+  if (!value) return '-'
+  const date = value.toDate ? value.toDate() : new Date(value)
+  return date.toLocaleString('en-MY', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+const formatReference = (reference = {}) =>
+  reference.invoiceNumber || reference.creditNoteNumber || reference.receiptNumber || reference.poNumber || reference.stockTakeNumber || reference.transferNumber || ''
+
+function StockMovementsModal({ part, onClose }) {
+  const [movements, setMovements] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState(null)
+
+  useEffect(() => {
+    getPartStockMovements(part.id)
+      .then(setMovements)
+      .catch(error => setLoadError(error.message))
+      .finally(() => setIsLoading(false))
+  }, [part.id])
+
+  const ledgerStock = StockLedger.rebuildStock(movements).get(part.id)?.stock ?? 0
+  const drift = (Number(part.unitStock) || 0) - ledgerStock
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Stock History</h2>
+              <p className="text-sm text-black-50">{part.kodProduk} - {part.namaProduk}</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="loading-spinner mr-3"></div>
+              <span className="text-black-75">Loading movements...</span>
+            </div>
+          ) : loadError ? (
+            <p className="text-primary-red text-sm">Could not load stock movements: {loadError}</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-3">
+                <div className="card p-3">
+                  <div className="text-xs text-black-50">Recorded Stock</div>
+                  <div className="text-xl font-bold text-primary-black">{part.unitStock}</div>
+                </div>
+                <div className="card p-3">
+                  <div className="text-xs text-black-50">Ledger Stock</div>
+                  <div className="text-xl font-bold text-primary-black">{movements.length > 0 ? ledgerStock : '-'}</div>
+                </div>
+                <div className="card p-3">
+                  <div className="text-xs text-black-50">Drift</div>
+                  <div className={`text-xl font-bold ${movements.length > 0 && drift !== 0 ? 'text-primary-red' : 'text-primary-black'}`}>
+                    {movements.length > 0 ? (drift > 0 ? `+${drift}` : drift) : '-'}
+                  </div>
+                </div>
+              </div>
+
+              {movements.length === 0 ? (
+                <p className="text-sm text-black-50 text-center py-4">
+                  No movements recorded for this part yet. Use Check Ledger to record its opening balance.
+                </p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-black-75 border-b border-black-10">
+                      <th className="py-2">Date</th>
+                      <th className="py-2">Type</th>
+                      <th className="py-2 text-right">Qty</th>
+                      <th className="py-2 text-right">Stock</th>
+                      <th className="py-2">Reference</th>
+                      <th className="py-2">By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-black-10">
+                    {movements.map(movement => (
+                      <tr key={movement.id}>
+                        <td className="py-2 whitespace-nowrap">{formatDateTime(movement.date)}</td>
+                        <td className="py-2">
+                          {MOVEMENT_TYPE_LABELS[movement.type] || movement.type}
+                          <span className="block text-xs text-black-50">{movement.reason.replace(/_/g, ' ')}</span>
+                        </td>
+                        {movement.transfer ? (
+                          <td className="py-2 text-right text-black-75">
+                            {movement.transfer.quantity}
+                            <span className="block text-xs text-black-50">
+                              {movement.transfer.stage === 'cancel'
+                                ? `back to ${movement.transfer.fromLocationName}`
+                                : `${movement.transfer.fromLocationName} → ${movement.transfer.toLocationName}`}
+                            </span>
+                          </td>
+                        ) : (
+                          <td className={`py-2 text-right font-medium ${movement.quantity < 0 ? 'text-primary-red' : 'text-green-700'}`}>
+                            {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                          </td>
+                        )}
+                        <td className="py-2 text-right text-black-75">{movement.stockBefore} → {movement.stockAfter}</td>
+                        <td className="py-2">{formatReference(movement.reference) || '-'}</td>
+                        <td className="py-2 text-black-75">{movement.createdBy || 'System'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StockMovementsModal
@@ -0,0 +1,483 @@
+/**
+ * Stock-Take Management
+ * Count physical stock against a frozen snapshot, review variances and
+ * post them to inventory once a manager approves
+ */
+
+import { useState, useEffect } from 'react'
+import { collection, query, orderBy, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import { usePartsContext } from '../context/PartsContext'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import {
+  createStockTake,
+  saveStockTakeCounts,
+  updateStockTakeStatus,
+  approveStockTake
+} from '../utils/FirebaseDataUtils'
+import StockTake, {
+  STOCK_TAKE_STATUSES,
+  STOCK_TAKE_STATUS_LABELS,
+  STOCK_TAKE_SCOPES
+} from '../utils/StockTake'
+
+const STATUS_COLORS = {
+  [STOCK_TAKE_STATUSES.COUNTING]: 'bg-blue-100 text-blue-800',
+  [STOCK_TAKE_STATUSES.SUBMITTED]: 'bg-yellow-100 text-yellow-800',
+  [STOCK_TAKE_STATUSES.POSTED]: 'bg-green-100 text-green-800',
+  [STOCK_TAKE_STATUSES.CANCELLED]: 'bg-red-100 text-red-800'
+}
+
+const SCOPE_LABELS = {
+  [STOCK_TAKE_SCOPES.ALL]: 'All parts',
+  [STOCK_TAKE_SCOPES.CATEGORY]: 'Category',
+  [STOCK_TAKE_SCOPES.BIN]: 'Bin / Location'
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+function StockTakeManagement() {
+  const { parts } = usePartsContext()
+  const { can, requirePermission, staffName, employee } = useAuth()
+  const [stockTakes, setStockTakes] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selectedId, setSelectedId] = useState(null)
+  const [counts, setCounts] = useState({}) // partId -> counted quantity typed but not yet saved
+  const [newScope, setNewScope] = useState(null) // { scopeType, scopeValue, notes } while starting a count
+  const [searchQuery, setSearchQuery] = useState('')
+  const [showVariancesOnly, setShowVariancesOnly] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canCount = can(PERMISSIONS.PARTS_MANAGE)
+  const canApprove = can(PERMISSIONS.STOCK_TAKE_APPROVE)
+  const actor = { name: staffName, id: employee?.id || null }
+
+  useEffect(() => {
+    const stockTakesQuery = query(collection(db, 'stock_takes'), orderBy('dateCreated', 'desc'))
+    const unsubscribe = onSnapshot(stockTakesQuery, (snapshot) => {
+      setStockTakes(snapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() })))
+      setIsLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading stock-takes:', error)
+      setIsLoading(false)
+    })
+    return () => unsubscribe()
+  }, [])
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ms-MY', {
+      style: 'currency',
+      currency: 'MYR'
+    }).format(amount || 0)
+  }
+
+  const formatDate = (date) => (date ? toDate(date).toLocaleDateString() : 'N/A')
+
+  const selected = stockTakes.find(stockTake => stockTake.id === selectedId) || null
+  const isCounting = selected?.status === STOCK_TAKE_STATUSES.COUNTING
+  const hasUnsavedCounts = Object.keys(counts).length > 0
+
+  // Typed counts override the saved ones so variances update as staff count
+  const sheetLines = (selected?.lines || []).map(line => StockTake.getLineVariance(
+    line.partId in counts ? { ...line, countedQuantity: counts[line.partId] } : line
+  ))
+  const summary = StockTake.summarize(sheetLines)
+
+  const search = searchQuery.trim().toLowerCase()
+  const visibleLines = sheetLines.filter(line => {
+    if (showVariancesOnly && !line.variance) return false
+    if (!search) return true
+    return line.partName.toLowerCase().includes(search) ||
+      line.sku.toLowerCase().includes(search) ||
+      line.binLocation.toLowerCase().includes(search)
+  })
+
+  const scopeOptions = newScope && newScope.scopeType !== STOCK_TAKE_SCOPES.ALL
+    ? StockTake.getScopeOptions(parts, newScope.scopeType)
+    : []
+
+  const openStockTake = (stockTakeId) => {
+    if (hasUnsavedCounts && !window.confirm('Discard the counts you have not saved?')) return
+    setCounts({})
+    setSearchQuery('')
+    setShowVariancesOnly(false)
+    setSelectedId(stockTakeId)
+  }
+
+  const runAction = async (action, errorMessage) => {
+    setIsSaving(true)
+    try {
+      return await action()
+    } catch (error) {
+      alert(`${errorMessage}:\n${error.message}`)
+      return null
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleStart = async () => {
+    if (newScope.scopeType !== STOCK_TAKE_SCOPES.ALL && !newScope.scopeValue) {
+      alert(`Choose a ${SCOPE_LABELS[newScope.scopeType].toLowerCase()} to count`)
+      return
+    }
+    const result = await runAction(() => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'start a stock-take')
+      return createStockTake(newScope, parts, actor)
+    }, 'Error starting stock-take')
+    if (result) {
+      setNewScope(null)
+      openStockTake(result.id)
+    }
+  }
+
+  const saveCounts = async () => {
+    const saved = await runAction(async () => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'record stock counts')
+      await saveStockTakeCounts(
+        selected.id,
+        Object.entries(counts).map(([partId, countedQuantity]) => ({ partId, countedQuantity })),
+        actor
+      )
+      return true
+    }, 'Error saving counts')
+    if (saved) setCounts({})
+    return saved
+  }
+
+  const handleSubmit = async () => {
+    if (hasUnsavedCounts && !(await saveCounts())) return
+    if (!window.confirm(`Submit ${selected.stockTakeNumber} for manager approval? Counts can no longer be changed unless it is sent back.`)) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'submit a stock-take')
+      return updateStockTakeStatus(selected.id, STOCK_TAKE_STATUSES.SUBMITTED, actor)
+    }, 'Error submitting stock-take')
+  }
+
+  const handleSendBack = async () => {
+    const reason = window.prompt('Reason for sending this count back:')
+    if (!reason?.trim()) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.STOCK_TAKE_APPROVE, 'send back a stock-take')
+      return updateStockTakeStatus(selected.id, STOCK_TAKE_STATUSES.COUNTING, actor, reason.trim())
+    }, 'Error sending back stock-take')
+  }
+
+  const handleCancel = async () => {
+    const reason = window.prompt(`Cancel ${selected.stockTakeNumber}? Stock will not be changed. Reason:`)
+    if (reason === null) return
+    const cancelled = await runAction(async () => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'cancel a stock-take')
+      await updateStockTakeStatus(selected.id, STOCK_TAKE_STATUSES.CANCELLED, actor, reason.trim())
+      return true
+    }, 'Error cancelling stock-take')
+    if (cancelled) setCounts({})
+  }
+
+  const handleApprove = async () => {
+    if (!window.confirm(
+      `Post ${selected.stockTakeNumber}?\n\n` +
+      `${summary.varianceLines} part(s) will be adjusted\n` +
+      `Gained: ${formatCurrency(summary.valueGained)}\n` +
+      `Lost: ${formatCurrency(summary.valueLost)}\n` +
+      `Net: ${formatCurrency(summary.netValue)}`
+    )) return
+    const result = await runAction(() => {
+      requirePermission(PERMISSIONS.STOCK_TAKE_APPROVE, 'approve a stock-take')
+      return approveStockTake(selected.id, actor)
+    }, 'Error posting stock-take')
+    if (result) {
+      alert(`✅ ${selected.stockTakeNumber} posted - ${result.adjustedParts} part(s) adjusted`)
+    }
+  }
+
+  const describeScope = (stockTake) => stockTake.scopeType === STOCK_TAKE_SCOPES.ALL
+    ? SCOPE_LABELS[STOCK_TAKE_SCOPES.ALL]
+    : `${SCOPE_LABELS[stockTake.scopeType]}: ${stockTake.scopeValue}`
+
+  const openCount = stockTakes.filter(stockTake => stockTake.status === STOCK_TAKE_STATUSES.COUNTING).length
+  const awaitingApproval = stockTakes.filter(stockTake => stockTake.status === STOCK_TAKE_STATUSES.SUBMITTED).length
+
+  return (
+    <div className="touch-spacing">
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="section-title">Stock-Take</h2>
+          <p className="text-black-75 text-sm sm:text-base hidden sm:block">
+            Count shelves against a frozen snapshot and post the variances once approved
+          </p>
+        </div>
+        {canCount && !newScope && (
+          <button
+            onClick={() => setNewScope({ scopeType: STOCK_TAKE_SCOPES.BIN, scopeValue: '', notes: '' })}
+            className="btn-primary"
+          >
+            New Stock-Take
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 sm:gap-4">
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Being Counted</div>
+          <div className="text-xl sm:text-2xl font-bold text-primary-black">{openCount}</div>
+        </div>
+        <div className="card p-3 sm:p-4 lg:p-6">
+          <div className="text-xs sm:text-sm text-black-75">Awaiting Approval</div>
+          <div className="text-xl sm:text-2xl font-bold text-primary-red">{awaitingApproval}</div>
+        </div>
+      </div>
+
+      {newScope && (
+        <div className="card space-y-4">
+          <h3 className="font-semibold text-primary-black">New Stock-Take</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Count by</label>
+              <select
+                value={newScope.scopeType}
+                onChange={(e) => setNewScope({ ...newScope, scopeType: e.target.value, scopeValue: '' })}
+                className="input-field w-full"
+              >
+                {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {newScope.scopeType !== STOCK_TAKE_SCOPES.ALL && (
+              <div>
+                <label className="block text-sm font-medium text-black-75 mb-1">{SCOPE_LABELS[newScope.scopeType]}</label>
+                <select
+                  value={newScope.scopeValue}
+                  onChange={(e) => setNewScope({ ...newScope, scopeValue: e.target.value })}
+                  className="input-field w-full"
+                >
+                  <option value="">Select...</option>
+                  {scopeOptions.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.value} ({option.partCount} parts)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Notes</label>
+            <input
+              type="text"
+              value={newScope.notes}
+              onChange={(e) => setNewScope({ ...newScope, notes: e.target.value })}
+              className="input-field w-full"
+              placeholder="Optional"
+            />
+          </div>
+          <p className="text-xs text-black-50">
+            Expected stock is frozen when the count starts. Sales and receipts made while counting are kept when the variances are posted.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <button onClick={() => setNewScope(null)} className="btn-secondary">Cancel</button>
+            <button onClick={handleStart} disabled={isSaving} className="btn-primary disabled:opacity-50">
+              {isSaving ? 'Starting...' : 'Start Count'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card p-0 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="loading-spinner mr-3"></div>
+            <span className="text-black-75">Loading stock-takes...</span>
+          </div>
+        ) : stockTakes.length === 0 ? (
+          <p className="text-center text-black-50 py-8">No stock-takes yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-black-5">
+              <tr className="text-left text-black-75">
+                <th className="px-4 py-3">Stock-Take #</th>
+                <th className="px-4 py-3">Scope</th>
+                <th className="px-4 py-3">Started</th>
+                <th className="px-4 py-3">Status</th>
+                <th className="px-4 py-3 text-right">Parts</th>
+                <th className="px-4 py-3 text-right">Net Value</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-black-10">
+              {stockTakes.map(stockTake => {
+                const totals = stockTake.summary || StockTake.summarize(stockTake.lines)
+                return (
+                  <tr
+                    key={stockTake.id}
+                    onClick={() => openStockTake(stockTake.id)}
+                    className={`cursor-pointer ${stockTake.id === selectedId ? 'bg-black-10' : 'hover:bg-black-5'}`}
+                  >
+                    <td className="px-4 py-3 font-medium">{stockTake.stockTakeNumber}</td>
+                    <td className="px-4 py-3">{describeScope(stockTake)}</td>
+                    <td className="px-4 py-3">{formatDate(stockTake.dateCreated)}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded text-xs ${STATUS_COLORS[stockTake.status] || ''}`}>
+                        {STOCK_TAKE_STATUS_LABELS[stockTake.status] || stockTake.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-right">{totals.countedCount}/{totals.lineCount}</td>
+                    <td className={`px-4 py-3 text-right ${totals.netValue < 0 ? 'text-primary-red' : ''}`}>
+                      {formatCurrency(totals.netValue)}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && (
+        <div className="card space-y-4">
+          <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+            <div>
+              <h3 className="font-semibold text-primary-black">
+                {selected.stockTakeNumber} - {describeScope(selected)}
+              </h3>
+              <p className="text-sm text-black-50">
+                Snapshot {formatDate(selected.snapshotAt)} by {selected.createdBy}
+                {selected.submittedBy && ` · Counted by ${selected.submittedBy}`}
+                {selected.approvedBy && ` · Approved by ${selected.approvedBy}`}
+              </p>
+              {selected.notes && <p className="text-sm text-black-75 mt-1">{selected.notes}</p>}
+              {isCounting && selected.returnReason && (
+                <p className="text-sm text-primary-red mt-1">Sent back by {selected.returnedBy}: {selected.returnReason}</p>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {isCounting && canCount && (
+                <>
+                  <button onClick={saveCounts} disabled={isSaving || !hasUnsavedCounts} className="btn-secondary disabled:opacity-50">
+                    Save Counts
+                  </button>
+                  <button onClick={handleSubmit} disabled={isSaving} className="btn-primary disabled:opacity-50">
+                    Submit for Approval
+                  </button>
+                </>
+              )}
+              {selected.status === STOCK_TAKE_STATUSES.SUBMITTED && canApprove && (
+                <>
+                  <button onClick={handleSendBack} disabled={isSaving} className="btn-secondary disabled:opacity-50">
+                    Send Back
+                  </button>
+                  <button onClick={handleApprove} disabled={isSaving} className="btn-primary disabled:opacity-50">
+                    {isSaving ? 'Posting...' : 'Approve & Post'}
+                  </button>
+                </>
+              )}
+              {[STOCK_TAKE_STATUSES.COUNTING, STOCK_TAKE_STATUSES.SUBMITTED].includes(selected.status) && canCount && (
+                <button
+                  onClick={handleCancel}
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm text-primary-red hover:text-red-dark font-medium disabled:opacity-50"
+                >
+                  Cancel Count
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4">
+            <div className="card p-3">
+              <div className="text-xs text-black-50">Counted</div>
+              <div className="text-xl font-bold text-primary-black">{summary.countedCount}/{summary.lineCount}</div>
+            </div>
+            <div className="card p-3">
+              <div className="text-xs text-black-50">Parts with Variance</div>
+              <div className="text-xl font-bold text-primary-black">{summary.varianceLines}</div>
+            </div>
+            <div className="card p-3">
+              <div className="text-xs text-black-50">Gained / Lost</div>
+              <div className="text-sm font-bold">
+                <span className="text-green-700">+{summary.unitsGained} ({formatCurrency(summary.valueGained)})</span>
+                <span className="block text-primary-red">-{summary.unitsLost} ({formatCurrency(summary.valueLost)})</span>
+              </div>
+            </div>
+            <div className="card p-3">
+              <div className="text-xs text-black-50">Net Value Impact</div>
+              <div className={`text-xl font-bold ${summary.netValue < 0 ? 'text-primary-red' : 'text-primary-black'}`}>
+                {formatCurrency(summary.netValue)}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+            <input
+              type="text"
+              placeholder="Search part, code or bin..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="input-field flex-1"
+            />
+            <label className="flex items-center gap-2 text-sm text-black-75">
+              <input
+                type="checkbox"
+                checked={showVariancesOnly}
+                onChange={(e) => setShowVariancesOnly(e.target.checked)}
+              />
+              Variances only
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-black-75 border-b border-black-10">
+                  <th className="py-2">Bin</th>
+                  <th className="py-2">Part</th>
+                  <th className="py-2 text-right">Expected</th>
+                  <th className="py-2 text-right">Counted</th>
+                  <th className="py-2 text-right">Variance</th>
+                  <th className="py-2 text-right">Value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {visibleLines.map(line => (
+                  <tr key={line.partId}>
+                    <td className="py-2 text-black-75">{line.binLocation || '-'}</td>
+                    <td className="py-2">
+                      <span className="font-medium">{line.partName}</span>
+                      <span className="block text-xs text-black-50">{line.sku}</span>
+                    </td>
+                    <td className="py-2 text-right">{line.expectedStock}</td>
+                    <td className="py-2 text-right">
+                      {isCounting && canCount ? (
+                        <input
+                          type="number"
+                          min="0"
+                          value={line.countedQuantity ?? ''}
+                          onChange={(e) => setCounts({ ...counts, [line.partId]: e.target.value })}
+                          className="input-field w-20 text-right"
+                        />
+                      ) : (
+                        line.countedQuantity ?? '-'
+                      )}
+                    </td>
+                    <td className={`py-2 text-right font-medium ${line.variance < 0 ? 'text-primary-red' : line.variance > 0 ? 'text-green-700' : ''}`}>
+                      {line.variance === null ? '-' : line.variance > 0 ? `+${line.variance}` : line.variance}
+                    </td>
+                    <td className={`py-2 text-right ${line.valueImpact < 0 ? 'text-primary-red' : ''}`}>
+                      {line.valueImpact === null ? '-' : formatCurrency(line.valueImpact)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleLines.length === 0 && (
+              <p className="text-center text-black-50 py-4">No parts match</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StockTakeManagement
@@ -0,0 +1,347 @@
+/**
+ * Stock Transfers Modal
+ * Send parts between locations and receive them at the other end.
+ * Stock in transit counts at neither location until it is received
+ */
+
+import { useState, useEffect } from 'react'
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import { useAuth } from '../context/AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { createStockTransfer, receiveStockTransfer, cancelStockTransfer } from '../utils/FirebaseDataUtils'
+import StockLocations, {
+  STOCK_TRANSFERS_COLLECTION,
+  TRANSFER_STATUSES,
+  TRANSFER_STATUS_LABELS,
+  MAIN_LOCATION_ID
+} from '../utils/StockLocations'
+
+const STATUS_COLORS = {
+  [TRANSFER_STATUSES.IN_TRANSIT]: 'bg-yellow-100 text-yellow-800',
+  [TRANSFER_STATUSES.RECEIVED]: 'bg-green-100 text-green-800',
+  [TRANSFER_STATUSES.CANCELLED]: 'bg-red-100 text-red-800'
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+function StockTransfersModal({ parts, locationSettings, onClose }) {
+  const { can, requirePermission, staffName, employee } = useAuth()
+  const [transfers, setTransfers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [showAll, setShowAll] = useState(false)
+  const [form, setForm] = useState(null) // { fromLocationId, toLocationId, lines: [{ partId, quantity }], notes } while sending
+  const [partSearch, setPartSearch] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const canManage = can(PERMISSIONS.PARTS_MANAGE)
+  const actor = { name: staffName, id: employee?.id || null }
+  const locations = locationSettings.locations
+
+  useEffect(() => {
+    const transfersQuery = query(collection(db, STOCK_TRANSFERS_COLLECTION), orderBy('dateCreated', 'desc'), limit(100))
+    const unsubscribe = onSnapshot(transfersQuery, (snapshot) => {
+      setTransfers(snapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() })))
+      setIsLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading stock transfers:', error)
+      setIsLoading(false)
+    })
+    return () => unsubscribe()
+  }, [])
+
+  const shownTransfers = showAll
+    ? transfers
+    : transfers.filter(transfer => transfer.status === TRANSFER_STATUSES.IN_TRANSIT)
+
+  const runAction = async (action, errorMessage) => {
+    setIsSaving(true)
+    try {
+      return await action()
+    } catch (error) {
+      alert(`${errorMessage}:\n${error.message}`)
+      return null
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const startTransfer = () => {
+    setForm({
+      fromLocationId: MAIN_LOCATION_ID,
+      toLocationId: locations.find(location => location.id !== MAIN_LOCATION_ID)?.id || '',
+      lines: [],
+      notes: ''
+    })
+    setPartSearch('')
+  }
+
+  const search = partSearch.trim().toLowerCase()
+  const partMatches = form && search
+    ? parts
+      .filter(part => !form.lines.some(line => line.partId === part.id))
+      .filter(part => StockLocations.getAvailableStock(part, form.fromLocationId) > 0)
+      .filter(part => part.kodProduk?.toLowerCase().includes(search) || part.namaProduk?.toLowerCase().includes(search))
+      .slice(0, 8)
+    : []
+
+  const addLine = (part) => {
+    setForm({ ...form, lines: [...form.lines, { partId: part.id, quantity: 1 }] })
+    setPartSearch('')
+  }
+
+  const updateLine = (index, quantity) => {
+    setForm({ ...form, lines: form.lines.map((line, i) => (i === index ? { ...line, quantity } : line)) })
+  }
+
+  const handleSend = async () => {
+    const { errors } = StockLocations.buildTransferLines(form, parts, locationSettings)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+    const result = await runAction(() => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'transfer stock')
+      return createStockTransfer(form, actor)
+    }, 'Error sending transfer')
+    if (result) {
+      setForm(null)
+      alert(`✅ ${result.transferNumber} sent - receive it once the stock arrives`)
+    }
+  }
+
+  const handleReceive = async (transfer) => {
+    if (!window.confirm(`Receive ${transfer.transferNumber} at ${transfer.toLocationName}? (${transfer.totalQuantity} unit(s))`)) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'receive a stock transfer')
+      return receiveStockTransfer(transfer.id, actor)
+    }, 'Error receiving transfer')
+  }
+
+  const handleCancel = async (transfer) => {
+    const reason = window.prompt(`Cancel ${transfer.transferNumber}? The stock goes back to ${transfer.fromLocationName}. Reason:`)
+    if (reason === null) return
+    await runAction(() => {
+      requirePermission(PERMISSIONS.PARTS_MANAGE, 'cancel a stock transfer')
+      return cancelStockTransfer(transfer.id, actor, reason.trim())
+    }, 'Error cancelling transfer')
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">Stock Transfers</h2>
+              <p className="text-sm text-black-50">Move parts between {locations.map(location => location.name).join(', ')}</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {form ? (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-black-75 mb-1">From</label>
+                  <select
+                    value={form.fromLocationId}
+                    onChange={(e) => setForm({ ...form, fromLocationId: e.target.value })}
+                    className="input-field w-full"
+                  >
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-black-75 mb-1">To</label>
+                  <select
+                    value={form.toLocationId}
+                    onChange={(e) => setForm({ ...form, toLocationId: e.target.value })}
+                    className="input-field w-full"
+                  >
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="relative">
+                <input
+                  type="text"
+                  value={partSearch}
+                  onChange={(e) => setPartSearch(e.target.value)}
+                  className="input-field w-full"
+                  placeholder={`Search parts at ${StockLocations.getLocationName(locationSettings, form.fromLocationId)}...`}
+                />
+                {partMatches.length > 0 && (
+                  <div className="absolute z-10 left-0 right-0 mt-1 bg-primary-white border border-black-10 rounded shadow-lg">
+                    {partMatches.map(part => (
+                      <button
+                        key={part.id}
+                        onClick={() => addLine(part)}
+                        className="w-full text-left px-3 py-2 text-sm hover:bg-black-5 flex justify-between"
+                      >
+                        <span><span className="font-medium">{part.kodProduk}</span> {part.namaProduk}</span>
+                        <span className="text-black-50">{StockLocations.getAvailableStock(part, form.fromLocationId)} here</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {form.lines.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-black-75 border-b border-black-10">
+                      <th className="py-2">Part</th>
+                      <th className="py-2 text-right">Available</th>
+                      <th className="py-2 text-right">Move</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-black-10">
+                    {form.lines.map((line, index) => {
+                      const part = parts.find(p => p.id === line.partId)
+                      return (
+                        <tr key={line.partId}>
+                          <td className="py-2">
+                            <span className="font-medium">{part?.kodProduk}</span>
+                            <span className="block text-xs text-black-50">{part?.namaProduk}</span>
+                          </td>
+                          <td className="py-2 text-right text-black-75">
+                            {part ? StockLocations.getAvailableStock(part, form.fromLocationId) : 0}
+                          </td>
+                          <td className="py-2 text-right">
+                            <input
+                              type="number"
+                              min="1"
+                              value={line.quantity}
+                              onChange={(e) => updateLine(index, e.target.value)}
+                              className="input-field w-20 text-right"
+                            />
+                          </td>
+                          <td className="py-2 text-right">
+                            <button
+                              onClick={() => setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) })}
+                              className="text-primary-red hover:bg-red-10 px-2 py-1 rounded transition-colors text-sm"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className="input-field w-full"
+                placeholder="Notes (optional)"
+              />
+
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setForm(null)} className="btn-secondary">Back</button>
+                <button
+                  onClick={handleSend}
+                  disabled={isSaving || form.lines.length === 0}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {isSaving ? 'Sending...' : 'Send Transfer'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <label className="flex items-center gap-2 text-sm text-black-75">
+                  <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+                  Show received and cancelled
+                </label>
+                {canManage && (
+                  <button
+                    onClick={startTransfer}
+                    disabled={!StockLocations.hasMultipleLocations(locationSettings)}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    New Transfer
+                  </button>
+                )}
+              </div>
+              {!StockLocations.hasMultipleLocations(locationSettings) && (
+                <p className="text-sm text-black-50">Add a second location under Locations to start moving stock.</p>
+              )}
+
+              {isLoading ? (
+                <div className="flex items-center justify-center py-8">
+                  <div className="loading-spinner mr-3"></div>
+                  <span className="text-black-75">Loading transfers...</span>
+                </div>
+              ) : shownTransfers.length === 0 ? (
+                <p className="text-center text-black-50 py-8">{showAll ? 'No transfers yet' : 'Nothing in transit'}</p>
+              ) : (
+                <div className="space-y-3">
+                  {shownTransfers.map(transfer => (
+                    <div key={transfer.id} className="border border-black-10 rounded p-4">
+                      <div className="flex flex-wrap justify-between items-start gap-2">
+                        <div>
+                          <div className="font-semibold">
+                            {transfer.transferNumber}
+                            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[transfer.status]}`}>
+                              {TRANSFER_STATUS_LABELS[transfer.status]}
+                            </span>
+                          </div>
+                          <div className="text-sm text-black-75">
+                            {transfer.fromLocationName} → {transfer.toLocationName} · {transfer.totalQuantity} unit(s)
+                          </div>
+                          <div className="text-xs text-black-50">
+                            Sent by {transfer.sentBy} on {toDate(transfer.dateCreated).toLocaleString()}
+                            {transfer.receivedBy && ` · received by ${transfer.receivedBy}`}
+                            {transfer.cancelledBy && ` · cancelled by ${transfer.cancelledBy}${transfer.cancelReason ? ` (${transfer.cancelReason})` : ''}`}
+                          </div>
+                        </div>
+                        {canManage && transfer.status === TRANSFER_STATUSES.IN_TRANSIT && (
+                          <div className="flex gap-2">
+                            <button onClick={() => handleCancel(transfer)} disabled={isSaving} className="btn-secondary text-sm disabled:opacity-50">
+                              Cancel
+                            </button>
+                            <button onClick={() => handleReceive(transfer)} disabled={isSaving} className="btn-primary text-sm disabled:opacity-50">
+                              Receive
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                      <ul className="mt-2 text-sm text-black-75">
+                        {transfer.lines.map(line => (
+                          <li key={line.partId}>{line.quantity} × {line.sku} {line.partName}</li>
+                        ))}
+                      </ul>
+                      {transfer.notes && <p className="mt-1 text-xs text-black-50">{transfer.notes}</p>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StockTransfersModal
@@ -0,0 +1,154 @@
+/**
+ * Supplier Modal
+ * Add a parts supplier or edit an existing one
+ */
+
+import { useState } from 'react'
+import { usePurchasing } from '../context/PurchasingContext'
+import Purchasing from '../utils/Purchasing'
+
+const emptyForm = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  address: '',
+  paymentTermsDays: 30,
+  notes: ''
+}
+
+function SupplierModal({ supplier = null, onClose }) {
+  const { createSupplier, updateSupplier } = usePurchasing()
+  const [formData, setFormData] = useState(supplier ? { ...emptyForm, ...supplier } : emptyForm)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const isEditing = !!supplier
+
+  const handleSave = async () => {
+    const errors = Purchasing.validateSupplier(formData)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      if (isEditing) {
+        await updateSupplier(supplier.id, formData)
+      } else {
+        await createSupplier(formData)
+      }
+      onClose()
+    } catch (error) {
+      alert(`Error saving supplier:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">
+              {isEditing ? `Edit ${supplier.name}` : 'Add Supplier'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Supplier Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="w-full px-3 py-2 border rounded"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder="Contact person"
+              value={formData.contactPerson}
+              onChange={(e) => setFormData({ ...formData, contactPerson: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <input
+              type="tel"
+              placeholder="Phone"
+              value={formData.phone}
+              onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <input
+              type="email"
+              placeholder="Email"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                value={formData.paymentTermsDays}
+                onChange={(e) => setFormData({ ...formData, paymentTermsDays: e.target.value })}
+                className="w-20 px-3 py-2 border rounded"
+                min="0"
+              />
+              <span className="text-sm text-black-75">days credit</span>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Address</label>
+            <textarea
+              value={formData.address}
+              onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+              className="w-full px-3 py-2 border rounded"
+              rows={2}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              className="w-full px-3 py-2 border rounded"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Supplier'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SupplierModal
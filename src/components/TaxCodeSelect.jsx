@@ -0,0 +1,31 @@
+/**
+ * Tax Code Select
+ * Per-line tax code picker for invoice and quotation rows
+ */
+
+import TaxEngine from '../utils/TaxEngine'
+
+function TaxCodeSelect({ settings, value, rate, onChange, className = 'px-2 py-1 border rounded' }) {
+  // Keep a code removed from settings selectable on documents that already use it
+  const missingCode = value && !TaxEngine.getTaxCode(settings, value)
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={className}
+    >
+      <option value="">No Tax</option>
+      {settings.codes.map(taxCode => (
+        <option key={taxCode.code} value={taxCode.code}>
+          {taxCode.code} ({taxCode.rate}%)
+        </option>
+      ))}
+      {missingCode && (
+        <option value={value}>{value} ({rate || 0}%)</option>
+      )}
+    </select>
+  )
+}
+
+export default TaxCodeSelect
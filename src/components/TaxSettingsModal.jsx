@@ -0,0 +1,215 @@
+/**
+ * Tax Settings Modal
+ * Owner/manager configuration of SST, service tax and exempt codes
+ */
+
+import { useState } from 'react'
+import { TAX_APPLIES_TO } from '../utils/TaxEngine'
+
+function TaxSettingsModal({ settings, onSave, onClose }) {
+  const [formData, setFormData] = useState(() => ({
+    ...settings,
+    codes: settings.codes.map(taxCode => ({ ...taxCode }))
+  }))
+  const [isSaving, setIsSaving] = useState(false)
+
+  const updateCode = (index, field, value) => {
+    const codes = [...formData.codes]
+    codes[index] = { ...codes[index], [field]: value }
+    setFormData({ ...formData, codes })
+  }
+
+  const addCode = () => {
+    setFormData({
+      ...formData,
+      codes: [...formData.codes, { code: '', label: '', rate: 0, appliesTo: TAX_APPLIES_TO.ALL }]
+    })
+  }
+
+  const removeCode = (index) => {
+    setFormData({ ...formData, codes: formData.codes.filter((_, i) => i !== index) })
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      await onSave(formData)
+      alert('Tax settings saved successfully!')
+      onClose()
+    } catch (error) {
+      console.error('❌ Error saving tax settings:', error)
+      alert(`Error saving tax settings:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const codeOptions = formData.codes.filter(taxCode => taxCode.code)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">Tax Settings</h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={formData.enabled}
+                onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+              />
+              <span className="font-medium text-primary-black">Charge tax on new invoices and quotations</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={formData.pricesIncludeTax}
+                onChange={(e) => setFormData({ ...formData, pricesIncludeTax: e.target.checked })}
+              />
+              <span className="text-black-75">Line prices already include tax (tax-inclusive pricing)</span>
+            </label>
+          </div>
+
+          {/* Tax Codes */}
+          <div>
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-semibold text-primary-black">Tax Codes</h3>
+              <button
+                onClick={addCode}
+                className="px-3 py-1 border border-blue-600 text-blue-600 rounded text-sm hover:bg-blue-50"
+              >
+                + Add Code
+              </button>
+            </div>
+            <table className="w-full text-sm">
+              <thead className="bg-black-5">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Code</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Label</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Rate (%)</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-black-50 uppercase">Applies To</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-black-10">
+                {formData.codes.map((taxCode, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={taxCode.code}
+                        onChange={(e) => updateCode(index, 'code', e.target.value)}
+                        className="w-20 px-2 py-1 border rounded"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={taxCode.label}
+                        onChange={(e) => updateCode(index, 'label', e.target.value)}
+                        className="w-full px-2 py-1 border rounded"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="number"
+                        value={taxCode.rate}
+                        onChange={(e) => updateCode(index, 'rate', e.target.value)}
+                        className="w-20 px-2 py-1 border rounded"
+                        step="0.01"
+                        min="0"
+                        max="100"
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={taxCode.appliesTo || TAX_APPLIES_TO.ALL}
+                        onChange={(e) => updateCode(index, 'appliesTo', e.target.value)}
+                        className="px-2 py-1 border rounded"
+                      >
+                        <option value={TAX_APPLIES_TO.PARTS}>Parts</option>
+                        <option value={TAX_APPLIES_TO.LABOR}>Labour</option>
+                        <option value={TAX_APPLIES_TO.ALL}>All</option>
+                      </select>
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={() => removeCode(index)}
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Default Codes */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Default Tax for Parts</label>
+              <select
+                value={formData.defaultPartsTaxCode || ''}
+                onChange={(e) => setFormData({ ...formData, defaultPartsTaxCode: e.target.value })}
+                className="w-full px-3 py-2 border border-black-25 rounded-lg"
+              >
+                {codeOptions.map(taxCode => (
+                  <option key={taxCode.code} value={taxCode.code}>{taxCode.code} - {taxCode.label} ({taxCode.rate}%)</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-black-75 mb-1">Default Tax for Labour</label>
+              <select
+                value={formData.defaultLaborTaxCode || ''}
+                onChange={(e) => setFormData({ ...formData, defaultLaborTaxCode: e.target.value })}
+                className="w-full px-3 py-2 border border-black-25 rounded-lg"
+              >
+                {codeOptions.map(taxCode => (
+                  <option key={taxCode.code} value={taxCode.code}>{taxCode.code} - {taxCode.label} ({taxCode.rate}%)</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <p className="text-xs text-black-50">
+            Rates are copied onto each line when it is added, so changing a rate does not alter saved invoices or quotations.
+          </p>
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save Settings'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TaxSettingsModal
@@ -0,0 +1,279 @@
+/**
+ * Vehicle Detail Modal
+ * Vehicle record with owners, odometer readings and the service timeline for its plate
+ */
+
+import { useState, useEffect } from 'react'
+import { useCustomer } from '../context/CustomerContext'
+import { useVehicle } from '../context/VehicleContext'
+import { useAuth } from '../context/AuthContext'
+import { STATUS_LABELS } from '../context/RepairOrderContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import Vehicles, { GEARBOX_LABELS, TIMELINE_TYPES } from '../utils/Vehicles'
+import VehicleModal from './VehicleModal'
+
+const TIMELINE_LABELS = {
+  [TIMELINE_TYPES.REPAIR_ORDER]: 'Job Card',
+  [TIMELINE_TYPES.QUOTATION]: 'Quotation',
+  [TIMELINE_TYPES.INVOICE]: 'Invoice'
+}
+
+const TIMELINE_COLORS = {
+  [TIMELINE_TYPES.REPAIR_ORDER]: 'bg-blue-100 text-blue-700',
+  [TIMELINE_TYPES.QUOTATION]: 'bg-yellow-100 text-yellow-700',
+  [TIMELINE_TYPES.INVOICE]: 'bg-green-100 text-green-700'
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+function VehicleDetailModal({ vehicleId, onClose }) {
+  const { customers = [] } = useCustomer() || {}
+  const { vehicles, recordMileage, transferOwner, getVehicleHistory } = useVehicle()
+  const { can } = useAuth()
+  const [timeline, setTimeline] = useState([])
+  const [isLoadingTimeline, setIsLoadingTimeline] = useState(true)
+  const [mileage, setMileage] = useState('')
+  const [newOwnerId, setNewOwnerId] = useState('')
+  const [showEditModal, setShowEditModal] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const vehicle = vehicles.find(v => v.id === vehicleId)
+  const canManage = can(PERMISSIONS.CUSTOMER_MANAGE)
+
+  useEffect(() => {
+    if (!vehicle) return
+    setIsLoadingTimeline(true)
+    getVehicleHistory(vehicle)
+      .then(setTimeline)
+      .catch(error => console.error('Error loading vehicle history:', error))
+      .finally(() => setIsLoadingTimeline(false))
+  }, [vehicleId])
+
+  if (!vehicle) return null
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ms-MY', {
+      style: 'currency',
+      currency: 'MYR'
+    }).format(amount || 0)
+  }
+
+  const formatDate = (date) => {
+    if (!date) return 'N/A'
+    return toDate(date).toLocaleDateString()
+  }
+
+  const handleRecordMileage = async () => {
+    setIsSaving(true)
+    try {
+      await recordMileage(vehicle.id, mileage)
+      setMileage('')
+    } catch (error) {
+      alert(`Error recording mileage:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleTransfer = async () => {
+    const newOwner = customers.find(c => c.id === newOwnerId)
+    if (!newOwner) {
+      alert('Select the new owner')
+      return
+    }
+    if (!window.confirm(`Transfer ${vehicle.plate} from ${vehicle.customerName || 'no owner'} to ${newOwner.name}?`)) return
+
+    setIsSaving(true)
+    try {
+      await transferOwner(vehicle.id, { id: newOwner.id, name: newOwner.name })
+      setNewOwnerId('')
+    } catch (error) {
+      alert(`Error transferring vehicle:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const readings = [...(vehicle.mileageReadings || [])].sort((a, b) => toDate(b.date) - toDate(a.date))
+  const latestReading = Vehicles.getLatestMileage(vehicle)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-primary-black">{vehicle.plate}</h2>
+              <p className="text-sm text-black-50">
+                {vehicle.make} {vehicle.model} {vehicle.year}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-medium text-primary-black mb-3">Vehicle</h3>
+              <div className="space-y-2 text-sm">
+                <p><span className="font-medium">Owner:</span> {vehicle.customerName || 'No owner'}</p>
+                <p><span className="font-medium">VIN:</span> <span className="font-mono">{vehicle.vin || 'Not recorded'}</span></p>
+                <p><span className="font-medium">Gearbox:</span> {GEARBOX_LABELS[vehicle.gearboxType] || 'Not recorded'}</p>
+                <p>
+                  <span className="font-medium">Mileage:</span>{' '}
+                  {latestReading ? `${latestReading.mileage.toLocaleString()} km (${formatDate(latestReading.date)})` : 'No readings'}
+                </p>
+                {vehicle.notes && <p><span className="font-medium">Notes:</span> {vehicle.notes}</p>}
+              </div>
+              {canManage && (
+                <button
+                  onClick={() => setShowEditModal(true)}
+                  className="mt-3 text-sm text-primary-red hover:text-red-dark font-medium"
+                >
+                  Edit Details
+                </button>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-medium text-primary-black mb-3">Owners</h3>
+              {(vehicle.ownerHistory || []).length === 0 ? (
+                <p className="text-sm text-black-50">No owner recorded</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {[...vehicle.ownerHistory].reverse().map((owner, index) => (
+                    <li key={index} className={owner.to ? 'text-black-50' : 'text-primary-black'}>
+                      {owner.customerName || owner.customerId} - {formatDate(owner.from)} to {owner.to ? formatDate(owner.to) : 'present'}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canManage && (
+                <div className="flex gap-2 mt-3">
+                  <select
+                    value={newOwnerId}
+                    onChange={(e) => setNewOwnerId(e.target.value)}
+                    className="flex-1 px-2 py-1 border rounded text-sm"
+                  >
+                    <option value="">Transfer to...</option>
+                    {customers.filter(c => c.id !== vehicle.customerId).map(customer => (
+                      <option key={customer.id} value={customer.id}>{customer.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleTransfer}
+                    disabled={isSaving || !newOwnerId}
+                    className="px-3 py-1 text-sm border border-black-20 rounded hover:bg-black-5 disabled:opacity-50"
+                  >
+                    Transfer
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-medium text-primary-black mb-3">Mileage Readings</h3>
+            {canManage && (
+              <div className="flex gap-2 mb-3">
+                <input
+                  type="number"
+                  value={mileage}
+                  onChange={(e) => setMileage(e.target.value)}
+                  className="w-40 px-2 py-1 border rounded text-sm"
+                  placeholder="km"
+                  min="0"
+                />
+                <button
+                  onClick={handleRecordMileage}
+                  disabled={isSaving || mileage === ''}
+                  className="px-3 py-1 text-sm border border-black-20 rounded hover:bg-black-5 disabled:opacity-50"
+                >
+                  Record Reading
+                </button>
+              </div>
+            )}
+            {readings.length === 0 ? (
+              <p className="text-sm text-black-50">No readings yet</p>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                {readings.map((reading, index) => (
+                  <li key={index} className="flex justify-between border-b border-black-10 py-1">
+                    <span>{reading.mileage.toLocaleString()} km</span>
+                    <span className="text-black-50">
+                      {formatDate(reading.date)} - {reading.source === 'job_card' ? 'Check-in' : 'Manual'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h3 className="font-medium text-primary-black mb-3">Service History</h3>
+            {isLoadingTimeline ? (
+              <div className="text-center py-4">
+                <div className="loading-spinner mb-2"></div>
+                <p className="text-sm text-black-75">Loading history...</p>
+              </div>
+            ) : timeline.length === 0 ? (
+              <p className="text-sm text-black-50">No job cards, quotations or invoices for this plate yet</p>
+            ) : (
+              <ul className="space-y-3 border-l-2 border-black-10 pl-4">
+                {timeline.map(entry => (
+                  <li key={`${entry.type}-${entry.id}`} className="text-sm">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${TIMELINE_COLORS[entry.type]}`}>
+                        {TIMELINE_LABELS[entry.type]}
+                      </span>
+                      <span className="font-medium text-primary-black">{entry.number || entry.id}</span>
+                      <span className="text-black-50">{formatDate(entry.date)}</span>
+                      <span className="text-black-75">
+                        {entry.type === TIMELINE_TYPES.REPAIR_ORDER ? STATUS_LABELS[entry.status] || entry.status : entry.status}
+                      </span>
+                      {entry.amount != null && (
+                        <span className="ml-auto font-medium">{formatCurrency(entry.amount)}</span>
+                      )}
+                    </div>
+                    {(entry.description || entry.mileage != null) && (
+                      <p className="text-black-50 mt-1">
+                        {entry.description}
+                        {entry.mileage != null && ` - ${Number(entry.mileage).toLocaleString()} km`}
+                      </p>
+                    )}
+                    {entry.customerName && entry.customerName !== vehicle.customerName && (
+                      <p className="text-xs text-black-50">Customer: {entry.customerName}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="flex justify-end pt-4 border-t border-black-10">
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {showEditModal && (
+        <VehicleModal vehicle={vehicle} onClose={() => setShowEditModal(false)} />
+      )}
+    </div>
+  )
+}
+
+export default VehicleDetailModal
@@ -0,0 +1,179 @@
+/**
+ * Vehicle Modal
+ * Register a vehicle for a customer, or edit an existing vehicle's details
+ */
+
+import { useState } from 'react'
+import { useCustomer } from '../context/CustomerContext'
+import { useVehicle } from '../context/VehicleContext'
+import Vehicles, { GEARBOX_LABELS } from '../utils/Vehicles'
+
+const emptyForm = {
+  plate: '',
+  make: '',
+  model: '',
+  year: '',
+  vin: '',
+  gearboxType: '',
+  notes: ''
+}
+
+function VehicleModal({ vehicle = null, defaultCustomerId = '', onClose }) {
+  const { customers = [] } = useCustomer() || {}
+  const { createVehicle, updateVehicle } = useVehicle()
+  const [formData, setFormData] = useState(vehicle ? { ...emptyForm, ...vehicle } : emptyForm)
+  const [customerId, setCustomerId] = useState(defaultCustomerId)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const isEditing = !!vehicle
+
+  const handleSave = async () => {
+    const errors = Vehicles.validate(formData)
+    if (errors.length > 0) {
+      alert(errors.join('\n'))
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      if (isEditing) {
+        await updateVehicle(vehicle.id, formData)
+      } else {
+        const customer = customers.find(c => c.id === customerId)
+        await createVehicle(formData, customer ? { id: customer.id, name: customer.name } : null)
+      }
+      onClose()
+    } catch (error) {
+      alert(`Error saving vehicle:\n${error.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-primary-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-black-10">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-primary-black">
+              {isEditing ? `Edit ${vehicle.plate}` : 'Register Vehicle'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-black-50 hover:text-black-75"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {!isEditing && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-black-75 mb-1">Plate Number *</label>
+                <input
+                  type="text"
+                  value={formData.plate}
+                  onChange={(e) => setFormData({ ...formData, plate: e.target.value.toUpperCase() })}
+                  className="w-full px-3 py-2 border rounded"
+                  placeholder="e.g. WXY 1234"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-black-75 mb-1">Owner</label>
+                <select
+                  value={customerId}
+                  onChange={(e) => setCustomerId(e.target.value)}
+                  className="w-full px-3 py-2 border rounded"
+                >
+                  <option value="">No owner yet</option>
+                  {customers.map(customer => (
+                    <option key={customer.id} value={customer.id}>
+                      {customer.name}{customer.phone ? ` - ${customer.phone}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder="Make"
+              value={formData.make}
+              onChange={(e) => setFormData({ ...formData, make: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <input
+              type="text"
+              placeholder="Model"
+              value={formData.model}
+              onChange={(e) => setFormData({ ...formData, model: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <input
+              type="text"
+              placeholder="Year"
+              value={formData.year}
+              onChange={(e) => setFormData({ ...formData, year: e.target.value })}
+              className="px-3 py-2 border rounded"
+            />
+            <select
+              value={formData.gearboxType}
+              onChange={(e) => setFormData({ ...formData, gearboxType: e.target.value })}
+              className="px-3 py-2 border rounded"
+            >
+              <option value="">Gearbox type...</option>
+              {Object.entries(GEARBOX_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">VIN / Chassis Number</label>
+            <input
+              type="text"
+              value={formData.vin}
+              onChange={(e) => setFormData({ ...formData, vin: e.target.value.toUpperCase() })}
+              className="w-full px-3 py-2 border rounded font-mono"
+              maxLength={17}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-black-75 mb-1">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              className="w-full px-3 py-2 border rounded"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex gap-3 pt-4 border-t border-black-10">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="btn-primary px-6 py-2 rounded-lg flex-1 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : isEditing ? 'Save Changes' : 'Register Vehicle'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-6 py-2 border border-black-20 rounded-lg hover:bg-black-5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VehicleModal
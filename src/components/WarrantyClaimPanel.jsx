@@ -0,0 +1,92 @@
+/**
+ * Warranty Claim Panel
+ * Warranty cover on an issued invoice and opening a warranty-claim job against it
+ */
+
+import { useState } from 'react'
+import Warranty from '../utils/Warranty'
+
+function WarrantyClaimPanel({ invoice, canOpenClaim, onOpenClaim }) {
+  const [mileage, setMileage] = useState('')
+  const [complaint, setComplaint] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const coverage = Warranty.checkCoverage(invoice, { mileage })
+  if (coverage.terms.length === 0 && !(invoice.warrantyClaims || []).length) return null
+
+  const handleOpenClaim = async () => {
+    if (!complaint.trim()) {
+      alert('Describe the problem the customer is claiming for')
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await onOpenClaim({ mileage, complaint })
+      setMileage('')
+      setComplaint('')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="mb-6">
+      <h4 className="font-semibold mb-2">Warranty</h4>
+      <ul className="space-y-1 text-sm">
+        {coverage.terms.map((term, index) => (
+          <li key={index} className="flex justify-between gap-4 border-b border-black-10 py-1">
+            <span>
+              {term.description}: {Warranty.describeTerm(term)}
+              {term.expiresAt && <span className="text-black-50"> - until {term.expiresAt.toLocaleDateString()}</span>}
+              {term.expiresAtMileage != null && <span className="text-black-50"> / {term.expiresAtMileage.toLocaleString()} km</span>}
+            </span>
+            <span className={term.isValid ? 'text-green-600 font-medium' : 'text-red-600'}>
+              {term.isValid ? 'Covered' : term.reasons.join(', ')}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {coverage.terms.some(term => term.warrantyMileage > 0 && term.startMileage == null) && (
+        <p className="text-xs text-black-50 mt-1">Mileage at service was not recorded, so mileage limits cannot be checked.</p>
+      )}
+
+      {(invoice.warrantyClaims || []).length > 0 && (
+        <p className="text-sm text-black-75 mt-2">
+          Claims: {invoice.warrantyClaims.map(claim => claim.jobNumber).join(', ')}
+        </p>
+      )}
+
+      {canOpenClaim && coverage.terms.length > 0 && (
+        <div className="mt-3 bg-black-5 rounded-lg p-3 space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="number"
+              value={mileage}
+              onChange={(e) => setMileage(e.target.value)}
+              className="w-40 px-2 py-1 border rounded text-sm"
+              placeholder="Current km"
+              min="0"
+            />
+            <input
+              type="text"
+              value={complaint}
+              onChange={(e) => setComplaint(e.target.value)}
+              className="flex-1 px-2 py-1 border rounded text-sm"
+              placeholder="Problem being claimed, e.g. slipping in 3rd gear again"
+            />
+          </div>
+          <button
+            onClick={handleOpenClaim}
+            disabled={isSaving || !coverage.isCovered}
+            className="px-4 py-1 text-sm bg-primary-red text-white rounded hover:bg-red-dark disabled:opacity-50"
+          >
+            {isSaving ? 'Opening...' : coverage.isCovered ? 'Open Warranty Claim Job' : 'Warranty Expired'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WarrantyClaimPanel
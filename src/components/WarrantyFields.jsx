@@ -0,0 +1,106 @@
+/**
+ * Warranty Fields
+ * Job warranty, odometer at service and per-line warranty inputs for the invoice forms
+ */
+
+import Warranty from '../utils/Warranty'
+
+function WarrantyFields({
+  warranty,
+  serviceMileage,
+  onWarrantyChange,
+  onServiceMileageChange,
+  partsOrdered = [],
+  laborCharges = [],
+  onPartChange,
+  onLaborChange
+}) {
+  const lines = [
+    ...partsOrdered.map((part, index) => ({ key: `part-${index}`, index, line: part, label: part.partName || part.sku || 'Part', onChange: onPartChange })),
+    ...laborCharges.map((labor, index) => ({ key: `labor-${index}`, index, line: labor, label: labor.description || 'Labour', onChange: onLaborChange }))
+  ]
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold mb-4">Warranty</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Job Warranty (months)</label>
+          <input
+            type="number"
+            value={warranty.warrantyMonths ?? ''}
+            onChange={(e) => onWarrantyChange({ ...warranty, warrantyMonths: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg"
+            min="0"
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Job Warranty (km)</label>
+          <input
+            type="number"
+            value={warranty.warrantyMileage ?? ''}
+            onChange={(e) => onWarrantyChange({ ...warranty, warrantyMileage: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg"
+            min="0"
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Mileage at Service (km)</label>
+          <input
+            type="number"
+            value={serviceMileage ?? ''}
+            onChange={(e) => onServiceMileageChange(e.target.value)}
+            className="w-full px-4 py-2 border rounded-lg"
+            min="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Covers</label>
+          <input
+            type="text"
+            value={warranty.terms || ''}
+            onChange={(e) => onWarrantyChange({ ...warranty, terms: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg"
+            placeholder="e.g. Gearbox overhaul workmanship"
+          />
+        </div>
+      </div>
+      {Warranty.hasTerm(warranty) && (
+        <p className="text-sm text-gray-600 mt-2">Job warranty: {Warranty.describeTerm(warranty)}</p>
+      )}
+
+      {lines.length > 0 && (
+        <div className="mt-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">Per-item warranty (optional)</p>
+          <div className="space-y-2">
+            {lines.map(({ key, index, line, label, onChange }) => (
+              <div key={key} className="flex items-center gap-3 text-sm">
+                <span className="flex-1 truncate">{label}</span>
+                <input
+                  type="number"
+                  value={line.warrantyMonths ?? ''}
+                  onChange={(e) => onChange(index, 'warrantyMonths', e.target.value)}
+                  className="w-24 px-2 py-1 border rounded"
+                  min="0"
+                  placeholder="months"
+                />
+                <input
+                  type="number"
+                  value={line.warrantyMileage ?? ''}
+                  onChange={(e) => onChange(index, 'warrantyMileage', e.target.value)}
+                  className="w-28 px-2 py-1 border rounded"
+                  min="0"
+                  placeholder="km"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WarrantyFields
@@ -1,9 +1,15 @@
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useRef } from 'react'
 import { onAuthStateChanged, signOut } from 'firebase/auth'
-import { auth } from '../firebaseConfig'
+import { collection, doc, onSnapshot, setDoc } from 'firebase/firestore'
+import { auth, db } from '../firebaseConfig'
+import AccessControl, { STAFF_LOGINS_COLLECTION } from '../utils/AccessControl'
 
 const AuthContext = createContext()
 
+// Login that gets owner access when no employee record matches it, e.g. before
+// any staff are set up. Set VITE_OWNER_EMAIL in .env
+const OWNER_EMAIL = import.meta.env.VITE_OWNER_EMAIL || ''
+
 export const useAuth = () => {
   const context = useContext(AuthContext)
   if (!context) {
@@ -15,10 +21,15 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [employee, setEmployee] = useState(null)
+  const [role, setRole] = useState(null)
+  const [roleLoading, setRoleLoading] = useState(true)
+  const linkedEmployeeId = useRef(null)
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setUser(user)
+      setRoleLoading(!!user) // Role is resolved from the employee record below
       setLoading(false)
       console.log('🔐 Auth state changed:', user ? 'Logged in' : 'Logged out')
     })
@@ -26,6 +37,57 @@ export const AuthProvider = ({ children }) => {
     return unsubscribe
   }, [])
 
+  // Map the signed-in user to their employee record and role
+  useEffect(() => {
+    linkedEmployeeId.current = null
+    if (!user) {
+      setEmployee(null)
+      setRole(null)
+      setRoleLoading(false)
+      return
+    }
+
+    const unsubscribe = onSnapshot(collection(db, 'employees'), async (snapshot) => {
+      const employees = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      const matchedEmployee = AccessControl.findEmployeeForUser(user, employees)
+
+      if (matchedEmployee) {
+        // Firestore rules read the role through this link, so it is saved before
+        // the role lets any restricted data load
+        if (linkedEmployeeId.current !== matchedEmployee.id) {
+          try {
+            await setDoc(doc(db, STAFF_LOGINS_COLLECTION, user.uid), {
+              employeeId: matchedEmployee.id,
+              email: user.email || '',
+              linkedAt: new Date()
+            })
+            linkedEmployeeId.current = matchedEmployee.id
+          } catch (error) {
+            console.error('❌ Error linking login to employee record:', error)
+          }
+        }
+        setEmployee(matchedEmployee)
+        setRole(matchedEmployee.role || null)
+        console.log('🛡️ Staff role resolved:', matchedEmployee.role)
+      } else {
+        // Bootstrap: only the configured owner login is let in without an employee record
+        const isOwner = AccessControl.isConfiguredOwner(user, OWNER_EMAIL)
+        setEmployee(null)
+        setRole(isOwner ? 'owner' : null)
+        console.warn(isOwner
+          ? '⚠️ Configured owner login has no employee record - granting owner access to set up staff roles'
+          : '⚠️ No employee record linked to this login - access denied')
+      }
+      setRoleLoading(false)
+    }, (error) => {
+      console.error('❌ Error resolving staff role:', error)
+      setRole(null)
+      setRoleLoading(false)
+    })
+
+    return unsubscribe
+  }, [user])
+
   const logout = async () => {
     try {
       await signOut(auth)
@@ -37,9 +99,15 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     user,
-    loading,
+    loading: loading || roleLoading,
     logout,
-    isAuthenticated: !!user
+    isAuthenticated: !!user,
+    employee,
+    staffName: employee ? `${employee.firstName || ''} ${employee.lastName || ''}`.trim() : (user?.email || ''),
+    role,
+    can: (permission) => AccessControl.hasPermission(role, permission),
+    canAccessSection: (sectionId) => AccessControl.canAccessSection(role, sectionId),
+    requirePermission: (permission, action) => AccessControl.assertPermission(role, permission, action)
   }
 
   return (
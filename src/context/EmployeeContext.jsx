@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useMemo } from 'react'
 import { 
   collection, 
   addDoc, 
@@ -10,9 +10,20 @@ import {
   query, 
   orderBy,
   where,
+  writeBatch,
+  deleteField,
   Timestamp 
 } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import { useAuth } from './AuthContext'
+import AccessControl, { PERMISSIONS, SALARY_FIELDS, EMPLOYEE_PRIVATE_COLLECTION } from '../utils/AccessControl'
+import CommissionStatements, { COMMISSION_STATEMENTS_COLLECTION, STATEMENT_STATUSES } from '../utils/CommissionStatements'
+import StatutoryDeductions from '../utils/StatutoryDeductions'
+import PayRuns, { PAY_RUNS_COLLECTION, PAY_RUN_STATUSES } from '../utils/PayRuns'
+import {
+  savePayRun as savePayRunDocument,
+  updatePayRunStatus as updatePayRunStatusDocument
+} from '../utils/FirebaseDataUtils'
 
 const EmployeeContext = createContext()
 
@@ -60,8 +71,9 @@ export const LEAVE_TYPES = {
 }
 
 export function EmployeeProvider({ children }) {
-  // Employee Management State
-  const [employees, setEmployees] = useState([])
+  // Employee Management State - salary and bank details come from their own collection
+  const [employeeRecords, setEmployeeRecords] = useState([])
+  const [privateRecords, setPrivateRecords] = useState([])
   const [employeeLoading, setEmployeeLoading] = useState(true)
   const [selectedEmployee, setSelectedEmployee] = useState(null)
 
@@ -72,11 +84,29 @@ export function EmployeeProvider({ children }) {
 
   // Payroll State
   const [payrollRecords, setPayrollRecords] = useState([])
+  const [payRuns, setPayRuns] = useState([])
   const [commissionRates, setCommissionRates] = useState({})
+  const [approvedStatements, setApprovedStatements] = useState([])
+
+  // Mechanics (external collection, read-only) - employees link to one for commission
+  const [mechanics, setMechanics] = useState([])
 
   // Performance State
   const [performanceReviews, setPerformanceReviews] = useState([])
 
+  // Access control - salaries are only loaded for roles that may see them
+  const { can, requirePermission, staffName, employee: currentEmployee } = useAuth()
+  const canViewSalary = can(PERMISSIONS.SALARY_VIEW)
+  const actor = { name: staffName, id: currentEmployee?.id || null }
+
+  const employees = useMemo(() => (canViewSalary
+    ? AccessControl.mergePrivateFields(employeeRecords, privateRecords)
+    : employeeRecords.map(AccessControl.redactSalary)
+  ), [employeeRecords, privateRecords, canViewSalary])
+
+  // Records saved before salary and bank details moved out of the employees collection
+  const employeesWithExposedFields = canViewSalary ? employeeRecords.filter(AccessControl.hasPrivateFields) : []
+
   // Real-time listeners
   useEffect(() => {
     // Employees listener
@@ -87,7 +117,7 @@ export function EmployeeProvider({ children }) {
         id: doc.id,
         ...doc.data()
       }))
-      setEmployees(employeeData)
+      setEmployeeRecords(employeeData)
       setEmployeeLoading(false)
     })
 
@@ -102,33 +132,89 @@ export function EmployeeProvider({ children }) {
       setAttendanceRecords(attendanceData)
     })
 
-    // Payroll listener
-    const payrollRef = collection(db, 'payroll')
-    const payrollQuery = query(payrollRef, orderBy('payPeriodEnd', 'desc'))
-    const unsubscribePayroll = onSnapshot(payrollQuery, (snapshot) => {
-      const payrollData = snapshot.docs.map(doc => ({
+    // Mechanics listener
+    const unsubscribeMechanics = onSnapshot(collection(db, 'mechanics'), (snapshot) => {
+      setMechanics(snapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data()
-      }))
-      setPayrollRecords(payrollData)
+      })))
     })
 
+    // Payroll listener
+    let unsubscribePrivate = () => {}
+    let unsubscribePayroll = () => {}
+    let unsubscribeStatements = () => {}
+    let unsubscribePayRuns = () => {}
+    if (canViewSalary) {
+      unsubscribePrivate = onSnapshot(collection(db, EMPLOYEE_PRIVATE_COLLECTION), (snapshot) => {
+        setPrivateRecords(snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })))
+      })
+
+      const payrollRef = collection(db, 'payroll')
+      const payrollQuery = query(payrollRef, orderBy('payPeriodEnd', 'desc'))
+      unsubscribePayroll = onSnapshot(payrollQuery, (snapshot) => {
+        const payrollData = snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        setPayrollRecords(payrollData)
+      })
+
+      const payRunsQuery = query(collection(db, PAY_RUNS_COLLECTION), orderBy('period', 'desc'))
+      unsubscribePayRuns = onSnapshot(payRunsQuery, (snapshot) => {
+        setPayRuns(snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })))
+      })
+
+      // Approved commission statements are paid through payroll
+      const statementsQuery = query(collection(db, COMMISSION_STATEMENTS_COLLECTION), where('status', '==', STATEMENT_STATUSES.APPROVED))
+      unsubscribeStatements = onSnapshot(statementsQuery, (snapshot) => {
+        setApprovedStatements(snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })))
+      })
+    } else {
+      setPrivateRecords([])
+      setPayrollRecords([])
+      setPayRuns([])
+      setApprovedStatements([])
+    }
+
     return () => {
       unsubscribeEmployees()
       unsubscribeAttendance()
+      unsubscribeMechanics()
+      unsubscribePrivate()
       unsubscribePayroll()
+      unsubscribeStatements()
+      unsubscribePayRuns()
     }
-  }, [])
+  }, [canViewSalary])
 
   // Employee Management Functions
   const addEmployee = async (employeeData) => {
+    requirePermission(PERMISSIONS.EMPLOYEE_MANAGE, 'add employees')
     try {
-      const docRef = await addDoc(collection(db, 'employees'), {
-        ...employeeData,
+      const { publicData, privateData } = AccessControl.splitPrivateFields(employeeData)
+      const docRef = doc(collection(db, 'employees'))
+      const batch = writeBatch(db)
+      batch.set(docRef, {
+        ...publicData,
         createdAt: Timestamp.now(),
         updatedAt: Timestamp.now(),
         status: 'active'
       })
+      batch.set(doc(db, EMPLOYEE_PRIVATE_COLLECTION, docRef.id), {
+        ...privateData,
+        updatedAt: Timestamp.now()
+      })
+      await batch.commit()
       console.log('Employee added successfully:', docRef.id)
       return docRef.id
     } catch (error) {
@@ -138,11 +224,29 @@ export function EmployeeProvider({ children }) {
   }
 
   const updateEmployee = async (employeeId, updates) => {
+    requirePermission(PERMISSIONS.EMPLOYEE_MANAGE, 'edit employees')
     try {
-      await updateDoc(doc(db, 'employees', employeeId), {
-        ...updates,
+      const { publicData, privateData } = AccessControl.splitPrivateFields(updates)
+      const hasPrivateData = Object.keys(privateData).length > 0
+      if (hasPrivateData) {
+        requirePermission(PERMISSIONS.SALARY_VIEW, 'edit salary and bank details')
+      }
+
+      // Saving private details also clears any copy left on an older employee record
+      const removals = hasPrivateData ? Object.fromEntries(SALARY_FIELDS.map(field => [field, deleteField()])) : {}
+      const batch = writeBatch(db)
+      batch.update(doc(db, 'employees', employeeId), {
+        ...publicData,
+        ...removals,
         updatedAt: Timestamp.now()
       })
+      if (hasPrivateData) {
+        batch.set(doc(db, EMPLOYEE_PRIVATE_COLLECTION, employeeId), {
+          ...privateData,
+          updatedAt: Timestamp.now()
+        }, { merge: true })
+      }
+      await batch.commit()
       console.log('Employee updated successfully')
     } catch (error) {
       console.error('Error updating employee:', error)
@@ -151,6 +255,7 @@ export function EmployeeProvider({ children }) {
   }
 
   const deleteEmployee = async (employeeId) => {
+    requirePermission(PERMISSIONS.EMPLOYEE_MANAGE, 'deactivate employees')
     try {
       // Soft delete - mark as inactive
       await updateDoc(doc(db, 'employees', employeeId), {
@@ -165,6 +270,38 @@ export function EmployeeProvider({ children }) {
     }
   }
 
+  /**
+   * Move salary and bank details of older records out of the employees collection
+   * Values already in the private record are kept
+   */
+  const secureEmployeeRecords = async () => {
+    requirePermission(PERMISSIONS.EMPLOYEE_MANAGE, 'move salary details')
+    requirePermission(PERMISSIONS.SALARY_VIEW, 'move salary details')
+    try {
+      const batch = writeBatch(db)
+      for (const employee of employeesWithExposedFields) {
+        const existing = privateRecords.find(record => record.id === employee.id) || {}
+        const { privateData } = AccessControl.splitPrivateFields(employee)
+        const removals = Object.fromEntries(Object.keys(privateData).map(field => [field, deleteField()]))
+        batch.set(doc(db, EMPLOYEE_PRIVATE_COLLECTION, employee.id), {
+          ...privateData,
+          ...Object.fromEntries(SALARY_FIELDS.filter(field => existing[field] !== undefined).map(field => [field, existing[field]])),
+          updatedAt: Timestamp.now()
+        }, { merge: true })
+        batch.update(doc(db, 'employees', employee.id), {
+          ...removals,
+          updatedAt: Timestamp.now()
+        })
+      }
+      await batch.commit()
+      console.log('✅ Salary details moved for', employeesWithExposedFields.length, 'employee(s)')
+      return employeesWithExposedFields.length
+    } catch (error) {
+      console.error('❌ Error moving salary details:', error)
+      throw error
+    }
+  }
+
   // Attendance Functions
   const clockIn = async (employeeId) => {
     try {
@@ -215,6 +352,7 @@ export function EmployeeProvider({ children }) {
 
   // Payroll Functions
   const calculatePayroll = (employeeId, payPeriodStart, payPeriodEnd) => {
+    requirePermission(PERMISSIONS.SALARY_VIEW, 'view payroll')
     const employee = employees.find(emp => emp.id === employeeId)
     if (!employee) return null
 
@@ -234,17 +372,30 @@ export function EmployeeProvider({ children }) {
       return total
     }, 0)
 
-    // Calculate base pay
-    const basePay = employee.hourlyRate ? 
-      totalHours * employee.hourlyRate : 
-      employee.salary ? employee.salary / 26 : 0 // Bi-weekly salary
+    // Annual salary is split over the periods in a year (12 for a monthly pay run)
+    const periodsPerYear = StatutoryDeductions.getPeriodsPerYear(payPeriodStart, payPeriodEnd)
+    const periodDays = Math.round((new Date(payPeriodEnd) - new Date(payPeriodStart)) / (1000 * 60 * 60 * 24)) + 1
 
-    // Calculate overtime (over 40 hours)
-    const overtimeHours = Math.max(0, totalHours - 40)
+    // Calculate overtime (over 40 hours a week)
+    const overtimeHours = Math.max(0, totalHours - 40 * periodDays / 7)
     const overtimePay = overtimeHours * (employee.hourlyRate || 0) * 1.5
 
-    // Calculate commission (if applicable)
-    const commission = calculateCommission(employeeId, payPeriodStart, payPeriodEnd)
+    // Calculate base pay - overtime hours are paid at the overtime rate only
+    const basePay = employee.hourlyRate ? 
+      (totalHours - overtimeHours) * employee.hourlyRate : 
+      employee.salary ? employee.salary / periodsPerYear : 0
+
+    // Commission from approved statements not yet paid (if linked to a mechanic)
+    const payRunId = PayRuns.getPayRunId(payPeriodEnd.slice(0, 7))
+    const { total: commission, lines: commissionLines } = calculateCommission(employeeId, payRunId)
+
+    // EPF, SOCSO, EIS and PCB at the rates in force at the end of the period, PCB following the year's approved payslips
+    const grossPay = basePay + overtimePay + commission
+    const deductions = StatutoryDeductions.calculate(grossPay, StatutoryDeductions.getProfile(employee), {
+      payDate: payPeriodEnd,
+      periodsPerYear,
+      yearToDate: PayRuns.getYearToDate(payrollRecords, employeeId, payPeriodEnd.slice(0, 7))
+    })
 
     return {
       employeeId,
@@ -255,19 +406,58 @@ export function EmployeeProvider({ children }) {
       basePay,
       overtimePay,
       commission,
-      grossPay: basePay + overtimePay + commission,
-      netPay: (basePay + overtimePay + commission) * 0.8 // Simplified tax calculation
+      commissionLines,
+      grossPay,
+      deductions,
+      netPay: deductions.netPay,
+      employerCost: grossPay + deductions.employerTotal
     }
   }
 
-  const calculateCommission = (employeeId, startDate, endDate) => {
-    // This would integrate with your existing commission system
-    // For now, returning 0 as a placeholder
-    return 0
+  // Statements already hold each team member's share, adjustments included
+  const calculateCommission = (employeeId, payRunId) => {
+    const employee = employees.find(emp => emp.id === employeeId)
+    return CommissionStatements.getPayrollCommission(approvedStatements, employee?.mechanicId, payRunId)
+  }
+
+  // Pay Run Functions
+  const createPayRun = async (period) => {
+    requirePermission(PERMISSIONS.PAYROLL_MANAGE, 'run payroll')
+    const { start, end } = PayRuns.getMonthPeriod(period)
+    const payslips = getActiveEmployees()
+      .map(employee => ({ employee, payroll: calculatePayroll(employee.id, start, end) }))
+      .filter(({ payroll }) => payroll && payroll.grossPay > 0)
+      .map(({ employee, payroll }) => PayRuns.buildPayslip(period, payroll, employee))
+    return savePayRunDocument(period, payslips, actor)
+  }
+
+  const reviewPayRun = async (payRunId) => {
+    requirePermission(PERMISSIONS.PAYROLL_MANAGE, 'review pay runs')
+    return updatePayRunStatusDocument(payRunId, PAY_RUN_STATUSES.REVIEWED, actor)
+  }
+
+  const approvePayRun = async (payRunId) => {
+    requirePermission(PERMISSIONS.PAYROLL_APPROVE, 'approve pay runs')
+    return updatePayRunStatusDocument(payRunId, PAY_RUN_STATUSES.APPROVED, actor)
+  }
+
+  const sendBackPayRun = async (payRunId, reason) => {
+    requirePermission(PERMISSIONS.PAYROLL_APPROVE, 'send back pay runs')
+    return updatePayRunStatusDocument(payRunId, PAY_RUN_STATUSES.DRAFT, actor, { reason })
+  }
+
+  const markPayRunPaid = async (payRunId, paymentReference) => {
+    requirePermission(PERMISSIONS.PAYROLL_APPROVE, 'record salary payments')
+    return updatePayRunStatusDocument(payRunId, PAY_RUN_STATUSES.PAID, actor, { paymentReference })
+  }
+
+  const getLinkedMechanic = (employee) => {
+    return employee?.mechanicId ? mechanics.find(mechanic => mechanic.id === employee.mechanicId) || null : null
   }
 
   // Performance Functions
   const addPerformanceReview = async (reviewData) => {
+    requirePermission(PERMISSIONS.REVIEW_MANAGE, 'add performance reviews')
     try {
       await addDoc(collection(db, 'performance_reviews'), {
         ...reviewData,
@@ -298,6 +488,7 @@ export function EmployeeProvider({ children }) {
   const value = {
     // State
     employees,
+    employeesWithExposedFields,
     employeeLoading,
     selectedEmployee,
     setSelectedEmployee,
@@ -305,12 +496,15 @@ export function EmployeeProvider({ children }) {
     schedules,
     leaveRequests,
     payrollRecords,
+    payRuns,
     performanceReviews,
+    mechanics,
     
     // Employee Management
     addEmployee,
     updateEmployee,
     deleteEmployee,
+    secureEmployeeRecords,
     
     // Attendance
     clockIn,
@@ -319,6 +513,12 @@ export function EmployeeProvider({ children }) {
     
     // Payroll
     calculatePayroll,
+    getLinkedMechanic,
+    createPayRun,
+    reviewPayRun,
+    approvePayRun,
+    sendBackPayRun,
+    markPayRunPaid,
     
     // Performance
     addPerformanceReview,
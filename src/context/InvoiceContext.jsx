@@ -8,6 +8,10 @@ import {
   InvoiceEditSessionState,
   createContextualError 
 } from '../types/InvoiceTypes'
+import { useAuth } from './AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import DocumentNumbering, { DOCUMENT_TYPES } from '../utils/DocumentNumbering'
+import { PAYMENT_STATUSES } from '../utils/PaymentLedger'
 
 const InvoiceContext = createContext()
 
@@ -24,49 +28,26 @@ export function InvoiceProvider({ children }) {
     data: invoices, 
     loading, 
     error, 
-    addItem: addInvoice,
     updateItem: updateInvoice,
     deleteItem: deleteInvoiceFromFirebase
   } = useFirebaseCollection('invoices')
+  const { requirePermission, staffName, employee } = useAuth()
 
   // State for invoice editing
   const [editingSessions, setEditingSessions] = useState(new Map())
   const [activeEditSession, setActiveEditSession] = useState(null)
 
-  const [invoiceCounter, setInvoiceCounter] = useState(() => {
-    const saved = localStorage.getItem('invoice-counter')
-    return saved ? parseInt(saved) : 1
-  })
+  // Preview only - the real number is allocated by the shared counter when the invoice is saved
+  const [nextInvoiceNumber, setNextInvoiceNumber] = useState('')
 
-  // Update counter based on existing invoices
   useEffect(() => {
-    if (invoices.length > 0) {
-      const maxCounter = Math.max(
-        ...invoices.map(invoice => {
-          const match = invoice.invoiceNumber?.match(/INV-\d{4}-(\d{4})/)
-          return match ? parseInt(match[1]) : 0
-        })
-      )
-      if (maxCounter >= invoiceCounter) {
-        setInvoiceCounter(maxCounter + 1)
-      }
-    }
-  }, [invoices, invoiceCounter])
-
-  // Save counter to localStorage
-  useEffect(() => {
-    localStorage.setItem('invoice-counter', invoiceCounter.toString())
-  }, [invoiceCounter])
-
-  const generateInvoiceNumber = () => {
-    const currentYear = new Date().getFullYear()
-    const paddedCounter = invoiceCounter.toString().padStart(4, '0')
-    return `INV-${currentYear}-${paddedCounter}`
-  }
+    return DocumentNumbering.subscribeToNextNumber(DOCUMENT_TYPES.INVOICE, setNextInvoiceNumber)
+  }, [])
 
   const createInvoice = async (invoiceData) => {
+    requirePermission(PERMISSIONS.INVOICE_CREATE, 'create invoices')
+    const timestamp = new Date()
     const newInvoice = {
-      invoiceNumber: generateInvoiceNumber(),
       dateCreated: new Date().toISOString(),
       items: invoiceData.items.map(item => ({
         partId: item.partId,
@@ -85,10 +66,14 @@ export function InvoiceProvider({ children }) {
       notes: invoiceData.notes || ''
     }
 
-    const id = await addInvoice(newInvoice)
-    setInvoiceCounter(prev => prev + 1)
+    const { id, documentNumber } = await DocumentNumbering.createNumberedDocument(
+      'invoices',
+      DOCUMENT_TYPES.INVOICE,
+      'invoiceNumber',
+      { ...newInvoice, createdAt: timestamp, updatedAt: timestamp }
+    )
     
-    return { id, ...newInvoice }
+    return { id, invoiceNumber: documentNumber, ...newInvoice }
   }
 
   /**
@@ -184,6 +169,7 @@ export function InvoiceProvider({ children }) {
    * @returns {Promise<Object>} Save result
    */
   const saveInvoiceEdit = async (sessionId, parts = []) => {
+    requirePermission(PERMISSIONS.INVOICE_EDIT, 'edit invoices')
     const session = Array.from(editingSessions.values()).find(s => s.id === sessionId)
     if (!session) {
       throw new Error(`Edit session ${sessionId} not found`)
@@ -287,23 +273,24 @@ export function InvoiceProvider({ children }) {
   }
 
   /**
-   * Delete invoice with stock restoration
-   * @param {String} invoiceId - Invoice to delete
-   * @param {Array} parts - Current parts for stock restoration
-   * @returns {Promise<Object>} Delete result
+   * Void invoice with stock restoration
+   * Invoices are numbered without gaps, so they are voided rather than deleted
+   * @param {String} invoiceId - Invoice to void
+   * @param {String} reason - Why it was voided
+   * @returns {Promise<Object>} Void result
    */
-  const deleteInvoice = async (invoiceId, parts = []) => {
+  const voidInvoice = async (invoiceId, reason) => {
+    requirePermission(PERMISSIONS.INVOICE_DELETE, 'void invoices')
     const invoice = invoices.find(inv => inv.id === invoiceId)
     if (!invoice) {
       throw new Error(`Invoice ${invoiceId} not found`)
     }
 
     try {
-      const result = await AtomicOperations.deleteInvoiceWithStockRestoration(
-        invoiceId,
-        invoice,
-        parts
-      )
+      const result = await AtomicOperations.voidInvoiceWithStockRestoration(invoiceId, reason, {
+        collectionName: 'invoices',
+        actor: { name: staffName, id: employee?.id || null }
+      })
 
       if (result.success) {
         // Also remove any active edit session for this invoice
@@ -320,7 +307,7 @@ export function InvoiceProvider({ children }) {
 
       return result
     } catch (error) {
-      console.error('Delete invoice failed:', error)
+      console.error('Void invoice failed:', error)
       return {
         success: false,
         error: error.message,
@@ -354,8 +341,9 @@ export function InvoiceProvider({ children }) {
   }
 
   const calculateInvoiceStats = () => {
-    const totalInvoices = invoices.length
-    const totalRevenue = invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0)
+    const activeInvoices = invoices.filter(invoice => invoice.paymentStatus !== PAYMENT_STATUSES.VOID)
+    const totalInvoices = activeInvoices.length
+    const totalRevenue = activeInvoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0)
     const averageInvoiceValue = totalInvoices > 0 ? totalRevenue / totalInvoices : 0
     
     return {
@@ -375,14 +363,14 @@ export function InvoiceProvider({ children }) {
       searchInvoices,
       getInvoicesByDateRange,
       calculateInvoiceStats,
-      generateInvoiceNumber: () => `INV-${new Date().getFullYear()}-${invoiceCounter.toString().padStart(4, '0')}`,
+      generateInvoiceNumber: () => nextInvoiceNumber,
       // New invoice editing methods
       startInvoiceEdit,
       updateInvoiceEdit,
       validateInvoiceEdit,
       saveInvoiceEdit,
       cancelInvoiceEdit,
-      deleteInvoice,
+      voidInvoice,
       // Edit session state
       editingSessions,
       activeEditSession,
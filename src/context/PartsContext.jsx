@@ -1,11 +1,23 @@
 import { createContext, useContext, useEffect } from 'react'
 import { useFirebaseCollection } from '../hooks/useFirebaseData'
-import { writeBatch, doc } from 'firebase/firestore'
+import { writeBatch, doc, collection } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 import { createContextualError, ValidationErrorType } from '../types/InvoiceTypes'
+import { useAuth } from './AuthContext'
+import { PERMISSIONS } from '../utils/AccessControl'
+import Replenishment from '../utils/Replenishment'
+import StockLedger, { STOCK_MOVEMENTS_COLLECTION } from '../utils/StockLedger'
+import PartsImport, { IMPORT_ACTIONS } from '../utils/PartsImport'
+import PartImages from '../utils/PartImages'
+import StockLocations from '../utils/StockLocations'
+import { deletePartImageFiles } from '../utils/FirebaseDataUtils'
 
 const PartsContext = createContext()
 
+// Empty reorder fields fall back to the shop defaults (see Replenishment)
+const parseReorderField = (value) => (value === '' || value == null ? null : Math.max(0, parseInt(value) || 0))
+const parseCostField = (value) => (value === '' || value == null ? null : Math.max(0, parseFloat(value) || 0))
+
 export const usePartsContext = () => {
   const context = useContext(PartsContext)
   if (!context) {
@@ -21,27 +33,44 @@ export function PartsProvider({ children }) {
     error, 
     addItem, 
     updateItem, 
+    transactItem,
     deleteItem,
     retryConnection
   } = useFirebaseCollection('parts')
+  const { requirePermission, staffName, employee } = useAuth()
+  const actor = { name: staffName, id: employee?.id || null }
+
+  // Ledger entry written in the same batch or transaction as the part change behind it
+  const writeMovement = (writer, movement) => {
+    if (movement) writer.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
+  }
 
   const addPart = async (part) => {
+    requirePermission(PERMISSIONS.PARTS_MANAGE, 'add parts')
     try {
       const newPart = {
         kodProduk: part.kodProduk,
         namaProduk: part.namaProduk,
         harga: parseFloat(part.harga),
+        averageCost: parseCostField(part.averageCost),
         supplier: part.supplier,
-        gambar: part.gambar || '',
+        ...PartImages.buildImageFields(part.images),
         specification: part.specification || '',
         unitStock: parseInt(part.unitStock) || 0,
+        category: part.category?.trim() || '',
+        binLocation: part.binLocation?.trim() || '',
+        reorderPoint: parseReorderField(part.reorderPoint),
+        reorderQuantity: parseReorderField(part.reorderQuantity),
+        preferredSupplierId: part.preferredSupplierId || null,
         dateAdded: new Date().toISOString()
       }
       
       console.log('Adding part:', newPart)
       
       // Use a timeout to prevent hanging on slow connections
-      const addPromise = addItem(newPart)
+      const addPromise = addItem(newPart, (batch, id) => {
+        writeMovement(batch, StockLedger.buildOpeningMovement({ id, ...newPart }, actor))
+      })
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Add operation timeout - saved locally')), 1500) // Reduced to 1.5 seconds
       )
@@ -63,27 +92,65 @@ export function PartsProvider({ children }) {
   }
 
   const updatePart = async (id, updatedPart) => {
+    requirePermission(PERMISSIONS.PARTS_MANAGE, 'edit parts')
     const updateData = {
       ...updatedPart,
       harga: parseFloat(updatedPart.harga),
+      averageCost: parseCostField(updatedPart.averageCost),
       unitStock: parseInt(updatedPart.unitStock) || 0,
+      category: updatedPart.category?.trim() || '',
+      binLocation: updatedPart.binLocation?.trim() || '',
+      reorderPoint: parseReorderField(updatedPart.reorderPoint),
+      reorderQuantity: parseReorderField(updatedPart.reorderQuantity),
+      preferredSupplierId: updatedPart.preferredSupplierId || null,
+      ...(updatedPart.images ? PartImages.buildImageFields(updatedPart.images) : {}),
       dateUpdated: new Date().toISOString()
     }
-    await updateItem(id, updateData)
+    // The ledger entry runs from the stock stored when the edit is saved
+    await transactItem(id, (storedPart, transaction) => {
+      writeMovement(transaction, StockLedger.buildMovement({
+        partId: id,
+        partName: updateData.namaProduk || storedPart.namaProduk || '',
+        stockBefore: storedPart.unitStock,
+        stockAfter: updateData.unitStock,
+        reason: 'manual_edit',
+        actor
+      }))
+      return { ...updateData, ...StockLocations.getStockFields(storedPart, updateData.unitStock) }
+    })
   }
 
   const deletePart = async (id) => {
+    requirePermission(PERMISSIONS.PARTS_MANAGE, 'delete parts')
+    const part = parts.find(p => p.id === id)
     await deleteItem(id)
+    // Only once the part no longer points at them
+    await deletePartImageFiles(PartImages.getRemovedPaths(part?.images || [], []))
   }
 
-  const updateStock = async (id, quantity) => {
-    const part = parts.find(p => p.id === id)
-    if (part) {
-      await updateItem(id, { 
-        unitStock: Math.max(0, part.unitStock - quantity),
+  /**
+   * Deduct stock for a sale and record it in the stock ledger
+   * @param {String} id - Part ID
+   * @param {Number} quantity - Quantity sold
+   * @param {Object} reference - Document behind the sale, e.g. { invoiceId, invoiceNumber }
+   */
+  const updateStock = async (id, quantity, reference = {}) => {
+    await transactItem(id, (storedPart, transaction) => {
+      const newStock = Math.max(0, (Number(storedPart.unitStock) || 0) - quantity)
+      writeMovement(transaction, StockLedger.buildMovement({
+        partId: id,
+        partName: storedPart.namaProduk || '',
+        stockBefore: storedPart.unitStock,
+        stockAfter: newStock,
+        reason: 'sale',
+        reference,
+        actor
+      }))
+      return {
+        ...StockLocations.getStockFields(storedPart, newStock),
         dateUpdated: new Date().toISOString()
-      })
-    }
+      }
+    })
   }
 
   const getPartById = (id) => {
@@ -100,13 +167,17 @@ export function PartsProvider({ children }) {
     )
   }
 
-  const getLowStockParts = (threshold = 10) => {
-    return parts.filter(part => part.unitStock <= threshold)
+  // Each part's own reorder point unless a threshold is given
+  const getLowStockParts = (threshold = null) => {
+    return parts.filter(part => threshold == null
+      ? Replenishment.isLowStock(part)
+      : part.unitStock <= threshold)
   }
 
   /**
    * Batch update stock for multiple parts atomically
-   * @param {Array} stockUpdates - Array of {partId, newStock, reason}
+   * @param {Array} stockUpdates - Array of {partId, newStock, reason, fields} - fields are extra part fields to set
+   *   Each change is written to the stock ledger in the same batch, with metadata as its reference
    * @returns {Promise<Object>} Update result
    */
   const batchUpdateStock = async (stockUpdates) => {
@@ -120,8 +191,10 @@ export function PartsProvider({ children }) {
 
       for (const update of stockUpdates) {
         const partRef = doc(db, 'parts', update.partId)
+        const part = parts.find(p => p.id === update.partId)
         batch.update(partRef, {
-          unitStock: update.newStock,
+          ...(update.fields || {}),
+          ...StockLocations.getStockFields(part, update.newStock),
           updatedAt: timestamp,
           lastStockChange: {
             reason: update.reason || 'batch_update',
@@ -130,6 +203,18 @@ export function PartsProvider({ children }) {
             ...(update.metadata || {})
           }
         })
+
+        const movement = StockLedger.buildMovement({
+          partId: update.partId,
+          partName: part?.namaProduk || '',
+          stockBefore: part ? part.unitStock : update.newStock - (update.stockChange || 0),
+          stockAfter: update.newStock,
+          reason: update.reason || 'batch_update',
+          reference: update.metadata || {},
+          actor,
+          date: timestamp
+        })
+        if (movement) batch.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
       }
 
       await batch.commit()
@@ -149,6 +234,111 @@ export function PartsProvider({ children }) {
     }
   }
 
+  /**
+   * Write ledger-only entries - opening balances for untracked parts, or corrections
+   * that bring the ledger in line with the stored stock. unitStock is not touched
+   * @param {Array} movements - From StockLedger.buildMovement / buildOpeningMovement (actor is filled in)
+   */
+  const recordLedgerAdjustments = async (movements) => {
+    requirePermission(PERMISSIONS.PARTS_MANAGE, 'adjust the stock ledger')
+    const entries = movements.filter(Boolean).map(movement => ({
+      ...movement,
+      createdBy: actor.name || null,
+      createdById: actor.id
+    }))
+
+    // Firestore batches hold at most 500 writes
+    for (let i = 0; i < entries.length; i += 400) {
+      const batch = writeBatch(db)
+      entries.slice(i, i + 400).forEach(movement => batch.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement))
+      await batch.commit()
+    }
+    console.log(`✅ Recorded ${entries.length} stock ledger adjustment(s)`)
+  }
+
+  /**
+   * Write a previewed spreadsheet import - new parts are created, matched parts get only their changed fields
+   * Stock set by the import is recorded in the ledger next to the part write
+   * Large imports are saved in chunks; if one fails, the error says what was saved so the
+   * same file can be imported again to finish
+   * @param {Array} previewRows - From PartsImport.buildPreview; error and unchanged rows are skipped
+   * @returns {Promise<Object>} { created, updated }
+   */
+  const importParts = async (previewRows) => {
+    requirePermission(PERMISSIONS.PARTS_MANAGE, 'import parts')
+    const rows = previewRows.filter(row => [IMPORT_ACTIONS.CREATE, IMPORT_ACTIONS.UPDATE].includes(row.action))
+    const staleErrors = PartsImport.validateForImport(rows, parts)
+    if (staleErrors.length > 0) {
+      throw new Error(`Nothing was imported - the parts changed after the preview:\n${staleErrors.join('\n')}`)
+    }
+
+    const timestamp = new Date()
+    let created = 0
+    let updated = 0
+
+    // Each row takes a part write and at most one ledger entry; Firestore batches hold 500 writes
+    for (let i = 0; i < rows.length; i += 200) {
+      const chunk = rows.slice(i, i + 200)
+      const batch = writeBatch(db)
+      let chunkCreated = 0
+      let chunkUpdated = 0
+      for (const row of chunk) {
+        if (row.action === IMPORT_ACTIONS.CREATE) {
+          const partRef = doc(collection(db, 'parts'))
+          const newPart = {
+            kodProduk: row.code,
+            namaProduk: row.values.namaProduk,
+            harga: row.values.harga,
+            averageCost: null,
+            supplier: row.values.supplier || '',
+            images: [],
+            gambar: '',
+            specification: row.values.specification || '',
+            unitStock: row.values.unitStock || 0,
+            category: '',
+            binLocation: '',
+            reorderPoint: null,
+            reorderQuantity: null,
+            preferredSupplierId: null,
+            dateAdded: timestamp.toISOString()
+          }
+          batch.set(partRef, newPart)
+          const movement = StockLedger.buildOpeningMovement({ id: partRef.id, ...newPart }, actor, timestamp)
+          writeMovement(batch, movement)
+          chunkCreated += 1
+        } else {
+          const changes = Object.fromEntries(row.changes.map(change => [change.field, change.to]))
+          const stockChange = row.changes.find(change => change.field === 'unitStock')
+          const stockFields = stockChange ? StockLocations.getStockFields(parts.find(p => p.id === row.partId), stockChange.to) : {}
+          batch.update(doc(db, 'parts', row.partId), { ...changes, ...stockFields, dateUpdated: timestamp.toISOString() })
+          const movement = stockChange && StockLedger.buildMovement({
+            partId: row.partId,
+            partName: row.partName,
+            stockBefore: stockChange.from,
+            stockAfter: stockChange.to,
+            reason: 'import',
+            actor,
+            date: timestamp
+          })
+          writeMovement(batch, movement)
+          chunkUpdated += 1
+        }
+      }
+
+      try {
+        await batch.commit()
+      } catch (error) {
+        console.error('❌ Parts import stopped part-way:', error)
+        throw new Error(PartsImport.describePartialImport({ created, updated, failedRows: chunk, error }))
+      }
+      created += chunkCreated
+      updated += chunkUpdated
+    }
+
+    console.log(`✅ Parts import: ${created} created, ${updated} updated`)
+    return { created, updated }
+  }
+
   /**
    * Reserve stock temporarily (for edit sessions)
    * @param {Array} reservations - Array of {partId, quantity, sessionId}
@@ -240,7 +430,7 @@ export function PartsProvider({ children }) {
             shortage: change.requiredStock - part.unitStock
           }
         ))
-      } else if (part.unitStock - change.requiredStock <= 10) {
+      } else if (part.unitStock - change.requiredStock <= Replenishment.getReorderPoint(part)) {
         warnings.push(createContextualError(
           'LOW_STOCK_WARNING',
           `${part.namaProduk} will have low stock (${part.unitStock - change.requiredStock}) after this change`,
@@ -276,6 +466,8 @@ export function PartsProvider({ children }) {
       retryConnection,
       // New batch operations
       batchUpdateStock,
+      recordLedgerAdjustments,
+      importParts,
       reserveStock,
       releaseReservation,
       validateStockChanges
@@ -0,0 +1,155 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { collection, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import {
+  createSupplier as createSupplierDocument,
+  updateSupplier as updateSupplierDocument,
+  createPurchaseOrder as createPurchaseOrderDocument,
+  updatePurchaseOrder as updatePurchaseOrderDocument,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  postGoodsReceiptStock,
+  recordSupplierInvoice as recordSupplierInvoiceDocument
+} from '../utils/FirebaseDataUtils'
+import { PO_STATUSES } from '../utils/Purchasing'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useAuth } from './AuthContext'
+
+// Purchasing Context - suppliers, purchase orders, goods receipts and supplier invoices
+const PurchasingContext = createContext()
+
+const toMillis = (value) => (value?.toDate ? value.toDate() : new Date(value || 0)).getTime()
+
+// Listen to a collection, newest first by the given date field
+const subscribe = (collectionName, dateField, setData, setError) => onSnapshot(collection(db, collectionName), (snapshot) => {
+  setData(snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => toMillis(b[dateField]) - toMillis(a[dateField])))
+}, (error) => {
+  console.error(`❌ Error loading ${collectionName}:`, error)
+  setError(error.message)
+})
+
+export function PurchasingProvider({ children }) {
+  const [suppliers, setSuppliers] = useState([])
+  const [purchaseOrders, setPurchaseOrders] = useState([])
+  const [goodsReceipts, setGoodsReceipts] = useState([])
+  const [supplierInvoices, setSupplierInvoices] = useState([])
+  const [purchasingError, setPurchasingError] = useState(null)
+  const { requirePermission, staffName, employee } = useAuth()
+
+  const actor = { name: staffName, id: employee?.id || null }
+
+  useEffect(() => {
+    console.log('📦 Setting up real-time listeners for purchasing...')
+    const unsubscribers = [
+      subscribe('suppliers', 'dateCreated', setSuppliers, setPurchasingError),
+      subscribe('purchase_orders', 'dateCreated', setPurchaseOrders, setPurchasingError),
+      subscribe('goods_receipts', 'dateReceived', setGoodsReceipts, setPurchasingError),
+      subscribe('supplier_invoices', 'dateCreated', setSupplierInvoices, setPurchasingError)
+    ]
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe())
+  }, [])
+
+  const createSupplier = async (supplierData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'add suppliers')
+    return createSupplierDocument(supplierData)
+  }
+
+  const updateSupplier = async (supplierId, supplierData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'edit suppliers')
+    return updateSupplierDocument(supplierId, supplierData)
+  }
+
+  const createPurchaseOrder = async (poData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'create purchase orders')
+    return createPurchaseOrderDocument(poData, actor)
+  }
+
+  const updatePurchaseOrder = async (poId, poData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'edit purchase orders')
+    return updatePurchaseOrderDocument(poId, poData)
+  }
+
+  const markOrdered = async (poId) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'send purchase orders')
+    return updatePurchaseOrderStatus(poId, PO_STATUSES.ORDERED)
+  }
+
+  const cancelPurchaseOrder = async (poId) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'cancel purchase orders')
+    return updatePurchaseOrderStatus(poId, PO_STATUSES.CANCELLED)
+  }
+
+  /**
+   * Add a receipt's quantities to stock
+   * Can be retried for a receipt whose stock was not posted (e.g. went offline) -
+   * a receipt that was posted in the meantime is left alone
+   */
+  const postReceiptStock = async (receipt) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'receive stock')
+    if (receipt.stockPosted) return
+
+    try {
+      await postGoodsReceiptStock(receipt.id, actor)
+    } catch (error) {
+      throw new Error(`${receipt.receiptNumber} was saved but stock was not updated: ${error.message}\nUse "Post Stock" on the receipt to try again.`)
+    }
+  }
+
+  const receiveGoods = async (poId, receiptData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'receive stock')
+    const receipt = await receivePurchaseOrder(poId, receiptData, actor)
+    await postReceiptStock(receipt)
+    return receipt
+  }
+
+  const recordSupplierInvoice = async (poId, invoiceData) => {
+    requirePermission(PERMISSIONS.PURCHASING_MANAGE, 'record supplier invoices')
+    return recordSupplierInvoiceDocument(poId, invoiceData, actor)
+  }
+
+  const getPurchaseOrderReceipts = (poId) => {
+    return goodsReceipts.filter(receipt => receipt.purchaseOrderId === poId)
+  }
+
+  const getPurchaseOrderInvoices = (poId) => {
+    return supplierInvoices.filter(invoice => invoice.purchaseOrderId === poId)
+  }
+
+  const value = {
+    suppliers,
+    purchaseOrders,
+    goodsReceipts,
+    supplierInvoices,
+    purchasingError,
+    createSupplier,
+    updateSupplier,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    markOrdered,
+    cancelPurchaseOrder,
+    receiveGoods,
+    postReceiptStock,
+    recordSupplierInvoice,
+    getPurchaseOrderReceipts,
+    getPurchaseOrderInvoices
+  }
+
+  return (
+    <PurchasingContext.Provider value={value}>
+      {children}
+    </PurchasingContext.Provider>
+  )
+}
+
+// Custom hook to use purchasing context
+export function usePurchasing() {
+  const context = useContext(PurchasingContext)
+  if (!context) {
+    throw new Error('usePurchasing must be used within a PurchasingProvider')
+  }
+  return context
+}
+
+export default PurchasingContext
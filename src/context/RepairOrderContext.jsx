@@ -1,18 +1,24 @@
 import { createContext, useContext, useReducer, useEffect } from 'react'
 import { collection, getDocs, query, orderBy, onSnapshot } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import {
+  createJobCard as createJobCardDocument,
+  updateJobCardStatus,
+  createQuotationFromJobCard,
+  createInvoiceFromJobCard,
+  createWarrantyClaimJob,
+  shareJobCardStatus,
+  updateJobCardEstimate
+} from '../utils/FirebaseDataUtils'
+import { REPAIR_STATUSES } from '../utils/JobCards'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useAuth } from './AuthContext'
 
 // Repair Order Context
 const RepairOrderContext = createContext()
 
-// Repair statuses in sequential order
-export const REPAIR_STATUSES = {
-  NOT_STARTED: 'not_started',
-  UNDER_INSPECTION: 'under_inspection', 
-  INSPECTION_COMPLETED: 'inspection_completed',
-  REPAIR_ONGOING: 'repair_ongoing',
-  READY_FOR_PICKUP: 'ready_for_pickup'
-}
+// Repair statuses in sequential order (lifecycle rules live in utils/JobCards)
+export { REPAIR_STATUSES }
 
 export const STATUS_LABELS = {
   [REPAIR_STATUSES.NOT_STARTED]: 'Not Started Yet',
@@ -30,6 +36,9 @@ export const STATUS_COLORS = {
   [REPAIR_STATUSES.READY_FOR_PICKUP]: 'bg-green-100 text-green-700'
 }
 
+// Tracking links open the app with ?track=<token> (see App.jsx)
+export const getTrackingUrl = (token) => `${window.location.origin}${window.location.pathname}?track=${token}`
+
 // Initial state
 const initialState = {
   repairOrders: [],
@@ -84,6 +93,8 @@ function repairOrderReducer(state, action) {
 // Provider component
 export function RepairOrderProvider({ children }) {
   const [state, dispatch] = useReducer(repairOrderReducer, initialState)
+  const { requirePermission, staffName, employee } = useAuth()
+  const actor = { name: staffName, id: employee?.id || null }
 
   // Calculate status counts
   const calculateStatusCounts = (orders) => {
@@ -184,6 +195,46 @@ export function RepairOrderProvider({ children }) {
     }
   }, [])
 
+  // Create a job card at vehicle check-in - the real-time listener picks it up
+  const createJobCard = async (jobData, photoFiles = []) => {
+    requirePermission(PERMISSIONS.REPAIR_STATUS_UPDATE, 'create job cards')
+    return createJobCardDocument(jobData, photoFiles, actor)
+  }
+
+  // Move a job to the next (or previous) stage
+  const updateJobStatus = async (jobId, status, note = '') => {
+    requirePermission(PERMISSIONS.REPAIR_STATUS_UPDATE, 'update repair status')
+    return updateJobCardStatus(jobId, status, actor, note)
+  }
+
+  const createQuotationFromJob = async (jobId) => {
+    requirePermission(PERMISSIONS.QUOTATION_MANAGE, 'create quotations')
+    return createQuotationFromJobCard(jobId)
+  }
+
+  const createInvoiceFromJob = async (jobCard, currentParts = []) => {
+    requirePermission(PERMISSIONS.INVOICE_CREATE, 'create invoices')
+    return createInvoiceFromJobCard(jobCard, currentParts)
+  }
+
+  // Warranty-claim job against an earlier invoice - refused once the warranty has run out
+  const openWarrantyClaim = async (invoiceId, claimData) => {
+    requirePermission(PERMISSIONS.REPAIR_STATUS_UPDATE, 'open warranty claims')
+    return createWarrantyClaimJob(invoiceId, claimData, actor)
+  }
+
+  // Public link the customer can open without logging in
+  const shareJobStatus = async (jobId) => {
+    requirePermission(PERMISSIONS.REPAIR_STATUS_UPDATE, 'share repair status')
+    const token = await shareJobCardStatus(jobId)
+    return getTrackingUrl(token)
+  }
+
+  const updateJobEstimate = async (jobId, estimatedCompletion) => {
+    requirePermission(PERMISSIONS.REPAIR_STATUS_UPDATE, 'update estimated completion')
+    return updateJobCardEstimate(jobId, estimatedCompletion)
+  }
+
   // Helper function to get orders by status
   const getOrdersByStatus = (status) => {
     return state.repairOrders.filter(order => order.repairStatus === status)
@@ -198,6 +249,13 @@ export function RepairOrderProvider({ children }) {
   const value = {
     ...state,
     loadRepairOrders,
+    createJobCard,
+    updateJobStatus,
+    createQuotationFromJob,
+    createInvoiceFromJob,
+    openWarrantyClaim,
+    shareJobStatus,
+    updateJobEstimate,
     getOrdersByStatus,
     formatDate
   }
@@ -1,6 +1,10 @@
 import { createContext, useContext, useReducer, useEffect } from 'react'
-import { collection, getDocs, doc, getDoc, addDoc, updateDoc, query, where, orderBy } from 'firebase/firestore'
+import { collection, getDocs, doc, getDoc, updateDoc, query, where, orderBy } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import { recordInvoicePayment, createCreditNote, getAllCreditNotes } from '../utils/FirebaseDataUtils'
+import PaymentLedger from '../utils/PaymentLedger'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useAuth } from './AuthContext'
 
 // Transaction Context
 const TransactionContext = createContext()
@@ -9,11 +13,13 @@ const TransactionContext = createContext()
 const initialState = {
   transactions: [],
   customerInvoices: [],
+  creditNotes: [],
   pendingInvoices: [],
   paidInvoices: [],
   accountingSummary: {
     totalRevenue: 0,
     totalPendingAmount: 0,
+    totalCredits: 0,
     totalCommissions: 0,
     totalProfit: 0,
     invoiceCount: 0,
@@ -31,6 +37,7 @@ const TRANSACTION_ACTIONS = {
   SET_LOADING_INVOICES: 'SET_LOADING_INVOICES',
   SET_TRANSACTIONS: 'SET_TRANSACTIONS',
   SET_CUSTOMER_INVOICES: 'SET_CUSTOMER_INVOICES',
+  SET_CREDIT_NOTES: 'SET_CREDIT_NOTES',
   SET_PENDING_INVOICES: 'SET_PENDING_INVOICES',
   SET_PAID_INVOICES: 'SET_PAID_INVOICES',
   SET_ACCOUNTING_SUMMARY: 'SET_ACCOUNTING_SUMMARY',
@@ -54,6 +61,9 @@ function transactionReducer(state, action) {
     case TRANSACTION_ACTIONS.SET_CUSTOMER_INVOICES:
       return { ...state, customerInvoices: action.payload, isLoadingInvoices: false }
     
+    case TRANSACTION_ACTIONS.SET_CREDIT_NOTES:
+      return { ...state, creditNotes: action.payload }
+    
     case TRANSACTION_ACTIONS.SET_PENDING_INVOICES:
       return { ...state, pendingInvoices: action.payload }
     
@@ -74,7 +84,15 @@ function transactionReducer(state, action) {
         ...state,
         customerInvoices: state.customerInvoices.map(invoice =>
           invoice.id === action.payload.invoiceId
-            ? { ...invoice, paymentStatus: action.payload.status, paymentDate: action.payload.paymentDate }
+            ? {
+                ...invoice,
+                paymentStatus: action.payload.status,
+                paymentDate: action.payload.paymentDate,
+                ...(action.payload.paidAmount !== undefined && {
+                  paidAmount: action.payload.paidAmount,
+                  outstandingBalance: action.payload.outstandingBalance
+                })
+              }
             : invoice
         )
       }
@@ -95,6 +113,7 @@ function transactionReducer(state, action) {
 // Provider component
 export function TransactionProvider({ children }) {
   const [state, dispatch] = useReducer(transactionReducer, initialState)
+  const { requirePermission } = useAuth()
 
   // Load all transactions from our 'transactions' collection
   const loadTransactions = async () => {
@@ -135,8 +154,8 @@ export function TransactionProvider({ children }) {
 
       dispatch({ type: TRANSACTION_ACTIONS.SET_CUSTOMER_INVOICES, payload: invoicesData })
 
-      // Separate pending and paid invoices
-      const pending = invoicesData.filter(invoice => invoice.paymentStatus === 'pending')
+      // Separate pending and paid invoices - partially paid invoices still have a balance to collect
+      const pending = invoicesData.filter(invoice => ['pending', 'partially_paid'].includes(invoice.paymentStatus))
       const paid = invoicesData.filter(invoice => invoice.paymentStatus === 'paid')
 
       dispatch({ type: TRANSACTION_ACTIONS.SET_PENDING_INVOICES, payload: pending })
@@ -147,40 +166,59 @@ export function TransactionProvider({ children }) {
     }
   }
 
-  // Record a new payment
-  const recordPayment = async (paymentData) => {
+  // Load all credit notes from our 'credit_notes' collection
+  const loadCreditNotes = async () => {
+    try {
+      dispatch({ type: TRANSACTION_ACTIONS.SET_CREDIT_NOTES, payload: await getAllCreditNotes() })
+    } catch (error) {
+      console.error('Error loading credit notes:', error)
+      dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: error.message })
+    }
+  }
+
+  // Issue a credit note - refunds and restocking happen in the same Firestore transaction
+  const issueCreditNote = async (invoiceId, creditNoteData) => {
+    requirePermission(PERMISSIONS.CREDIT_NOTE_ISSUE, 'issue credit notes')
     try {
       dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: null })
 
-      // Add transaction to 'transactions' collection
-      const transactionData = {
-        invoiceId: paymentData.invoiceId,
-        customerId: paymentData.customerId,
-        transactionNumber: `TXN-${Date.now()}`,
-        amount: paymentData.amount,
-        paymentDate: new Date(),
-        paymentMethod: paymentData.paymentMethod,
-        referenceNumber: paymentData.referenceNumber || '',
-        status: 'completed',
-        processedBy: 'Workshop Staff',
-        notes: paymentData.notes || '',
-        dateCreated: new Date()
-      }
+      const result = await createCreditNote(invoiceId, creditNoteData)
 
-      const transactionRef = await addDoc(collection(db, 'transactions'), transactionData)
-      
-      // Update invoice payment status
-      const invoiceRef = doc(db, 'customer_invoices', paymentData.invoiceId)
-      await updateDoc(invoiceRef, {
-        paymentStatus: 'paid',
-        paymentDate: new Date(),
-        paymentMethod: paymentData.paymentMethod
-      })
+      // Balances, refunds and credit totals all change - reload rather than patch
+      await Promise.all([loadTransactions(), loadCustomerInvoices(), loadCreditNotes()])
+
+      return result
+    } catch (error) {
+      console.error('Error issuing credit note:', error)
+      dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: error.message })
+      throw error
+    }
+  }
+
+  // Record a new payment - partial payments leave the invoice partially_paid
+  const recordPayment = async (paymentData) => {
+    requirePermission(PERMISSIONS.PAYMENT_RECORD, 'record payments')
+    try {
+      dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: null })
+
+      const result = await recordInvoicePayment(paymentData.invoiceId, paymentData)
+      const paymentDate = new Date()
 
       // Add to local state
       dispatch({ 
         type: TRANSACTION_ACTIONS.ADD_TRANSACTION, 
-        payload: { id: transactionRef.id, ...transactionData }
+        payload: {
+          id: result.transactionId,
+          invoiceId: paymentData.invoiceId,
+          customerId: paymentData.customerId,
+          amount: Number(paymentData.amount) || 0,
+          paymentDate,
+          paymentMethod: paymentData.paymentMethod,
+          referenceNumber: paymentData.referenceNumber || '',
+          status: 'completed',
+          notes: paymentData.notes || '',
+          balanceAfter: result.outstandingBalance
+        }
       })
 
       // Update invoice status in local state
@@ -188,12 +226,14 @@ export function TransactionProvider({ children }) {
         type: TRANSACTION_ACTIONS.UPDATE_INVOICE_STATUS,
         payload: {
           invoiceId: paymentData.invoiceId,
-          status: 'paid',
-          paymentDate: new Date()
+          status: result.paymentStatus,
+          paymentDate: result.paymentStatus === 'paid' ? paymentDate : null,
+          paidAmount: result.paidAmount,
+          outstandingBalance: result.outstandingBalance
         }
       })
 
-      return transactionRef.id
+      return result.transactionId
     } catch (error) {
       console.error('Error recording payment:', error)
       dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: error.message })
@@ -203,6 +243,7 @@ export function TransactionProvider({ children }) {
 
   // Update payment status
   const updatePaymentStatus = async (invoiceId, status) => {
+    requirePermission(PERMISSIONS.PAYMENT_RECORD, 'change payment status')
     try {
       dispatch({ type: TRANSACTION_ACTIONS.SET_ERROR, payload: null })
 
@@ -236,6 +277,7 @@ export function TransactionProvider({ children }) {
     const summary = {
       totalRevenue: 0,
       totalPendingAmount: 0,
+      totalCredits: 0,
       totalCommissions: 0,
       totalProfit: 0,
       invoiceCount: state.customerInvoices.length,
@@ -244,14 +286,20 @@ export function TransactionProvider({ children }) {
       averageInvoiceValue: 0
     }
 
-    // Calculate totals from paid invoices
+    // Calculate totals from paid invoices - credit notes reduce revenue
     state.paidInvoices.forEach(invoice => {
-      summary.totalRevenue += invoice.customerTotal || 0
+      summary.totalRevenue += (invoice.customerTotal || 0) - PaymentLedger.getCreditedAmount(invoice)
     })
 
-    // Calculate total pending amount
+    state.creditNotes
+      .filter(creditNote => creditNote.status !== 'void')
+      .forEach(creditNote => {
+        summary.totalCredits += Number(creditNote.total) || 0
+      })
+
+    // Calculate total pending amount - only what is still outstanding
     state.pendingInvoices.forEach(invoice => {
-      summary.totalPendingAmount += invoice.customerTotal || 0
+      summary.totalPendingAmount += PaymentLedger.getOutstandingBalance(invoice)
     })
 
     // Calculate average invoice value
@@ -266,12 +314,13 @@ export function TransactionProvider({ children }) {
   useEffect(() => {
     loadTransactions()
     loadCustomerInvoices()
+    loadCreditNotes()
   }, [])
 
   // Update accounting summary when invoices change
   useEffect(() => {
     generateAccountingSummary()
-  }, [state.customerInvoices, state.paidInvoices, state.pendingInvoices])
+  }, [state.customerInvoices, state.paidInvoices, state.pendingInvoices, state.creditNotes])
 
   const value = {
     // State
@@ -280,6 +329,8 @@ export function TransactionProvider({ children }) {
     // Actions
     loadTransactions,
     loadCustomerInvoices,
+    loadCreditNotes,
+    issueCreditNote,
     recordPayment,
     updatePaymentStatus,
     generateAccountingSummary
@@ -0,0 +1,107 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { collection, onSnapshot } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import {
+  createVehicle as createVehicleDocument,
+  updateVehicle as updateVehicleDocument,
+  addVehicleMileage,
+  transferVehicleOwner,
+  getVehicleHistory
+} from '../utils/FirebaseDataUtils'
+import Vehicles from '../utils/Vehicles'
+import { PERMISSIONS } from '../utils/AccessControl'
+import { useAuth } from './AuthContext'
+
+// Vehicle Context - registry of customer cars keyed by plate
+const VehicleContext = createContext()
+
+export function VehicleProvider({ children }) {
+  const [vehicles, setVehicles] = useState([])
+  const [isLoadingVehicles, setIsLoadingVehicles] = useState(true)
+  const [vehicleError, setVehicleError] = useState(null)
+  const { requirePermission } = useAuth()
+
+  // Real-time listener - job card check-ins register vehicles too
+  useEffect(() => {
+    console.log('🚗 Setting up real-time listener for vehicles...')
+    const unsubscribe = onSnapshot(collection(db, 'vehicles'), (snapshot) => {
+      const vehicleData = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.plate || '').localeCompare(b.plate || ''))
+
+      setVehicles(vehicleData)
+      setIsLoadingVehicles(false)
+      setVehicleError(null)
+    }, (error) => {
+      console.error('❌ Error loading vehicles:', error)
+      setVehicleError(error.message)
+      setIsLoadingVehicles(false)
+    })
+
+    return () => unsubscribe()
+  }, [])
+
+  const createVehicle = async (vehicleData, owner = null) => {
+    requirePermission(PERMISSIONS.CUSTOMER_MANAGE, 'register vehicles')
+    return createVehicleDocument(vehicleData, owner)
+  }
+
+  const updateVehicle = async (vehicleId, vehicleData) => {
+    requirePermission(PERMISSIONS.CUSTOMER_MANAGE, 'edit vehicles')
+    return updateVehicleDocument(vehicleId, vehicleData)
+  }
+
+  const recordMileage = async (vehicleId, mileage) => {
+    requirePermission(PERMISSIONS.CUSTOMER_MANAGE, 'record mileage')
+    return addVehicleMileage(vehicleId, mileage)
+  }
+
+  const transferOwner = async (vehicleId, newOwner) => {
+    requirePermission(PERMISSIONS.CUSTOMER_MANAGE, 'transfer vehicles')
+    return transferVehicleOwner(vehicleId, newOwner)
+  }
+
+  const getCustomerVehicles = (customerId) => {
+    return vehicles.filter(vehicle => vehicle.customerId === customerId)
+  }
+
+  const findVehicleByPlate = (plate) => {
+    const plateKey = Vehicles.getPlateKey(plate)
+    return plateKey ? vehicles.find(vehicle => vehicle.id === plateKey) || null : null
+  }
+
+  const searchVehicles = (searchTerm) => {
+    return vehicles.filter(vehicle => Vehicles.matchesSearch(vehicle, searchTerm))
+  }
+
+  const value = {
+    vehicles,
+    isLoadingVehicles,
+    vehicleError,
+    createVehicle,
+    updateVehicle,
+    recordMileage,
+    transferOwner,
+    getVehicleHistory,
+    getCustomerVehicles,
+    findVehicleByPlate,
+    searchVehicles
+  }
+
+  return (
+    <VehicleContext.Provider value={value}>
+      {children}
+    </VehicleContext.Provider>
+  )
+}
+
+// Custom hook to use vehicle context
+export function useVehicle() {
+  const context = useContext(VehicleContext)
+  if (!context) {
+    throw new Error('useVehicle must be used within a VehicleProvider')
+  }
+  return context
+}
+
+export default VehicleContext
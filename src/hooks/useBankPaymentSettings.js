@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react'
+import { doc, onSnapshot, setDoc } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import BankPayments, { BANK_PAYMENT_SETTINGS_DOC } from '../utils/BankPayments'
+
+/**
+ * Live bank payment settings from the settings/bank_payments document
+ * Company account details and any custom file templates
+ */
+export const useBankPaymentSettings = () => {
+  const [settings, setSettings] = useState(() => BankPayments.normalizeSettings(null))
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, 'settings', BANK_PAYMENT_SETTINGS_DOC), (snapshot) => {
+      setSettings(BankPayments.normalizeSettings(snapshot.exists() ? snapshot.data() : null))
+      setLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading bank payment settings:', error)
+      setLoading(false)
+    })
+
+    return () => unsubscribe()
+  }, [])
+
+  const saveSettings = async (updatedSettings) => {
+    const errors = BankPayments.validateSettings(updatedSettings)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    await setDoc(doc(db, 'settings', BANK_PAYMENT_SETTINGS_DOC), {
+      ...BankPayments.normalizeSettings(updatedSettings),
+      companyName: updatedSettings.companyName.trim(),
+      companyAccount: BankPayments.normalizeAccountNumber(updatedSettings.companyAccount),
+      updatedAt: new Date()
+    })
+    console.log('✅ Bank payment settings saved')
+  }
+
+  return { settings, loading, saveSettings }
+}
+
+export default useBankPaymentSettings
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react'
+
+// Keyboard-wedge scanners type a whole code within a few milliseconds and finish with Enter;
+// people don't type that fast, so slower keystrokes are ignored
+const MAX_KEY_GAP_MS = 50
+const MIN_CODE_LENGTH = 3
+
+const isTextField = (element) =>
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName)
+
+/**
+ * Scans made while no text field has focus
+ * Fields that take scans themselves (search boxes, SKU cells) handle their own Enter key,
+ * so keystrokes aimed at a text field are left alone
+ * @param {Function} onScan - Called with the scanned code
+ * @param {Boolean} enabled - Listen only while true, e.g. while a form is open
+ */
+export const useBarcodeScanner = (onScan, enabled = true) => {
+  const onScanRef = useRef(onScan)
+  onScanRef.current = onScan
+
+  useEffect(() => {
+    if (!enabled) return undefined
+
+    let buffer = ''
+    let lastKeyAt = 0
+
+    const handleKeyDown = (e) => {
+      if (isTextField(e.target) || e.ctrlKey || e.altKey || e.metaKey) return
+
+      const now = Date.now()
+      if (now - lastKeyAt > MAX_KEY_GAP_MS) buffer = ''
+      lastKeyAt = now
+
+      if (e.key === 'Enter') {
+        if (buffer.length >= MIN_CODE_LENGTH) {
+          e.preventDefault()
+          onScanRef.current(buffer)
+        }
+        buffer = ''
+      } else if (e.key.length === 1) {
+        buffer += e.key
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [enabled])
+}
+
+export default useBarcodeScanner
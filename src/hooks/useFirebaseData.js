@@ -1,13 +1,14 @@
 import { useState, useEffect } from 'react'
 import { 
   collection, 
-  addDoc, 
   updateDoc, 
   deleteDoc, 
   doc, 
   onSnapshot,
   query,
-  orderBy 
+  orderBy,
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
 
@@ -128,7 +129,13 @@ export const useFirebaseCollection = (collectionName) => {
     }
   }, [collectionName, retryCount]) // Add retryCount to dependencies
 
-  const addItem = async (item) => {
+  /**
+   * Add an item, showing it straight away and keeping it locally if Firebase is slow
+   * @param {Object} item - New item
+   * @param {Function} relatedWrites - Optional (batch, id, item) => void for documents
+   *   that must be saved together with the item, e.g. its stock ledger entry
+   */
+  const addItem = async (item, relatedWrites = null) => {
     const itemWithTimestamp = {
       ...item,
       createdAt: new Date(),
@@ -146,7 +153,11 @@ export const useFirebaseCollection = (collectionName) => {
     
     try {
       // Try Firebase with 1 second timeout for ultra-fast fallback
-      const firebasePromise = addDoc(collection(db, collectionName), itemWithTimestamp)
+      const itemRef = doc(collection(db, collectionName))
+      const batch = writeBatch(db)
+      batch.set(itemRef, itemWithTimestamp)
+      if (relatedWrites) relatedWrites(batch, itemRef.id, itemWithTimestamp)
+      const firebasePromise = batch.commit().then(() => itemRef)
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Firebase add timeout')), 1000)
       )
@@ -223,6 +234,40 @@ export const useFirebaseCollection = (collectionName) => {
     }
   }
 
+  /**
+   * Update an item from its stored values in a transaction
+   * buildUpdate(current, transaction) returns the updates and may write related documents
+   * (e.g. a stock ledger entry) through the transaction. There is no local-only fallback:
+   * the change depends on what is stored, so a failure is thrown and nothing is saved
+   * @returns {Promise<Object>} The updates written
+   */
+  const transactItem = async (id, buildUpdate) => {
+    const itemRef = doc(db, collectionName, id)
+    const updateData = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(itemRef)
+      if (!snapshot.exists()) {
+        throw new Error(`Item ${id} is not in ${collectionName}`)
+      }
+      const updates = {
+        ...buildUpdate({ id: snapshot.id, ...snapshot.data() }, transaction),
+        updatedAt: new Date()
+      }
+      transaction.update(itemRef, updates)
+      return updates
+    })
+
+    setData(prevData => 
+      prevData.map(item => item.id === id ? { ...item, ...updateData } : item)
+    )
+    const updatedData = data.map(item => 
+      item.id === id ? { ...item, ...updateData } : item
+    )
+    localStorage.setItem(collectionName, JSON.stringify(updatedData))
+
+    console.log(`✅ Updated item ${id} in Firebase`)
+    return updateData
+  }
+
   const deleteItem = async (id) => {
     try {
       // Remove from UI immediately
@@ -252,6 +297,7 @@ export const useFirebaseCollection = (collectionName) => {
     error,
     addItem,
     updateItem,
+    transactItem,
     deleteItem,
     retryConnection,
     isRetrying
@@ -273,20 +273,18 @@ export const useInvoiceEditor = (invoiceId, invoiceProp = null) => {
     setEditSession(null)
   }, [])
 
-  // Delete invoice
-  const deleteInvoice = useCallback(async (parts = []) => {
+  // Void invoice - numbered invoices are never deleted so the sequence has no gaps
+  const voidInvoice = useCallback(async (reason) => {
     if (!invoice) {
-      throw new Error('No invoice to delete')
+      throw new Error('No invoice to void')
     }
 
     try {
       setLoading(true)
       
-      const result = await AtomicOperations.deleteInvoiceWithStockRestoration(
-        invoiceId,
-        invoice,
-        parts
-      )
+      const result = await AtomicOperations.voidInvoiceWithStockRestoration(invoiceId, reason, {
+        collectionName: 'invoices'
+      })
 
       if (!result.success) {
         throw new Error(result.error)
@@ -294,7 +292,7 @@ export const useInvoiceEditor = (invoiceId, invoiceProp = null) => {
 
       return result
     } catch (error) {
-      console.error('Delete failed:', error)
+      console.error('Void failed:', error)
       throw error
     } finally {
       setLoading(false)
@@ -325,7 +323,7 @@ export const useInvoiceEditor = (invoiceId, invoiceProp = null) => {
     updateEdit,
     saveEdit,
     cancelEdit,
-    deleteInvoice,
+    voidInvoice,
     resolveConflicts,
     
     // Analysis
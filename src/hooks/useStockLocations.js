@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { doc, collection, query, where, getDocs, onSnapshot, setDoc } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import StockLocations, { STOCK_TRANSFERS_COLLECTION, TRANSFER_STATUSES } from '../utils/StockLocations'
+
+/**
+ * Live stock locations from the settings/stock_locations document
+ * Until locations are set up there is just the main location
+ */
+export const useStockLocations = () => {
+  const [settings, setSettings] = useState(() => StockLocations.normalizeSettings(null))
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, 'settings', 'stock_locations'), (snapshot) => {
+      setSettings(StockLocations.normalizeSettings(snapshot.exists() ? snapshot.data() : null))
+      setLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading stock locations:', error)
+      setLoading(false)
+    })
+
+    return () => unsubscribe()
+  }, [])
+
+  /**
+   * @param {Array} parts - Current parts, so a location holding stock is not removed
+   */
+  const saveSettings = async (updatedSettings, parts = []) => {
+    const openTransfers = await getDocs(query(
+      collection(db, STOCK_TRANSFERS_COLLECTION),
+      where('status', '==', TRANSFER_STATUSES.IN_TRANSIT)
+    ))
+    const errors = StockLocations.validateSettings(updatedSettings, parts, openTransfers.docs.map(snapshot => snapshot.data()))
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    await setDoc(doc(db, 'settings', 'stock_locations'), {
+      locations: updatedSettings.locations.map(location => ({
+        id: location.id,
+        name: location.name.trim()
+      })),
+      updatedAt: new Date()
+    })
+    console.log('✅ Stock locations saved')
+  }
+
+  return { settings, loading, saveSettings }
+}
+
+export default useStockLocations
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react'
+import { doc, onSnapshot, setDoc } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+import TaxEngine from '../utils/TaxEngine'
+
+/**
+ * Live tax settings from the settings/tax document
+ * Falls back to the (disabled) defaults until the owner saves settings
+ */
+export const useTaxSettings = () => {
+  const [settings, setSettings] = useState(() => TaxEngine.normalizeSettings(null))
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, 'settings', 'tax'), (snapshot) => {
+      setSettings(TaxEngine.normalizeSettings(snapshot.exists() ? snapshot.data() : null))
+      setLoading(false)
+    }, (error) => {
+      console.error('❌ Error loading tax settings:', error)
+      setLoading(false)
+    })
+
+    return () => unsubscribe()
+  }, [])
+
+  const saveSettings = async (updatedSettings) => {
+    const errors = TaxEngine.validateSettings(updatedSettings)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    await setDoc(doc(db, 'settings', 'tax'), {
+      ...updatedSettings,
+      codes: updatedSettings.codes.map(taxCode => ({
+        ...taxCode,
+        code: taxCode.code.trim(),
+        rate: Number(taxCode.rate) || 0
+      })),
+      updatedAt: new Date()
+    })
+    console.log('✅ Tax settings saved')
+  }
+
+  return { settings, loading, saveSettings }
+}
+
+export default useTaxSettings
@@ -0,0 +1,64 @@
+/**
+ * Access Control Test Suite
+ * Tests role permissions, section access, owner bootstrap and salary field handling
+ */
+
+import { describe, test, expect } from 'vitest'
+import AccessControl, { PERMISSIONS, SALARY_FIELDS } from '../utils/AccessControl'
+
+const employee = {
+  id: 'emp-1',
+  firstName: 'Aminah',
+  role: 'mechanic',
+  salary: 3200,
+  hourlyRate: 18,
+  bankCode: 'MBBEMYKL',
+  bankName: 'Maybank',
+  bankAccount: '514012345678',
+  bankAccountName: 'Aminah binti Yusof',
+  idNumber: '900101-14-5678'
+}
+
+describe('AccessControl', () => {
+  test('should grant permissions by role and deny unknown roles', () => {
+    expect(AccessControl.hasPermission('owner', PERMISSIONS.PAYROLL_APPROVE)).toBe(true)
+    expect(AccessControl.hasPermission('cashier', PERMISSIONS.PAYMENT_RECORD)).toBe(true)
+    expect(AccessControl.hasPermission('cashier', PERMISSIONS.SALARY_VIEW)).toBe(false)
+    expect(AccessControl.hasPermission('mechanic', PERMISSIONS.INVOICE_CREATE)).toBe(false)
+    expect(AccessControl.hasPermission(null, PERMISSIONS.PARTS_MANAGE)).toBe(false)
+    expect(() => AccessControl.assertPermission('receptionist', PERMISSIONS.INVOICE_DELETE, 'delete invoices'))
+      .toThrow('Your role (receptionist) is not allowed to delete invoices')
+  })
+
+  test('should open sections by role, with attendance and leave open to all staff', () => {
+    expect(AccessControl.canAccessSection('mechanic', 'car-status')).toBe(true)
+    expect(AccessControl.canAccessSection('mechanic', 'payroll-management')).toBe(false)
+    expect(AccessControl.canAccessSection('receptionist', 'leave-management')).toBe(true)
+    expect(AccessControl.canAccessSection(null, 'leave-management')).toBe(false)
+    expect(AccessControl.canAccessSection('manager', 'unknown-section')).toBe(false)
+    expect(AccessControl.getDefaultSection('receptionist')).toBe('customers')
+  })
+
+  test('should only bootstrap the configured owner login', () => {
+    expect(AccessControl.isConfiguredOwner({ email: 'Owner@OneX.my' }, ' owner@onex.my ')).toBe(true)
+    expect(AccessControl.isConfiguredOwner({ email: 'staff@onex.my' }, 'owner@onex.my')).toBe(false)
+    expect(AccessControl.isConfiguredOwner({ email: 'staff@onex.my' }, '')).toBe(false)
+    expect(AccessControl.isConfiguredOwner({ email: null }, '')).toBe(false)
+  })
+
+  test('should keep salary, bank and IC details apart from the shared employee record', () => {
+    const redacted = AccessControl.redactSalary(employee)
+    expect(redacted).toEqual({ id: 'emp-1', firstName: 'Aminah', role: 'mechanic' })
+    expect(employee.salary).toBe(3200)
+
+    const { publicData, privateData } = AccessControl.splitPrivateFields(employee)
+    expect(publicData).toEqual(redacted)
+    expect(Object.keys(privateData).sort()).toEqual([...SALARY_FIELDS].sort())
+    expect(AccessControl.hasPrivateFields(publicData)).toBe(false)
+    expect(AccessControl.hasPrivateFields(employee)).toBe(true)
+
+    const merged = AccessControl.mergePrivateFields([publicData, { id: 'emp-2', firstName: 'Ravi' }], [{ id: 'emp-1', ...privateData }])
+    expect(merged[0]).toEqual(employee)
+    expect(merged[1]).toEqual({ id: 'emp-2', firstName: 'Ravi' })
+  })
+})
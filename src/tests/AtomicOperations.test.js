@@ -0,0 +1,162 @@
+/**
+ * Atomic Operations Test Suite
+ * Tests that invoice creation, editing and voiding change stock from the parts read in their transaction
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { doc, collection, runTransaction } from 'firebase/firestore'
+import AtomicOperations from '../utils/AtomicOperations'
+
+vi.mock('../utils/AuditTrail.js', () => ({
+  default: {
+    recordInvoiceCreation: vi.fn(() => Promise.resolve()),
+    recordEditStart: vi.fn(() => Promise.resolve()),
+    recordEditCompletion: vi.fn(() => Promise.resolve()),
+    recordError: vi.fn(() => Promise.resolve()),
+    getSessionId: vi.fn(() => 'session-test')
+  }
+}))
+
+vi.mock('../utils/ConflictResolver.js', () => ({
+  default: {
+    checkForConflictsBeforeSave: vi.fn(() => Promise.resolve({ hasConflicts: false, conflicts: [] }))
+  }
+}))
+
+// Documents as the database holds them, keyed by path
+let store = {}
+let writes = []
+
+const snapshotOf = (ref) => ({
+  id: ref.id,
+  exists: () => store[ref.path] !== undefined,
+  data: () => store[ref.path]
+})
+
+beforeEach(() => {
+  store = {}
+  writes = []
+  let autoId = 0
+  vi.mocked(doc).mockImplementation((parent, path, id) => {
+    if (path === undefined) {
+      autoId += 1
+      return { id: `auto-${autoId}`, path: `${parent.path}/auto-${autoId}` }
+    }
+    return { id, path: `${path}/${id}` }
+  })
+  vi.mocked(collection).mockImplementation((db, path) => ({ path }))
+  vi.mocked(runTransaction).mockImplementation(async (db, callback) => {
+    const transaction = {
+      get: vi.fn(async (ref) => snapshotOf(ref)),
+      set: vi.fn((ref, data) => writes.push({ type: 'set', path: ref.path, data })),
+      update: vi.fn((ref, data) => writes.push({ type: 'update', path: ref.path, data }))
+    }
+    return callback(transaction)
+  })
+})
+
+const invoice = {
+  invoiceNumber: 'INV-TEST',
+  partsOrdered: [
+    { partId: 'part-1', partName: 'Brake Pad', quantity: 2, pricePerUnit: 80, total: 160 },
+    { partName: 'Labour', quantity: 1, pricePerUnit: 50, total: 50 }
+  ]
+}
+
+describe('AtomicOperations.createInvoiceWithStockDeduction', () => {
+  test('should deduct from the stock read in the transaction, not the cached parts', async () => {
+    // Another sale took stock from 10 to 7 after this form loaded its parts
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 7 }
+    const cachedParts = [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 10 }]
+
+    const result = await AtomicOperations.createInvoiceWithStockDeduction(invoice, cachedParts, { collectionName: 'customer_invoices' })
+
+    expect(result.success).toBe(true)
+    const partWrite = writes.find(write => write.path === 'parts/part-1')
+    expect(partWrite.data.unitStock).toBe(5)
+    const movement = writes.find(write => write.path.startsWith('stock_movements/'))
+    expect(movement.data).toMatchObject({ partId: 'part-1', stockBefore: 7, stockAfter: 5, quantity: -2 })
+    expect(result.stockChanges).toEqual([expect.objectContaining({ partId: 'part-1', quantityBefore: 7, quantityAfter: 5 })])
+  })
+
+  test('should fail without writing when the latest stock is too low', async () => {
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 1 }
+    const cachedParts = [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 10 }]
+
+    const result = await AtomicOperations.createInvoiceWithStockDeduction(invoice, cachedParts, { collectionName: 'customer_invoices' })
+
+    expect(result.success).toBe(false)
+    expect(result.details.errors[0].message).toContain('Insufficient stock for Brake Pad')
+    expect(writes).toEqual([])
+  })
+})
+
+describe('AtomicOperations.executeInvoiceEdit', () => {
+  const editedInvoice = {
+    ...invoice,
+    partsOrdered: [{ ...invoice.partsOrdered[0], quantity: 5, total: 400 }, invoice.partsOrdered[1]]
+  }
+
+  test('should change stock by the edit from the stock read in the transaction, not the cached parts', async () => {
+    // The form loaded stock at 10, but another sale has since taken it to 6
+    store['customer_invoices/inv-1'] = { ...invoice, version: 1 }
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 6 }
+    const cachedParts = [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 10 }]
+
+    const result = await AtomicOperations.executeInvoiceEdit('inv-1', editedInvoice, cachedParts, { ...invoice, version: 1 }, { collectionName: 'customer_invoices' })
+
+    expect(result.success).toBe(true)
+    expect(writes.find(write => write.path === 'parts/part-1').data.unitStock).toBe(3)
+    const movement = writes.find(write => write.path.startsWith('stock_movements/'))
+    expect(movement.data).toMatchObject({ partId: 'part-1', stockBefore: 6, stockAfter: 3, quantity: -3 })
+    expect(writes.find(write => write.path === 'customer_invoices/inv-1').data.version).toBe(2)
+  })
+
+  test('should fail without writing when the latest stock is too low for the edit', async () => {
+    store['customer_invoices/inv-1'] = { ...invoice, version: 1 }
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 1 }
+    const cachedParts = [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 10 }]
+
+    const result = await AtomicOperations.executeInvoiceEdit('inv-1', editedInvoice, cachedParts, { ...invoice, version: 1 }, { collectionName: 'customer_invoices' })
+
+    expect(result).toMatchObject({ success: false, error: 'Validation failed' })
+    expect(writes).toEqual([])
+  })
+
+  test('should refuse the edit when the invoice was saved by someone else in the meantime', async () => {
+    store['customer_invoices/inv-1'] = { ...invoice, version: 2 }
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 10 }
+    const cachedParts = [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 10 }]
+
+    const result = await AtomicOperations.executeInvoiceEdit('inv-1', editedInvoice, cachedParts, { ...invoice, version: 1 }, { collectionName: 'customer_invoices' })
+
+    expect(result).toMatchObject({ success: false, error: 'Concurrent edit detected' })
+    expect(writes).toEqual([])
+  })
+})
+
+describe('AtomicOperations.voidInvoiceWithStockRestoration', () => {
+  test('should keep the invoice, mark it void and return its parts to the latest stock', async () => {
+    store['customer_invoices/inv-1'] = { ...invoice, customerTotal: 210, paymentStatus: 'pending' }
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 4 }
+
+    const result = await AtomicOperations.voidInvoiceWithStockRestoration('inv-1', 'Duplicate invoice', { actor: { name: 'Farid', id: 'emp-9' } })
+
+    expect(result.success).toBe(true)
+    const invoiceWrite = writes.find(write => write.path === 'customer_invoices/inv-1')
+    expect(invoiceWrite).toMatchObject({ type: 'update', data: { paymentStatus: 'void', voidReason: 'Duplicate invoice', voidedBy: 'Farid' } })
+    expect(writes.find(write => write.path === 'parts/part-1').data.unitStock).toBe(6)
+    const movement = writes.find(write => write.path.startsWith('stock_movements/'))
+    expect(movement.data).toMatchObject({ type: 'return', reason: 'invoice_void', stockBefore: 4, stockAfter: 6 })
+  })
+
+  test('should refuse invoices that already have payments', async () => {
+    store['customer_invoices/inv-1'] = { ...invoice, customerTotal: 210, paymentStatus: 'partially_paid', paidAmount: 100 }
+
+    const result = await AtomicOperations.voidInvoiceWithStockRestoration('inv-1', 'Wrong customer')
+
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('issue a credit note')
+    expect(writes).toEqual([])
+  })
+})
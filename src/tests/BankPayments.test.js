@@ -0,0 +1,90 @@
+/**
+ * Bank Payments Test Suite
+ * Tests matching bank details, fixed-width and CSV files, and template checks
+ */
+
+import { describe, test, expect } from 'vitest'
+import BankPayments, { BUILT_IN_TEMPLATES } from '../utils/BankPayments'
+import Spreadsheet from '../utils/Spreadsheet'
+
+const employees = [
+  { id: 'emp-1', bankCode: 'MBBEMYKL', bankAccount: '5140-1234-5678', bankAccountName: 'Aminah binti Yusof', idNumber: '900101-14-5678' },
+  { id: 'emp-2', bankCode: 'CIBBMYKL', bankAccount: '8001234567', bankAccountName: 'Tan Wei Ming, Jason' },
+  { id: 'emp-3', bankCode: '', bankAccount: '' }
+]
+
+const getTemplate = (id) => BUILT_IN_TEMPLATES.find(template => template.id === id)
+
+describe('BankPayments', () => {
+  test('should match amounts to bank details and flag what cannot be paid', () => {
+    const { payments, errors, skipped } = BankPayments.buildPayments([
+      { employeeId: 'emp-1', name: 'Aminah Yusof', amount: 4305.35, reference: 'SALARY 2025-01' },
+      { employeeId: 'emp-2', name: 'Jason Tan', amount: 0, reference: 'SALARY 2025-01' },
+      { employeeId: 'emp-3', name: 'Kumar', amount: 1200, reference: 'SALARY 2025-01' },
+      { employeeId: null, name: 'Unlinked Mechanic', amount: 300, reference: 'COM-2025-01' }
+    ], employees)
+
+    expect(payments).toEqual([{
+      employeeId: 'emp-1',
+      beneficiaryName: 'Aminah binti Yusof',
+      accountNumber: '514012345678',
+      bankCode: 'MBBEMYKL',
+      bankName: 'Maybank',
+      idNumber: '900101-14-5678',
+      amountCents: 430535,
+      reference: 'SALARY 2025-01'
+    }])
+    expect(skipped).toEqual([{ name: 'Jason Tan', reason: 'nothing to pay' }])
+    expect(errors).toEqual(['Kumar: no bank account number', 'Unlinked Mechanic: not linked to an employee record'])
+  })
+
+  test('should write fixed-width records with matching trailer totals', () => {
+    const { payments } = BankPayments.buildPayments([
+      { employeeId: 'emp-1', name: 'Aminah Yusof', amount: 4305.36, reference: 'SALARY 2025-01' },
+      { employeeId: 'emp-2', name: 'Jason Tan', amount: 2500, reference: 'SALARY 2025-01' }
+    ], employees)
+
+    const file = BankPayments.generateFile(getTemplate('ibg_fixed_width'), payments, {
+      companyName: 'One X Transmission Sdn Bhd',
+      companyAccount: '5140-0000-1111',
+      paymentDate: '2025-01-31',
+      reference: 'PAY-2025-01'
+    })
+    const lines = file.content.split('\r\n')
+    expect(lines.pop()).toBe('')
+    expect(lines.map(line => line.length)).toEqual([85, 133, 133, 37])
+    expect(lines[0].startsWith('H514000001111    ONE X TRANSMISSION SDN BHD')).toBe(true)
+    expect(lines[0].slice(57, 65)).toBe('20250131')
+    expect(lines[1].slice(0, 18)).toBe('D000001MBBEMYKL   ')
+    expect(lines[1].slice(98, 113)).toBe('000000000430536')
+    expect(lines[2].slice(38, 78).trim()).toBe('TAN WEI MING, JASON')
+
+    // Hash total is the sum of the last 10 digits of each account
+    expect(file.summary).toMatchObject({ count: 2, totalCents: 680536, totalAmount: '6805.36', hashTotal: 4012345678 + 8001234567 })
+    expect(lines[3]).toBe('T000002000000000680536000012013580245')
+    expect(file.summary.checksum).toBe(Spreadsheet.crc32(file.content))
+    expect(file.filename).toBe('ibg_fixed_width_PAY-2025-01_20250131.txt')
+  })
+
+  test('should quote CSV values and reject broken templates', () => {
+    const { payments } = BankPayments.buildPayments([
+      { employeeId: 'emp-2', name: 'Jason Tan', amount: 150.5, reference: 'COM-2025-01' }
+    ], employees)
+    const file = BankPayments.generateFile(getTemplate('generic_csv'), payments, { paymentDate: '2025-02-05', reference: 'COM-2025-01' })
+    expect(file.content).toBe(
+      'Name,Bank,Bank Code,Account Number,Amount,Reference\r\n' +
+      '"Tan Wei Ming, Jason",CIMB Bank,CIBBMYKL,8001234567,150.50,COM-2025-01\r\n' +
+      'TOTAL,1,150.50,8001234567\r\n'
+    )
+    expect(Spreadsheet.crc32('123456789')).toBe('CBF43926')
+
+    expect(BankPayments.validateTemplate({ id: 'bad', name: 'Bad', format: 'fixed', fields: [{ field: 'salary', width: 10 }, { field: 'amount' }] })).toEqual([
+      'Bad: unknown detail field "salary"',
+      'Bad: every fixed-width detail field needs a width'
+    ])
+    expect(BankPayments.validateSettings({ defaultTemplateId: 'missing', customTemplates: [{ ...getTemplate('generic_csv') }] })).toEqual([
+      'Template id "generic_csv" is already in use',
+      'The default template does not exist'
+    ])
+  })
+})
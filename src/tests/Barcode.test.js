@@ -0,0 +1,39 @@
+/**
+ * Barcode Test Suite
+ * Tests Code 128 encoding of part codes and matching scans to parts
+ */
+
+import { describe, test, expect } from 'vitest'
+import Barcode, { QUIET_ZONE_MODULES } from '../utils/Barcode'
+
+describe('Barcode', () => {
+  test('should encode start, data, checksum and stop symbols', () => {
+    const widths = Barcode.encodeCode128('ATF-01')
+
+    // 6 data symbols + start + checksum at 11 modules each, stop at 13
+    expect(widths.reduce((sum, width) => sum + width, 0)).toBe(11 * 8 + 13)
+    expect(widths.slice(0, 6).join('')).toBe('211214') // start B
+    expect(widths.slice(6, 12).join('')).toBe('111323') // "A"
+    // (104 + 33*1 + 52*2 + 38*3 + 13*4 + 16*5 + 17*6) % 103 = 74
+    expect(widths.slice(-13, -7).join('')).toBe('142211')
+    expect(widths.slice(-7).join('')).toBe('2331112') // stop
+
+    const { bars, totalModules } = Barcode.getBars('ATF-01')
+    expect(bars[0]).toEqual({ x: QUIET_ZONE_MODULES, width: 2 })
+    expect(totalModules).toBe(101 + QUIET_ZONE_MODULES * 2)
+  })
+
+  test('should reject codes a barcode cannot hold', () => {
+    expect(Barcode.isEncodable('GSK-01/A')).toBe(true)
+    expect(Barcode.isEncodable('')).toBe(false)
+    expect(() => Barcode.encodeCode128('Seal Ø40')).toThrow('cannot be printed')
+  })
+
+  test('should match scanned codes to parts ignoring case and whitespace', () => {
+    const parts = [{ id: 'part-1', kodProduk: 'ATF-01' }, { id: 'part-2', kodProduk: 'flt-02' }]
+
+    expect(Barcode.findPartByCode(parts, ' atf-01\n').id).toBe('part-1')
+    expect(Barcode.findPartByCode(parts, 'FLT-02').id).toBe('part-2')
+    expect(Barcode.findPartByCode(parts, 'ATF')).toBeNull()
+  })
+})
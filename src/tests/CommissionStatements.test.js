@@ -0,0 +1,165 @@
+/**
+ * Commission Statements Test Suite
+ * Tests commission shares, monthly statements, clawback adjustments and payroll commission
+ */
+
+import { describe, test, expect } from 'vitest'
+import CommissionStatements, { STATEMENT_STATUSES, ADJUSTMENT_REASONS } from '../utils/CommissionStatements'
+
+const individualInvoice = {
+  id: 'inv-1',
+  invoiceNumber: 'INV-001',
+  customerName: 'Ali',
+  dateCreated: new Date(2025, 0, 10),
+  paymentStatus: 'paid',
+  total: 1000,
+  commissionAmount: 100,
+  commissionDistributionType: 'individual',
+  commissionDistribution: { mechanic: { id: 'mech-a', name: 'Ahmad' }, percentage: 100 }
+}
+
+const teamInvoice = {
+  id: 'inv-2',
+  invoiceNumber: 'INV-002',
+  customerName: 'Siti',
+  dateCreated: new Date(2025, 0, 20),
+  paymentStatus: 'paid',
+  total: 500,
+  commissionAmount: 50,
+  commissionDistributionType: 'team',
+  commissionDistribution: {
+    teamMembers: [
+      { mechanicId: 'mech-a', mechanicName: 'Ahmad', percentage: 60 },
+      { mechanicId: 'mech-b', mechanicName: 'Badrul', percentage: 40 }
+    ]
+  }
+}
+
+describe('CommissionStatements', () => {
+  test('should split team commission and reduce it for credits', () => {
+    expect(CommissionStatements.getInvoiceShares(teamInvoice).map(share => [share.mechanicKey, share.percentage])).toEqual([
+      ['mech-a', 60],
+      ['mech-b', 40]
+    ])
+    expect(CommissionStatements.getInvoiceShares({ mechanicName: 'Chong Wei' })[0].mechanicKey).toBe('name-chong-wei')
+    expect(CommissionStatements.getEarnedCommission({ ...individualInvoice, creditedAmount: 250 })).toBe(75)
+  })
+
+  test('should build one statement per mechanic for the month', () => {
+    const statements = CommissionStatements.buildStatements('2025-01', [individualInvoice, teamInvoice])
+    expect(statements.map(statement => [statement.id, statement.summary.total])).toEqual([
+      ['2025-01_mech-a', 130],
+      ['2025-01_mech-b', 20]
+    ])
+    expect(statements[0].summary.invoiceCount).toBe(2)
+    expect(CommissionStatements.buildStatements('2025-02', [individualInvoice, teamInvoice])).toEqual([])
+  })
+
+  test('should only count commission on paid invoices', () => {
+    const invoices = [
+      { ...individualInvoice, id: 'inv-paid' },
+      { ...individualInvoice, id: 'inv-pending', paymentStatus: 'pending' },
+      { ...individualInvoice, id: 'inv-partial', paymentStatus: 'partially_paid' },
+      { ...individualInvoice, id: 'inv-void', paymentStatus: 'void' },
+      // Credited after payment - still earns on what was not credited
+      { ...individualInvoice, id: 'inv-credited', paymentStatus: 'credited', paymentDate: new Date(2025, 0, 12), creditedAmount: 500 }
+    ]
+    const [statement] = CommissionStatements.buildStatements('2025-01', invoices)
+    expect(statement.lines.map(line => [line.invoiceId, line.amount])).toEqual([
+      ['inv-paid', 100],
+      ['inv-credited', 50]
+    ])
+    expect(statement.summary.total).toBe(150)
+
+    // Paid after its month was approved, so it goes on a later statement
+    const approved = [{ ...CommissionStatements.buildStatements('2025-01', [invoices[0]])[0], status: STATEMENT_STATUSES.APPROVED }]
+    const [february] = CommissionStatements.buildStatements('2025-02', [invoices[0], { ...invoices[1], paymentStatus: 'paid' }], approved)
+    expect(february.lines.map(line => [line.invoiceId, line.adjustmentReason, line.amount])).toEqual([
+      ['inv-pending', ADJUSTMENT_REASONS.PAID, 100]
+    ])
+  })
+
+  test('should claw back credits and deletions after a month is approved', () => {
+    const [approved] = CommissionStatements.buildStatements('2025-01', [individualInvoice, teamInvoice])
+    const saved = [{ ...approved, status: STATEMENT_STATUSES.APPROVED }]
+    const februaryInvoice = { ...individualInvoice, id: 'inv-3', dateCreated: new Date(2025, 1, 3), commissionAmount: 40 }
+    const credited = { ...individualInvoice, creditedAmount: 500 }
+
+    const [february] = CommissionStatements.buildStatements('2025-02', [credited, februaryInvoice], saved)
+    const adjustments = february.lines.filter(line => line.adjustment)
+    expect(adjustments.map(line => [line.invoiceId, line.adjustmentReason, line.amount])).toEqual([
+      ['inv-1', ADJUSTMENT_REASONS.CREDITED, -50],
+      ['inv-2', ADJUSTMENT_REASONS.DELETED, -30]
+    ])
+    expect(february.summary).toEqual({ invoiceCount: 1, commissionTotal: 40, adjustmentTotal: -80, total: -40 })
+
+    // Voided after approval, even with a payment date left on it
+    const voided = { ...individualInvoice, paymentStatus: 'void', paymentDate: new Date(2025, 0, 11) }
+    expect(CommissionStatements.getEarnedCommission(voided)).toBe(0)
+    const [clawback] = CommissionStatements.buildStatements('2025-02', [voided, teamInvoice], saved)
+    expect(clawback.lines.map(line => [line.invoiceId, line.adjustmentReason, line.amount])).toEqual([
+      ['inv-1', ADJUSTMENT_REASONS.VOIDED, -100]
+    ])
+
+    // A draft is not settled, so it is simply rebuilt
+    const drafts = [{ ...approved, status: STATEMENT_STATUSES.DRAFT }]
+    expect(CommissionStatements.buildStatements('2025-02', [credited], drafts)).toEqual([])
+  })
+
+  test('should pay approved statements through payroll once', () => {
+    const statement = (period, mechanicKey, status, total, extra = {}) => ({
+      id: `${period}_${mechanicKey}`,
+      period,
+      mechanicKey,
+      status,
+      summary: { invoiceCount: 2, commissionTotal: total, adjustmentTotal: 0, total },
+      ...extra
+    })
+    const statements = [
+      statement('2025-02', 'mech-a', STATEMENT_STATUSES.APPROVED, 80),
+      statement('2025-01', 'mech-a', STATEMENT_STATUSES.APPROVED, 120),
+      statement('2024-12', 'mech-a', STATEMENT_STATUSES.PAID, 90),
+      statement('2025-03', 'mech-a', STATEMENT_STATUSES.DRAFT, 60),
+      statement('2024-11', 'mech-a', STATEMENT_STATUSES.APPROVED, 40, { payRunId: '2024-12' }),
+      statement('2025-01', 'mech-b', STATEMENT_STATUSES.APPROVED, 20)
+    ]
+
+    const commission = CommissionStatements.getPayrollCommission(statements, 'mech-a', '2025-02')
+    expect(commission.total).toBe(200)
+    expect(commission.lines).toEqual([
+      { statementId: '2025-01_mech-a', period: '2025-01', invoiceCount: 2, adjustmentTotal: 0, amount: 120 },
+      { statementId: '2025-02_mech-a', period: '2025-02', invoiceCount: 2, adjustmentTotal: 0, amount: 80 }
+    ])
+
+    // The run that took a statement keeps it when recalculated
+    expect(CommissionStatements.getPayrollCommission(statements, 'mech-a', '2024-12').total).toBe(240)
+    expect(CommissionStatements.getPayrollCommission(statements, null, '2025-02')).toEqual({ total: 0, lines: [] })
+  })
+
+  test('should list approved statements payroll cannot pay for export', () => {
+    const statement = (id, mechanicId, status, total, extra = {}) => ({
+      id,
+      period: '2025-01',
+      mechanicId,
+      mechanicName: id,
+      status,
+      summary: { invoiceCount: 1, commissionTotal: total, adjustmentTotal: 0, total },
+      ...extra
+    })
+    const employees = [{ id: 'emp-1', mechanicId: 'mech-a' }]
+    const statements = [
+      statement('linked', 'mech-a', STATEMENT_STATUSES.APPROVED, 80),
+      statement('unlinked', 'mech-b', STATEMENT_STATUSES.APPROVED, 50.5),
+      statement('no-mechanic-id', null, STATEMENT_STATUSES.APPROVED, 30),
+      statement('draft', 'mech-b', STATEMENT_STATUSES.DRAFT, 20),
+      statement('paid', 'mech-b', STATEMENT_STATUSES.PAID, 10)
+    ]
+
+    const outside = CommissionStatements.getStatementsOutsidePayroll(statements, employees)
+    expect(outside.map(item => item.id)).toEqual(['unlinked', 'no-mechanic-id'])
+
+    const rows = CommissionStatements.toPayoutRows(outside)
+    expect(rows[0]).toEqual(['Mechanic', 'Period', 'Invoices', 'Adjustments (RM)', 'Amount (RM)', 'Statement'])
+    expect(rows[1]).toEqual(['unlinked', CommissionStatements.getPeriodLabel('2025-01'), 1, 0, 50.5, 'unlinked'])
+  })
+})
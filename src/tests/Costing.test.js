@@ -0,0 +1,80 @@
+/**
+ * Costing Test Suite
+ * Tests weighted average cost, invoice line cost snapshots and gross margin summaries
+ */
+
+import { describe, test, expect } from 'vitest'
+import Costing from '../utils/Costing'
+
+const invoice = {
+  id: 'inv-1',
+  invoiceNumber: 'INV-2026-0001',
+  dateCreated: new Date('2026-05-14'),
+  discount: 10,
+  pricesIncludeTax: false,
+  partsOrdered: [
+    { partId: 'part-1', partName: 'ATF 1L', quantity: 4, total: 200, unitCost: 25 },
+    { partId: null, partName: 'Sealant', quantity: 1, total: 50, unitCost: null }
+  ],
+  laborCharges: [{ description: 'Gearbox service', amount: 150 }]
+}
+
+describe('Costing', () => {
+  test('should blend received cost into the average for stock on hand', () => {
+    expect(Costing.getWeightedAverageCost({ stock: 10, averageCost: 20, quantity: 10, unitCost: 30 })).toBe(25)
+    expect(Costing.getWeightedAverageCost({ stock: 0, averageCost: 20, quantity: 5, unitCost: 30 })).toBe(30)
+    expect(Costing.getWeightedAverageCost({ stock: 4, averageCost: null, quantity: 5, unitCost: 18.5 })).toBe(18.5)
+  })
+
+  test('should snapshot part costs onto inventory lines without overwriting saved costs', () => {
+    const parts = [{ id: 'part-1', averageCost: 22.5, lastCostPrice: 24 }, { id: 'part-2', lastCostPrice: 9 }]
+    const lines = Costing.snapshotLineCosts([
+      { partId: 'part-1', quantity: 2 },
+      { partId: 'part-2', quantity: 3, unitCost: 8 },
+      { partId: null, quantity: 1, unitCost: '' }
+    ], parts)
+
+    expect(lines.map(line => line.unitCost)).toEqual([22.5, 8, null])
+    expect(lines.map(line => line.costTotal)).toEqual([45, 24, null])
+    expect(Costing.getPartsCost(lines)).toBe(69)
+  })
+
+  test('should work out invoice margin net of discount and tax', () => {
+    const margin = Costing.calculateInvoiceMargin(invoice)
+
+    expect(margin.revenue).toBe(360)
+    expect(margin.partsCost).toBe(100)
+    expect(margin.grossProfit).toBe(260)
+    expect(margin.uncostedLines).toBe(1)
+
+    const taxInclusive = Costing.calculateInvoiceMargin({
+      pricesIncludeTax: true,
+      partsOrdered: [{ partId: 'part-1', quantity: 1, total: 108, taxCode: 'SST', taxRate: 8, unitCost: 60 }]
+    })
+    expect(taxInclusive.revenue).toBe(100)
+    expect(taxInclusive.marginPercent).toBe(40)
+  })
+
+  test('should spread hand-typed supplier cost over lines on older invoices', () => {
+    const legacy = {
+      partsSupplierCost: 90,
+      partsOrdered: [
+        { partId: 'part-1', quantity: 2, total: 100 },
+        { partId: 'part-2', quantity: 1, total: 50 }
+      ]
+    }
+
+    expect(Costing.getCostedLines(legacy).map(line => line.unitCost)).toEqual([30, 30])
+    expect(Costing.calculateInvoiceMargin(legacy).partsCost).toBe(90)
+  })
+
+  test('should summarize margin by part and by month', () => {
+    const later = { ...invoice, id: 'inv-2', dateCreated: new Date('2026-06-02'), discount: 0, laborCharges: [] }
+    const byPart = Costing.summarizeByPart([invoice, later])
+    const byPeriod = Costing.summarizeByPeriod([invoice, later])
+
+    expect(byPart[0]).toMatchObject({ key: 'part-1', quantity: 8, revenue: 380, cost: 200, grossProfit: 180 })
+    expect(byPeriod.map(row => row.period)).toEqual(['2026-06', '2026-05'])
+    expect(byPeriod[0]).toMatchObject({ invoiceCount: 1, revenue: 250, partsCost: 100, grossProfit: 150 })
+  })
+})
@@ -0,0 +1,117 @@
+/**
+ * Credit Notes Test Suite
+ * Tests creditable quantities, refunds on paid invoices, stock returns and editing credited invoices
+ */
+
+import { describe, test, expect, vi } from 'vitest'
+import CreditNotes from '../utils/CreditNotes'
+import PaymentLedger from '../utils/PaymentLedger'
+import AtomicOperations from '../utils/AtomicOperations'
+import { saveCustomerInvoiceEdit } from '../utils/FirebaseDataUtils'
+
+const invoice = {
+  invoiceNumber: 'INV-2026-0001',
+  partsOrdered: [
+    { partId: 'part-1', sku: 'BP-01', partName: 'Brake Pad', quantity: 2, pricePerUnit: 100, total: 200 },
+    { sku: 'MISC', partName: 'Sundries', quantity: 1, pricePerUnit: 50, total: 50 }
+  ],
+  laborCharges: [
+    { description: 'Brake service', amount: 150 }
+  ],
+  customerTotal: 400,
+  paidAmount: 0,
+  paymentStatus: 'pending'
+}
+
+const select = (selections) => CreditNotes.buildLines(CreditNotes.getCreditableLines(invoice), selections)
+
+describe('CreditNotes', () => {
+  test('should reduce what is creditable by earlier credit notes', () => {
+    const earlier = { lines: [{ lineType: 'part', sourceIndex: 0, quantity: 1, total: 100 }] }
+    const lines = CreditNotes.getCreditableLines(invoice, [earlier])
+
+    expect(lines[0].remainingQuantity).toBe(1)
+    expect(lines[1].remainingQuantity).toBe(1)
+    expect(lines[2].remainingAmount).toBe(150)
+  })
+
+  test('should prefer the credited tally kept on the invoice and add new lines to it', () => {
+    const legacyNote = { lines: [{ lineType: 'part', sourceIndex: 0, quantity: 2, total: 200 }] }
+    const tallied = { ...invoice, creditedLines: { 'part:0': { quantity: 1, amount: 100 } } }
+
+    expect(CreditNotes.getCreditableLines(tallied, [legacyNote])[0].remainingQuantity).toBe(1)
+    expect(CreditNotes.getCreditedLines(invoice, [legacyNote, { ...legacyNote, status: 'void' }])).toEqual({ 'part:0': { quantity: 2, amount: 200 } })
+
+    const updated = CreditNotes.addCreditedLines(tallied.creditedLines, select({ 'part:0': { quantity: 1 }, 'labor:0': { amount: 40.1 } }))
+    expect(updated).toEqual({ 'part:0': { quantity: 2, amount: 200 }, 'labor:0': { quantity: 1, amount: 40.1 } })
+    expect(tallied.creditedLines['part:0'].quantity).toBe(1)
+  })
+
+  test('should reduce the balance without a refund on an unpaid invoice', () => {
+    const settlement = CreditNotes.calculateSettlement(invoice, 100)
+
+    expect(settlement.refundAmount).toBe(0)
+    expect(settlement.outstandingBalance).toBe(300)
+    expect(settlement.paymentStatus).toBe('pending')
+  })
+
+  test('should refund the overpayment on a paid invoice', () => {
+    const paidInvoice = { ...invoice, paidAmount: 400, paymentStatus: 'paid' }
+    const settlement = CreditNotes.calculateSettlement(paidInvoice, 100)
+
+    expect(settlement.refundAmount).toBe(100)
+    expect(settlement.paidAmount).toBe(300)
+    expect(settlement.outstandingBalance).toBe(0)
+    expect(settlement.paymentStatus).toBe('paid')
+  })
+
+  test('should mark a fully credited invoice as credited', () => {
+    const partlyPaid = { ...invoice, paidAmount: 150, paymentStatus: 'partially_paid' }
+    const settlement = CreditNotes.calculateSettlement(partlyPaid, 400)
+
+    expect(settlement.refundAmount).toBe(150)
+    expect(settlement.paymentStatus).toBe('credited')
+    expect(PaymentLedger.getOutstandingBalance({ ...partlyPaid, ...settlement })).toBe(0)
+  })
+
+  test('should only restock inventory lines that are flagged', () => {
+    const lines = select({
+      'part:0': { quantity: 1, returnToStock: true },
+      'part:1': { quantity: 1, returnToStock: true }
+    })
+    const restock = CreditNotes.getRestockItems(lines)
+
+    expect(restock).toHaveLength(1)
+    expect(restock[0]).toMatchObject({ partId: 'part-1', quantity: 1 })
+  })
+
+  test('should reject quantities above what is left and a missing reason', () => {
+    const creditable = CreditNotes.getCreditableLines(invoice)
+    const lines = select({ 'part:0': { quantity: 3 } })
+
+    expect(CreditNotes.validate(invoice, creditable, lines, '')).toHaveLength(2)
+    expect(CreditNotes.validate(invoice, creditable, select({ 'labor:0': { amount: 150 } }), 'Goodwill')).toEqual([])
+  })
+
+  test('should keep credit notes in the status and balance when a credited invoice is edited', async () => {
+    const credited = {
+      ...invoice,
+      id: 'inv-1',
+      paidAmount: 250,
+      paymentStatus: 'paid',
+      paymentDate: new Date('2026-03-02'),
+      creditedAmount: 150,
+      creditedLines: { 'labor:0': { amount: 150 } }
+    }
+    // The edit form sends back the lines and totals, not the credit note tallies
+    const { creditedAmount, creditedLines, ...formData } = credited
+    const editSpy = vi.spyOn(AtomicOperations, 'executeInvoiceEdit')
+      .mockImplementation(async (invoiceId, modifiedInvoice) => ({ success: true, invoice: modifiedInvoice }))
+
+    const saved = await saveCustomerInvoiceEdit(credited, { ...formData, notes: 'Customer called' })
+
+    expect(saved).toMatchObject({ paymentStatus: 'paid', outstandingBalance: 0, creditedAmount: 150 })
+    expect(saved.creditedLines).toEqual(creditedLines)
+    editSpy.mockRestore()
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Document Numbering Test Suite
+ * Tests prefixes and padding, start numbers and the yearly rollover
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { doc, setDoc } from 'firebase/firestore'
+import DocumentNumbering, { DOCUMENT_TYPES } from '../utils/DocumentNumbering'
+
+beforeEach(() => {
+  vi.mocked(doc).mockImplementation((db, path, id) => ({ id, path: `${path}/${id}` }))
+})
+
+// Transaction over in-memory documents keyed by path
+const createTransaction = (store) => ({
+  get: vi.fn(async (ref) => ({ exists: () => store[ref.path] !== undefined, data: () => store[ref.path] })),
+  set: vi.fn((ref, data) => { store[ref.path] = data })
+})
+
+describe('DocumentNumbering', () => {
+  test('should format numbers with the configured prefix and padding', () => {
+    const invoiceConfig = DocumentNumbering.getConfig(DOCUMENT_TYPES.INVOICE)
+    expect(DocumentNumbering.formatNumber(invoiceConfig, 2026, 7)).toBe('INV-2026-0007')
+    expect(DocumentNumbering.formatNumber(invoiceConfig, 2026, 12345)).toBe('INV-2026-12345')
+
+    const customConfig = DocumentNumbering.getConfig(DOCUMENT_TYPES.QUOTATION, { quotation: { prefix: 'QT', padding: 6 } })
+    expect(customConfig).toEqual({ prefix: 'QT', padding: 6, startNumber: 1 })
+    expect(DocumentNumbering.formatNumber(customConfig, 2026, 42)).toBe('QT-2026-000042')
+    expect(() => DocumentNumbering.getConfig('delivery_order')).toThrow('Unknown document type: delivery_order')
+  })
+
+  test('should continue from the start number until the counter passes it', () => {
+    const config = { prefix: 'INV', padding: 4, startNumber: 350 }
+    expect(DocumentNumbering.getNextSequence(null, config)).toBe(350)
+    expect(DocumentNumbering.getNextSequence({ lastNumber: 120 }, config)).toBe(350)
+    expect(DocumentNumbering.getNextSequence({ lastNumber: 350 }, config)).toBe(351)
+    expect(DocumentNumbering.getNextSequence({ lastNumber: 9 }, { startNumber: 1 })).toBe(10)
+  })
+
+  test('should start a new series each year', async () => {
+    const store = { 'counters/invoice_2025': { lastNumber: 57 } }
+
+    const lastOf2025 = await DocumentNumbering.allocateNumber(createTransaction(store), DOCUMENT_TYPES.INVOICE, '2025-12-31T10:00:00')
+    const firstOf2026 = await DocumentNumbering.allocateNumber(createTransaction(store), DOCUMENT_TYPES.INVOICE, '2026-01-02T09:00:00')
+    const secondOf2026 = await DocumentNumbering.allocateNumber(createTransaction(store), DOCUMENT_TYPES.INVOICE, '2026-01-02T11:00:00')
+
+    expect([lastOf2025, firstOf2026, secondOf2026]).toEqual(['INV-2025-0058', 'INV-2026-0001', 'INV-2026-0002'])
+    expect(store['counters/invoice_2025']).toMatchObject({ lastNumber: 58, lastDocumentNumber: 'INV-2025-0058' })
+    expect(store['counters/invoice_2026']).toMatchObject({ year: 2026, lastNumber: 2 })
+  })
+
+  test('should reject invalid and duplicate prefixes', async () => {
+    await expect(DocumentNumbering.saveSettings({ invoice: { prefix: 'INV-' } })).rejects.toThrow('Prefix for invoice must be 1-6 letters or digits')
+    await expect(DocumentNumbering.saveSettings({ receipt: { prefix: 'inv' } })).rejects.toThrow('Each document type needs its own prefix')
+    expect(setDoc).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * Firestore Rules Test Suite
+ * Tests that salary, payroll and commission data is limited to management roles
+ * Needs the Firestore emulator, so it is skipped unless FIRESTORE_EMULATOR_HOST is set:
+ *   firebase emulators:exec --only firestore "npm run test:rules"
+ */
+
+import { describe, test, beforeAll, beforeEach, afterAll } from 'vitest'
+import { readFileSync } from 'fs'
+
+const OWNER_EMAIL = 'owner@example.com'
+const RESTRICTED_COLLECTIONS = ['employee_private', 'payroll', 'pay_runs', 'commission_statements']
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('Firestore rules', () => {
+  let testEnv
+  let assertSucceeds
+  let assertFails
+
+  // Staff logins as the app links them - users/{uid} points at the employee record
+  const staffLogins = {
+    'uid-manager': { employeeId: 'emp-manager', email: 'manager@onex.my', role: 'manager' },
+    'uid-mechanic': { employeeId: 'emp-mechanic', email: 'mechanic@onex.my', role: 'mechanic' },
+    'uid-former': { employeeId: 'emp-former', email: 'former@onex.my', role: 'manager', status: 'inactive' }
+  }
+
+  const contextFor = (uid) => testEnv.authenticatedContext(uid, { email: staffLogins[uid]?.email }).firestore()
+
+  beforeAll(async () => {
+    const rulesTesting = await import('@firebase/rules-unit-testing')
+    assertSucceeds = rulesTesting.assertSucceeds
+    assertFails = rulesTesting.assertFails
+    testEnv = await rulesTesting.initializeTestEnvironment({
+      projectId: 'onex-rules-test',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+    })
+  })
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore()
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore()
+      for (const [uid, login] of Object.entries(staffLogins)) {
+        await db.collection('employees').doc(login.employeeId).set({ email: login.email, role: login.role, status: login.status || 'active' })
+        await db.collection('users').doc(uid).set({ employeeId: login.employeeId, email: login.email })
+      }
+      for (const collectionName of RESTRICTED_COLLECTIONS) {
+        await db.collection(collectionName).doc('record-1').set({ salary: 3200 })
+      }
+    })
+  })
+
+  afterAll(async () => {
+    await testEnv?.cleanup()
+  })
+
+  test('should let management read and write salary, payroll and commission data', async () => {
+    const manager = contextFor('uid-manager')
+    for (const collectionName of RESTRICTED_COLLECTIONS) {
+      await assertSucceeds(manager.collection(collectionName).doc('record-1').get())
+      await assertSucceeds(manager.collection(collectionName).doc('record-2').set({ salary: 4000 }))
+    }
+
+    // The configured owner gets in before any employee record is linked to the login
+    const owner = testEnv.authenticatedContext('uid-owner', { email: OWNER_EMAIL }).firestore()
+    await assertSucceeds(owner.collection('employee_private').doc('record-1').get())
+  })
+
+  test('should keep other roles, former staff and unlinked logins out', async () => {
+    const logins = [
+      contextFor('uid-mechanic'),
+      contextFor('uid-former'),
+      testEnv.authenticatedContext('uid-unlinked', { email: 'someone@onex.my' }).firestore(),
+      testEnv.unauthenticatedContext().firestore()
+    ]
+    for (const db of logins) {
+      for (const collectionName of RESTRICTED_COLLECTIONS) {
+        await assertFails(db.collection(collectionName).doc('record-1').get())
+        await assertFails(db.collection(collectionName).doc('record-1').set({ salary: 9999 }))
+      }
+    }
+
+    // Other collections stay open to every signed-in role
+    await assertSucceeds(contextFor('uid-mechanic').collection('parts').doc('part-1').get())
+  })
+
+  test('should only let a login link itself to its own employee record and not change roles', async () => {
+    const mechanic = contextFor('uid-mechanic')
+    await assertSucceeds(mechanic.collection('users').doc('uid-mechanic').set({ employeeId: 'emp-mechanic', email: 'mechanic@onex.my' }))
+    await assertFails(mechanic.collection('users').doc('uid-mechanic').set({ employeeId: 'emp-manager', email: 'mechanic@onex.my' }))
+    await assertFails(mechanic.collection('users').doc('uid-manager').set({ employeeId: 'emp-mechanic' }))
+
+    await assertSucceeds(mechanic.collection('employees').doc('emp-manager').get())
+    await assertFails(mechanic.collection('employees').doc('emp-mechanic').update({ role: 'manager' }))
+    await assertSucceeds(contextFor('uid-manager').collection('employees').doc('emp-mechanic').update({ role: 'cashier' }))
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * Job Cards Test Suite
+ * Tests repair status transitions, check-in validation, document drafts and public tracking
+ */
+
+import { describe, test, expect } from 'vitest'
+import JobCards, { REPAIR_STATUSES } from '../utils/JobCards'
+
+const jobCard = {
+  id: 'job-1',
+  jobNumber: 'JOB-2026-0001',
+  customerId: 'cust-1',
+  customerName: 'Aminah',
+  vehicleInfo: { make: 'Proton', model: 'Saga', year: '2019', licensePlate: 'WXY 1234' },
+  issueDescription: 'Gearbox slipping',
+  mileage: 85000,
+  assignedMechanicId: 'mech-1',
+  assignedMechanicName: 'Ravi'
+}
+
+describe('JobCards', () => {
+  test('should allow one stage forward or back', () => {
+    expect(JobCards.getAllowedTransitions(REPAIR_STATUSES.NOT_STARTED))
+      .toEqual([REPAIR_STATUSES.UNDER_INSPECTION])
+    expect(JobCards.canTransition(REPAIR_STATUSES.REPAIR_ONGOING, REPAIR_STATUSES.INSPECTION_COMPLETED)).toBe(true)
+    expect(JobCards.canTransition(REPAIR_STATUSES.NOT_STARTED, REPAIR_STATUSES.READY_FOR_PICKUP)).toBe(false)
+    expect(JobCards.getAllowedTransitions(REPAIR_STATUSES.READY_FOR_PICKUP))
+      .toEqual([REPAIR_STATUSES.REPAIR_ONGOING])
+  })
+
+  test('should record who moved the job', () => {
+    const entry = JobCards.buildStatusEntry('not_started', 'under_inspection', { name: 'Ravi', id: 'emp-1' })
+
+    expect(entry).toMatchObject({ from: 'not_started', status: 'under_inspection', changedBy: 'Ravi', changedById: 'emp-1' })
+    expect(entry.changedAt).toBeInstanceOf(Date)
+  })
+
+  test('should require customer, plate and complaint at check-in', () => {
+    const errors = JobCards.validate({ customerName: '', vehicleInfo: {}, issueDescription: '', mileage: '-5' })
+
+    expect(errors).toHaveLength(4)
+    expect(JobCards.validate({ ...jobCard, fuelLevel: '1/2' })).toEqual([])
+  })
+
+  test('should carry customer, vehicle and complaint into quotation and invoice drafts', () => {
+    const quotation = JobCards.buildQuotation(jobCard)
+    const invoice = JobCards.buildInvoice(jobCard)
+
+    expect(quotation.vehicleInfo.plate).toBe('WXY 1234')
+    expect(quotation.workDescription).toContain('Gearbox slipping')
+    expect(quotation.sourceRepairOrderId).toBe('job-1')
+    expect(invoice.mechanicName).toBe('Ravi')
+    expect(invoice.customerTotal).toBe(0)
+  })
+
+  test('should share progress and the approved quotation without contact or staff details', () => {
+    const trackedJob = {
+      ...jobCard,
+      customerName: 'Aminah Binti Yusof',
+      customerPhone: '012-3456789',
+      repairStatus: REPAIR_STATUSES.REPAIR_ONGOING,
+      statusHistory: [JobCards.buildStatusEntry(null, REPAIR_STATUSES.NOT_STARTED, { name: 'Ravi' }, 'Checked in')]
+    }
+    const quotation = {
+      quotationNumber: 'QUO-2026-0001',
+      status: 'accepted',
+      partsOrdered: [{ partName: 'Clutch Pack', quantity: 1, total: 800, pricePerUnit: 800 }],
+      laborCharges: [{ description: 'Gearbox overhaul', amount: 400 }],
+      subtotal: 1200,
+      total: 1200
+    }
+
+    const snapshot = JobCards.buildTrackingSnapshot(trackedJob, quotation)
+
+    expect(snapshot.customerFirstName).toBe('Aminah')
+    expect(snapshot.progress).toBe(JobCards.getStatusProgress(REPAIR_STATUSES.REPAIR_ONGOING))
+    expect(snapshot.statusHistory[0]).toEqual({ status: REPAIR_STATUSES.NOT_STARTED, changedAt: expect.any(Date) })
+    expect(snapshot.quotation.lines).toHaveLength(2)
+    expect(JSON.stringify(snapshot)).not.toMatch(/012-3456789|Ravi|Checked in|cust-1/)
+    expect(JobCards.buildTrackingSnapshot(trackedJob, { ...quotation, status: 'pending' }).quotation).toBeNull()
+    expect(JobCards.generateTrackingToken()).toMatch(/^[0-9a-f]{32}$/)
+  })
+})
@@ -0,0 +1,52 @@
+/**
+ * Part Images Test Suite
+ * Tests reading legacy and multi-image parts and building the saved image fields
+ */
+
+import { describe, test, expect } from 'vitest'
+import PartImages from '../utils/PartImages'
+
+const DATA_URL = 'data:image/jpeg;base64,/9j/4AAQ'
+
+const storedImage = (name) => ({
+  url: `https://storage.example.com/${name}.jpg`,
+  thumbnailUrl: `https://storage.example.com/${name}_thumb.jpg`,
+  path: `part_images/part-1/${name}.jpg`,
+  thumbnailPath: `part_images/part-1/${name}_thumb.jpg`,
+  name
+})
+
+describe('PartImages', () => {
+  test('should read legacy gambar values as a single image', () => {
+    expect(PartImages.getImages({ gambar: DATA_URL })).toEqual([
+      { url: DATA_URL, thumbnailUrl: DATA_URL, path: null, thumbnailPath: null, name: 'image' }
+    ])
+    expect(PartImages.getImages({ gambar: 'x', images: [storedImage('a')] })).toEqual([storedImage('a')])
+    expect(PartImages.getImages({ gambar: '' })).toEqual([])
+  })
+
+  test('should never save data URLs and use the main thumbnail as gambar', () => {
+    const fields = PartImages.buildImageFields([storedImage('a'), { url: DATA_URL }, storedImage('b')])
+
+    expect(fields.images).toEqual([storedImage('a'), storedImage('b')])
+    expect(fields.gambar).toBe('https://storage.example.com/a_thumb.jpg')
+    expect(PartImages.buildImageFields([])).toEqual({ images: [], gambar: '' })
+
+    const parts = [
+      { id: '1', gambar: DATA_URL },
+      { id: '2', gambar: 'https://example.com/a.jpg' },
+      { id: '3', gambar: DATA_URL, images: [storedImage('a')] }
+    ]
+    expect(PartImages.getPartsToMigrate(parts).map(part => part.id)).toEqual(['1'])
+  })
+
+  test('should list storage files dropped by an edit', () => {
+    const before = [storedImage('a'), storedImage('b'), { url: 'https://example.com/link.jpg', path: null }]
+
+    expect(PartImages.getRemovedPaths(before, [storedImage('b')])).toEqual([
+      'part_images/part-1/a.jpg',
+      'part_images/part-1/a_thumb.jpg'
+    ])
+    expect(PartImages.getRemovedPaths(before, before)).toEqual([])
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * Parts Import Test Suite
+ * Tests spreadsheet reading and writing, column mapping and the import dry run
+ */
+
+import { describe, test, expect } from 'vitest'
+import Spreadsheet from '../utils/Spreadsheet'
+import PartsImport, { IMPORT_ACTIONS } from '../utils/PartsImport'
+
+const parts = [
+  { id: 'part-1', kodProduk: 'ATF-01', namaProduk: 'ATF 1L', harga: 45, supplier: 'Acme', specification: '', unitStock: 10 },
+  { id: 'part-2', kodProduk: 'FLT-01', namaProduk: 'Filter', harga: 30, supplier: 'Acme', specification: '', unitStock: 4 }
+]
+
+describe('Spreadsheet', () => {
+  test('should parse quoted and semicolon-separated CSV', () => {
+    expect(Spreadsheet.parseCsv('\uFEFFCode,Name\r\nA1,"Seal, ""large"""\n\nB2,"Two\nlines"\n'))
+      .toEqual([['Code', 'Name'], ['A1', 'Seal, "large"'], ['B2', 'Two\nlines']])
+    expect(Spreadsheet.parseCsv('Code;Price\nA1;12,50')).toEqual([['Code', 'Price'], ['A1', '12,50']])
+  })
+
+  test('should read back the .xlsx it writes', async () => {
+    const rows = [['kodProduk', 'harga'], ['A&B <1>', 12.5], ['C3', '']]
+    const file = Spreadsheet.toXlsx(rows)
+
+    expect(await Spreadsheet.readXlsx(file.buffer)).toEqual([['kodProduk', 'harga'], ['A&B <1>', '12.5'], ['C3']])
+  })
+})
+
+describe('PartsImport', () => {
+  test('should map supplier headers onto part fields', () => {
+    expect(PartsImport.guessMapping(['Part No', 'Description', 'Unit Price', 'Brand', 'Qty'])).toEqual({
+      kodProduk: 0, namaProduk: 1, harga: 2, supplier: 3, specification: -1, unitStock: 4
+    })
+  })
+
+  test('should preview creates, updates, duplicates and errors without writing', () => {
+    const mapping = PartsImport.guessMapping(['kodProduk', 'namaProduk', 'harga', 'unitStock'])
+    const { rows, summary } = PartsImport.buildPreview([
+      ['atf-01', '', 'RM 48.90', ''],
+      ['FLT-01', 'Filter', '30', '4'],
+      ['NEW-01', 'Gasket', '1,200', '3'],
+      ['NEW-01', 'Gasket again', '12', ''],
+      ['NEW-02', '', 'abc', '-1'],
+      ['NEW-03', 'Seal', '12,50', '']
+    ], mapping, parts)
+
+    expect(rows[0]).toMatchObject({ action: IMPORT_ACTIONS.UPDATE, partId: 'part-1', changes: [{ field: 'harga', from: 45, to: 48.9 }] })
+    expect(rows[1].action).toBe(IMPORT_ACTIONS.UNCHANGED)
+    expect(rows[2]).toMatchObject({ action: IMPORT_ACTIONS.CREATE, values: { namaProduk: 'Gasket', harga: 1200, unitStock: 3 } })
+    expect(rows[3].errors).toEqual(['Duplicate of row 4 in this file'])
+    expect(rows[4].errors).toHaveLength(3)
+    expect(rows[5].values.harga).toBe(12.5)
+    expect(summary).toEqual({ total: 6, create: 2, update: 1, unchanged: 1, error: 2 })
+    expect(PartsImport.toExportRows(parts)[1]).toEqual(['ATF-01', 'ATF 1L', 45, 'Acme', '', 10])
+  })
+
+  test('should stop on a stale preview and explain a partial import', () => {
+    const rows = [
+      { rowNumber: 2, action: IMPORT_ACTIONS.UPDATE, code: 'ATF-01', partId: 'part-1' },
+      { rowNumber: 3, action: IMPORT_ACTIONS.UPDATE, code: 'OLD-01', partId: 'part-9' },
+      { rowNumber: 4, action: IMPORT_ACTIONS.CREATE, code: 'flt-01', partId: null },
+      { rowNumber: 5, action: IMPORT_ACTIONS.CREATE, code: 'NEW-01', partId: null }
+    ]
+    expect(PartsImport.validateForImport(rows, parts)).toEqual([
+      'Row 3: part OLD-01 was deleted after the preview',
+      'Row 4: part flt-01 was added after the preview'
+    ])
+
+    const message = PartsImport.describePartialImport({
+      created: 150,
+      updated: 50,
+      failedRows: [{ rowNumber: 202 }, { rowNumber: 401 }],
+      error: new Error('Quota exceeded')
+    })
+    expect(message).toContain('Import stopped at rows 202-401: Quota exceeded')
+    expect(message).toContain('150 created and 50 updated before that were saved.')
+  })
+})
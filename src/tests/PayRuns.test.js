@@ -0,0 +1,119 @@
+/**
+ * Pay Runs Test Suite
+ * Tests monthly periods, status transitions, payslip totals and settling commission statements
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { doc, runTransaction } from 'firebase/firestore'
+import PayRuns, { PAY_RUN_STATUSES } from '../utils/PayRuns'
+import StatutoryDeductions from '../utils/StatutoryDeductions'
+import { STATEMENT_STATUSES } from '../utils/CommissionStatements'
+import { updatePayRunStatus } from '../utils/FirebaseDataUtils'
+
+// Documents as the database holds them, keyed by path; transactions apply their writes on commit
+let store = {}
+
+beforeEach(() => {
+  store = {}
+  vi.mocked(doc).mockImplementation((db, path, id) => ({ id, path: `${path}/${id}` }))
+  vi.mocked(runTransaction).mockImplementation(async (db, callback) => {
+    const writes = []
+    const result = await callback({
+      get: vi.fn(async (ref) => ({ id: ref.id, exists: () => store[ref.path] !== undefined, data: () => store[ref.path] })),
+      update: vi.fn((ref, data) => writes.push(() => { store[ref.path] = { ...store[ref.path], ...data } }))
+    })
+    writes.forEach(write => write())
+    return result
+  })
+})
+
+describe('PayRuns', () => {
+  test('should cover whole calendar months', () => {
+    expect(PayRuns.getMonthPeriod('2024-02')).toEqual({ start: '2024-02-01', end: '2024-02-29' })
+    expect(PayRuns.getMonthPeriod('2025-12')).toEqual({ start: '2025-12-01', end: '2025-12-31' })
+    expect(PayRuns.getCurrentPeriod(new Date(2025, 0, 31))).toBe('2025-01')
+    expect(StatutoryDeductions.getPeriodsPerYear('2024-02-01', '2024-02-29')).toBe(12)
+  })
+
+  test('should only move forward through review and approval, and lock once approved', () => {
+    expect(PayRuns.canTransition(PAY_RUN_STATUSES.DRAFT, PAY_RUN_STATUSES.REVIEWED)).toBe(true)
+    expect(PayRuns.canTransition(PAY_RUN_STATUSES.DRAFT, PAY_RUN_STATUSES.APPROVED)).toBe(false)
+    expect(PayRuns.canTransition(PAY_RUN_STATUSES.REVIEWED, PAY_RUN_STATUSES.DRAFT)).toBe(true)
+    expect(PayRuns.canTransition(PAY_RUN_STATUSES.APPROVED, PAY_RUN_STATUSES.DRAFT)).toBe(false)
+    expect(PayRuns.canTransition(PAY_RUN_STATUSES.PAID, PAY_RUN_STATUSES.APPROVED)).toBe(false)
+    expect(PayRuns.isLocked(PAY_RUN_STATUSES.REVIEWED)).toBe(false)
+    expect(PayRuns.isLocked(PAY_RUN_STATUSES.APPROVED)).toBe(true)
+  })
+
+  test('should build payslips that stand alone and total the run', () => {
+    const deductions = StatutoryDeductions.calculate(5000, StatutoryDeductions.getProfile({}), { payDate: '2025-01-31' })
+    const payroll = {
+      payPeriodStart: '2025-01-01',
+      payPeriodEnd: '2025-01-31',
+      totalHours: 0,
+      overtimeHours: 0,
+      basePay: 4500,
+      overtimePay: 0,
+      commission: 500,
+      commissionLines: [],
+      grossPay: 5000,
+      deductions,
+      netPay: deductions.netPay,
+      employerCost: 5000 + deductions.employerTotal
+    }
+    const payslip = PayRuns.buildPayslip('2025-01', payroll, { id: 'emp-1', firstName: 'Aminah', lastName: 'Yusof', role: 'mechanic' })
+    expect(payslip).toMatchObject({ payRunId: '2025-01', employeeId: 'emp-1', employeeName: 'Aminah Yusof', grossPay: 5000, netPay: 4305.35 })
+    expect(PayRuns.getPayslipId('2025-01', 'emp-1')).toBe('2025-01_emp-1')
+
+    // Earlier approved months of the same year count towards the tax deduction
+    const january = { ...payslip, status: PAY_RUN_STATUSES.PAID }
+    const payslips = [
+      january,
+      { ...january, period: '2024-12', payRunId: '2024-12' },
+      { ...january, period: '2025-02', status: PAY_RUN_STATUSES.DRAFT }
+    ]
+    expect(PayRuns.getYearToDate(payslips, 'emp-1', '2025-03')).toEqual({ wages: 5000, epf: 550, pcb: 110 })
+    expect(PayRuns.getYearToDate(payslips, 'emp-1', '2025-01')).toBeNull()
+
+    expect(PayRuns.summarize([payslip, { ...payslip, employeeId: 'emp-2' }])).toEqual({
+      employeeCount: 2,
+      grossPay: 10000,
+      commission: 1000,
+      employeeDeductions: 1389.3,
+      employerContributions: 1493.1,
+      netPay: 8610.7
+    })
+  })
+
+  test('should take commission statements on approval and mark them paid with the run', async () => {
+    const commissionLines = [{ statementId: '2025-01_mech-a', period: '2025-01', invoiceCount: 3, adjustmentTotal: 0, amount: 250 }]
+    store['pay_runs/2025-02'] = { status: PAY_RUN_STATUSES.REVIEWED, payslipIds: ['2025-02_emp-1'] }
+    store['payroll/2025-02_emp-1'] = { status: PAY_RUN_STATUSES.REVIEWED, commission: 250, commissionLines }
+    store['commission_statements/2025-01_mech-a'] = { status: STATEMENT_STATUSES.APPROVED, summary: { total: 250 } }
+
+    await updatePayRunStatus('2025-02', PAY_RUN_STATUSES.APPROVED, { name: 'Owner', id: 'emp-0' })
+    expect(store['commission_statements/2025-01_mech-a']).toMatchObject({ status: STATEMENT_STATUSES.APPROVED, payRunId: '2025-02' })
+
+    await updatePayRunStatus('2025-02', PAY_RUN_STATUSES.PAID, { name: 'Owner', id: 'emp-0' }, { paymentReference: 'IBG-0228' })
+    expect(store['commission_statements/2025-01_mech-a']).toMatchObject({
+      status: STATEMENT_STATUSES.PAID,
+      payRunId: '2025-02',
+      paymentReference: 'IBG-0228',
+      paidBy: 'Owner'
+    })
+    expect(store['payroll/2025-02_emp-1'].status).toBe(PAY_RUN_STATUSES.PAID)
+  })
+
+  test('should not approve a run whose statements were paid or changed since it was calculated', async () => {
+    const commissionLines = [{ statementId: '2025-01_mech-a', period: '2025-01', invoiceCount: 3, adjustmentTotal: 0, amount: 250 }]
+    store['pay_runs/2025-02'] = { status: PAY_RUN_STATUSES.REVIEWED, payslipIds: ['2025-02_emp-1'] }
+    store['payroll/2025-02_emp-1'] = { status: PAY_RUN_STATUSES.REVIEWED, commission: 250, commissionLines }
+    store['commission_statements/2025-01_mech-a'] = { status: STATEMENT_STATUSES.PAID, summary: { total: 250 } }
+
+    await expect(updatePayRunStatus('2025-02', PAY_RUN_STATUSES.APPROVED)).rejects.toThrow('send the run back and recalculate it')
+
+    store['commission_statements/2025-01_mech-a'] = { status: STATEMENT_STATUSES.APPROVED, summary: { total: 210 } }
+    await expect(updatePayRunStatus('2025-02', PAY_RUN_STATUSES.APPROVED)).rejects.toThrow('send the run back and recalculate it')
+    expect(store['pay_runs/2025-02'].status).toBe(PAY_RUN_STATUSES.REVIEWED)
+  })
+})
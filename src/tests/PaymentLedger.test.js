@@ -0,0 +1,99 @@
+/**
+ * Payment Ledger Test Suite
+ * Tests outstanding balance, payment status and running ledger calculations
+ */
+
+import { describe, test, expect } from 'vitest'
+import PaymentLedger, { PAYMENT_STATUSES } from '../utils/PaymentLedger'
+
+const createInvoice = (overrides = {}) => ({
+  id: 'inv-1',
+  invoiceNumber: 'INV-1',
+  total: 1000,
+  customerTotal: 1000,
+  deposit: 0,
+  useDirectLending: false,
+  directLendingAmount: 0,
+  paymentStatus: 'pending',
+  dateCreated: new Date('2024-01-01'),
+  ...overrides
+})
+
+describe('PaymentLedger', () => {
+  describe('Outstanding Balance', () => {
+    test('should deduct deposit and DirectLending from the payable amount', () => {
+      const invoice = createInvoice({ deposit: 200, useDirectLending: true, directLendingAmount: 300 })
+
+      expect(PaymentLedger.getPayableAmount(invoice)).toBe(500)
+    })
+
+    test('should ignore DirectLending amount when DirectLending is off', () => {
+      const invoice = createInvoice({ directLendingAmount: 300 })
+
+      expect(PaymentLedger.getPayableAmount(invoice)).toBe(1000)
+    })
+
+    test('should use payments over the stored paid amount when given', () => {
+      const invoice = createInvoice({ paidAmount: 100 })
+      const payments = [
+        { amount: 250, status: 'completed' },
+        { amount: 150, status: 'completed' },
+        { amount: 999, status: 'void' }
+      ]
+
+      expect(PaymentLedger.getOutstandingBalance(invoice)).toBe(900)
+      expect(PaymentLedger.getOutstandingBalance(invoice, payments)).toBe(600)
+    })
+
+    test('should treat legacy paid invoices without payments as settled', () => {
+      const invoice = createInvoice({ paymentStatus: 'paid' })
+
+      expect(PaymentLedger.getOutstandingBalance(invoice)).toBe(0)
+    })
+  })
+
+  describe('Payment Status', () => {
+    test('should derive pending, partially paid and paid', () => {
+      const invoice = createInvoice({ deposit: 100 })
+
+      expect(PaymentLedger.derivePaymentStatus(invoice, 0)).toBe(PAYMENT_STATUSES.PENDING)
+      expect(PaymentLedger.derivePaymentStatus(invoice, 400)).toBe(PAYMENT_STATUSES.PARTIALLY_PAID)
+      expect(PaymentLedger.derivePaymentStatus(invoice, 900)).toBe(PAYMENT_STATUSES.PAID)
+    })
+
+    test('should reject payments above the outstanding balance', () => {
+      const invoice = createInvoice({ paidAmount: 800 })
+
+      expect(PaymentLedger.validatePayment(invoice, 200).isValid).toBe(true)
+      expect(PaymentLedger.validatePayment(invoice, 200.01).isValid).toBe(false)
+      expect(PaymentLedger.validatePayment(invoice, 0).isValid).toBe(false)
+    })
+  })
+
+  describe('Voiding', () => {
+    test('should only void invoices with no money taken against them', () => {
+      expect(PaymentLedger.getVoidBlocker(createInvoice())).toBeNull()
+      expect(PaymentLedger.getVoidBlocker(createInvoice({ paymentStatus: PAYMENT_STATUSES.VOID }))).toBe('It has already been voided')
+      expect(PaymentLedger.getVoidBlocker(createInvoice({ paidAmount: 50 }))).toContain('issue a credit note')
+      expect(PaymentLedger.getVoidBlocker(createInvoice({ paymentStatus: PAYMENT_STATUSES.PAID }))).toContain('issue a credit note')
+      expect(PaymentLedger.getVoidBlocker(createInvoice({ deposit: 100 }))).toContain('refund it')
+      expect(PaymentLedger.getVoidBlocker(createInvoice({ creditedAmount: 20 }))).toBe('It has credit notes issued against it')
+    })
+  })
+
+  describe('Running Ledger', () => {
+    test('should build running balance in payment date order', () => {
+      const invoice = createInvoice({ deposit: 100 })
+      const payments = [
+        { amount: 500, paymentDate: new Date('2024-01-10'), paymentMethod: 'bank_transfer', transactionNumber: 'TXN-2' },
+        { amount: 200, paymentDate: new Date('2024-01-05'), paymentMethod: 'cash', transactionNumber: 'TXN-1' }
+      ]
+
+      const ledger = PaymentLedger.buildLedger(invoice, payments)
+
+      expect(ledger.map(entry => entry.type)).toEqual(['invoice', 'deposit', 'payment', 'payment'])
+      expect(ledger.map(entry => entry.balance)).toEqual([1000, 900, 700, 200])
+      expect(ledger[2].reference).toBe('TXN-1')
+    })
+  })
+})
@@ -0,0 +1,134 @@
+/**
+ * Purchasing Test Suite
+ * Tests purchase order validation, partial goods receipts, stock updates and supplier invoice matching
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { doc, collection, runTransaction } from 'firebase/firestore'
+import Purchasing, { PO_STATUSES, SUPPLIER_INVOICE_STATUSES } from '../utils/Purchasing'
+import { postGoodsReceiptStock } from '../utils/FirebaseDataUtils'
+
+// Documents as the database holds them, keyed by path; transactions apply their writes on commit
+let store = {}
+
+beforeEach(() => {
+  store = {}
+  let autoId = 0
+  vi.mocked(doc).mockImplementation((parent, path, id) => {
+    if (path === undefined) {
+      autoId += 1
+      return { id: `auto-${autoId}`, path: `${parent.path}/auto-${autoId}` }
+    }
+    return { id, path: `${path}/${id}` }
+  })
+  vi.mocked(collection).mockImplementation((db, path) => ({ path }))
+  vi.mocked(runTransaction).mockImplementation(async (db, callback) => {
+    const writes = []
+    const result = await callback({
+      get: vi.fn(async (ref) => ({ id: ref.id, exists: () => store[ref.path] !== undefined, data: () => store[ref.path] })),
+      set: vi.fn((ref, data) => writes.push(() => { store[ref.path] = data })),
+      update: vi.fn((ref, data) => writes.push(() => { store[ref.path] = { ...store[ref.path], ...data } }))
+    })
+    writes.forEach(write => write())
+    return result
+  })
+})
+
+const purchaseOrder = {
+  id: 'po-1',
+  poNumber: 'PO-2026-0001',
+  status: PO_STATUSES.ORDERED,
+  lines: Purchasing.buildLines([
+    { partId: 'part-1', sku: 'ATF-01', partName: 'ATF 1L', quantity: 10, unitCost: 25 },
+    { partId: 'part-2', sku: 'CLP-02', partName: 'Clutch pack', quantity: 2, unitCost: 300 }
+  ]),
+  receivedValue: 0,
+  invoicedAmount: 0
+}
+
+describe('Purchasing', () => {
+  test('should require a supplier and inventory parts with quantities', () => {
+    expect(Purchasing.validatePurchaseOrder({ supplierId: '', lines: [] })).toHaveLength(2)
+    expect(Purchasing.validatePurchaseOrder({
+      supplierId: 'sup-1',
+      lines: [{ partId: null, partName: 'Filter', quantity: 0, unitCost: '' }]
+    })).toHaveLength(3)
+    expect(Purchasing.validatePurchaseOrder({ supplierId: 'sup-1', lines: purchaseOrder.lines })).toEqual([])
+    expect(Purchasing.calculateTotal(purchaseOrder.lines)).toBe(850)
+  })
+
+  test('should receive part of an order at the actual unit cost', () => {
+    const receipt = Purchasing.buildReceipt(purchaseOrder, [
+      { lineIndex: 0, quantity: 6, unitCost: 24.5 },
+      { lineIndex: 1, quantity: 0 }
+    ])
+
+    expect(receipt.lines).toEqual([
+      { lineIndex: 0, partId: 'part-1', sku: 'ATF-01', partName: 'ATF 1L', quantity: 6, unitCost: 24.5, total: 147 }
+    ])
+    expect(receipt.status).toBe(PO_STATUSES.PARTIALLY_RECEIVED)
+    expect(receipt.poLines[0].receivedQuantity).toBe(6)
+    expect(purchaseOrder.lines[0].receivedQuantity).toBe(0)
+
+    const rest = Purchasing.buildReceipt({ ...purchaseOrder, lines: receipt.poLines, status: receipt.status }, [
+      { lineIndex: 0, quantity: 4 },
+      { lineIndex: 1, quantity: 2 }
+    ])
+    expect(rest.status).toBe(PO_STATUSES.RECEIVED)
+    expect(rest.lines[1].unitCost).toBe(300)
+  })
+
+  test('should refuse receiving more than is outstanding or on a draft', () => {
+    expect(() => Purchasing.buildReceipt(purchaseOrder, [{ lineIndex: 1, quantity: 3 }])).toThrow('can receive up to 2')
+    expect(() => Purchasing.buildReceipt(purchaseOrder, [])).toThrow()
+    expect(() => Purchasing.buildReceipt({ ...purchaseOrder, status: PO_STATUSES.DRAFT }, [{ lineIndex: 0, quantity: 1 }])).toThrow()
+  })
+
+  test('should add received quantities to current stock', () => {
+    const updates = Purchasing.buildStockUpdates({
+      id: 'grn-1',
+      receiptNumber: 'GRN-2026-0001',
+      purchaseOrderId: 'po-1',
+      lines: [{ partId: 'part-1', quantity: 6, unitCost: 24.5 }]
+    }, [{ id: 'part-1', unitStock: 3 }])
+
+    expect(updates).toEqual([{
+      partId: 'part-1',
+      newStock: 9,
+      stockChange: 6,
+      reason: 'goods_receipt',
+      metadata: { purchaseOrderId: 'po-1', receiptId: 'grn-1', receiptNumber: 'GRN-2026-0001' },
+      fields: { lastCostPrice: 24.5, averageCost: 24.5 }
+    }])
+  })
+
+  test('should match supplier invoices against received but uninvoiced value', () => {
+    const po = { ...purchaseOrder, receivedValue: 747, invoicedAmount: 147 }
+
+    expect(Purchasing.matchSupplierInvoice(po, 600)).toEqual({ uninvoicedValue: 600, variance: 0, status: SUPPLIER_INVOICE_STATUSES.MATCHED })
+    expect(Purchasing.matchSupplierInvoice(po, 630).status).toBe(SUPPLIER_INVOICE_STATUSES.VARIANCE)
+  })
+})
+
+describe('postGoodsReceiptStock', () => {
+  test('should add to the stock read in the transaction and post a receipt only once', async () => {
+    // A sale took stock from 3 to 1 after the receiving screen loaded its parts
+    store['parts/part-1'] = { namaProduk: 'ATF 1L', unitStock: 1, averageCost: 24.5 }
+    store['goods_receipts/grn-1'] = {
+      receiptNumber: 'GRN-2026-0001',
+      purchaseOrderId: 'po-1',
+      lines: [{ partId: 'part-1', quantity: 6, unitCost: 24.5 }],
+      stockPosted: false
+    }
+
+    expect(await postGoodsReceiptStock('grn-1', { name: 'Farid' })).toEqual({ alreadyPosted: false, updatedParts: 1 })
+    expect(store['parts/part-1'].unitStock).toBe(7)
+    expect(store['goods_receipts/grn-1']).toMatchObject({ stockPosted: true, stockPostedBy: 'Farid' })
+    const movement = Object.entries(store).find(([path]) => path.startsWith('stock_movements/'))[1]
+    expect(movement).toMatchObject({ stockBefore: 1, stockAfter: 7, reason: 'goods_receipt' })
+
+    // Retrying after the first post committed leaves stock alone
+    expect(await postGoodsReceiptStock('grn-1', { name: 'Farid' })).toEqual({ alreadyPosted: true, updatedParts: 0 })
+    expect(store['parts/part-1'].unitStock).toBe(7)
+  })
+})
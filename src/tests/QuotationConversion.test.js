@@ -0,0 +1,115 @@
+/**
+ * Quotation Conversion Test Suite
+ * Tests building an invoice from a quotation and converting it in the transaction that creates the invoice
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { doc, collection, getDoc, runTransaction } from 'firebase/firestore'
+import { buildInvoiceFromQuotation, convertQuotationToInvoice } from '../utils/FirebaseDataUtils'
+
+// Documents as the database holds them, keyed by path; transactions apply their writes on commit
+let store = {}
+
+const snapshotOf = (ref) => ({ id: ref.id, exists: () => store[ref.path] !== undefined, data: () => store[ref.path] })
+
+beforeEach(() => {
+  store = {}
+  let autoId = 0
+  vi.mocked(doc).mockImplementation((parent, path, id) => {
+    if (path === undefined) {
+      autoId += 1
+      return { id: `auto-${autoId}`, path: `${parent.path}/auto-${autoId}` }
+    }
+    return { id, path: `${path}/${id}` }
+  })
+  vi.mocked(collection).mockImplementation((db, path) => ({ path }))
+  vi.mocked(getDoc).mockImplementation(async (ref) => snapshotOf(ref))
+  vi.mocked(runTransaction).mockImplementation(async (db, callback) => {
+    const writes = []
+    const result = await callback({
+      get: vi.fn(async (ref) => snapshotOf(ref)),
+      set: vi.fn((ref, data) => writes.push(() => { store[ref.path] = data })),
+      update: vi.fn((ref, data) => writes.push(() => { store[ref.path] = { ...store[ref.path], ...data } }))
+    })
+    writes.forEach(write => write())
+    return result
+  })
+})
+
+const quotation = {
+  id: 'quote-1',
+  quotationNumber: 'QUO-2025-0007',
+  status: 'accepted',
+  customerId: 'cust-1',
+  customerName: 'Lim Ah Kow',
+  partsOrdered: [
+    { partId: 'part-1', sku: 'BP-01', partName: 'Brake Pad', quantity: '2', pricePerUnit: '80', total: '160' },
+    { partName: 'Brake Cleaner', quantity: 1, pricePerUnit: 20, total: 20 }
+  ],
+  laborCharges: [{ description: 'Replace pads', amount: '100' }],
+  discount: 10,
+  notes: 'Customer supplies rotors',
+  sourceRepairOrderId: 'job-1',
+  sourceJobNumber: 'JOB-0003'
+}
+
+describe('Quotation conversion', () => {
+  test('should carry the quoted lines, totals and links onto the invoice', () => {
+    const invoice = buildInvoiceFromQuotation(quotation, 14)
+
+    expect(invoice.partsOrdered[0]).toMatchObject({ partId: 'part-1', sku: 'BP-01', quantity: 2, pricePerUnit: 80, total: 160 })
+    expect(invoice.partsOrdered[1].partId).toBeNull()
+    expect(invoice).toMatchObject({
+      customerId: 'cust-1',
+      partsTotal: 180,
+      laborTotal: 100,
+      subtotal: 280,
+      paymentStatus: 'pending',
+      paymentTerms: 14,
+      notes: 'Customer supplies rotors',
+      sourceQuotationId: 'quote-1',
+      sourceQuotationNumber: 'QUO-2025-0007',
+      sourceRepairOrderId: 'job-1'
+    })
+    // Quotation discounts are a percentage of the subtotal
+    expect(invoice.discountAmount).toBe(28)
+    expect(invoice.total).toBeCloseTo(252 + invoice.taxTotal, 2)
+    expect(invoice.balanceDue).toBe(invoice.total)
+  })
+
+  test('should create the invoice and mark the quotation converted in one transaction', async () => {
+    store['quotations/quote-1'] = quotation
+    store['repair_orders/job-1'] = { jobNumber: 'JOB-0003' }
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 5 }
+
+    const { invoiceId } = await convertQuotationToInvoice(quotation.id, [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 5 }])
+
+    expect(runTransaction).toHaveBeenCalledTimes(1)
+    const invoice = store[`customer_invoices/${invoiceId}`]
+    expect(invoice).toMatchObject({ sourceQuotationId: 'quote-1' })
+    expect(store['quotations/quote-1']).toMatchObject({
+      status: 'converted',
+      convertedInvoiceId: invoiceId,
+      convertedInvoiceNumber: invoice.invoiceNumber
+    })
+    expect(store['repair_orders/job-1']).toMatchObject({ invoiceId, invoiceNumber: invoice.invoiceNumber })
+    expect(store['parts/part-1'].unitStock).toBe(3)
+  })
+
+  test('should write nothing when the quotation is converted elsewhere before the invoice commits', async () => {
+    store['quotations/quote-1'] = quotation
+    store['parts/part-1'] = { namaProduk: 'Brake Pad', unitStock: 5 }
+    // Another tab converts it after this one has read the quotation
+    vi.mocked(getDoc).mockImplementationOnce(async (ref) => {
+      const snapshot = snapshotOf(ref)
+      store['quotations/quote-1'] = { ...quotation, status: 'converted', convertedInvoiceId: 'inv-other', convertedInvoiceNumber: 'INV-2025-0009' }
+      return snapshot
+    })
+    const before = { ...store }
+
+    await expect(convertQuotationToInvoice(quotation.id, [{ id: 'part-1', namaProduk: 'Brake Pad', unitStock: 5 }]))
+      .rejects.toThrow('already been converted to invoice INV-2025-0009')
+    expect(Object.keys(store)).toEqual(Object.keys(before))
+    expect(store['parts/part-1'].unitStock).toBe(5)
+  })
+})
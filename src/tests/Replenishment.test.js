@@ -0,0 +1,77 @@
+/**
+ * Replenishment Test Suite
+ * Tests per-part reorder points, usage velocity and supplier-grouped reorder suggestions
+ */
+
+import { describe, test, expect } from 'vitest'
+import Replenishment, { DEFAULT_REORDER_POINT } from '../utils/Replenishment'
+import { PO_STATUSES } from '../utils/Purchasing'
+
+const now = new Date('2026-06-30')
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+
+const parts = [
+  { id: 'part-1', kodProduk: 'ATF-01', namaProduk: 'ATF 1L', unitStock: 4, reorderPoint: 6, reorderQuantity: 24, preferredSupplierId: 'sup-1', lastCostPrice: 25 },
+  { id: 'part-2', kodProduk: 'FLT-02', namaProduk: 'Gearbox filter', unitStock: 2, supplier: 'Transmatic Parts' },
+  { id: 'part-3', kodProduk: 'SOL-03', namaProduk: 'Solenoid', unitStock: 50, reorderPoint: 5 },
+  { id: 'part-4', kodProduk: 'GSK-04', namaProduk: 'Pan gasket', unitStock: 1, reorderPoint: 3, supplier: 'Unknown Trader' }
+]
+
+const suppliers = [
+  { id: 'sup-1', name: 'Oil Depot' },
+  { id: 'sup-2', name: 'Transmatic Parts' }
+]
+
+describe('Replenishment', () => {
+  test('should use each part\'s reorder point with the old threshold as default', () => {
+    expect(Replenishment.getReorderPoint(parts[0])).toBe(6)
+    expect(Replenishment.getReorderPoint(parts[1])).toBe(DEFAULT_REORDER_POINT)
+    expect(Replenishment.isLowStock(parts[2])).toBe(false)
+    expect(Replenishment.isLowStock({ unitStock: 0, reorderPoint: 0 })).toBe(true)
+  })
+
+  test('should average usage over the window from both invoice types', () => {
+    const sales = Replenishment.buildSalesHistory({
+      invoices: [{ dateCreated: daysAgo(10).toISOString(), items: [{ partId: 'part-2', quantity: 30 }] }],
+      customerInvoices: [
+        { dateCreated: daysAgo(20), partsOrdered: [{ partId: 'part-2', quantity: 15 }, { partId: null, quantity: 3 }] },
+        { dateCreated: daysAgo(200), partsOrdered: [{ partId: 'part-2', quantity: 99 }] }
+      ]
+    })
+
+    expect(sales).toHaveLength(3)
+    expect(Replenishment.getUsageByPart(sales, { now }).get('part-2')).toEqual({ quantity: 45, perDay: 0.5 })
+  })
+
+  test('should suggest enough to get back above the reorder point', () => {
+    expect(Replenishment.getSuggestedQuantity(parts[0])).toBe(24)
+    expect(Replenishment.getSuggestedQuantity(parts[1], { perDay: 0.5 })).toBe(15)
+    expect(Replenishment.getSuggestedQuantity({ unitStock: 0, reorderPoint: 20, reorderQuantity: 5 })).toBe(21)
+  })
+
+  test('should group low parts by supplier and count open orders as stock', () => {
+    const groups = Replenishment.buildReplenishmentList({
+      parts,
+      suppliers,
+      now,
+      purchaseOrders: [{
+        status: PO_STATUSES.ORDERED,
+        lines: [{ partId: 'part-4', quantity: 5, receivedQuantity: 0 }]
+      }]
+    })
+
+    expect(groups.map(group => group.supplierName)).toEqual(['Oil Depot', 'Transmatic Parts'])
+    expect(groups[0]).toMatchObject({ supplierId: 'sup-1', total: 600 })
+    expect(groups[1].lines[0]).toMatchObject({ partId: 'part-2', quantity: 9, daysLeft: null })
+  })
+
+  test('should export one CSV row per suggested part', () => {
+    const csv = Replenishment.toCsv([{
+      supplierName: 'Oil Depot, Klang',
+      lines: [{ sku: 'ATF-01', partName: 'ATF 1L', unitStock: 4, reorderPoint: 6, onOrder: 0, perDay: 0, daysLeft: null, quantity: 24, unitCost: 25 }]
+    }])
+
+    expect(csv.split('\n')).toHaveLength(2)
+    expect(csv.split('\n')[1]).toBe('"Oil Depot, Klang",ATF-01,ATF 1L,4,6,0,0,,24,25')
+  })
+})
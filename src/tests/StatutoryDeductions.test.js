@@ -0,0 +1,100 @@
+/**
+ * Statutory Deductions Test Suite
+ * Tests EPF, SOCSO, EIS and PCB against the versioned rate tables and published schedules
+ */
+
+import { describe, test, expect } from 'vitest'
+import StatutoryDeductions, { RESIDENCY, SOCSO_CATEGORIES } from '../utils/StatutoryDeductions'
+
+const citizen = StatutoryDeductions.getProfile({})
+const foreignWorker = StatutoryDeductions.getProfile({ statutory: { residency: RESIDENCY.FOREIGN } })
+
+describe('StatutoryDeductions', () => {
+  test('should charge EPF on wage bands with age and residency rates', () => {
+    const rates = StatutoryDeductions.getRateTable('2025-01-31')
+    expect(StatutoryDeductions.calculateEPF(1010, citizen, 35, rates)).toMatchObject({ wage: 1020, employee: 113, employer: 133 })
+    expect(StatutoryDeductions.calculateEPF(5050, citizen, 35, rates)).toMatchObject({ wage: 5100, employee: 561, employer: 612 })
+    expect(StatutoryDeductions.calculateEPF(3000, citizen, 60, rates)).toMatchObject({ employee: 0, employer: 120 })
+
+    const voluntary = StatutoryDeductions.getProfile({ statutory: { epfEmployeeRate: '15' } })
+    expect(StatutoryDeductions.calculateEPF(3000, voluntary, 35, rates).employee).toBe(450)
+
+    expect(StatutoryDeductions.calculateEPF(3000, foreignWorker, 35, rates).employee).toBe(0)
+    const laterRates = StatutoryDeductions.getRateTable('2025-10-31')
+    expect(laterRates.version).toBe('2025-10')
+    expect(StatutoryDeductions.calculateEPF(3000, foreignWorker, 35, laterRates)).toMatchObject({ employee: 60, employer: 60 })
+  })
+
+  test('should match the published SOCSO and EIS schedule for the lowest wage bands', () => {
+    const rates = StatutoryDeductions.getRateTable('2025-01-31')
+    const schedule = (wages) => [
+      StatutoryDeductions.calculateSOCSO(wages, citizen, 35, rates),
+      StatutoryDeductions.calculateSOCSO(wages, foreignWorker, 35, rates).employer,
+      StatutoryDeductions.calculateEIS(wages, citizen, 35, rates).employee
+    ]
+    // [wages, SOCSO first category employer, employee, second category employer, EIS each]
+    const published = [
+      [25, 0.4, 0.1, 0.3, 0.05],
+      [30.01, 0.7, 0.2, 0.5, 0.1],
+      [70, 1.1, 0.3, 0.8, 0.15],
+      [100, 1.5, 0.4, 1.1, 0.2],
+      [139.5, 2.1, 0.6, 1.5, 0.25],
+      [200, 2.95, 0.85, 2.1, 0.35],
+      [250, 4.35, 1.25, 3.1, 0.5],
+      [700, 11.35, 3.25, 8.1, 1.3],
+      [1050, 18.35, 5.25, 13.1, 2.1]
+    ]
+    for (const [wages, employer, employee, secondEmployer, eis] of published) {
+      const [socso, socsoSecondEmployer, eisEmployee] = schedule(wages)
+      expect([wages, socso.employer, socso.employee, socsoSecondEmployer, eisEmployee]).toEqual([wages, employer, employee, secondEmployer, eis])
+    }
+    expect(StatutoryDeductions.calculateSOCSO(0, citizen, 35, rates)).toMatchObject({ wage: 0, employee: 0, employer: 0 })
+  })
+
+  test('should charge SOCSO and EIS on band midpoints up to the ceiling in force', () => {
+    const rates = StatutoryDeductions.getRateTable('2024-11-30')
+    expect(StatutoryDeductions.calculateSOCSO(2950, citizen, 35, rates)).toMatchObject({ category: SOCSO_CATEGORIES.FIRST, employee: 14.75, employer: 51.65 })
+    expect(StatutoryDeductions.calculateSOCSO(8000, citizen, 35, rates)).toMatchObject({ employee: 29.75, employer: 104.15 })
+    expect(StatutoryDeductions.calculateSOCSO(8000, citizen, 35, StatutoryDeductions.getRateTable('2024-06-30')).employee).toBe(24.75)
+    expect(StatutoryDeductions.calculateSOCSO(2950, foreignWorker, 35, rates)).toMatchObject({ category: SOCSO_CATEGORIES.SECOND, employee: 0, employer: 36.9 })
+
+    expect(StatutoryDeductions.calculateEIS(8000, citizen, 35, rates)).toMatchObject({ employee: 11.9, employer: 11.9 })
+    expect(StatutoryDeductions.calculateEIS(3000, citizen, 61, rates).employee).toBe(0)
+    expect(StatutoryDeductions.calculateEIS(3000, foreignWorker, 35, rates).employee).toBe(0)
+  })
+
+  test('should deduct PCB and give net pay for monthly and shorter periods', () => {
+    const monthly = StatutoryDeductions.calculate(5000, citizen, { payDate: '2025-01-31' })
+    expect(monthly.pcb).toMatchObject({ chargeableIncome: 47000, annualTax: 1320, amount: 110 })
+    expect(monthly.employeeTotal).toBe(694.65)
+    expect(monthly.employerTotal).toBe(746.55)
+    expect(monthly.netPay).toBe(4305.35)
+
+    expect(StatutoryDeductions.calculate(2000, citizen, { payDate: '2025-01-31' }).pcb.amount).toBe(0)
+    const nonResident = StatutoryDeductions.getProfile({ statutory: { taxResident: false } })
+    expect(StatutoryDeductions.calculate(3000, nonResident, { payDate: '2025-01-31' }).pcb.amount).toBe(900)
+
+    expect(StatutoryDeductions.getPeriodsPerYear('2025-01-01', '2025-01-14')).toBe(26)
+    const biWeekly = StatutoryDeductions.calculate(2307.69, citizen, { payDate: '2025-01-14', periodsPerYear: 26 })
+    expect(biWeekly.epf.employee).toBe(253.85)
+    expect(StatutoryDeductions.getAge('1965-02-01', '2025-01-31')).toBe(59)
+  })
+
+  test('should spread the tax not yet deducted over the rest of the year', () => {
+    // A steady wage deducts the same each month
+    const january = StatutoryDeductions.calculate(5000, citizen, { payDate: '2025-01-31', yearToDate: null })
+    const february = StatutoryDeductions.calculate(5000, citizen, {
+      payDate: '2025-02-28',
+      yearToDate: { wages: 5000, epf: january.epf.employee, pcb: january.pcb.amount }
+    })
+    expect([january.pcb.amount, february.pcb.amount]).toEqual([110, 110])
+
+    // Commission in February raises the year's income to RM80,000 after reliefs,
+    // taxed at RM5,600 of which RM110 was deducted in January, over 11 months
+    const withCommission = StatutoryDeductions.calculate(8000, citizen, {
+      payDate: '2025-02-28',
+      yearToDate: { wages: 5000, epf: 550, pcb: 110 }
+    })
+    expect(withCommission.pcb).toMatchObject({ chargeableIncome: 80000, annualTax: 5600, amount: 499.1 })
+  })
+})
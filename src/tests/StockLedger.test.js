@@ -0,0 +1,67 @@
+/**
+ * Stock Ledger Test Suite
+ * Tests movement building, rebuilding stock from the ledger and drift detection
+ */
+
+import { describe, test, expect } from 'vitest'
+import StockLedger, { MOVEMENT_TYPES } from '../utils/StockLedger'
+
+const movement = (partId, stockBefore, stockAfter, reason, date) =>
+  StockLedger.buildMovement({ partId, stockBefore, stockAfter, reason, date: new Date(date) })
+
+describe('StockLedger', () => {
+  test('should record the change actually applied and classify it', () => {
+    const sale = StockLedger.buildMovement({ partId: 'part-1', stockBefore: 3, stockAfter: 0, reason: 'invoice_creation', reference: { invoiceNumber: 'INV-2026-0001' } })
+
+    expect(sale).toMatchObject({ type: MOVEMENT_TYPES.SALE, quantity: -3, stockBefore: 3, stockAfter: 0 })
+    expect(StockLedger.buildMovement({ partId: 'part-1', stockBefore: 2, stockAfter: 2, reason: 'invoice_edit' })).toBeNull()
+    expect(StockLedger.getMovementType('invoice_edit', 2)).toBe(MOVEMENT_TYPES.RETURN)
+    expect(StockLedger.getMovementType('goods_receipt', 10)).toBe(MOVEMENT_TYPES.RECEIPT)
+    expect(StockLedger.getMovementType('manual_edit', -1)).toBe(MOVEMENT_TYPES.ADJUSTMENT)
+  })
+
+  test('should rebuild stock and list history newest first', () => {
+    const movements = [
+      StockLedger.buildOpeningMovement({ id: 'part-1', unitStock: 5 }, null, new Date('2026-03-01')),
+      movement('part-1', 5, 15, 'goods_receipt', '2026-03-05'),
+      movement('part-1', 15, 11, 'invoice_creation', '2026-03-09'),
+      movement('part-2', 0, 4, 'goods_receipt', '2026-03-06')
+    ]
+    const transferSent = StockLedger.buildTransferMovement({
+      part: { id: 'part-1', namaProduk: 'ATF Oil', unitStock: 11 },
+      transfer: { id: 'tr-1', transferNumber: 'TRF-2026-0001', fromLocationId: 'main', fromLocationName: 'Workshop', toLocationId: 'store-room', toLocationName: 'Store Room' },
+      quantity: 4,
+      stage: 'send',
+      date: new Date('2026-03-08')
+    })
+    expect(transferSent).toMatchObject({
+      type: MOVEMENT_TYPES.TRANSFER,
+      reason: 'transfer_sent',
+      quantity: 0,
+      transfer: { quantity: 4, fromLocationName: 'Workshop', toLocationName: 'Store Room' },
+      reference: { transferNumber: 'TRF-2026-0001' }
+    })
+
+    const stock = StockLedger.rebuildStock([...movements, transferSent])
+    expect(stock.get('part-1')).toMatchObject({ stock: 11, movementCount: 4 })
+    expect(stock.get('part-2').stock).toBe(4)
+    expect(StockLedger.getPartHistory(movements, 'part-1').map(m => m.quantity)).toEqual([-4, 10, 5])
+  })
+
+  test('should report drifted and untracked parts', () => {
+    const parts = [
+      { id: 'part-1', namaProduk: 'ATF 1L', kodProduk: 'ATF-01', unitStock: 9 },
+      { id: 'part-2', namaProduk: 'Filter', unitStock: 4 },
+      { id: 'part-3', namaProduk: 'Solenoid', unitStock: 2 },
+      { id: 'part-4', namaProduk: 'Gasket', unitStock: 0 }
+    ]
+    const movements = [
+      movement('part-1', 0, 11, 'opening_balance', '2026-03-01'),
+      movement('part-2', 0, 4, 'goods_receipt', '2026-03-06')
+    ]
+
+    const { drifted, untracked } = StockLedger.detectDrift(parts, movements)
+    expect(drifted).toEqual([{ partId: 'part-1', partName: 'ATF 1L', sku: 'ATF-01', recordedStock: 9, ledgerStock: 11, drift: -2 }])
+    expect(untracked.map(part => part.id)).toEqual(['part-3'])
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * Stock Locations Test Suite
+ * Tests per-location quantities, transfer stages and location-aware availability
+ */
+
+import { describe, test, expect } from 'vitest'
+import StockLocations, { MAIN_LOCATION_ID } from '../utils/StockLocations'
+import InvoiceEditValidator from '../utils/InvoiceEditValidator'
+
+const settings = StockLocations.normalizeSettings({
+  locations: [{ id: 'store-room', name: 'Store Room' }, { id: MAIN_LOCATION_ID, name: 'Workshop' }]
+})
+
+const part = { id: 'part-1', kodProduk: 'ATF-01', namaProduk: 'ATF Oil', unitStock: 20, stockByLocation: { 'store-room': 12 }, stockInTransit: 3 }
+
+describe('StockLocations', () => {
+  test('should give the main location the stock no other location or transit holds', () => {
+    expect(settings.locations.map(location => location.id)).toEqual([MAIN_LOCATION_ID, 'store-room'])
+    expect(StockLocations.getStockByLocation(part, settings)).toEqual([
+      { locationId: MAIN_LOCATION_ID, name: 'Workshop', quantity: 5 },
+      { locationId: 'store-room', name: 'Store Room', quantity: 12 }
+    ])
+    expect(StockLocations.getAvailableStock(part)).toBe(17)
+    expect(StockLocations.getAvailableStock({ unitStock: 4 }, MAIN_LOCATION_ID)).toBe(4)
+  })
+
+  test('should take what the main location cannot cover from the other locations', () => {
+    // Main holds 5: a sale of 3 stays there, a sale of 8 also empties 3 from the store room
+    expect(StockLocations.getStockFields(part, 17)).toEqual({ unitStock: 17 })
+    const fields = StockLocations.getStockFields(part, 12)
+    expect(fields).toEqual({ unitStock: 12, stockByLocation: { 'store-room': 9 } })
+    expect(StockLocations.getLocationStock({ ...part, ...fields }, MAIN_LOCATION_ID)).toBe(0)
+    expect(StockLocations.getStockFields({ unitStock: 6 }, 2)).toEqual({ unitStock: 2 })
+  })
+
+  test('should keep totals through send, receive and cancel', () => {
+    const line = { fromLocationId: 'store-room', toLocationId: MAIN_LOCATION_ID, quantity: 4 }
+
+    const sent = { ...part, ...StockLocations.applyTransferStage(part, line, 'send') }
+    expect(sent.stockByLocation['store-room']).toBe(8)
+    expect(sent.stockInTransit).toBe(7)
+    expect(StockLocations.getLocationStock(sent, MAIN_LOCATION_ID)).toBe(5)
+
+    const received = { ...sent, ...StockLocations.applyTransferStage(sent, line, 'receive') }
+    expect(StockLocations.getLocationStock(received, MAIN_LOCATION_ID)).toBe(9)
+    expect(received.stockInTransit).toBe(3)
+
+    const cancelled = { ...sent, ...StockLocations.applyTransferStage(sent, line, 'cancel') }
+    expect(cancelled).toEqual(part)
+  })
+
+  test('should check transfers and invoice stock against the location', () => {
+    const { lines, errors } = StockLocations.buildTransferLines({
+      fromLocationId: MAIN_LOCATION_ID,
+      toLocationId: 'store-room',
+      lines: [{ partId: 'part-1', quantity: 4 }, { partId: 'part-1', quantity: '2' }]
+    }, [part], settings)
+    expect(lines).toEqual([{ partId: 'part-1', sku: 'ATF-01', partName: 'ATF Oil', quantity: 6 }])
+    expect(errors).toEqual(['Only 5 of ATF Oil at Workshop'])
+
+    expect(InvoiceEditValidator.validateStockAvailable('part-1', 6, [part], { id: 'store-room', name: 'Store Room' }).isValid).toBe(true)
+    const atWorkshop = InvoiceEditValidator.validateStockAvailable('part-1', 6, [part], { id: MAIN_LOCATION_ID, name: 'Workshop' })
+    expect(atWorkshop.errors[0].message).toBe('Insufficient stock for ATF Oil at Workshop. Required: 6, Available: 5 (3 in transit)')
+    expect(InvoiceEditValidator.validateStockAvailable('part-1', 18, [part]).isValid).toBe(false)
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Stock Take Test Suite
+ * Tests snapshot scoping, variance totals, submission checks and posting adjustments
+ */
+
+import { describe, test, expect } from 'vitest'
+import StockTake, { STOCK_TAKE_STATUSES, STOCK_TAKE_SCOPES, UNASSIGNED_SCOPE_VALUE } from '../utils/StockTake'
+
+const parts = [
+  { id: 'part-1', kodProduk: 'ATF-01', namaProduk: 'ATF 1L', category: 'Fluids', binLocation: 'A-02', unitStock: 10, averageCost: 20 },
+  { id: 'part-2', kodProduk: 'FLT-01', namaProduk: 'Filter', category: 'Filters', binLocation: 'A-01', unitStock: 4, lastCostPrice: 15 },
+  { id: 'part-3', kodProduk: 'GSK-01', namaProduk: 'Gasket', category: '', binLocation: 'A-01', unitStock: 2 },
+  { id: 'temp-1', kodProduk: 'NEW', namaProduk: 'Unsaved', binLocation: 'A-01', unitStock: 1 }
+]
+
+describe('StockTake', () => {
+  test('should snapshot the parts in scope sorted by bin and code', () => {
+    const lines = StockTake.buildSnapshot(parts, { scopeType: STOCK_TAKE_SCOPES.BIN, scopeValue: 'A-01' })
+
+    expect(lines.map(line => line.partId)).toEqual(['part-2', 'part-3'])
+    expect(lines[0]).toMatchObject({ expectedStock: 4, unitCost: 15, countedQuantity: null })
+    expect(StockTake.buildSnapshot(parts).map(line => line.partId)).toEqual(['part-2', 'part-3', 'part-1'])
+    expect(StockTake.getScopeOptions(parts, STOCK_TAKE_SCOPES.CATEGORY).map(option => option.value))
+      .toEqual([UNASSIGNED_SCOPE_VALUE, 'Filters', 'Fluids'])
+  })
+
+  test('should total variances and their value impact', () => {
+    const lines = StockTake.buildSnapshot(parts)
+      .map(line => ({ ...line, countedQuantity: { 'part-1': 12, 'part-2': 1, 'part-3': '' }[line.partId] }))
+
+    expect(StockTake.summarize(lines)).toEqual({
+      lineCount: 3,
+      countedCount: 2,
+      varianceLines: 2,
+      unitsGained: 2,
+      unitsLost: 3,
+      valueGained: 40,
+      valueLost: 45,
+      netValue: -5
+    })
+    expect(StockTake.validateForSubmission({ status: STOCK_TAKE_STATUSES.COUNTING, lines }))
+      .toEqual(['1 part(s) have not been counted yet'])
+  })
+
+  test('should apply variances to current stock when posting', () => {
+    const lines = StockTake.buildSnapshot(parts)
+      .map(line => ({ ...line, countedQuantity: { 'part-1': 12, 'part-2': 1, 'part-3': 2 }[line.partId] }))
+    // Two filters were sold after the snapshot was taken
+    const current = parts.map(part => part.id === 'part-2' ? { ...part, unitStock: 2 } : part)
+
+    expect(StockTake.buildAdjustments({ lines }, current)).toEqual([
+      { partId: 'part-2', partName: 'Filter', variance: -3, valueImpact: -45, stockBefore: 2, newStock: 0 },
+      { partId: 'part-1', partName: 'ATF 1L', variance: 2, valueImpact: 40, stockBefore: 10, newStock: 12 }
+    ])
+    expect(() => StockTake.buildAdjustments({ lines }, [])).toThrow('no longer in inventory')
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Tax Engine Test Suite
+ * Tests per-line tax, inclusive/exclusive pricing and discount spreading
+ */
+
+import { describe, test, expect } from 'vitest'
+import TaxEngine, { DEFAULT_TAX_SETTINGS } from '../utils/TaxEngine'
+
+const settings = { ...DEFAULT_TAX_SETTINGS, enabled: true }
+
+const partsOrdered = [
+  { partName: 'Brake Pad', total: 200, taxCode: 'SST', taxRate: 10 },
+  { partName: 'Coolant', total: 100, taxCode: 'EX', taxRate: 0 }
+]
+const laborCharges = [
+  { description: 'Brake service', amount: 100, taxCode: 'SVC', taxRate: 8 }
+]
+
+describe('TaxEngine', () => {
+  describe('Line Defaults', () => {
+    test('should snapshot default codes per line type', () => {
+      expect(TaxEngine.getDefaultLineTax(settings, 'parts')).toEqual({ taxCode: 'SST', taxRate: 10 })
+      expect(TaxEngine.getDefaultLineTax(settings, 'labor')).toEqual({ taxCode: 'SVC', taxRate: 8 })
+    })
+
+    test('should leave lines untaxed while tax is disabled', () => {
+      expect(TaxEngine.getDefaultLineTax(DEFAULT_TAX_SETTINGS, 'parts')).toEqual({ taxCode: null, taxRate: 0 })
+    })
+  })
+
+  describe('Totals', () => {
+    test('should add exclusive tax on top of the subtotal', () => {
+      const totals = TaxEngine.calculateTotals({ partsOrdered, laborCharges, settings })
+
+      expect(totals.subtotal).toBe(400)
+      expect(totals.taxTotal).toBe(28)
+      expect(totals.total).toBe(428)
+      expect(totals.taxBreakdown.map(entry => entry.code)).toEqual(['SST', 'EX', 'SVC'])
+    })
+
+    test('should extract inclusive tax without changing the total', () => {
+      const totals = TaxEngine.calculateTotals({
+        partsOrdered: [{ total: 110, taxCode: 'SST', taxRate: 10 }],
+        pricesIncludeTax: true,
+        settings
+      })
+
+      expect(totals.taxBreakdown[0].taxableAmount).toBe(100)
+      expect(totals.taxTotal).toBe(10)
+      expect(totals.total).toBe(110)
+    })
+
+    test('should apply tax after spreading the discount over lines', () => {
+      const totals = TaxEngine.calculateTotals({ partsOrdered, laborCharges, discount: 10, settings })
+
+      expect(totals.discountAmount).toBe(40)
+      expect(totals.taxTotal).toBe(25.2)
+      expect(totals.total).toBe(385.2)
+    })
+
+    test('should use the snapshotted rate over the current setting', () => {
+      const totals = TaxEngine.calculateTotals({
+        partsOrdered: [{ total: 100, taxCode: 'SST', taxRate: 6 }],
+        settings
+      })
+
+      expect(totals.taxTotal).toBe(6)
+      expect(totals.taxBreakdown[0].label).toBe('Sales Tax')
+    })
+  })
+
+  describe('Settings', () => {
+    test('should reject duplicate codes and out of range rates', () => {
+      const errors = TaxEngine.validateSettings({
+        ...settings,
+        codes: [
+          { code: 'SST', label: 'Sales Tax', rate: 10 },
+          { code: 'SST', label: 'Duplicate', rate: 120 }
+        ]
+      })
+
+      expect(errors).toHaveLength(3)
+    })
+  })
+})
@@ -0,0 +1,68 @@
+/**
+ * Vehicles Test Suite
+ * Tests plate keys, validation, ownership changes, mileage readings and the service timeline
+ */
+
+import { describe, test, expect } from 'vitest'
+import Vehicles, { TIMELINE_TYPES } from '../utils/Vehicles'
+
+const vehicle = {
+  id: 'WXY1234',
+  plate: 'WXY 1234',
+  customerId: 'cust-1',
+  customerName: 'Aminah',
+  ownerHistory: [{ customerId: 'cust-1', customerName: 'Aminah', from: new Date('2024-01-01'), to: null }],
+  mileageReadings: [
+    { mileage: 80000, date: new Date('2025-01-10'), source: 'manual' },
+    { mileage: 85000, date: new Date('2026-03-01'), source: 'job_card' }
+  ]
+}
+
+describe('Vehicles', () => {
+  test('should treat differently typed plates as the same car', () => {
+    expect(Vehicles.getPlateKey('wxy 1234')).toBe('WXY1234')
+    expect(Vehicles.getPlateKey('WXY-1234')).toBe('WXY1234')
+    expect(Vehicles.formatPlate('  wxy   1234 ')).toBe('WXY 1234')
+    expect(Vehicles.getPlateVariants('wxy1234')).toEqual(expect.arrayContaining(['WXY 1234', 'WXY1234', 'WXY-1234', 'wxy 1234']))
+    expect(Vehicles.getPlateVariants('  ')).toEqual([])
+  })
+
+  test('should validate plate, VIN and year', () => {
+    expect(Vehicles.validate({ plate: '', vin: 'SHORT', year: '99' })).toHaveLength(3)
+    expect(Vehicles.validate({ plate: 'WXY 1234', vin: 'PL1BT3LNRJB000001', year: '2019', gearboxType: 'cvt' })).toEqual([])
+  })
+
+  test('should reject odometer readings below the latest one', () => {
+    expect(Vehicles.getLatestMileage(vehicle).mileage).toBe(85000)
+    expect(() => Vehicles.buildMileageReading(vehicle, 84000)).toThrow('below the last reading')
+    expect(Vehicles.buildMileageReading(vehicle, 90000, 'job_card', 'job-1'))
+      .toMatchObject({ mileage: 90000, source: 'job_card', sourceId: 'job-1' })
+  })
+
+  test('should close the previous ownership when the car changes hands', () => {
+    const transferDate = new Date('2026-06-01')
+    const updates = Vehicles.buildOwnerTransfer(vehicle, { id: 'cust-2', name: 'Ravi' }, transferDate)
+
+    expect(updates.customerId).toBe('cust-2')
+    expect(updates.ownerHistory).toHaveLength(2)
+    expect(updates.ownerHistory[0].to).toBe(transferDate)
+    expect(updates.ownerHistory[1]).toMatchObject({ customerId: 'cust-2', to: null })
+    expect(() => Vehicles.buildOwnerTransfer(vehicle, { id: 'cust-1' })).toThrow()
+  })
+
+  test('should build a newest-first timeline for the plate only', () => {
+    const timeline = Vehicles.buildTimeline(vehicle, {
+      repairOrders: [{ id: 'job-1', jobNumber: 'JOB-2026-0001', vehicleInfo: { licensePlate: 'WXY1234' }, dateCreated: new Date('2026-03-01') }],
+      quotations: [{ id: 'quo-1', quotationNumber: 'QUO-2026-0001', vehicleInfo: { plate: 'wxy 1234' }, dateCreated: new Date('2026-03-02'), total: 1200 }],
+      invoices: [
+        { id: 'inv-1', invoiceNumber: 'INV-2026-0001', vehicleInfo: { plate: 'WXY 1234' }, dateCreated: new Date('2026-03-10'), customerTotal: 1200 },
+        { id: 'inv-2', invoiceNumber: 'INV-2026-0002', vehicleInfo: { plate: 'ABC 999' }, dateCreated: new Date('2026-03-11') }
+      ]
+    })
+
+    expect(timeline.map(entry => entry.type)).toEqual([
+      TIMELINE_TYPES.INVOICE, TIMELINE_TYPES.QUOTATION, TIMELINE_TYPES.REPAIR_ORDER
+    ])
+    expect(timeline[0].amount).toBe(1200)
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * Warranty Test Suite
+ * Tests warranty terms, expiry by date and mileage, and no-charge claim billing
+ */
+
+import { describe, test, expect } from 'vitest'
+import Warranty, { WARRANTY_SCOPES } from '../utils/Warranty'
+
+const invoice = {
+  invoiceNumber: 'INV-2026-0001',
+  dateCreated: new Date('2026-01-15'),
+  serviceMileage: 100000,
+  warranty: { warrantyMonths: 12, warrantyMileage: 20000, terms: 'Gearbox overhaul workmanship' },
+  partsOrdered: [
+    { partName: 'Clutch pack', quantity: 1, total: 800, warrantyMonths: 6 },
+    { partName: 'ATF', quantity: 6, total: 240 }
+  ],
+  laborCharges: [{ description: 'Overhaul labour', amount: 1200 }]
+}
+
+describe('Warranty', () => {
+  test('should describe a term with either or both limits', () => {
+    expect(Warranty.describeTerm({ warrantyMonths: 12, warrantyMileage: 20000 }))
+      .toBe(`12 months or ${(20000).toLocaleString()} km, whichever comes first`)
+    expect(Warranty.describeTerm({ warrantyMonths: 1 })).toBe('1 month')
+    expect(Warranty.describeTerm({})).toBe('')
+  })
+
+  test('should list the job warranty and per-line warranties with expiry', () => {
+    const terms = Warranty.getTerms(invoice)
+
+    expect(terms.map(term => term.scope)).toEqual([WARRANTY_SCOPES.JOB, WARRANTY_SCOPES.PART])
+    expect(terms[0].expiresAt).toEqual(new Date('2027-01-15'))
+    expect(terms[0].expiresAtMileage).toBe(120000)
+    expect(terms[1]).toMatchObject({ lineIndex: 0, description: 'Clutch pack', expiresAtMileage: null })
+  })
+
+  test('should stop covering once either the date or the mileage limit is passed', () => {
+    const withinBoth = Warranty.checkCoverage(invoice, { date: new Date('2026-05-01'), mileage: 110000 })
+    expect(withinBoth.isCovered).toBe(true)
+    expect(withinBoth.terms.every(term => term.isValid)).toBe(true)
+
+    const partExpired = Warranty.checkCoverage(invoice, { date: new Date('2026-09-01'), mileage: 110000 })
+    expect(partExpired.isCovered).toBe(true)
+    expect(partExpired.terms[1].isValid).toBe(false)
+
+    const overMileage = Warranty.checkCoverage(invoice, { date: new Date('2026-05-01'), mileage: 125000 })
+    expect(overMileage.terms[0].isValid).toBe(false)
+
+    expect(Warranty.checkCoverage(invoice, { date: new Date('2027-02-01') }).isCovered).toBe(false)
+  })
+
+  test('should bill a warranty claim at no charge while keeping its cost', () => {
+    const totals = Warranty.applyClaimBilling({
+      partsTotal: 1040,
+      laborTotal: 1200,
+      subtotal: 2240,
+      taxBreakdown: [{ code: 'SST', rate: 8, taxAmount: 96 }],
+      taxTotal: 96,
+      total: 2336,
+      deposit: 100,
+      balanceDue: 2236,
+      customerPayableAmount: 2236,
+      partsSupplierCost: 600
+    })
+
+    expect(totals).toMatchObject({ subtotal: 2240, taxTotal: 0, total: 0, balanceDue: 0, customerPayableAmount: 0 })
+    expect(totals.warrantyCost).toEqual({ billableValue: 2336, partsCost: 600, laborCost: 1200, total: 1800 })
+  })
+})
@@ -25,6 +25,10 @@ afterAll(() => {
   vi.restoreAllMocks()
 })
 
+// Test files run in one module cache, so drop modules loaded by earlier files and let
+// each file import fresh copies bound to the Firestore mocks it configures
+vi.resetModules()
+
 // Mock Firebase entirely
 vi.mock('../firebaseConfig', () => ({
   db: {},
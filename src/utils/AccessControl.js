@@ -0,0 +1,230 @@
+/**
+ * Access Control
+ * Role-based permissions for staff accounts
+ * Roles are the EMPLOYEE_ROLES values from EmployeeContext
+ */
+
+export const PERMISSIONS = {
+  PARTS_MANAGE: 'parts_manage',
+  PURCHASING_MANAGE: 'purchasing_manage',
+  STOCK_TAKE_APPROVE: 'stock_take_approve',
+  INVOICE_CREATE: 'invoice_create',
+  INVOICE_EDIT: 'invoice_edit',
+  INVOICE_DELETE: 'invoice_delete',
+  QUOTATION_MANAGE: 'quotation_manage',
+  CUSTOMER_MANAGE: 'customer_manage',
+  PAYMENT_RECORD: 'payment_record',
+  CREDIT_NOTE_ISSUE: 'credit_note_issue',
+  ACCOUNTING_VIEW: 'accounting_view',
+  TAX_SETTINGS_MANAGE: 'tax_settings_manage',
+  NUMBERING_MANAGE: 'numbering_manage',
+  COMMISSION_VIEW: 'commission_view',
+  COMMISSION_APPROVE: 'commission_approve',
+  REPAIR_STATUS_UPDATE: 'repair_status_update',
+  EMPLOYEE_MANAGE: 'employee_manage',
+  SALARY_VIEW: 'salary_view',
+  PAYROLL_MANAGE: 'payroll_manage',
+  PAYROLL_APPROVE: 'payroll_approve',
+  LEAVE_APPROVE: 'leave_approve',
+  REVIEW_MANAGE: 'review_manage'
+}
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS)
+
+// Keyed by EMPLOYEE_ROLES values (kept as literals to avoid a context import cycle)
+export const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  manager: ALL_PERMISSIONS,
+  cashier: [
+    PERMISSIONS.INVOICE_CREATE,
+    PERMISSIONS.INVOICE_EDIT,
+    PERMISSIONS.QUOTATION_MANAGE,
+    PERMISSIONS.CUSTOMER_MANAGE,
+    PERMISSIONS.PAYMENT_RECORD,
+    PERMISSIONS.ACCOUNTING_VIEW
+  ],
+  service_advisor: [
+    PERMISSIONS.INVOICE_CREATE,
+    PERMISSIONS.INVOICE_EDIT,
+    PERMISSIONS.QUOTATION_MANAGE,
+    PERMISSIONS.CUSTOMER_MANAGE,
+    PERMISSIONS.REPAIR_STATUS_UPDATE
+  ],
+  receptionist: [
+    PERMISSIONS.QUOTATION_MANAGE,
+    PERMISSIONS.CUSTOMER_MANAGE
+  ],
+  parts_specialist: [
+    PERMISSIONS.PARTS_MANAGE,
+    PERMISSIONS.PURCHASING_MANAGE,
+    PERMISSIONS.INVOICE_CREATE
+  ],
+  mechanic: [
+    PERMISSIONS.REPAIR_STATUS_UPDATE
+  ]
+}
+
+// Sections every signed-in staff member may open
+const COMMON_SECTIONS = ['attendance-tracking', 'leave-management']
+
+// Section ID -> roles allowed to open it (Navigation and App.jsx section IDs)
+export const SECTION_ACCESS = {
+  'parts': ['owner', 'manager', 'parts_specialist', 'cashier', 'service_advisor', 'mechanic'],
+  'invoice': ['owner', 'manager', 'parts_specialist', 'cashier'],
+  'history': ['owner', 'manager', 'parts_specialist', 'cashier'],
+  'purchasing': ['owner', 'manager', 'parts_specialist'],
+  'stock-take': ['owner', 'manager', 'parts_specialist'],
+  'customers': ['owner', 'manager', 'cashier', 'service_advisor', 'receptionist'],
+  'car-status': ['owner', 'manager', 'cashier', 'service_advisor', 'receptionist', 'mechanic'],
+  'quotation': ['owner', 'manager', 'cashier', 'service_advisor', 'receptionist'],
+  'customer-invoicing': ['owner', 'manager', 'cashier', 'service_advisor'],
+  'accounting': ['owner', 'manager', 'cashier'],
+  'mechanic-commissions': ['owner', 'manager'],
+  'hr-dashboard': ['owner', 'manager'],
+  'employee-management': ['owner', 'manager'],
+  'payroll-management': ['owner', 'manager'],
+  'performance-reviews': ['owner', 'manager']
+}
+
+// Employee fields hidden from staff without SALARY_VIEW
+export const SALARY_FIELDS = ['salary', 'hourlyRate', 'bankAccount', 'bankName', 'bankCode', 'bankAccountName', 'idNumber']
+
+// SALARY_FIELDS are stored here, one document per employee ID, so only roles that
+// may see them ever load them - the employees collection is read by every role
+export const EMPLOYEE_PRIVATE_COLLECTION = 'employee_private'
+
+// One document per login, { employeeId }, so Firestore rules can find the login's
+// role on its employee record - see firestore.rules
+export const STAFF_LOGINS_COLLECTION = 'users'
+
+export class AccessControl {
+
+  /**
+   * Check whether a role holds a permission
+   * @param {String} role - EMPLOYEE_ROLES value
+   * @param {String} permission - PERMISSIONS value
+   * @returns {Boolean}
+   */
+  static hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission)
+  }
+
+  /**
+   * Check whether a role may open a navigation section
+   * @param {String} role - EMPLOYEE_ROLES value
+   * @param {String} sectionId - Section ID used by Navigation
+   * @returns {Boolean}
+   */
+  static canAccessSection(role, sectionId) {
+    if (!ROLE_PERMISSIONS[role]) return false
+    if (COMMON_SECTIONS.includes(sectionId)) return true
+    return (SECTION_ACCESS[sectionId] || []).includes(role)
+  }
+
+  /**
+   * First section a role may open, used as the landing page
+   * @param {String} role - EMPLOYEE_ROLES value
+   * @returns {String|null} Section ID
+   */
+  static getDefaultSection(role) {
+    const sectionId = Object.keys(SECTION_ACCESS).find(id => this.canAccessSection(role, id))
+    return sectionId || (ROLE_PERMISSIONS[role] ? COMMON_SECTIONS[0] : null)
+  }
+
+  /**
+   * Throw if a role lacks a permission - used by context write functions
+   * @param {String} role - EMPLOYEE_ROLES value
+   * @param {String} permission - PERMISSIONS value
+   * @param {String} action - Human readable action for the error message
+   */
+  static assertPermission(role, permission, action = 'perform this action') {
+    if (!this.hasPermission(role, permission)) {
+      const error = new Error(`Your role (${role ? role.replace(/_/g, ' ') : 'unassigned'}) is not allowed to ${action}`)
+      error.code = 'permission-denied'
+      throw error
+    }
+  }
+
+  /**
+   * Find the employee record for a signed-in Firebase user
+   * Matches on authUid first, then on email (case-insensitive)
+   * @param {Object} user - Firebase auth user
+   * @param {Array} employees - Employee records
+   * @returns {Object|null} Active employee record
+   */
+  static findEmployeeForUser(user, employees = []) {
+    if (!user) return null
+
+    const activeEmployees = employees.filter(emp => emp.status !== 'inactive')
+    const email = user.email?.toLowerCase()
+
+    return activeEmployees.find(emp => emp.authUid && emp.authUid === user.uid) ||
+      activeEmployees.find(emp => email && emp.email?.toLowerCase() === email) ||
+      null
+  }
+
+  /**
+   * Whether a signed-in user is the owner named in the deployment config
+   * Used when no employee record matches the login, so the first owner can set up staff roles
+   * @param {Object} user - Firebase auth user
+   * @param {String} ownerEmail - VITE_OWNER_EMAIL
+   * @returns {Boolean}
+   */
+  static isConfiguredOwner(user, ownerEmail) {
+    const email = user?.email?.trim().toLowerCase()
+    return !!email && email === ownerEmail?.trim().toLowerCase()
+  }
+
+  /**
+   * Split employee data into what every role may read and the SALARY_FIELDS
+   * @param {Object} data - Employee data from the form
+   * @returns {Object} { publicData, privateData }
+   */
+  static splitPrivateFields(data) {
+    const publicData = { ...data }
+    const privateData = {}
+    SALARY_FIELDS.forEach(field => {
+      if (field in publicData) {
+        privateData[field] = publicData[field]
+        delete publicData[field]
+      }
+    })
+    return { publicData, privateData }
+  }
+
+  /**
+   * Put each employee's private fields back on their record
+   * @param {Array} employees - Records from the employees collection
+   * @param {Array} privateRecords - Records from EMPLOYEE_PRIVATE_COLLECTION, keyed by employee ID
+   * @returns {Array} Employees with salary and bank details
+   */
+  static mergePrivateFields(employees = [], privateRecords = []) {
+    const privateById = new Map(privateRecords.map(record => [record.id, record]))
+    return employees.map(employee => {
+      const { id, ...privateData } = privateById.get(employee.id) || {}
+      return { ...employee, ...privateData }
+    })
+  }
+
+  /**
+   * Records saved before the split still hold SALARY_FIELDS in the employees collection
+   * @param {Object} employee - Record from the employees collection
+   * @returns {Boolean}
+   */
+  static hasPrivateFields(employee) {
+    return SALARY_FIELDS.some(field => employee[field] !== undefined)
+  }
+
+  /**
+   * Remove salary details from an employee record
+   * @param {Object} employee - Employee record
+   * @returns {Object} Employee without salary fields
+   */
+  static redactSalary(employee) {
+    const redacted = { ...employee }
+    SALARY_FIELDS.forEach(field => delete redacted[field])
+    return redacted
+  }
+}
+
+export default AccessControl
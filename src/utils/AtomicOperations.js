@@ -4,13 +4,17 @@
  * Enhanced with conflict resolution, audit trail, and performance optimization
  */
 
-import { doc, writeBatch, getDoc } from 'firebase/firestore'
+import { collection, doc, getDoc, runTransaction } from 'firebase/firestore'
 import { db } from '../firebaseConfig'
+import DocumentNumbering from './DocumentNumbering.js'
 import StockReconciliation from './StockReconciliation.js'
 import InvoiceEditValidator from './InvoiceEditValidator.js'
 import ConflictResolver from './ConflictResolver.js'
 import AuditTrail from './AuditTrail.js'
 import PerformanceOptimizer from './PerformanceOptimizer.js'
+import StockLedger, { STOCK_MOVEMENTS_COLLECTION } from './StockLedger.js'
+import PaymentLedger, { PAYMENT_STATUSES } from './PaymentLedger.js'
+import StockLocations from './StockLocations.js'
 import { createContextualError, ValidationErrorType } from '../types/InvoiceTypes.js'
 
 export class AtomicOperations {
@@ -21,10 +25,14 @@ export class AtomicOperations {
    * @param {Object} modifiedInvoice - Modified invoice data
    * @param {Array} currentParts - Current parts inventory
    * @param {Object} originalInvoice - Original invoice for comparison
+   * @param {Object} options - { collectionName } defaults to legacy 'invoices'
    * @returns {Promise<Object>} Operation result
    */
-  static async executeInvoiceEdit(invoiceId, modifiedInvoice, currentParts, originalInvoice) {
+  static async executeInvoiceEdit(invoiceId, modifiedInvoice, currentParts, originalInvoice, options = {}) {
+    const { collectionName = 'invoices' } = options
     const operationId = `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    let failedValidation = null
+    let conflicted = false
     
     // Enhanced with performance monitoring
     return PerformanceOptimizer.monitorPerformance('invoice_edit_atomic', async () => {
@@ -33,7 +41,8 @@ export class AtomicOperations {
         // Step 0: Pre-flight conflict check
         const conflictCheck = await ConflictResolver.checkForConflictsBeforeSave(
           invoiceId, 
-          originalInvoice.version || 1
+          originalInvoice.version || 1,
+          collectionName
         )
 
         if (conflictCheck.hasConflicts) {
@@ -82,66 +91,99 @@ export class AtomicOperations {
         // Record edit start
         await AuditTrail.recordEditStart(invoiceId, originalInvoice)
 
-        // Step 3: Create Firebase batch
-        const batch = writeBatch(db)
+        // Step 3: Run as a transaction so stock is changed from the values stored when it commits
         const timestamp = new Date()
-
-        // Step 4: Update invoice with enhanced metadata
-        const invoiceRef = doc(db, 'invoices', invoiceId)
-        const updatedInvoice = {
-          ...modifiedInvoice,
-          dateCreated: originalInvoice.dateCreated || modifiedInvoice.dateCreated || timestamp, // Preserve original date
-          updatedAt: timestamp,
-          editCount: (originalInvoice.editCount || 0) + 1,
-          lastEditedAt: timestamp,
-          version: (originalInvoice.version || 1) + 1,
-          lastEditSession: {
-            operationId,
-            sessionId: AuditTrail.getSessionId(),
-            timestamp,
-            editType: 'advanced_edit'
+        const invoiceRef = doc(db, collectionName, invoiceId)
+        let latestAnalysis = analysis
+        let updatedInvoice = null
+        let stockUpdates = []
+
+        await runTransaction(db, async (transaction) => {
+          // Step 4: Re-read the invoice and the affected parts before any writes, so a concurrent
+          // edit or sale can't be overwritten
+          const invoiceSnapshot = await transaction.get(invoiceRef)
+          if (!invoiceSnapshot.exists()) {
+            throw new Error('Invoice not found')
+          }
+          const storedInvoice = invoiceSnapshot.data()
+          if ((storedInvoice.version || 1) !== (originalInvoice.version || 1)) {
+            conflicted = true
+            throw new Error('Concurrent edit detected')
+          }
+          // Stock moves by the difference from the lines as stored
+          const storedOriginal = { ...originalInvoice, items: storedInvoice.items, partsOrdered: storedInvoice.partsOrdered }
+
+          const cachedImpact = StockReconciliation.analyzeInvoiceEdit(storedOriginal, modifiedInvoice, []).stockImpact
+          const partSnapshots = await Promise.all(
+            [...cachedImpact.keys()].map(partId => transaction.get(doc(db, 'parts', partId)))
+          )
+          const latestParts = partSnapshots
+            .filter(snapshot => snapshot.exists())
+            .map(snapshot => ({ id: snapshot.id, ...snapshot.data() }))
+          latestAnalysis = StockReconciliation.analyzeInvoiceEdit(storedOriginal, modifiedInvoice, latestParts)
+          if (!latestAnalysis.validation.isValid) {
+            failedValidation = latestAnalysis.validation
+            throw new Error('Validation failed')
           }
-        }
-        batch.set(invoiceRef, updatedInvoice, { merge: true })
 
-        // Step 5: Update affected parts stock with enhanced tracking
-        const stockUpdates = []
-        for (const stockUpdate of analysis.stockUpdates) {
-          const partRef = doc(db, 'parts', stockUpdate.partId)
-          batch.update(partRef, {
-            unitStock: stockUpdate.newStock,
+          // Step 5: Update invoice with enhanced metadata
+          updatedInvoice = {
+            ...modifiedInvoice,
+            dateCreated: originalInvoice.dateCreated || modifiedInvoice.dateCreated || timestamp, // Preserve original date
             updatedAt: timestamp,
-            lastStockChange: {
-              reason: 'invoice_edit',
-              invoiceId,
-              change: stockUpdate.stockChange,
+            editCount: (originalInvoice.editCount || 0) + 1,
+            lastEditedAt: timestamp,
+            version: (originalInvoice.version || 1) + 1,
+            lastEditSession: {
+              operationId,
+              sessionId: AuditTrail.getSessionId(),
               timestamp,
-              operationId
+              editType: 'advanced_edit'
             }
-          })
-
-          stockUpdates.push({
-            partId: stockUpdate.partId,
-            partName: stockUpdate.partName || 'Unknown',
-            quantityBefore: stockUpdate.oldStock,
-            quantityAfter: stockUpdate.newStock,
-            quantityChange: stockUpdate.stockChange,
-            operation: stockUpdate.stockChange > 0 ? 'restore' : 'allocate'
-          })
-        }
+          }
+          transaction.set(invoiceRef, updatedInvoice, { merge: true })
+
+          // Step 6: Update affected parts from the stock read in this transaction
+          stockUpdates = []
+          for (const stockUpdate of latestAnalysis.stockUpdates) {
+            const partRef = doc(db, 'parts', stockUpdate.partId)
+            transaction.update(partRef, {
+              ...StockLocations.getStockFields(latestParts.find(part => part.id === stockUpdate.partId), stockUpdate.newStock),
+              updatedAt: timestamp,
+              lastStockChange: {
+                reason: 'invoice_edit',
+                invoiceId,
+                change: stockUpdate.stockChange,
+                timestamp,
+                operationId
+              }
+            })
+            this.addStockMovement(transaction, stockUpdate, latestParts, {
+              reason: 'invoice_edit',
+              reference: { invoiceId, invoiceNumber: updatedInvoice.invoiceNumber || '', collectionName, operationId },
+              date: timestamp
+            })
 
-        // Step 6: Create audit trail entries
-        for (const auditEntry of analysis.auditTrail) {
-          const auditRef = doc(db, 'audit_trail', auditEntry.id)
-          batch.set(auditRef, {
-            ...auditEntry,
-            operationId,
-            createdAt: timestamp
-          })
-        }
+            stockUpdates.push({
+              partId: stockUpdate.partId,
+              partName: stockUpdate.partName || 'Unknown',
+              quantityBefore: stockUpdate.currentStock,
+              quantityAfter: stockUpdate.newStock,
+              quantityChange: stockUpdate.stockChange,
+              operation: stockUpdate.stockChange > 0 ? 'restore' : 'allocate'
+            })
+          }
 
-        // Step 7: Execute atomic batch
-        await batch.commit()
+          // Step 7: Create audit trail entries
+          for (const auditEntry of latestAnalysis.auditTrail) {
+            const auditRef = doc(db, 'audit_trail', auditEntry.id)
+            transaction.set(auditRef, {
+              ...auditEntry,
+              operationId,
+              createdAt: timestamp
+            })
+          }
+        })
 
         // Step 8: Record successful completion
         await AuditTrail.recordEditCompletion(
@@ -158,7 +200,7 @@ export class AtomicOperations {
         return {
           success: true,
           operationId,
-          analysis,
+          analysis: latestAnalysis,
           invoice: updatedInvoice,
           stockChanges: stockUpdates,
           operationMetrics: {
@@ -170,6 +212,14 @@ export class AtomicOperations {
         }
 
       } catch (error) {
+        // Another edit saved, or stock ran out, between the form check and the commit
+        if (conflicted) {
+          return { success: false, error: 'Concurrent edit detected', conflicts: [], operationId }
+        }
+        if (failedValidation) {
+          return { success: false, error: 'Validation failed', details: failedValidation, operationId }
+        }
+
         // Record operation failure
         await AuditTrail.recordError('atomic_invoice_edit_failed', error, {
           invoiceId,
@@ -193,98 +243,287 @@ export class AtomicOperations {
   }
 
   /**
-   * Delete invoice with stock restoration
-   * @param {String} invoiceId - Invoice to delete
-   * @param {Object} invoice - Invoice data
+   * Create invoice and deduct stock for its inventory-linked items atomically
+   * @param {Object} invoiceData - New invoice data
    * @param {Array} currentParts - Current parts inventory
-   * @returns {Promise<Object>} Operation result
+   * @param {Object} options - { collectionName, invoiceId, linkedUpdates, numberType }
+   *   invoiceId: pre-allocated document ID (optional)
+   *   linkedUpdates: Array of {collectionName, id, data, verify} written in the same transaction;
+   *     data may be a function receiving { invoiceNumber }; verify, when given, receives the
+   *     document as read in the transaction (null if missing) and throws to abort it
+   *   numberType: DOCUMENT_TYPES value - allocates invoiceNumber in the same transaction
+   * @returns {Promise<Object>} Operation result with the new invoiceId
    */
-  static async deleteInvoiceWithStockRestoration(invoiceId, invoice, currentParts) {
-    const operationId = `del_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    
+  static async createInvoiceWithStockDeduction(invoiceData, currentParts, options = {}) {
+    const { collectionName = 'invoices', invoiceId = null, linkedUpdates = [], numberType = null } = options
+    const operationId = `new_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    let failedValidation = null
+
     try {
-      // Step 1: Calculate stock restoration needed
-      const stockRestorations = invoice.items.map(item => ({
-        partId: item.partId,
-        quantityToRestore: item.quantity,
-        reason: 'invoice_deletion',
-        originalItem: item
-      }))
-
-      // Step 2: Validate parts still exist
-      const partsMap = new Map(currentParts.map(part => [part.id, part]))
-      const missingParts = stockRestorations.filter(resto => !partsMap.has(resto.partId))
-      
-      if (missingParts.length > 0) {
-        console.warn(`Some parts from deleted invoice no longer exist:`, missingParts)
-        // Continue anyway - we can't restore stock for non-existent parts
+      const invoiceRef = invoiceId
+        ? doc(db, collectionName, invoiceId)
+        : doc(collection(db, collectionName))
+
+      // Step 1: Analyze as an edit from an empty invoice - every item is an addition
+      const analysis = StockReconciliation.analyzeInvoiceEdit(
+        { id: invoiceRef.id, items: [] },
+        invoiceData,
+        currentParts
+      )
+
+      // Step 2: Validate stock availability against the cached parts to fail fast
+      if (!analysis.validation.isValid) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: analysis.validation,
+          operationId
+        }
       }
 
-      // Step 3: Create Firebase batch
-      const batch = writeBatch(db)
+      // Step 3: Run as a transaction so the document number is only consumed on commit
       const timestamp = new Date()
+      let newInvoice = null
+      let stockUpdates = []
+
+      await runTransaction(db, async (transaction) => {
+        // Step 4: Check linked documents can still take their update (e.g. the quotation
+        // is not already converted), then re-read the affected parts so a concurrent sale
+        // can't overwrite this deduction
+        for (const linkedUpdate of linkedUpdates.filter(update => update.verify)) {
+          const linkedSnapshot = await transaction.get(doc(db, linkedUpdate.collectionName, linkedUpdate.id))
+          linkedUpdate.verify(linkedSnapshot.exists() ? { id: linkedSnapshot.id, ...linkedSnapshot.data() } : null)
+        }
+        const partSnapshots = await Promise.all(
+          [...analysis.stockImpact.keys()].map(partId => transaction.get(doc(db, 'parts', partId)))
+        )
+        const latestParts = partSnapshots
+          .filter(snapshot => snapshot.exists())
+          .map(snapshot => ({ id: snapshot.id, ...snapshot.data() }))
+        const latestAnalysis = StockReconciliation.analyzeInvoiceEdit(
+          { id: invoiceRef.id, items: [] },
+          invoiceData,
+          latestParts
+        )
+        if (!latestAnalysis.validation.isValid) {
+          failedValidation = latestAnalysis.validation
+          throw new Error('Validation failed')
+        }
+
+        // Step 5: Allocate invoice number and create invoice
+        const invoiceNumber = numberType
+          ? await DocumentNumbering.allocateNumber(transaction, numberType, invoiceData.dateCreated || timestamp)
+          : invoiceData.invoiceNumber
+
+        newInvoice = {
+          ...invoiceData,
+          invoiceNumber,
+          version: 1,
+          createdAt: timestamp,
+          updatedAt: timestamp
+        }
+        transaction.set(invoiceRef, newInvoice)
 
-      // Step 4: Delete invoice
-      const invoiceRef = doc(db, 'invoices', invoiceId)
-      batch.delete(invoiceRef)
-
-      // Step 5: Restore stock for existing parts
-      for (const restoration of stockRestorations) {
-        const part = partsMap.get(restoration.partId)
-        if (part) {
-          const partRef = doc(db, 'parts', restoration.partId)
-          batch.update(partRef, {
-            unitStock: part.unitStock + restoration.quantityToRestore,
+        // Step 6: Deduct stock from the values read in this transaction
+        stockUpdates = []
+        for (const stockUpdate of latestAnalysis.stockUpdates) {
+          const partRef = doc(db, 'parts', stockUpdate.partId)
+          transaction.update(partRef, {
+            ...StockLocations.getStockFields(latestParts.find(part => part.id === stockUpdate.partId), stockUpdate.newStock),
             updatedAt: timestamp,
             lastStockChange: {
-              reason: 'invoice_deletion',
-              invoiceId,
-              change: restoration.quantityToRestore,
+              reason: 'invoice_creation',
+              invoiceId: invoiceRef.id,
+              change: stockUpdate.stockChange,
               timestamp,
               operationId
             }
           })
+          this.addStockMovement(transaction, stockUpdate, latestParts, {
+            reason: 'invoice_creation',
+            reference: { invoiceId: invoiceRef.id, invoiceNumber: invoiceNumber || '', collectionName, operationId },
+            date: timestamp
+          })
+
+          stockUpdates.push({
+            partId: stockUpdate.partId,
+            partName: stockUpdate.partName || 'Unknown',
+            quantityBefore: stockUpdate.currentStock,
+            quantityAfter: stockUpdate.newStock,
+            quantityChange: stockUpdate.stockChange,
+            operation: 'allocate'
+          })
+        }
+
+        // Step 7: Create audit trail entries
+        for (const auditEntry of latestAnalysis.auditTrail) {
+          const auditRef = doc(db, 'audit_trail', auditEntry.id)
+          transaction.set(auditRef, {
+            ...auditEntry,
+            operationId,
+            createdAt: timestamp
+          })
+        }
+
+        // Step 8: Apply linked document updates (e.g. source quotation back-link)
+        for (const linkedUpdate of linkedUpdates) {
+          const linkedData = typeof linkedUpdate.data === 'function'
+            ? linkedUpdate.data({ invoiceNumber })
+            : linkedUpdate.data
+          transaction.update(doc(db, linkedUpdate.collectionName, linkedUpdate.id), {
+            ...linkedData,
+            updatedAt: timestamp
+          })
+        }
+      })
+
+      await AuditTrail.recordInvoiceCreation(invoiceRef.id, newInvoice, stockUpdates)
+      PerformanceOptimizer.clearCache()
+
+      return {
+        success: true,
+        operationId,
+        invoiceId: invoiceRef.id,
+        invoice: { id: invoiceRef.id, ...newInvoice },
+        stockChanges: stockUpdates
+      }
+
+    } catch (error) {
+      // Stock ran out between the form check and the commit
+      if (failedValidation) {
+        return {
+          success: false,
+          error: 'Validation failed',
+          details: failedValidation,
+          operationId
         }
       }
 
-      // Step 6: Create deletion audit entry
-      const auditRef = doc(db, 'audit_trail', `audit_delete_${operationId}`)
-      batch.set(auditRef, {
-        id: `audit_delete_${operationId}`,
-        invoiceId,
-        userId: 'system',
-        action: 'invoice_deleted',
-        timestamp,
+      await AuditTrail.recordError('atomic_invoice_create_failed', error, {
         operationId,
-        details: {
-          invoiceNumber: invoice.invoiceNumber,
-          totalAmount: invoice.totalAmount,
-          itemCount: invoice.items.length,
-          stockRestorations: stockRestorations.map(r => ({
-            partId: r.partId,
-            partName: r.originalItem.namaProduk,
-            quantityRestored: r.quantityToRestore
-          }))
-        },
-        createdAt: timestamp
+        severity: 'high',
+        userImpact: 'operation_failed',
+        recoveryAction: 'retry_or_reload'
       })
 
-      // Step 7: Execute atomic batch
-      await batch.commit()
+      console.error(`Create operation ${operationId} failed:`, error)
 
       return {
-        success: true,
+        success: false,
+        error: error.message,
         operationId,
-        message: `Invoice ${invoice.invoiceNumber} deleted successfully`,
-        details: {
-          stockRestored: stockRestorations.length,
-          missingParts: missingParts.length
+        details: error,
+        suggestion: 'Please try again or contact support if the problem persists'
+      }
+    }
+  }
+
+  /**
+   * Void a numbered invoice and return its inventory-linked parts to stock
+   * The invoice stays in place so its number is not lost from the sequence
+   * @param {String} invoiceId - Invoice to void
+   * @param {String} reason - Why it was voided
+   * @param {Object} options - { collectionName, actor }
+   * @returns {Promise<Object>} Operation result
+   */
+  static async voidInvoiceWithStockRestoration(invoiceId, reason, options = {}) {
+    const { collectionName = 'customer_invoices', actor = null } = options
+    const operationId = `void_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+    try {
+      const invoiceRef = doc(db, collectionName, invoiceId)
+      const timestamp = new Date()
+      let invoice = null
+      let stockRestorations = []
+
+      await runTransaction(db, async (transaction) => {
+        // Step 1: Read the invoice and its parts before any writes
+        const invoiceSnapshot = await transaction.get(invoiceRef)
+        if (!invoiceSnapshot.exists()) {
+          throw new Error('Invoice not found')
+        }
+        invoice = { id: invoiceSnapshot.id, ...invoiceSnapshot.data() }
+
+        const blocker = PaymentLedger.getVoidBlocker(invoice)
+        if (blocker) {
+          throw new Error(`Invoice ${invoice.invoiceNumber} can't be voided. ${blocker}.`)
         }
+
+        const inventoryItems = StockReconciliation.getInventoryItems(invoice)
+        const partSnapshots = await Promise.all(
+          inventoryItems.map(item => transaction.get(doc(db, 'parts', item.partId)))
+        )
+
+        // Step 2: Mark the invoice void - amounts are kept for the record
+        transaction.update(invoiceRef, {
+          paymentStatus: PAYMENT_STATUSES.VOID,
+          balanceDue: 0,
+          voidedAt: timestamp,
+          voidReason: reason,
+          voidedBy: actor?.name || null,
+          voidedById: actor?.id || null,
+          updatedAt: timestamp
+        })
+
+        // Step 3: Restore stock from the values read in this transaction
+        stockRestorations = []
+        inventoryItems.forEach((item, index) => {
+          const snapshot = partSnapshots[index]
+          if (!snapshot.exists()) return // Can't restore stock for a part that no longer exists
+
+          const part = { id: snapshot.id, ...snapshot.data() }
+          const stockBefore = Number(part.unitStock) || 0
+          const stockAfter = stockBefore + item.quantity
+          transaction.update(doc(db, 'parts', part.id), {
+            unitStock: stockAfter,
+            updatedAt: timestamp,
+            lastStockChange: {
+              reason: 'invoice_void',
+              invoiceId,
+              change: item.quantity,
+              timestamp,
+              operationId
+            }
+          })
+          this.addStockMovement(transaction, { partId: part.id, currentStock: stockBefore, newStock: stockAfter }, [part], {
+            reason: 'invoice_void',
+            reference: { invoiceId, invoiceNumber: invoice.invoiceNumber || '', collectionName, operationId },
+            date: timestamp
+          })
+          stockRestorations.push({ partId: part.id, partName: part.namaProduk || item.namaProduk, quantityRestored: item.quantity })
+        })
+
+        // Step 4: Audit entry
+        const auditRef = doc(db, 'audit_trail', `audit_void_${operationId}`)
+        transaction.set(auditRef, {
+          id: `audit_void_${operationId}`,
+          invoiceId,
+          userId: actor?.id || 'system',
+          action: 'invoice_voided',
+          timestamp,
+          operationId,
+          details: {
+            invoiceNumber: invoice.invoiceNumber,
+            reason,
+            totalAmount: PaymentLedger.getInvoiceTotal(invoice),
+            stockRestorations
+          },
+          createdAt: timestamp
+        })
+      })
+
+      PerformanceOptimizer.clearCache()
+
+      return {
+        success: true,
+        operationId,
+        message: `Invoice ${invoice.invoiceNumber} voided`,
+        details: { stockRestored: stockRestorations.length }
       }
 
     } catch (error) {
-      console.error(`Delete operation ${operationId} failed:`, error)
-      
+      console.error(`Void operation ${operationId} failed:`, error)
+
       return {
         success: false,
         error: error.message,
@@ -295,6 +534,29 @@ export class AtomicOperations {
     }
   }
 
+  /**
+   * Append a stock_movements entry to a batch or transaction next to its stock update
+   * @param {Object} writer - Firestore WriteBatch or Transaction
+   * @param {Object} stockUpdate - { partId, currentStock, newStock }
+   * @param {Array} currentParts - Used for the part name
+   * @param {Object} details - { reason, reference, date }
+   */
+  static addStockMovement(writer, stockUpdate, currentParts, { reason, reference, date }) {
+    const part = currentParts.find(p => p.id === stockUpdate.partId)
+    const movement = StockLedger.buildMovement({
+      partId: stockUpdate.partId,
+      partName: part?.namaProduk || stockUpdate.partName || '',
+      stockBefore: stockUpdate.currentStock,
+      stockAfter: stockUpdate.newStock,
+      reason,
+      reference,
+      date
+    })
+    if (movement) {
+      writer.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
+    }
+  }
+
   /**
    * Validate transaction before execution
    * @param {Array} operations - Operations to validate
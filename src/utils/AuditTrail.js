@@ -502,6 +502,7 @@ export class AuditTrail {
       'invoice_deleted': 'Invoice Deleted',
       'stock_updated': 'Stock Updated',
       'stock_restored': 'Stock Restored',
+      'stock_take_posted': 'Stock-Take Posted',
       'error_occurred': 'Error Occurred'
     }
     
@@ -526,6 +527,9 @@ export class AuditTrail {
       
       case 'stock_updated':
         return `Updated stock for ${entry.details?.totalPartsAffected} parts`
+
+      case 'stock_take_posted':
+        return `Posted stock-take ${entry.details?.stockTakeNumber} - ${entry.details?.totalPartsAffected} parts adjusted`
       
       case 'error_occurred':
         return `Error in ${entry.details?.failedAction}: ${entry.details?.errorMessage}`
@@ -0,0 +1,387 @@
+/**
+ * Bank Payments
+ * Bulk-payment upload files for corporate online banking, built from approved
+ * pay runs. Each file layout is a template - CSV or
+ * fixed-width, with optional header and trailer records - so a bank's layout
+ * can be adjusted in settings without code changes.
+ * Files carry a record count, total and account hash total to check against
+ * the portal's upload summary
+ */
+
+import Spreadsheet from './Spreadsheet'
+
+export const BANK_PAYMENT_SETTINGS_DOC = 'bank_payments'
+
+export const FILE_FORMATS = {
+  CSV: 'csv',
+  FIXED: 'fixed'
+}
+
+// Participating banks with their SWIFT/BIC codes, which the portals use to route IBG/DuitNow transfers
+export const MALAYSIAN_BANKS = [
+  { code: 'MBBEMYKL', name: 'Maybank' },
+  { code: 'CIBBMYKL', name: 'CIMB Bank' },
+  { code: 'PBBEMYKL', name: 'Public Bank' },
+  { code: 'RHBBMYKL', name: 'RHB Bank' },
+  { code: 'HLBBMYKL', name: 'Hong Leong Bank' },
+  { code: 'ARBKMYKL', name: 'AmBank' },
+  { code: 'BIMBMYKL', name: 'Bank Islam' },
+  { code: 'BKRMMYKL', name: 'Bank Rakyat' },
+  { code: 'BSNAMYK1', name: 'Bank Simpanan Nasional' },
+  { code: 'PHBMMYKL', name: 'Affin Bank' },
+  { code: 'MFBBMYKL', name: 'Alliance Bank' },
+  { code: 'BMMBMYKL', name: 'Bank Muamalat' },
+  { code: 'AGOBMYKL', name: 'Agrobank' },
+  { code: 'OCBCMYKL', name: 'OCBC Bank' },
+  { code: 'UOVBMYKL', name: 'UOB Malaysia' },
+  { code: 'HBMBMYKL', name: 'HSBC Bank Malaysia' },
+  { code: 'SCBLMYKX', name: 'Standard Chartered' }
+]
+
+// Values a detail record can hold
+export const PAYMENT_FIELDS = {
+  sequence: 'Running number',
+  beneficiaryName: 'Beneficiary name',
+  accountNumber: 'Account number',
+  bankCode: 'Bank code (BIC)',
+  bankName: 'Bank name',
+  idNumber: 'IC / passport number',
+  amount: 'Amount (0.00)',
+  amountCents: 'Amount in sen',
+  reference: 'Payment reference',
+  paymentDate: 'Payment date (YYYYMMDD)'
+}
+
+// Values a header or trailer record can hold
+export const SUMMARY_FIELDS = {
+  companyName: 'Company name',
+  companyAccount: 'Company account number',
+  paymentDate: 'Payment date (YYYYMMDD)',
+  reference: 'Batch reference',
+  count: 'Number of payments',
+  totalAmount: 'Total amount (0.00)',
+  totalCents: 'Total in sen',
+  hashTotal: 'Account hash total'
+}
+
+/**
+ * Layouts follow the columns each portal's bulk upload template asks for.
+ * Banks revise their templates, so check against the one your portal offers
+ * and add a custom template if it differs
+ */
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'maybank2e_csv',
+    name: 'Maybank2E Bulk Payment (CSV)',
+    format: FILE_FORMATS.CSV,
+    includeColumnNames: true,
+    fields: [
+      { field: 'beneficiaryName', label: 'Beneficiary Name' },
+      { field: 'accountNumber', label: 'Beneficiary Account No' },
+      { field: 'bankCode', label: 'Beneficiary Bank' },
+      { field: 'amount', label: 'Payment Amount' },
+      { field: 'reference', label: 'Recipient Reference' },
+      { field: 'idNumber', label: 'Beneficiary ID' }
+    ]
+  },
+  {
+    id: 'cimb_bizchannel_csv',
+    name: 'CIMB BizChannel Bulk Payment (CSV)',
+    format: FILE_FORMATS.CSV,
+    includeColumnNames: true,
+    fields: [
+      { field: 'sequence', label: 'No' },
+      { field: 'beneficiaryName', label: 'Beneficiary Name' },
+      { field: 'bankCode', label: 'Bank Code' },
+      { field: 'accountNumber', label: 'Account Number' },
+      { field: 'idNumber', label: 'New IC / Passport' },
+      { field: 'amount', label: 'Amount' },
+      { field: 'reference', label: 'Payment Description' }
+    ]
+  },
+  {
+    id: 'ibg_fixed_width',
+    name: 'IBG Fixed Width (header, detail, trailer)',
+    format: FILE_FORMATS.FIXED,
+    headerRecord: [
+      { literal: 'H', width: 1 },
+      { field: 'companyAccount', width: 16 },
+      { field: 'companyName', width: 40 },
+      { field: 'paymentDate', width: 8 },
+      { field: 'reference', width: 20 }
+    ],
+    fields: [
+      { literal: 'D', width: 1 },
+      { field: 'sequence', width: 6, align: 'right', pad: '0' },
+      { field: 'bankCode', width: 11 },
+      { field: 'accountNumber', width: 20 },
+      { field: 'beneficiaryName', width: 40 },
+      { field: 'idNumber', width: 20 },
+      { field: 'amountCents', width: 15, align: 'right', pad: '0' },
+      { field: 'reference', width: 20 }
+    ],
+    trailerRecord: [
+      { literal: 'T', width: 1 },
+      { field: 'count', width: 6, align: 'right', pad: '0' },
+      { field: 'totalCents', width: 15, align: 'right', pad: '0' },
+      { field: 'hashTotal', width: 15, align: 'right', pad: '0' }
+    ]
+  },
+  {
+    id: 'generic_csv',
+    name: 'Generic CSV',
+    format: FILE_FORMATS.CSV,
+    includeColumnNames: true,
+    fields: [
+      { field: 'beneficiaryName', label: 'Name' },
+      { field: 'bankName', label: 'Bank' },
+      { field: 'bankCode', label: 'Bank Code' },
+      { field: 'accountNumber', label: 'Account Number' },
+      { field: 'amount', label: 'Amount' },
+      { field: 'reference', label: 'Reference' }
+    ],
+    trailerRecord: [
+      { literal: 'TOTAL' },
+      { field: 'count' },
+      { field: 'totalAmount' },
+      { field: 'hashTotal' }
+    ]
+  }
+]
+
+export const DEFAULT_BANK_PAYMENT_SETTINGS = {
+  companyName: '',
+  companyAccount: '',
+  defaultTemplateId: BUILT_IN_TEMPLATES[0].id,
+  customTemplates: []
+}
+
+// Hash total is the sum of each account's last 10 digits, kept to 15 digits
+const HASH_DIGITS = 10
+const HASH_MODULUS = 1e15
+
+const toDateKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) return date.slice(0, 10).replace(/-/g, '')
+  const value = date?.toDate ? date.toDate() : new Date(date)
+  return `${value.getFullYear()}${String(value.getMonth() + 1).padStart(2, '0')}${String(value.getDate()).padStart(2, '0')}`
+}
+
+// Banks reject anything outside printable ASCII in fixed-width files
+const toAscii = (value) => String(value ?? '').normalize('NFKD').replace(/[^\x20-\x7E]/g, '')
+
+const formatCents = (cents) => (cents / 100).toFixed(2)
+
+export class BankPayments {
+
+  /**
+   * Merge stored settings over the defaults
+   */
+  static normalizeSettings(settings) {
+    return {
+      ...DEFAULT_BANK_PAYMENT_SETTINGS,
+      ...(settings || {}),
+      customTemplates: Array.isArray(settings?.customTemplates) ? settings.customTemplates : []
+    }
+  }
+
+  static getTemplates(settings) {
+    return [...BUILT_IN_TEMPLATES, ...this.normalizeSettings(settings).customTemplates]
+  }
+
+  static getBank(code) {
+    return MALAYSIAN_BANKS.find(bank => bank.code === code) || null
+  }
+
+  static normalizeAccountNumber(value) {
+    return String(value || '').replace(/\D/g, '')
+  }
+
+  /**
+   * @returns {Array} Error messages, empty when the template can be used
+   */
+  static validateTemplate(template) {
+    const errors = []
+    const name = template?.name || template?.id || 'Template'
+    if (!template?.id || !template?.name) errors.push('Every template needs an id and a name')
+    if (!Object.values(FILE_FORMATS).includes(template?.format)) {
+      errors.push(`${name}: format must be "${FILE_FORMATS.CSV}" or "${FILE_FORMATS.FIXED}"`)
+    }
+    if (!Array.isArray(template?.fields) || template.fields.length === 0) {
+      errors.push(`${name}: add at least one detail field`)
+    }
+
+    const checkFields = (fields = [], allowed, recordName) => {
+      for (const spec of fields) {
+        if (spec.literal === undefined && !allowed[spec.field]) {
+          errors.push(`${name}: unknown ${recordName} field "${spec.field}"`)
+        }
+        if (template?.format === FILE_FORMATS.FIXED && !(Number.isInteger(spec.width) && spec.width > 0)) {
+          errors.push(`${name}: every fixed-width ${recordName} field needs a width`)
+        }
+      }
+    }
+    checkFields(template?.headerRecord, SUMMARY_FIELDS, 'header')
+    checkFields(template?.fields, PAYMENT_FIELDS, 'detail')
+    checkFields(template?.trailerRecord, SUMMARY_FIELDS, 'trailer')
+    return [...new Set(errors)]
+  }
+
+  static validateSettings(settings) {
+    const errors = []
+    const normalized = this.normalizeSettings(settings)
+    const ids = new Set(BUILT_IN_TEMPLATES.map(template => template.id))
+    for (const template of normalized.customTemplates) {
+      errors.push(...this.validateTemplate(template))
+      if (ids.has(template.id)) errors.push(`Template id "${template.id}" is already in use`)
+      ids.add(template.id)
+    }
+    if (!ids.has(normalized.defaultTemplateId)) errors.push('The default template does not exist')
+    if (normalized.companyAccount && !/^\d{6,20}$/.test(this.normalizeAccountNumber(normalized.companyAccount))) {
+      errors.push('Company account number should be 6 to 20 digits')
+    }
+    return errors
+  }
+
+  /**
+   * Match what is owed to each employee's bank details
+   * @param {Array} items - [{ employeeId, name, amount, reference }]
+   * @param {Array} employees - Employee records with bank details
+   * @returns {Object} { payments, errors, skipped } - nothing should be exported while errors remain
+   */
+  static buildPayments(items = [], employees = []) {
+    const payments = []
+    const errors = []
+    const skipped = []
+
+    for (const item of items) {
+      const amountCents = Math.round((Number(item.amount) || 0) * 100)
+      if (amountCents <= 0) {
+        skipped.push({ name: item.name, reason: 'nothing to pay' })
+        continue
+      }
+
+      const employee = employees.find(candidate => candidate.id === item.employeeId)
+      if (!employee) {
+        errors.push(`${item.name}: not linked to an employee record`)
+        continue
+      }
+      const accountNumber = this.normalizeAccountNumber(employee.bankAccount)
+      const bank = this.getBank(employee.bankCode)
+      if (!accountNumber) {
+        errors.push(`${item.name}: no bank account number`)
+        continue
+      }
+      if (!/^\d{6,20}$/.test(accountNumber)) errors.push(`${item.name}: account number should be 6 to 20 digits`)
+      if (!bank) errors.push(`${item.name}: choose the bank`)
+
+      payments.push({
+        employeeId: employee.id,
+        beneficiaryName: (employee.bankAccountName || item.name || '').trim(),
+        accountNumber,
+        bankCode: bank?.code || '',
+        bankName: bank?.name || '',
+        idNumber: employee.idNumber || '',
+        amountCents,
+        reference: item.reference || ''
+      })
+    }
+
+    return { payments, errors, skipped }
+  }
+
+  /**
+   * Totals to compare with the portal after upload
+   */
+  static summarize(payments = []) {
+    const totalCents = payments.reduce((sum, payment) => sum + payment.amountCents, 0)
+    const hashTotal = payments.reduce((sum, payment) => {
+      return (sum + Number(payment.accountNumber.slice(-HASH_DIGITS) || 0)) % HASH_MODULUS
+    }, 0)
+    return {
+      count: payments.length,
+      totalCents,
+      totalAmount: formatCents(totalCents),
+      hashTotal
+    }
+  }
+
+  static formatValue(spec, values, isFixed) {
+    let value = spec.literal !== undefined ? spec.literal : values[spec.field]
+    value = value == null ? '' : String(value)
+    if (!isFixed) return value
+
+    const width = spec.width
+    value = toAscii(value).toUpperCase().slice(0, width)
+    const pad = spec.pad || ' '
+    return spec.align === 'right' ? value.padStart(width, pad) : value.padEnd(width, pad)
+  }
+
+  static formatRecord(fields, values, template) {
+    if (template.format === FILE_FORMATS.FIXED) {
+      return fields.map(spec => this.formatValue(spec, values, true)).join('')
+    }
+    const delimiter = template.delimiter || ','
+    return fields.map(spec => {
+      const text = this.formatValue(spec, values, false)
+      return text.includes(delimiter) || /["\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }).join(delimiter)
+  }
+
+  /**
+   * Build the upload file
+   * @param {Object} template - From getTemplates
+   * @param {Array} payments - From buildPayments
+   * @param {Object} options - { companyName, companyAccount, paymentDate, reference }
+   * @returns {Object} { content, filename, summary } - summary includes the file's CRC-32 checksum
+   */
+  static generateFile(template, payments, options = {}) {
+    const errors = this.validateTemplate(template)
+    if (errors.length > 0) throw new Error(errors.join('\n'))
+    if (payments.length === 0) throw new Error('There are no payments to export')
+
+    const summary = this.summarize(payments)
+    const paymentDate = toDateKey(options.paymentDate || new Date())
+    const context = {
+      ...summary,
+      companyName: options.companyName || '',
+      companyAccount: this.normalizeAccountNumber(options.companyAccount),
+      paymentDate,
+      reference: options.reference || ''
+    }
+
+    const lines = []
+    if (template.format === FILE_FORMATS.CSV && template.includeColumnNames) {
+      lines.push(this.formatRecord(template.fields.map(spec => ({ literal: spec.label || PAYMENT_FIELDS[spec.field] || '' })), {}, template))
+    }
+    if (template.headerRecord?.length) lines.push(this.formatRecord(template.headerRecord, context, template))
+    payments.forEach((payment, index) => {
+      lines.push(this.formatRecord(template.fields, {
+        ...payment,
+        sequence: index + 1,
+        amount: formatCents(payment.amountCents),
+        paymentDate
+      }, template))
+    })
+    if (template.trailerRecord?.length) lines.push(this.formatRecord(template.trailerRecord, context, template))
+
+    const lineEnding = template.lineEnding === 'lf' ? '\n' : '\r\n'
+    const content = lines.join(lineEnding) + lineEnding
+    const extension = template.extension || (template.format === FILE_FORMATS.FIXED ? 'txt' : 'csv')
+    const reference = (options.reference || 'payments').replace(/[^a-zA-Z0-9-]/g, '')
+
+    return {
+      content,
+      filename: `${template.id}_${reference}_${paymentDate}.${extension}`,
+      summary: { ...summary, checksum: Spreadsheet.crc32(content) }
+    }
+  }
+
+  /**
+   * Offer a generated file as a download
+   */
+  static download({ content, filename }) {
+    Spreadsheet.downloadBlob(new Blob([content], { type: 'text/plain;charset=utf-8' }), filename)
+  }
+}
+
+export default BankPayments
@@ -0,0 +1,84 @@
+/**
+ * Barcode
+ * Code 128 (set B) encoding of part codes for printed labels, and matching
+ * scanned codes back to parts
+ * Code 128 rather than QR: it carries any printable part code and every
+ * keyboard-wedge scanner at the counter reads it, 1D or 2D
+ */
+
+// Bar/space widths of each Code 128 symbol value, in modules (bar first)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+]
+
+const START_B = 104
+const STOP_PATTERN = '2331112'
+
+// Quiet zone either side of the bars, in modules
+export const QUIET_ZONE_MODULES = 10
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase()
+
+export class Barcode {
+
+  /**
+   * Whether a part code can be printed as a Code 128 set B barcode (printable ASCII)
+   */
+  static isEncodable(text) {
+    return typeof text === 'string' && text.length > 0 && /^[\x20-\x7E]+$/.test(text)
+  }
+
+  /**
+   * Encode text as Code 128 set B
+   * @param {String} text - Printable ASCII, e.g. a kodProduk
+   * @returns {Array} Element widths in modules, alternating bar and space, starting with a bar
+   */
+  static encodeCode128(text) {
+    if (!this.isEncodable(text)) {
+      throw new Error(`"${text}" cannot be printed as a barcode - use letters, digits and symbols only`)
+    }
+
+    const values = [...text].map(char => char.charCodeAt(0) - 32)
+    const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), START_B) % 103
+    const patterns = [START_B, ...values, checksum].map(value => PATTERNS[value])
+
+    return [...patterns, STOP_PATTERN].join('').split('').map(Number)
+  }
+
+  /**
+   * Bars to draw, as offsets in modules from the left edge of the quiet zone
+   * @returns {Object} { bars: [{ x, width }], totalModules }
+   */
+  static getBars(text) {
+    const widths = this.encodeCode128(text)
+    const bars = []
+    let x = QUIET_ZONE_MODULES
+    widths.forEach((width, index) => {
+      if (index % 2 === 0) bars.push({ x, width })
+      x += width
+    })
+    return { bars, totalModules: x + QUIET_ZONE_MODULES }
+  }
+
+  /**
+   * Part whose code matches a scan, ignoring case and surrounding whitespace
+   * @returns {Object|null} Part
+   */
+  static findPartByCode(parts = [], scannedCode) {
+    const code = normalizeCode(scannedCode)
+    if (!code) return null
+    return parts.find(part => normalizeCode(part.kodProduk) === code) || null
+  }
+}
+
+export default Barcode
@@ -0,0 +1,332 @@
+/**
+ * Commission Statements
+ * Monthly mechanic commission statements built from paid customer invoices.
+ * A statement is a draft until a manager approves it and is locked once paid -
+ * either on its own or by the pay run that includes it.
+ * Invoices paid, credited, edited, voided or deleted after their month was approved are
+ * settled as adjustment lines (clawbacks when negative) on a later statement
+ */
+
+import { PAYMENT_STATUSES } from './PaymentLedger'
+
+export const COMMISSION_STATEMENTS_COLLECTION = 'commission_statements'
+
+export const STATEMENT_STATUSES = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  PAID: 'paid'
+}
+
+export const STATEMENT_STATUS_LABELS = {
+  [STATEMENT_STATUSES.DRAFT]: 'Draft',
+  [STATEMENT_STATUSES.APPROVED]: 'Approved',
+  [STATEMENT_STATUSES.PAID]: 'Paid'
+}
+
+export const ADJUSTMENT_REASONS = {
+  PAID: 'paid',
+  CREDITED: 'credited',
+  EDITED: 'edited',
+  VOIDED: 'voided',
+  DELETED: 'deleted'
+}
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value))
+
+// Approved statements are settled amounts too - a draft is recalculated until approval
+const isLocked = (statement) => statement.status === STATEMENT_STATUSES.APPROVED || statement.status === STATEMENT_STATUSES.PAID
+
+export class CommissionStatements {
+
+  /**
+   * @returns {String} YYYY-MM in local time
+   */
+  static getPeriodKey(date) {
+    const value = toDate(date)
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`
+  }
+
+  static getPeriodLabel(period) {
+    const [year, month] = period.split('-').map(Number)
+    return new Date(year, month - 1, 1).toLocaleDateString('en-MY', { month: 'long', year: 'numeric' })
+  }
+
+  static getMechanicKey(mechanicId, mechanicName) {
+    if (mechanicId) return String(mechanicId)
+    return `name-${(mechanicName || 'unknown').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}`
+  }
+
+  // One statement per mechanic per month, so its id is fixed
+  static getStatementId(period, mechanicKey) {
+    return `${period}_${mechanicKey}`
+  }
+
+  /**
+   * Commission an invoice still earns - nothing until it is paid or once it is void,
+   * otherwise reduced in proportion to credit notes against it
+   */
+  static getEarnedCommission(invoice) {
+    if (invoice?.paymentStatus === PAYMENT_STATUSES.VOID) return 0
+    if (invoice?.paymentStatus !== PAYMENT_STATUSES.PAID && !invoice?.paymentDate) return 0
+    const commission = Number(invoice?.commissionAmount) || 0
+    const total = Number(invoice?.customerTotal ?? invoice?.total) || 0
+    const credited = Number(invoice?.creditedAmount) || 0
+    if (commission <= 0) return 0
+    if (credited <= 0 || total <= 0) return roundCurrency(commission)
+    return roundCurrency(commission * Math.max(0, 1 - credited / total))
+  }
+
+  /**
+   * Who shares an invoice's commission - the team split, or the commission mechanic
+   * (falling back to the job's mechanic on invoices saved before commission mechanics)
+   * @returns {Array} [{ mechanicKey, mechanicId, mechanicName, percentage, type }]
+   */
+  static getInvoiceShares(invoice) {
+    const distribution = invoice.commissionDistribution || {}
+    if (invoice.commissionDistributionType === 'team' && Array.isArray(distribution.teamMembers)) {
+      return distribution.teamMembers
+        .filter(member => (Number(member.percentage) || 0) > 0 && (member.mechanicId || member.mechanicName))
+        .map(member => ({
+          mechanicKey: this.getMechanicKey(member.mechanicId, member.mechanicName),
+          mechanicId: member.mechanicId || null,
+          mechanicName: member.mechanicName || 'Unknown',
+          percentage: Number(member.percentage) || 0,
+          type: 'team'
+        }))
+    }
+
+    const mechanicId = distribution.mechanic?.id || invoice.mechanicId || null
+    const mechanicName = distribution.mechanic?.name || invoice.mechanicName || ''
+    if (!mechanicId && !mechanicName) return []
+    return [{
+      mechanicKey: this.getMechanicKey(mechanicId, mechanicName),
+      mechanicId,
+      mechanicName: mechanicName || 'Unknown',
+      percentage: 100,
+      type: 'individual'
+    }]
+  }
+
+  static buildLine(invoice, share, amount) {
+    return {
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber || '',
+      invoiceDate: toDate(invoice.dateCreated).toISOString(),
+      customerName: invoice.customerName || '',
+      type: share.type,
+      percentage: share.percentage,
+      invoiceCommission: this.getEarnedCommission(invoice),
+      amount: roundCurrency(amount),
+      adjustment: false
+    }
+  }
+
+  /**
+   * Amounts already settled per invoice for one mechanic, from approved and paid statements
+   * @returns {Map} invoiceId -> { amount, line }
+   */
+  static getSettledAmounts(statements, mechanicKey) {
+    const settled = new Map()
+    for (const statement of statements) {
+      if (statement.mechanicKey !== mechanicKey || !isLocked(statement)) continue
+      for (const line of statement.lines || []) {
+        const entry = settled.get(line.invoiceId) || { amount: 0, line }
+        entry.amount = roundCurrency(entry.amount + (Number(line.amount) || 0))
+        settled.set(line.invoiceId, entry)
+      }
+    }
+    return settled
+  }
+
+  /**
+   * Commission payroll pays a mechanic - approved statements not yet paid, whatever
+   * month they cover. Statements another pay run has taken are left to that run
+   * @param {Array} statements - Saved statements
+   * @param {String} mechanicId - The mechanic linked to the employee
+   * @param {String} payRunId - The pay run being calculated
+   * @returns {Object} { total, lines } with one line per statement
+   */
+  static getPayrollCommission(statements = [], mechanicId, payRunId) {
+    if (!mechanicId) return { total: 0, lines: [] }
+    const mechanicKey = this.getMechanicKey(mechanicId)
+    const lines = statements
+      .filter(statement => statement.mechanicKey === mechanicKey &&
+        statement.status === STATEMENT_STATUSES.APPROVED &&
+        (!statement.payRunId || statement.payRunId === payRunId))
+      .map(statement => ({
+        statementId: statement.id,
+        period: statement.period,
+        invoiceCount: statement.summary?.invoiceCount || 0,
+        adjustmentTotal: roundCurrency(statement.summary?.adjustmentTotal),
+        amount: roundCurrency(statement.summary?.total)
+      }))
+      .sort((a, b) => a.period.localeCompare(b.period))
+
+    return {
+      total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+      lines
+    }
+  }
+
+  /**
+   * Whether payroll pays a statement - its mechanic is linked to an employee record
+   * @param {Object} statement - Saved statement
+   * @param {Array} employees - Employee records, linked to mechanics by mechanicId
+   * @returns {Boolean} True when the statement is paid with a pay run
+   */
+  static isPaidThroughPayroll(statement, employees = []) {
+    return Boolean(statement?.mechanicId) &&
+      employees.some(employee => employee.mechanicId === statement.mechanicId)
+  }
+
+  /**
+   * Approved statements payroll can't pay. Their mechanics have no employee record,
+   * so no bank details either - they are paid by hand and then marked paid
+   * @param {Array} statements - Saved statements
+   * @param {Array} employees - Employee records
+   * @returns {Array} Statements to pay outside payroll
+   */
+  static getStatementsOutsidePayroll(statements = [], employees = []) {
+    return statements.filter(statement => statement.status === STATEMENT_STATUSES.APPROVED &&
+      !statement.payRunId &&
+      !this.isPaidThroughPayroll(statement, employees))
+  }
+
+  /**
+   * Payout sheet for statements paid outside payroll
+   * @param {Array} statements - Statements to pay
+   * @returns {Array} Rows of cell values, header first
+   */
+  static toPayoutRows(statements = []) {
+    return [
+      ['Mechanic', 'Period', 'Invoices', 'Adjustments (RM)', 'Amount (RM)', 'Statement'],
+      ...statements.map(statement => [
+        statement.mechanicName,
+        this.getPeriodLabel(statement.period),
+        statement.summary?.invoiceCount || 0,
+        roundCurrency(statement.summary?.adjustmentTotal),
+        roundCurrency(statement.summary?.total),
+        statement.id
+      ])
+    ]
+  }
+
+  static summarize(lines = []) {
+    const commissionTotal = roundCurrency(lines.filter(line => !line.adjustment).reduce((sum, line) => sum + line.amount, 0))
+    const adjustmentTotal = roundCurrency(lines.filter(line => line.adjustment).reduce((sum, line) => sum + line.amount, 0))
+    return {
+      invoiceCount: lines.filter(line => !line.adjustment).length,
+      commissionTotal,
+      adjustmentTotal,
+      total: roundCurrency(commissionTotal + adjustmentTotal)
+    }
+  }
+
+  /**
+   * Statements for every mechanic with commission in a month or adjustments to settle
+   * Adjustments cover invoices from earlier months that already have an approved or paid
+   * statement for the mechanic, where what the invoice earns now differs from what was settled
+   * @param {String} period - YYYY-MM
+   * @param {Array} invoices - All customer invoices
+   * @param {Array} statements - All saved statements
+   * @returns {Array} [{ id, period, mechanicKey, mechanicId, mechanicName, lines, summary }]
+   */
+  static buildStatements(period, invoices = [], statements = []) {
+    const mechanics = new Map()
+    const getMechanic = (share) => {
+      if (!mechanics.has(share.mechanicKey)) {
+        mechanics.set(share.mechanicKey, {
+          mechanicKey: share.mechanicKey,
+          mechanicId: share.mechanicId,
+          mechanicName: share.mechanicName,
+          lines: [],
+          currentByInvoice: new Map()
+        })
+      }
+      return mechanics.get(share.mechanicKey)
+    }
+
+    // What every invoice earns each mechanic today
+    for (const invoice of invoices) {
+      if (!invoice.dateCreated) continue
+      const invoicePeriod = this.getPeriodKey(invoice.dateCreated)
+      if (invoicePeriod > period) continue
+      const earned = this.getEarnedCommission(invoice)
+      for (const share of this.getInvoiceShares(invoice)) {
+        const mechanic = getMechanic(share)
+        const amount = roundCurrency(earned * share.percentage / 100)
+        mechanic.currentByInvoice.set(invoice.id, { invoice, invoicePeriod, share, amount })
+        if (invoicePeriod === period && amount !== 0) {
+          mechanic.lines.push(this.buildLine(invoice, share, amount))
+        }
+      }
+    }
+
+    // Mechanics known only from earlier statements can still owe a clawback
+    for (const statement of statements) {
+      if (!mechanics.has(statement.mechanicKey)) {
+        getMechanic({ mechanicKey: statement.mechanicKey, mechanicId: statement.mechanicId, mechanicName: statement.mechanicName })
+      }
+    }
+
+    const results = []
+    for (const mechanic of mechanics.values()) {
+      const settledPeriods = new Set(statements
+        .filter(statement => statement.mechanicKey === mechanic.mechanicKey && isLocked(statement) && statement.period < period)
+        .map(statement => statement.period))
+      const settled = this.getSettledAmounts(statements.filter(statement => statement.period !== period), mechanic.mechanicKey)
+
+      const adjustmentInvoiceIds = new Set([
+        ...[...mechanic.currentByInvoice.entries()]
+          .filter(([, current]) => settledPeriods.has(current.invoicePeriod))
+          .map(([invoiceId]) => invoiceId),
+        ...[...settled.entries()]
+          .filter(([, previous]) => this.getPeriodKey(previous.line.invoiceDate) < period)
+          .map(([invoiceId]) => invoiceId)
+      ])
+
+      for (const invoiceId of adjustmentInvoiceIds) {
+        const current = mechanic.currentByInvoice.get(invoiceId)
+        if (current && current.invoicePeriod === period) continue
+        const previous = settled.get(invoiceId)
+        const difference = roundCurrency((current?.amount || 0) - (previous?.amount || 0))
+        if (difference === 0) continue
+
+        const invoice = current?.invoice
+        let reason = ADJUSTMENT_REASONS.EDITED
+        if (!invoice) reason = ADJUSTMENT_REASONS.DELETED
+        else if (invoice.paymentStatus === PAYMENT_STATUSES.VOID) reason = ADJUSTMENT_REASONS.VOIDED
+        else if (!previous && difference > 0) reason = ADJUSTMENT_REASONS.PAID
+        else if ((Number(invoice.creditedAmount) || 0) > 0 && difference < 0) reason = ADJUSTMENT_REASONS.CREDITED
+
+        const base = invoice
+          ? this.buildLine(invoice, current.share, difference)
+          : { ...previous.line, invoiceCommission: 0, amount: difference }
+        mechanic.lines.push({
+          ...base,
+          adjustment: true,
+          adjustmentReason: reason,
+          previouslySettled: previous?.amount || 0
+        })
+      }
+
+      if (mechanic.lines.length === 0) continue
+      mechanic.lines.sort((a, b) => (a.adjustment - b.adjustment) || a.invoiceDate.localeCompare(b.invoiceDate))
+      results.push({
+        id: this.getStatementId(period, mechanic.mechanicKey),
+        period,
+        mechanicKey: mechanic.mechanicKey,
+        mechanicId: mechanic.mechanicId,
+        mechanicName: mechanic.mechanicName,
+        lines: mechanic.lines,
+        summary: this.summarize(mechanic.lines)
+      })
+    }
+
+    return results.sort((a, b) => a.mechanicName.localeCompare(b.mechanicName))
+  }
+}
+
+export default CommissionStatements
@@ -338,11 +338,12 @@ export class ConflictResolver {
    * Check for conflicts before saving
    * @param {String} invoiceId - Invoice ID
    * @param {Number} expectedVersion - Expected version
+   * @param {String} collectionName - Collection holding the invoice
    * @returns {Promise<Object>} Conflict check result
    */
-  static async checkForConflictsBeforeSave(invoiceId, expectedVersion) {
+  static async checkForConflictsBeforeSave(invoiceId, expectedVersion, collectionName = 'invoices') {
     try {
-      const docSnapshot = await getDoc(doc(db, 'invoices', invoiceId))
+      const docSnapshot = await getDoc(doc(db, collectionName, invoiceId))
       
       if (!docSnapshot.exists()) {
         return {
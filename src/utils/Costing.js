@@ -0,0 +1,205 @@
+/**
+ * Costing
+ * Weighted average cost per part, cost snapshots on invoice lines and
+ * gross margin per invoice, per part and per period
+ */
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+// Average costs keep extra precision so repeated receipts don't drift
+const roundCost = (amount) => Math.round((Number(amount) || 0) * 10000) / 10000
+
+const toDate = (value) => {
+  if (!value) return null
+  return value.toDate ? value.toDate() : new Date(value)
+}
+
+const hasCost = (value) => value !== '' && value != null && !isNaN(Number(value))
+
+export class Costing {
+
+  /**
+   * Average cost after receiving stock
+   * Stock already on hand keeps its average; an empty or negative shelf starts over at the receipt cost
+   * @param {Object} params - { stock, averageCost, quantity, unitCost }
+   * @returns {Number} New average cost
+   */
+  static getWeightedAverageCost({ stock = 0, averageCost = null, quantity = 0, unitCost = 0 }) {
+    const onHand = Number(stock) || 0
+    const received = Number(quantity) || 0
+    if (onHand <= 0 || !hasCost(averageCost) || received <= 0) return roundCost(unitCost)
+
+    return roundCost((onHand * Number(averageCost) + received * Number(unitCost)) / (onHand + received))
+  }
+
+  /**
+   * Current cost of one unit - the weighted average, or the last receipt cost for parts never averaged
+   * @returns {Number|null} null when the part has never been costed
+   */
+  static getPartCost(part) {
+    if (hasCost(part?.averageCost)) return Number(part.averageCost)
+    if (hasCost(part?.lastCostPrice)) return Number(part.lastCostPrice)
+    return null
+  }
+
+  static getLineCost(line) {
+    if (!hasCost(line?.unitCost)) return 0
+    return roundCurrency((Number(line.quantity) || 0) * Number(line.unitCost))
+  }
+
+  /**
+   * Fill unitCost and costTotal on invoice lines linked to inventory
+   * Lines that already carry a cost keep it, so saved invoices don't change when the average moves
+   * @param {Array} lines - partsOrdered rows
+   * @param {Array} parts - Inventory parts
+   * @returns {Array} New rows with cost fields
+   */
+  static snapshotLineCosts(lines = [], parts = []) {
+    return lines.map(line => {
+      let unitCost = hasCost(line.unitCost) ? Number(line.unitCost) : null
+      if (unitCost === null && line.partId) {
+        unitCost = this.getPartCost(parts.find(p => p.id === line.partId))
+      }
+      const costed = { ...line, unitCost }
+      return { ...costed, costTotal: unitCost === null ? null : this.getLineCost(costed) }
+    })
+  }
+
+  /**
+   * Spread a hand-typed supplier cost over lines in proportion to their totals
+   * For invoices saved before line costs existed, so editing them keeps the same commission base
+   * @returns {Array} New rows with unitCost set
+   */
+  static spreadCost(lines = [], totalCost = 0) {
+    const linesTotal = lines.reduce((sum, line) => sum + (Number(line.total) || 0), 0)
+    if (!(Number(totalCost) > 0) || linesTotal <= 0) return lines
+
+    return lines.map(line => {
+      const quantity = Number(line.quantity) || 0
+      if (quantity <= 0) return line
+      const lineCost = Number(totalCost) * (Number(line.total) || 0) / linesTotal
+      return { ...line, unitCost: roundCost(lineCost / quantity) }
+    })
+  }
+
+  /**
+   * Invoice lines with costs - invoices saved before line costs existed use their hand-typed total
+   */
+  static getCostedLines(invoice) {
+    const lines = invoice.partsOrdered || []
+    const isLegacy = lines.length > 0 && this.countUncostedLines(lines) === lines.length
+    return isLegacy ? this.spreadCost(lines, invoice.partsSupplierCost) : lines
+  }
+
+  static getPartsCost(lines = []) {
+    return roundCurrency(lines.reduce((sum, line) => sum + this.getLineCost(line), 0))
+  }
+
+  static countUncostedLines(lines = []) {
+    return lines.filter(line => !hasCost(line.unitCost)).length
+  }
+
+  /**
+   * Revenue of one line after the invoice discount and without tax
+   */
+  static getLineNetRevenue(line, invoice) {
+    const discountRate = (Number(invoice.discount) || 0) / 100
+    const amount = (Number(line.total) || 0) * (1 - discountRate)
+    const rate = line.taxCode ? Number(line.taxRate) || 0 : 0
+    return invoice.pricesIncludeTax ? amount * 100 / (100 + rate) : amount
+  }
+
+  /**
+   * Gross margin of a customer invoice - revenue is net of discount and tax
+   * Warranty claims bill nothing, so their margin is the cost absorbed
+   * @returns {Object} { revenue, partsRevenue, laborRevenue, partsCost, grossProfit, marginPercent, uncostedLines }
+   */
+  static calculateInvoiceMargin(invoice) {
+    const parts = this.getCostedLines(invoice)
+    const billed = !invoice.warrantyClaim
+    const partsRevenue = billed ? parts.reduce((sum, line) => sum + this.getLineNetRevenue(line, invoice), 0) : 0
+    const laborRevenue = billed
+      ? (invoice.laborCharges || []).reduce((sum, labor) => sum + this.getLineNetRevenue({ ...labor, total: labor.amount }, invoice), 0)
+      : 0
+    const partsCost = this.getPartsCost(parts)
+    const revenue = roundCurrency(partsRevenue + laborRevenue)
+    const grossProfit = roundCurrency(revenue - partsCost)
+
+    return {
+      revenue,
+      partsRevenue: roundCurrency(partsRevenue),
+      laborRevenue: roundCurrency(laborRevenue),
+      partsCost,
+      grossProfit,
+      marginPercent: revenue > 0 ? Math.round(grossProfit / revenue * 1000) / 10 : null,
+      uncostedLines: this.countUncostedLines(parts)
+    }
+  }
+
+  /**
+   * Parts margin across invoices, one row per inventory part (free-text rows grouped by name)
+   * @returns {Array} [{ key, sku, partName, quantity, revenue, cost, grossProfit, marginPercent }] - highest profit first
+   */
+  static summarizeByPart(invoices = []) {
+    const summary = new Map()
+    for (const invoice of invoices) {
+      if (invoice.warrantyClaim) continue
+      for (const line of this.getCostedLines(invoice)) {
+        const key = line.partId || `manual:${(line.partName || '').trim().toLowerCase()}`
+        const row = summary.get(key) || { key, sku: line.sku || '', partName: line.partName || '', quantity: 0, revenue: 0, cost: 0, uncostedLines: 0 }
+        row.quantity += Number(line.quantity) || 0
+        row.revenue += this.getLineNetRevenue(line, invoice)
+        row.cost += this.getLineCost(line)
+        if (!hasCost(line.unitCost)) row.uncostedLines += 1
+        summary.set(key, row)
+      }
+    }
+
+    return [...summary.values()]
+      .map(row => {
+        const revenue = roundCurrency(row.revenue)
+        const grossProfit = roundCurrency(row.revenue - row.cost)
+        return {
+          ...row,
+          revenue,
+          cost: roundCurrency(row.cost),
+          grossProfit,
+          marginPercent: revenue > 0 ? Math.round(grossProfit / revenue * 1000) / 10 : null
+        }
+      })
+      .sort((a, b) => b.grossProfit - a.grossProfit)
+  }
+
+  /**
+   * Invoice margins grouped by month of the invoice date
+   * @returns {Array} [{ period, invoiceCount, revenue, partsCost, grossProfit, marginPercent }] - newest first
+   */
+  static summarizeByPeriod(invoices = []) {
+    const summary = new Map()
+    for (const invoice of invoices) {
+      const date = toDate(invoice.dateCreated)
+      if (!date || isNaN(date)) continue
+      const period = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+      const margin = this.calculateInvoiceMargin(invoice)
+      const row = summary.get(period) || { period, invoiceCount: 0, revenue: 0, partsCost: 0, grossProfit: 0, uncostedLines: 0 }
+      row.invoiceCount += 1
+      row.revenue += margin.revenue
+      row.partsCost += margin.partsCost
+      row.grossProfit += margin.grossProfit
+      row.uncostedLines += margin.uncostedLines
+      summary.set(period, row)
+    }
+
+    return [...summary.values()]
+      .map(row => ({
+        ...row,
+        revenue: roundCurrency(row.revenue),
+        partsCost: roundCurrency(row.partsCost),
+        grossProfit: roundCurrency(row.grossProfit),
+        marginPercent: row.revenue > 0 ? Math.round(row.grossProfit / row.revenue * 1000) / 10 : null
+      }))
+      .sort((a, b) => b.period.localeCompare(a.period))
+  }
+}
+
+export default Costing
@@ -0,0 +1,273 @@
+/**
+ * Credit Notes
+ * Pure functions for crediting invoice lines, refunds and stock returns
+ */
+
+import TaxEngine from './TaxEngine'
+import PaymentLedger from './PaymentLedger'
+import StockReconciliation from './StockReconciliation'
+
+export const CREDIT_LINE_TYPES = {
+  PART: 'part',
+  LABOR: 'labor'
+}
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const lineKey = (lineType, sourceIndex) => `${lineType}:${sourceIndex}`
+
+export class CreditNotes {
+
+  /**
+   * Invoice lines with what is still available to credit
+   * Earlier credit notes are matched to invoice rows by line type and row index
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} creditNotes - Credit notes already issued against the invoice
+   * @returns {Array} Creditable lines
+   */
+  static getCreditableLines(invoice, creditNotes = []) {
+    const credited = this.getCreditedLines(invoice, creditNotes)
+
+    const parts = (invoice?.partsOrdered || []).map((row, index) => {
+      const used = credited[lineKey(CREDIT_LINE_TYPES.PART, index)]
+      const quantity = Number(row.quantity) || 0
+      return {
+        lineType: CREDIT_LINE_TYPES.PART,
+        sourceIndex: index,
+        partId: row.partId || null,
+        sku: row.sku || '',
+        description: row.partName || '',
+        quantity,
+        unitPrice: Number(row.pricePerUnit) || 0,
+        taxCode: row.taxCode || null,
+        taxRate: Number(row.taxRate) || 0,
+        remainingQuantity: Math.max(0, quantity - (used?.quantity || 0))
+      }
+    })
+
+    const labor = (invoice?.laborCharges || []).map((row, index) => {
+      const used = credited[lineKey(CREDIT_LINE_TYPES.LABOR, index)]
+      const amount = Number(row.amount) || 0
+      return {
+        lineType: CREDIT_LINE_TYPES.LABOR,
+        sourceIndex: index,
+        partId: null,
+        sku: row.sku || '',
+        description: row.description || '',
+        amount,
+        taxCode: row.taxCode || null,
+        taxRate: Number(row.taxRate) || 0,
+        remainingAmount: roundCurrency(Math.max(0, amount - (used?.amount || 0)))
+      }
+    })
+
+    return [...parts, ...labor]
+  }
+
+  /**
+   * Quantity and amount already credited per invoice line
+   * Uses the tally kept on the invoice; invoices credited before the tally
+   * existed fall back to adding up their credit notes
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} creditNotes - Credit notes already issued against the invoice
+   * @returns {Object} key -> { quantity, amount }
+   */
+  static getCreditedLines(invoice, creditNotes = []) {
+    if (invoice?.creditedLines) return invoice.creditedLines
+
+    return creditNotes
+      .filter(creditNote => creditNote.status !== 'void')
+      .reduce((credited, creditNote) => this.addCreditedLines(credited, creditNote.lines || []), {})
+  }
+
+  /**
+   * Add credit note lines to a per-line credited tally
+   * @param {Object} credited - key -> { quantity, amount }
+   * @param {Array} lines - Credit note lines
+   * @returns {Object} New tally
+   */
+  static addCreditedLines(credited, lines) {
+    const updated = { ...credited }
+    for (const line of lines) {
+      const key = lineKey(line.lineType, line.sourceIndex)
+      const entry = updated[key] || { quantity: 0, amount: 0 }
+      updated[key] = {
+        quantity: entry.quantity + (Number(line.quantity) || 0),
+        amount: roundCurrency(entry.amount + (Number(line.total) || 0))
+      }
+    }
+    return updated
+  }
+
+  /**
+   * Build credit note lines from the quantities/amounts picked in the form
+   * @param {Array} creditableLines - From getCreditableLines
+   * @param {Object} selections - key -> { quantity, amount, returnToStock }
+   * @returns {Array} Credit note lines (zero lines dropped)
+   */
+  static buildLines(creditableLines, selections = {}) {
+    return creditableLines
+      .map(line => {
+        const selection = selections[lineKey(line.lineType, line.sourceIndex)] || {}
+
+        if (line.lineType === CREDIT_LINE_TYPES.PART) {
+          const quantity = Number(selection.quantity) || 0
+          return {
+            lineType: line.lineType,
+            sourceIndex: line.sourceIndex,
+            partId: line.partId,
+            sku: line.sku,
+            description: line.description,
+            quantity,
+            unitPrice: line.unitPrice,
+            total: roundCurrency(quantity * line.unitPrice),
+            taxCode: line.taxCode,
+            taxRate: line.taxRate,
+            returnToStock: !!(line.partId && selection.returnToStock)
+          }
+        }
+
+        const amount = roundCurrency(selection.amount)
+        return {
+          lineType: line.lineType,
+          sourceIndex: line.sourceIndex,
+          partId: null,
+          sku: line.sku,
+          description: line.description,
+          quantity: 1,
+          unitPrice: amount,
+          total: amount,
+          taxCode: line.taxCode,
+          taxRate: line.taxRate,
+          returnToStock: false
+        }
+      })
+      .filter(line => line.total > 0)
+  }
+
+  /**
+   * Credit note totals - the invoice's discount and tax treatment are applied
+   * so crediting every line reverses the invoice exactly
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} lines - Credit note lines
+   * @returns {Object} { subtotal, discountAmount, taxBreakdown, taxTotal, total }
+   */
+  static calculateTotals(invoice, lines) {
+    const totals = TaxEngine.calculateTotals({
+      partsOrdered: lines
+        .filter(line => line.lineType === CREDIT_LINE_TYPES.PART)
+        .map(line => ({ total: line.total, taxCode: line.taxCode, taxRate: line.taxRate })),
+      laborCharges: lines
+        .filter(line => line.lineType === CREDIT_LINE_TYPES.LABOR)
+        .map(line => ({ amount: line.total, taxCode: line.taxCode, taxRate: line.taxRate })),
+      discount: invoice?.discount || 0,
+      pricesIncludeTax: !!invoice?.pricesIncludeTax,
+      settings: TaxEngine.getDocumentSettings(invoice)
+    })
+
+    return {
+      subtotal: totals.subtotal,
+      discount: Number(invoice?.discount) || 0,
+      discountAmount: totals.discountAmount,
+      taxBreakdown: totals.taxBreakdown,
+      taxTotal: totals.taxTotal,
+      pricesIncludeTax: totals.pricesIncludeTax,
+      total: totals.total
+    }
+  }
+
+  /**
+   * Invoice balances after a credit note
+   * Anything the customer has paid beyond their new share is refunded
+   * @param {Object} invoice - Customer invoice
+   * @param {Number} creditTotal - Credit note total
+   * @returns {Object} { creditedAmount, refundAmount, paidAmount, outstandingBalance, paymentStatus }
+   */
+  static calculateSettlement(invoice, creditTotal) {
+    const invoiceTotal = PaymentLedger.getInvoiceTotal(invoice)
+    const deposit = Number(invoice.deposit) || 0
+    const directLending = invoice.useDirectLending ? Number(invoice.directLendingAmount) || 0 : 0
+    const creditedAmount = roundCurrency(PaymentLedger.getCreditedAmount(invoice) + creditTotal)
+
+    // Invoices marked paid before payments were tracked count as fully settled
+    const isLegacyPaid = invoice.paymentStatus === 'paid' && !invoice.paidAmount
+    const paidBefore = isLegacyPaid
+      ? PaymentLedger.getPayableAmount(invoice)
+      : Number(invoice.paidAmount) || 0
+
+    const customerShare = Math.max(0, invoiceTotal - directLending - creditedAmount)
+    const refundAmount = roundCurrency(Math.max(0, paidBefore + deposit - customerShare))
+    const paidAmount = roundCurrency(paidBefore - refundAmount)
+
+    const updatedInvoice = { ...invoice, creditedAmount, paidAmount }
+    return {
+      creditedAmount,
+      refundAmount,
+      paidAmount,
+      outstandingBalance: PaymentLedger.getOutstandingBalance(updatedInvoice),
+      paymentStatus: PaymentLedger.derivePaymentStatus(updatedInvoice, paidAmount)
+    }
+  }
+
+  /**
+   * Inventory rows to put back on the shelf
+   * @param {Array} lines - Credit note lines
+   * @returns {Array} Inventory items merged by partId
+   */
+  static getRestockItems(lines) {
+    return StockReconciliation.getInventoryItems({
+      partsOrdered: lines
+        .filter(line => line.returnToStock && line.partId)
+        .map(line => ({
+          partId: line.partId,
+          sku: line.sku,
+          partName: line.description,
+          quantity: line.quantity,
+          pricePerUnit: line.unitPrice,
+          total: line.total
+        }))
+    })
+  }
+
+  /**
+   * Validate credit note lines against what is still creditable
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} creditableLines - From getCreditableLines
+   * @param {Array} lines - Credit note lines
+   * @param {String} reason - Reason for the credit note
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validate(invoice, creditableLines, lines, reason) {
+    const errors = []
+
+    if (!reason || !reason.trim()) {
+      errors.push('Please enter a reason for the credit note')
+    }
+    if (lines.length === 0) {
+      errors.push('Select at least one line to credit')
+    }
+
+    for (const line of lines) {
+      const source = creditableLines.find(candidate =>
+        candidate.lineType === line.lineType && candidate.sourceIndex === line.sourceIndex
+      )
+      if (!source) {
+        errors.push(`${line.description || 'Line'} is not on this invoice`)
+      } else if (line.lineType === CREDIT_LINE_TYPES.PART && line.quantity > source.remainingQuantity) {
+        errors.push(`${line.description || line.sku}: only ${source.remainingQuantity} left to credit`)
+      } else if (line.lineType === CREDIT_LINE_TYPES.LABOR && line.total - source.remainingAmount >= 0.005) {
+        errors.push(`${line.description || line.sku}: only RM${source.remainingAmount.toFixed(2)} left to credit`)
+      }
+    }
+
+    const remaining = PaymentLedger.getInvoiceTotal(invoice) - PaymentLedger.getCreditedAmount(invoice)
+    const { total } = this.calculateTotals(invoice, lines)
+    if (total - remaining >= 0.005) {
+      errors.push(`Credit of RM${total.toFixed(2)} exceeds the RM${remaining.toFixed(2)} left on the invoice`)
+    }
+
+    return errors
+  }
+}
+
+export default CreditNotes
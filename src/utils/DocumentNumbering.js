@@ -0,0 +1,210 @@
+/**
+ * Document Numbering
+ * Sequential, gap-free document numbers per type and year (e.g. INV-2026-0001)
+ * Counters live in counters/{type}_{year}; prefixes can be overridden in settings/numbering
+ * A number is only consumed when the transaction that writes the document commits
+ */
+
+import { doc, collection, onSnapshot, runTransaction, setDoc } from 'firebase/firestore'
+import { db } from '../firebaseConfig'
+
+export const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  QUOTATION: 'quotation',
+  RECEIPT: 'receipt',
+  CREDIT_NOTE: 'credit_note',
+  JOB_CARD: 'job_card',
+  PURCHASE_ORDER: 'purchase_order',
+  GOODS_RECEIPT: 'goods_receipt',
+  STOCK_TAKE: 'stock_take',
+  STOCK_TRANSFER: 'stock_transfer'
+}
+
+// startNumber lets a workshop continue an existing paper/legacy sequence for the year
+export const DEFAULT_NUMBERING = {
+  [DOCUMENT_TYPES.INVOICE]: { prefix: 'INV', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.QUOTATION]: { prefix: 'QUO', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.RECEIPT]: { prefix: 'RCP', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.CREDIT_NOTE]: { prefix: 'CN', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.JOB_CARD]: { prefix: 'JOB', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.PURCHASE_ORDER]: { prefix: 'PO', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.GOODS_RECEIPT]: { prefix: 'GRN', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.STOCK_TAKE]: { prefix: 'ST', padding: 4, startNumber: 1 },
+  [DOCUMENT_TYPES.STOCK_TRANSFER]: { prefix: 'TRF', padding: 4, startNumber: 1 }
+}
+
+const settingsRef = () => doc(db, 'settings', 'numbering')
+
+export class DocumentNumbering {
+
+  /**
+   * Numbering config for a type with settings/numbering overrides applied
+   * @param {String} type - DOCUMENT_TYPES value
+   * @param {Object} settings - settings/numbering document data (may be null)
+   * @returns {Object} { prefix, padding, startNumber }
+   */
+  static getConfig(type, settings = null) {
+    const defaults = DEFAULT_NUMBERING[type]
+    if (!defaults) {
+      throw new Error(`Unknown document type: ${type}`)
+    }
+    return { ...defaults, ...(settings?.[type] || {}) }
+  }
+
+  /**
+   * Format a document number
+   * @param {Object} config - { prefix, padding }
+   * @param {Number} year - Four digit year
+   * @param {Number} sequence - Sequence within the year
+   * @returns {String} e.g. INV-2026-0001
+   */
+  static formatNumber(config, year, sequence) {
+    return `${config.prefix}-${year}-${String(sequence).padStart(config.padding || 4, '0')}`
+  }
+
+  /**
+   * Next sequence for a counter document
+   * @param {Object} counter - Counter document data (null when the year has not started)
+   * @param {Object} config - Numbering config
+   * @returns {Number} Next sequence
+   */
+  static getNextSequence(counter, config) {
+    const lastNumber = Number(counter?.lastNumber) || 0
+    return Math.max(lastNumber + 1, Number(config.startNumber) || 1)
+  }
+
+  static getCounterRef(type, year) {
+    return doc(db, 'counters', `${type}_${year}`)
+  }
+
+  /**
+   * Allocate the next number inside a Firestore transaction
+   * Performs reads, so it must run after the caller's own reads and before any writes
+   * @param {Object} transaction - Firestore transaction
+   * @param {String} type - DOCUMENT_TYPES value
+   * @param {Date|String} date - Document date, decides the yearly series
+   * @returns {Promise<String>} Allocated document number
+   */
+  static async allocateNumber(transaction, type, date = new Date()) {
+    const year = new Date(date).getFullYear()
+    const counterRef = this.getCounterRef(type, year)
+
+    const settingsSnapshot = await transaction.get(settingsRef())
+    const counterSnapshot = await transaction.get(counterRef)
+
+    const config = this.getConfig(type, settingsSnapshot.exists() ? settingsSnapshot.data() : null)
+    const sequence = this.getNextSequence(counterSnapshot.exists() ? counterSnapshot.data() : null, config)
+    const documentNumber = this.formatNumber(config, year, sequence)
+
+    transaction.set(counterRef, {
+      type,
+      year,
+      prefix: config.prefix,
+      lastNumber: sequence,
+      lastDocumentNumber: documentNumber,
+      updatedAt: new Date()
+    })
+
+    return documentNumber
+  }
+
+  /**
+   * Create a document with a freshly allocated number in one transaction
+   * @param {String} collectionName - Target collection
+   * @param {String} type - DOCUMENT_TYPES value
+   * @param {String} numberField - Field that receives the number (e.g. 'quotationNumber')
+   * @param {Object} data - Document data
+   * @returns {Promise<Object>} { id, documentNumber }
+   */
+  static async createNumberedDocument(collectionName, type, numberField, data) {
+    const documentRef = doc(collection(db, collectionName))
+
+    const documentNumber = await runTransaction(db, async (transaction) => {
+      const allocatedNumber = await this.allocateNumber(transaction, type, data.dateCreated || new Date())
+      transaction.set(documentRef, { ...data, [numberField]: allocatedNumber })
+      return allocatedNumber
+    })
+
+    return { id: documentRef.id, documentNumber }
+  }
+
+  /**
+   * Listen to numbering settings with defaults applied for every type
+   * @param {Function} callback - Receives { [type]: { prefix, padding, startNumber } }
+   * @returns {Function} Unsubscribe
+   */
+  static subscribeToSettings(callback) {
+    const buildSettings = (data) => Object.fromEntries(
+      Object.values(DOCUMENT_TYPES).map(type => [type, this.getConfig(type, data)])
+    )
+
+    callback(buildSettings(null))
+    return onSnapshot(settingsRef(), (snapshot) => {
+      callback(buildSettings(snapshot.exists() ? snapshot.data() : null))
+    }, (error) => console.error('❌ Error loading numbering settings:', error))
+  }
+
+  /**
+   * Save numbering settings
+   * Only affects numbers allocated afterwards; existing documents keep their numbers
+   * @param {Object} settings - { [type]: { prefix, padding, startNumber } }
+   */
+  static async saveSettings(settings) {
+    const cleaned = {}
+    for (const type of Object.values(DOCUMENT_TYPES)) {
+      const config = this.getConfig(type, settings)
+      const prefix = String(config.prefix || '').trim().toUpperCase()
+      if (!/^[A-Z0-9]{1,6}$/.test(prefix)) {
+        throw new Error(`Prefix for ${type.replace('_', ' ')} must be 1-6 letters or digits`)
+      }
+      cleaned[type] = {
+        prefix,
+        padding: Math.min(8, Math.max(3, parseInt(config.padding) || 4)),
+        startNumber: Math.max(1, parseInt(config.startNumber) || 1)
+      }
+    }
+
+    const prefixes = Object.values(cleaned).map(config => config.prefix)
+    if (new Set(prefixes).size !== prefixes.length) {
+      throw new Error('Each document type needs its own prefix')
+    }
+
+    await setDoc(settingsRef(), { ...cleaned, updatedAt: new Date() })
+    console.log('✅ Numbering settings saved')
+  }
+
+  /**
+   * Live preview of the next number - display only, the saved number may differ
+   * if another terminal saves first
+   * @param {String} type - DOCUMENT_TYPES value
+   * @param {Function} callback - Receives the preview number
+   * @returns {Function} Unsubscribe
+   */
+  static subscribeToNextNumber(type, callback) {
+    const year = new Date().getFullYear()
+    let settings = null
+    let counter = null
+
+    const emit = () => {
+      const config = this.getConfig(type, settings)
+      callback(this.formatNumber(config, year, this.getNextSequence(counter, config)))
+    }
+
+    const unsubscribeSettings = onSnapshot(settingsRef(), (snapshot) => {
+      settings = snapshot.exists() ? snapshot.data() : null
+      emit()
+    }, (error) => console.error('❌ Error loading numbering settings:', error))
+
+    const unsubscribeCounter = onSnapshot(this.getCounterRef(type, year), (snapshot) => {
+      counter = snapshot.exists() ? snapshot.data() : null
+      emit()
+    }, (error) => console.error('❌ Error loading document counter:', error))
+
+    return () => {
+      unsubscribeSettings()
+      unsubscribeCounter()
+    }
+  }
+}
+
+export default DocumentNumbering
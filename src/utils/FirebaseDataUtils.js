@@ -11,9 +11,29 @@ import {
   orderBy, 
   limit,
   startAfter,
-  onSnapshot
+  onSnapshot,
+  runTransaction,
+  arrayUnion
 } from 'firebase/firestore'
-import { auth, db } from '../firebaseConfig'
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage'
+import { auth, db, storage } from '../firebaseConfig'
+import AtomicOperations from './AtomicOperations'
+import PaymentLedger from './PaymentLedger'
+import TaxEngine from './TaxEngine'
+import DocumentNumbering, { DOCUMENT_TYPES } from './DocumentNumbering'
+import CreditNotes from './CreditNotes'
+import StockReconciliation from './StockReconciliation'
+import JobCards, { REPAIR_STATUSES } from './JobCards'
+import Vehicles from './Vehicles'
+import Warranty from './Warranty'
+import Purchasing, { PO_STATUSES } from './Purchasing'
+import Costing from './Costing'
+import StockLedger, { STOCK_MOVEMENTS_COLLECTION, MOVEMENT_TYPES } from './StockLedger'
+import StockTake, { STOCK_TAKE_STATUSES } from './StockTake'
+import StockLocations, { STOCK_TRANSFERS_COLLECTION, TRANSFER_STATUSES } from './StockLocations'
+import CommissionStatements, { COMMISSION_STATEMENTS_COLLECTION, STATEMENT_STATUSES } from './CommissionStatements'
+import PayRuns, { PAY_RUNS_COLLECTION, PAYSLIPS_COLLECTION, PAY_RUN_STATUSES, PAY_RUN_STATUS_LABELS } from './PayRuns'
+import PartImages, { PART_IMAGES_FOLDER, FULL_IMAGE_SIZE, THUMBNAIL_SIZE } from './PartImages'
 
 // Helper function to check authentication
 const checkAuth = () => {
@@ -22,6 +42,33 @@ const checkAuth = () => {
   return user
 }
 
+// Helper to turn a failed AtomicOperations result into a readable message
+const describeAtomicFailure = (result) => {
+  const validationErrors = result.details?.errors || []
+  if (validationErrors.length > 0) {
+    return validationErrors.map(error => error.message).join('\n')
+  }
+  return result.error || 'Operation failed'
+}
+
+// Registry key of the vehicle on a quotation or invoice, so vehicle history can query by it
+const withVehicleId = (data) => {
+  if (!data.vehicleInfo) return data
+  return { ...data, vehicleId: Vehicles.getPlateKey(data.vehicleInfo.plate) || null }
+}
+
+// Helper to snapshot part costs onto invoice lines and derive the supplier cost from them
+const withLineCosts = (invoiceData, currentParts) => {
+  const partsOrdered = Costing.snapshotLineCosts(invoiceData.partsOrdered || [], currentParts)
+  const partsSupplierCost = Costing.getPartsCost(partsOrdered)
+  return {
+    ...invoiceData,
+    partsOrdered,
+    partsSupplierCost,
+    partsRevenue: Math.round(((Number(invoiceData.partsTotal) || 0) - partsSupplierCost) * 100) / 100
+  }
+}
+
 /**
  * Firebase Data Integration Utilities
  * Uses exact field names from user's Firebase schema
@@ -34,8 +81,23 @@ const checkAuth = () => {
  * Internal Collections (Read/Write):
  * - customer_invoices: customer-facing invoices
  * - transactions: payment tracking
+ * - credit_notes: credits and refunds against customer invoices
+ * - repair_orders: job cards created at vehicle check-in
+ * - vehicles: vehicle registry keyed by plate (Vehicles.getPlateKey)
+ * - suppliers: parts suppliers
+ * - purchase_orders: parts ordered from suppliers
+ * - goods_receipts: deliveries against purchase orders, with the unit cost paid
+ * - supplier_invoices: supplier bills matched to purchase orders
+ * - stock_movements: append-only ledger of every stock change (see StockLedger)
+ * - stock_takes: cycle count sessions with their frozen snapshot and counts
+ * - stock_transfers: stock moved between locations, in transit until received (see StockLocations)
+ * - commission_statements: monthly mechanic commission, one per mechanic and month (see CommissionStatements)
+ * - pay_runs: monthly pay runs; their payslips are saved to payroll (see PayRuns)
  * - parts: internal parts management (existing)
  * - invoices: internal invoices (existing)
+ *
+ * Storage:
+ * - part_images/{partId}: part photos and their thumbnails (see PartImages)
  */
 
 // ===== CUSTOMER DATA UTILITIES =====
@@ -289,24 +351,30 @@ export const getCustomerOrders = async (customerId) => {
 
 /**
  * Create a new customer invoice in internal collection
- * Generates invoice number automatically
+ * Allocates the next INV-YYYY-NNNN number and deducts stock for
+ * rows picked from the parts inventory in the same transaction
+ * Inventory rows without a cost get the part's current average cost
  */
-export const createCustomerInvoice = async (invoiceData) => {
+export const createCustomerInvoice = async (invoiceData, currentParts = [], options = {}) => {
   try {
-    const invoicesRef = collection(db, 'customer_invoices')
-    
-    // Generate invoice number: INV-{timestamp}
-    const invoiceNumber = `INV-${Date.now()}`
-    
-    const docRef = await addDoc(invoicesRef, {
-      ...invoiceData,
-      invoiceNumber: invoiceNumber,
+    const result = await AtomicOperations.createInvoiceWithStockDeduction({
+      ...withVehicleId(withLineCosts(invoiceData, currentParts)),
       dateCreated: new Date(),
-      paymentStatus: invoiceData.paymentStatus || 'pending'
+      paymentStatus: invoiceData.paymentStatus || 'pending',
+      // Invoices saved as paid are paid today
+      paymentDate: invoiceData.paymentStatus === 'paid' ? invoiceData.paymentDate || new Date() : null
+    }, currentParts, {
+      ...options,
+      collectionName: 'customer_invoices',
+      numberType: DOCUMENT_TYPES.INVOICE
     })
+
+    if (!result.success) {
+      throw new Error(describeAtomicFailure(result))
+    }
     
-    console.log('✅ Invoice created:', invoiceNumber, 'with ID:', docRef.id)
-    return docRef.id
+    console.log('✅ Invoice created:', result.invoice.invoiceNumber, 'with ID:', result.invoiceId)
+    return result.invoiceId
   } catch (error) {
     console.error('Error creating customer invoice:', error)
     throw error
@@ -368,6 +436,348 @@ export const updateCustomerInvoicePayment = async (invoiceId, paymentData) => {
   }
 }
 
+/**
+ * Record a (partial) payment against a customer invoice
+ * Writes the transaction and the invoice's running paidAmount/status in one Firestore transaction
+ * @returns {Promise<Object>} { transactionId, paidAmount, outstandingBalance, paymentStatus }
+ */
+export const recordInvoicePayment = async (invoiceId, paymentData) => {
+  try {
+    const invoiceRef = doc(db, 'customer_invoices', invoiceId)
+    const transactionRef = doc(collection(db, 'transactions'))
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(invoiceRef)
+      if (!snapshot.exists()) {
+        throw new Error('Invoice not found')
+      }
+
+      const invoice = { id: snapshot.id, ...snapshot.data() }
+      const amount = Number(paymentData.amount) || 0
+      const validation = PaymentLedger.validatePayment(invoice, amount)
+      if (!validation.isValid) {
+        throw new Error(validation.error)
+      }
+
+      const paymentDate = new Date()
+      const receiptNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.RECEIPT, paymentDate)
+      const paidAmount = Math.round(((Number(invoice.paidAmount) || 0) + amount) * 100) / 100
+      const paymentStatus = PaymentLedger.derivePaymentStatus(invoice, paidAmount)
+      const outstandingBalance = Math.max(0, Math.round((PaymentLedger.getPayableAmount(invoice) - paidAmount) * 100) / 100)
+
+      transaction.set(transactionRef, {
+        invoiceId,
+        invoiceNumber: invoice.invoiceNumber || '',
+        customerId: invoice.customerId || null,
+        customerName: invoice.customerName || '',
+        transactionNumber: receiptNumber,
+        receiptNumber,
+        amount,
+        paymentMethod: paymentData.paymentMethod || 'cash',
+        referenceNumber: paymentData.referenceNumber || '',
+        notes: paymentData.notes || '',
+        paymentDate,
+        status: 'completed',
+        processedBy: paymentData.processedBy || 'Workshop Staff',
+        balanceAfter: outstandingBalance,
+        dateCreated: paymentDate
+      })
+
+      transaction.update(invoiceRef, {
+        paidAmount,
+        outstandingBalance,
+        paymentStatus,
+        paymentMethod: paymentData.paymentMethod || 'cash',
+        lastPaymentDate: paymentDate,
+        paymentDate: paymentStatus === 'paid' ? paymentDate : null,
+        updatedAt: paymentDate
+      })
+
+      return { transactionId: transactionRef.id, receiptNumber, paidAmount, outstandingBalance, paymentStatus }
+    })
+  } catch (error) {
+    console.error('Error recording invoice payment:', error)
+    throw error
+  }
+}
+
+/**
+ * Get all payments recorded against a customer invoice, oldest first
+ */
+export const getInvoicePayments = async (invoiceId) => {
+  try {
+    const paymentsQuery = query(collection(db, 'transactions'), where('invoiceId', '==', invoiceId))
+    const snapshot = await getDocs(paymentsQuery)
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        paymentDate: doc.data().paymentDate?.toDate?.() || new Date(doc.data().paymentDate)
+      }))
+      .sort((a, b) => a.paymentDate - b.paymentDate)
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error)
+    throw error
+  }
+}
+
+/**
+ * Issue a credit note against a customer invoice
+ * Allocates the credit note number, refunds any overpayment as a negative
+ * transaction, updates the invoice balance and returns stock in one transaction
+ */
+export const createCreditNote = async (invoiceId, creditNoteData) => {
+  try {
+    const invoiceRef = doc(db, 'customer_invoices', invoiceId)
+    const creditNoteRef = doc(collection(db, 'credit_notes'))
+    const refundRef = doc(collection(db, 'transactions'))
+    const lines = creditNoteData.lines || []
+    // Only used for invoices credited before the per-line tally was kept on the invoice.
+    // Any credit note issued since writes the tally, so a concurrent one fails the invoice read below
+    const legacyNotes = await getInvoiceCreditNotes(invoiceId)
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(invoiceRef)
+      if (!snapshot.exists()) {
+        throw new Error('Invoice not found')
+      }
+      const invoice = { id: snapshot.id, ...snapshot.data() }
+
+      const creditedLines = CreditNotes.getCreditedLines(invoice, legacyNotes)
+      const errors = CreditNotes.validate(
+        invoice,
+        CreditNotes.getCreditableLines({ ...invoice, creditedLines }),
+        lines,
+        creditNoteData.reason
+      )
+      if (errors.length > 0) {
+        throw new Error(errors.join('\n'))
+      }
+
+      // Read current stock before any write so the return is based on fresh levels
+      const restockItems = CreditNotes.getRestockItems(lines)
+      const parts = []
+      for (const item of restockItems) {
+        const partSnapshot = await transaction.get(doc(db, 'parts', item.partId))
+        if (partSnapshot.exists()) {
+          parts.push({ id: partSnapshot.id, ...partSnapshot.data() })
+        }
+      }
+
+      const issueDate = new Date()
+      const creditNoteNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.CREDIT_NOTE, issueDate)
+      const totals = CreditNotes.calculateTotals(invoice, lines)
+      const settlement = CreditNotes.calculateSettlement(invoice, totals.total)
+      const refundMethod = creditNoteData.refundMethod || 'cash'
+
+      const stockUpdates = StockReconciliation.generateStockUpdates(
+        new Map(restockItems.map(item => [item.partId, item.quantity])),
+        parts
+      )
+
+      transaction.set(creditNoteRef, {
+        creditNoteNumber,
+        invoiceId,
+        invoiceNumber: invoice.invoiceNumber || '',
+        customerId: invoice.customerId || null,
+        customerName: invoice.customerName || '',
+        customerPhone: invoice.customerPhone || '',
+        customerEmail: invoice.customerEmail || '',
+        customerAddress: invoice.customerAddress || '',
+        reason: creditNoteData.reason.trim(),
+        lines,
+        ...totals,
+        refundAmount: settlement.refundAmount,
+        refundMethod: settlement.refundAmount > 0 ? refundMethod : null,
+        restockedItems: stockUpdates.map(update => ({
+          partId: update.partId,
+          quantity: update.stockChange
+        })),
+        status: 'issued',
+        issuedBy: creditNoteData.issuedBy || 'Workshop Staff',
+        dateCreated: issueDate
+      })
+
+      if (settlement.refundAmount > 0) {
+        transaction.set(refundRef, {
+          type: 'refund',
+          invoiceId,
+          invoiceNumber: invoice.invoiceNumber || '',
+          creditNoteId: creditNoteRef.id,
+          creditNoteNumber,
+          customerId: invoice.customerId || null,
+          customerName: invoice.customerName || '',
+          transactionNumber: creditNoteNumber,
+          amount: -settlement.refundAmount,
+          paymentMethod: refundMethod,
+          referenceNumber: creditNoteData.referenceNumber || '',
+          notes: `Refund for ${creditNoteNumber}: ${creditNoteData.reason.trim()}`,
+          paymentDate: issueDate,
+          status: 'completed',
+          processedBy: creditNoteData.issuedBy || 'Workshop Staff',
+          balanceAfter: settlement.outstandingBalance,
+          dateCreated: issueDate
+        })
+      }
+
+      transaction.update(invoiceRef, {
+        creditedLines: CreditNotes.addCreditedLines(creditedLines, lines),
+        creditedAmount: settlement.creditedAmount,
+        paidAmount: settlement.paidAmount,
+        outstandingBalance: settlement.outstandingBalance,
+        paymentStatus: settlement.paymentStatus,
+        updatedAt: issueDate
+      })
+
+      for (const update of stockUpdates) {
+        transaction.update(doc(db, 'parts', update.partId), {
+          unitStock: update.newStock,
+          updatedAt: issueDate,
+          lastStockChange: {
+            reason: 'credit_note',
+            invoiceId,
+            creditNoteId: creditNoteRef.id,
+            change: update.stockChange,
+            timestamp: issueDate
+          }
+        })
+        const movement = StockLedger.buildMovement({
+          partId: update.partId,
+          partName: parts.find(part => part.id === update.partId)?.namaProduk || '',
+          stockBefore: update.currentStock,
+          stockAfter: update.newStock,
+          reason: 'credit_note',
+          reference: { invoiceId, invoiceNumber: invoice.invoiceNumber || '', creditNoteId: creditNoteRef.id, creditNoteNumber },
+          actor: { name: creditNoteData.issuedBy || null },
+          date: issueDate
+        })
+        if (movement) transaction.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
+      }
+
+      console.log(`✅ Credit note ${creditNoteNumber} issued for ${invoice.invoiceNumber}`)
+      return {
+        id: creditNoteRef.id,
+        creditNoteNumber,
+        total: totals.total,
+        ...settlement
+      }
+    })
+  } catch (error) {
+    console.error('Error creating credit note:', error)
+    throw error
+  }
+}
+
+/**
+ * Get all credit notes issued against a customer invoice, oldest first
+ */
+export const getInvoiceCreditNotes = async (invoiceId) => {
+  try {
+    const creditNotesQuery = query(collection(db, 'credit_notes'), where('invoiceId', '==', invoiceId))
+    const snapshot = await getDocs(creditNotesQuery)
+
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        dateCreated: doc.data().dateCreated?.toDate?.() || new Date(doc.data().dateCreated)
+      }))
+      .sort((a, b) => a.dateCreated - b.dateCreated)
+  } catch (error) {
+    console.error('Error fetching invoice credit notes:', error)
+    throw error
+  }
+}
+
+/**
+ * Get all credit notes, newest first
+ */
+export const getAllCreditNotes = async () => {
+  try {
+    const creditNotesQuery = query(collection(db, 'credit_notes'), orderBy('dateCreated', 'desc'))
+    const snapshot = await getDocs(creditNotesQuery)
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      dateCreated: doc.data().dateCreated?.toDate?.() || new Date(doc.data().dateCreated)
+    }))
+  } catch (error) {
+    console.error('Error fetching credit notes:', error)
+    throw error
+  }
+}
+
+/**
+ * Save an edited customer invoice and reconcile stock for inventory-linked rows
+ */
+export const saveCustomerInvoiceEdit = async (originalInvoice, updatedData, currentParts = []) => {
+  try {
+    // Keep status and balance consistent with payments already taken and credit notes issued.
+    // The form doesn't carry the credit note tallies, so they come from the saved invoice
+    const paidAmount = Number(originalInvoice.paidAmount) || 0
+    const costedData = {
+      ...withVehicleId(withLineCosts(updatedData, currentParts)),
+      ...(originalInvoice.creditedAmount !== undefined && { creditedAmount: originalInvoice.creditedAmount }),
+      ...(originalInvoice.creditedLines !== undefined && { creditedLines: originalInvoice.creditedLines })
+    }
+    const reconciledData = paidAmount > 0 || PaymentLedger.getCreditedAmount(costedData) > 0
+      ? {
+          ...costedData,
+          paymentStatus: PaymentLedger.derivePaymentStatus(costedData, paidAmount),
+          outstandingBalance: PaymentLedger.getOutstandingBalance({ ...costedData, paidAmount })
+        }
+      : costedData
+    // An invoice first marked paid in this edit is paid today
+    const editedData = reconciledData.paymentStatus === 'paid' && !originalInvoice.paymentDate
+      ? { ...reconciledData, paymentDate: new Date() }
+      : reconciledData
+
+    const result = await AtomicOperations.executeInvoiceEdit(
+      originalInvoice.id,
+      editedData,
+      currentParts,
+      { ...originalInvoice, dateCreated: new Date() }, // Update invoice date to today when editing
+      { collectionName: 'customer_invoices' }
+    )
+
+    if (!result.success) {
+      throw new Error(describeAtomicFailure(result))
+    }
+
+    return result.invoice
+  } catch (error) {
+    console.error('Error saving customer invoice edit:', error)
+    throw error
+  }
+}
+
+/**
+ * Void a customer invoice and return inventory-linked parts to stock
+ * Invoices are numbered without gaps, so they are voided rather than deleted
+ * @param {Object} invoice - Customer invoice
+ * @param {String} reason - Why it was voided
+ * @param {Object} actor - { name, id } of the staff member voiding it
+ */
+export const voidCustomerInvoice = async (invoice, reason, actor = null) => {
+  try {
+    const result = await AtomicOperations.voidInvoiceWithStockRestoration(invoice.id, reason, {
+      collectionName: 'customer_invoices',
+      actor
+    })
+
+    if (!result.success) {
+      throw new Error(describeAtomicFailure(result))
+    }
+
+    return result
+  } catch (error) {
+    console.error('Error voiding customer invoice:', error)
+    throw error
+  }
+}
+
 // ===== QUOTATION UTILITIES =====
 
 /**
@@ -375,20 +785,20 @@ export const updateCustomerInvoicePayment = async (invoiceId, paymentData) => {
  */
 export const createQuotation = async (quotationData) => {
   try {
-    const quotationsRef = collection(db, 'quotations')
-    
-    // Generate quotation number: QUO-{timestamp}
-    const quotationNumber = `QUO-${Date.now()}`
-    
-    const docRef = await addDoc(quotationsRef, {
-      ...quotationData,
-      quotationNumber: quotationNumber,
-      dateCreated: new Date(),
-      status: quotationData.status || 'pending'
-    })
+    // Number is allocated in the same transaction that writes the quotation
+    const { id, documentNumber } = await DocumentNumbering.createNumberedDocument(
+      'quotations',
+      DOCUMENT_TYPES.QUOTATION,
+      'quotationNumber',
+      {
+        ...withVehicleId(quotationData),
+        dateCreated: new Date(),
+        status: quotationData.status || 'pending'
+      }
+    )
     
-    console.log('✅ Quotation created:', quotationNumber, 'with ID:', docRef.id)
-    return docRef.id
+    console.log('✅ Quotation created:', documentNumber, 'with ID:', id)
+    return id
   } catch (error) {
     console.error('Error creating quotation:', error)
     throw error
@@ -421,9 +831,10 @@ export const updateQuotation = async (quotationId, updatedData) => {
   try {
     const quotationRef = doc(db, 'quotations', quotationId)
     await updateDoc(quotationRef, {
-      ...updatedData,
+      ...withVehicleId(updatedData),
       updatedAt: new Date()
     })
+    await syncQuotationTracking(quotationId)
   } catch (error) {
     console.error('Error updating quotation:', error)
     throw error
@@ -440,29 +851,1891 @@ export const updateQuotationStatus = async (quotationId, status) => {
       status: status,
       statusUpdatedAt: new Date()
     })
+    await syncQuotationTracking(quotationId)
   } catch (error) {
     console.error('Error updating quotation status:', error)
     throw error
   }
 }
 
-export default {
-  // Customer utilities
-  createCustomer,
-  getAllCustomers,
-  getCustomerById,
-  searchCustomers,
-  getCustomerOrders,
-  
-  // Customer invoices utilities
-  createCustomerInvoice,
-  updateCustomerInvoice,
-  getAllCustomerInvoices,
-  updateCustomerInvoicePayment,
-  
-  // Quotation utilities
-  createQuotation,
-  updateQuotation,
-  getAllQuotations,
-  updateQuotationStatus
+/**
+ * Build customer invoice data from a quotation
+ * Carries customer, vehicle, parts, labour, discount and notes over
+ */
+export const buildInvoiceFromQuotation = (quotation, paymentTerms = 30) => {
+  const partsOrdered = (quotation.partsOrdered || []).map(part => ({
+    partId: part.partId || null,
+    sku: part.sku || '',
+    partName: part.partName || '',
+    quantity: Number(part.quantity) || 0,
+    pricePerUnit: Number(part.pricePerUnit) || 0,
+    total: Number(part.total) || 0,
+    taxCode: part.taxCode || null,
+    taxRate: Number(part.taxRate) || 0
+  }))
+  const laborCharges = (quotation.laborCharges || []).map(labor => ({
+    sku: labor.sku || '',
+    description: labor.description || '',
+    amount: Number(labor.amount) || 0,
+    taxCode: labor.taxCode || null,
+    taxRate: Number(labor.taxRate) || 0
+  }))
+
+  // Tax rates were snapshotted on the quotation lines, so the invoice matches what was quoted
+  const discount = Number(quotation.discount) || 0
+  const {
+    partsTotal, laborTotal, subtotal, discountAmount, taxBreakdown, taxTotal, pricesIncludeTax, total
+  } = TaxEngine.calculateTotals({
+    partsOrdered,
+    laborCharges,
+    discount,
+    pricesIncludeTax: !!quotation.pricesIncludeTax,
+    settings: TaxEngine.getDocumentSettings(quotation)
+  })
+
+  return {
+    customerId: quotation.customerId,
+    customerName: quotation.customerName,
+    customerPhone: quotation.customerPhone || '',
+    customerEmail: quotation.customerEmail || '',
+    mechanicId: null,
+    mechanicName: null,
+    partsOrdered,
+    laborCharges,
+    workDescription: quotation.workDescription || '',
+    vehicleInfo: quotation.vehicleInfo || { make: '', model: '', year: '', plate: '' },
+    partsTotal,
+    laborTotal,
+    subtotal,
+    discount,
+    discountAmount,
+    taxBreakdown,
+    taxTotal,
+    pricesIncludeTax,
+    deposit: 0,
+    balanceDue: total,
+    useDirectLending: false,
+    directLendingAmount: 0,
+    customerPayableAmount: total,
+    customerTotal: total,
+    total,
+    paymentStatus: 'pending',
+    paymentTerms,
+    notes: quotation.notes || '',
+    commissionType: 'percentage',
+    commissionValue: 0,
+    commissionAmount: 0,
+    sourceQuotationId: quotation.id,
+    sourceQuotationNumber: quotation.quotationNumber || '',
+    sourceRepairOrderId: quotation.sourceRepairOrderId || null,
+    sourceJobNumber: quotation.sourceJobNumber || '',
+    dueDate: new Date(Date.now() + paymentTerms * 24 * 60 * 60 * 1000)
+  }
+}
+
+/**
+ * Convert an accepted quotation into a customer invoice
+ * The quotation is checked and marked converted in the transaction that creates the
+ * invoice, so it can only be converted once and is never left converted without one
+ * @returns {Promise<Object>} { invoiceId }
+ */
+export const convertQuotationToInvoice = async (quotationId, currentParts = []) => {
+  const invoiceId = doc(collection(db, 'customer_invoices')).id
+
+  // Fails if the quotation is already converted or not accepted
+  const checkConvertible = (quotation) => {
+    if (!quotation) {
+      throw new Error('Quotation not found')
+    }
+    if (quotation.status === 'converted' || quotation.convertedInvoiceId) {
+      throw new Error(`Quotation ${quotation.quotationNumber} has already been converted to invoice ${quotation.convertedInvoiceNumber || quotation.convertedInvoiceId}`)
+    }
+    if (quotation.status !== 'accepted') {
+      throw new Error('Only accepted quotations can be converted to an invoice')
+    }
+  }
+
+  try {
+    const snapshot = await getDoc(doc(db, 'quotations', quotationId))
+    const quotation = snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null
+    checkConvertible(quotation)
+
+    // Mark the quotation converted and stamp the invoice number back on it (and on the
+    // job card the quotation was raised from) when the invoice is created
+    const linkedUpdates = [{
+      collectionName: 'quotations',
+      id: quotationId,
+      verify: checkConvertible,
+      data: ({ invoiceNumber }) => ({
+        status: 'converted',
+        convertedInvoiceId: invoiceId,
+        convertedInvoiceNumber: invoiceNumber,
+        convertedAt: new Date(),
+        statusUpdatedAt: new Date()
+      })
+    }]
+    if (quotation.sourceRepairOrderId) {
+      linkedUpdates.push({
+        collectionName: 'repair_orders',
+        id: quotation.sourceRepairOrderId,
+        data: ({ invoiceNumber }) => ({ invoiceId, invoiceNumber, lastUpdated: new Date() })
+      })
+    }
+
+    await createCustomerInvoice(buildInvoiceFromQuotation(quotation), currentParts, { invoiceId, linkedUpdates })
+
+    console.log('✅ Quotation converted:', quotation.quotationNumber, '→ invoice ID:', invoiceId)
+    return { invoiceId }
+  } catch (error) {
+    console.error('Error converting quotation to invoice:', error)
+    throw error
+  }
+}
+
+// ===== JOB CARD UTILITIES =====
+
+/**
+ * Upload check-in photos for a job card to Firebase Storage
+ * @returns {Promise<Array>} [{ name, url, path }]
+ */
+export const uploadJobCardPhotos = async (jobId, files = []) => {
+  const photos = []
+  for (const file of files) {
+    const path = `job_cards/${jobId}/${Date.now()}_${file.name}`
+    const snapshot = await uploadBytes(ref(storage, path), file)
+    photos.push({ name: file.name, url: await getDownloadURL(snapshot.ref), path })
+  }
+  return photos
+}
+
+/**
+ * Create a job card at vehicle check-in
+ * Photos are uploaded first; the job number is allocated in the transaction that writes the card
+ * @param {Object} options - { linkedUpdates }
+ *   linkedUpdates: Array of {collectionName, id, data} written in the same transaction;
+ *     data may be a function receiving { jobId, jobNumber }
+ * @returns {Promise<Object>} { id, jobNumber }
+ */
+export const createJobCard = async (jobData, photoFiles = [], actor = {}, options = {}) => {
+  const { linkedUpdates = [] } = options
+  try {
+    const errors = JobCards.validate(jobData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const jobRef = doc(collection(db, 'repair_orders'))
+    const vehicleId = Vehicles.getPlateKey(jobData.vehicleInfo.licensePlate)
+    const vehicleRef = doc(db, 'vehicles', vehicleId)
+    const photos = await uploadJobCardPhotos(jobRef.id, photoFiles)
+    const checkInDate = new Date()
+    const checkInEntry = JobCards.buildStatusEntry(null, REPAIR_STATUSES.NOT_STARTED, actor, 'Vehicle checked in')
+
+    const jobNumber = await runTransaction(db, async (transaction) => {
+      const vehicleSnapshot = await transaction.get(vehicleRef)
+      const allocatedNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.JOB_CARD, checkInDate)
+      transaction.set(jobRef, {
+        jobNumber: allocatedNumber,
+        vehicleId,
+        customerId: jobData.customerId || null,
+        customerName: jobData.customerName.trim(),
+        customerPhone: jobData.customerPhone || '',
+        customerEmail: jobData.customerEmail || '',
+        vehicleInfo: {
+          make: jobData.vehicleInfo.make || '',
+          model: jobData.vehicleInfo.model || '',
+          year: jobData.vehicleInfo.year || '',
+          licensePlate: jobData.vehicleInfo.licensePlate.trim().toUpperCase()
+        },
+        issueDescription: jobData.issueDescription.trim(),
+        mileage: jobData.mileage === '' || jobData.mileage == null ? null : Number(jobData.mileage),
+        fuelLevel: jobData.fuelLevel || null,
+        photos,
+        assignedMechanicId: jobData.assignedMechanicId || null,
+        assignedMechanicName: jobData.assignedMechanicName || null,
+        jobType: jobData.warrantyClaim ? 'warranty_claim' : 'standard',
+        warrantyClaim: jobData.warrantyClaim || null,
+        repairStatus: REPAIR_STATUSES.NOT_STARTED,
+        statusHistory: [checkInEntry],
+        statusTimestamps: { [REPAIR_STATUSES.NOT_STARTED]: checkInDate },
+        checkedInBy: checkInEntry.changedBy,
+        dateCreated: checkInDate,
+        lastUpdated: checkInDate
+      })
+
+      // Register unknown cars and log the check-in odometer reading
+      const vehicle = vehicleSnapshot.exists()
+        ? vehicleSnapshot.data()
+        : Vehicles.buildVehicle(
+            { ...jobData.vehicleInfo, plate: jobData.vehicleInfo.licensePlate },
+            jobData.customerId ? { id: jobData.customerId, name: jobData.customerName.trim() } : null,
+            checkInDate
+          )
+      let mileageReadings = vehicle.mileageReadings || []
+      let currentMileage = vehicle.currentMileage ?? null
+      if (jobData.mileage !== '' && jobData.mileage != null) {
+        try {
+          const reading = Vehicles.buildMileageReading(vehicle, jobData.mileage, 'job_card', jobRef.id)
+          mileageReadings = [...mileageReadings, reading]
+          currentMileage = reading.mileage
+        } catch (mileageError) {
+          // A lower reading than last time is kept on the job card but not in the registry
+          console.warn('⚠️ Check-in mileage not added to vehicle history:', mileageError.message)
+        }
+      }
+      transaction.set(vehicleRef, { ...vehicle, mileageReadings, currentMileage, updatedAt: checkInDate })
+
+      for (const linkedUpdate of linkedUpdates) {
+        const linkedData = typeof linkedUpdate.data === 'function'
+          ? linkedUpdate.data({ jobId: jobRef.id, jobNumber: allocatedNumber })
+          : linkedUpdate.data
+        transaction.update(doc(db, linkedUpdate.collectionName, linkedUpdate.id), linkedData)
+      }
+
+      return allocatedNumber
+    })
+
+    console.log('✅ Job card created:', jobNumber, 'with ID:', jobRef.id)
+    return { id: jobRef.id, jobNumber }
+  } catch (error) {
+    console.error('❌ Error creating job card:', error)
+    throw error
+  }
+}
+
+/**
+ * Move a job card to another stage, recording when and by whom
+ */
+export const updateJobCardStatus = async (jobId, status, actor = {}, note = '') => {
+  try {
+    const jobRef = doc(db, 'repair_orders', jobId)
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(jobRef)
+      if (!snapshot.exists()) {
+        throw new Error('Job card not found')
+      }
+
+      const job = snapshot.data()
+      if (!JobCards.canTransition(job.repairStatus, status)) {
+        throw new Error(`Cannot move a job from "${job.repairStatus}" to "${status}"`)
+      }
+
+      const quotation = await readTrackingQuotation(transaction, job)
+      const entry = JobCards.buildStatusEntry(job.repairStatus, status, actor, note)
+      const updates = {
+        repairStatus: status,
+        statusHistory: [...(job.statusHistory || []), entry],
+        [`statusTimestamps.${status}`]: entry.changedAt,
+        lastUpdated: entry.changedAt
+      }
+      transaction.update(jobRef, updates)
+
+      // Keep the customer's tracking page in step with the job
+      if (job.trackingToken) {
+        transaction.set(
+          doc(db, 'repair_tracking', job.trackingToken),
+          JobCards.buildTrackingSnapshot({ ...job, ...updates }, quotation)
+        )
+      }
+
+      return entry
+    })
+  } catch (error) {
+    console.error('❌ Error updating job card status:', error)
+    throw error
+  }
+}
+
+/**
+ * Raise a pending quotation from a job card and link it back to the card
+ * @returns {Promise<Object>} { quotationId, quotationNumber }
+ */
+export const createQuotationFromJobCard = async (jobId) => {
+  try {
+    const jobRef = doc(db, 'repair_orders', jobId)
+    const quotationRef = doc(collection(db, 'quotations'))
+
+    const quotationNumber = await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(jobRef)
+      if (!snapshot.exists()) {
+        throw new Error('Job card not found')
+      }
+
+      const job = { id: snapshot.id, ...snapshot.data() }
+      if (job.quotationId) {
+        throw new Error(`This job already has quotation ${job.quotationNumber || job.quotationId}`)
+      }
+
+      const dateCreated = new Date()
+      const allocatedNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.QUOTATION, dateCreated)
+      transaction.set(quotationRef, {
+        ...withVehicleId(JobCards.buildQuotation(job)),
+        quotationNumber: allocatedNumber,
+        dateCreated
+      })
+      transaction.update(jobRef, {
+        quotationId: quotationRef.id,
+        quotationNumber: allocatedNumber,
+        lastUpdated: dateCreated
+      })
+      return allocatedNumber
+    })
+
+    console.log('✅ Quotation created from job card:', quotationNumber)
+    return { quotationId: quotationRef.id, quotationNumber }
+  } catch (error) {
+    console.error('❌ Error creating quotation from job card:', error)
+    throw error
+  }
+}
+
+/**
+ * Raise the customer invoice for a job card
+ * Jobs with a quotation convert it (it must be accepted); otherwise a pending invoice
+ * is created for the card and linked back to it
+ * @returns {Promise<Object>} { invoiceId }
+ */
+export const createInvoiceFromJobCard = async (jobCard, currentParts = []) => {
+  if (jobCard.invoiceId) {
+    throw new Error(`This job already has invoice ${jobCard.invoiceNumber || jobCard.invoiceId}`)
+  }
+
+  if (jobCard.quotationId) {
+    return convertQuotationToInvoice(jobCard.quotationId, currentParts)
+  }
+
+  const invoiceId = doc(collection(db, 'customer_invoices')).id
+  await createCustomerInvoice(JobCards.buildInvoice(jobCard), currentParts, {
+    invoiceId,
+    linkedUpdates: [{
+      collectionName: 'repair_orders',
+      id: jobCard.id,
+      data: ({ invoiceNumber }) => ({ invoiceId, invoiceNumber, lastUpdated: new Date() })
+    }]
+  })
+
+  return { invoiceId }
+}
+
+/**
+ * Open a warranty-claim job against an earlier invoice
+ * The claim is refused when none of the invoice's warranties still cover the vehicle
+ * @param {String} invoiceId - Original invoice
+ * @param {Object} claimData - { complaint, mileage, fuelLevel, assignedMechanicId, assignedMechanicName }
+ * @returns {Promise<Object>} { id, jobNumber }
+ */
+export const createWarrantyClaimJob = async (invoiceId, claimData, actor = {}) => {
+  try {
+    const invoiceRef = doc(db, 'customer_invoices', invoiceId)
+    const snapshot = await getDoc(invoiceRef)
+    if (!snapshot.exists()) {
+      throw new Error('Invoice not found')
+    }
+
+    const invoice = { id: snapshot.id, ...snapshot.data() }
+    if (invoice.warrantyClaim) {
+      throw new Error(`Claim against the original invoice ${invoice.warrantyClaim.invoiceNumber || ''} instead`)
+    }
+
+    const coverage = Warranty.checkCoverage(invoice, { mileage: claimData.mileage })
+    if (!coverage.isCovered) {
+      const reasons = coverage.terms.flatMap(term => term.reasons)
+      throw new Error(`${invoice.invoiceNumber} is no longer under warranty${reasons.length ? `:\n${reasons.join('\n')}` : ''}`)
+    }
+
+    const job = await createJobCard({
+      customerId: invoice.customerId || null,
+      customerName: invoice.customerName || '',
+      customerPhone: invoice.customerPhone || '',
+      customerEmail: invoice.customerEmail || '',
+      vehicleInfo: {
+        make: invoice.vehicleInfo?.make || '',
+        model: invoice.vehicleInfo?.model || '',
+        year: invoice.vehicleInfo?.year || '',
+        licensePlate: invoice.vehicleInfo?.plate || ''
+      },
+      issueDescription: `Warranty claim (${invoice.invoiceNumber}): ${claimData.complaint || ''}`,
+      mileage: claimData.mileage,
+      fuelLevel: claimData.fuelLevel || null,
+      assignedMechanicId: claimData.assignedMechanicId || invoice.mechanicId || null,
+      assignedMechanicName: claimData.assignedMechanicName || invoice.mechanicName || null,
+      warrantyClaim: {
+        invoiceId,
+        invoiceNumber: invoice.invoiceNumber || '',
+        checkedAt: coverage.checkedAt,
+        coveredTerms: coverage.terms.filter(term => term.isValid).map(term => ({
+          scope: term.scope,
+          description: term.description,
+          expiresAt: term.expiresAt,
+          expiresAtMileage: term.expiresAtMileage
+        }))
+      }
+    }, [], actor, {
+      // Recorded on the original invoice in the transaction that creates the claim job
+      linkedUpdates: [{
+        collectionName: 'customer_invoices',
+        id: invoiceId,
+        data: ({ jobId, jobNumber }) => ({
+          warrantyClaims: arrayUnion({ jobId, jobNumber, claimedAt: new Date() })
+        })
+      }]
+    })
+
+    console.log('✅ Warranty claim job opened:', job.jobNumber, 'against', invoice.invoiceNumber)
+    return job
+  } catch (error) {
+    console.error('❌ Error opening warranty claim:', error)
+    throw error
+  }
+}
+
+// ===== REPAIR TRACKING UTILITIES =====
+// The public status page only reads repair_tracking/{token} - a sanitised copy of one job card.
+// Customers never read repair_orders, quotations or customers directly.
+
+// Quotation shown on the tracking page - read inside the transaction before any writes
+const readTrackingQuotation = async (transaction, job) => {
+  if (!job.trackingToken || !job.quotationId) return null
+  const snapshot = await transaction.get(doc(db, 'quotations', job.quotationId))
+  return snapshot.exists() ? snapshot.data() : null
+}
+
+/**
+ * Rewrite the tracking copy of a job card, optionally applying job card updates first
+ * Creates the tracking token when createToken is set (first share)
+ * @returns {Promise<String|null>} Tracking token (null when the job has not been shared)
+ */
+const writeRepairTracking = async (jobId, jobUpdates = {}, createToken = false) => {
+  const jobRef = doc(db, 'repair_orders', jobId)
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(jobRef)
+    if (!snapshot.exists()) {
+      throw new Error('Job card not found')
+    }
+
+    const job = { ...snapshot.data(), ...jobUpdates }
+    if (!job.trackingToken && createToken) {
+      job.trackingToken = JobCards.generateTrackingToken()
+      jobUpdates = { ...jobUpdates, trackingToken: job.trackingToken, trackingSharedAt: new Date() }
+    }
+
+    const quotation = await readTrackingQuotation(transaction, job)
+    if (Object.keys(jobUpdates).length > 0) {
+      transaction.update(jobRef, { ...jobUpdates, lastUpdated: new Date() })
+    }
+    if (job.trackingToken) {
+      transaction.set(doc(db, 'repair_tracking', job.trackingToken), JobCards.buildTrackingSnapshot(job, quotation))
+    }
+
+    return job.trackingToken || null
+  })
+}
+
+/**
+ * Share a job card's progress with its customer
+ * Reuses the existing link if the job was shared before
+ * @returns {Promise<String>} Tracking token
+ */
+export const shareJobCardStatus = async (jobId) => {
+  try {
+    const token = await writeRepairTracking(jobId, {}, true)
+    console.log('✅ Repair tracking shared for job:', jobId)
+    return token
+  } catch (error) {
+    console.error('❌ Error sharing repair status:', error)
+    throw error
+  }
+}
+
+/**
+ * Set the estimated completion date the customer sees
+ * @param {Date|null} estimatedCompletion - Estimated completion (null to clear)
+ */
+export const updateJobCardEstimate = async (jobId, estimatedCompletion) => {
+  try {
+    await writeRepairTracking(jobId, { estimatedCompletion: estimatedCompletion || null })
+  } catch (error) {
+    console.error('❌ Error updating estimated completion:', error)
+    throw error
+  }
+}
+
+/**
+ * Refresh the tracking page of the job a quotation was raised from
+ * Called after quotation changes; the quotation itself is already saved, so failures are only logged
+ */
+const syncQuotationTracking = async (quotationId) => {
+  try {
+    const snapshot = await getDoc(doc(db, 'quotations', quotationId))
+    const sourceRepairOrderId = snapshot.exists() ? snapshot.data().sourceRepairOrderId : null
+    if (sourceRepairOrderId) {
+      await writeRepairTracking(sourceRepairOrderId)
+    }
+  } catch (error) {
+    console.error('⚠️ Error refreshing repair tracking for quotation:', error)
+  }
+}
+
+// ===== VEHICLE UTILITIES =====
+
+/**
+ * Register a vehicle - the plate is the document ID, so each plate is registered once
+ * @param {Object} vehicleData - { plate, make, model, year, vin, gearboxType, notes }
+ * @param {Object} owner - Customer { id, name }
+ * @returns {Promise<Object>} Created vehicle
+ */
+export const createVehicle = async (vehicleData, owner = null) => {
+  try {
+    const errors = Vehicles.validate(vehicleData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const vehicleRef = doc(db, 'vehicles', Vehicles.getPlateKey(vehicleData.plate))
+    const vehicle = Vehicles.buildVehicle(vehicleData, owner)
+
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(vehicleRef)
+      if (snapshot.exists()) {
+        const existing = snapshot.data()
+        throw new Error(`${existing.plate} is already registered${existing.customerName ? ` to ${existing.customerName}` : ''}`)
+      }
+      transaction.set(vehicleRef, vehicle)
+    })
+
+    console.log('✅ Vehicle registered:', vehicle.plate)
+    return { id: vehicleRef.id, ...vehicle }
+  } catch (error) {
+    console.error('❌ Error registering vehicle:', error)
+    throw error
+  }
+}
+
+/**
+ * Update vehicle details - the plate and owner change through their own flows
+ */
+export const updateVehicle = async (vehicleId, vehicleData) => {
+  try {
+    const errors = Vehicles.validate(vehicleData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const { make, model, year, vin, gearboxType, notes } = Vehicles.buildVehicle(vehicleData)
+    await updateDoc(doc(db, 'vehicles', vehicleId), {
+      make, model, year, vin, gearboxType, notes,
+      updatedAt: new Date()
+    })
+  } catch (error) {
+    console.error('❌ Error updating vehicle:', error)
+    throw error
+  }
+}
+
+/**
+ * Record an odometer reading
+ * @returns {Promise<Object>} The reading
+ */
+export const addVehicleMileage = async (vehicleId, mileage, source = 'manual', sourceId = null) => {
+  try {
+    const vehicleRef = doc(db, 'vehicles', vehicleId)
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(vehicleRef)
+      if (!snapshot.exists()) {
+        throw new Error('Vehicle not found')
+      }
+
+      const vehicle = snapshot.data()
+      const reading = Vehicles.buildMileageReading(vehicle, mileage, source, sourceId)
+      transaction.update(vehicleRef, {
+        mileageReadings: [...(vehicle.mileageReadings || []), reading],
+        currentMileage: reading.mileage,
+        updatedAt: reading.date
+      })
+      return reading
+    })
+  } catch (error) {
+    console.error('❌ Error recording mileage:', error)
+    throw error
+  }
+}
+
+/**
+ * Move a vehicle to a new owner, keeping the previous owners in ownerHistory
+ * @param {Object} newOwner - Customer { id, name }
+ */
+export const transferVehicleOwner = async (vehicleId, newOwner) => {
+  try {
+    const vehicleRef = doc(db, 'vehicles', vehicleId)
+
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(vehicleRef)
+      if (!snapshot.exists()) {
+        throw new Error('Vehicle not found')
+      }
+
+      transaction.update(vehicleRef, {
+        ...Vehicles.buildOwnerTransfer(snapshot.data(), newOwner),
+        updatedAt: new Date()
+      })
+    })
+
+    console.log('✅ Vehicle', vehicleId, 'transferred to', newOwner.name)
+  } catch (error) {
+    console.error('❌ Error transferring vehicle:', error)
+    throw error
+  }
+}
+
+/**
+ * Service timeline for a vehicle - job cards, quotations and invoices for its plate
+ * @returns {Promise<Array>} Timeline entries, newest first
+ */
+export const getVehicleHistory = async (vehicle) => {
+  try {
+    const plateVariants = Vehicles.getPlateVariants(vehicle.plate)
+
+    // Documents linked by vehicleId, plus older ones that only carry the plate as typed
+    const loadForVehicle = async (collectionName, plateField) => {
+      const queries = [query(collection(db, collectionName), where('vehicleId', '==', vehicle.id))]
+      if (plateVariants.length > 0) {
+        queries.push(query(collection(db, collectionName), where(plateField, 'in', plateVariants)))
+      }
+
+      const snapshots = await Promise.all(queries.map(vehicleQuery => getDocs(vehicleQuery)))
+      const documents = new Map()
+      snapshots.forEach(snapshot => snapshot.docs.forEach(doc => documents.set(doc.id, { id: doc.id, ...doc.data() })))
+      return [...documents.values()]
+    }
+
+    const [repairOrders, quotations, invoices] = await Promise.all([
+      loadForVehicle('repair_orders', 'vehicleInfo.licensePlate'),
+      loadForVehicle('quotations', 'vehicleInfo.plate'),
+      loadForVehicle('customer_invoices', 'vehicleInfo.plate')
+    ])
+
+    return Vehicles.buildTimeline(vehicle, { repairOrders, quotations, invoices })
+  } catch (error) {
+    console.error('❌ Error loading vehicle history:', error)
+    throw error
+  }
+}
+
+// ===== PURCHASING UTILITIES =====
+
+export const createSupplier = async (supplierData) => {
+  try {
+    const errors = Purchasing.validateSupplier(supplierData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const supplier = { ...Purchasing.buildSupplier(supplierData), dateCreated: new Date() }
+    const docRef = await addDoc(collection(db, 'suppliers'), supplier)
+    console.log('✅ Supplier created:', supplier.name)
+    return { id: docRef.id, ...supplier }
+  } catch (error) {
+    console.error('❌ Error creating supplier:', error)
+    throw error
+  }
+}
+
+export const updateSupplier = async (supplierId, supplierData) => {
+  try {
+    const errors = Purchasing.validateSupplier(supplierData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    await updateDoc(doc(db, 'suppliers', supplierId), {
+      ...Purchasing.buildSupplier(supplierData),
+      updatedAt: new Date()
+    })
+  } catch (error) {
+    console.error('❌ Error updating supplier:', error)
+    throw error
+  }
+}
+
+/**
+ * Create a purchase order with the next PO number
+ * @param {Object} poData - { supplierId, supplierName, lines, expectedDate, notes, status }
+ * @returns {Promise<Object>} { id, poNumber }
+ */
+export const createPurchaseOrder = async (poData, actor = {}) => {
+  try {
+    const errors = Purchasing.validatePurchaseOrder(poData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const lines = Purchasing.buildLines(poData.lines)
+    const dateCreated = new Date()
+    const { id, documentNumber } = await DocumentNumbering.createNumberedDocument(
+      'purchase_orders',
+      DOCUMENT_TYPES.PURCHASE_ORDER,
+      'poNumber',
+      {
+        supplierId: poData.supplierId,
+        supplierName: poData.supplierName || '',
+        lines,
+        total: Purchasing.calculateTotal(lines),
+        status: poData.status === PO_STATUSES.ORDERED ? PO_STATUSES.ORDERED : PO_STATUSES.DRAFT,
+        expectedDate: poData.expectedDate || null,
+        notes: poData.notes || '',
+        receivedValue: 0,
+        invoicedAmount: 0,
+        createdBy: actor.name || 'Workshop Staff',
+        dateCreated
+      }
+    )
+
+    console.log('✅ Purchase order created:', documentNumber)
+    return { id, poNumber: documentNumber }
+  } catch (error) {
+    console.error('❌ Error creating purchase order:', error)
+    throw error
+  }
+}
+
+/**
+ * Edit a draft purchase order - once ordered the lines are what the supplier was sent
+ */
+export const updatePurchaseOrder = async (poId, poData) => {
+  try {
+    const errors = Purchasing.validatePurchaseOrder(poData)
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+
+    const poRef = doc(db, 'purchase_orders', poId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(poRef)
+      if (!snapshot.exists()) {
+        throw new Error('Purchase order not found')
+      }
+      if (snapshot.data().status !== PO_STATUSES.DRAFT) {
+        throw new Error('Only draft purchase orders can be edited')
+      }
+
+      const lines = Purchasing.buildLines(poData.lines)
+      transaction.update(poRef, {
+        supplierId: poData.supplierId,
+        supplierName: poData.supplierName || '',
+        lines,
+        total: Purchasing.calculateTotal(lines),
+        expectedDate: poData.expectedDate || null,
+        notes: poData.notes || '',
+        updatedAt: new Date()
+      })
+    })
+  } catch (error) {
+    console.error('❌ Error updating purchase order:', error)
+    throw error
+  }
+}
+
+/**
+ * Mark a draft as sent to the supplier, or cancel a purchase order nothing was received on
+ */
+export const updatePurchaseOrderStatus = async (poId, status) => {
+  try {
+    const poRef = doc(db, 'purchase_orders', poId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(poRef)
+      if (!snapshot.exists()) {
+        throw new Error('Purchase order not found')
+      }
+      const po = snapshot.data()
+
+      if (![PO_STATUSES.ORDERED, PO_STATUSES.CANCELLED].includes(status)) {
+        throw new Error(`Purchase orders cannot be set to ${status} by hand`)
+      }
+      if (status === PO_STATUSES.ORDERED && po.status !== PO_STATUSES.DRAFT) {
+        throw new Error(`${po.poNumber} has already been sent`)
+      }
+      if (status === PO_STATUSES.CANCELLED && (Number(po.receivedValue) || 0) > 0) {
+        throw new Error(`${po.poNumber} has goods received against it and cannot be cancelled`)
+      }
+      transaction.update(poRef, {
+        status,
+        ...(status === PO_STATUSES.ORDERED && { dateOrdered: new Date() }),
+        updatedAt: new Date()
+      })
+    })
+  } catch (error) {
+    console.error('❌ Error updating purchase order status:', error)
+    throw error
+  }
+}
+
+/**
+ * Record a delivery against a purchase order
+ * Stock is posted afterwards by postGoodsReceiptStock, so the receipt starts
+ * with stockPosted: false until that transaction commits
+ * @param {Object} receiptData - { lines: [{ lineIndex, quantity, unitCost }], deliveryReference, notes }
+ * @returns {Promise<Object>} The saved receipt
+ */
+export const receivePurchaseOrder = async (poId, receiptData, actor = {}) => {
+  try {
+    const poRef = doc(db, 'purchase_orders', poId)
+    const receiptRef = doc(collection(db, 'goods_receipts'))
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(poRef)
+      if (!snapshot.exists()) {
+        throw new Error('Purchase order not found')
+      }
+      const po = { id: snapshot.id, ...snapshot.data() }
+      const { lines, total, poLines, status } = Purchasing.buildReceipt(po, receiptData.lines)
+
+      const receivedDate = new Date()
+      const receiptNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.GOODS_RECEIPT, receivedDate)
+      const receipt = {
+        receiptNumber,
+        purchaseOrderId: poId,
+        poNumber: po.poNumber || '',
+        supplierId: po.supplierId,
+        supplierName: po.supplierName || '',
+        lines,
+        total,
+        deliveryReference: receiptData.deliveryReference || '',
+        notes: receiptData.notes || '',
+        stockPosted: false,
+        receivedBy: actor.name || 'Workshop Staff',
+        dateReceived: receivedDate
+      }
+
+      transaction.set(receiptRef, receipt)
+      transaction.update(poRef, {
+        lines: poLines,
+        status,
+        receivedValue: Math.round(((Number(po.receivedValue) || 0) + total) * 100) / 100,
+        updatedAt: receivedDate
+      })
+
+      console.log(`✅ ${receiptNumber} received against ${po.poNumber}`)
+      return { id: receiptRef.id, ...receipt }
+    })
+  } catch (error) {
+    console.error('❌ Error receiving purchase order:', error)
+    throw error
+  }
+}
+
+/**
+ * Add a goods receipt's quantities to stock
+ * Stock is read and the receipt marked posted in the same transaction, so concurrent
+ * postings don't overwrite each other and a retry can't post the receipt twice
+ * @returns {Promise<Object>} { alreadyPosted, updatedParts }
+ */
+export const postGoodsReceiptStock = async (receiptId, actor = {}) => {
+  try {
+    const receiptRef = doc(db, 'goods_receipts', receiptId)
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(receiptRef)
+      if (!snapshot.exists()) {
+        throw new Error('Goods receipt not found')
+      }
+      const receipt = { id: snapshot.id, ...snapshot.data() }
+      if (receipt.stockPosted) {
+        return { alreadyPosted: true, updatedParts: 0 }
+      }
+
+      const partIds = [...new Set((receipt.lines || []).map(line => line.partId))]
+      const partSnapshots = await Promise.all(partIds.map(partId => transaction.get(doc(db, 'parts', partId))))
+      const parts = partSnapshots
+        .filter(partSnapshot => partSnapshot.exists())
+        .map(partSnapshot => ({ id: partSnapshot.id, ...partSnapshot.data() }))
+      const stockUpdates = Purchasing.buildStockUpdates(receipt, parts)
+
+      const postedDate = new Date()
+      for (const update of stockUpdates) {
+        const part = parts.find(p => p.id === update.partId)
+        transaction.update(doc(db, 'parts', update.partId), {
+          ...update.fields,
+          unitStock: update.newStock,
+          updatedAt: postedDate,
+          lastStockChange: {
+            reason: update.reason,
+            change: update.stockChange,
+            timestamp: postedDate,
+            ...update.metadata
+          }
+        })
+
+        const movement = StockLedger.buildMovement({
+          partId: update.partId,
+          partName: part.namaProduk || '',
+          stockBefore: Number(part.unitStock) || 0,
+          stockAfter: update.newStock,
+          reason: update.reason,
+          reference: update.metadata,
+          actor,
+          date: postedDate
+        })
+        if (movement) transaction.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
+      }
+
+      transaction.update(receiptRef, {
+        stockPosted: true,
+        stockPostedAt: postedDate,
+        stockPostedBy: actor.name || 'Workshop Staff'
+      })
+
+      console.log(`✅ Stock posted for ${receipt.receiptNumber}`)
+      return { alreadyPosted: false, updatedParts: stockUpdates.length }
+    })
+  } catch (error) {
+    console.error('❌ Error posting goods receipt stock:', error)
+    throw error
+  }
+}
+
+/**
+ * Record a supplier's invoice against a purchase order and match it to the
+ * value received but not yet invoiced
+ * @param {Object} invoiceData - { invoiceNumber, invoiceDate, dueDate, amount, notes }
+ * @returns {Promise<Object>} { id, uninvoicedValue, variance, status }
+ */
+export const recordSupplierInvoice = async (poId, invoiceData, actor = {}) => {
+  try {
+    if (!invoiceData.invoiceNumber?.trim()) {
+      throw new Error("Enter the supplier's invoice number")
+    }
+    const amount = Math.round((Number(invoiceData.amount) || 0) * 100) / 100
+    if (amount <= 0) {
+      throw new Error('Invoice amount must be more than 0')
+    }
+
+    const poRef = doc(db, 'purchase_orders', poId)
+    const invoiceRef = doc(collection(db, 'supplier_invoices'))
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(poRef)
+      if (!snapshot.exists()) {
+        throw new Error('Purchase order not found')
+      }
+      const po = snapshot.data()
+      const match = Purchasing.matchSupplierInvoice(po, amount)
+      const recordedDate = new Date()
+
+      transaction.set(invoiceRef, {
+        invoiceNumber: invoiceData.invoiceNumber.trim(),
+        purchaseOrderId: poId,
+        poNumber: po.poNumber || '',
+        supplierId: po.supplierId,
+        supplierName: po.supplierName || '',
+        invoiceDate: invoiceData.invoiceDate ? new Date(invoiceData.invoiceDate) : recordedDate,
+        dueDate: invoiceData.dueDate ? new Date(invoiceData.dueDate) : null,
+        amount,
+        matchedValue: match.uninvoicedValue,
+        variance: match.variance,
+        matchStatus: match.status,
+        notes: invoiceData.notes || '',
+        recordedBy: actor.name || 'Workshop Staff',
+        dateCreated: recordedDate
+      })
+      transaction.update(poRef, {
+        invoicedAmount: Math.round(((Number(po.invoicedAmount) || 0) + amount) * 100) / 100,
+        updatedAt: recordedDate
+      })
+
+      return { id: invoiceRef.id, ...match }
+    })
+  } catch (error) {
+    console.error('❌ Error recording supplier invoice:', error)
+    throw error
+  }
+}
+
+// ===== STOCK LEDGER UTILITIES =====
+
+/**
+ * Stock movements of one part, newest first
+ * Sorted here rather than in the query so no composite index is needed
+ */
+export const getPartStockMovements = async (partId) => {
+  try {
+    const movementsQuery = query(collection(db, STOCK_MOVEMENTS_COLLECTION), where('partId', '==', partId))
+    const snapshot = await getDocs(movementsQuery)
+    return StockLedger.getPartHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), partId)
+  } catch (error) {
+    console.error('❌ Error loading stock movements:', error)
+    throw error
+  }
+}
+
+/**
+ * Every stock movement - used to rebuild stock and check for drift
+ */
+export const getAllStockMovements = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, STOCK_MOVEMENTS_COLLECTION))
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+  } catch (error) {
+    console.error('❌ Error loading stock ledger:', error)
+    throw error
+  }
+}
+
+// ===== STOCK-TAKE UTILITIES =====
+
+// Each adjusted part takes a part update and a ledger entry; Firestore allows 500 writes per transaction
+const MAX_STOCK_TAKE_ADJUSTMENTS = 240
+
+/**
+ * Start a stock-take with a frozen snapshot of expected stock for the parts in scope
+ * @param {Object} scope - { scopeType, scopeValue, notes }
+ * @returns {Promise<Object>} { id, stockTakeNumber }
+ */
+export const createStockTake = async (scope, currentParts = [], actor = {}) => {
+  try {
+    const lines = StockTake.buildSnapshot(currentParts, scope)
+    if (lines.length === 0) {
+      throw new Error('No parts match this stock-take scope')
+    }
+
+    const snapshotAt = new Date()
+    const { id, documentNumber } = await DocumentNumbering.createNumberedDocument(
+      'stock_takes',
+      DOCUMENT_TYPES.STOCK_TAKE,
+      'stockTakeNumber',
+      {
+        scopeType: scope.scopeType,
+        scopeValue: scope.scopeValue || '',
+        notes: scope.notes || '',
+        lines,
+        status: STOCK_TAKE_STATUSES.COUNTING,
+        snapshotAt,
+        createdBy: actor.name || 'Workshop Staff',
+        createdById: actor.id || null,
+        dateCreated: snapshotAt
+      }
+    )
+
+    console.log('✅ Stock-take started:', documentNumber, `(${lines.length} parts)`)
+    return { id, stockTakeNumber: documentNumber }
+  } catch (error) {
+    console.error('❌ Error starting stock-take:', error)
+    throw error
+  }
+}
+
+/**
+ * Save counted quantities - only while the stock-take is being counted
+ * @param {Array} counts - [{ partId, countedQuantity }]
+ */
+export const saveStockTakeCounts = async (stockTakeId, counts = [], actor = {}) => {
+  try {
+    const stockTakeRef = doc(db, 'stock_takes', stockTakeId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(stockTakeRef)
+      if (!snapshot.exists()) {
+        throw new Error('Stock-take not found')
+      }
+      const stockTake = snapshot.data()
+      if (stockTake.status !== STOCK_TAKE_STATUSES.COUNTING) {
+        throw new Error(`${stockTake.stockTakeNumber} is no longer open for counting`)
+      }
+
+      const countsByPart = new Map(counts.map(count => [count.partId, count.countedQuantity]))
+      transaction.update(stockTakeRef, {
+        lines: stockTake.lines.map(line => countsByPart.has(line.partId)
+          ? { ...line, countedQuantity: countsByPart.get(line.partId) === '' ? null : Number(countsByPart.get(line.partId)) }
+          : line),
+        lastCountedBy: actor.name || 'Workshop Staff',
+        updatedAt: new Date()
+      })
+    })
+  } catch (error) {
+    console.error('❌ Error saving stock-take counts:', error)
+    throw error
+  }
+}
+
+/**
+ * Move a stock-take between statuses before posting
+ * submitted: counting finished, waiting for a manager
+ * counting: sent back by a manager with a reason
+ * cancelled: abandoned without touching stock
+ */
+export const updateStockTakeStatus = async (stockTakeId, status, actor = {}, reason = '') => {
+  try {
+    const stockTakeRef = doc(db, 'stock_takes', stockTakeId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(stockTakeRef)
+      if (!snapshot.exists()) {
+        throw new Error('Stock-take not found')
+      }
+      const stockTake = snapshot.data()
+      const now = new Date()
+
+      if (status === STOCK_TAKE_STATUSES.SUBMITTED) {
+        const errors = StockTake.validateForSubmission(stockTake)
+        if (errors.length > 0) {
+          throw new Error(errors.join('\n'))
+        }
+        transaction.update(stockTakeRef, { status, submittedBy: actor.name || 'Workshop Staff', submittedAt: now, updatedAt: now })
+      } else if (status === STOCK_TAKE_STATUSES.COUNTING) {
+        if (stockTake.status !== STOCK_TAKE_STATUSES.SUBMITTED) {
+          throw new Error('Only a submitted stock-take can be sent back for recounting')
+        }
+        transaction.update(stockTakeRef, { status, returnedBy: actor.name || 'Workshop Staff', returnReason: reason, updatedAt: now })
+      } else if (status === STOCK_TAKE_STATUSES.CANCELLED) {
+        if (stockTake.status === STOCK_TAKE_STATUSES.POSTED) {
+          throw new Error('A posted stock-take cannot be cancelled')
+        }
+        transaction.update(stockTakeRef, { status, cancelledBy: actor.name || 'Workshop Staff', cancelReason: reason, updatedAt: now })
+      } else {
+        throw new Error(`Use approveStockTake to post a stock-take`)
+      }
+    })
+  } catch (error) {
+    console.error('❌ Error updating stock-take status:', error)
+    throw error
+  }
+}
+
+/**
+ * Approve a submitted stock-take and post its variances in one transaction:
+ * part stock, a ledger entry per part, an audit entry and the stock-take itself
+ * @returns {Promise<Object>} { adjustedParts, netValue }
+ */
+export const approveStockTake = async (stockTakeId, actor = {}) => {
+  try {
+    const stockTakeRef = doc(db, 'stock_takes', stockTakeId)
+    const auditRef = doc(collection(db, 'audit_trail'))
+
+    return await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(stockTakeRef)
+      if (!snapshot.exists()) {
+        throw new Error('Stock-take not found')
+      }
+      const stockTake = { id: snapshot.id, ...snapshot.data() }
+      if (stockTake.status !== STOCK_TAKE_STATUSES.SUBMITTED) {
+        throw new Error(`${stockTake.stockTakeNumber} must be submitted before it can be approved`)
+      }
+
+      // Read the parts with a variance fresh, before any write
+      const variancePartIds = stockTake.lines
+        .map(line => StockTake.getLineVariance(line))
+        .filter(line => line.variance)
+        .map(line => line.partId)
+      if (variancePartIds.length > MAX_STOCK_TAKE_ADJUSTMENTS) {
+        throw new Error(`${variancePartIds.length} parts need adjusting - more than one posting can hold (${MAX_STOCK_TAKE_ADJUSTMENTS}). Split the count by category or bin.`)
+      }
+      const parts = []
+      for (const partId of variancePartIds) {
+        const partSnapshot = await transaction.get(doc(db, 'parts', partId))
+        if (partSnapshot.exists()) {
+          parts.push({ id: partSnapshot.id, ...partSnapshot.data() })
+        }
+      }
+
+      const adjustments = StockTake.buildAdjustments(stockTake, parts)
+      const summary = StockTake.summarize(stockTake.lines)
+      const postedAt = new Date()
+      const reference = { stockTakeId, stockTakeNumber: stockTake.stockTakeNumber }
+
+      for (const adjustment of adjustments) {
+        transaction.update(doc(db, 'parts', adjustment.partId), {
+          ...StockLocations.getStockFields(parts.find(part => part.id === adjustment.partId), adjustment.newStock),
+          updatedAt: postedAt,
+          lastStockChange: {
+            reason: 'stock_take',
+            change: adjustment.newStock - adjustment.stockBefore,
+            timestamp: postedAt,
+            ...reference
+          }
+        })
+        const movement = StockLedger.buildMovement({
+          partId: adjustment.partId,
+          partName: adjustment.partName,
+          stockBefore: adjustment.stockBefore,
+          stockAfter: adjustment.newStock,
+          reason: 'stock_take',
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          reference,
+          actor,
+          date: postedAt
+        })
+        if (movement) transaction.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), movement)
+      }
+
+      transaction.set(auditRef, {
+        action: 'stock_take_posted',
+        category: 'stock_management',
+        invoiceId: null,
+        details: {
+          ...reference,
+          approvedBy: actor.name || 'Workshop Staff',
+          countedBy: stockTake.submittedBy || '',
+          stockChanges: adjustments.map(adjustment => ({
+            partId: adjustment.partId,
+            partName: adjustment.partName,
+            quantityBefore: adjustment.stockBefore,
+            quantityAfter: adjustment.newStock,
+            quantityChange: adjustment.newStock - adjustment.stockBefore,
+            operation: 'stock_take'
+          })),
+          totalPartsAffected: adjustments.length,
+          valueGained: summary.valueGained,
+          valueLost: summary.valueLost
+        },
+        timestamp: postedAt,
+        createdAt: postedAt
+      })
+
+      transaction.update(stockTakeRef, {
+        status: STOCK_TAKE_STATUSES.POSTED,
+        summary,
+        adjustedParts: adjustments.length,
+        approvedBy: actor.name || 'Workshop Staff',
+        approvedById: actor.id || null,
+        postedAt,
+        updatedAt: postedAt
+      })
+
+      console.log(`✅ ${stockTake.stockTakeNumber} posted: ${adjustments.length} part(s) adjusted`)
+      return { adjustedParts: adjustments.length, netValue: summary.netValue }
+    })
+  } catch (error) {
+    console.error('❌ Error approving stock-take:', error)
+    throw error
+  }
+}
+
+// ===== STOCK TRANSFER UTILITIES =====
+
+const readParts = async (transaction, partIds) => {
+  const parts = []
+  for (const partId of partIds) {
+    const partSnapshot = await transaction.get(doc(db, 'parts', partId))
+    if (partSnapshot.exists()) {
+      parts.push({ id: partSnapshot.id, ...partSnapshot.data() })
+    }
+  }
+  return parts
+}
+
+/**
+ * Send stock from one location to another - it leaves the from location and stays
+ * in transit until the transfer is received. Availability is checked on fresh part data
+ * @param {Object} transfer - { fromLocationId, toLocationId, lines: [{ partId, quantity }], notes }
+ * @returns {Promise<Object>} { id, transferNumber }
+ */
+export const createStockTransfer = async (transfer, actor = {}) => {
+  try {
+    const transferRef = doc(collection(db, STOCK_TRANSFERS_COLLECTION))
+
+    return await runTransaction(db, async (transaction) => {
+      const settingsSnapshot = await transaction.get(doc(db, 'settings', 'stock_locations'))
+      const settings = StockLocations.normalizeSettings(settingsSnapshot.exists() ? settingsSnapshot.data() : null)
+      const partIds = [...new Set((transfer.lines || []).map(line => line.partId).filter(Boolean))]
+      const parts = await readParts(transaction, partIds)
+
+      const { lines, errors } = StockLocations.buildTransferLines(transfer, parts, settings)
+      if (errors.length > 0) {
+        throw new Error(errors.join('\n'))
+      }
+
+      const sentAt = new Date()
+      const transferNumber = await DocumentNumbering.allocateNumber(transaction, DOCUMENT_TYPES.STOCK_TRANSFER, sentAt)
+
+      const transferDetails = {
+        transferNumber,
+        fromLocationId: transfer.fromLocationId,
+        fromLocationName: StockLocations.getLocationName(settings, transfer.fromLocationId),
+        toLocationId: transfer.toLocationId,
+        toLocationName: StockLocations.getLocationName(settings, transfer.toLocationId)
+      }
+
+      for (const line of lines) {
+        const part = parts.find(p => p.id === line.partId)
+        transaction.update(doc(db, 'parts', line.partId), {
+          ...StockLocations.applyTransferStage(part, { ...transfer, quantity: line.quantity }, 'send'),
+          updatedAt: sentAt
+        })
+        transaction.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), StockLedger.buildTransferMovement({
+          part, transfer: { id: transferRef.id, ...transferDetails }, quantity: line.quantity, stage: 'send', actor, date: sentAt
+        }))
+      }
+
+      transaction.set(transferRef, {
+        ...transferDetails,
+        lines,
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        notes: transfer.notes || '',
+        status: TRANSFER_STATUSES.IN_TRANSIT,
+        sentBy: actor.name || 'Workshop Staff',
+        sentById: actor.id || null,
+        dateCreated: sentAt
+      })
+
+      console.log(`✅ ${transferNumber} sent: ${lines.length} part(s)`)
+      return { id: transferRef.id, transferNumber }
+    })
+  } catch (error) {
+    console.error('❌ Error creating stock transfer:', error)
+    throw error
+  }
+}
+
+// Receive or cancel an in-transit transfer, moving its stock out of transit in the same transaction
+const settleStockTransfer = async (transferId, stage, actor, transferFields) => {
+  const transferRef = doc(db, STOCK_TRANSFERS_COLLECTION, transferId)
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(transferRef)
+    if (!snapshot.exists()) {
+      throw new Error('Stock transfer not found')
+    }
+    const transfer = snapshot.data()
+    if (transfer.status !== TRANSFER_STATUSES.IN_TRANSIT) {
+      throw new Error(`${transfer.transferNumber} is already ${transfer.status.replace('_', ' ')}`)
+    }
+
+    const parts = await readParts(transaction, transfer.lines.map(line => line.partId))
+    const settledAt = new Date()
+
+    // A part deleted while its stock was in transit has nothing left to update
+    for (const line of transfer.lines) {
+      const part = parts.find(p => p.id === line.partId)
+      if (!part) continue
+      transaction.update(doc(db, 'parts', line.partId), {
+        ...StockLocations.applyTransferStage(part, { ...transfer, quantity: line.quantity }, stage),
+        updatedAt: settledAt
+      })
+      transaction.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), StockLedger.buildTransferMovement({
+        part, transfer: { id: transferId, ...transfer }, quantity: line.quantity, stage, actor, date: settledAt
+      }))
+    }
+
+    transaction.update(transferRef, { ...transferFields(settledAt), updatedAt: settledAt })
+    return transfer.transferNumber
+  })
+}
+
+/**
+ * Stock arrived at the to location
+ */
+export const receiveStockTransfer = async (transferId, actor = {}) => {
+  try {
+    const transferNumber = await settleStockTransfer(transferId, 'receive', actor, (receivedAt) => ({
+      status: TRANSFER_STATUSES.RECEIVED,
+      receivedBy: actor.name || 'Workshop Staff',
+      receivedById: actor.id || null,
+      receivedAt
+    }))
+    console.log(`✅ ${transferNumber} received`)
+  } catch (error) {
+    console.error('❌ Error receiving stock transfer:', error)
+    throw error
+  }
+}
+
+/**
+ * Stock never left, or went back - it returns to the from location
+ */
+export const cancelStockTransfer = async (transferId, actor = {}, reason = '') => {
+  try {
+    const transferNumber = await settleStockTransfer(transferId, 'cancel', actor, (cancelledAt) => ({
+      status: TRANSFER_STATUSES.CANCELLED,
+      cancelledBy: actor.name || 'Workshop Staff',
+      cancelledById: actor.id || null,
+      cancelReason: reason,
+      cancelledAt
+    }))
+    console.log(`✅ ${transferNumber} cancelled`)
+  } catch (error) {
+    console.error('❌ Error cancelling stock transfer:', error)
+    throw error
+  }
+}
+
+// ===== COMMISSION STATEMENT UTILITIES =====
+
+// Statements are built from every invoice, so clawbacks on older months are found too
+const loadCommissionSources = async () => {
+  const [invoicesSnapshot, statementsSnapshot] = await Promise.all([
+    getDocs(collection(db, 'customer_invoices')),
+    getDocs(collection(db, COMMISSION_STATEMENTS_COLLECTION))
+  ])
+  return {
+    invoices: invoicesSnapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() })),
+    statements: statementsSnapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() }))
+  }
+}
+
+/**
+ * Create or refresh the draft statements for a month
+ * Approved and paid statements are left as they are; drafts with nothing left on them are removed
+ * @param {String} period - YYYY-MM
+ * @returns {Promise<Object>} { saved, locked, removed }
+ */
+export const generateCommissionStatements = async (period, actor = {}) => {
+  try {
+    const { invoices, statements } = await loadCommissionSources()
+    const built = CommissionStatements.buildStatements(period, invoices, statements)
+    const generatedAt = new Date()
+    let saved = 0
+    let locked = 0
+
+    for (const { id, ...statement } of built) {
+      const statementRef = doc(db, COMMISSION_STATEMENTS_COLLECTION, id)
+      const wasSaved = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(statementRef)
+        if (snapshot.exists() && snapshot.data().status !== STATEMENT_STATUSES.DRAFT) return false
+        transaction.set(statementRef, {
+          ...statement,
+          status: STATEMENT_STATUSES.DRAFT,
+          generatedBy: actor.name || 'Workshop Staff',
+          generatedAt,
+          dateCreated: snapshot.exists() ? snapshot.data().dateCreated : generatedAt,
+          updatedAt: generatedAt
+        })
+        return true
+      })
+      if (wasSaved) saved += 1
+      else locked += 1
+    }
+
+    const builtIds = new Set(built.map(statement => statement.id))
+    const staleDrafts = statements.filter(statement =>
+      statement.period === period && statement.status === STATEMENT_STATUSES.DRAFT && !builtIds.has(statement.id))
+    for (const statement of staleDrafts) {
+      await deleteDoc(doc(db, COMMISSION_STATEMENTS_COLLECTION, statement.id))
+    }
+
+    console.log(`✅ Commission statements for ${period}: ${saved} saved, ${locked} locked, ${staleDrafts.length} removed`)
+    return { saved, locked, removed: staleDrafts.length }
+  } catch (error) {
+    console.error('❌ Error generating commission statements:', error)
+    throw error
+  }
+}
+
+/**
+ * Approve a draft statement - it is recalculated first, so it includes
+ * credits and edits made since it was generated
+ * @returns {Promise<Object>} The approved summary
+ */
+export const approveCommissionStatement = async (statementId, actor = {}) => {
+  try {
+    const { invoices, statements } = await loadCommissionSources()
+    const current = statements.find(statement => statement.id === statementId)
+    if (!current) {
+      throw new Error('Commission statement not found')
+    }
+    const rebuilt = CommissionStatements.buildStatements(current.period, invoices, statements)
+      .find(statement => statement.id === statementId)
+    if (!rebuilt) {
+      throw new Error('Nothing is left on this statement - generate the month again')
+    }
+
+    const statementRef = doc(db, COMMISSION_STATEMENTS_COLLECTION, statementId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(statementRef)
+      if (!snapshot.exists() || snapshot.data().status !== STATEMENT_STATUSES.DRAFT) {
+        throw new Error('Only draft statements can be approved')
+      }
+      const approvedAt = new Date()
+      transaction.update(statementRef, {
+        lines: rebuilt.lines,
+        summary: rebuilt.summary,
+        status: STATEMENT_STATUSES.APPROVED,
+        approvedBy: actor.name || 'Workshop Staff',
+        approvedById: actor.id || null,
+        approvedAt,
+        updatedAt: approvedAt
+      })
+    })
+
+    console.log(`✅ Commission statement ${statementId} approved`)
+    return rebuilt.summary
+  } catch (error) {
+    console.error('❌ Error approving commission statement:', error)
+    throw error
+  }
+}
+
+/**
+ * Move an approved statement back to draft, or record its payment
+ * A paid statement is locked - later credits and edits go on a new statement as adjustments
+ * @param {String} status - STATEMENT_STATUSES.DRAFT (send back) or STATEMENT_STATUSES.PAID
+ * @param {Object} details - { reason } when sending back, { paymentReference, paidDate } when paid
+ */
+export const updateCommissionStatementStatus = async (statementId, status, actor = {}, details = {}) => {
+  try {
+    const statementRef = doc(db, COMMISSION_STATEMENTS_COLLECTION, statementId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(statementRef)
+      if (!snapshot.exists()) {
+        throw new Error('Commission statement not found')
+      }
+      const statement = snapshot.data()
+      if (statement.status === STATEMENT_STATUSES.PAID) {
+        throw new Error('This statement has been paid and is locked')
+      }
+      if (statement.payRunId) {
+        throw new Error(`This statement is being paid with the ${statement.payRunId} pay run`)
+      }
+      if (statement.status !== STATEMENT_STATUSES.APPROVED) {
+        throw new Error('Only approved statements can be sent back or paid')
+      }
+
+      const updatedAt = new Date()
+      if (status === STATEMENT_STATUSES.DRAFT) {
+        transaction.update(statementRef, {
+          status,
+          returnReason: details.reason || '',
+          returnedBy: actor.name || 'Workshop Staff',
+          updatedAt
+        })
+      } else if (status === STATEMENT_STATUSES.PAID) {
+        transaction.update(statementRef, {
+          status,
+          paymentReference: details.paymentReference || '',
+          paidDate: details.paidDate || updatedAt,
+          paidBy: actor.name || 'Workshop Staff',
+          paidById: actor.id || null,
+          updatedAt
+        })
+      } else {
+        throw new Error(`Unknown statement status: ${status}`)
+      }
+    })
+  } catch (error) {
+    console.error('❌ Error updating commission statement:', error)
+    throw error
+  }
+}
+
+// ===== PAY RUN UTILITIES =====
+
+/**
+ * Save a month's draft pay run with its payslips, replacing the previous draft
+ * Payslips for employees no longer in the run are removed
+ * @param {String} period - YYYY-MM
+ * @param {Array} payslips - From PayRuns.buildPayslip
+ * @returns {Promise<Object>} The run summary
+ */
+export const savePayRun = async (period, payslips, actor = {}) => {
+  try {
+    const payRunId = PayRuns.getPayRunId(period)
+    const payRunRef = doc(db, PAY_RUNS_COLLECTION, payRunId)
+    const summary = PayRuns.summarize(payslips)
+
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(payRunRef)
+      const existing = snapshot.exists() ? snapshot.data() : null
+      if (existing && existing.status !== PAY_RUN_STATUSES.DRAFT) {
+        throw new Error(`This pay run is ${PAY_RUN_STATUS_LABELS[existing.status].toLowerCase()} - only drafts can be recalculated`)
+      }
+
+      const now = new Date()
+      const payslipIds = payslips.map(payslip => PayRuns.getPayslipId(period, payslip.employeeId))
+      const removedIds = (existing?.payslipIds || []).filter(payslipId => !payslipIds.includes(payslipId))
+      removedIds.forEach(payslipId => transaction.delete(doc(db, PAYSLIPS_COLLECTION, payslipId)))
+      payslips.forEach((payslip, index) => {
+        transaction.set(doc(db, PAYSLIPS_COLLECTION, payslipIds[index]), {
+          ...payslip,
+          status: PAY_RUN_STATUSES.DRAFT,
+          updatedAt: now
+        })
+      })
+
+      const { start, end } = PayRuns.getMonthPeriod(period)
+      transaction.set(payRunRef, {
+        period,
+        payPeriodStart: start,
+        payPeriodEnd: end,
+        payslipIds,
+        summary,
+        status: PAY_RUN_STATUSES.DRAFT,
+        calculatedBy: actor.name || 'Workshop Staff',
+        calculatedAt: now,
+        dateCreated: existing?.dateCreated || now,
+        updatedAt: now
+      })
+    })
+
+    console.log(`✅ Pay run ${period} saved with ${payslips.length} payslips`)
+    return summary
+  } catch (error) {
+    console.error('❌ Error saving pay run:', error)
+    throw error
+  }
+}
+
+/**
+ * Move a pay run and its payslips to the next status
+ * Commission statements on the payslips are taken by the run when it is approved,
+ * so they cannot be paid again elsewhere, and marked paid with the run
+ * @param {String} status - A status allowed by PAY_RUN_TRANSITIONS
+ * @param {Object} details - { reason } when sending back, { paymentReference } when paid
+ */
+export const updatePayRunStatus = async (payRunId, status, actor = {}, details = {}) => {
+  try {
+    const payRunRef = doc(db, PAY_RUNS_COLLECTION, payRunId)
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(payRunRef)
+      if (!snapshot.exists()) {
+        throw new Error('Pay run not found')
+      }
+      const payRun = snapshot.data()
+      if (!PayRuns.canTransition(payRun.status, status)) {
+        throw new Error(`A ${PAY_RUN_STATUS_LABELS[payRun.status].toLowerCase()} pay run cannot be marked ${PAY_RUN_STATUS_LABELS[status]?.toLowerCase() || status}`)
+      }
+
+      // Statement amounts as calculated into the payslips
+      const commissionLines = []
+      if (status === PAY_RUN_STATUSES.APPROVED || status === PAY_RUN_STATUSES.PAID) {
+        for (const payslipId of payRun.payslipIds || []) {
+          const payslipSnapshot = await transaction.get(doc(db, PAYSLIPS_COLLECTION, payslipId))
+          commissionLines.push(...(payslipSnapshot.data()?.commissionLines || []).filter(line => line.statementId))
+        }
+      }
+      const statements = []
+      for (const line of commissionLines) {
+        const statementRef = doc(db, COMMISSION_STATEMENTS_COLLECTION, line.statementId)
+        const statementSnapshot = await transaction.get(statementRef)
+        statements.push({ ref: statementRef, line, statement: statementSnapshot.exists() ? statementSnapshot.data() : null })
+      }
+
+      const now = new Date()
+      const by = actor.name || 'Workshop Staff'
+      const updates = { status, updatedAt: now }
+      if (status === PAY_RUN_STATUSES.REVIEWED) {
+        Object.assign(updates, { reviewedBy: by, reviewedAt: now })
+      } else if (status === PAY_RUN_STATUSES.APPROVED) {
+        for (const { line, statement } of statements) {
+          const unchanged = statement?.status === STATEMENT_STATUSES.APPROVED &&
+            (!statement.payRunId || statement.payRunId === payRunId) &&
+            statement.summary?.total === line.amount
+          if (!unchanged) {
+            throw new Error(`The ${line.period} commission statement ${line.statementId} changed after this pay run was calculated - send the run back and recalculate it`)
+          }
+        }
+        Object.assign(updates, { approvedBy: by, approvedById: actor.id || null, approvedAt: now })
+        statements.forEach(({ ref: statementRef }) => transaction.update(statementRef, { payRunId, updatedAt: now }))
+      } else if (status === PAY_RUN_STATUSES.PAID) {
+        Object.assign(updates, { paidBy: by, paidAt: now, paymentReference: details.paymentReference || '' })
+        statements.forEach(({ ref: statementRef }) => transaction.update(statementRef, {
+          status: STATEMENT_STATUSES.PAID,
+          paymentReference: details.paymentReference || `Pay run ${payRunId}`,
+          paidDate: now,
+          paidBy: by,
+          paidById: actor.id || null,
+          updatedAt: now
+        }))
+      } else if (status === PAY_RUN_STATUSES.DRAFT) {
+        Object.assign(updates, { returnedBy: by, returnReason: details.reason || '' })
+      }
+
+      transaction.update(payRunRef, updates)
+      for (const payslipId of payRun.payslipIds || []) {
+        transaction.update(doc(db, PAYSLIPS_COLLECTION, payslipId), { status, updatedAt: now })
+      }
+    })
+
+    console.log(`✅ Pay run ${payRunId} marked ${status}`)
+  } catch (error) {
+    console.error('❌ Error updating pay run:', error)
+    throw error
+  }
+}
+
+// ===== PART IMAGE UTILITIES =====
+
+/**
+ * Resize images and upload each with a thumbnail to Firebase Storage
+ * @param {String} folderKey - Part ID, or a fresh key for a part not saved yet
+ * @param {Array} sources - Files or Blobs
+ * @returns {Promise<Array>} [{ url, thumbnailUrl, path, thumbnailPath, name }]
+ */
+export const uploadPartImages = async (folderKey, sources = []) => {
+  try {
+    const images = []
+    for (const source of sources) {
+      const baseName = `${PART_IMAGES_FOLDER}/${folderKey}/${Date.now()}_${images.length}`
+      const path = `${baseName}.jpg`
+      const thumbnailPath = `${baseName}_thumb.jpg`
+
+      const full = await PartImages.resize(source, FULL_IMAGE_SIZE)
+      const thumbnail = await PartImages.resize(source, THUMBNAIL_SIZE, 0.7)
+      const fullSnapshot = await uploadBytes(ref(storage, path), full, { contentType: 'image/jpeg' })
+      const thumbnailSnapshot = await uploadBytes(ref(storage, thumbnailPath), thumbnail, { contentType: 'image/jpeg' })
+
+      images.push({
+        url: await getDownloadURL(fullSnapshot.ref),
+        thumbnailUrl: await getDownloadURL(thumbnailSnapshot.ref),
+        path,
+        thumbnailPath,
+        name: source.name || 'image'
+      })
+    }
+    return images
+  } catch (error) {
+    console.error('❌ Error uploading part images:', error)
+    throw error
+  }
+}
+
+/**
+ * Images list for a part being saved: kept images stay in order, and any legacy
+ * data URL image plus newly chosen files are uploaded
+ * @param {Array} images - Current images from PartImages.getImages, possibly reordered
+ * @param {Array} files - Newly chosen files, added after the current images
+ */
+export const preparePartImages = async (folderKey, images = [], files = []) => {
+  const prepared = []
+  for (const image of images) {
+    if (PartImages.isDataUrl(image.url)) {
+      prepared.push(...await uploadPartImages(folderKey, [PartImages.dataUrlToBlob(image.url)]))
+    } else {
+      prepared.push(image)
+    }
+  }
+  return [...prepared, ...await uploadPartImages(folderKey, files)]
+}
+
+/**
+ * Delete image files a part no longer uses
+ * Best effort - a file left behind only costs storage, so failures are logged, not thrown
+ */
+export const deletePartImageFiles = async (paths = []) => {
+  for (const path of paths) {
+    try {
+      await deleteObject(ref(storage, path))
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') {
+        console.error('❌ Error deleting part image:', path, error)
+      }
+    }
+  }
+}
+
+/**
+ * One-off move of data URL images out of parts documents into Storage
+ * Each part is migrated on its own, so a failure leaves the rest done and can be retried
+ * @param {Function} onProgress - Called with (done, total) after each part
+ * @returns {Promise<Object>} { migrated, failed: [{ partId, partName, error }] }
+ */
+export const migratePartImages = async (currentParts = [], onProgress = null) => {
+  const parts = PartImages.getPartsToMigrate(currentParts).filter(part => !String(part.id).startsWith('temp'))
+  let migrated = 0
+  const failed = []
+
+  for (const part of parts) {
+    try {
+      const images = await uploadPartImages(part.id, [PartImages.dataUrlToBlob(part.gambar)])
+      await updateDoc(doc(db, 'parts', part.id), {
+        ...PartImages.buildImageFields(images),
+        imagesMigratedAt: new Date()
+      })
+      migrated += 1
+    } catch (error) {
+      console.error('❌ Error migrating image for part:', part.id, error)
+      failed.push({ partId: part.id, partName: part.namaProduk || part.kodProduk || part.id, error: error.message })
+    }
+    if (onProgress) onProgress(migrated + failed.length, parts.length)
+  }
+
+  console.log(`✅ Part images migrated: ${migrated}, failed: ${failed.length}`)
+  return { migrated, failed }
+}
+
+export default {
+  // Customer utilities
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  searchCustomers,
+  getCustomerOrders,
+  
+  // Customer invoices utilities
+  createCustomerInvoice,
+  updateCustomerInvoice,
+  saveCustomerInvoiceEdit,
+  voidCustomerInvoice,
+  getAllCustomerInvoices,
+  updateCustomerInvoicePayment,
+  recordInvoicePayment,
+  getInvoicePayments,
+  createCreditNote,
+  getInvoiceCreditNotes,
+  getAllCreditNotes,
+  
+  // Quotation utilities
+  createQuotation,
+  updateQuotation,
+  getAllQuotations,
+  updateQuotationStatus,
+  buildInvoiceFromQuotation,
+  convertQuotationToInvoice,
+  
+  // Job card utilities
+  uploadJobCardPhotos,
+  createJobCard,
+  updateJobCardStatus,
+  createQuotationFromJobCard,
+  createInvoiceFromJobCard,
+  createWarrantyClaimJob,
+
+  // Repair tracking utilities
+  shareJobCardStatus,
+  updateJobCardEstimate,
+
+  // Vehicle utilities
+  createVehicle,
+  updateVehicle,
+  addVehicleMileage,
+  transferVehicleOwner,
+  getVehicleHistory,
+
+  // Purchasing utilities
+  createSupplier,
+  updateSupplier,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  postGoodsReceiptStock,
+  recordSupplierInvoice,
+
+  // Stock ledger utilities
+  getPartStockMovements,
+  getAllStockMovements,
+
+  // Stock-take utilities
+  createStockTake,
+  saveStockTakeCounts,
+  updateStockTakeStatus,
+  approveStockTake,
+
+  // Stock transfer utilities
+  createStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+
+  // Commission statement utilities
+  generateCommissionStatements,
+  approveCommissionStatement,
+  updateCommissionStatementStatus,
+
+  // Pay run utilities
+  savePayRun,
+  updatePayRunStatus,
+
+  // Part image utilities
+  uploadPartImages,
+  preparePartImages,
+  deletePartImageFiles,
+  migratePartImages
 }
\ No newline at end of file
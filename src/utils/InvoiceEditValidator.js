@@ -8,6 +8,7 @@ import {
   createValidationResult, 
   createContextualError 
 } from '../types/InvoiceTypes.js'
+import StockLocations from './StockLocations.js'
 
 export class InvoiceEditValidator {
   
@@ -35,12 +36,14 @@ export class InvoiceEditValidator {
 
   /**
    * Validate stock availability for a specific part and quantity
+   * Stock in transit between locations is never available
    * @param {String} partId - Part ID
    * @param {Number} quantity - Required quantity
    * @param {Array} parts - Available parts
+   * @param {Object} location - { id, name } to check one location's stock; null for all locations
    * @returns {Object} Validation result
    */
-  static validateStockAvailable(partId, quantity, parts) {
+  static validateStockAvailable(partId, quantity, parts, location = null) {
     const part = parts.find(p => p.id === partId)
     const errors = []
     const warnings = []
@@ -62,26 +65,34 @@ export class InvoiceEditValidator {
       ))
     }
 
-    if (quantity > part.unitStock) {
+    const available = StockLocations.getAvailableStock(part, location?.id || null)
+    const where = location ? ` at ${location.name || location.id}` : ''
+
+    if (quantity > available) {
+      const inTransit = StockLocations.getInTransit(part)
       errors.push(createContextualError(
         ValidationErrorType.INSUFFICIENT_STOCK,
-        `Insufficient stock for ${part.namaProduk}. Required: ${quantity}, Available: ${part.unitStock}`,
+        `Insufficient stock for ${part.namaProduk}${where}. Required: ${quantity}, Available: ${available}` +
+          (inTransit > 0 ? ` (${inTransit} in transit)` : ''),
         { 
           partId, 
           partName: part.namaProduk,
+          locationId: location?.id || null,
           required: quantity,
-          available: part.unitStock,
-          shortage: quantity - part.unitStock
+          available,
+          inTransit,
+          shortage: quantity - available
         }
       ))
-    } else if (part.unitStock - quantity <= 10) {
+    } else if (available - quantity <= 10) {
       warnings.push(createContextualError(
         'LOW_STOCK_WARNING',
-        `${part.namaProduk} will have low stock (${part.unitStock - quantity}) after this change`,
+        `${part.namaProduk} will have low stock${where} (${available - quantity}) after this change`,
         { 
           partId, 
           partName: part.namaProduk,
-          remainingStock: part.unitStock - quantity
+          locationId: location?.id || null,
+          remainingStock: available - quantity
         }
       ))
     }
@@ -0,0 +1,261 @@
+/**
+ * Job Cards
+ * Repair order lifecycle rules, quotation/invoice drafts built from a job card
+ * and the public tracking snapshot shared with customers
+ */
+
+// Repair statuses in sequential order
+export const REPAIR_STATUSES = {
+  NOT_STARTED: 'not_started',
+  UNDER_INSPECTION: 'under_inspection',
+  INSPECTION_COMPLETED: 'inspection_completed',
+  REPAIR_ONGOING: 'repair_ongoing',
+  READY_FOR_PICKUP: 'ready_for_pickup'
+}
+
+export const STATUS_SEQUENCE = Object.values(REPAIR_STATUSES)
+
+export const FUEL_LEVELS = ['E', '1/4', '1/2', '3/4', 'F']
+
+export class JobCards {
+
+  /**
+   * Statuses a job can move to - one stage forward, or one stage back for rework
+   * @param {String} status - Current repair status
+   * @returns {Array} Allowed next statuses
+   */
+  static getAllowedTransitions(status) {
+    const index = STATUS_SEQUENCE.indexOf(status)
+    if (index === -1) return [REPAIR_STATUSES.NOT_STARTED]
+
+    return [STATUS_SEQUENCE[index + 1], STATUS_SEQUENCE[index - 1]].filter(Boolean)
+  }
+
+  static canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(to)
+  }
+
+  /**
+   * Progress through the repair stages as a percentage
+   * @param {String} status - Repair status
+   * @returns {Number} 0-100
+   */
+  static getStatusProgress(status) {
+    const index = STATUS_SEQUENCE.indexOf(status)
+    return ((index + 1) / STATUS_SEQUENCE.length) * 100
+  }
+
+  /**
+   * Status history entry - who moved the job and when
+   * @param {String} from - Previous status (null on check-in)
+   * @param {String} to - New status
+   * @param {Object} actor - { name, id }
+   * @param {String} note - Optional note
+   * @returns {Object} History entry
+   */
+  static buildStatusEntry(from, to, actor = {}, note = '') {
+    return {
+      from: from || null,
+      status: to,
+      changedAt: new Date(),
+      changedBy: actor.name || 'Workshop Staff',
+      changedById: actor.id || null,
+      note: note || ''
+    }
+  }
+
+  /**
+   * Validate check-in details before the job card is created
+   * @param {Object} jobData - Job card form data
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validate(jobData) {
+    const errors = []
+
+    if (!jobData.customerName?.trim()) {
+      errors.push('Customer is required')
+    }
+    if (!jobData.vehicleInfo?.licensePlate?.trim()) {
+      errors.push('License plate is required')
+    }
+    if (!jobData.issueDescription?.trim()) {
+      errors.push('Customer complaint is required')
+    }
+    if (jobData.mileage !== '' && jobData.mileage != null && !(Number(jobData.mileage) >= 0)) {
+      errors.push('Mileage must be a positive number')
+    }
+    if (jobData.fuelLevel && !FUEL_LEVELS.includes(jobData.fuelLevel)) {
+      errors.push('Unknown fuel level')
+    }
+
+    return errors
+  }
+
+  // Invoices and quotations store the plate as vehicleInfo.plate
+  static getDocumentVehicleInfo(jobCard) {
+    const vehicleInfo = jobCard.vehicleInfo || {}
+    return {
+      make: vehicleInfo.make || '',
+      model: vehicleInfo.model || '',
+      year: vehicleInfo.year || '',
+      plate: vehicleInfo.licensePlate || ''
+    }
+  }
+
+  static getWorkDescription(jobCard) {
+    const mileage = jobCard.mileage ? ` (mileage ${jobCard.mileage} km)` : ''
+    return `${jobCard.jobNumber ? `${jobCard.jobNumber}: ` : ''}${jobCard.issueDescription || ''}${mileage}`
+  }
+
+  /**
+   * Unguessable token for the public tracking link
+   * @returns {String} 32 hex characters
+   */
+  static generateTrackingToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * Public copy of a job card for the customer tracking page
+   * Only what the customer needs - no contact details, staff names, notes or costs
+   * @param {Object} jobCard - Repair order
+   * @param {Object} quotation - Linked quotation (shown once accepted)
+   * @returns {Object} Tracking document data
+   */
+  static buildTrackingSnapshot(jobCard, quotation = null) {
+    const vehicleInfo = jobCard.vehicleInfo || {}
+    const isApproved = quotation && ['accepted', 'converted'].includes(quotation.status)
+
+    return {
+      jobNumber: jobCard.jobNumber || '',
+      customerFirstName: (jobCard.customerName || '').trim().split(/\s+/)[0] || '',
+      vehicle: {
+        make: vehicleInfo.make || '',
+        model: vehicleInfo.model || '',
+        year: vehicleInfo.year || '',
+        licensePlate: vehicleInfo.licensePlate || ''
+      },
+      repairStatus: jobCard.repairStatus || REPAIR_STATUSES.NOT_STARTED,
+      progress: this.getStatusProgress(jobCard.repairStatus || REPAIR_STATUSES.NOT_STARTED),
+      statusHistory: (jobCard.statusHistory || []).map(entry => ({
+        status: entry.status,
+        changedAt: entry.changedAt
+      })),
+      estimatedCompletion: jobCard.estimatedCompletion || null,
+      checkedInAt: jobCard.dateCreated || null,
+      quotation: isApproved
+        ? {
+            quotationNumber: quotation.quotationNumber || '',
+            lines: [
+              ...(quotation.partsOrdered || []).map(part => ({
+                description: part.partName || '',
+                quantity: Number(part.quantity) || 0,
+                amount: Number(part.total) || 0
+              })),
+              ...(quotation.laborCharges || []).map(labor => ({
+                description: labor.description || '',
+                quantity: 1,
+                amount: Number(labor.amount) || 0
+              }))
+            ],
+            subtotal: Number(quotation.subtotal) || 0,
+            discountAmount: Number(quotation.discountAmount) || 0,
+            taxTotal: Number(quotation.taxTotal) || 0,
+            total: Number(quotation.total) || 0
+          }
+        : null,
+      updatedAt: new Date()
+    }
+  }
+
+  /**
+   * Pending quotation for a job card - lines are added afterwards in Quotations
+   * @param {Object} jobCard - Repair order
+   * @param {Number} validityDays - Days the quotation stays valid
+   * @returns {Object} Quotation data
+   */
+  static buildQuotation(jobCard, validityDays = 30) {
+    return {
+      customerId: jobCard.customerId || null,
+      customerName: jobCard.customerName || '',
+      customerPhone: jobCard.customerPhone || '',
+      customerEmail: jobCard.customerEmail || '',
+      partsOrdered: [],
+      laborCharges: [],
+      workDescription: this.getWorkDescription(jobCard),
+      vehicleInfo: this.getDocumentVehicleInfo(jobCard),
+      notes: '',
+      terms: '',
+      partsTotal: 0,
+      laborTotal: 0,
+      subtotal: 0,
+      discount: 0,
+      discountAmount: 0,
+      taxBreakdown: [],
+      taxTotal: 0,
+      pricesIncludeTax: false,
+      total: 0,
+      validUntil: new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000),
+      status: 'pending',
+      sourceRepairOrderId: jobCard.id,
+      sourceJobNumber: jobCard.jobNumber || ''
+    }
+  }
+
+  /**
+   * Pending invoice for a job card without a quotation - lines are added by editing it
+   * @param {Object} jobCard - Repair order
+   * @param {Number} paymentTerms - Days until due
+   * @returns {Object} Customer invoice data
+   */
+  static buildInvoice(jobCard, paymentTerms = 30) {
+    return {
+      customerId: jobCard.customerId || null,
+      customerName: jobCard.customerName || '',
+      customerPhone: jobCard.customerPhone || '',
+      customerEmail: jobCard.customerEmail || '',
+      mechanicId: jobCard.assignedMechanicId || null,
+      mechanicName: jobCard.assignedMechanicName || null,
+      partsOrdered: [],
+      laborCharges: [],
+      workDescription: this.getWorkDescription(jobCard),
+      vehicleInfo: this.getDocumentVehicleInfo(jobCard),
+      partsTotal: 0,
+      laborTotal: 0,
+      subtotal: 0,
+      discount: 0,
+      discountAmount: 0,
+      taxBreakdown: [],
+      taxTotal: 0,
+      pricesIncludeTax: false,
+      deposit: 0,
+      balanceDue: 0,
+      useDirectLending: false,
+      directLendingAmount: 0,
+      customerPayableAmount: 0,
+      customerTotal: 0,
+      total: 0,
+      paymentStatus: 'pending',
+      paymentTerms,
+      notes: '',
+      commissionType: 'percentage',
+      commissionValue: 0,
+      commissionAmount: 0,
+      sourceRepairOrderId: jobCard.id,
+      sourceJobNumber: jobCard.jobNumber || '',
+      // Odometer at check-in - warranty mileage limits count from here
+      serviceMileage: jobCard.mileage ?? null,
+      // Warranty-claim jobs are billed at no charge (see Warranty.applyClaimBilling)
+      ...(jobCard.warrantyClaim && {
+        warrantyClaim: {
+          invoiceId: jobCard.warrantyClaim.invoiceId,
+          invoiceNumber: jobCard.warrantyClaim.invoiceNumber || ''
+        }
+      }),
+      dueDate: new Date(Date.now() + paymentTerms * 24 * 60 * 60 * 1000)
+    }
+  }
+}
+
+export default JobCards
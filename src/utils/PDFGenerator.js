@@ -1,5 +1,9 @@
 import jsPDF from 'jspdf'
 import { logoBase64 } from '../assets/logo.js'
+import Warranty from './Warranty'
+import Barcode from './Barcode'
+import CommissionStatements, { STATEMENT_STATUSES, STATEMENT_STATUS_LABELS } from './CommissionStatements'
+import PayRuns, { PAY_RUN_STATUSES, PAY_RUN_STATUS_LABELS } from './PayRuns'
 
 // Debug: Test logo import immediately
 console.log('📦 PDFGenerator IMPORT TEST: Logo imported successfully!')
@@ -7,6 +11,17 @@ console.log('📦 Logo available:', !!logoBase64)
 console.log('📦 Logo length:', logoBase64 ? logoBase64.length : 0)
 console.log('📦 Logo preview:', logoBase64 ? logoBase64.substring(0, 100) + '...' : 'N/A')
 
+// A4 sheet of 3 x 8 labels, 63.5 x 33.9 mm (the common L7159 layout), in mm
+const LABEL_SHEET = {
+  columns: 3,
+  rows: 8,
+  width: 63.5,
+  height: 33.9,
+  marginLeft: 6.5,
+  marginTop: 13.1,
+  gapX: 2.5
+}
+
 class PDFGenerator {
   static generateCustomerInvoicePDF(invoice) {
     const doc = new jsPDF()
@@ -299,14 +314,32 @@ class PDFGenerator {
       yPos += 6
     }
     
-    // Tax (if applicable)
-    if (invoice.tax && invoice.tax > 0) {
+    // Tax breakdown per tax code (inclusive tax is shown but already inside the line prices)
+    if (invoice.taxBreakdown && invoice.taxBreakdown.length > 0) {
+      doc.setTextColor(0, 0, 0)
+      invoice.taxBreakdown.forEach(entry => {
+        const taxLabel = `${entry.label} (${entry.rate}%)${invoice.pricesIncludeTax ? ' incl.' : ''}:`
+        doc.text(taxLabel, labelX, yPos)
+        doc.text(`RM${(Number(entry.taxAmount) || 0).toFixed(2)}`, amountX, yPos)
+        yPos += 6
+      })
+    } else if (invoice.tax && invoice.tax > 0) {
+      // Legacy documents with a single tax amount
       doc.setTextColor(0, 0, 0)
       doc.text('SST (6%):', labelX, yPos)
       doc.text(`RM${invoice.tax.toFixed(2)}`, amountX, yPos)
       yPos += 6
     }
     
+    // Warranty claims are covered in full - the work is listed at its value, then waived
+    if (invoice.warrantyClaim) {
+      const coveredValue = (invoice.subtotal || subtotal) - (Number(invoice.discountAmount) || 0)
+      doc.setTextColor(0, 0, 0)
+      doc.text(`Warranty ${invoice.warrantyClaim.invoiceNumber || ''}:`, labelX, yPos)
+      doc.text(`-RM${coveredValue.toFixed(2)}`, amountX, yPos)
+      yPos += 6
+    }
+    
     // Line above total
     yPos += 2
     doc.setDrawColor(0, 0, 0)
@@ -314,11 +347,12 @@ class PDFGenerator {
     yPos += 5
     
     // Total
+    const grandTotal = invoice.warrantyClaim ? 0 : (invoice.totalAmount || invoice.total || subtotal)
     doc.setFontSize(10)
     doc.setFont('helvetica', 'bold')
     doc.setTextColor(0, 0, 0)
     doc.text('TOTAL:', labelX, yPos)
-    doc.text(`RM${(invoice.totalAmount || invoice.total || subtotal).toFixed(2)}`, amountX, yPos)
+    doc.text(`RM${grandTotal.toFixed(2)}`, amountX, yPos)
     doc.setFont('helvetica', 'normal')
     yPos += 8
     
@@ -367,7 +401,41 @@ class PDFGenerator {
       doc.setFont('helvetica', 'normal')
       yPos += 8
     }
-    
+
+    // Payments received (partial payments ledger), refunds and credit notes
+    const creditNotes = invoice.creditNotes || []
+    if ((invoice.payments && invoice.payments.length > 0) || creditNotes.length > 0) {
+      doc.setFontSize(9)
+      doc.setTextColor(0, 0, 0)
+      creditNotes.forEach(creditNote => {
+        doc.text(`${creditNote.creditNoteNumber}:`, labelX, yPos)
+        doc.text(`-RM${(Number(creditNote.total) || 0).toFixed(2)}`, amountX, yPos)
+        yPos += 6
+      })
+      ;(invoice.payments || []).forEach(payment => {
+        const paymentDate = payment.paymentDate?.toDate ? payment.paymentDate.toDate() : new Date(payment.paymentDate)
+        const amount = Number(payment.amount) || 0
+        doc.text(`${amount < 0 ? 'Refunded' : 'Paid'} ${paymentDate.toLocaleDateString('en-MY')}:`, labelX, yPos)
+        doc.text(`${amount < 0 ? '+' : '-'}RM${Math.abs(amount).toFixed(2)}`, amountX, yPos)
+        yPos += 6
+      })
+      yPos += 2
+
+      // Line above outstanding balance
+      doc.setDrawColor(0, 0, 0)
+      doc.line(120, yPos, 190, yPos)
+      yPos += 5
+
+      // Outstanding Balance
+      doc.setFontSize(10)
+      doc.setFont('helvetica', 'bold')
+      doc.setTextColor(0, 0, 0)
+      doc.text('OUTSTANDING:', labelX, yPos)
+      doc.text(`RM${(invoice.outstandingBalance || 0).toFixed(2)}`, amountX, yPos)
+      doc.setFont('helvetica', 'normal')
+      yPos += 8
+    }
+
     yPos += 10
     
     // Terms for quotations only
@@ -383,6 +451,33 @@ class PDFGenerator {
       }
     }
     
+    // Warranty given on this invoice (job and per item)
+    const warrantyTerms = invoice.isQuotation || invoice.type === 'quotation' ? [] : Warranty.getTerms(invoice)
+    if (warrantyTerms.length > 0) {
+      if (yPos > doc.internal.pageSize.height - 70) {
+        doc.addPage()
+        yPos = 25
+      }
+      doc.setFontSize(9)
+      doc.setTextColor(102, 102, 102)
+      doc.text('Warranty:', 20, yPos)
+      yPos += 6
+      doc.setTextColor(0, 0, 0)
+      warrantyTerms.forEach(term => {
+        const limits = [
+          term.expiresAt && `until ${term.expiresAt.toLocaleDateString('en-MY')}`,
+          term.expiresAtMileage != null && `${term.expiresAtMileage.toLocaleString()} km`
+        ].filter(Boolean).join(' / ')
+        const termLines = doc.splitTextToSize(
+          `${term.description}: ${Warranty.describeTerm(term)}${limits ? ` (${limits})` : ''}`,
+          170
+        )
+        doc.text(termLines, 20, yPos)
+        yPos += termLines.length * 5
+      })
+      yPos += 5
+    }
+    
     // Notes (for quotations) or Mechanic Notes (for invoices)
     if (invoice.isQuotation || invoice.type === 'quotation') {
       if (invoice.notes) {
@@ -605,6 +700,157 @@ class PDFGenerator {
     return doc
   }
   
+  static generateCreditNotePDF(creditNote) {
+    const doc = new jsPDF()
+    doc.setFont('helvetica')
+
+    // Header
+    doc.setFontSize(24)
+    doc.setTextColor(220, 38, 38)
+    doc.text('One X Transmission', 20, 25)
+    doc.setFontSize(12)
+    doc.setTextColor(0, 0, 0)
+    doc.text('Gearbox Specialist', 20, 35)
+
+    doc.setFontSize(18)
+    doc.text('CREDIT NOTE', 140, 25)
+    doc.setFontSize(12)
+    doc.setTextColor(220, 38, 38)
+    doc.text(creditNote.creditNoteNumber || '', 140, 32)
+
+    doc.setFontSize(10)
+    doc.setTextColor(102, 102, 102)
+    const issueDate = creditNote.dateCreated?.toDate ? creditNote.dateCreated.toDate() : new Date(creditNote.dateCreated || new Date())
+    doc.text(`Date: ${issueDate.toLocaleDateString('en-MY')}`, 140, 40)
+    doc.text(`Invoice: ${creditNote.invoiceNumber || ''}`, 140, 47)
+
+    let yPos = 60
+
+    // Customer Information
+    doc.setFontSize(12)
+    doc.setTextColor(0, 0, 0)
+    doc.text('Credit To:', 20, yPos)
+    yPos += 8
+    doc.setFontSize(11)
+    if (creditNote.customerName) {
+      doc.text(creditNote.customerName, 20, yPos)
+      yPos += 6
+    }
+    doc.setTextColor(102, 102, 102)
+    if (creditNote.customerPhone) {
+      doc.text(creditNote.customerPhone, 20, yPos)
+      yPos += 6
+    }
+    if (creditNote.customerAddress) {
+      const addressLines = doc.splitTextToSize(creditNote.customerAddress, 80)
+      doc.text(addressLines, 20, yPos)
+      yPos += addressLines.length * 5
+    }
+    yPos += 6
+
+    // Reason
+    doc.setFontSize(10)
+    doc.setTextColor(102, 102, 102)
+    doc.text('Reason:', 20, yPos)
+    yPos += 6
+    doc.setTextColor(0, 0, 0)
+    const reasonLines = doc.splitTextToSize(creditNote.reason || '', 170)
+    doc.text(reasonLines, 20, yPos)
+    yPos += reasonLines.length * 5 + 8
+
+    // Lines Table Header
+    doc.setFillColor(220, 38, 38)
+    doc.rect(20, yPos, 170, 10, 'F')
+    doc.setTextColor(255, 255, 255)
+    doc.setFontSize(9)
+    doc.text('Item', 22, yPos + 7)
+    doc.text('Description', 50, yPos + 7)
+    doc.text('Qty', 120, yPos + 7)
+    doc.text('Rate', 140, yPos + 7)
+    doc.text('Amount', 170, yPos + 7)
+    yPos += 15
+
+    doc.setTextColor(0, 0, 0)
+    ;(creditNote.lines || []).forEach((line, index) => {
+      const description = doc.splitTextToSize(
+        `${line.description || 'Item'}${line.returnToStock ? ' (returned to stock)' : ''}`,
+        60
+      )
+      const rowHeight = Math.max(10, description.length * 4)
+
+      if (index % 2 === 1) {
+        doc.setFillColor(248, 248, 248)
+        doc.rect(20, yPos - 3, 170, rowHeight, 'F')
+      }
+
+      doc.setFontSize(8)
+      doc.text(line.sku || (line.lineType === 'labor' ? 'LABOR' : 'N/A'), 22, yPos + 2)
+      doc.text(description, 50, yPos + 2)
+      doc.text(String(line.quantity || 1), 120, yPos + 2)
+      doc.text(`RM${(Number(line.unitPrice) || 0).toFixed(2)}`, 140, yPos + 2)
+      doc.text(`RM${(Number(line.total) || 0).toFixed(2)}`, 170, yPos + 2)
+      yPos += rowHeight
+    })
+
+    yPos += 13
+
+    // Totals
+    const labelX = 120
+    const amountX = 170
+    doc.setFontSize(9)
+    doc.text('Subtotal:', labelX, yPos)
+    doc.text(`RM${(Number(creditNote.subtotal) || 0).toFixed(2)}`, amountX, yPos)
+    yPos += 6
+
+    if (creditNote.discountAmount > 0) {
+      doc.text(`Discount (${creditNote.discount || 0}%):`, labelX, yPos)
+      doc.text(`-RM${creditNote.discountAmount.toFixed(2)}`, amountX, yPos)
+      yPos += 6
+    }
+
+    ;(creditNote.taxBreakdown || []).forEach(entry => {
+      doc.text(`${entry.label} (${entry.rate}%)${creditNote.pricesIncludeTax ? ' incl.' : ''}:`, labelX, yPos)
+      doc.text(`RM${(Number(entry.taxAmount) || 0).toFixed(2)}`, amountX, yPos)
+      yPos += 6
+    })
+
+    yPos += 2
+    doc.setDrawColor(0, 0, 0)
+    doc.setLineWidth(0.5)
+    doc.line(120, yPos, 190, yPos)
+    yPos += 5
+
+    doc.setFontSize(10)
+    doc.setFont('helvetica', 'bold')
+    doc.text('TOTAL CREDIT:', labelX, yPos)
+    doc.text(`RM${(Number(creditNote.total) || 0).toFixed(2)}`, amountX, yPos)
+    doc.setFont('helvetica', 'normal')
+    yPos += 8
+
+    if (creditNote.refundAmount > 0) {
+      doc.setFontSize(9)
+      doc.text(`Refunded (${(creditNote.refundMethod || 'cash').replace(/_/g, ' ')}):`, labelX, yPos)
+      doc.text(`RM${creditNote.refundAmount.toFixed(2)}`, amountX, yPos)
+      yPos += 6
+    }
+
+    // Footer
+    const pageHeight = doc.internal.pageSize.height
+    doc.setFontSize(8)
+    doc.setTextColor(102, 102, 102)
+    doc.text(`Issued by ${creditNote.issuedBy || 'Workshop Staff'}`, 20, pageHeight - 25)
+    doc.text(`Generated on ${new Date().toLocaleDateString('en-MY')}`, 105, pageHeight - 15, { align: 'center' })
+
+    return doc
+  }
+
+  static downloadCreditNotePDF(creditNote) {
+    const doc = this.generateCreditNotePDF(creditNote)
+    const issueDate = creditNote.dateCreated?.toDate ? creditNote.dateCreated.toDate() : new Date(creditNote.dateCreated || new Date())
+    const filename = `CreditNote_${creditNote.creditNoteNumber || 'Unknown'}_${creditNote.customerName?.replace(/[^a-zA-Z0-9]/g, '') || 'Customer'}_${issueDate.toISOString().split('T')[0]}.pdf`
+    doc.save(filename)
+  }
+
   static downloadInvoicePDF(invoice) {
     // Determine if this is a customer invoice or regular invoice
     const doc = invoice.customerInfo ? 
@@ -647,6 +893,314 @@ class PDFGenerator {
     }
   }
 
+  /**
+   * Sheet of part labels - name, Code 128 barcode of kodProduk, code and price
+   * @param {Array} labels - [{ part, copies }]
+   * @param {Number} startPosition - First free label on a partly used sheet (0-based)
+   */
+  static generatePartLabelsPDF(labels, startPosition = 0) {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+    const perSheet = LABEL_SHEET.columns * LABEL_SHEET.rows
+    const queue = labels.flatMap(({ part, copies }) => Array(Math.max(0, copies)).fill(part))
+    const padding = 3
+
+    queue.forEach((part, index) => {
+      const position = (index + startPosition) % perSheet
+      if (index > 0 && position === 0) doc.addPage()
+
+      const x = LABEL_SHEET.marginLeft + (position % LABEL_SHEET.columns) * (LABEL_SHEET.width + LABEL_SHEET.gapX)
+      const y = LABEL_SHEET.marginTop + Math.floor(position / LABEL_SHEET.columns) * LABEL_SHEET.height
+      const innerWidth = LABEL_SHEET.width - padding * 2
+
+      doc.setFont('helvetica', 'normal')
+      doc.setFontSize(8)
+      doc.setTextColor(0, 0, 0)
+      doc.text(doc.splitTextToSize(part.namaProduk || '', innerWidth)[0] || '', x + padding, y + padding + 3)
+
+      // Bars scaled to the label width, capped at a module size scanners read comfortably
+      const { bars, totalModules } = Barcode.getBars(part.kodProduk)
+      const moduleWidth = Math.min(0.4, innerWidth / totalModules)
+      const barsLeft = x + (LABEL_SHEET.width - totalModules * moduleWidth) / 2
+      doc.setFillColor(0, 0, 0)
+      bars.forEach(bar => doc.rect(barsLeft + bar.x * moduleWidth, y + padding + 5, bar.width * moduleWidth, 14, 'F'))
+
+      doc.setFontSize(9)
+      doc.text(part.kodProduk, x + LABEL_SHEET.width / 2, y + padding + 23, { align: 'center' })
+      doc.setFont('helvetica', 'bold')
+      doc.text(`RM${(Number(part.harga) || 0).toFixed(2)}`, x + LABEL_SHEET.width - padding, y + padding + 27, { align: 'right' })
+    })
+
+    return doc
+  }
+
+  static downloadPartLabelsPDF(labels, startPosition = 0) {
+    const doc = this.generatePartLabelsPDF(labels, startPosition)
+    doc.save(`Part_Labels_${new Date().toISOString().split('T')[0]}.pdf`)
+  }
+
+  /**
+   * Monthly commission statement for one mechanic - invoice lines, then adjustments
+   * for invoices credited or edited after their month was settled
+   */
+  static generateCommissionStatementPDF(statement) {
+    const doc = new jsPDF()
+    doc.setFont('helvetica')
+    const pageHeight = doc.internal.pageSize.height
+    const summary = statement.summary || CommissionStatements.summarize(statement.lines)
+
+    // Header
+    doc.setFontSize(24)
+    doc.setTextColor(220, 38, 38)
+    doc.text('One X Transmission', 20, 25)
+    doc.setFontSize(12)
+    doc.setTextColor(0, 0, 0)
+    doc.text('Gearbox Specialist', 20, 35)
+
+    doc.setFontSize(16)
+    doc.text('COMMISSION STATEMENT', 120, 25)
+    doc.setFontSize(11)
+    doc.setTextColor(220, 38, 38)
+    doc.text(CommissionStatements.getPeriodLabel(statement.period), 120, 32)
+    doc.setFontSize(10)
+    doc.setTextColor(102, 102, 102)
+    doc.text(`Status: ${STATEMENT_STATUS_LABELS[statement.status] || statement.status}`, 120, 39)
+
+    let yPos = 55
+    doc.setFontSize(12)
+    doc.setTextColor(0, 0, 0)
+    doc.text('Mechanic:', 20, yPos)
+    doc.setFontSize(11)
+    doc.text(statement.mechanicName || '', 45, yPos)
+    yPos += 12
+
+    const drawHeader = () => {
+      doc.setFillColor(220, 38, 38)
+      doc.rect(20, yPos, 170, 10, 'F')
+      doc.setTextColor(255, 255, 255)
+      doc.setFontSize(9)
+      doc.text('Date', 22, yPos + 7)
+      doc.text('Invoice', 45, yPos + 7)
+      doc.text('Customer', 80, yPos + 7)
+      doc.text('Share', 135, yPos + 7)
+      doc.text('Commission', 160, yPos + 7)
+      yPos += 15
+      doc.setTextColor(0, 0, 0)
+    }
+
+    const drawLines = (lines) => {
+      lines.forEach((line, index) => {
+        if (yPos > pageHeight - 40) {
+          doc.addPage()
+          yPos = 20
+          drawHeader()
+        }
+        if (index % 2 === 1) {
+          doc.setFillColor(248, 248, 248)
+          doc.rect(20, yPos - 4, 170, 7, 'F')
+        }
+        doc.setFontSize(8)
+        doc.text(new Date(line.invoiceDate).toLocaleDateString('en-MY'), 22, yPos)
+        doc.text(line.invoiceNumber || '', 45, yPos)
+        const customer = line.adjustment
+          ? `${line.customerName || ''} (${line.adjustmentReason})`
+          : line.customerName || ''
+        doc.text(doc.splitTextToSize(customer, 52)[0] || '', 80, yPos)
+        doc.text(line.type === 'team' ? `Team ${line.percentage}%` : '100%', 135, yPos)
+        doc.text(`RM${(Number(line.amount) || 0).toFixed(2)}`, 160, yPos)
+        yPos += 7
+      })
+    }
+
+    drawHeader()
+    drawLines(statement.lines.filter(line => !line.adjustment))
+
+    const adjustments = statement.lines.filter(line => line.adjustment)
+    if (adjustments.length > 0) {
+      yPos += 4
+      doc.setFontSize(10)
+      doc.text('Adjustments to earlier months', 20, yPos)
+      yPos += 6
+      drawLines(adjustments)
+    }
+
+    // Totals
+    yPos += 8
+    if (yPos > pageHeight - 40) {
+      doc.addPage()
+      yPos = 20
+    }
+    const labelX = 120
+    const amountX = 160
+    doc.setFontSize(9)
+    doc.text(`Commission (${summary.invoiceCount} invoices):`, labelX - 20, yPos)
+    doc.text(`RM${summary.commissionTotal.toFixed(2)}`, amountX, yPos)
+    yPos += 6
+    if (summary.adjustmentTotal !== 0) {
+      doc.text('Adjustments:', labelX - 20, yPos)
+      doc.text(`RM${summary.adjustmentTotal.toFixed(2)}`, amountX, yPos)
+      yPos += 6
+    }
+    doc.setDrawColor(0, 0, 0)
+    doc.setLineWidth(0.5)
+    doc.line(labelX - 20, yPos, 190, yPos)
+    yPos += 6
+    doc.setFontSize(10)
+    doc.setFont('helvetica', 'bold')
+    doc.text('TOTAL PAYABLE:', labelX - 20, yPos)
+    doc.text(`RM${summary.total.toFixed(2)}`, amountX, yPos)
+    doc.setFont('helvetica', 'normal')
+
+    // Footer
+    doc.setFontSize(8)
+    doc.setTextColor(102, 102, 102)
+    if (statement.approvedBy) {
+      doc.text(`Approved by ${statement.approvedBy}`, 20, pageHeight - 25)
+    }
+    if (statement.status === STATEMENT_STATUSES.PAID) {
+      doc.text(`Paid${statement.paymentReference ? ` - ref ${statement.paymentReference}` : ''}`, 20, pageHeight - 20)
+    }
+    doc.text(`Generated on ${new Date().toLocaleDateString('en-MY')}`, 105, pageHeight - 15, { align: 'center' })
+
+    return doc
+  }
+
+  static downloadCommissionStatementPDF(statement) {
+    const doc = this.generateCommissionStatementPDF(statement)
+    doc.save(`Commission_${statement.period}_${(statement.mechanicName || 'Mechanic').replace(/[^a-zA-Z0-9]/g, '')}.pdf`)
+  }
+
+  /**
+   * Payslip for one employee in a pay run - earnings, statutory deductions and
+   * the employer's contributions
+   */
+  static generatePayslipPDF(payslip) {
+    const doc = new jsPDF()
+    doc.setFont('helvetica')
+    const pageHeight = doc.internal.pageSize.height
+    const deductions = payslip.deductions
+    const money = (amount) => `RM${(Number(amount) || 0).toFixed(2)}`
+
+    // Header
+    doc.setFontSize(24)
+    doc.setTextColor(220, 38, 38)
+    doc.text('One X Transmission', 20, 25)
+    doc.setFontSize(12)
+    doc.setTextColor(0, 0, 0)
+    doc.text('Gearbox Specialist', 20, 35)
+
+    doc.setFontSize(16)
+    doc.text('PAYSLIP', 140, 25)
+    doc.setFontSize(11)
+    doc.setTextColor(220, 38, 38)
+    doc.text(PayRuns.getPeriodLabel(payslip.period), 140, 32)
+    doc.setFontSize(10)
+    doc.setTextColor(102, 102, 102)
+    doc.text(`Status: ${PAY_RUN_STATUS_LABELS[payslip.status] || payslip.status}`, 140, 39)
+
+    let yPos = 55
+    doc.setTextColor(0, 0, 0)
+    doc.setFontSize(11)
+    doc.text(`Employee: ${payslip.employeeName}`, 20, yPos)
+    doc.text(`Period: ${payslip.payPeriodStart} to ${payslip.payPeriodEnd}`, 110, yPos)
+    yPos += 6
+    doc.setFontSize(9)
+    doc.setTextColor(102, 102, 102)
+    doc.text(`${(payslip.role || '').replace('_', ' ')}${payslip.department ? ` - ${payslip.department}` : ''}`, 20, yPos)
+    if (payslip.totalHours > 0) {
+      doc.text(`Hours: ${payslip.totalHours.toFixed(2)}${payslip.overtimeHours > 0 ? ` (${payslip.overtimeHours.toFixed(2)} overtime)` : ''}`, 110, yPos)
+    }
+    yPos += 12
+
+    // Earnings and deductions side by side
+    const drawSection = (title, x, rows, totalLabel, total) => {
+      let rowY = yPos
+      doc.setFillColor(220, 38, 38)
+      doc.rect(x, rowY, 82, 9, 'F')
+      doc.setTextColor(255, 255, 255)
+      doc.setFontSize(10)
+      doc.text(title, x + 2, rowY + 6)
+      rowY += 15
+      doc.setTextColor(0, 0, 0)
+      doc.setFontSize(9)
+      rows.forEach(([label, amount]) => {
+        doc.text(label, x + 2, rowY)
+        doc.text(money(amount), x + 80, rowY, { align: 'right' })
+        rowY += 7
+      })
+      doc.setDrawColor(0, 0, 0)
+      doc.line(x, rowY - 3, x + 82, rowY - 3)
+      rowY += 3
+      doc.setFont('helvetica', 'bold')
+      doc.text(totalLabel, x + 2, rowY)
+      doc.text(money(total), x + 80, rowY, { align: 'right' })
+      doc.setFont('helvetica', 'normal')
+      return rowY
+    }
+
+    const earnings = [['Basic Pay', payslip.basePay]]
+    if (payslip.overtimePay > 0) earnings.push(['Overtime', payslip.overtimePay])
+    if (payslip.commission) {
+      // Payslips from before commission came from statements list paid invoices instead
+      const lines = payslip.commissionLines || []
+      const source = lines.every(line => line.period) ? lines.map(line => line.period).join(', ') : `${lines.length} invoices`
+      earnings.push([`Commission (${source})`, payslip.commission])
+    }
+
+    const employeeDeductions = [
+      [`EPF (${deductions.epf.employeeRate}%)`, deductions.epf.employee],
+      ['SOCSO', deductions.socso.employee],
+      ['EIS', deductions.eis.employee],
+      ['PCB / MTD', deductions.pcb.amount]
+    ]
+
+    const earningsEnd = drawSection('EARNINGS', 20, earnings, 'Gross Pay', payslip.grossPay)
+    const deductionsEnd = drawSection('DEDUCTIONS', 108, employeeDeductions, 'Total Deductions', deductions.employeeTotal)
+    yPos = Math.max(earningsEnd, deductionsEnd) + 15
+
+    // Net pay
+    doc.setFillColor(248, 248, 248)
+    doc.rect(20, yPos - 7, 170, 12, 'F')
+    doc.setFontSize(12)
+    doc.setFont('helvetica', 'bold')
+    doc.text('NET PAY', 22, yPos)
+    doc.text(money(payslip.netPay), 188, yPos, { align: 'right' })
+    doc.setFont('helvetica', 'normal')
+    yPos += 18
+
+    // Employer contributions
+    doc.setFontSize(10)
+    doc.text('Employer Contributions', 20, yPos)
+    yPos += 7
+    doc.setFontSize(9)
+    const employerContributions = [
+      [`EPF (${deductions.epf.employerRate}%)`, deductions.epf.employer],
+      ['SOCSO', deductions.socso.employer],
+      ['EIS', deductions.eis.employer]
+    ]
+    employerContributions.forEach(([label, amount]) => {
+      doc.text(label, 22, yPos)
+      doc.text(money(amount), 100, yPos, { align: 'right' })
+      yPos += 6
+    })
+    doc.setTextColor(102, 102, 102)
+    doc.setFontSize(8)
+    doc.text(`Statutory rates ${deductions.rateVersion}`, 22, yPos + 2)
+
+    // Footer
+    if (payslip.status === PAY_RUN_STATUSES.PAID) {
+      doc.text('Paid', 20, pageHeight - 20)
+    }
+    doc.text('This is a computer-generated payslip.', 105, pageHeight - 20, { align: 'center' })
+    doc.text(`Generated on ${new Date().toLocaleDateString('en-MY')}`, 105, pageHeight - 15, { align: 'center' })
+
+    return doc
+  }
+
+  static downloadPayslipPDF(payslip) {
+    const doc = this.generatePayslipPDF(payslip)
+    doc.save(`Payslip_${payslip.period}_${(payslip.employeeName || 'Employee').replace(/[^a-zA-Z0-9]/g, '')}.pdf`)
+  }
+
   static printCustomerInvoice(invoice) {
     const doc = this.generateCustomerInvoicePDF(invoice)
     const pdfBlob = doc.output('blob')
@@ -0,0 +1,105 @@
+/**
+ * Part Images
+ * Parts keep an images array of Firebase Storage URLs (full size and thumbnail);
+ * gambar holds the main image's thumbnail URL for lists and pickers.
+ * Older parts have a compressed data URL in gambar, which is migrated to Storage
+ */
+
+export const PART_IMAGES_FOLDER = 'part_images'
+
+// Longest side in pixels
+export const FULL_IMAGE_SIZE = 1200
+export const THUMBNAIL_SIZE = 200
+
+export const MAX_IMAGES_PER_PART = 6
+
+// Before resizing - phone photos are large but shrink well
+export const MAX_UPLOAD_BYTES = 15 * 1024 * 1024
+
+export class PartImages {
+
+  static isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:')
+  }
+
+  /**
+   * A part's images, main image first
+   * A part saved before images moved to Storage gets its gambar as a single legacy entry
+   * @returns {Array} [{ url, thumbnailUrl, path, thumbnailPath, name }]
+   */
+  static getImages(part) {
+    if (Array.isArray(part?.images) && part.images.length > 0) return part.images
+    if (!part?.gambar) return []
+    return [{ url: part.gambar, thumbnailUrl: part.gambar, path: null, thumbnailPath: null, name: 'image' }]
+  }
+
+  /**
+   * Fields to save on a part for an images list
+   * @returns {Object} { images, gambar }
+   */
+  static buildImageFields(images = []) {
+    const saved = images.filter(image => image?.url && !this.isDataUrl(image.url))
+    return {
+      images: saved,
+      gambar: saved[0] ? saved[0].thumbnailUrl || saved[0].url : ''
+    }
+  }
+
+  /**
+   * Parts whose image is still a data URL inside the Firestore document
+   */
+  static getPartsToMigrate(parts = []) {
+    return parts.filter(part => this.isDataUrl(part.gambar) && !(part.images?.length > 0))
+  }
+
+  /**
+   * Storage paths no longer used after an edit, to delete once the part is saved
+   */
+  static getRemovedPaths(previousImages = [], images = []) {
+    const kept = new Set(images.flatMap(image => [image.path, image.thumbnailPath]))
+    return previousImages
+      .flatMap(image => [image.path, image.thumbnailPath])
+      .filter(path => path && !kept.has(path))
+  }
+
+  static dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',')
+    const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'image/jpeg'
+    const binary = atob(data)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+    return new Blob([bytes], { type: mimeType })
+  }
+
+  /**
+   * Scale an image down so its longest side fits maxSize, as JPEG
+   * @param {Blob} source - File or Blob of any browser-readable image type
+   * @returns {Promise<Blob>}
+   */
+  static resize(source, maxSize, quality = 0.82) {
+    return new Promise((resolve, reject) => {
+      const objectUrl = URL.createObjectURL(source)
+      const img = new Image()
+      img.onload = () => {
+        URL.revokeObjectURL(objectUrl)
+        const scale = Math.min(1, maxSize / Math.max(img.width, img.height))
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.round(img.width * scale)
+        canvas.height = Math.round(img.height * scale)
+        const ctx = canvas.getContext('2d')
+        // JPEG has no transparency - give transparent PNGs a white background
+        ctx.fillStyle = '#ffffff'
+        ctx.fillRect(0, 0, canvas.width, canvas.height)
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not process image'))), 'image/jpeg', quality)
+      }
+      img.onerror = () => {
+        URL.revokeObjectURL(objectUrl)
+        reject(new Error('This file is not an image the browser can read'))
+      }
+      img.src = objectUrl
+    })
+  }
+}
+
+export default PartImages
@@ -0,0 +1,191 @@
+/**
+ * Parts Import
+ * Maps spreadsheet columns onto part fields, previews an upsert keyed on kodProduk
+ * (create, update or skip per row, with validation errors) and builds export rows
+ */
+
+export const IMPORT_FIELDS = [
+  { key: 'kodProduk', label: 'Part Code', aliases: ['kod produk', 'part code', 'code', 'sku', 'part no', 'part number', 'item code'] },
+  { key: 'namaProduk', label: 'Part Name', aliases: ['nama produk', 'part name', 'name', 'description', 'item name'] },
+  { key: 'harga', label: 'Price (RM)', aliases: ['price', 'selling price', 'unit price', 'price rm'] },
+  { key: 'supplier', label: 'Supplier', aliases: ['vendor', 'brand'] },
+  { key: 'specification', label: 'Specification', aliases: ['spec', 'specs', 'remarks'] },
+  { key: 'unitStock', label: 'Stock', aliases: ['unit stock', 'stock', 'qty', 'quantity', 'on hand', 'stock qty'] }
+]
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  ERROR: 'error'
+}
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase()
+
+// "RM 1,234.50" -> 1234.5 and "12,50" (decimal comma) -> 12.5; null when the cell is not a number
+const parseNumber = (value) => {
+  const raw = String(value ?? '').replace(/rm/i, '').trim()
+  const text = /^-?\d+,\d{1,2}$/.test(raw) ? raw.replace(',', '.') : raw.replace(/,/g, '')
+  if (text === '') return null
+  const number = Number(text)
+  return Number.isFinite(number) ? number : null
+}
+
+export class PartsImport {
+
+  /**
+   * Guess which column holds each field from the header row
+   * @param {Array} headers - First row of the sheet
+   * @returns {Object} field key -> column index (-1 when not found)
+   */
+  static guessMapping(headers = []) {
+    const normalized = headers.map(normalizeHeader)
+    const taken = new Set()
+    const mapping = {}
+    for (const field of IMPORT_FIELDS) {
+      const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases]
+      const index = normalized.findIndex((header, i) => !taken.has(i) && candidates.includes(header))
+      mapping[field.key] = index
+      if (index >= 0) taken.add(index)
+    }
+    return mapping
+  }
+
+  /**
+   * Dry run of an import - nothing is written
+   * Rows match existing parts by kodProduk (case-insensitive). Matching rows update only the
+   * mapped cells that are filled in; a blank cell keeps the part's current value
+   * @param {Array} rows - Sheet rows without the header
+   * @param {Object} mapping - From guessMapping, adjusted by the user
+   * @param {Array} parts - Current parts
+   * @returns {Object} { rows: [{ rowNumber, action, code, partId, partName, values, changes, errors }], summary }
+   */
+  static buildPreview(rows = [], mapping = {}, parts = []) {
+    const partsByCode = new Map()
+    for (const part of parts) {
+      const code = normalizeCode(part.kodProduk)
+      if (!code) continue
+      partsByCode.set(code, partsByCode.has(code) ? null : part) // null marks a code shared by several parts
+    }
+    const seenCodes = new Map()
+
+    const previewRows = rows.map((row, index) => {
+      const rowNumber = index + 2 // 1-based, after the header row
+      const cell = (key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '')
+      const errors = []
+      const values = {}
+
+      const code = cell('kodProduk')
+      if (!code) errors.push('Part code is missing')
+      if (cell('namaProduk')) values.namaProduk = cell('namaProduk')
+      if (cell('supplier')) values.supplier = cell('supplier')
+      if (cell('specification')) values.specification = cell('specification')
+
+      if (cell('harga')) {
+        const price = parseNumber(cell('harga'))
+        if (price === null || price < 0) errors.push(`Price "${cell('harga')}" is not a valid amount`)
+        else values.harga = Math.round(price * 100) / 100
+      }
+      if (cell('unitStock')) {
+        const stock = parseNumber(cell('unitStock'))
+        if (stock === null || stock < 0 || !Number.isInteger(stock)) errors.push(`Stock "${cell('unitStock')}" must be a whole number of zero or more`)
+        else values.unitStock = stock
+      }
+
+      const key = normalizeCode(code)
+      if (key && seenCodes.has(key)) errors.push(`Duplicate of row ${seenCodes.get(key)} in this file`)
+      else if (key) seenCodes.set(key, rowNumber)
+
+      const existing = key ? partsByCode.get(key) : undefined
+      if (existing === null) errors.push(`Several parts already use code ${code} - fix them in Parts Management first`)
+
+      const base = { rowNumber, code, partId: existing?.id || null, values, changes: [], errors }
+
+      if (existing) {
+        base.partName = values.namaProduk || existing.namaProduk
+        base.changes = Object.entries(values)
+          .filter(([field, value]) => existing[field] !== value)
+          .map(([field, value]) => ({ field, from: existing[field] ?? '', to: value }))
+        if (errors.length > 0) return { ...base, action: IMPORT_ACTIONS.ERROR }
+        return { ...base, action: base.changes.length > 0 ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.UNCHANGED }
+      }
+
+      base.partName = values.namaProduk || ''
+      if (existing === undefined) {
+        if (!values.namaProduk) errors.push('Part name is required for a new part')
+        if (values.harga === undefined && !errors.some(error => error.startsWith('Price'))) errors.push('Price is required for a new part')
+      }
+      return { ...base, action: errors.length > 0 ? IMPORT_ACTIONS.ERROR : IMPORT_ACTIONS.CREATE }
+    })
+
+    return { rows: previewRows, summary: this.summarize(previewRows) }
+  }
+
+  /**
+   * Check previewed rows against the parts as they are now, before anything is written
+   * A part deleted or added since the preview would make the import update or duplicate the wrong row
+   * @param {Array} previewRows - Create and update rows from buildPreview
+   * @param {Array} parts - Current parts
+   * @returns {Array} Error messages (empty when the import can go ahead)
+   */
+  static validateForImport(previewRows = [], parts = []) {
+    const partIds = new Set(parts.map(part => part.id))
+    const codes = new Set(parts.map(part => normalizeCode(part.kodProduk)).filter(Boolean))
+    const errors = []
+
+    for (const row of previewRows) {
+      if (row.action === IMPORT_ACTIONS.UPDATE && !partIds.has(row.partId)) {
+        errors.push(`Row ${row.rowNumber}: part ${row.code} was deleted after the preview`)
+      } else if (row.action === IMPORT_ACTIONS.CREATE && codes.has(normalizeCode(row.code))) {
+        errors.push(`Row ${row.rowNumber}: part ${row.code} was added after the preview`)
+      }
+    }
+    return errors
+  }
+
+  /**
+   * Message for an import that stopped part-way
+   * Chunks before the failed one are saved; the live preview then shows those rows as
+   * unchanged, so importing the same file again only writes what is left
+   * @param {Object} progress - { created, updated, failedRows, error }
+   * @returns {String} Message for the user
+   */
+  static describePartialImport({ created, updated, failedRows = [], error }) {
+    const rowNumbers = failedRows.map(row => row.rowNumber)
+    const range = rowNumbers.length > 0 ? `rows ${Math.min(...rowNumbers)}-${Math.max(...rowNumbers)}` : 'the first rows'
+    const saved = created + updated > 0
+      ? `${created} created and ${updated} updated before that were saved.`
+      : 'Nothing was saved.'
+    return `Import stopped at ${range}: ${error?.message || error}\n\n${saved} Import the same file again to finish - rows already saved will show as unchanged.`
+  }
+
+  /**
+   * @returns {Object} Row count per action
+   */
+  static summarize(previewRows = []) {
+    const summary = { total: previewRows.length }
+    for (const action of Object.values(IMPORT_ACTIONS)) {
+      summary[action] = previewRows.filter(row => row.action === action).length
+    }
+    return summary
+  }
+
+  /**
+   * Rows for exporting parts in the same layout the import reads
+   * @param {Array} parts - The parts currently shown
+   * @returns {Array} Header row followed by one row per part
+   */
+  static toExportRows(parts = []) {
+    return [
+      IMPORT_FIELDS.map(field => field.key),
+      ...parts.map(part => IMPORT_FIELDS.map(field => {
+        const value = part[field.key]
+        return ['harga', 'unitStock'].includes(field.key) ? Number(value) || 0 : value ?? ''
+      }))
+    ]
+  }
+}
+
+export default PartsImport
@@ -0,0 +1,150 @@
+/**
+ * Pay Runs
+ * One pay run per calendar month. Its payslips are saved to the payroll collection
+ * and move through draft -> reviewed -> approved -> paid with the run.
+ * Drafts can be recalculated; approved and paid runs are locked
+ */
+
+export const PAY_RUNS_COLLECTION = 'pay_runs'
+
+// Payslips live in the existing payroll collection, one document per employee per run
+export const PAYSLIPS_COLLECTION = 'payroll'
+
+export const PAY_RUN_STATUSES = {
+  DRAFT: 'draft',
+  REVIEWED: 'reviewed',
+  APPROVED: 'approved',
+  PAID: 'paid'
+}
+
+export const PAY_RUN_STATUS_LABELS = {
+  [PAY_RUN_STATUSES.DRAFT]: 'Draft',
+  [PAY_RUN_STATUSES.REVIEWED]: 'Reviewed',
+  [PAY_RUN_STATUSES.APPROVED]: 'Approved',
+  [PAY_RUN_STATUSES.PAID]: 'Paid'
+}
+
+// Allowed moves from each status - a reviewed run can be sent back for recalculation
+export const PAY_RUN_TRANSITIONS = {
+  [PAY_RUN_STATUSES.DRAFT]: [PAY_RUN_STATUSES.REVIEWED],
+  [PAY_RUN_STATUSES.REVIEWED]: [PAY_RUN_STATUSES.APPROVED, PAY_RUN_STATUSES.DRAFT],
+  [PAY_RUN_STATUSES.APPROVED]: [PAY_RUN_STATUSES.PAID],
+  [PAY_RUN_STATUSES.PAID]: []
+}
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+export class PayRuns {
+
+  /**
+   * @returns {String} YYYY-MM in local time
+   */
+  static getCurrentPeriod(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+  }
+
+  static getPeriodLabel(period) {
+    const [year, month] = period.split('-').map(Number)
+    return new Date(year, month - 1, 1).toLocaleDateString('en-MY', { month: 'long', year: 'numeric' })
+  }
+
+  /**
+   * First and last day of a month
+   * @param {String} period - YYYY-MM
+   * @returns {Object} { start, end } as YYYY-MM-DD
+   */
+  static getMonthPeriod(period) {
+    const [year, month] = period.split('-').map(Number)
+    const lastDay = new Date(year, month, 0).getDate()
+    return {
+      start: `${period}-01`,
+      end: `${period}-${String(lastDay).padStart(2, '0')}`
+    }
+  }
+
+  // One run per month, so its id is the period
+  static getPayRunId(period) {
+    return period
+  }
+
+  static getPayslipId(period, employeeId) {
+    return `${period}_${employeeId}`
+  }
+
+  static isLocked(status) {
+    return status === PAY_RUN_STATUSES.APPROVED || status === PAY_RUN_STATUSES.PAID
+  }
+
+  static canTransition(from, to) {
+    return (PAY_RUN_TRANSITIONS[from] || []).includes(to)
+  }
+
+  /**
+   * Payslip document from a calculated payroll - employee details are copied
+   * so the payslip reads the same after the employee record changes
+   * @param {String} period - YYYY-MM
+   * @param {Object} payroll - From calculatePayroll
+   * @param {Object} employee - Employee record
+   */
+  static buildPayslip(period, payroll, employee) {
+    return {
+      payRunId: this.getPayRunId(period),
+      period,
+      employeeId: employee.id,
+      employeeName: `${employee.firstName || ''} ${employee.lastName || ''}`.trim(),
+      role: employee.role || '',
+      department: employee.department || '',
+      payPeriodStart: payroll.payPeriodStart,
+      payPeriodEnd: payroll.payPeriodEnd,
+      totalHours: roundCurrency(payroll.totalHours),
+      overtimeHours: roundCurrency(payroll.overtimeHours),
+      basePay: roundCurrency(payroll.basePay),
+      overtimePay: roundCurrency(payroll.overtimePay),
+      commission: roundCurrency(payroll.commission),
+      commissionLines: payroll.commissionLines || [],
+      grossPay: roundCurrency(payroll.grossPay),
+      deductions: payroll.deductions,
+      netPay: roundCurrency(payroll.netPay),
+      employerCost: roundCurrency(payroll.employerCost)
+    }
+  }
+
+  /**
+   * An employee's pay so far this year, for the monthly tax deduction - approved
+   * and paid payslips from earlier months only
+   * @param {Array} payslips - Saved payslips
+   * @param {String} period - YYYY-MM being calculated
+   * @returns {Object|null} { wages, epf, pcb }, or null when there are none
+   */
+  static getYearToDate(payslips = [], employeeId, period) {
+    const earlier = payslips.filter(payslip => payslip.employeeId === employeeId &&
+      this.isLocked(payslip.status) &&
+      payslip.period?.slice(0, 4) === period.slice(0, 4) &&
+      payslip.period < period)
+    if (earlier.length === 0) return null
+    const sum = (getValue) => roundCurrency(earlier.reduce((total, payslip) => total + (Number(getValue(payslip)) || 0), 0))
+    return {
+      wages: sum(payslip => payslip.grossPay),
+      epf: sum(payslip => payslip.deductions?.epf?.employee),
+      pcb: sum(payslip => payslip.deductions?.pcb?.amount)
+    }
+  }
+
+  /**
+   * Totals for a pay run
+   * @param {Array} payslips - Payslips in the run
+   */
+  static summarize(payslips = []) {
+    const sum = (getValue) => roundCurrency(payslips.reduce((total, payslip) => total + (Number(getValue(payslip)) || 0), 0))
+    return {
+      employeeCount: payslips.length,
+      grossPay: sum(payslip => payslip.grossPay),
+      commission: sum(payslip => payslip.commission),
+      employeeDeductions: sum(payslip => payslip.deductions?.employeeTotal),
+      employerContributions: sum(payslip => payslip.deductions?.employerTotal),
+      netPay: sum(payslip => payslip.netPay)
+    }
+  }
+}
+
+export default PayRuns
@@ -0,0 +1,258 @@
+/**
+ * Payment Ledger
+ * Pure functions for invoice balances, payment status and running ledgers
+ */
+
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  OVERDUE: 'overdue',
+  CREDITED: 'credited',
+  VOID: 'void'
+}
+
+export const PAYMENT_STATUS_LABELS = {
+  pending: 'Pending',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  overdue: 'Overdue',
+  credited: 'Credited',
+  void: 'Void'
+}
+
+// Amounts below half a sen are treated as settled
+const SETTLED_TOLERANCE = 0.005
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const toDate = (value) => {
+  if (!value) return null
+  if (value.toDate) return value.toDate()
+  return new Date(value)
+}
+
+export class PaymentLedger {
+
+  /**
+   * Invoice grand total before deposit and DirectLending
+   * @param {Object} invoice - Customer invoice
+   * @returns {Number} Invoice total
+   */
+  static getInvoiceTotal(invoice) {
+    return roundCurrency(invoice?.customerTotal ?? invoice?.total ?? 0)
+  }
+
+  /**
+   * Total of credit notes issued against an invoice
+   * @param {Object} invoice - Customer invoice
+   * @returns {Number} Credited amount
+   */
+  static getCreditedAmount(invoice) {
+    return roundCurrency(invoice?.creditedAmount || 0)
+  }
+
+  /**
+   * Amount the customer has to settle through payments
+   * Total less the deposit taken at job intake, the DirectLending portion and credit notes
+   * Goes negative only when a credit note also returns part of the deposit
+   * @param {Object} invoice - Customer invoice
+   * @returns {Number} Payable amount
+   */
+  static getPayableAmount(invoice) {
+    if (!invoice) return 0
+
+    const total = this.getInvoiceTotal(invoice)
+    const deposit = Number(invoice.deposit) || 0
+    const directLending = invoice.useDirectLending ? Number(invoice.directLendingAmount) || 0 : 0
+
+    return roundCurrency(Math.max(0, total - deposit - directLending) - this.getCreditedAmount(invoice))
+  }
+
+  /**
+   * Sum of completed payments
+   * @param {Array} payments - Transactions recorded against the invoice
+   * @returns {Number} Amount paid
+   */
+  static getPaidAmount(payments = []) {
+    return roundCurrency(
+      payments
+        .filter(payment => !payment.status || payment.status === 'completed')
+        .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+    )
+  }
+
+  /**
+   * Outstanding balance on an invoice
+   * Uses the payments when given, otherwise the paidAmount stored on the invoice
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} payments - Optional transactions recorded against the invoice
+   * @returns {Number} Outstanding balance (never negative)
+   */
+  static getOutstandingBalance(invoice, payments = null) {
+    if (!invoice) return 0
+
+    // Invoices marked paid before payments were tracked have no ledger
+    if (invoice.paymentStatus === PAYMENT_STATUSES.PAID && !payments?.length && !invoice.paidAmount) {
+      return 0
+    }
+
+    const paidAmount = payments ? this.getPaidAmount(payments) : Number(invoice.paidAmount) || 0
+    return roundCurrency(Math.max(0, this.getPayableAmount(invoice) - paidAmount))
+  }
+
+  /**
+   * Derive payment status from the amount paid
+   * @param {Object} invoice - Customer invoice
+   * @param {Number} paidAmount - Total paid so far
+   * @returns {String} One of PAYMENT_STATUSES
+   */
+  static derivePaymentStatus(invoice, paidAmount) {
+    const credited = this.getCreditedAmount(invoice)
+    if (credited > 0 && this.getInvoiceTotal(invoice) - credited < SETTLED_TOLERANCE) {
+      return PAYMENT_STATUSES.CREDITED
+    }
+
+    const payable = this.getPayableAmount(invoice)
+
+    if (payable - paidAmount < SETTLED_TOLERANCE) {
+      return PAYMENT_STATUSES.PAID
+    }
+    if (paidAmount > 0) {
+      return PAYMENT_STATUSES.PARTIALLY_PAID
+    }
+    return invoice?.paymentStatus === PAYMENT_STATUSES.OVERDUE
+      ? PAYMENT_STATUSES.OVERDUE
+      : PAYMENT_STATUSES.PENDING
+  }
+
+  /**
+   * Why an invoice can't be voided - numbered invoices are voided rather than
+   * deleted so the sequence has no gaps, and money already taken needs a credit note
+   * @param {Object} invoice - Customer invoice
+   * @returns {String|null} Reason, or null when it can be voided
+   */
+  static getVoidBlocker(invoice) {
+    if (invoice?.paymentStatus === PAYMENT_STATUSES.VOID) {
+      return 'It has already been voided'
+    }
+    if ((Number(invoice?.paidAmount) || 0) > 0 ||
+      (invoice?.paymentStatus === PAYMENT_STATUSES.PAID && this.getPayableAmount(invoice) > 0)) {
+      return 'It has payments recorded - issue a credit note to reverse it'
+    }
+    if ((Number(invoice?.deposit) || 0) > 0) {
+      return 'A deposit was taken - issue a credit note to refund it'
+    }
+    if (this.getCreditedAmount(invoice) > 0) {
+      return 'It has credit notes issued against it'
+    }
+    return null
+  }
+
+  /**
+   * Validate a payment amount against the outstanding balance
+   * @param {Object} invoice - Customer invoice
+   * @param {Number} amount - Payment amount
+   * @returns {Object} { isValid, error, outstanding }
+   */
+  static validatePayment(invoice, amount) {
+    const outstanding = this.getOutstandingBalance(invoice)
+    const value = Number(amount) || 0
+
+    if (value <= 0) {
+      return { isValid: false, error: 'Payment amount must be greater than zero', outstanding }
+    }
+    if (value - outstanding >= SETTLED_TOLERANCE) {
+      return {
+        isValid: false,
+        error: `Payment of RM${value.toFixed(2)} exceeds the outstanding balance of RM${outstanding.toFixed(2)}`,
+        outstanding
+      }
+    }
+    return { isValid: true, error: null, outstanding }
+  }
+
+  /**
+   * Build the running ledger for an invoice
+   * Starts at the invoice total, then deposit, DirectLending, then payments,
+   * refunds and credit notes by date
+   * @param {Object} invoice - Customer invoice
+   * @param {Array} payments - Transactions recorded against the invoice (refunds are negative)
+   * @param {Array} creditNotes - Credit notes issued against the invoice
+   * @returns {Array} Ledger rows { type, date, description, amount, balance, reference }
+   */
+  static buildLedger(invoice, payments = [], creditNotes = []) {
+    if (!invoice) return []
+
+    let balance = this.getInvoiceTotal(invoice)
+    const ledger = [{
+      type: 'invoice',
+      date: toDate(invoice.dateCreated),
+      description: `Invoice ${invoice.invoiceNumber || ''}`.trim(),
+      amount: balance,
+      balance,
+      reference: ''
+    }]
+
+    const deposit = Number(invoice.deposit) || 0
+    if (deposit > 0) {
+      balance = roundCurrency(balance - deposit)
+      ledger.push({
+        type: 'deposit',
+        date: toDate(invoice.dateCreated),
+        description: 'Deposit',
+        amount: -deposit,
+        balance,
+        reference: ''
+      })
+    }
+
+    const directLending = invoice.useDirectLending ? Number(invoice.directLendingAmount) || 0 : 0
+    if (directLending > 0) {
+      balance = roundCurrency(balance - directLending)
+      ledger.push({
+        type: 'direct_lending',
+        date: toDate(invoice.dateCreated),
+        description: 'DirectLending',
+        amount: -directLending,
+        balance,
+        reference: ''
+      })
+    }
+
+    const paymentEntries = payments
+      .filter(payment => !payment.status || payment.status === 'completed')
+      .map(payment => {
+        const amount = Number(payment.amount) || 0
+        return {
+          type: amount < 0 ? 'refund' : 'payment',
+          date: toDate(payment.paymentDate),
+          description: `${amount < 0 ? 'Refund' : 'Payment'} (${(payment.paymentMethod || 'cash').replace(/_/g, ' ')})`,
+          amount: -amount,
+          reference: payment.transactionNumber || payment.referenceNumber || ''
+        }
+      })
+
+    const creditEntries = creditNotes
+      .filter(creditNote => creditNote.status !== 'void')
+      .map(creditNote => ({
+        type: 'credit',
+        date: toDate(creditNote.dateCreated),
+        description: `Credit Note${creditNote.reason ? ` - ${creditNote.reason}` : ''}`,
+        amount: -(Number(creditNote.total) || 0),
+        reference: creditNote.creditNoteNumber || ''
+      }))
+
+    const entries = [...paymentEntries, ...creditEntries]
+      .sort((a, b) => (a.date || 0) - (b.date || 0))
+
+    for (const entry of entries) {
+      balance = roundCurrency(balance + entry.amount)
+      ledger.push({ ...entry, balance })
+    }
+
+    return ledger
+  }
+}
+
+export default PaymentLedger
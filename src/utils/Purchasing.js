@@ -0,0 +1,249 @@
+/**
+ * Purchasing
+ * Suppliers, purchase orders, partial goods receipts and supplier invoice matching
+ * Receipts carry their own unit cost, so each delivery records what was actually paid
+ */
+
+import Costing from './Costing'
+
+export const PO_STATUSES = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+}
+
+export const PO_STATUS_LABELS = {
+  [PO_STATUSES.DRAFT]: 'Draft',
+  [PO_STATUSES.ORDERED]: 'Ordered',
+  [PO_STATUSES.PARTIALLY_RECEIVED]: 'Partially Received',
+  [PO_STATUSES.RECEIVED]: 'Received',
+  [PO_STATUSES.CANCELLED]: 'Cancelled'
+}
+
+export const SUPPLIER_INVOICE_STATUSES = {
+  MATCHED: 'matched',
+  VARIANCE: 'variance'
+}
+
+// Supplier invoices within a cent of the received value count as matched
+const MATCH_TOLERANCE = 0.01
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+export class Purchasing {
+
+  static validateSupplier(supplier) {
+    const errors = []
+    if (!supplier.name?.trim()) {
+      errors.push('Supplier name is required')
+    }
+    if (supplier.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplier.email.trim())) {
+      errors.push('Supplier email is not valid')
+    }
+    return errors
+  }
+
+  static buildSupplier(supplierData) {
+    return {
+      name: supplierData.name.trim(),
+      contactPerson: supplierData.contactPerson?.trim() || '',
+      phone: supplierData.phone?.trim() || '',
+      email: supplierData.email?.trim() || '',
+      address: supplierData.address?.trim() || '',
+      paymentTermsDays: parseInt(supplierData.paymentTermsDays) || 0,
+      notes: supplierData.notes?.trim() || ''
+    }
+  }
+
+  /**
+   * Normalise purchase order lines - received quantities are kept when editing
+   * @param {Array} lines - [{ partId, sku, partName, quantity, unitCost, receivedQuantity }]
+   * @returns {Array} Lines with numeric quantities and totals
+   */
+  static buildLines(lines = []) {
+    return lines.map(line => {
+      const quantity = Number(line.quantity) || 0
+      const unitCost = roundCurrency(line.unitCost)
+      return {
+        partId: line.partId || null,
+        sku: line.sku || '',
+        partName: line.partName || '',
+        quantity,
+        unitCost,
+        total: roundCurrency(quantity * unitCost),
+        receivedQuantity: Number(line.receivedQuantity) || 0
+      }
+    })
+  }
+
+  static calculateTotal(lines = []) {
+    return roundCurrency(lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0))
+  }
+
+  /**
+   * @param {Object} po - { supplierId, lines }
+   * @returns {Array} Error messages
+   */
+  static validatePurchaseOrder(po) {
+    const errors = []
+    if (!po.supplierId) {
+      errors.push('Select a supplier')
+    }
+    if (!po.lines?.length) {
+      errors.push('Add at least one part')
+    }
+    ;(po.lines || []).forEach((line, index) => {
+      const label = line.partName || `Line ${index + 1}`
+      if (!line.partId) errors.push(`${label}: choose an inventory part`)
+      if (!(Number(line.quantity) > 0)) errors.push(`${label}: quantity must be more than 0`)
+      if (Number(line.unitCost) < 0 || line.unitCost === '' || line.unitCost == null) errors.push(`${label}: enter the unit cost`)
+    })
+    return errors
+  }
+
+  static getOutstandingQuantity(line) {
+    return Math.max(0, (Number(line.quantity) || 0) - (Number(line.receivedQuantity) || 0))
+  }
+
+  static canReceive(po) {
+    return [PO_STATUSES.ORDERED, PO_STATUSES.PARTIALLY_RECEIVED].includes(po.status)
+  }
+
+  static getStatusForLines(lines) {
+    const received = lines.reduce((sum, line) => sum + (Number(line.receivedQuantity) || 0), 0)
+    if (received === 0) return PO_STATUSES.ORDERED
+    return lines.every(line => this.getOutstandingQuantity(line) === 0)
+      ? PO_STATUSES.RECEIVED
+      : PO_STATUSES.PARTIALLY_RECEIVED
+  }
+
+  /**
+   * Build a goods receipt for part of a purchase order
+   * @param {Object} po - Purchase order
+   * @param {Array} receivedLines - [{ lineIndex, quantity, unitCost }] - unitCost defaults to the PO cost
+   * @returns {Object} { lines, total, poLines, status } - poLines/status are the PO updates
+   */
+  static buildReceipt(po, receivedLines = []) {
+    if (!this.canReceive(po)) {
+      throw new Error(`${po.poNumber || 'This purchase order'} is ${PO_STATUS_LABELS[po.status] || po.status} and cannot receive goods`)
+    }
+
+    const poLines = (po.lines || []).map(line => ({ ...line }))
+    const lines = []
+    const errors = []
+
+    for (const received of receivedLines) {
+      const quantity = Number(received.quantity) || 0
+      if (quantity === 0) continue
+
+      const poLine = poLines[received.lineIndex]
+      if (!poLine) {
+        errors.push(`Line ${received.lineIndex + 1} is not on this purchase order`)
+        continue
+      }
+
+      const outstanding = this.getOutstandingQuantity(poLine)
+      if (quantity < 0 || quantity > outstanding) {
+        errors.push(`${poLine.partName}: can receive up to ${outstanding}`)
+        continue
+      }
+
+      const unitCost = received.unitCost === '' || received.unitCost == null
+        ? Number(poLine.unitCost) || 0
+        : roundCurrency(received.unitCost)
+
+      poLine.receivedQuantity = (Number(poLine.receivedQuantity) || 0) + quantity
+      lines.push({
+        lineIndex: received.lineIndex,
+        partId: poLine.partId,
+        sku: poLine.sku || '',
+        partName: poLine.partName || '',
+        quantity,
+        unitCost,
+        total: roundCurrency(quantity * unitCost)
+      })
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'))
+    }
+    if (lines.length === 0) {
+      throw new Error('Enter the quantity received for at least one part')
+    }
+
+    return {
+      lines,
+      total: roundCurrency(lines.reduce((sum, line) => sum + line.total, 0)),
+      poLines,
+      status: this.getStatusForLines(poLines)
+    }
+  }
+
+  /**
+   * Stock increases for a receipt
+   * Quantities are added to the stock levels passed in, and the received cost
+   * is blended into each part's weighted average cost
+   * @param {Object} receipt - Goods receipt ({ id, receiptNumber, purchaseOrderId, lines })
+   * @param {Array} parts - Parts as read in the posting transaction
+   * @returns {Array} [{ partId, newStock, stockChange, reason, metadata, fields }]
+   */
+  static buildStockUpdates(receipt, parts = []) {
+    const byPart = new Map()
+    for (const line of receipt.lines || []) {
+      const entry = byPart.get(line.partId) || { quantity: 0, value: 0, unitCost: line.unitCost }
+      entry.quantity += Number(line.quantity) || 0
+      entry.value += (Number(line.quantity) || 0) * (Number(line.unitCost) || 0)
+      entry.unitCost = line.unitCost
+      byPart.set(line.partId, entry)
+    }
+
+    return [...byPart.entries()].map(([partId, entry]) => {
+      const part = parts.find(p => p.id === partId)
+      if (!part) {
+        throw new Error(`Part ${partId} on ${receipt.receiptNumber || 'the receipt'} is no longer in inventory`)
+      }
+      return {
+        partId,
+        newStock: (Number(part.unitStock) || 0) + entry.quantity,
+        stockChange: entry.quantity,
+        reason: 'goods_receipt',
+        metadata: {
+          purchaseOrderId: receipt.purchaseOrderId,
+          receiptId: receipt.id,
+          receiptNumber: receipt.receiptNumber || ''
+        },
+        fields: {
+          lastCostPrice: entry.unitCost,
+          averageCost: Costing.getWeightedAverageCost({
+            stock: part.unitStock,
+            averageCost: part.averageCost,
+            quantity: entry.quantity,
+            unitCost: entry.quantity > 0 ? entry.value / entry.quantity : entry.unitCost
+          })
+        }
+      }
+    })
+  }
+
+  /**
+   * Match a supplier invoice against what has been received and not yet invoiced
+   * @param {Object} po - Purchase order with receivedValue and invoicedAmount
+   * @param {Number} amount - Supplier invoice amount
+   * @returns {Object} { uninvoicedValue, variance, status }
+   */
+  static matchSupplierInvoice(po, amount) {
+    const uninvoicedValue = roundCurrency((Number(po.receivedValue) || 0) - (Number(po.invoicedAmount) || 0))
+    const variance = roundCurrency((Number(amount) || 0) - uninvoicedValue)
+    return {
+      uninvoicedValue,
+      variance,
+      status: Math.abs(variance) < MATCH_TOLERANCE
+        ? SUPPLIER_INVOICE_STATUSES.MATCHED
+        : SUPPLIER_INVOICE_STATUSES.VARIANCE
+    }
+  }
+}
+
+export default Purchasing
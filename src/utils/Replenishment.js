@@ -0,0 +1,163 @@
+/**
+ * Replenishment
+ * Per-part reorder points, usage velocity from sales history and
+ * reorder suggestions grouped by supplier
+ */
+
+import Purchasing from './Purchasing'
+import Spreadsheet from './Spreadsheet'
+
+// Used for parts that have no reorder point of their own (the old shop-wide threshold)
+export const DEFAULT_REORDER_POINT = 10
+
+// Sales from this many days back decide the usage velocity
+export const VELOCITY_WINDOW_DAYS = 90
+
+// Without a reorder quantity, order enough for this many days of usage
+export const DEFAULT_COVER_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toDate = (value) => {
+  if (!value) return null
+  return value.toDate ? value.toDate() : new Date(value)
+}
+
+export class Replenishment {
+
+  static getReorderPoint(part) {
+    const reorderPoint = part?.reorderPoint
+    return reorderPoint === '' || reorderPoint == null ? DEFAULT_REORDER_POINT : Number(reorderPoint) || 0
+  }
+
+  static isLowStock(part) {
+    return (Number(part?.unitStock) || 0) <= this.getReorderPoint(part)
+  }
+
+  /**
+   * Flatten parts sold on internal parts invoices and customer invoices
+   * @param {Object} history - { invoices, customerInvoices }
+   * @returns {Array} [{ partId, quantity, date }]
+   */
+  static buildSalesHistory({ invoices = [], customerInvoices = [] } = {}) {
+    const sales = []
+    for (const invoice of invoices) {
+      for (const item of invoice.items || []) {
+        if (item.partId) sales.push({ partId: item.partId, quantity: Number(item.quantity) || 0, date: toDate(invoice.dateCreated) })
+      }
+    }
+    for (const invoice of customerInvoices) {
+      for (const part of invoice.partsOrdered || []) {
+        if (part.partId) sales.push({ partId: part.partId, quantity: Number(part.quantity) || 0, date: toDate(invoice.dateCreated) })
+      }
+    }
+    return sales
+  }
+
+  /**
+   * Average daily usage per part over the velocity window
+   * @param {Array} sales - From buildSalesHistory
+   * @returns {Map} partId -> { quantity, perDay }
+   */
+  static getUsageByPart(sales, { days = VELOCITY_WINDOW_DAYS, now = new Date() } = {}) {
+    const since = now.getTime() - days * DAY_MS
+    const usage = new Map()
+    for (const sale of sales) {
+      if (!sale.date || sale.date.getTime() < since || sale.date > now) continue
+      const entry = usage.get(sale.partId) || { quantity: 0, perDay: 0 }
+      entry.quantity += sale.quantity
+      entry.perDay = entry.quantity / days
+      usage.set(sale.partId, entry)
+    }
+    return usage
+  }
+
+  /**
+   * Quantities ordered from suppliers but not yet received
+   * @returns {Map} partId -> outstanding quantity
+   */
+  static getOnOrderByPart(purchaseOrders = []) {
+    const onOrder = new Map()
+    for (const po of purchaseOrders) {
+      if (!Purchasing.canReceive(po)) continue
+      for (const line of po.lines || []) {
+        onOrder.set(line.partId, (onOrder.get(line.partId) || 0) + Purchasing.getOutstandingQuantity(line))
+      }
+    }
+    return onOrder
+  }
+
+  /**
+   * How many to order so stock ends above the reorder point
+   * Uses the part's reorder quantity, or DEFAULT_COVER_DAYS of usage when it has none
+   */
+  static getSuggestedQuantity(part, { perDay = 0, onOrder = 0 } = {}) {
+    const available = (Number(part.unitStock) || 0) + onOrder
+    const shortfall = this.getReorderPoint(part) - available + 1
+    const reorderQuantity = Number(part.reorderQuantity) || Math.ceil(perDay * DEFAULT_COVER_DAYS)
+    return Math.max(reorderQuantity, shortfall, 1)
+  }
+
+  /**
+   * Parts at or below their reorder point (counting stock on order), grouped by supplier
+   * The preferred supplier wins; otherwise the free-text part.supplier is matched by name
+   * @param {Object} data - { parts, sales, purchaseOrders, suppliers, now }
+   * @returns {Array} [{ supplierId, supplierName, lines, total }] - unassigned parts last
+   */
+  static buildReplenishmentList({ parts = [], sales = [], purchaseOrders = [], suppliers = [], now = new Date() }) {
+    const usage = this.getUsageByPart(sales, { now })
+    const onOrderByPart = this.getOnOrderByPart(purchaseOrders)
+    const groups = new Map()
+
+    for (const part of parts) {
+      const onOrder = onOrderByPart.get(part.id) || 0
+      if ((Number(part.unitStock) || 0) + onOrder > this.getReorderPoint(part)) continue
+
+      const supplier = suppliers.find(s => s.id === part.preferredSupplierId) ||
+        suppliers.find(s => s.name?.trim().toLowerCase() === part.supplier?.trim().toLowerCase()) ||
+        null
+      const perDay = usage.get(part.id)?.perDay || 0
+      const quantity = this.getSuggestedQuantity(part, { perDay, onOrder })
+      const unitCost = Number(part.lastCostPrice) || 0
+
+      const key = supplier?.id || ''
+      if (!groups.has(key)) {
+        groups.set(key, { supplierId: supplier?.id || null, supplierName: supplier?.name || 'No preferred supplier', lines: [], total: 0 })
+      }
+      const group = groups.get(key)
+      group.lines.push({
+        partId: part.id,
+        sku: part.kodProduk || '',
+        partName: part.namaProduk || '',
+        unitStock: Number(part.unitStock) || 0,
+        reorderPoint: this.getReorderPoint(part),
+        onOrder,
+        perDay: Math.round(perDay * 100) / 100,
+        daysLeft: perDay > 0 ? Math.floor((Number(part.unitStock) || 0) / perDay) : null,
+        quantity,
+        unitCost
+      })
+      group.total = Math.round((group.total + quantity * unitCost) * 100) / 100
+    }
+
+    return [...groups.values()].sort((a, b) => {
+      if (!a.supplierId !== !b.supplierId) return a.supplierId ? -1 : 1
+      return a.supplierName.localeCompare(b.supplierName)
+    })
+  }
+
+  /**
+   * @param {Array} groups - From buildReplenishmentList
+   * @returns {String} CSV with one row per part
+   */
+  static toCsv(groups) {
+    const header = ['Supplier', 'Part Code', 'Part Name', 'In Stock', 'Reorder Point', 'On Order', 'Daily Usage', 'Days Left', 'Order Qty', 'Unit Cost']
+    const rows = groups.flatMap(group => group.lines.map(line => [
+      group.supplierName, line.sku, line.partName, line.unitStock, line.reorderPoint,
+      line.onOrder, line.perDay, line.daysLeft ?? '', line.quantity, line.unitCost
+    ]))
+    return Spreadsheet.toCsv([header, ...rows])
+  }
+}
+
+export default Replenishment
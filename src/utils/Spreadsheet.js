@@ -0,0 +1,339 @@
+/**
+ * Spreadsheet
+ * Reads and writes CSV and single-sheet .xlsx files as arrays of rows
+ * .xlsx is a zip of XML parts - entries are inflated with the browser's DecompressionStream
+ * and written uncompressed, which every spreadsheet app accepts
+ */
+
+const textDecoder = new TextDecoder()
+const textEncoder = new TextEncoder()
+
+const DOWNLOAD_URL_LIFETIME_MS = 60000
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// "AB12" -> 27
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase()
+  let index = 0
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64)
+  return index - 1
+}
+
+const columnLetters = (index) => {
+  let letters = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters
+  }
+  return letters
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name))
+
+export class Spreadsheet {
+
+  /**
+   * Parse CSV text, including quoted cells with commas, quotes and line breaks
+   * Semicolon-separated files (Excel in some locales) are detected from the first line
+   * @returns {Array} Rows of cell strings, blank lines dropped
+   */
+  static parseCsv(text = '') {
+    const source = text.replace(/^\uFEFF/, '')
+    const firstLine = source.split(/\r?\n/, 1)[0] || ''
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+    const rows = []
+    let row = []
+    let cell = ''
+    let inQuotes = false
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i]
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"'
+          i++
+        } else if (char === '"') {
+          inQuotes = false
+        } else {
+          cell += char
+        }
+      } else if (char === '"') {
+        inQuotes = true
+      } else if (char === delimiter) {
+        row.push(cell)
+        cell = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++
+        row.push(cell)
+        rows.push(row)
+        row = []
+        cell = ''
+      } else {
+        cell += char
+      }
+    }
+    row.push(cell)
+    rows.push(row)
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''))
+  }
+
+  /**
+   * @param {Array} rows - Rows of cell values
+   * @returns {String} CSV text
+   */
+  static toCsv(rows = []) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\n')
+  }
+
+  /**
+   * CRC-32 of text as UTF-8, the checksum zip files use
+   * @returns {String} 8 hex digits
+   */
+  static crc32(text = '') {
+    return crc32(textEncoder.encode(text)).toString(16).toUpperCase().padStart(8, '0')
+  }
+
+  /**
+   * Read the first worksheet of an .xlsx file
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<Array>} Rows of cell strings, blank lines dropped
+   */
+  static async readXlsx(buffer) {
+    const entries = this.readZipDirectory(buffer)
+    const readXml = async (path) => {
+      const entry = entries.get(path)
+      if (!entry) return null
+      return new DOMParser().parseFromString(await this.readZipEntry(buffer, entry), 'application/xml')
+    }
+
+    // The first sheet in workbook order, found through the workbook relationships
+    let sheetPath = 'xl/worksheets/sheet1.xml'
+    const workbook = await readXml('xl/workbook.xml')
+    const relationships = await readXml('xl/_rels/workbook.xml.rels')
+    const firstSheet = workbook && elements(workbook, 'sheet')[0]
+    if (firstSheet && relationships) {
+      const relationId = firstSheet.getAttribute('r:id') ||
+        firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+      const target = elements(relationships, 'Relationship')
+        .find(relationship => relationship.getAttribute('Id') === relationId)
+        ?.getAttribute('Target')
+      if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    }
+
+    const sheet = await readXml(sheetPath)
+    if (!sheet) throw new Error('No worksheet found in this file')
+
+    const sharedStringsXml = await readXml('xl/sharedStrings.xml')
+    const sharedStrings = sharedStringsXml
+      ? elements(sharedStringsXml, 'si').map(item => elements(item, 't').map(t => t.textContent).join(''))
+      : []
+
+    const rows = elements(sheet, 'row').map(rowNode => {
+      const row = []
+      for (const cellNode of elements(rowNode, 'c')) {
+        const type = cellNode.getAttribute('t')
+        const value = elements(cellNode, 'v')[0]?.textContent ?? ''
+        let text
+        if (type === 's') text = sharedStrings[Number(value)] ?? ''
+        else if (type === 'inlineStr') text = elements(cellNode, 't').map(t => t.textContent).join('')
+        else text = value
+        const reference = cellNode.getAttribute('r')
+        row[reference ? columnIndex(reference) : row.length] = text
+      }
+      return Array.from(row, value => value ?? '')
+    })
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''))
+  }
+
+  /**
+   * Build a single-sheet .xlsx file
+   * Numbers are written as numeric cells, everything else as inline text
+   * @param {Array} rows - Rows of cell values
+   * @param {String} sheetName - Worksheet tab name
+   * @returns {Uint8Array} File contents
+   */
+  static toXlsx(rows = [], sheetName = 'Sheet1') {
+    const sheetRows = rows.map((row, rowIndex) => {
+      const cells = row.map((value, column) => {
+        const reference = `${columnLetters(column)}${rowIndex + 1}`
+        if (value === '' || value == null) return ''
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`
+        return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`
+      }).join('')
+      return `<row r="${rowIndex + 1}">${cells}</row>`
+    }).join('')
+
+    const files = [
+      ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>'],
+      ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>'],
+      ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+      ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>'],
+      ['xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`]
+    ]
+
+    return this.writeZip(files.map(([name, content]) => ({ name, data: textEncoder.encode(content) })))
+  }
+
+  /**
+   * Read an uploaded .csv or .xlsx file into rows
+   * @param {File} file - From an <input type="file">
+   * @returns {Promise<Array>} Rows of cell strings
+   */
+  static async readFile(file) {
+    const name = file.name.toLowerCase()
+    if (name.endsWith('.xlsx')) return this.readXlsx(await file.arrayBuffer())
+    if (name.endsWith('.csv') || name.endsWith('.txt')) return this.parseCsv(await file.text())
+    throw new Error('Unsupported file type - save the sheet as .xlsx or .csv')
+  }
+
+  /**
+   * Offer rows as a file download
+   * @param {Array} rows - Rows of cell values
+   * @param {String} filename - Ending in .csv or .xlsx
+   */
+  static download(rows, filename) {
+    const blob = filename.endsWith('.xlsx')
+      ? new Blob([this.toXlsx(rows)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+      // The byte-order mark makes Excel open the CSV as UTF-8
+      : new Blob(['\uFEFF' + this.toCsv(rows)], { type: 'text/csv;charset=utf-8' })
+    this.downloadBlob(blob, filename)
+  }
+
+  /**
+   * Offer a blob as a file download
+   * The URL is kept for a while after the click - some browsers read it only once the
+   * download starts, and revoking it before then cancels the download
+   * @param {Blob} blob - File contents
+   * @param {String} filename - Name to save it under
+   */
+  static downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS)
+  }
+
+  /**
+   * Zip central directory
+   * @returns {Map} name -> { method, compressedSize, localOffset }
+   */
+  static readZipDirectory(buffer) {
+    const view = new DataView(buffer)
+    let end = buffer.byteLength - 22
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--
+    if (end < 0) throw new Error('This is not a valid .xlsx file')
+
+    const entries = new Map()
+    let offset = view.getUint32(end + 16, true)
+    for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+      const nameLength = view.getUint16(offset + 28, true)
+      const name = textDecoder.decode(new Uint8Array(buffer, offset + 46, nameLength))
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      })
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true)
+    }
+    return entries
+  }
+
+  static async readZipEntry(buffer, entry) {
+    const view = new DataView(buffer)
+    const dataStart = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true)
+    const data = new Uint8Array(buffer, dataStart, entry.compressedSize)
+
+    if (entry.method === 0) return textDecoder.decode(data)
+    if (entry.method === 8) {
+      const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'))
+      return new Response(stream).text()
+    }
+    throw new Error('Unsupported .xlsx compression - re-save the file in Excel or Google Sheets')
+  }
+
+  /**
+   * Uncompressed zip archive
+   * @param {Array} files - [{ name, data: Uint8Array }]
+   * @returns {Uint8Array}
+   */
+  static writeZip(files) {
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1 // 1980-01-01
+
+    for (const file of files) {
+      const name = textEncoder.encode(file.name)
+      const crc = crc32(file.data)
+
+      const local = new DataView(new ArrayBuffer(30))
+      local.setUint32(0, 0x04034B50, true)
+      local.setUint16(4, 20, true)
+      local.setUint16(12, DOS_DATE, true)
+      local.setUint32(14, crc, true)
+      local.setUint32(18, file.data.length, true)
+      local.setUint32(22, file.data.length, true)
+      local.setUint16(26, name.length, true)
+      localParts.push(new Uint8Array(local.buffer), name, file.data)
+
+      const central = new DataView(new ArrayBuffer(46))
+      central.setUint32(0, 0x02014B50, true)
+      central.setUint16(4, 20, true)
+      central.setUint16(6, 20, true)
+      central.setUint16(14, DOS_DATE, true)
+      central.setUint32(16, crc, true)
+      central.setUint32(20, file.data.length, true)
+      central.setUint32(24, file.data.length, true)
+      central.setUint16(28, name.length, true)
+      central.setUint32(42, offset, true)
+      centralParts.push(new Uint8Array(central.buffer), name)
+
+      offset += 30 + name.length + file.data.length
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054B50, true)
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+    let position = 0
+    for (const part of parts) {
+      zip.set(part, position)
+      position += part.length
+    }
+    return zip
+  }
+}
+
+export default Spreadsheet
@@ -0,0 +1,366 @@
+/**
+ * Statutory Deductions
+ * Malaysian EPF, SOCSO and EIS contributions and monthly tax deduction (PCB/MTD).
+ * Rates live in versioned tables picked by pay date, so a payroll recalculated
+ * later still uses the rates in force at the time. Amounts are worked out on
+ * monthly wages and scaled for shorter pay periods. PCB follows the LHDN
+ * computerised calculation, using the year's earlier payslips when given
+ */
+
+export const RESIDENCY = {
+  CITIZEN: 'citizen',
+  PERMANENT_RESIDENT: 'permanent_resident',
+  FOREIGN: 'foreign'
+}
+
+export const RESIDENCY_LABELS = {
+  [RESIDENCY.CITIZEN]: 'Malaysian',
+  [RESIDENCY.PERMANENT_RESIDENT]: 'Permanent Resident',
+  [RESIDENCY.FOREIGN]: 'Foreign Worker'
+}
+
+export const SOCSO_CATEGORIES = {
+  // Employment Injury and Invalidity schemes
+  FIRST: 1,
+  // Employment Injury scheme only - age 60 and above, and foreign workers
+  SECOND: 2
+}
+
+export const DEFAULT_STATUTORY_PROFILE = {
+  dateOfBirth: '',
+  residency: RESIDENCY.CITIZEN,
+  taxResident: true,
+  // Voluntary EPF rate above the statutory employee rate, in percent
+  epfEmployeeRate: null,
+  spouseRelief: false,
+  children: 0
+}
+
+// YA2023 onwards resident individual rates - chargeable income up to each limit
+const RESIDENT_TAX_BRACKETS = [
+  { upTo: 5000, rate: 0 },
+  { upTo: 20000, rate: 1 },
+  { upTo: 35000, rate: 3 },
+  { upTo: 50000, rate: 6 },
+  { upTo: 70000, rate: 11 },
+  { upTo: 100000, rate: 19 },
+  { upTo: 400000, rate: 25 },
+  { upTo: 600000, rate: 26 },
+  { upTo: 2000000, rate: 28 },
+  { upTo: Infinity, rate: 30 }
+]
+
+// Published SOCSO and EIS bands up to RM200, which are narrower than the RM100 bands
+// above them - the wage each is charged on, and the scheduled amounts
+const LOW_WAGE_BANDS = [
+  { upTo: 30, wage: 20, socsoEmployer: 0.4, socsoEmployee: 0.1, socsoSecondEmployer: 0.3, eis: 0.05 },
+  { upTo: 50, wage: 40, socsoEmployer: 0.7, socsoEmployee: 0.2, socsoSecondEmployer: 0.5, eis: 0.1 },
+  { upTo: 70, wage: 60, socsoEmployer: 1.1, socsoEmployee: 0.3, socsoSecondEmployer: 0.8, eis: 0.15 },
+  { upTo: 100, wage: 85, socsoEmployer: 1.5, socsoEmployee: 0.4, socsoSecondEmployer: 1.1, eis: 0.2 },
+  { upTo: 140, wage: 120, socsoEmployer: 2.1, socsoEmployee: 0.6, socsoSecondEmployer: 1.5, eis: 0.25 },
+  { upTo: 200, wage: 170, socsoEmployer: 2.95, socsoEmployee: 0.85, socsoSecondEmployer: 2.1, eis: 0.35 }
+]
+
+const RATES_2023 = {
+  version: '2023-01',
+  lowWageBands: LOW_WAGE_BANDS,
+  effectiveFrom: '2023-01-01',
+  epf: {
+    seniorAge: 60,
+    // Employer rate drops above this monthly wage
+    employerRateThreshold: 5000,
+    [RESIDENCY.CITIZEN]: { employee: 11, employer: 13, employerAboveThreshold: 12, seniorEmployee: 0, seniorEmployer: 4 },
+    [RESIDENCY.PERMANENT_RESIDENT]: { employee: 11, employer: 13, employerAboveThreshold: 12, seniorEmployee: 5.5, seniorEmployer: 6.5 },
+    [RESIDENCY.FOREIGN]: { employee: 0, employer: 0, employerAboveThreshold: 0, seniorEmployee: 0, seniorEmployer: 0 }
+  },
+  socso: {
+    wageCeiling: 5000,
+    seniorAge: 60,
+    [SOCSO_CATEGORIES.FIRST]: { employee: 0.5, employer: 1.75 },
+    [SOCSO_CATEGORIES.SECOND]: { employee: 0, employer: 1.25 }
+  },
+  eis: {
+    wageCeiling: 5000,
+    maxAge: 60,
+    employee: 0.2,
+    employer: 0.2
+  },
+  pcb: {
+    brackets: RESIDENT_TAX_BRACKETS,
+    individualRelief: 9000,
+    spouseRelief: 4000,
+    childRelief: 2000,
+    epfReliefCap: 4000,
+    rebateIncomeLimit: 35000,
+    rebate: 400,
+    nonResidentRate: 30,
+    // Monthly deductions below this are not made
+    minimumDeduction: 10
+  }
+}
+
+// SOCSO and EIS wage ceiling raised to RM6,000
+const RATES_2024_10 = {
+  ...RATES_2023,
+  version: '2024-10',
+  effectiveFrom: '2024-10-01',
+  socso: { ...RATES_2023.socso, wageCeiling: 6000 },
+  eis: { ...RATES_2023.eis, wageCeiling: 6000 }
+}
+
+// EPF becomes mandatory for foreign workers
+const RATES_2025_10 = {
+  ...RATES_2024_10,
+  version: '2025-10',
+  effectiveFrom: '2025-10-01',
+  epf: {
+    ...RATES_2024_10.epf,
+    [RESIDENCY.FOREIGN]: { employee: 2, employer: 2, employerAboveThreshold: 2, seniorEmployee: 2, seniorEmployer: 2 }
+  }
+}
+
+// Oldest first - add a new table rather than editing one already used for payroll
+export const RATE_TABLES = [RATES_2023, RATES_2024_10, RATES_2025_10]
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const roundUpToCents = (amount, cents) => Math.ceil(Math.round(amount * 100) / cents) * cents / 100
+
+const roundToCents = (amount, cents) => Math.round(Math.round(amount * 1000) / (cents * 10)) * cents / 100
+
+const toDateKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10)
+  const value = date?.toDate ? date.toDate() : new Date(date)
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+}
+
+export class StatutoryDeductions {
+
+  /**
+   * Rate table in force on a date
+   * @param {String|Date} date - Pay date
+   * @returns {Object} Rate table
+   */
+  static getRateTable(date) {
+    const dateKey = toDateKey(date || new Date())
+    return [...RATE_TABLES].reverse().find(table => table.effectiveFrom <= dateKey) || RATE_TABLES[0]
+  }
+
+  /**
+   * Employee overrides merged over the defaults
+   * @param {Object} employee - Employee record
+   * @returns {Object} Statutory profile
+   */
+  static getProfile(employee) {
+    const profile = { ...DEFAULT_STATUTORY_PROFILE, ...(employee?.statutory || {}) }
+    const voluntaryRate = Number(profile.epfEmployeeRate)
+    return {
+      ...profile,
+      epfEmployeeRate: profile.epfEmployeeRate === '' || profile.epfEmployeeRate === null || isNaN(voluntaryRate) ? null : voluntaryRate,
+      children: Math.max(0, parseInt(profile.children, 10) || 0),
+      taxResident: profile.taxResident !== false
+    }
+  }
+
+  /**
+   * Age on a date, or null when the date of birth is not recorded
+   */
+  static getAge(dateOfBirth, date) {
+    if (!dateOfBirth) return null
+    const [birthYear, birthMonth, birthDay] = toDateKey(dateOfBirth).split('-').map(Number)
+    const [year, month, day] = toDateKey(date).split('-').map(Number)
+    const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay)
+    return year - birthYear - (hadBirthday ? 0 : 1)
+  }
+
+  /**
+   * How many pay periods of this length make a year
+   * @param {String} startDate - YYYY-MM-DD
+   * @param {String} endDate - YYYY-MM-DD
+   */
+  static getPeriodsPerYear(startDate, endDate) {
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1
+    if (!days || days >= 28) return 12
+    return Math.max(12, Math.round(365 / days))
+  }
+
+  /**
+   * EPF on monthly wages - up to RM5,000 on the top of each RM20 band, up to RM20,000
+   * on the top of each RM100 band, then on actual wages; rounded up to the next ringgit
+   */
+  static calculateEPF(wages, profile, age, rates) {
+    const residencyRates = rates.epf[profile.residency] || rates.epf[RESIDENCY.CITIZEN]
+    const isSenior = age !== null && age >= rates.epf.seniorAge
+    const statutoryEmployeeRate = isSenior ? residencyRates.seniorEmployee : residencyRates.employee
+    const employeeRate = profile.epfEmployeeRate !== null
+      ? Math.max(statutoryEmployeeRate, profile.epfEmployeeRate)
+      : statutoryEmployeeRate
+    const employerRate = isSenior
+      ? residencyRates.seniorEmployer
+      : wages > rates.epf.employerRateThreshold ? residencyRates.employerAboveThreshold : residencyRates.employer
+
+    if (wages <= 10) return { wage: 0, employeeRate, employerRate, employee: 0, employer: 0 }
+    let wage = wages
+    if (wages <= 5000) wage = Math.ceil(wages / 20) * 20
+    else if (wages <= 20000) wage = Math.ceil(wages / 100) * 100
+
+    return {
+      wage,
+      employeeRate,
+      employerRate,
+      employee: Math.ceil(roundCurrency(wage * employeeRate / 100)),
+      employer: Math.ceil(roundCurrency(wage * employerRate / 100))
+    }
+  }
+
+  /**
+   * Band a monthly wage falls in for SOCSO and EIS - the published bands up to RM200,
+   * then RM100 bands charged on their midpoint, up to the ceiling
+   * @returns {Object|null} { wage, lowBand } - lowBand holds the scheduled amounts
+   */
+  static getContributionBand(wages, ceiling, rates) {
+    if (wages <= 0) return null
+    const lowBand = rates.lowWageBands.find(band => wages <= band.upTo)
+    if (lowBand) return { wage: lowBand.wage, lowBand }
+    return { wage: Math.min(Math.ceil(wages / 100) * 100, ceiling) - 50, lowBand: null }
+  }
+
+  /**
+   * SOCSO from the contribution schedule - on RM100 bands the combined contribution
+   * is rounded to 10 sen and the employer pays what the employee's share leaves
+   */
+  static calculateSOCSO(wages, profile, age, rates) {
+    const category = profile.residency === RESIDENCY.FOREIGN || (age !== null && age >= rates.socso.seniorAge)
+      ? SOCSO_CATEGORIES.SECOND
+      : SOCSO_CATEGORIES.FIRST
+    const band = this.getContributionBand(wages, rates.socso.wageCeiling, rates)
+    if (!band) return { category, wage: 0, employee: 0, employer: 0 }
+
+    if (band.lowBand) {
+      return category === SOCSO_CATEGORIES.FIRST
+        ? { category, wage: band.wage, employee: band.lowBand.socsoEmployee, employer: band.lowBand.socsoEmployer }
+        : { category, wage: band.wage, employee: 0, employer: band.lowBand.socsoSecondEmployer }
+    }
+
+    const categoryRates = rates.socso[category]
+    const employee = roundCurrency(band.wage * categoryRates.employee / 100)
+    const total = roundToCents(band.wage * (categoryRates.employee + categoryRates.employer) / 100, 10)
+    return { category, wage: band.wage, employee, employer: roundCurrency(total - employee) }
+  }
+
+  static calculateEIS(wages, profile, age, rates) {
+    const isCovered = profile.residency !== RESIDENCY.FOREIGN && (age === null || age < rates.eis.maxAge)
+    const band = isCovered ? this.getContributionBand(wages, rates.eis.wageCeiling, rates) : null
+    if (!band) return { wage: 0, employee: 0, employer: 0 }
+    if (band.lowBand) return { wage: band.wage, employee: band.lowBand.eis, employer: band.lowBand.eis }
+    return {
+      wage: band.wage,
+      employee: roundUpToCents(band.wage * rates.eis.employee / 100, 5),
+      employer: roundUpToCents(band.wage * rates.eis.employer / 100, 5)
+    }
+  }
+
+  /**
+   * Tax on annual chargeable income, before rebates
+   */
+  static getAnnualTax(chargeableIncome, brackets = RESIDENT_TAX_BRACKETS) {
+    let tax = 0
+    let lowerLimit = 0
+    for (const bracket of brackets) {
+      if (chargeableIncome <= lowerLimit) break
+      tax += (Math.min(chargeableIncome, bracket.upTo) - lowerLimit) * bracket.rate / 100
+      lowerLimit = bracket.upTo
+    }
+    return tax
+  }
+
+  /**
+   * Monthly tax deduction by the LHDN computerised calculation - the year's chargeable
+   * income is what was paid so far plus this month's wages for the rest of the year,
+   * less EPF relief and personal reliefs. The tax not yet deducted is spread over
+   * this and the remaining months. Non-residents pay the flat rate on their wages
+   * @param {Object} yearToDate - { month, wages, epf, pcb } - month is 1-12, the rest
+   *   total the year's earlier payslips
+   */
+  static calculatePCB(wages, epfEmployee, profile, rates, yearToDate = {}) {
+    const pcb = rates.pcb
+    if (!profile.taxResident) {
+      return { chargeableIncome: 0, annualTax: 0, amount: roundUpToCents(wages * pcb.nonResidentRate / 100, 5) }
+    }
+
+    const month = yearToDate.month || 1
+    const remainingMonths = 12 - month
+    const previousWages = Number(yearToDate.wages) || 0
+    const previousEpf = Math.min(Number(yearToDate.epf) || 0, pcb.epfReliefCap)
+    const previousPcb = Number(yearToDate.pcb) || 0
+
+    // EPF relief is capped for the year, so later months are estimated from what is left
+    const currentEpf = Math.min(epfEmployee, pcb.epfReliefCap - previousEpf)
+    const futureEpf = remainingMonths > 0
+      ? Math.min(currentEpf, (pcb.epfReliefCap - previousEpf - currentEpf) / remainingMonths)
+      : 0
+    const reliefs = pcb.individualRelief +
+      (profile.spouseRelief ? pcb.spouseRelief : 0) +
+      profile.children * pcb.childRelief
+    const chargeableIncome = Math.max(0,
+      (previousWages - previousEpf) + (wages - currentEpf) + (wages - futureEpf) * remainingMonths - reliefs)
+
+    let annualTax = this.getAnnualTax(chargeableIncome, pcb.brackets)
+    if (chargeableIncome <= pcb.rebateIncomeLimit) {
+      annualTax -= pcb.rebate * (profile.spouseRelief ? 2 : 1)
+    }
+    annualTax = Math.max(0, annualTax)
+
+    const monthly = roundUpToCents(Math.max(0, annualTax - previousPcb) / (remainingMonths + 1), 5)
+    return {
+      chargeableIncome: roundCurrency(chargeableIncome),
+      annualTax: roundCurrency(annualTax),
+      amount: monthly < pcb.minimumDeduction ? 0 : monthly
+    }
+  }
+
+  /**
+   * Employee and employer contributions and tax for one pay period
+   * @param {Number} grossPay - Gross pay for the period, commission included
+   * @param {Object} profile - From getProfile
+   * @param {Object} options - { payDate, periodsPerYear, yearToDate } - yearToDate totals the
+   *   year's earlier monthly payslips as { wages, epf, pcb }, or is null when there are none
+   * @returns {Object} Breakdown with employeeTotal, employerTotal and netPay
+   */
+  static calculate(grossPay, profile, { payDate = new Date(), periodsPerYear = 12, yearToDate = null } = {}) {
+    const rates = this.getRateTable(payDate)
+    const age = this.getAge(profile.dateOfBirth, payDate)
+    // Contribution schedules are monthly, so shorter periods are worked out as a month and scaled back
+    const scale = 12 / periodsPerYear
+    const monthlyWages = roundCurrency((Number(grossPay) || 0) / scale)
+
+    const epf = this.calculateEPF(monthlyWages, profile, age, rates)
+    const socso = this.calculateSOCSO(monthlyWages, profile, age, rates)
+    const eis = this.calculateEIS(monthlyWages, profile, age, rates)
+    // Only monthly pay runs with the year to date follow it - otherwise the wage is taxed as steady all year
+    const pcb = this.calculatePCB(monthlyWages, epf.employee, profile, rates, periodsPerYear === 12 && yearToDate
+      ? { ...yearToDate, month: Number(toDateKey(payDate).slice(5, 7)) }
+      : {})
+
+    const forPeriod = (amount) => roundCurrency(amount * scale)
+    const breakdown = {
+      rateVersion: rates.version,
+      age,
+      epf: { ...epf, employee: forPeriod(epf.employee), employer: forPeriod(epf.employer) },
+      socso: { ...socso, employee: forPeriod(socso.employee), employer: forPeriod(socso.employer) },
+      eis: { ...eis, employee: forPeriod(eis.employee), employer: forPeriod(eis.employer) },
+      pcb: { ...pcb, amount: forPeriod(pcb.amount) }
+    }
+
+    const employeeTotal = roundCurrency(breakdown.epf.employee + breakdown.socso.employee + breakdown.eis.employee + breakdown.pcb.amount)
+    const employerTotal = roundCurrency(breakdown.epf.employer + breakdown.socso.employer + breakdown.eis.employer)
+    return {
+      ...breakdown,
+      employeeTotal,
+      employerTotal,
+      netPay: roundCurrency((Number(grossPay) || 0) - employeeTotal)
+    }
+  }
+}
+
+export default StatutoryDeductions
@@ -0,0 +1,202 @@
+/**
+ * Stock Ledger
+ * Append-only stock_movements entries written next to every unitStock change,
+ * and rebuilding stock from them to find parts whose stock has drifted
+ */
+
+export const STOCK_MOVEMENTS_COLLECTION = 'stock_movements'
+
+export const MOVEMENT_TYPES = {
+  SALE: 'sale',
+  RETURN: 'return',
+  RECEIPT: 'receipt',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+  WRITE_OFF: 'write_off'
+}
+
+export const MOVEMENT_TYPE_LABELS = {
+  [MOVEMENT_TYPES.SALE]: 'Sale',
+  [MOVEMENT_TYPES.RETURN]: 'Return',
+  [MOVEMENT_TYPES.RECEIPT]: 'Receipt',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment',
+  [MOVEMENT_TYPES.TRANSFER]: 'Transfer',
+  [MOVEMENT_TYPES.WRITE_OFF]: 'Write-off'
+}
+
+// lastStockChange reasons already used across the app, and the movement each one is
+const REASON_TYPES = {
+  invoice_creation: MOVEMENT_TYPES.SALE,
+  invoice_deletion: MOVEMENT_TYPES.RETURN,
+  invoice_void: MOVEMENT_TYPES.RETURN,
+  credit_note: MOVEMENT_TYPES.RETURN,
+  goods_receipt: MOVEMENT_TYPES.RECEIPT,
+  write_off: MOVEMENT_TYPES.WRITE_OFF,
+  transfer: MOVEMENT_TYPES.TRANSFER
+}
+
+const TRANSFER_STAGE_REASONS = {
+  send: 'transfer_sent',
+  receive: 'transfer_received',
+  cancel: 'transfer_cancelled'
+}
+
+const toDate = (value) => {
+  if (!value) return null
+  return value.toDate ? value.toDate() : new Date(value)
+}
+
+export class StockLedger {
+
+  /**
+   * Movement type for a stock change reason
+   * Invoice edits and parts sales go either way, so the sign of the change decides
+   */
+  static getMovementType(reason, quantity) {
+    if (REASON_TYPES[reason]) return REASON_TYPES[reason]
+    if (reason === 'invoice_edit' || reason === 'sale') {
+      return quantity < 0 ? MOVEMENT_TYPES.SALE : MOVEMENT_TYPES.RETURN
+    }
+    return MOVEMENT_TYPES.ADJUSTMENT
+  }
+
+  /**
+   * Build a stock_movements document
+   * quantity is the change actually applied (stockAfter - stockBefore), so the ledger
+   * always adds up to the stored stock even when a deduction was clamped at zero
+   * @param {Object} params - { partId, partName, stockBefore, stockAfter, reason, type, reference, actor, date }
+   *   reference: ids and numbers of the document behind the change, e.g. { invoiceId, invoiceNumber }
+   * @returns {Object|null} Movement, or null when stock did not change
+   */
+  static buildMovement({ partId, partName = '', stockBefore, stockAfter, reason, type = null, reference = {}, actor = null, date = new Date() }) {
+    const before = Number(stockBefore) || 0
+    const after = Number(stockAfter) || 0
+    const quantity = after - before
+    if (quantity === 0) return null
+
+    return {
+      partId,
+      partName,
+      type: type || this.getMovementType(reason, quantity),
+      reason: reason || 'manual',
+      quantity,
+      stockBefore: before,
+      stockAfter: after,
+      reference,
+      createdBy: actor?.name || null,
+      createdById: actor?.id || null,
+      date
+    }
+  }
+
+  /**
+   * Ledger entry for one stage of a stock transfer
+   * Stock only changes place, so quantity is 0 and the part's total is unchanged;
+   * what moved and between which locations is kept in transfer
+   * @param {Object} params - { part, transfer, quantity, stage, actor, date }
+   *   transfer: { id, transferNumber, fromLocationId, fromLocationName, toLocationId, toLocationName }
+   *   stage: 'send' | 'receive' | 'cancel'
+   * @returns {Object} Movement
+   */
+  static buildTransferMovement({ part, transfer, quantity, stage, actor = null, date = new Date() }) {
+    const stock = Number(part.unitStock) || 0
+    return {
+      partId: part.id,
+      partName: part.namaProduk || '',
+      type: MOVEMENT_TYPES.TRANSFER,
+      reason: TRANSFER_STAGE_REASONS[stage],
+      quantity: 0,
+      stockBefore: stock,
+      stockAfter: stock,
+      transfer: {
+        stage,
+        quantity,
+        fromLocationId: transfer.fromLocationId,
+        fromLocationName: transfer.fromLocationName || '',
+        toLocationId: transfer.toLocationId,
+        toLocationName: transfer.toLocationName || ''
+      },
+      reference: { transferId: transfer.id, transferNumber: transfer.transferNumber || '' },
+      createdBy: actor?.name || null,
+      createdById: actor?.id || null,
+      date
+    }
+  }
+
+  /**
+   * Opening movement for a part with no ledger history yet
+   * Brings its current stock into the ledger so later movements rebuild correctly
+   */
+  static buildOpeningMovement(part, actor = null, date = new Date()) {
+    return this.buildMovement({
+      partId: part.id,
+      partName: part.namaProduk || '',
+      stockBefore: 0,
+      stockAfter: part.unitStock,
+      reason: 'opening_balance',
+      type: MOVEMENT_TYPES.ADJUSTMENT,
+      actor,
+      date
+    })
+  }
+
+  /**
+   * Movements of one part, newest first
+   */
+  static getPartHistory(movements = [], partId) {
+    return movements
+      .filter(movement => movement.partId === partId)
+      .sort((a, b) => (toDate(b.date)?.getTime() || 0) - (toDate(a.date)?.getTime() || 0))
+  }
+
+  /**
+   * Stock per part from the ledger alone
+   * @returns {Map} partId -> { stock, movementCount, lastMovementAt }
+   */
+  static rebuildStock(movements = []) {
+    const stock = new Map()
+    for (const movement of movements) {
+      const entry = stock.get(movement.partId) || { stock: 0, movementCount: 0, lastMovementAt: null }
+      const date = toDate(movement.date)
+      entry.stock += Number(movement.quantity) || 0
+      entry.movementCount += 1
+      if (date && (!entry.lastMovementAt || date > entry.lastMovementAt)) entry.lastMovementAt = date
+      stock.set(movement.partId, entry)
+    }
+    return stock
+  }
+
+  /**
+   * Compare stored stock with the stock rebuilt from the ledger
+   * Parts with no movements are reported as untracked rather than drifted
+   * @returns {Object} { drifted: [{ partId, partName, sku, recordedStock, ledgerStock, drift }], untracked: [part] }
+   */
+  static detectDrift(parts = [], movements = []) {
+    const ledger = this.rebuildStock(movements)
+    const drifted = []
+    const untracked = []
+
+    for (const part of parts) {
+      const entry = ledger.get(part.id)
+      if (!entry) {
+        if ((Number(part.unitStock) || 0) !== 0) untracked.push(part)
+        continue
+      }
+      const recordedStock = Number(part.unitStock) || 0
+      if (entry.stock !== recordedStock) {
+        drifted.push({
+          partId: part.id,
+          partName: part.namaProduk || '',
+          sku: part.kodProduk || '',
+          recordedStock,
+          ledgerStock: entry.stock,
+          drift: recordedStock - entry.stock
+        })
+      }
+    }
+
+    return { drifted, untracked }
+  }
+}
+
+export default StockLedger
@@ -0,0 +1,254 @@
+/**
+ * Stock Locations
+ * Where stock is kept (workshop, store room) and transfers between locations
+ * unitStock stays the part's total on hand. Other locations' quantities are kept in
+ * stockByLocation and stock on its way between locations in stockInTransit; the main
+ * location holds the rest, so sales, deliveries and stock-takes that only change
+ * unitStock act on the main location. Their writes go through getStockFields, which
+ * takes what the main location can't cover from the other locations
+ */
+
+export const STOCK_TRANSFERS_COLLECTION = 'stock_transfers'
+
+export const MAIN_LOCATION_ID = 'main'
+
+export const DEFAULT_LOCATION_SETTINGS = {
+  locations: [{ id: MAIN_LOCATION_ID, name: 'Workshop' }]
+}
+
+export const TRANSFER_STATUSES = {
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+}
+
+export const TRANSFER_STATUS_LABELS = {
+  [TRANSFER_STATUSES.IN_TRANSIT]: 'In Transit',
+  [TRANSFER_STATUSES.RECEIVED]: 'Received',
+  [TRANSFER_STATUSES.CANCELLED]: 'Cancelled'
+}
+
+// Parts one transfer can move - each is a part write and a ledger entry in the same transaction
+export const MAX_TRANSFER_LINES = 200
+
+export class StockLocations {
+
+  /**
+   * settings/stock_locations with the main location always present and first
+   * @returns {Object} { locations: [{ id, name }] }
+   */
+  static normalizeSettings(data) {
+    const saved = Array.isArray(data?.locations) ? data.locations.filter(location => location?.id) : []
+    const main = saved.find(location => location.id === MAIN_LOCATION_ID) || DEFAULT_LOCATION_SETTINGS.locations[0]
+    return {
+      locations: [
+        { id: main.id, name: main.name || DEFAULT_LOCATION_SETTINGS.locations[0].name },
+        ...saved
+          .filter(location => location.id !== MAIN_LOCATION_ID)
+          .map(location => ({ id: location.id, name: location.name || location.id }))
+      ]
+    }
+  }
+
+  static hasMultipleLocations(settings) {
+    return (settings?.locations?.length || 0) > 1
+  }
+
+  static getLocationName(settings, locationId) {
+    return settings?.locations?.find(location => location.id === locationId)?.name || locationId || ''
+  }
+
+  /**
+   * Stable id for a new location, from its name
+   */
+  static createLocationId(name, locations = []) {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'location'
+    const taken = new Set(locations.map(location => location.id))
+    let id = base
+    for (let i = 2; taken.has(id); i++) id = `${base}-${i}`
+    return id
+  }
+
+  /**
+   * @param {Array} parts - Current parts, to stop a location that still holds stock being removed
+   * @param {Array} openTransfers - In-transit transfers, same reason
+   * @returns {Array} Error messages
+   */
+  static validateSettings(settings, parts = [], openTransfers = []) {
+    const errors = []
+    const names = new Set()
+    for (const location of settings.locations) {
+      const name = location.name?.trim()
+      if (!name) {
+        errors.push('Every location needs a name')
+      } else if (names.has(name.toLowerCase())) {
+        errors.push(`There are two locations called ${name}`)
+      }
+      names.add(name?.toLowerCase())
+    }
+    if (!settings.locations.some(location => location.id === MAIN_LOCATION_ID)) {
+      errors.push('The main location cannot be removed')
+    }
+
+    const kept = new Set(settings.locations.map(location => location.id))
+    const removedWithStock = new Set()
+    for (const part of parts) {
+      for (const [locationId, quantity] of Object.entries(part.stockByLocation || {})) {
+        if (!kept.has(locationId) && Number(quantity) > 0) removedWithStock.add(locationId)
+      }
+    }
+    for (const transfer of openTransfers) {
+      if (!kept.has(transfer.fromLocationId)) removedWithStock.add(transfer.fromLocationId)
+      if (!kept.has(transfer.toLocationId)) removedWithStock.add(transfer.toLocationId)
+    }
+    removedWithStock.forEach(locationId => {
+      errors.push(`${locationId} still holds stock or has transfers in transit - move its stock out before removing it`)
+    })
+
+    return errors
+  }
+
+  static getInTransit(part) {
+    return Math.max(0, Number(part?.stockInTransit) || 0)
+  }
+
+  /**
+   * Quantity at one location - the main location's is what the other locations and transit don't hold
+   * Only negative when unitStock was cut below the stock in transit, which getStockFields can't touch
+   */
+  static getLocationStock(part, locationId) {
+    const stockByLocation = part?.stockByLocation || {}
+    if (locationId !== MAIN_LOCATION_ID) {
+      return Number(stockByLocation[locationId]) || 0
+    }
+    const elsewhere = Object.entries(stockByLocation)
+      .filter(([id]) => id !== MAIN_LOCATION_ID)
+      .reduce((sum, [, quantity]) => sum + (Number(quantity) || 0), 0)
+    return (Number(part?.unitStock) || 0) - elsewhere - this.getInTransit(part)
+  }
+
+  /**
+   * Part fields for a new unitStock
+   * A deduction comes out of the main location first; once that is empty the rest comes
+   * out of the other locations in turn, so no location is left below zero
+   * @param {Object} part - Part as stored
+   * @param {Number} newStock - New total on hand
+   * @returns {Object} { unitStock } plus stockByLocation when other locations had to give stock up
+   */
+  static getStockFields(part, newStock) {
+    const shortfall = -this.getLocationStock({ ...part, unitStock: newStock }, MAIN_LOCATION_ID)
+    if (shortfall <= 0) return { unitStock: newStock }
+
+    const stockByLocation = { ...(part?.stockByLocation || {}) }
+    let remaining = shortfall
+    for (const [locationId, quantity] of Object.entries(stockByLocation)) {
+      if (remaining <= 0) break
+      if (locationId === MAIN_LOCATION_ID) continue
+      const taken = Math.min(remaining, Math.max(0, Number(quantity) || 0))
+      stockByLocation[locationId] = (Number(quantity) || 0) - taken
+      remaining -= taken
+    }
+    return { unitStock: newStock, stockByLocation }
+  }
+
+  /**
+   * @returns {Array} [{ locationId, name, quantity }] in settings order
+   */
+  static getStockByLocation(part, settings) {
+    return settings.locations.map(location => ({
+      locationId: location.id,
+      name: location.name,
+      quantity: this.getLocationStock(part, location.id)
+    }))
+  }
+
+  /**
+   * Stock that can be used right now - at one location, or anywhere when locationId is null
+   * Stock in transit is not available at either end
+   */
+  static getAvailableStock(part, locationId = null) {
+    const available = locationId
+      ? this.getLocationStock(part, locationId)
+      : (Number(part?.unitStock) || 0) - this.getInTransit(part)
+    return Math.max(0, available)
+  }
+
+  /**
+   * Part fields after one stage of a transfer line
+   * send: leaves the from location into transit; receive: arrives at the to location;
+   * cancel: goes back to the from location
+   * @param {String} stage - 'send' | 'receive' | 'cancel'
+   * @returns {Object} { stockByLocation, stockInTransit }
+   */
+  static applyTransferStage(part, { fromLocationId, toLocationId, quantity }, stage) {
+    const stockByLocation = { ...(part.stockByLocation || {}) }
+    const adjust = (locationId, change) => {
+      // The main location is derived from unitStock, so only the others are stored
+      if (locationId === MAIN_LOCATION_ID) return
+      stockByLocation[locationId] = (Number(stockByLocation[locationId]) || 0) + change
+    }
+
+    let stockInTransit = this.getInTransit(part)
+    if (stage === 'send') {
+      adjust(fromLocationId, -quantity)
+      stockInTransit += quantity
+    } else if (stage === 'receive') {
+      adjust(toLocationId, quantity)
+      stockInTransit = Math.max(0, stockInTransit - quantity)
+    } else if (stage === 'cancel') {
+      adjust(fromLocationId, quantity)
+      stockInTransit = Math.max(0, stockInTransit - quantity)
+    } else {
+      throw new Error(`Unknown transfer stage: ${stage}`)
+    }
+    return { stockByLocation, stockInTransit }
+  }
+
+  /**
+   * Check a transfer against current stock and build its lines
+   * Quantities for the same part are added together
+   * @param {Object} transfer - { fromLocationId, toLocationId, lines: [{ partId, quantity }] }
+   * @param {Array} parts - Current parts
+   * @returns {Object} { lines: [{ partId, sku, partName, quantity }], errors }
+   */
+  static buildTransferLines(transfer, parts = [], settings) {
+    const errors = []
+    const { fromLocationId, toLocationId } = transfer
+    const locationIds = new Set(settings.locations.map(location => location.id))
+    if (!locationIds.has(fromLocationId) || !locationIds.has(toLocationId)) {
+      errors.push('Choose where the stock is moving from and to')
+    } else if (fromLocationId === toLocationId) {
+      errors.push('Stock must move to a different location')
+    }
+
+    const quantities = new Map()
+    for (const line of transfer.lines || []) {
+      const quantity = parseInt(line.quantity) || 0
+      if (!line.partId || quantity <= 0) continue
+      quantities.set(line.partId, (quantities.get(line.partId) || 0) + quantity)
+    }
+    if (quantities.size === 0) {
+      errors.push('Add at least one part with a quantity')
+    } else if (quantities.size > MAX_TRANSFER_LINES) {
+      errors.push(`A transfer can move up to ${MAX_TRANSFER_LINES} parts`)
+    }
+
+    const lines = []
+    for (const [partId, quantity] of quantities) {
+      const part = parts.find(p => p.id === partId)
+      if (!part) {
+        errors.push(`Part ${partId} not found`)
+        continue
+      }
+      const available = this.getAvailableStock(part, fromLocationId)
+      if (quantity > available) {
+        errors.push(`Only ${available} of ${part.namaProduk} at ${this.getLocationName(settings, fromLocationId)}`)
+      }
+      lines.push({ partId, sku: part.kodProduk || '', partName: part.namaProduk || '', quantity })
+    }
+
+    return { lines, errors }
+  }
+}
+
+export default StockLocations
@@ -12,6 +12,42 @@ import {
 } from '../types/InvoiceTypes.js'
 
 export class StockReconciliation {
+
+  /**
+   * Get the inventory-linked items of an invoice
+   * Legacy invoices carry `items`; customer invoices carry `partsOrdered`
+   * rows where only rows picked from inventory have a `partId`
+   * @param {Object} invoice - Legacy or customer invoice
+   * @returns {Array} Items with partId, quantity and part details
+   */
+  static getInventoryItems(invoice) {
+    if (!invoice) return []
+    if (Array.isArray(invoice.items)) return invoice.items
+
+    // Merge rows that reference the same part so lookups by partId stay correct
+    const itemsByPart = new Map()
+    for (const row of invoice.partsOrdered || []) {
+      if (!row.partId) continue // Free-text rows never touch stock
+
+      const quantity = Number(row.quantity) || 0
+      const existing = itemsByPart.get(row.partId)
+      if (existing) {
+        existing.quantity += quantity
+        existing.totalPrice += Number(row.total) || 0
+      } else {
+        itemsByPart.set(row.partId, {
+          partId: row.partId,
+          kodProduk: row.sku || '',
+          namaProduk: row.partName || '',
+          quantity,
+          finalPrice: Number(row.pricePerUnit) || 0,
+          totalPrice: Number(row.total) || 0
+        })
+      }
+    }
+
+    return Array.from(itemsByPart.values())
+  }
   
   /**
    * Calculate stock changes between original and edited invoice
@@ -373,7 +409,10 @@ export class StockReconciliation {
    * @returns {Object} Complete analysis
    */
   static analyzeInvoiceEdit(originalInvoice, modifiedInvoice, parts) {
-    const differences = this.calculateDifferences(originalInvoice.items, modifiedInvoice.items)
+    const differences = this.calculateDifferences(
+      this.getInventoryItems(originalInvoice),
+      this.getInventoryItems(modifiedInvoice)
+    )
     const stockImpact = this.calculateNetStockImpact(differences)
     const validation = this.validateStockAvailability(stockImpact, parts)
     const stockUpdates = this.generateStockUpdates(stockImpact, parts)
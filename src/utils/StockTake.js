@@ -0,0 +1,163 @@
+/**
+ * Stock Take
+ * Cycle count sessions: a frozen snapshot of expected stock, counted quantities,
+ * variances with their value impact, and the adjustments posted on approval
+ */
+
+import Costing from './Costing'
+
+export const STOCK_TAKE_STATUSES = {
+  COUNTING: 'counting',
+  SUBMITTED: 'submitted',
+  POSTED: 'posted',
+  CANCELLED: 'cancelled'
+}
+
+export const STOCK_TAKE_STATUS_LABELS = {
+  [STOCK_TAKE_STATUSES.COUNTING]: 'Counting',
+  [STOCK_TAKE_STATUSES.SUBMITTED]: 'Awaiting Approval',
+  [STOCK_TAKE_STATUSES.POSTED]: 'Posted',
+  [STOCK_TAKE_STATUSES.CANCELLED]: 'Cancelled'
+}
+
+export const STOCK_TAKE_SCOPES = {
+  ALL: 'all',
+  CATEGORY: 'category',
+  BIN: 'bin'
+}
+
+export const UNASSIGNED_SCOPE_VALUE = '(none)'
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const isCounted = (line) => line.countedQuantity !== '' && line.countedQuantity != null
+
+export class StockTake {
+
+  static getScopeValue(part, scopeType) {
+    const value = scopeType === STOCK_TAKE_SCOPES.BIN ? part.binLocation : part.category
+    return value?.trim() || UNASSIGNED_SCOPE_VALUE
+  }
+
+  /**
+   * Category or bin values to choose a count scope from
+   * @returns {Array} [{ value, partCount }] sorted by value
+   */
+  static getScopeOptions(parts = [], scopeType) {
+    const counts = new Map()
+    for (const part of parts) {
+      const value = this.getScopeValue(part, scopeType)
+      counts.set(value, (counts.get(value) || 0) + 1)
+    }
+    return [...counts.entries()]
+      .map(([value, partCount]) => ({ value, partCount }))
+      .sort((a, b) => a.value.localeCompare(b.value))
+  }
+
+  /**
+   * Freeze expected stock for the parts in scope
+   * Lines are sorted by bin then code so the sheet follows the shelves
+   * @param {Array} parts - Current parts
+   * @param {Object} scope - { scopeType, scopeValue }
+   * @returns {Array} Lines with expectedStock, unitCost and an empty countedQuantity
+   */
+  static buildSnapshot(parts = [], { scopeType = STOCK_TAKE_SCOPES.ALL, scopeValue = '' } = {}) {
+    return parts
+      .filter(part => scopeType === STOCK_TAKE_SCOPES.ALL || this.getScopeValue(part, scopeType) === scopeValue)
+      .filter(part => !String(part.id).startsWith('temp'))
+      .map(part => ({
+        partId: part.id,
+        sku: part.kodProduk || '',
+        partName: part.namaProduk || '',
+        category: part.category || '',
+        binLocation: part.binLocation || '',
+        expectedStock: Number(part.unitStock) || 0,
+        unitCost: Costing.getPartCost(part) ?? 0,
+        countedQuantity: null
+      }))
+      .sort((a, b) => a.binLocation.localeCompare(b.binLocation) || a.sku.localeCompare(b.sku))
+  }
+
+  /**
+   * @returns {Object} Line with variance and valueImpact (null while uncounted)
+   */
+  static getLineVariance(line) {
+    if (!isCounted(line)) return { ...line, variance: null, valueImpact: null }
+    const variance = (Number(line.countedQuantity) || 0) - (Number(line.expectedStock) || 0)
+    return { ...line, variance, valueImpact: roundCurrency(variance * (Number(line.unitCost) || 0)) }
+  }
+
+  /**
+   * Totals for a session's lines
+   * @returns {Object} { lineCount, countedCount, varianceLines, unitsGained, unitsLost, valueGained, valueLost, netValue }
+   */
+  static summarize(lines = []) {
+    const summary = { lineCount: lines.length, countedCount: 0, varianceLines: 0, unitsGained: 0, unitsLost: 0, valueGained: 0, valueLost: 0, netValue: 0 }
+    for (const line of lines.map(line => this.getLineVariance(line))) {
+      if (line.variance === null) continue
+      summary.countedCount += 1
+      if (line.variance === 0) continue
+      summary.varianceLines += 1
+      if (line.variance > 0) {
+        summary.unitsGained += line.variance
+        summary.valueGained += line.valueImpact
+      } else {
+        summary.unitsLost -= line.variance
+        summary.valueLost -= line.valueImpact
+      }
+    }
+    summary.valueGained = roundCurrency(summary.valueGained)
+    summary.valueLost = roundCurrency(summary.valueLost)
+    summary.netValue = roundCurrency(summary.valueGained - summary.valueLost)
+    return summary
+  }
+
+  /**
+   * @returns {Array} Error messages (empty when the count can go for approval)
+   */
+  static validateForSubmission(session) {
+    const errors = []
+    if (session.status !== STOCK_TAKE_STATUSES.COUNTING) {
+      errors.push('Only a stock-take that is being counted can be submitted')
+    }
+    const lines = session.lines || []
+    if (lines.length === 0) errors.push('This stock-take has no parts to count')
+    const uncounted = lines.filter(line => !isCounted(line))
+    if (uncounted.length > 0) errors.push(`${uncounted.length} part(s) have not been counted yet`)
+    if (lines.some(line => isCounted(line) && (isNaN(Number(line.countedQuantity)) || Number(line.countedQuantity) < 0))) {
+      errors.push('Counted quantities must be zero or more')
+    }
+    return errors
+  }
+
+  /**
+   * Stock changes to post for an approved count
+   * The variance is applied to stock as it is now, so sales and receipts made
+   * while counting (after the snapshot) are kept
+   * @param {Object} session - Stock-take with counted lines
+   * @param {Array} parts - Current parts, read fresh when posting
+   * @returns {Array} [{ partId, partName, variance, valueImpact, stockBefore, newStock }] - lines with a variance only
+   */
+  static buildAdjustments(session, parts = []) {
+    return (session.lines || [])
+      .map(line => this.getLineVariance(line))
+      .filter(line => line.variance)
+      .map(line => {
+        const part = parts.find(p => p.id === line.partId)
+        if (!part) {
+          throw new Error(`${line.partName || line.partId} is no longer in inventory`)
+        }
+        const stockBefore = Number(part.unitStock) || 0
+        return {
+          partId: line.partId,
+          partName: line.partName,
+          variance: line.variance,
+          valueImpact: line.valueImpact,
+          stockBefore,
+          newStock: Math.max(0, stockBefore + line.variance)
+        }
+      })
+  }
+}
+
+export default StockTake
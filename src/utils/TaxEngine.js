@@ -0,0 +1,238 @@
+/**
+ * Tax Engine
+ * Pure functions for SST / service tax on invoice and quotation lines
+ */
+
+export const TAX_APPLIES_TO = {
+  PARTS: 'parts',
+  LABOR: 'labor',
+  ALL: 'all'
+}
+
+// Workshop starts untaxed until the owner enables tax in Tax Settings
+export const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  pricesIncludeTax: false,
+  defaultPartsTaxCode: 'SST',
+  defaultLaborTaxCode: 'SVC',
+  codes: [
+    { code: 'SST', label: 'Sales Tax', rate: 10, appliesTo: TAX_APPLIES_TO.PARTS },
+    { code: 'SVC', label: 'Service Tax', rate: 8, appliesTo: TAX_APPLIES_TO.LABOR },
+    { code: 'EX', label: 'Exempt', rate: 0, appliesTo: TAX_APPLIES_TO.ALL }
+  ]
+}
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+export class TaxEngine {
+
+  /**
+   * Merge stored settings over the defaults
+   * @param {Object} settings - Settings document (may be partial or null)
+   * @returns {Object} Complete tax settings
+   */
+  static normalizeSettings(settings) {
+    return {
+      ...DEFAULT_TAX_SETTINGS,
+      ...(settings || {}),
+      codes: settings?.codes?.length ? settings.codes : DEFAULT_TAX_SETTINGS.codes
+    }
+  }
+
+  /**
+   * Look up a tax code
+   * @param {Object} settings - Tax settings
+   * @param {String} code - Tax code
+   * @returns {Object|null} Tax code definition
+   */
+  static getTaxCode(settings, code) {
+    return (settings?.codes || []).find(taxCode => taxCode.code === code) || null
+  }
+
+  /**
+   * Tax fields for a new line - the rate is snapshotted so later rate changes
+   * do not alter saved documents
+   * @param {Object} settings - Tax settings
+   * @param {String} lineType - 'parts' or 'labor'
+   * @returns {Object} { taxCode, taxRate }
+   */
+  static getDefaultLineTax(settings, lineType) {
+    if (!settings?.enabled) return { taxCode: null, taxRate: 0 }
+
+    const code = lineType === TAX_APPLIES_TO.LABOR ? settings.defaultLaborTaxCode : settings.defaultPartsTaxCode
+    const taxCode = this.getTaxCode(settings, code)
+    return taxCode ? { taxCode: taxCode.code, taxRate: Number(taxCode.rate) || 0 } : { taxCode: null, taxRate: 0 }
+  }
+
+  /**
+   * Tax fields when a line's tax code is changed
+   * @param {Object} settings - Tax settings
+   * @param {String} code - Selected tax code
+   * @returns {Object} { taxCode, taxRate }
+   */
+  static getLineTax(settings, code) {
+    const taxCode = this.getTaxCode(settings, code)
+    return taxCode ? { taxCode: taxCode.code, taxRate: Number(taxCode.rate) || 0 } : { taxCode: null, taxRate: 0 }
+  }
+
+  /**
+   * Calculate document totals with a percentage discount and per-line tax
+   * The discount is spread over every line before tax is worked out
+   * @param {Object} params
+   * @param {Array} params.partsOrdered - Rows with total, taxCode, taxRate
+   * @param {Array} params.laborCharges - Rows with amount, taxCode, taxRate
+   * @param {Number} params.discount - Discount percentage
+   * @param {Boolean} params.pricesIncludeTax - Line prices already include tax
+   * @param {Object} params.settings - Tax settings used for code labels
+   * @returns {Object} Totals with taxBreakdown and taxTotal
+   */
+  static calculateTotals({ partsOrdered = [], laborCharges = [], discount = 0, pricesIncludeTax = false, settings = null }) {
+    const partsTotal = roundCurrency(partsOrdered.reduce((sum, part) => sum + (Number(part.total) || 0), 0))
+    const laborTotal = roundCurrency(laborCharges.reduce((sum, labor) => sum + (Number(labor.amount) || 0), 0))
+    const subtotal = roundCurrency(partsTotal + laborTotal)
+    const discountRate = (Number(discount) || 0) / 100
+    const discountAmount = roundCurrency(subtotal * discountRate)
+
+    const lines = [
+      ...partsOrdered.map(part => ({ amount: Number(part.total) || 0, taxCode: part.taxCode, taxRate: part.taxRate })),
+      ...laborCharges.map(labor => ({ amount: Number(labor.amount) || 0, taxCode: labor.taxCode, taxRate: labor.taxRate }))
+    ]
+
+    // Group taxable amounts by code
+    const breakdownByCode = new Map()
+    for (const line of lines) {
+      const rate = Number(line.taxRate) || 0
+      if (!line.taxCode) continue
+
+      const netOfDiscount = line.amount * (1 - discountRate)
+      const taxAmount = pricesIncludeTax
+        ? netOfDiscount * rate / (100 + rate)
+        : netOfDiscount * rate / 100
+      const taxableAmount = pricesIncludeTax ? netOfDiscount - taxAmount : netOfDiscount
+
+      const key = `${line.taxCode}@${rate}`
+      const entry = breakdownByCode.get(key) || {
+        code: line.taxCode,
+        label: this.getTaxCode(settings, line.taxCode)?.label || line.taxCode,
+        rate,
+        taxableAmount: 0,
+        taxAmount: 0
+      }
+      entry.taxableAmount += taxableAmount
+      entry.taxAmount += taxAmount
+      breakdownByCode.set(key, entry)
+    }
+
+    const taxBreakdown = Array.from(breakdownByCode.values()).map(entry => ({
+      ...entry,
+      taxableAmount: roundCurrency(entry.taxableAmount),
+      taxAmount: roundCurrency(entry.taxAmount)
+    }))
+    const taxTotal = roundCurrency(taxBreakdown.reduce((sum, entry) => sum + entry.taxAmount, 0))
+    const total = roundCurrency(subtotal - discountAmount + (pricesIncludeTax ? 0 : taxTotal))
+
+    return {
+      partsTotal,
+      laborTotal,
+      subtotal,
+      discountAmount,
+      taxBreakdown,
+      taxTotal,
+      pricesIncludeTax: !!pricesIncludeTax,
+      total
+    }
+  }
+
+  /**
+   * Tax settings to use when recalculating a saved document
+   * Labels come from the document's own breakdown so old documents keep their wording
+   * @param {Object} document - Saved invoice or quotation
+   * @returns {Object} Settings with codes built from the saved breakdown
+   */
+  static getDocumentSettings(document) {
+    return {
+      ...DEFAULT_TAX_SETTINGS,
+      enabled: (document?.taxBreakdown || []).length > 0,
+      pricesIncludeTax: !!document?.pricesIncludeTax,
+      codes: (document?.taxBreakdown || []).map(entry => ({
+        code: entry.code,
+        label: entry.label,
+        rate: entry.rate,
+        appliesTo: TAX_APPLIES_TO.ALL
+      }))
+    }
+  }
+
+  /**
+   * Combine the saved tax breakdowns of many documents, grouped by code and rate
+   * @param {Array} documents - Invoices or quotations with taxBreakdown
+   * @returns {Array} [{ code, label, rate, taxableAmount, taxAmount, documentCount }]
+   */
+  static summarizeTax(documents = []) {
+    const summary = new Map()
+
+    for (const document of documents) {
+      for (const entry of document.taxBreakdown || []) {
+        const key = `${entry.code}@${entry.rate}`
+        const row = summary.get(key) || {
+          code: entry.code,
+          label: entry.label,
+          rate: entry.rate,
+          taxableAmount: 0,
+          taxAmount: 0,
+          documentCount: 0
+        }
+        row.taxableAmount += Number(entry.taxableAmount) || 0
+        row.taxAmount += Number(entry.taxAmount) || 0
+        row.documentCount += 1
+        summary.set(key, row)
+      }
+    }
+
+    return Array.from(summary.values()).map(row => ({
+      ...row,
+      taxableAmount: roundCurrency(row.taxableAmount),
+      taxAmount: roundCurrency(row.taxAmount)
+    }))
+  }
+
+  /**
+   * Validate tax settings before saving
+   * @param {Object} settings - Tax settings
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateSettings(settings) {
+    const errors = []
+    const seen = new Set()
+
+    for (const taxCode of settings.codes || []) {
+      const code = (taxCode.code || '').trim()
+      if (!code) {
+        errors.push('Every tax code needs a code')
+        continue
+      }
+      if (seen.has(code)) {
+        errors.push(`Tax code ${code} is defined more than once`)
+      }
+      seen.add(code)
+
+      const rate = Number(taxCode.rate)
+      if (Number.isNaN(rate) || rate < 0 || rate > 100) {
+        errors.push(`Tax code ${code} must have a rate between 0 and 100`)
+      }
+    }
+
+    if (settings.enabled) {
+      if (settings.defaultPartsTaxCode && !seen.has(settings.defaultPartsTaxCode)) {
+        errors.push('Default parts tax code does not exist')
+      }
+      if (settings.defaultLaborTaxCode && !seen.has(settings.defaultLaborTaxCode)) {
+        errors.push('Default labour tax code does not exist')
+      }
+    }
+
+    return errors
+  }
+}
+
+export default TaxEngine
@@ -0,0 +1,244 @@
+/**
+ * Vehicles
+ * Vehicle registry rules: plate keys, ownership changes, mileage readings
+ * and the service timeline built from quotations, invoices and job cards
+ */
+
+export const GEARBOX_TYPES = {
+  AUTOMATIC: 'automatic',
+  MANUAL: 'manual',
+  CVT: 'cvt',
+  DCT: 'dct',
+  AMT: 'amt'
+}
+
+export const GEARBOX_LABELS = {
+  [GEARBOX_TYPES.AUTOMATIC]: 'Automatic (AT)',
+  [GEARBOX_TYPES.MANUAL]: 'Manual (MT)',
+  [GEARBOX_TYPES.CVT]: 'CVT',
+  [GEARBOX_TYPES.DCT]: 'Dual Clutch (DCT)',
+  [GEARBOX_TYPES.AMT]: 'Automated Manual (AMT)'
+}
+
+export const TIMELINE_TYPES = {
+  REPAIR_ORDER: 'repair_order',
+  QUOTATION: 'quotation',
+  INVOICE: 'invoice'
+}
+
+const toDate = (value) => {
+  if (!value) return null
+  return value.toDate ? value.toDate() : new Date(value)
+}
+
+export class Vehicles {
+
+  /**
+   * Registry key for a plate - "wxy 1234" and "WXY-1234" are the same car
+   * Also used as the vehicles document ID so a plate can only be registered once
+   */
+  static getPlateKey(plate) {
+    return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+  }
+
+  // Plate as printed: upper case with single spaces
+  static formatPlate(plate) {
+    return String(plate || '').toUpperCase().trim().replace(/\s+/g, ' ')
+  }
+
+  /**
+   * Common spellings of a plate, for looking up documents that stored it as typed
+   * "WXY 1234" also finds "WXY1234", "WXY-1234" and "wxy 1234"
+   * @returns {Array} Distinct spellings (well under Firestore's 30-value "in" limit)
+   */
+  static getPlateVariants(plate) {
+    const key = this.getPlateKey(plate)
+    if (!key) return []
+
+    const spellings = [
+      this.formatPlate(plate),
+      key,
+      key.replace(/^([A-Z]+)(\d+)/, '$1 $2'),
+      key.replace(/^([A-Z]+)(\d+)/, '$1-$2')
+    ]
+    return [...new Set(spellings.flatMap(spelling => [spelling, spelling.toLowerCase()]))]
+  }
+
+  /**
+   * Validate vehicle details before saving
+   * @param {Object} vehicleData - Vehicle form data
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validate(vehicleData) {
+    const errors = []
+
+    if (!this.getPlateKey(vehicleData.plate)) {
+      errors.push('Plate number is required')
+    }
+    // VINs are 17 characters and never use I, O or Q
+    if (vehicleData.vin && !/^[A-HJ-NPR-Z0-9]{17}$/.test(vehicleData.vin.trim().toUpperCase())) {
+      errors.push('VIN must be 17 letters and digits (no I, O or Q)')
+    }
+    if (vehicleData.year && !/^(19|20)\d{2}$/.test(String(vehicleData.year).trim())) {
+      errors.push('Year must be a four-digit year')
+    }
+    if (vehicleData.gearboxType && !Object.values(GEARBOX_TYPES).includes(vehicleData.gearboxType)) {
+      errors.push('Unknown gearbox type')
+    }
+
+    return errors
+  }
+
+  /**
+   * New registry entry
+   * @param {Object} vehicleData - { plate, make, model, year, vin, gearboxType, notes }
+   * @param {Object} owner - Customer { id, name } (optional)
+   * @returns {Object} Vehicle document data
+   */
+  static buildVehicle(vehicleData, owner = null, date = new Date()) {
+    return {
+      plate: this.formatPlate(vehicleData.plate),
+      plateKey: this.getPlateKey(vehicleData.plate),
+      make: vehicleData.make || '',
+      model: vehicleData.model || '',
+      year: vehicleData.year ? String(vehicleData.year).trim() : '',
+      vin: (vehicleData.vin || '').trim().toUpperCase(),
+      gearboxType: vehicleData.gearboxType || '',
+      notes: vehicleData.notes || '',
+      customerId: owner?.id || null,
+      customerName: owner?.name || '',
+      ownerHistory: owner?.id
+        ? [{ customerId: owner.id, customerName: owner.name || '', from: date, to: null }]
+        : [],
+      mileageReadings: [],
+      currentMileage: null,
+      createdAt: date,
+      updatedAt: date
+    }
+  }
+
+  /**
+   * Most recent odometer reading
+   * @returns {Object|null} { mileage, date, source, sourceId }
+   */
+  static getLatestMileage(vehicle) {
+    const readings = [...(vehicle.mileageReadings || [])]
+      .sort((a, b) => toDate(b.date) - toDate(a.date))
+    return readings[0] || null
+  }
+
+  /**
+   * Odometer reading - rejects values below the latest one (odometers don't go back)
+   * @param {Object} vehicle - Vehicle
+   * @param {Number} mileage - Reading in km
+   * @param {String} source - 'manual', 'job_card', ...
+   * @param {String} sourceId - Document the reading came from
+   * @returns {Object} Reading
+   */
+  static buildMileageReading(vehicle, mileage, source = 'manual', sourceId = null) {
+    const value = Number(mileage)
+    if (mileage === '' || mileage == null || !(value >= 0)) {
+      throw new Error('Mileage must be a positive number')
+    }
+
+    const latest = this.getLatestMileage(vehicle)
+    if (latest && value < latest.mileage) {
+      throw new Error(`Mileage ${value} km is below the last reading of ${latest.mileage} km`)
+    }
+
+    return { mileage: value, date: new Date(), source, sourceId }
+  }
+
+  /**
+   * Hand the vehicle to a new owner, closing the current ownership period
+   * @param {Object} vehicle - Vehicle
+   * @param {Object} newOwner - Customer { id, name }
+   * @returns {Object} Vehicle updates { customerId, customerName, ownerHistory }
+   */
+  static buildOwnerTransfer(vehicle, newOwner, date = new Date()) {
+    if (!newOwner?.id) {
+      throw new Error('Select the new owner')
+    }
+    if (newOwner.id === vehicle.customerId) {
+      throw new Error(`${newOwner.name || 'This customer'} already owns this vehicle`)
+    }
+
+    const ownerHistory = (vehicle.ownerHistory || []).map(owner =>
+      owner.customerId === vehicle.customerId && !owner.to ? { ...owner, to: date } : owner
+    )
+    ownerHistory.push({ customerId: newOwner.id, customerName: newOwner.name || '', from: date, to: null })
+
+    return {
+      customerId: newOwner.id,
+      customerName: newOwner.name || '',
+      ownerHistory
+    }
+  }
+
+  // Documents store the plate as vehicleInfo.plate (quotations, invoices) or vehicleInfo.licensePlate (job cards)
+  static isForVehicle(vehicle, document) {
+    if (document.vehicleId && document.vehicleId === vehicle.id) return true
+    const plate = document.vehicleInfo?.plate || document.vehicleInfo?.licensePlate
+    return !!plate && this.getPlateKey(plate) === this.getPlateKey(vehicle.plate)
+  }
+
+  /**
+   * Everything done on a vehicle, newest first
+   * @param {Object} vehicle - Vehicle
+   * @param {Object} documents - { repairOrders, quotations, invoices }
+   * @returns {Array} Timeline entries
+   */
+  static buildTimeline(vehicle, { repairOrders = [], quotations = [], invoices = [] } = {}) {
+    const entries = [
+      ...repairOrders.filter(order => this.isForVehicle(vehicle, order)).map(order => ({
+        type: TIMELINE_TYPES.REPAIR_ORDER,
+        id: order.id,
+        number: order.jobNumber || '',
+        date: toDate(order.dateCreated),
+        status: order.repairStatus || '',
+        amount: null,
+        customerName: order.customerName || '',
+        description: order.issueDescription || '',
+        mileage: order.mileage ?? null
+      })),
+      ...quotations.filter(quotation => this.isForVehicle(vehicle, quotation)).map(quotation => ({
+        type: TIMELINE_TYPES.QUOTATION,
+        id: quotation.id,
+        number: quotation.quotationNumber || '',
+        date: toDate(quotation.dateCreated),
+        status: quotation.status || '',
+        amount: Number(quotation.total) || 0,
+        customerName: quotation.customerName || '',
+        description: quotation.workDescription || '',
+        mileage: null
+      })),
+      ...invoices.filter(invoice => this.isForVehicle(vehicle, invoice)).map(invoice => ({
+        type: TIMELINE_TYPES.INVOICE,
+        id: invoice.id,
+        number: invoice.invoiceNumber || '',
+        date: toDate(invoice.dateCreated),
+        status: invoice.paymentStatus || '',
+        amount: Number(invoice.customerTotal ?? invoice.total) || 0,
+        customerName: invoice.customerName || '',
+        description: invoice.workDescription || '',
+        mileage: null
+      }))
+    ]
+
+    return entries.sort((a, b) => (b.date || 0) - (a.date || 0))
+  }
+
+  // Search by plate, VIN, make/model or owner
+  static matchesSearch(vehicle, searchTerm) {
+    const term = String(searchTerm || '').trim().toLowerCase()
+    if (!term) return true
+
+    const plateTerm = this.getPlateKey(term)
+    return (plateTerm && this.getPlateKey(vehicle.plate).includes(plateTerm)) ||
+      (vehicle.vin || '').toLowerCase().includes(term) ||
+      `${vehicle.make || ''} ${vehicle.model || ''}`.toLowerCase().includes(term) ||
+      (vehicle.customerName || '').toLowerCase().includes(term)
+  }
+}
+
+export default Vehicles
@@ -0,0 +1,151 @@
+/**
+ * Warranty
+ * Warranty terms on invoices (per job and per line), coverage checks
+ * and zero-charge billing for warranty-claim jobs
+ */
+
+export const WARRANTY_SCOPES = {
+  JOB: 'job',
+  PART: 'part',
+  LABOR: 'labor'
+}
+
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100
+
+const toDate = (value) => {
+  if (!value) return null
+  return value.toDate ? value.toDate() : new Date(value)
+}
+
+const addMonths = (date, months) => {
+  const result = new Date(date)
+  result.setMonth(result.getMonth() + months)
+  return result
+}
+
+export class Warranty {
+
+  // Either limit may be left empty - "12 months", "20,000 km" or both
+  static hasTerm(term) {
+    return (Number(term?.warrantyMonths) || 0) > 0 || (Number(term?.warrantyMileage) || 0) > 0
+  }
+
+  /**
+   * "12 months or 20,000 km, whichever comes first"
+   * @param {Object} term - { warrantyMonths, warrantyMileage }
+   * @returns {String} Printable term ('' when there is no warranty)
+   */
+  static describeTerm(term) {
+    const months = Number(term?.warrantyMonths) || 0
+    const mileage = Number(term?.warrantyMileage) || 0
+    const parts = []
+    if (months > 0) parts.push(`${months} month${months === 1 ? '' : 's'}`)
+    if (mileage > 0) parts.push(`${mileage.toLocaleString()} km`)
+    return parts.length === 2 ? `${parts.join(' or ')}, whichever comes first` : parts.join('')
+  }
+
+  /**
+   * Every warranty given on an invoice with its expiry
+   * Warranties start on the invoice date and at the odometer reading taken at service
+   * @param {Object} invoice - Customer invoice
+   * @returns {Array} [{ scope, lineIndex, description, warrantyMonths, warrantyMileage, expiresAt, expiresAtMileage }]
+   */
+  static getTerms(invoice) {
+    const startDate = toDate(invoice.dateCreated) || new Date()
+    const startMileage = invoice.serviceMileage === '' || invoice.serviceMileage == null
+      ? null
+      : Number(invoice.serviceMileage)
+
+    const buildTerm = (scope, lineIndex, description, term) => {
+      const warrantyMonths = Number(term.warrantyMonths) || 0
+      const warrantyMileage = Number(term.warrantyMileage) || 0
+      return {
+        scope,
+        lineIndex,
+        description,
+        warrantyMonths,
+        warrantyMileage,
+        startDate,
+        startMileage,
+        expiresAt: warrantyMonths > 0 ? addMonths(startDate, warrantyMonths) : null,
+        expiresAtMileage: warrantyMileage > 0 && startMileage != null ? startMileage + warrantyMileage : null
+      }
+    }
+
+    const terms = []
+    if (this.hasTerm(invoice.warranty)) {
+      terms.push(buildTerm(WARRANTY_SCOPES.JOB, null, invoice.warranty.terms || invoice.workDescription || 'Workmanship', invoice.warranty))
+    }
+    ;(invoice.partsOrdered || []).forEach((part, index) => {
+      if (this.hasTerm(part)) terms.push(buildTerm(WARRANTY_SCOPES.PART, index, part.partName || part.sku || 'Part', part))
+    })
+    ;(invoice.laborCharges || []).forEach((labor, index) => {
+      if (this.hasTerm(labor)) terms.push(buildTerm(WARRANTY_SCOPES.LABOR, index, labor.description || 'Labour', labor))
+    })
+
+    return terms
+  }
+
+  /**
+   * Check which warranties still cover the vehicle
+   * A mileage limit can only be checked when both odometer readings are known
+   * @param {Object} invoice - Original customer invoice
+   * @param {Object} check - { date, mileage } at the time of the claim
+   * @returns {Object} { isCovered, terms: [{ ...term, isValid, reasons }], checkedAt, mileage }
+   */
+  static checkCoverage(invoice, { date = new Date(), mileage = null } = {}) {
+    const currentMileage = mileage === '' || mileage == null ? null : Number(mileage)
+
+    const terms = this.getTerms(invoice).map(term => {
+      const reasons = []
+      if (invoice?.paymentStatus === 'void') {
+        reasons.push('The invoice was voided')
+      }
+      if (term.expiresAt && date > term.expiresAt) {
+        reasons.push(`Expired on ${term.expiresAt.toLocaleDateString()}`)
+      }
+      if (term.expiresAtMileage != null && currentMileage != null && currentMileage > term.expiresAtMileage) {
+        reasons.push(`Over the ${term.expiresAtMileage.toLocaleString()} km limit`)
+      }
+      return { ...term, isValid: reasons.length === 0, reasons }
+    })
+
+    return {
+      isCovered: terms.some(term => term.isValid),
+      terms,
+      checkedAt: date,
+      mileage: currentMileage
+    }
+  }
+
+  /**
+   * Warranty-claim invoices cost the customer nothing
+   * The lines keep their prices so the work is still valued; that value and the
+   * internal cost are kept in warrantyCost instead of being billed
+   * @param {Object} totals - Invoice totals (TaxEngine totals plus deposit, DirectLending and supplier cost)
+   * @returns {Object} Totals with customer-facing amounts zeroed and warrantyCost
+   */
+  static applyClaimBilling(totals) {
+    const partsCost = roundCurrency(totals.partsSupplierCost || totals.partsTotal)
+    const laborCost = roundCurrency(totals.laborTotal)
+
+    return {
+      ...totals,
+      taxBreakdown: [],
+      taxTotal: 0,
+      total: 0,
+      deposit: 0,
+      balanceDue: 0,
+      directLendingAmount: 0,
+      customerPayableAmount: 0,
+      warrantyCost: {
+        billableValue: roundCurrency(totals.total),
+        partsCost,
+        laborCost,
+        total: roundCurrency(partsCost + laborCost)
+      }
+    }
+  }
+}
+
+export default Warranty